@@ -12,6 +12,11 @@ export const ENV = {
   SUPABASE_URL: process.env.SUPABASE_URL,
   SUPABASE_ANON_KEY: process.env.SUPABASE_ANON_KEY,
   SUPABASE_SERVICE_ROLE_KEY: process.env.SUPABASE_SERVICE_ROLE_KEY,
+
+  // Database adapter (supabase | postgres | memory), see database/index.js
+  DATABASE_ADAPTER: process.env.DATABASE_ADAPTER,
+  DATABASE_URL: process.env.DATABASE_URL,
+  LOCAL_STORAGE_DIR: process.env.LOCAL_STORAGE_DIR || 'storage',
   JWT_SECRET: process.env.JWT_SECRET,
   JWT_REFRESH_SECRET: process.env.JWT_REFRESH_SECRET,
   BETTER_STACK_SOURCE_TOKEN: process.env.BETTER_STACK_SOURCE_TOKEN,
@@ -0,0 +1,59 @@
+// ============================================================================
+// ADMIN PERMISSIONS
+// ============================================================================
+
+export const ADMIN_PERMISSIONS = {
+  READ: 'read',
+  WRITE: 'write',
+  DELETE: 'delete',
+  ADMIN: 'admin',
+  MANAGE_ADMINS: 'manage_admins'
+};
+
+// ============================================================================
+// ADMIN ROLES
+// ============================================================================
+
+export const ADMIN_ROLES = {
+  SUPER_ADMIN: 'super_admin',
+  ADMIN: 'admin',
+  SUPPORT: 'support',
+  VIEWER: 'viewer'
+};
+
+// ============================================================================
+// ROLE TO PERMISSION MAPPING
+// ============================================================================
+
+export const ROLE_PERMISSIONS = {
+  [ADMIN_ROLES.SUPER_ADMIN]: [
+    ADMIN_PERMISSIONS.READ,
+    ADMIN_PERMISSIONS.WRITE,
+    ADMIN_PERMISSIONS.DELETE,
+    ADMIN_PERMISSIONS.ADMIN,
+    ADMIN_PERMISSIONS.MANAGE_ADMINS
+  ],
+  [ADMIN_ROLES.ADMIN]: [
+    ADMIN_PERMISSIONS.READ,
+    ADMIN_PERMISSIONS.WRITE,
+    ADMIN_PERMISSIONS.DELETE,
+    ADMIN_PERMISSIONS.ADMIN
+  ],
+  [ADMIN_ROLES.SUPPORT]: [
+    ADMIN_PERMISSIONS.READ,
+    ADMIN_PERMISSIONS.WRITE
+  ],
+  [ADMIN_ROLES.VIEWER]: [
+    ADMIN_PERMISSIONS.READ
+  ]
+};
+
+// ============================================================================
+// ADMIN ACCOUNT LIMITS
+// ============================================================================
+
+export const ADMIN_ACCOUNT_LIMITS = {
+  MIN_PASSWORD_LENGTH: 8,
+  BCRYPT_SALT_ROUNDS: 10,
+  USERNAME_PATTERN: /^[A-Za-z0-9_.-]{3,50}$/
+};
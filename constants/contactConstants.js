@@ -12,7 +12,25 @@ export const SYNC_LIMITS = {
   
   MAX_STATISTICS_DAYS: 365,
   MIN_STATISTICS_DAYS: 1,
-  DEFAULT_STATISTICS_DAYS: 30
+  DEFAULT_STATISTICS_DAYS: 30,
+
+  // Delta sync: added + removed hashes per request
+  MAX_DELTA_CHANGES_PER_SYNC: 5000,
+  MAX_NEWLY_MATCHED_PER_SYNC: 500
+};
+
+// ============================================================================
+// DELTA SYNC TOKENS
+// ============================================================================
+
+export const SYNC_TOKEN = {
+  RANDOM_BYTES: 24,
+  MAX_LENGTH: 64
+};
+
+export const SYNC_MODES = {
+  FULL: 'full',
+  DELTA: 'delta'
 };
 
 // ============================================================================
@@ -62,7 +80,9 @@ export const ERROR_MESSAGES = {
     TOO_MANY_PHONE_NUMBERS: `Maximum ${SYNC_LIMITS.MAX_PHONE_NUMBERS_PER_SYNC.toLocaleString()} phone numbers allowed`,
     DEVICE_COUNT_POSITIVE: 'Device contacts count must be positive',
     BATCH_SIZE_TOO_SMALL: `Minimum batch size is ${SYNC_LIMITS.MIN_BATCH_SIZE}`,
-    BATCH_SIZE_TOO_LARGE: `Maximum batch size is ${SYNC_LIMITS.MAX_BATCH_SIZE}`
+    BATCH_SIZE_TOO_LARGE: `Maximum batch size is ${SYNC_LIMITS.MAX_BATCH_SIZE}`,
+    TOO_MANY_DELTA_CHANGES: `Maximum ${SYNC_LIMITS.MAX_DELTA_CHANGES_PER_SYNC.toLocaleString()} added and removed contacts allowed per delta sync`,
+    SYNC_TOKEN_INVALID: 'Sync token is invalid or has been superseded - send a full sync'
   },
   
   QUERY: {
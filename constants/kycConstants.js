@@ -0,0 +1,96 @@
+// ============================================================================
+// KYC LEVELS
+// ============================================================================
+
+// Values of users.kyc_level, lowest to highest
+export const KYC_LEVELS = {
+  NONE: 'none',
+  BASIC: 'basic',
+  ENHANCED: 'enhanced',
+  FULL: 'full'
+};
+
+export const KYC_LEVEL_ORDER = [
+  KYC_LEVELS.NONE,
+  KYC_LEVELS.BASIC,
+  KYC_LEVELS.ENHANCED,
+  KYC_LEVELS.FULL
+];
+
+// ============================================================================
+// TRANSACTION LIMITS PER LEVEL
+// ============================================================================
+
+// In the same units as user_settings.daily_limit; null means no limit.
+// A user's own daily limit still applies on top of these.
+export const KYC_LIMITS = {
+  [KYC_LEVELS.NONE]: { perTransaction: 100, daily: 250 },
+  [KYC_LEVELS.BASIC]: { perTransaction: 1000, daily: 2500 },
+  [KYC_LEVELS.ENHANCED]: { perTransaction: 10000, daily: 25000 },
+  [KYC_LEVELS.FULL]: { perTransaction: null, daily: null }
+};
+
+// KYC daily limits count over the UTC day, not the user's own timezone setting,
+// so changing the timezone cannot open a fresh day
+export const KYC_LIMIT_TIMEZONE = 'UTC';
+
+// ============================================================================
+// SUBMISSIONS
+// ============================================================================
+
+export const KYC_SUBMISSION_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected'
+};
+
+export const KYC_ID_TYPES = ['national_id', 'passport', 'driving_license', 'residence_permit'];
+
+export const KYC_DOCUMENT_TYPES = {
+  ID_FRONT: 'id_front',
+  ID_BACK: 'id_back',
+  SELFIE: 'selfie',
+  PROOF_OF_ADDRESS: 'proof_of_address'
+};
+
+// Documents a submission must include for each requested level
+export const KYC_REQUIRED_DOCUMENTS = {
+  [KYC_LEVELS.BASIC]: [KYC_DOCUMENT_TYPES.ID_FRONT],
+  [KYC_LEVELS.ENHANCED]: [KYC_DOCUMENT_TYPES.ID_FRONT, KYC_DOCUMENT_TYPES.SELFIE],
+  [KYC_LEVELS.FULL]: [
+    KYC_DOCUMENT_TYPES.ID_FRONT,
+    KYC_DOCUMENT_TYPES.SELFIE,
+    KYC_DOCUMENT_TYPES.PROOF_OF_ADDRESS
+  ]
+};
+
+// ============================================================================
+// UPLOADS
+// ============================================================================
+
+export const KYC_UPLOADS = {
+  BUCKET: 'kyc-documents',
+  MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB per document
+  ALLOWED_MIME_TYPES: ['image/jpeg', 'image/png', 'application/pdf'],
+  SIGNED_URL_TTL_SECONDS: 5 * 60
+};
+
+export const KYC_REVIEW = {
+  MAX_REJECTION_REASON_LENGTH: 500
+};
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+export const KYC_ERRORS = {
+  SUBMISSION_NOT_FOUND: 'KYC submission not found',
+  ALREADY_PENDING: 'A KYC submission is already waiting for review',
+  LEVEL_NOT_HIGHER: 'Requested KYC level must be higher than the current level',
+  MISSING_DOCUMENTS: 'Missing required KYC documents',
+  INVALID_DOCUMENT: 'KYC documents must be JPEG, PNG or PDF files of at most 10MB',
+  NOT_PENDING: 'KYC submission has already been reviewed',
+  LIMIT_EXCEEDED: 'KYC level limit exceeded'
+};
+
+export const KYC_LIMIT_EXCEEDED = 'KYC_LIMIT_EXCEEDED';
@@ -0,0 +1,56 @@
+// ============================================================================
+// LEDGER POSTINGS
+// ============================================================================
+
+// Values of ledger_postings.type
+export const LEDGER_POSTING_TYPES = {
+  OPENING: 'opening', // Balances recorded before the ledger existed
+  HOLD: 'hold', // Outgoing transaction created: available -> pending
+  SETTLE: 'settle', // Outgoing transaction completed: pending -> recipient or external
+  RELEASE: 'release', // Outgoing transaction failed or cancelled: pending -> available
+  CREDIT: 'credit' // Incoming transaction completed: external -> available
+};
+
+// ============================================================================
+// ACCOUNTS
+// ============================================================================
+
+// Values of ledger_entries.account; wallet accounts map to asset_balances columns
+export const LEDGER_ACCOUNTS = {
+  WALLET_AVAILABLE: 'wallet_available',
+  WALLET_PENDING: 'wallet_pending',
+  EXTERNAL: 'external'
+};
+
+export const LEDGER_DIRECTIONS = {
+  DEBIT: 'debit',
+  CREDIT: 'credit'
+};
+
+// ============================================================================
+// TRANSACTION TYPES
+// ============================================================================
+
+// Outgoing transactions (SPENDING_TYPES) hold the sender's funds until they
+// settle; these credit the sender's wallet when they complete
+export const LEDGER_INCOMING_TYPES = ['cash_in'];
+
+// asset_balances columns are DECIMAL(20,8)
+export const LEDGER_PRECISION = 8;
+
+// ============================================================================
+// ERROR MESSAGES
+// ============================================================================
+
+// The first three are raised by post_ledger_entries (migration 031), NOT_PENDING by apply_transaction_status (033)
+export const LEDGER_ERRORS = {
+  NOT_HELD: 'No funds are held for this transaction',
+  ALREADY_SETTLED: 'Held funds were already settled or released',
+  UNBALANCED: 'Ledger posting is not balanced',
+  NOT_PENDING: 'Transaction is no longer pending',
+  INSUFFICIENT_FUNDS: 'Insufficient available balance',
+  NO_WALLET: 'No active wallet found for this user'
+};
+
+export const INSUFFICIENT_FUNDS = 'INSUFFICIENT_FUNDS';
+export const TRANSACTION_NOT_PENDING = 'TRANSACTION_NOT_PENDING';
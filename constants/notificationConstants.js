@@ -0,0 +1,519 @@
+// ============================================================================
+// LOCALES
+// ============================================================================
+
+export const NOTIFICATION_LOCALES = {
+  DEFAULT: 'en',
+  SUPPORTED: ['en', 'ar'],
+  RTL: ['ar']
+};
+
+// Intl options per language; Arabic keeps Latin digits so amounts and IDs
+// read the same as in the app
+export const LOCALE_FORMATS = {
+  en: { numberingSystem: 'latn' },
+  ar: { numberingSystem: 'latn' }
+};
+
+// Fiat codes are formatted as currency; anything else (USDT, SOL) is
+// formatted as a number followed by the asset symbol
+export const FIAT_CURRENCIES = ['USD', 'EUR', 'GBP', 'SAR', 'AED', 'EGP', 'JOD', 'KWD', 'QAR'];
+
+export const MAX_ASSET_DECIMALS = 6;
+
+// ============================================================================
+// TYPES & CHANNELS
+// ============================================================================
+
+export const NOTIFICATION_TYPES = {
+  TRANSACTION_SUCCESS: 'transaction_success',
+  TRANSACTION_FAILURE: 'transaction_failure',
+  SECURITY_ALERT: 'security_alert',
+  PIN_LOCKED: 'pin_locked',
+  NEW_DEVICE_LOGIN: 'new_device_login',
+  DIGEST: 'notification_digest',
+  KYC_APPROVED: 'kyc_approved',
+  KYC_REJECTED: 'kyc_rejected',
+  INCOMING_TRANSFER: 'incoming_transfer',
+  SCHEDULED_TRANSFER_REMINDER: 'scheduled_transfer_reminder',
+  SCHEDULED_TRANSFER_EXECUTED: 'scheduled_transfer_executed',
+  SCHEDULED_TRANSFER_FAILED: 'scheduled_transfer_failed'
+};
+
+export const NOTIFICATION_CHANNELS = {
+  EMAIL: 'email',
+  PUSH: 'push',
+  WHATSAPP: 'whatsapp',
+  // Localized title/message of a security alert, rendered before it is
+  // wrapped in the SECURITY_ALERT template of each channel
+  ALERT: 'alert'
+};
+
+// ============================================================================
+// SHARED STRINGS
+// ============================================================================
+
+export const TRANSACTION_TYPE_LABELS = {
+  en: {
+    transfer: 'transfer',
+    payment: 'payment',
+    cash_in: 'cash in',
+    cash_out: 'cash out',
+    exchange: 'exchange'
+  },
+  ar: {
+    transfer: 'تحويل',
+    payment: 'دفع',
+    cash_in: 'إيداع',
+    cash_out: 'سحب',
+    exchange: 'صرف'
+  }
+};
+
+export const KYC_LEVEL_LABELS = {
+  en: {
+    basic: 'Basic',
+    enhanced: 'Enhanced',
+    full: 'Full'
+  },
+  ar: {
+    basic: 'الأساسي',
+    enhanced: 'المتقدم',
+    full: 'الكامل'
+  }
+};
+
+export const EMAIL_LABELS = {
+  en: {
+    transactionId: 'Transaction ID',
+    type: 'Type',
+    amount: 'Amount',
+    recipientAddress: 'Recipient',
+    reference: 'Reference',
+    date: 'Date',
+    failureReason: 'Reason',
+    details: 'Transaction Details',
+    rights: '© 7awel Wallet. All rights reserved.',
+    automated: 'This is an automated email. Please do not reply to this message.'
+  },
+  ar: {
+    transactionId: 'رقم العملية',
+    type: 'النوع',
+    amount: 'المبلغ',
+    recipientAddress: 'المستلم',
+    reference: 'المرجع',
+    date: 'التاريخ',
+    failureReason: 'السبب',
+    details: 'تفاصيل العملية',
+    rights: '© محفظة 7awel. جميع الحقوق محفوظة.',
+    automated: 'هذه رسالة آلية، يرجى عدم الرد عليها.'
+  }
+};
+
+// ============================================================================
+// TEMPLATES
+// ============================================================================
+
+// Keyed by type, then locale, then channel. {{name}} placeholders are filled
+// from the variables passed to the renderer; {{name|fallback}} supplies a
+// default when the variable is missing. Email templates list the transaction
+// fields to show in `details`, and may name an array variable in `list` to
+// render as bullet points.
+export const NOTIFICATION_TEMPLATES = {
+  [NOTIFICATION_TYPES.TRANSACTION_SUCCESS]: {
+    en: {
+      email: {
+        subject: '✅ Transaction Successful - 7awel Wallet',
+        icon: '✅',
+        accent: '#4CAF50',
+        heading: 'Transaction Successful!',
+        intro: 'Your transaction has been completed successfully. Here are the details:',
+        details: ['transactionId', 'type', 'amount', 'recipientAddress', 'reference', 'date'],
+        paragraphs: [
+          'Your funds have been processed and are now available in your wallet.',
+          'If you have any questions, please don\'t hesitate to contact our support team.'
+        ]
+      },
+      push: {
+        title: '✅ Transaction Successful',
+        body: 'Your {{type}} of {{amount}} was completed successfully'
+      },
+      whatsapp: {
+        body: '✅ 7awel: your {{type}} of {{amount}} was completed. Reference: {{reference}}'
+      }
+    },
+    ar: {
+      email: {
+        subject: '✅ تمت العملية بنجاح - محفظة 7awel',
+        icon: '✅',
+        accent: '#4CAF50',
+        heading: 'تمت العملية بنجاح!',
+        intro: 'اكتملت عمليتك بنجاح. إليك التفاصيل:',
+        details: ['transactionId', 'type', 'amount', 'recipientAddress', 'reference', 'date'],
+        paragraphs: [
+          'تمت معالجة أموالك وهي متاحة الآن في محفظتك.',
+          'إذا كانت لديك أي أسئلة، لا تتردد في التواصل مع فريق الدعم.'
+        ]
+      },
+      push: {
+        title: '✅ تمت العملية بنجاح',
+        body: 'تمت عملية {{type}} بقيمة {{amount}} بنجاح'
+      },
+      whatsapp: {
+        body: '✅ 7awel: تمت عملية {{type}} بقيمة {{amount}} بنجاح. المرجع: {{reference}}'
+      }
+    }
+  },
+  [NOTIFICATION_TYPES.TRANSACTION_FAILURE]: {
+    en: {
+      email: {
+        subject: '❌ Transaction Failed - 7awel Wallet',
+        icon: '❌',
+        accent: '#f44336',
+        heading: 'Transaction Failed',
+        intro: 'Unfortunately, your transaction could not be completed. Here are the details:',
+        details: ['transactionId', 'type', 'amount', 'recipientAddress', 'reference', 'date', 'failureReason'],
+        nextStepsHeading: 'What\'s Next?',
+        nextSteps: [
+          'Your funds remain safely in your wallet',
+          'You can try the transaction again',
+          'Check your account balance and network connectivity',
+          'Contact support if the issue persists'
+        ],
+        paragraphs: [
+          'If you need assistance, please contact our support team with the transaction ID above.'
+        ]
+      },
+      push: {
+        title: '❌ Transaction Failed',
+        body: 'Your {{type}} of {{amount}} could not be completed'
+      },
+      whatsapp: {
+        body: '❌ 7awel: your {{type}} of {{amount}} failed: {{failureReason}}. Reference: {{reference}}'
+      }
+    },
+    ar: {
+      email: {
+        subject: '❌ فشلت العملية - محفظة 7awel',
+        icon: '❌',
+        accent: '#f44336',
+        heading: 'فشلت العملية',
+        intro: 'للأسف، تعذر إتمام عمليتك. إليك التفاصيل:',
+        details: ['transactionId', 'type', 'amount', 'recipientAddress', 'reference', 'date', 'failureReason'],
+        nextStepsHeading: 'ماذا بعد؟',
+        nextSteps: [
+          'أموالك لا تزال بأمان في محفظتك',
+          'يمكنك إعادة محاولة العملية',
+          'تحقق من رصيدك واتصالك بالشبكة',
+          'تواصل مع الدعم إذا استمرت المشكلة'
+        ],
+        paragraphs: [
+          'إذا احتجت إلى المساعدة، تواصل مع فريق الدعم مع ذكر رقم العملية أعلاه.'
+        ]
+      },
+      push: {
+        title: '❌ فشلت العملية',
+        body: 'تعذر إتمام عملية {{type}} بقيمة {{amount}}'
+      },
+      whatsapp: {
+        body: '❌ 7awel: فشلت عملية {{type}} بقيمة {{amount}}: {{failureReason}}. المرجع: {{reference}}'
+      }
+    }
+  },
+  [NOTIFICATION_TYPES.SECURITY_ALERT]: {
+    en: {
+      email: {
+        subject: '🔐 {{title}} - 7awel Wallet',
+        icon: '🔐',
+        accent: '#1565C0',
+        heading: '{{title}}',
+        intro: '{{message}}',
+        paragraphs: [
+          'If this was not you, contact our support team immediately.'
+        ]
+      },
+      push: {
+        title: '🔐 {{title}}',
+        body: '{{message}}'
+      },
+      whatsapp: {
+        body: '🔐 7awel security alert: {{message}} If this was not you, contact support immediately.'
+      }
+    },
+    ar: {
+      email: {
+        subject: '🔐 {{title}} - محفظة 7awel',
+        icon: '🔐',
+        accent: '#1565C0',
+        heading: '{{title}}',
+        intro: '{{message}}',
+        paragraphs: [
+          'إذا لم تكن أنت، تواصل مع فريق الدعم فوراً.'
+        ]
+      },
+      push: {
+        title: '🔐 {{title}}',
+        body: '{{message}}'
+      },
+      whatsapp: {
+        body: '🔐 تنبيه أمني من 7awel: {{message}} إذا لم تكن أنت، تواصل مع الدعم فوراً.'
+      }
+    }
+  },
+  [NOTIFICATION_TYPES.DIGEST]: {
+    en: {
+      email: {
+        subject: '🌙 {{count}} notifications from your quiet hours - 7awel Wallet',
+        icon: '🌙',
+        accent: '#5E35B1',
+        heading: 'While you were away',
+        intro: 'You received {{count}} notifications during your quiet hours:',
+        list: 'items',
+        listOverflow: 'And {{more}} more in your inbox.',
+        paragraphs: [
+          'Open the 7awel app to see the details.'
+        ]
+      },
+      push: {
+        title: '🌙 While you were away',
+        body: 'You have {{count}} new notifications from your quiet hours'
+      },
+      whatsapp: {
+        body: '🌙 7awel: you received {{count}} notifications during your quiet hours. Open the app to see them.'
+      }
+    },
+    ar: {
+      email: {
+        subject: '🌙 {{count}} إشعارات خلال ساعات الهدوء - محفظة 7awel',
+        icon: '🌙',
+        accent: '#5E35B1',
+        heading: 'أثناء غيابك',
+        intro: 'وصلتك {{count}} إشعارات خلال ساعات الهدوء:',
+        list: 'items',
+        listOverflow: 'و{{more}} إشعارات أخرى في صندوق الوارد.',
+        paragraphs: [
+          'افتح تطبيق 7awel لعرض التفاصيل.'
+        ]
+      },
+      push: {
+        title: '🌙 أثناء غيابك',
+        body: 'لديك {{count}} إشعارات جديدة من ساعات الهدوء'
+      },
+      whatsapp: {
+        body: '🌙 7awel: وصلتك {{count}} إشعارات خلال ساعات الهدوء. افتح التطبيق لعرضها.'
+      }
+    }
+  },
+  [NOTIFICATION_TYPES.PIN_LOCKED]: {
+    en: {
+      alert: {
+        title: 'Transaction PIN locked',
+        message: 'Your transaction PIN was locked after {{attempts}} incorrect attempts.'
+      }
+    },
+    ar: {
+      alert: {
+        title: 'تم قفل رمز العمليات',
+        message: 'تم قفل رمز العمليات بعد {{attempts}} محاولات خاطئة.'
+      }
+    }
+  },
+  [NOTIFICATION_TYPES.NEW_DEVICE_LOGIN]: {
+    en: {
+      alert: {
+        title: 'New device sign-in',
+        message: 'Your 7awel account was just signed in from {{deviceName|a new device}}. If this wasn\'t you, remove the device in Settings and change your PIN.'
+      }
+    },
+    ar: {
+      alert: {
+        title: 'تسجيل دخول من جهاز جديد',
+        message: 'تم تسجيل الدخول إلى حسابك في 7awel من {{deviceName|جهاز جديد}}. إذا لم تكن أنت، أزل الجهاز من الإعدادات وغيّر رمز العمليات.'
+      }
+    }
+  },
+  [NOTIFICATION_TYPES.KYC_APPROVED]: {
+    en: {
+      push: {
+        title: 'Identity verified',
+        body: 'Your account is now at the {{level}} verification level, with higher transaction limits.'
+      }
+    },
+    ar: {
+      push: {
+        title: 'تم التحقق من هويتك',
+        body: 'أصبح حسابك الآن في مستوى التحقق {{level}} مع حدود أعلى للعمليات.'
+      }
+    }
+  },
+  [NOTIFICATION_TYPES.KYC_REJECTED]: {
+    en: {
+      push: {
+        title: 'Identity verification not approved',
+        body: 'We could not approve your {{level}} verification: {{reason}}. You can submit again from Settings.'
+      }
+    },
+    ar: {
+      push: {
+        title: 'لم تتم الموافقة على التحقق من الهوية',
+        body: 'تعذرت الموافقة على طلب التحقق {{level}}: {{reason}}. يمكنك إعادة الإرسال من الإعدادات.'
+      }
+    }
+  },
+  [NOTIFICATION_TYPES.INCOMING_TRANSFER]: {
+    en: {
+      push: {
+        title: '💰 Money received',
+        body: '{{senderName|Someone}} sent you {{amount}}'
+      }
+    },
+    ar: {
+      push: {
+        title: '💰 وصلتك أموال',
+        body: 'أرسل لك {{senderName|أحد المستخدمين}} مبلغ {{amount}}'
+      }
+    }
+  },
+  [NOTIFICATION_TYPES.SCHEDULED_TRANSFER_REMINDER]: {
+    en: {
+      push: {
+        title: '⏰ Upcoming transfer',
+        body: 'Your scheduled transfer of {{amount}} to {{recipient|your recipient}} goes out on {{date}}. Make sure your balance covers it.'
+      }
+    },
+    ar: {
+      push: {
+        title: '⏰ تحويل قادم',
+        body: 'سيتم إرسال تحويلك المجدول بمبلغ {{amount}} إلى {{recipient|المستلم}} في {{date}}. تأكد من أن رصيدك يكفي.'
+      }
+    }
+  },
+  [NOTIFICATION_TYPES.SCHEDULED_TRANSFER_EXECUTED]: {
+    en: {
+      push: {
+        title: '✅ Scheduled transfer sent',
+        body: 'Your scheduled transfer of {{amount}} to {{recipient|your recipient}} was sent.'
+      }
+    },
+    ar: {
+      push: {
+        title: '✅ تم إرسال التحويل المجدول',
+        body: 'تم إرسال تحويلك المجدول بمبلغ {{amount}} إلى {{recipient|المستلم}}.'
+      }
+    }
+  },
+  [NOTIFICATION_TYPES.SCHEDULED_TRANSFER_FAILED]: {
+    en: {
+      push: {
+        title: '❌ Scheduled transfer failed',
+        body: 'Your scheduled transfer of {{amount}} to {{recipient|your recipient}} could not be sent: {{reason|please try again}}.'
+      }
+    },
+    ar: {
+      push: {
+        title: '❌ فشل التحويل المجدول',
+        body: 'تعذر إرسال تحويلك المجدول بمبلغ {{amount}} إلى {{recipient|المستلم}}: {{reason|يرجى المحاولة مرة أخرى}}.'
+      }
+    }
+  }
+};
+
+// ============================================================================
+// INBOX
+// ============================================================================
+
+export const NOTIFICATION_CATEGORIES = {
+  TRANSACTION: 'transaction',
+  INCOMING_TRANSFER: 'incoming_transfer',
+  SECURITY: 'security',
+  PROMOTION: 'promotion',
+  SYSTEM: 'system'
+};
+
+export const NOTIFICATION_INBOX = {
+  DEFAULT_PAGE_SIZE: 20,
+  MAX_PAGE_SIZE: 100
+};
+
+export const NOTIFICATION_ERRORS = {
+  NOT_FOUND: 'Notification not found',
+  INVALID_CURSOR: 'Invalid cursor'
+};
+
+// ============================================================================
+// DEVICE TOKENS
+// ============================================================================
+
+export const DEVICE_TOKENS = {
+  PLATFORMS: ['ios', 'android', 'web'],
+  MAX_TOKEN_LENGTH: 4096,
+  APP_VERSION_MAX_LENGTH: 32,
+  // Oldest tokens beyond this are dropped when a new one is registered
+  MAX_PER_USER: 10,
+  // FCM errors meaning the token will never work again
+  INVALID_TOKEN_ERROR_CODES: [
+    'messaging/registration-token-not-registered',
+    'messaging/invalid-registration-token'
+  ]
+};
+
+export const DEVICE_TOKEN_ERRORS = {
+  INVALID: 'Device token was rejected by FCM',
+  NOT_FOUND: 'Device token not found'
+};
+
+// ============================================================================
+// PREFERENCES & QUIET HOURS
+// ============================================================================
+
+// Channels a user can choose per category
+export const PREFERENCE_CHANNELS = [
+  NOTIFICATION_CHANNELS.PUSH,
+  NOTIFICATION_CHANNELS.EMAIL,
+  NOTIFICATION_CHANNELS.WHATSAPP
+];
+
+// API keys (camelCase) for each category in channel preferences
+export const PREFERENCE_CATEGORY_KEYS = {
+  transaction: NOTIFICATION_CATEGORIES.TRANSACTION,
+  incomingTransfer: NOTIFICATION_CATEGORIES.INCOMING_TRANSFER,
+  security: NOTIFICATION_CATEGORIES.SECURITY,
+  promotion: NOTIFICATION_CATEGORIES.PROMOTION,
+  system: NOTIFICATION_CATEGORIES.SYSTEM
+};
+
+// notification_settings column that switches a whole category off
+export const CATEGORY_SETTINGS = {
+  [NOTIFICATION_CATEGORIES.TRANSACTION]: 'transaction_alerts',
+  [NOTIFICATION_CATEGORIES.INCOMING_TRANSFER]: 'transaction_alerts',
+  [NOTIFICATION_CATEGORIES.SECURITY]: 'security_alerts',
+  [NOTIFICATION_CATEGORIES.PROMOTION]: 'promotions'
+};
+
+// notification_settings column that switches a channel off for every category
+export const CHANNEL_SETTINGS = {
+  [NOTIFICATION_CHANNELS.PUSH]: 'push_enabled',
+  [NOTIFICATION_CHANNELS.EMAIL]: 'email_notifications',
+  [NOTIFICATION_CHANNELS.WHATSAPP]: 'whatsapp_notifications'
+};
+
+export const QUIET_HOURS = {
+  // Delivered immediately even during quiet hours
+  BYPASS_CATEGORIES: [NOTIFICATION_CATEGORIES.SECURITY],
+  TIME_PATTERN: /^([01]\d|2[0-3]):[0-5]\d$/,
+  DEFAULT_TIMEZONE: 'UTC'
+};
+
+export const NOTIFICATION_DIGEST = {
+  INTERVAL_MS: parseInt(process.env.NOTIFICATION_DIGEST_INTERVAL_MS || '60000', 10),
+  BATCH_SIZE: 500,
+  // Claimed notifications are left alone by other digest workers for this long
+  CLAIM_MS: 10 * 60 * 1000,
+  // Longer digests list the newest items and mention the rest by count
+  MAX_LISTED_ITEMS: 10
+};
+
+export const NOTIFICATION_PREFERENCE_ERRORS = {
+  INVALID_CHANNELS: 'Invalid notification channel preferences',
+  INVALID_QUIET_HOURS: 'Quiet hours need start and end times in HH:MM format that differ'
+};
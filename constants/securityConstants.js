@@ -0,0 +1,84 @@
+// ============================================================================
+// TRANSACTION PIN SETTINGS
+// ============================================================================
+
+export const TRANSACTION_PIN = {
+  PATTERN: /^\d{4,6}$/,
+  BCRYPT_ROUNDS: 12,
+  MAX_FAILED_ATTEMPTS: 5,
+  LOCKOUT_MS: 30 * 60 * 1000, // 30 minutes
+  VERIFICATION_TTL_MS: 5 * 60 * 1000, // PIN must have been entered within the last 5 minutes
+  DEFAULT_SESSION_TTL_MS: 24 * 60 * 60 * 1000 // used when the auth session carries no expiry
+};
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+export const PIN_ERRORS = {
+  INVALID_FORMAT: 'PIN must be 4 to 6 digits',
+  WEAK_PIN: 'PIN is too easy to guess',
+  NOT_SET: 'Transaction PIN has not been set',
+  ALREADY_SET: 'Transaction PIN is already set',
+  SAME_AS_CURRENT: 'New PIN must be different from the current PIN',
+  INCORRECT: 'Incorrect PIN',
+  LOCKED: 'Too many incorrect PIN attempts. Try again later.',
+  VERIFICATION_REQUIRED: 'Transaction PIN verification required',
+  SESSION_REQUIRED: 'An authenticated session is required to verify the PIN'
+};
+
+// ============================================================================
+// CUSTOM SESSION TOKENS
+// ============================================================================
+
+export const SESSION_JWT = {
+  ALGORITHM: 'HS256',
+  TOKEN_PREFIX: 'stytch_session_',
+  TOKEN_RANDOM_BYTES: 24,
+  TTL_MS: 60 * 60 * 1000, // 1 hour
+  DEFAULT_ISSUER: '7awel-api',
+  DEFAULT_AUDIENCE: '7awel-app',
+  MIN_KEY_LENGTH: 32,
+  CLOCK_TOLERANCE_SECONDS: 30
+};
+
+export const SESSION_JWT_ERRORS = {
+  KEYS_NOT_CONFIGURED: 'Session signing keys are not configured',
+  INVALID_KEY_CONFIG: 'SESSION_JWT_KEYS must be a comma separated list of kid:secret pairs',
+  KEY_TOO_SHORT: `Session signing secrets must be at least ${SESSION_JWT.MIN_KEY_LENGTH} characters`,
+  UNKNOWN_KEY: 'Session JWT was signed with an unknown key',
+  INVALID: 'Invalid session JWT',
+  EXPIRED: 'Session expired',
+  TOKEN_MISMATCH: 'Session JWT does not belong to this session token',
+  REVOKED: 'Session has been revoked'
+};
+
+// ============================================================================
+// SESSION REGISTRY
+// ============================================================================
+
+export const SESSION_REGISTRY = {
+  ACTIVITY_UPDATE_INTERVAL_MS: 60 * 1000, // last_activity is written at most once a minute per session
+  STYTCH_SESSION_TTL_MS: 60 * 60 * 1000, // used when Stytch does not report an expiry
+  DEVICE_ID_MAX_LENGTH: 255,
+  DEVICE_NAME_MAX_LENGTH: 100
+};
+
+export const SESSION_REGISTRY_ERRORS = {
+  NOT_FOUND: 'Device session not found'
+};
+
+// ============================================================================
+// DEVICE TRUST
+// ============================================================================
+
+export const DEVICE_TRUST = {
+  NEW_DEVICE_WINDOW_MS: 24 * 60 * 60 * 1000, // untrusted devices are restricted for their first 24 hours
+  HIGH_VALUE_AMOUNT: parseFloat(process.env.HIGH_VALUE_TRANSFER_AMOUNT) || 500 // in units of the asset sent
+};
+
+export const DEVICE_TRUST_ERRORS = {
+  NOT_FOUND: 'Device not found',
+  TRUSTED_DEVICE_REQUIRED: 'Device trust can only be changed from a trusted device',
+  VERIFICATION_REQUIRED: 'High-value transfers from a new device require re-verification'
+};
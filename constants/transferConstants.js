@@ -0,0 +1,71 @@
+// ============================================================================
+// P2P TRANSFERS
+// ============================================================================
+
+// Network recorded on transfers that never leave the platform
+export const P2P_NETWORK = 'internal';
+
+// metadata.p2p.role on the two linked transaction records
+export const P2P_ROLES = {
+  SENDER: 'sender', // The sender's transfer; its ledger postings move the funds
+  RECEIVER: 'receiver' // The recipient's cash_in record of the same transfer
+};
+
+// ============================================================================
+// SCHEDULED TRANSFERS
+// ============================================================================
+
+export const SCHEDULE_FREQUENCIES = {
+  ONCE: 'once',
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly' // Same day each month, or the month's last day when it is shorter
+};
+
+export const SCHEDULED_TRANSFER_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+  COMPLETED: 'completed', // Every run has happened
+  CANCELLED: 'cancelled',
+  FAILED: 'failed' // A one-off transfer that failed on every attempt
+};
+
+export const SCHEDULED_EXECUTION_STATUS = {
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+export const TRANSFER_SCHEDULER = {
+  INTERVAL_MS: parseInt(process.env.SCHEDULED_TRANSFER_INTERVAL_MS || '60000', 10),
+  BATCH_SIZE: 50,
+  // A claimed run is left alone by other scheduler instances for this long
+  CLAIM_MS: 10 * 60 * 1000,
+  // Wait before each retry of a failed run; the run is given up after the last one
+  RETRY_DELAYS_MS: [5 * 60 * 1000, 30 * 60 * 1000, 2 * 60 * 60 * 1000],
+  // Remind the user this long before a run
+  REMINDER_LEAD_MS: 24 * 60 * 60 * 1000,
+  MAX_ACTIVE_PER_USER: 20
+};
+
+// ============================================================================
+// ERROR MESSAGES
+// ============================================================================
+
+export const TRANSFER_ERRORS = {
+  RECIPIENT_NOT_FOUND: 'Recipient not found',
+  CONTACT_NOT_FOUND: 'Contact not found',
+  CONTACT_WITHOUT_ACCOUNT: 'This contact does not have an account yet',
+  RECIPIENT_INACTIVE: 'Recipient account is not active',
+  RECIPIENT_NO_WALLET: 'Recipient has no active wallet',
+  SELF_TRANSFER: 'Cannot send money to yourself'
+};
+
+export const SCHEDULED_TRANSFER_ERRORS = {
+  NOT_FOUND: 'Scheduled transfer not found',
+  NOT_ACTIVE: 'Only active scheduled transfers can be paused',
+  NOT_PAUSED: 'Only paused scheduled transfers can be resumed',
+  ALREADY_ENDED: 'Scheduled transfer has already ended',
+  START_IN_PAST: 'Start time must be in the future',
+  END_BEFORE_START: 'End date must be after the start time',
+  TOO_MANY: `You can have at most ${TRANSFER_SCHEDULER.MAX_ACTIVE_PER_USER} active scheduled transfers`
+};
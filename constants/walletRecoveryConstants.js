@@ -0,0 +1,30 @@
+// ============================================================================
+// RECOVERY CHANNELS
+// ============================================================================
+
+export const RECOVERY_CHANNELS = {
+  EMAIL: 'email',
+  WHATSAPP: 'whatsapp'
+};
+
+// ============================================================================
+// TOKEN SETTINGS
+// ============================================================================
+
+export const RECOVERY_TOKEN = {
+  TTL_MS: 30 * 60 * 1000, // 30 minutes
+  RANDOM_BYTES: 32,
+  MAX_REQUESTS_PER_DAY: 5,
+  DEFAULT_LINK_BASE_URL: 'https://app.7awel.com/wallet/recovery'
+};
+
+// ============================================================================
+// ERRORS
+// ============================================================================
+
+export const RECOVERY_ERRORS = {
+  INVALID_TOKEN: 'Recovery link is invalid or expired',
+  NO_DESTINATION: 'No verified destination for the selected recovery channel',
+  CHANNEL_UNAVAILABLE: 'Recovery channel is not available',
+  TOO_MANY_REQUESTS: 'Too many recovery requests for this wallet today'
+};
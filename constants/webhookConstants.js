@@ -0,0 +1,36 @@
+// ============================================================================
+// WEBHOOK EVENTS
+// ============================================================================
+
+export const WEBHOOK_EVENTS = {
+  TRANSACTION_CREATED: 'transaction.created',
+  TRANSACTION_COMPLETED: 'transaction.completed',
+  TRANSACTION_FAILED: 'transaction.failed',
+  TRANSACTION_CANCELLED: 'transaction.cancelled'
+};
+
+// ============================================================================
+// DELIVERY STATUS
+// ============================================================================
+
+export const WEBHOOK_DELIVERY_STATUS = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed'
+};
+
+// ============================================================================
+// DELIVERY SETTINGS
+// ============================================================================
+
+export const WEBHOOK_DELIVERY = {
+  MAX_ATTEMPTS: 6,
+  BASE_RETRY_DELAY_MS: 30 * 1000, // 30s, 1m, 2m, 4m, 8m between attempts
+  MAX_RETRY_DELAY_MS: 60 * 60 * 1000,
+  REQUEST_TIMEOUT_MS: 10 * 1000,
+  RETRY_POLL_INTERVAL_MS: 30 * 1000,
+  SIGNATURE_HEADER: 'X-7awel-Signature',
+  EVENT_HEADER: 'X-7awel-Event',
+  DELIVERY_HEADER: 'X-7awel-Delivery',
+  SECRET_PREFIX: 'whsec_'
+};
@@ -0,0 +1,40 @@
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+export const WHATSAPP_PROVIDERS = {
+  CLOUD: 'cloud',
+  FAKE: 'fake'
+};
+
+// ============================================================================
+// MESSAGE STATUS
+// ============================================================================
+
+export const WHATSAPP_MESSAGE_STATUS = {
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read',
+  FAILED: 'failed'
+};
+
+// Status callbacks can arrive out of order; a message never moves backwards
+export const WHATSAPP_STATUS_RANK = {
+  sent: 1,
+  delivered: 2,
+  read: 3,
+  failed: 4
+};
+
+// ============================================================================
+// TEMPLATES
+// ============================================================================
+
+// Message bodies live in NOTIFICATION_TEMPLATES (notificationConstants.js)
+export const WHATSAPP_TEMPLATES = {
+  TRANSACTION_SUCCESS: 'transaction_success',
+  TRANSACTION_FAILURE: 'transaction_failure',
+  SECURITY_ALERT: 'security_alert',
+  DIGEST: 'notification_digest'
+};
+
@@ -205,64 +205,6 @@ class AdminAuthController {
       ));
     }
   }
-
-  /**
-   * Create admin user (for initial setup only)
-   * POST /api/v1/admin/auth/create
-   */
-  async createAdmin(req, res) {
-    try {
-      // Only allow this in development environment
-      if (process.env.NODE_ENV === 'production') {
-        return res.status(403).json(createErrorResponse(
-          'Admin creation not allowed in production',
-          'FORBIDDEN',
-          403
-        ));
-      }
-
-      const { username, password, email } = req.body;
-
-      // Validate input
-      if (!username || !password || !email) {
-        return res.status(400).json(createErrorResponse(
-          'Username, password, and email are required',
-          'MISSING_FIELDS',
-          400
-        ));
-      }
-
-      if (password.length < 6) {
-        return res.status(400).json(createErrorResponse(
-          'Password must be at least 6 characters long',
-          'WEAK_PASSWORD',
-          400
-        ));
-      }
-
-      // Create admin
-      const newAdmin = await adminAuthService.createAdmin({
-        username,
-        password,
-        email
-      });
-
-      console.log(`👤 New admin created: ${username}`);
-
-      return res.status(201).json(createSuccessResponse(
-        newAdmin,
-        'Admin created successfully'
-      ));
-
-    } catch (error) {
-      console.error('Create admin error:', error);
-      return res.status(400).json(createErrorResponse(
-        error.message,
-        'ADMIN_CREATION_ERROR',
-        400
-      ));
-    }
-  }
 }
 
 export default new AdminAuthController(); 
\ No newline at end of file
@@ -0,0 +1,239 @@
+import adminAuthService from '../services/adminAuthService.js';
+import { ADMIN_ROLES, ADMIN_ACCOUNT_LIMITS } from '../constants/adminConstants.js';
+import { createSuccessResponse, createErrorResponse } from '../utils/baseResponse.js';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const adminRoles = Object.values(ADMIN_ROLES);
+
+// Admin creation schema
+const createAdminSchema = z.object({
+  username: z.string().regex(ADMIN_ACCOUNT_LIMITS.USERNAME_PATTERN, 'Username must be 3-50 letters, digits, dots, dashes or underscores'),
+  email: z.string().email('Email must be valid'),
+  password: z.string().min(
+    ADMIN_ACCOUNT_LIMITS.MIN_PASSWORD_LENGTH,
+    `Password must be at least ${ADMIN_ACCOUNT_LIMITS.MIN_PASSWORD_LENGTH} characters long`
+  ),
+  role: z.enum(adminRoles).default(ADMIN_ROLES.ADMIN)
+});
+
+// Role update schema
+const updateRoleSchema = z.object({
+  role: z.enum(adminRoles)
+});
+
+// List filters schema
+const listAdminsSchema = z.object({
+  role: z.enum(adminRoles).optional(),
+  active: z.enum(['true', 'false']).transform(val => val === 'true').optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+  offset: z.coerce.number().int().min(0).default(0)
+});
+
+const formatZodErrors = (error) => error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+
+/**
+ * Map service errors to HTTP responses
+ */
+function handleServiceError(res, error, fallbackMessage) {
+  const message = (error.message || '').replace(/^Failed to create admin: /, '');
+
+  if (message === 'Admin not found') {
+    return res.status(404).json(createErrorResponse(
+      message,
+      'ADMIN_NOT_FOUND',
+      404
+    ));
+  }
+
+  if (message === 'Admin with this username or email already exists') {
+    return res.status(409).json(createErrorResponse(
+      message,
+      'ADMIN_ALREADY_EXISTS',
+      409
+    ));
+  }
+
+  if (message.startsWith('You cannot') || message === 'At least one active super admin is required') {
+    return res.status(409).json(createErrorResponse(
+      message,
+      'ADMIN_CHANGE_NOT_ALLOWED',
+      409
+    ));
+  }
+
+  if (message.startsWith('Invalid admin role')) {
+    return res.status(400).json(createErrorResponse(
+      message,
+      'INVALID_ADMIN_ROLE',
+      400
+    ));
+  }
+
+  return res.status(500).json(createErrorResponse(
+    fallbackMessage,
+    'INTERNAL_SERVER_ERROR',
+    500,
+    message
+  ));
+}
+
+function invalidAdminId(res) {
+  return res.status(400).json(createErrorResponse(
+    'Invalid admin ID format',
+    'INVALID_UUID_FORMAT',
+    400
+  ));
+}
+
+/**
+ * Shared handler for activating and deactivating admins
+ */
+async function setAdminActive(req, res, isActive) {
+  try {
+    const { adminId } = req.params;
+    if (!uuidRegex.test(adminId)) {
+      return invalidAdminId(res);
+    }
+
+    const admin = await adminAuthService.setAdminActive(req.admin.id, adminId, isActive);
+
+    logger.logSecurity(isActive ? 'Admin account activated' : 'Admin account deactivated', 'medium', {
+      actorId: req.admin.id,
+      adminId
+    });
+
+    return res.json(createSuccessResponse(
+      admin,
+      isActive ? 'Admin activated successfully' : 'Admin deactivated successfully'
+    ));
+
+  } catch (error) {
+    return handleServiceError(res, error, 'Failed to update admin status');
+  }
+}
+
+class AdminManagementController {
+  /**
+   * List admin accounts
+   * GET /api/v1/admin/admins
+   */
+  async listAdmins(req, res) {
+    try {
+      const parseResult = listAdminsSchema.safeParse(req.query || {});
+      if (!parseResult.success) {
+        return res.status(400).json(createErrorResponse(
+          `Validation failed: ${formatZodErrors(parseResult.error)}`,
+          'VALIDATION_ERROR',
+          400
+        ));
+      }
+
+      const { role, active, limit, offset } = parseResult.data;
+      const admins = await adminAuthService.listAdmins({
+        role,
+        is_active: active,
+        limit,
+        offset
+      });
+
+      return res.json(createSuccessResponse(
+        { admins, limit, offset },
+        'Admins retrieved successfully'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to retrieve admins');
+    }
+  }
+
+  /**
+   * Create an admin account
+   * POST /api/v1/admin/admins
+   */
+  async createAdmin(req, res) {
+    try {
+      const parseResult = createAdminSchema.safeParse(req.body || {});
+      if (!parseResult.success) {
+        return res.status(400).json(createErrorResponse(
+          `Validation failed: ${formatZodErrors(parseResult.error)}`,
+          'VALIDATION_ERROR',
+          400
+        ));
+      }
+
+      const admin = await adminAuthService.createAdmin(parseResult.data, req.admin.id);
+
+      logger.logSecurity('Admin account created', 'medium', {
+        actorId: req.admin.id,
+        adminId: admin.id,
+        role: admin.role
+      });
+
+      return res.status(201).json(createSuccessResponse(
+        admin,
+        'Admin created successfully'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to create admin');
+    }
+  }
+
+  /**
+   * Change an admin's role
+   * PATCH /api/v1/admin/admins/:adminId/role
+   */
+  async updateRole(req, res) {
+    try {
+      const { adminId } = req.params;
+      if (!uuidRegex.test(adminId)) {
+        return invalidAdminId(res);
+      }
+
+      const parseResult = updateRoleSchema.safeParse(req.body || {});
+      if (!parseResult.success) {
+        return res.status(400).json(createErrorResponse(
+          `Validation failed: ${formatZodErrors(parseResult.error)}`,
+          'VALIDATION_ERROR',
+          400
+        ));
+      }
+
+      const admin = await adminAuthService.updateAdminRole(req.admin.id, adminId, parseResult.data.role);
+
+      logger.logSecurity('Admin role changed', 'medium', {
+        actorId: req.admin.id,
+        adminId,
+        role: admin.role
+      });
+
+      return res.json(createSuccessResponse(
+        admin,
+        'Admin role updated successfully'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to update admin role');
+    }
+  }
+
+  /**
+   * Disable an admin account
+   * POST /api/v1/admin/admins/:adminId/deactivate
+   */
+  async deactivateAdmin(req, res) {
+    return setAdminActive(req, res, false);
+  }
+
+  /**
+   * Re-enable an admin account
+   * POST /api/v1/admin/admins/:adminId/activate
+   */
+  async activateAdmin(req, res) {
+    return setAdminActive(req, res, true);
+  }
+}
+
+export default new AdminManagementController();
@@ -1,6 +1,9 @@
 import authService from '../services/authService.js';
+import SessionRegistryService from '../services/sessionRegistryService.js';
 import BaseResponse from '../utils/baseResponse.js';
 import logger from '../utils/logger.js';
+import { revokeDeviceSchema } from '../middleware/validation.js';
+import { SESSION_REGISTRY_ERRORS } from '../constants/securityConstants.js';
 
 class AuthController {
 
@@ -93,33 +96,11 @@ class AuthController {
 
   async getSessions(req, res) {
     try {
-      const stytchUserId = req.user.stytchId;
-      
-      if (!stytchUserId) {
-        return BaseResponse.error(
-          res,
-          'Stytch user ID not found',
-          400,
-          'Missing Stytch user ID in session',
-          'MISSING_STYTCH_USER_ID'
-        );
-      }
-      
-      const sessions = await authService.getUserSessions(stytchUserId);
-      
-      // Format sessions for response
-      const formattedSessions = sessions.map(session => ({
-        session_id: session.session_id,
-        started_at: session.started_at,
-        last_accessed_at: session.last_accessed_at,
-        expires_at: session.expires_at,
-        attributes: session.attributes,
-        current: session.session_id === req.user.session.session_id
-      }));
+      const sessions = await SessionRegistryService.listDevices(req.user.id, req.sessionToken);
       
       return BaseResponse.success(
         res,
-        { sessions: formattedSessions },
+        { sessions },
         'Sessions retrieved successfully'
       );
     } catch (error) {
@@ -135,26 +116,35 @@ class AuthController {
 
   async revokeSession(req, res) {
     try {
-      const { sessionId } = req.params;
-      
-      const success = await authService.revokeSession(sessionId);
-      
-      if (success) {
-        return BaseResponse.success(
-          res,
-          { revoked: true, sessionId },
-          'Session revoked successfully'
-        );
-      } else {
+      const parsed = revokeDeviceSchema.safeParse(req.params);
+      if (!parsed.success || !parsed.data.deviceId) {
         return BaseResponse.error(
           res,
-          'Failed to revoke session',
+          'Invalid device ID',
           400,
-          'Session not found or already revoked',
-          'SESSION_REVOKE_FAILED'
+          'deviceId must be a session ID from GET /auth/devices',
+          'INVALID_DEVICE_ID'
         );
       }
+      
+      const session = await SessionRegistryService.revokeDevice(req.user.id, parsed.data.deviceId);
+      
+      logger.logUserAction(req.user.id, 'device_revoked', {
+        sessionId: session.id,
+        current: session.session_token === req.sessionToken,
+        ip: req.ip
+      });
+      
+      return BaseResponse.success(
+        res,
+        { revoked: true, sessionId: session.id },
+        'Session revoked successfully'
+      );
     } catch (error) {
+      if (error.message === SESSION_REGISTRY_ERRORS.NOT_FOUND) {
+        return BaseResponse.notFound(res, error.message, 'SESSION_NOT_FOUND');
+      }
+      
       return BaseResponse.error(
         res,
         'Failed to revoke session',
@@ -232,35 +222,31 @@ class AuthController {
 
   async revokeAllSessions(req, res) {
     try {
-      const stytchUserId = req.user.stytchId;
-      
-      if (!stytchUserId) {
-        return BaseResponse.error(
-          res,
-          'Stytch user ID not found',
-          400,
-          'Missing Stytch user ID in session',
-          'MISSING_STYTCH_USER_ID'
-        );
+      const revokedCount = await SessionRegistryService.revokeAllDevices(req.user.id);
+      
+      // Also clear Stytch sessions that never reached the registry; the registry
+      // alone is enough to lock them out, so a Stytch outage is not an error here
+      if (req.user.stytchId) {
+        try {
+          await authService.revokeAllSessions(req.user.stytchId);
+        } catch (error) {
+          logger.warn('Could not revoke Stytch sessions', {
+            userId: req.user.id,
+            errorMessage: error.message
+          });
+        }
       }
       
-      const success = await authService.revokeAllSessions(stytchUserId);
+      logger.logUserAction(req.user.id, 'all_devices_revoked', {
+        revokedCount,
+        ip: req.ip
+      });
       
-      if (success) {
-        return BaseResponse.success(
-          res,
-          { allSessionsRevoked: true },
-          'All sessions revoked successfully'
-        );
-      } else {
-        return BaseResponse.error(
-          res,
-          'Failed to revoke all sessions',
-          400,
-          'No active sessions found',
-          'REVOKE_ALL_SESSIONS_FAILED'
-        );
-      }
+      return BaseResponse.success(
+        res,
+        { allSessionsRevoked: true, revokedCount },
+        'All sessions revoked successfully'
+      );
     } catch (error) {
       return BaseResponse.error(
         res,
@@ -502,7 +488,7 @@ class AuthController {
    */
   async completeLogin(req, res) {
     try {
-      const { sessionId } = req.body;
+      const { sessionId, deviceId, deviceName } = req.body;
       
       logger.logAuth('Login completion attempt', 'info', {
         sessionId,
@@ -510,7 +496,12 @@ class AuthController {
         userAgent: req.get('User-Agent')
       });
       
-      const result = await authService.completeLogin(sessionId);
+      const result = await authService.completeLogin(sessionId, {
+        deviceId,
+        deviceName,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
       
       logger.logAuth('Login completed successfully', 'info', {
         sessionId,
@@ -1,13 +1,82 @@
 import ContactsWithAccounts from '../models/ContactsWithAccounts.js';
 import BaseResponse from '../utils/baseResponse.js';
 import { logUserActivity } from '../services/activityService.js';
+import ContactSyncService from '../services/contactSyncService.js';
+import { ERROR_MESSAGES } from '../constants/contactConstants.js';
+
+/**
+ * Apply a delta sync (POST /contacts/sync with a syncToken)
+ */
+async function syncContactsDelta(req, res) {
+  const userId = req.user.id;
+  const { syncToken, addedHashes = [], removedHashes = [], deviceContactsCount, hashingMethod, timestamp, batchSize } = req.body;
+
+  try {
+    const result = await ContactSyncService.deltaSync(
+      userId,
+      { syncToken, addedHashes, removedHashes, deviceContactsCount },
+      { batchSize }
+    );
+
+    await logUserActivity(
+      userId,
+      'Contact delta sync completed',
+      'contact',
+      {
+        device_contacts: deviceContactsCount,
+        contacts_added: result.contacts_added,
+        contacts_removed: result.contacts_removed,
+        newly_matched: result.newly_matched.length,
+        processing_time_ms: result.processing_time_ms,
+        hashing_method: hashingMethod
+      }
+    );
+
+    return BaseResponse.success(
+      res,
+      {
+        ...result,
+        security_info: {
+          hashing_method: hashingMethod,
+          hashes_processed: addedHashes.length + removedHashes.length,
+          timestamp: timestamp
+        }
+      },
+      'Contact changes synced successfully'
+    );
+  } catch (error) {
+    if (error.message === ERROR_MESSAGES.SYNC.SYNC_TOKEN_INVALID) {
+      return BaseResponse.error(
+        res,
+        error.message,
+        409,
+        { requiresFullSync: true },
+        'SYNC_TOKEN_INVALID'
+      );
+    }
+
+    console.error('Contact delta sync error:', error);
+    return BaseResponse.error(
+      res,
+      'Failed to sync contacts',
+      500,
+      error.message,
+      'CONTACT_SYNC_FAILED'
+    );
+  }
+}
 
 class ContactController {
   /**
    * Sync user contacts with secure hashed phone numbers
    * POST /contacts/sync
+   * Requests with a syncToken only carry the changes since that token
    */
   async syncContacts(req, res) {
+    if (req.body?.syncToken !== undefined) {
+      return syncContactsDelta(req, res);
+    }
+
     try {
       const { contactHashes, deviceContactsCount, hashingMethod, timestamp, batchSize } = req.body;
       const userId = req.user.id;
@@ -95,7 +164,7 @@ class ContactController {
         console.log('Performance estimation not available, continuing without it');
       }
 
-      const result = await ContactsWithAccounts.syncContacts(
+      const result = await ContactSyncService.fullSync(
         userId, 
         phoneHashes, 
         deviceContactsCount,
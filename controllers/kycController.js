@@ -0,0 +1,277 @@
+import KycService from '../services/kycService.js';
+import {
+  KYC_LEVELS,
+  KYC_ID_TYPES,
+  KYC_SUBMISSION_STATUS,
+  KYC_REVIEW,
+  KYC_ERRORS
+} from '../constants/kycConstants.js';
+import { createSuccessResponse, createErrorResponse } from '../utils/baseResponse.js';
+import { z } from 'zod';
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+const isPastDate = (value) => {
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date < new Date();
+};
+
+// Submission schema (multipart form fields; documents arrive as files)
+const submissionSchema = z.object({
+  level: z.enum([KYC_LEVELS.BASIC, KYC_LEVELS.ENHANCED, KYC_LEVELS.FULL]),
+  firstName: z.string().trim().min(1, 'First name is required').max(100),
+  lastName: z.string().trim().min(1, 'Last name is required').max(100),
+  dateOfBirth: z.string()
+    .regex(/^\d{4}-\d{2}-\d{2}$/, 'Date of birth must be YYYY-MM-DD')
+    .refine(isPastDate, 'Date of birth must be in the past'),
+  nationality: z.string().regex(/^[A-Za-z]{2}$/, 'Nationality must be a two-letter country code'),
+  idType: z.enum(KYC_ID_TYPES),
+  idNumber: z.string().trim().min(3, 'ID number is required').max(64),
+  address: z.string().trim().max(500).optional()
+}).refine(data => data.level !== KYC_LEVELS.FULL || Boolean(data.address), {
+  message: 'Address is required for full verification',
+  path: ['address']
+});
+
+// Review queue filters
+const listSubmissionsSchema = z.object({
+  status: z.enum(Object.values(KYC_SUBMISSION_STATUS)).optional(),
+  userId: z.string().regex(uuidRegex, 'User ID must be a valid UUID').optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+  offset: z.coerce.number().int().min(0).default(0)
+});
+
+// Rejection schema
+const rejectSchema = z.object({
+  reason: z.string().trim().min(1, 'Reason is required').max(KYC_REVIEW.MAX_REJECTION_REASON_LENGTH)
+});
+
+const formatZodErrors = (error) => error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+
+function validationError(res, error) {
+  return res.status(400).json(createErrorResponse(
+    `Validation failed: ${formatZodErrors(error)}`,
+    'VALIDATION_ERROR',
+    400
+  ));
+}
+
+function invalidId(res, label) {
+  return res.status(400).json(createErrorResponse(
+    `Invalid ${label} ID format`,
+    'INVALID_UUID_FORMAT',
+    400
+  ));
+}
+
+/**
+ * Map service errors to HTTP responses
+ */
+function handleServiceError(res, error, fallbackMessage) {
+  const message = error.message || '';
+
+  if (message === KYC_ERRORS.SUBMISSION_NOT_FOUND) {
+    return res.status(404).json(createErrorResponse(message, 'KYC_SUBMISSION_NOT_FOUND', 404));
+  }
+
+  if (message === KYC_ERRORS.ALREADY_PENDING) {
+    return res.status(409).json(createErrorResponse(message, 'KYC_SUBMISSION_PENDING', 409));
+  }
+
+  if (message === KYC_ERRORS.NOT_PENDING) {
+    return res.status(409).json(createErrorResponse(message, 'KYC_SUBMISSION_ALREADY_REVIEWED', 409));
+  }
+
+  if (message === KYC_ERRORS.LEVEL_NOT_HIGHER) {
+    return res.status(400).json(createErrorResponse(message, 'KYC_LEVEL_NOT_HIGHER', 400));
+  }
+
+  if (message.startsWith(KYC_ERRORS.MISSING_DOCUMENTS) || message === KYC_ERRORS.INVALID_DOCUMENT) {
+    return res.status(400).json(createErrorResponse(message, 'INVALID_KYC_DOCUMENTS', 400));
+  }
+
+  return res.status(500).json(createErrorResponse(
+    fallbackMessage,
+    'INTERNAL_SERVER_ERROR',
+    500,
+    message
+  ));
+}
+
+/**
+ * Uploaded files by document type; multer gives an array per field
+ */
+function collectFiles(req) {
+  return Object.fromEntries(
+    Object.entries(req.files || {}).map(([field, files]) => [field, files[0]])
+  );
+}
+
+class KycController {
+  /**
+   * Current KYC level, limits and latest submission
+   * GET /api/v1/kyc
+   */
+  async getStatus(req, res) {
+    try {
+      const status = await KycService.getStatus(req.user.id);
+
+      return res.json(createSuccessResponse(status, 'KYC status retrieved successfully'));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to retrieve KYC status');
+    }
+  }
+
+  /**
+   * Submit identity data and documents for the next level
+   * POST /api/v1/kyc/submissions
+   */
+  async submit(req, res) {
+    try {
+      const parseResult = submissionSchema.safeParse(req.body || {});
+      if (!parseResult.success) {
+        return validationError(res, parseResult.error);
+      }
+
+      const submission = await KycService.submit(req.user.id, parseResult.data, collectFiles(req));
+
+      return res.status(201).json(createSuccessResponse(
+        submission,
+        'KYC submission received and waiting for review'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to submit KYC');
+    }
+  }
+
+  /**
+   * The user's own submissions
+   * GET /api/v1/kyc/submissions
+   */
+  async listMySubmissions(req, res) {
+    try {
+      const submissions = await KycService.listUserSubmissions(req.user.id);
+
+      return res.json(createSuccessResponse(
+        { submissions },
+        'KYC submissions retrieved successfully'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to retrieve KYC submissions');
+    }
+  }
+
+  /**
+   * Review queue
+   * GET /api/v1/admin/kyc/submissions
+   */
+  async listSubmissions(req, res) {
+    try {
+      const parseResult = listSubmissionsSchema.safeParse(req.query || {});
+      if (!parseResult.success) {
+        return validationError(res, parseResult.error);
+      }
+
+      const { status, userId, limit, offset } = parseResult.data;
+      const submissions = await KycService.listSubmissions({ status, userId, limit, offset });
+
+      return res.json(createSuccessResponse(
+        { submissions, limit, offset },
+        'KYC submissions retrieved successfully'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to retrieve KYC submissions');
+    }
+  }
+
+  /**
+   * One submission with document links
+   * GET /api/v1/admin/kyc/submissions/:submissionId
+   */
+  async getSubmission(req, res) {
+    try {
+      const { submissionId } = req.params;
+      if (!uuidRegex.test(submissionId)) {
+        return invalidId(res, 'submission');
+      }
+
+      const submission = await KycService.getSubmission(submissionId);
+
+      return res.json(createSuccessResponse(submission, 'KYC submission retrieved successfully'));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to retrieve KYC submission');
+    }
+  }
+
+  /**
+   * Approve a submission and raise the user's level
+   * POST /api/v1/admin/kyc/submissions/:submissionId/approve
+   */
+  async approve(req, res) {
+    try {
+      const { submissionId } = req.params;
+      if (!uuidRegex.test(submissionId)) {
+        return invalidId(res, 'submission');
+      }
+
+      const submission = await KycService.approve(submissionId, req.admin.id);
+
+      return res.json(createSuccessResponse(submission, 'KYC submission approved'));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to approve KYC submission');
+    }
+  }
+
+  /**
+   * Reject a submission with a reason shown to the user
+   * POST /api/v1/admin/kyc/submissions/:submissionId/reject
+   */
+  async reject(req, res) {
+    try {
+      const { submissionId } = req.params;
+      if (!uuidRegex.test(submissionId)) {
+        return invalidId(res, 'submission');
+      }
+
+      const parseResult = rejectSchema.safeParse(req.body || {});
+      if (!parseResult.success) {
+        return validationError(res, parseResult.error);
+      }
+
+      const submission = await KycService.reject(submissionId, req.admin.id, parseResult.data.reason);
+
+      return res.json(createSuccessResponse(submission, 'KYC submission rejected'));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to reject KYC submission');
+    }
+  }
+
+  /**
+   * A user's level changes
+   * GET /api/v1/admin/kyc/users/:userId/history
+   */
+  async getLevelHistory(req, res) {
+    try {
+      const { userId } = req.params;
+      if (!uuidRegex.test(userId)) {
+        return invalidId(res, 'user');
+      }
+
+      const history = await KycService.getLevelHistory(userId);
+
+      return res.json(createSuccessResponse({ history }, 'KYC level history retrieved successfully'));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to retrieve KYC level history');
+    }
+  }
+}
+
+export default new KycController();
@@ -0,0 +1,49 @@
+import LedgerService from '../services/ledgerService.js';
+import { createSuccessResponse, createErrorResponse } from '../utils/baseResponse.js';
+import { z } from 'zod';
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// Reconciliation filters
+const reconciliationSchema = z.object({
+  walletId: z.string().regex(uuidRegex, 'Wallet ID must be a valid UUID').optional()
+});
+
+const formatZodErrors = (error) => error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+
+class LedgerController {
+  /**
+   * Compare asset balances with the ledger
+   * GET /api/v1/admin/ledger/reconciliation?walletId={walletId}
+   */
+  async getReconciliation(req, res) {
+    try {
+      const parseResult = reconciliationSchema.safeParse(req.query || {});
+      if (!parseResult.success) {
+        return res.status(400).json(createErrorResponse(
+          `Validation failed: ${formatZodErrors(parseResult.error)}`,
+          'VALIDATION_ERROR',
+          400
+        ));
+      }
+
+      const report = await LedgerService.reconcile({ walletId: parseResult.data.walletId || null });
+
+      return res.json(createSuccessResponse(
+        report,
+        report.balanced ? 'Balances match the ledger' : 'Balances differ from the ledger'
+      ));
+
+    } catch (error) {
+      console.error('Error in getReconciliation controller:', error);
+      return res.status(500).json(createErrorResponse(
+        'Failed to reconcile the ledger',
+        'INTERNAL_SERVER_ERROR',
+        500,
+        error.message
+      ));
+    }
+  }
+}
+
+export default new LedgerController();
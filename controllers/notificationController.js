@@ -0,0 +1,229 @@
+import NotificationInboxService from '../services/notificationInboxService.js';
+import DeviceTokenService from '../services/deviceTokenService.js';
+import {
+  NOTIFICATION_INBOX,
+  NOTIFICATION_ERRORS,
+  DEVICE_TOKENS,
+  DEVICE_TOKEN_ERRORS
+} from '../constants/notificationConstants.js';
+import { SESSION_REGISTRY } from '../constants/securityConstants.js';
+import { createSuccessResponse, createErrorResponse } from '../utils/baseResponse.js';
+import { z } from 'zod';
+
+const listNotificationsSchema = z.object({
+  cursor: z.string().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(NOTIFICATION_INBOX.MAX_PAGE_SIZE).default(NOTIFICATION_INBOX.DEFAULT_PAGE_SIZE),
+  unreadOnly: z.enum(['true', 'false']).optional().transform(value => value === 'true')
+});
+
+const notificationIdSchema = z.object({
+  id: z.string().uuid('Invalid notification ID')
+});
+
+const deviceTokenField = z.string({ required_error: 'token is required' })
+  .trim()
+  .min(1, 'token is required')
+  .max(DEVICE_TOKENS.MAX_TOKEN_LENGTH);
+
+const registerDeviceTokenSchema = z.object({
+  token: deviceTokenField,
+  platform: z.enum(DEVICE_TOKENS.PLATFORMS, {
+    errorMap: () => ({ message: `platform must be one of: ${DEVICE_TOKENS.PLATFORMS.join(', ')}` })
+  }),
+  appVersion: z.string().max(DEVICE_TOKENS.APP_VERSION_MAX_LENGTH).optional(),
+  deviceId: z.string().max(SESSION_REGISTRY.DEVICE_ID_MAX_LENGTH).optional()
+});
+
+const unregisterDeviceTokenSchema = z.object({
+  token: deviceTokenField
+});
+
+const formatZodErrors = (error) => error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+
+function validationError(res, error) {
+  return res.status(400).json(createErrorResponse(
+    `Validation failed: ${formatZodErrors(error)}`,
+    'VALIDATION_ERROR',
+    400
+  ));
+}
+
+/**
+ * Map service errors to HTTP responses
+ */
+function handleServiceError(res, error, fallbackMessage) {
+  const message = error.message || '';
+
+  switch (message) {
+    case NOTIFICATION_ERRORS.INVALID_CURSOR:
+      return res.status(400).json(createErrorResponse(message, 'INVALID_CURSOR', 400));
+    case NOTIFICATION_ERRORS.NOT_FOUND:
+      return res.status(404).json(createErrorResponse(message, 'NOTIFICATION_NOT_FOUND', 404));
+    case DEVICE_TOKEN_ERRORS.INVALID:
+      return res.status(400).json(createErrorResponse(message, 'INVALID_DEVICE_TOKEN', 400));
+    case DEVICE_TOKEN_ERRORS.NOT_FOUND:
+      return res.status(404).json(createErrorResponse(message, 'DEVICE_TOKEN_NOT_FOUND', 404));
+    default:
+      return res.status(500).json(createErrorResponse(
+        fallbackMessage,
+        'INTERNAL_SERVER_ERROR',
+        500,
+        message
+      ));
+  }
+}
+
+class NotificationController {
+  /**
+   * List inbox notifications, newest first
+   * GET /api/v1/notifications?cursor={cursor}&limit={limit}&unreadOnly={true|false}
+   */
+  async getNotifications(req, res) {
+    try {
+      const parseResult = listNotificationsSchema.safeParse(req.query || {});
+      if (!parseResult.success) {
+        return validationError(res, parseResult.error);
+      }
+
+      const result = await NotificationInboxService.list(req.user.id, parseResult.data);
+
+      return res.json(createSuccessResponse(
+        result,
+        'Notifications retrieved successfully'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to retrieve notifications');
+    }
+  }
+
+  /**
+   * Number of unread notifications
+   * GET /api/v1/notifications/unread-count
+   */
+  async getUnreadCount(req, res) {
+    try {
+      const unreadCount = await NotificationInboxService.getUnreadCount(req.user.id);
+
+      return res.json(createSuccessResponse(
+        { unreadCount },
+        'Unread count retrieved successfully'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to retrieve unread count');
+    }
+  }
+
+  /**
+   * Mark one notification read
+   * PUT /api/v1/notifications/:id/read
+   */
+  async markRead(req, res) {
+    try {
+      const parseResult = notificationIdSchema.safeParse(req.params);
+      if (!parseResult.success) {
+        return validationError(res, parseResult.error);
+      }
+
+      const notification = await NotificationInboxService.markRead(req.user.id, parseResult.data.id);
+
+      return res.json(createSuccessResponse(
+        notification,
+        'Notification marked as read'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to mark notification as read');
+    }
+  }
+
+  /**
+   * Mark every notification read
+   * PUT /api/v1/notifications/read-all
+   */
+  async markAllRead(req, res) {
+    try {
+      const updated = await NotificationInboxService.markAllRead(req.user.id);
+
+      return res.json(createSuccessResponse(
+        { updated },
+        'All notifications marked as read'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to mark notifications as read');
+    }
+  }
+
+  /**
+   * Delete a notification from the inbox
+   * DELETE /api/v1/notifications/:id
+   */
+  async deleteNotification(req, res) {
+    try {
+      const parseResult = notificationIdSchema.safeParse(req.params);
+      if (!parseResult.success) {
+        return validationError(res, parseResult.error);
+      }
+
+      await NotificationInboxService.remove(req.user.id, parseResult.data.id);
+
+      return res.json(createSuccessResponse(
+        { id: parseResult.data.id },
+        'Notification deleted'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to delete notification');
+    }
+  }
+
+  /**
+   * Register or refresh this install's FCM token
+   * POST /api/v1/notifications/device-tokens
+   */
+  async registerDeviceToken(req, res) {
+    try {
+      const parseResult = registerDeviceTokenSchema.safeParse(req.body || {});
+      if (!parseResult.success) {
+        return validationError(res, parseResult.error);
+      }
+
+      const deviceToken = await DeviceTokenService.register(req.user.id, parseResult.data);
+
+      return res.status(201).json(createSuccessResponse(
+        deviceToken,
+        'Device token registered'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to register device token');
+    }
+  }
+
+  /**
+   * Stop sending push notifications to a token, e.g. on sign-out
+   * DELETE /api/v1/notifications/device-tokens
+   */
+  async unregisterDeviceToken(req, res) {
+    try {
+      const parseResult = unregisterDeviceTokenSchema.safeParse(req.body || {});
+      if (!parseResult.success) {
+        return validationError(res, parseResult.error);
+      }
+
+      await DeviceTokenService.unregister(req.user.id, parseResult.data.token);
+
+      return res.json(createSuccessResponse(
+        null,
+        'Device token unregistered'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to unregister device token');
+    }
+  }
+}
+
+export default new NotificationController();
@@ -0,0 +1,392 @@
+import PaymentRequestService, { REQUEST_DIRECTIONS } from '../services/paymentRequestService.js';
+import { PAYMENT_REQUEST_STATUS } from '../models/PaymentRequest.js';
+import { createSuccessResponse, createErrorResponse } from '../utils/baseResponse.js';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+import SpendingLimitService, { DAILY_LIMIT_EXCEEDED } from '../services/spendingLimitService.js';
+import KycService from '../services/kycService.js';
+import { KYC_LIMIT_EXCEEDED } from '../constants/kycConstants.js';
+import LedgerService from '../services/ledgerService.js';
+import { INSUFFICIENT_FUNDS } from '../constants/ledgerConstants.js';
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// Payment request creation schema
+const createRequestSchema = z.object({
+  recipientId: z.string().regex(uuidRegex, 'Recipient ID must be a valid UUID'),
+  amount: z.coerce.number().positive('Amount must be a positive number'),
+  assetSymbol: z.string()
+    .min(1, 'Asset symbol is required')
+    .transform(val => val.toUpperCase())
+    .refine(val => /^[A-Z0-9]{1,10}$/.test(val), {
+      message: 'Asset symbol must be 1-10 letters or digits'
+    }),
+  note: z.string().max(500, 'Note must be 500 characters or less').optional(),
+  expiresAt: z.string().datetime({ message: 'expiresAt must be an ISO 8601 date' }).optional()
+    .refine(val => !val || new Date(val) > new Date(), {
+      message: 'expiresAt must be in the future'
+    })
+});
+
+// Payment schema for paying an incoming request
+const payRequestSchema = z.object({
+  network: z.string().min(1).transform(val => val.toLowerCase()).optional(),
+  fromAddress: z.string().optional(),
+  description: z.string().optional()
+});
+
+/**
+ * Map service errors to HTTP responses
+ */
+function handleServiceError(res, error, fallbackMessage) {
+  const message = error.message || '';
+
+  if (message === 'Payment request not found') {
+    return res.status(404).json(createErrorResponse(
+      'Payment request not found',
+      'PAYMENT_REQUEST_NOT_FOUND',
+      404
+    ));
+  }
+
+  if (message.startsWith('Only the ')) {
+    return res.status(403).json(createErrorResponse(
+      message,
+      'PAYMENT_REQUEST_FORBIDDEN',
+      403
+    ));
+  }
+
+  if (message.startsWith('Payment request is already') || message.startsWith('Payment request is no longer')) {
+    return res.status(409).json(createErrorResponse(
+      message,
+      'PAYMENT_REQUEST_NOT_PENDING',
+      409
+    ));
+  }
+
+  if (SpendingLimitService.isDailyLimitError(error)) {
+    return res.status(403).json(createErrorResponse(
+      message.replace(/^Failed to create transaction: /, ''),
+      DAILY_LIMIT_EXCEEDED,
+      403
+    ));
+  }
+
+  if (KycService.isLimitError(error)) {
+    return res.status(403).json(createErrorResponse(
+      message.replace(/^Failed to create transaction: /, ''),
+      KYC_LIMIT_EXCEEDED,
+      403
+    ));
+  }
+
+  if (LedgerService.isInsufficientFundsError(error)) {
+    return res.status(400).json(createErrorResponse(
+      message.replace(/^Failed to create transaction: /, ''),
+      INSUFFICIENT_FUNDS,
+      400
+    ));
+  }
+
+  if (message === 'Cannot request payment from yourself') {
+    return res.status(400).json(createErrorResponse(
+      message,
+      'INVALID_RECIPIENT',
+      400
+    ));
+  }
+
+  return res.status(500).json(createErrorResponse(
+    fallbackMessage,
+    'INTERNAL_SERVER_ERROR',
+    500,
+    message
+  ));
+}
+
+class PaymentRequestController {
+  /**
+   * Create a payment request
+   * POST /api/v1/payment-requests
+   */
+  async createRequest(req, res) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json(createErrorResponse(
+          'Authentication required',
+          'UNAUTHORIZED',
+          401
+        ));
+      }
+
+      const parseResult = createRequestSchema.safeParse(req.body);
+      if (!parseResult.success) {
+        const errors = parseResult.error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+        return res.status(400).json(createErrorResponse(
+          `Validation failed: ${errors}`,
+          'VALIDATION_ERROR',
+          400
+        ));
+      }
+
+      const paymentRequest = await PaymentRequestService.createRequest(userId, parseResult.data);
+
+      logger.logUserAction(userId, 'create_payment_request', {
+        paymentRequestId: paymentRequest.id,
+        recipientId: paymentRequest.recipient_id,
+        amount: `${paymentRequest.amount} ${paymentRequest.asset_symbol}`,
+        ip: req.ip
+      });
+
+      return res.status(201).json(createSuccessResponse(
+        paymentRequest,
+        'Payment request created successfully'
+      ));
+    } catch (error) {
+      console.error('Error in createRequest controller:', error);
+      return handleServiceError(res, error, 'Failed to create payment request');
+    }
+  }
+
+  /**
+   * List incoming or outgoing payment requests
+   * GET /api/v1/payment-requests?direction={incoming|outgoing}&status={status}&limit={limit}&offset={offset}
+   */
+  async getRequests(req, res) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json(createErrorResponse(
+          'Authentication required',
+          'UNAUTHORIZED',
+          401
+        ));
+      }
+
+      const {
+        direction = 'incoming',
+        status,
+        assetSymbol,
+        limit = 20,
+        offset = 0
+      } = req.query;
+
+      if (!REQUEST_DIRECTIONS.includes(direction)) {
+        return res.status(400).json(createErrorResponse(
+          `Invalid direction. Must be one of: ${REQUEST_DIRECTIONS.join(', ')}`,
+          'INVALID_PARAMETER',
+          400
+        ));
+      }
+
+      if (status && !Object.values(PAYMENT_REQUEST_STATUS).includes(status)) {
+        return res.status(400).json(createErrorResponse(
+          `Invalid status. Must be one of: ${Object.values(PAYMENT_REQUEST_STATUS).join(', ')}`,
+          'INVALID_PARAMETER',
+          400
+        ));
+      }
+
+      const limitNum = parseInt(limit, 10);
+      if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+        return res.status(400).json(createErrorResponse(
+          'Invalid limit parameter. Must be between 1 and 100',
+          'INVALID_PARAMETER',
+          400
+        ));
+      }
+
+      const offsetNum = parseInt(offset, 10);
+      if (isNaN(offsetNum) || offsetNum < 0) {
+        return res.status(400).json(createErrorResponse(
+          'Invalid offset parameter. Must be 0 or greater',
+          'INVALID_PARAMETER',
+          400
+        ));
+      }
+
+      const result = await PaymentRequestService.getRequests(userId, direction, {
+        status,
+        assetSymbol,
+        limit: limitNum,
+        offset: offsetNum
+      });
+
+      return res.json(createSuccessResponse(
+        result,
+        'Payment requests retrieved successfully'
+      ));
+    } catch (error) {
+      console.error('Error in getRequests controller:', error);
+      return handleServiceError(res, error, 'Failed to retrieve payment requests');
+    }
+  }
+
+  /**
+   * Get a payment request by ID
+   * GET /api/v1/payment-requests/:id
+   */
+  async getRequestById(req, res) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json(createErrorResponse(
+          'Authentication required',
+          'UNAUTHORIZED',
+          401
+        ));
+      }
+
+      const { id } = req.params;
+      if (!uuidRegex.test(id)) {
+        return res.status(400).json(createErrorResponse(
+          'Invalid payment request ID format',
+          'INVALID_UUID_FORMAT',
+          400
+        ));
+      }
+
+      const paymentRequest = await PaymentRequestService.getRequestById(userId, id);
+
+      return res.json(createSuccessResponse(
+        paymentRequest,
+        'Payment request retrieved successfully'
+      ));
+    } catch (error) {
+      console.error('Error in getRequestById controller:', error);
+      return handleServiceError(res, error, 'Failed to retrieve payment request');
+    }
+  }
+
+  /**
+   * Decline an incoming payment request
+   * POST /api/v1/payment-requests/:id/decline
+   */
+  async declineRequest(req, res) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json(createErrorResponse(
+          'Authentication required',
+          'UNAUTHORIZED',
+          401
+        ));
+      }
+
+      const { id } = req.params;
+      if (!uuidRegex.test(id)) {
+        return res.status(400).json(createErrorResponse(
+          'Invalid payment request ID format',
+          'INVALID_UUID_FORMAT',
+          400
+        ));
+      }
+
+      const paymentRequest = await PaymentRequestService.declineRequest(userId, id);
+
+      return res.json(createSuccessResponse(
+        paymentRequest,
+        'Payment request declined successfully'
+      ));
+    } catch (error) {
+      console.error('Error in declineRequest controller:', error);
+      return handleServiceError(res, error, 'Failed to decline payment request');
+    }
+  }
+
+  /**
+   * Cancel an outgoing payment request
+   * POST /api/v1/payment-requests/:id/cancel
+   */
+  async cancelRequest(req, res) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json(createErrorResponse(
+          'Authentication required',
+          'UNAUTHORIZED',
+          401
+        ));
+      }
+
+      const { id } = req.params;
+      if (!uuidRegex.test(id)) {
+        return res.status(400).json(createErrorResponse(
+          'Invalid payment request ID format',
+          'INVALID_UUID_FORMAT',
+          400
+        ));
+      }
+
+      const paymentRequest = await PaymentRequestService.cancelRequest(userId, id);
+
+      return res.json(createSuccessResponse(
+        paymentRequest,
+        'Payment request cancelled successfully'
+      ));
+    } catch (error) {
+      console.error('Error in cancelRequest controller:', error);
+      return handleServiceError(res, error, 'Failed to cancel payment request');
+    }
+  }
+
+  /**
+   * Pay an incoming payment request
+   * POST /api/v1/payment-requests/:id/pay
+   */
+  async payRequest(req, res) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json(createErrorResponse(
+          'Authentication required',
+          'UNAUTHORIZED',
+          401
+        ));
+      }
+
+      const { id } = req.params;
+      if (!uuidRegex.test(id)) {
+        return res.status(400).json(createErrorResponse(
+          'Invalid payment request ID format',
+          'INVALID_UUID_FORMAT',
+          400
+        ));
+      }
+
+      const parseResult = payRequestSchema.safeParse(req.body || {});
+      if (!parseResult.success) {
+        const errors = parseResult.error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+        return res.status(400).json(createErrorResponse(
+          `Validation failed: ${errors}`,
+          'VALIDATION_ERROR',
+          400
+        ));
+      }
+
+      const result = await PaymentRequestService.payRequest(userId, id, parseResult.data);
+
+      logger.logUserAction(userId, 'pay_payment_request', {
+        paymentRequestId: id,
+        transactionId: result.transaction.id,
+        ip: req.ip
+      });
+
+      return res.status(201).json(createSuccessResponse(
+        result,
+        'Payment request paid successfully'
+      ));
+    } catch (error) {
+      logger.logError('Failed to pay payment request', error, {
+        userId: req.user?.id,
+        paymentRequestId: req.params.id,
+        ip: req.ip
+      });
+      return handleServiceError(res, error, 'Failed to pay payment request');
+    }
+  }
+}
+
+export default new PaymentRequestController();
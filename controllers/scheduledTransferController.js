@@ -0,0 +1,301 @@
+import ScheduledTransferService from '../services/scheduledTransferService.js';
+import { isValidPhoneNumber } from '../services/contactHelpers.js';
+import {
+  SCHEDULE_FREQUENCIES,
+  SCHEDULED_TRANSFER_STATUS,
+  SCHEDULED_TRANSFER_ERRORS,
+  TRANSFER_ERRORS
+} from '../constants/transferConstants.js';
+import { createSuccessResponse, createErrorResponse } from '../utils/baseResponse.js';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// Scheduled transfer schema: exactly one recipient, either a user (by contact, phone or ID) or an address
+const createScheduledTransferSchema = z.object({
+  contactId: z.string().regex(uuidRegex, 'Contact ID must be a valid UUID').optional(),
+  phoneNumber: z.string().refine(isValidPhoneNumber, 'Phone number must be in international format').optional(),
+  userId: z.string().regex(uuidRegex, 'User ID must be a valid UUID').optional(),
+  toAddress: z.string().min(1, 'Address is required').max(255).optional(),
+  network: z.string().min(1).transform(val => val.toLowerCase()).optional(),
+  amount: z.coerce.number().positive('Amount must be a positive number'),
+  assetSymbol: z.string()
+    .min(1, 'Asset symbol is required')
+    .transform(val => val.toUpperCase())
+    .refine(val => /^[A-Z0-9]{1,10}$/.test(val), {
+      message: 'Asset symbol must be 1-10 letters or digits'
+    }),
+  note: z.string().max(500, 'Note must be 500 characters or less').optional(),
+  frequency: z.enum(Object.values(SCHEDULE_FREQUENCIES)).default(SCHEDULE_FREQUENCIES.ONCE),
+  startAt: z.string().datetime({ message: 'startAt must be an ISO 8601 date', offset: true }),
+  endDate: z.string().datetime({ message: 'endDate must be an ISO 8601 date', offset: true }).optional(),
+  maxExecutions: z.coerce.number().int().positive('maxExecutions must be a positive integer').optional()
+}).refine(data => [data.contactId, data.phoneNumber, data.userId, data.toAddress].filter(Boolean).length === 1, {
+  message: 'Provide exactly one of contactId, phoneNumber, userId or toAddress',
+  path: ['recipient']
+}).refine(data => !data.toAddress || data.network, {
+  message: 'Network is required for transfers to an address',
+  path: ['network']
+}).refine(data => data.frequency !== SCHEDULE_FREQUENCIES.ONCE || (!data.endDate && !data.maxExecutions), {
+  message: 'endDate and maxExecutions only apply to recurring transfers',
+  path: ['frequency']
+});
+
+// Service errors by HTTP status and error code
+const SERVICE_ERRORS = {
+  [SCHEDULED_TRANSFER_ERRORS.NOT_FOUND]: [404, 'SCHEDULED_TRANSFER_NOT_FOUND'],
+  [SCHEDULED_TRANSFER_ERRORS.NOT_ACTIVE]: [409, 'SCHEDULED_TRANSFER_NOT_ACTIVE'],
+  [SCHEDULED_TRANSFER_ERRORS.NOT_PAUSED]: [409, 'SCHEDULED_TRANSFER_NOT_PAUSED'],
+  [SCHEDULED_TRANSFER_ERRORS.ALREADY_ENDED]: [409, 'SCHEDULED_TRANSFER_ENDED'],
+  [SCHEDULED_TRANSFER_ERRORS.START_IN_PAST]: [400, 'VALIDATION_ERROR'],
+  [SCHEDULED_TRANSFER_ERRORS.END_BEFORE_START]: [400, 'VALIDATION_ERROR'],
+  [SCHEDULED_TRANSFER_ERRORS.TOO_MANY]: [409, 'SCHEDULED_TRANSFER_LIMIT_REACHED'],
+  [TRANSFER_ERRORS.RECIPIENT_NOT_FOUND]: [404, 'RECIPIENT_NOT_FOUND'],
+  [TRANSFER_ERRORS.CONTACT_NOT_FOUND]: [404, 'CONTACT_NOT_FOUND'],
+  [TRANSFER_ERRORS.CONTACT_WITHOUT_ACCOUNT]: [400, 'RECIPIENT_NOT_REGISTERED'],
+  [TRANSFER_ERRORS.RECIPIENT_INACTIVE]: [400, 'RECIPIENT_INACTIVE'],
+  [TRANSFER_ERRORS.RECIPIENT_NO_WALLET]: [400, 'RECIPIENT_NO_WALLET'],
+  [TRANSFER_ERRORS.SELF_TRANSFER]: [400, 'INVALID_RECIPIENT']
+};
+
+/**
+ * Map service errors to HTTP responses
+ */
+function handleServiceError(res, error, fallbackMessage) {
+  const message = error.message || '';
+
+  if (SERVICE_ERRORS[message]) {
+    const [status, code] = SERVICE_ERRORS[message];
+    return res.status(status).json(createErrorResponse(message, code, status));
+  }
+
+  return res.status(500).json(createErrorResponse(
+    fallbackMessage,
+    'INTERNAL_SERVER_ERROR',
+    500,
+    error.message
+  ));
+}
+
+/**
+ * Pause, resume or cancel one of the user's scheduled transfers
+ */
+async function changeStatus(req, res, action, { successMessage, failureMessage }) {
+  try {
+    const userId = req.user?.id;
+    if (!userId) {
+      return res.status(401).json(createErrorResponse(
+        'Authentication required',
+        'UNAUTHORIZED',
+        401
+      ));
+    }
+
+    const { id } = req.params;
+    if (!uuidRegex.test(id)) {
+      return res.status(400).json(createErrorResponse(
+        'Invalid scheduled transfer ID format',
+        'INVALID_UUID_FORMAT',
+        400
+      ));
+    }
+
+    const scheduledTransfer = await ScheduledTransferService[action](userId, id);
+
+    logger.logUserAction(userId, `scheduled_transfer_${action}`, { scheduledTransferId: id, ip: req.ip });
+
+    return res.json(createSuccessResponse(scheduledTransfer, successMessage));
+  } catch (error) {
+    logger.logError(failureMessage, error, {
+      userId: req.user?.id,
+      scheduledTransferId: req.params.id,
+      ip: req.ip
+    });
+    return handleServiceError(res, error, failureMessage);
+  }
+}
+
+class ScheduledTransferController {
+  /**
+   * Schedule a one-off or recurring transfer
+   * POST /api/v1/scheduled-transfers
+   */
+  async createScheduledTransfer(req, res) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json(createErrorResponse(
+          'Authentication required',
+          'UNAUTHORIZED',
+          401
+        ));
+      }
+
+      const parseResult = createScheduledTransferSchema.safeParse(req.body || {});
+      if (!parseResult.success) {
+        const errors = parseResult.error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+        return res.status(400).json(createErrorResponse(
+          `Validation failed: ${errors}`,
+          'VALIDATION_ERROR',
+          400
+        ));
+      }
+
+      const { userId: recipientId, ...scheduleData } = parseResult.data;
+      const scheduledTransfer = await ScheduledTransferService.create(userId, { ...scheduleData, recipientId });
+
+      logger.logUserAction(userId, 'scheduled_transfer_create', {
+        scheduledTransferId: scheduledTransfer.id,
+        frequency: scheduledTransfer.frequency,
+        amount: `${scheduleData.amount} ${scheduleData.assetSymbol}`,
+        ip: req.ip
+      });
+
+      return res.status(201).json(createSuccessResponse(
+        scheduledTransfer,
+        'Transfer scheduled successfully'
+      ));
+    } catch (error) {
+      logger.logError('Failed to schedule transfer', error, {
+        userId: req.user?.id,
+        ip: req.ip,
+        endpoint: '/api/v1/scheduled-transfers'
+      });
+      return handleServiceError(res, error, 'Failed to schedule transfer');
+    }
+  }
+
+  /**
+   * List the user's scheduled transfers
+   * GET /api/v1/scheduled-transfers
+   */
+  async getScheduledTransfers(req, res) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json(createErrorResponse(
+          'Authentication required',
+          'UNAUTHORIZED',
+          401
+        ));
+      }
+
+      const { status, limit = 20, offset = 0 } = req.query;
+
+      if (status && !Object.values(SCHEDULED_TRANSFER_STATUS).includes(status)) {
+        return res.status(400).json(createErrorResponse(
+          `Invalid status. Must be one of: ${Object.values(SCHEDULED_TRANSFER_STATUS).join(', ')}`,
+          'INVALID_PARAMETER',
+          400
+        ));
+      }
+
+      const limitNum = parseInt(limit, 10);
+      if (isNaN(limitNum) || limitNum < 1 || limitNum > 100) {
+        return res.status(400).json(createErrorResponse(
+          'Invalid limit parameter. Must be between 1 and 100',
+          'INVALID_PARAMETER',
+          400
+        ));
+      }
+
+      const offsetNum = parseInt(offset, 10);
+      if (isNaN(offsetNum) || offsetNum < 0) {
+        return res.status(400).json(createErrorResponse(
+          'Invalid offset parameter. Must be 0 or greater',
+          'INVALID_PARAMETER',
+          400
+        ));
+      }
+
+      const scheduledTransfers = await ScheduledTransferService.list(userId, {
+        status,
+        limit: limitNum,
+        offset: offsetNum
+      });
+
+      return res.json(createSuccessResponse(
+        {
+          scheduledTransfers,
+          pagination: { limit: limitNum, offset: offsetNum, count: scheduledTransfers.length }
+        },
+        'Scheduled transfers retrieved successfully'
+      ));
+    } catch (error) {
+      logger.logError('Failed to list scheduled transfers', error, { userId: req.user?.id, ip: req.ip });
+      return handleServiceError(res, error, 'Failed to retrieve scheduled transfers');
+    }
+  }
+
+  /**
+   * Get a scheduled transfer with its latest execution attempts
+   * GET /api/v1/scheduled-transfers/:id
+   */
+  async getScheduledTransferById(req, res) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json(createErrorResponse(
+          'Authentication required',
+          'UNAUTHORIZED',
+          401
+        ));
+      }
+
+      const { id } = req.params;
+      if (!uuidRegex.test(id)) {
+        return res.status(400).json(createErrorResponse(
+          'Invalid scheduled transfer ID format',
+          'INVALID_UUID_FORMAT',
+          400
+        ));
+      }
+
+      const scheduledTransfer = await ScheduledTransferService.get(userId, id);
+
+      return res.json(createSuccessResponse(
+        scheduledTransfer,
+        'Scheduled transfer retrieved successfully'
+      ));
+    } catch (error) {
+      logger.logError('Failed to get scheduled transfer', error, { userId: req.user?.id, ip: req.ip });
+      return handleServiceError(res, error, 'Failed to retrieve scheduled transfer');
+    }
+  }
+
+  /**
+   * Stop running a scheduled transfer until it is resumed
+   * POST /api/v1/scheduled-transfers/:id/pause
+   */
+  async pauseScheduledTransfer(req, res) {
+    return changeStatus(req, res, 'pause', {
+      successMessage: 'Scheduled transfer paused successfully',
+      failureMessage: 'Failed to pause scheduled transfer'
+    });
+  }
+
+  /**
+   * Resume a paused scheduled transfer at its next run
+   * POST /api/v1/scheduled-transfers/:id/resume
+   */
+  async resumeScheduledTransfer(req, res) {
+    return changeStatus(req, res, 'resume', {
+      successMessage: 'Scheduled transfer resumed successfully',
+      failureMessage: 'Failed to resume scheduled transfer'
+    });
+  }
+
+  /**
+   * Cancel a scheduled transfer for good
+   * POST /api/v1/scheduled-transfers/:id/cancel
+   */
+  async cancelScheduledTransfer(req, res) {
+    return changeStatus(req, res, 'cancel', {
+      successMessage: 'Scheduled transfer cancelled successfully',
+      failureMessage: 'Failed to cancel scheduled transfer'
+    });
+  }
+}
+
+export default new ScheduledTransferController();
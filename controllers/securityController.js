@@ -0,0 +1,234 @@
+import TransactionPinService from '../services/transactionPinService.js';
+import DeviceTrustService from '../services/deviceTrustService.js';
+import { PIN_ERRORS, DEVICE_TRUST_ERRORS } from '../constants/securityConstants.js';
+import { createSuccessResponse, createErrorResponse } from '../utils/baseResponse.js';
+import { z } from 'zod';
+
+const pinField = z.string({ required_error: 'PIN is required' });
+
+const setPinSchema = z.object({
+  pin: pinField
+});
+
+const changePinSchema = z.object({
+  currentPin: pinField,
+  newPin: pinField
+});
+
+const verifyPinSchema = z.object({
+  pin: pinField
+});
+
+const deviceTrustSchema = z.object({
+  id: z.string().uuid('Invalid device ID'),
+  trusted: z.boolean({ required_error: 'trusted is required' })
+});
+
+const formatZodErrors = (error) => error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+
+function validationError(res, error) {
+  return res.status(400).json(createErrorResponse(
+    `Validation failed: ${formatZodErrors(error)}`,
+    'VALIDATION_ERROR',
+    400
+  ));
+}
+
+/**
+ * Respond to a failed PIN check (wrong PIN or locked)
+ */
+function pinRejected(res, verification) {
+  if (verification.locked) {
+    return res.status(423).json(createErrorResponse(
+      PIN_ERRORS.LOCKED,
+      'PIN_LOCKED',
+      423,
+      { lockedUntil: verification.lockedUntil }
+    ));
+  }
+
+  return res.status(401).json(createErrorResponse(
+    PIN_ERRORS.INCORRECT,
+    'INCORRECT_PIN',
+    401,
+    { remainingAttempts: verification.remainingAttempts }
+  ));
+}
+
+/**
+ * Map service errors to HTTP responses
+ */
+function handleServiceError(res, error, fallbackMessage) {
+  const message = error.message || '';
+
+  switch (message) {
+    case PIN_ERRORS.INVALID_FORMAT:
+    case PIN_ERRORS.WEAK_PIN:
+    case PIN_ERRORS.SAME_AS_CURRENT:
+      return res.status(400).json(createErrorResponse(message, 'INVALID_PIN', 400));
+    case PIN_ERRORS.NOT_SET:
+      return res.status(400).json(createErrorResponse(message, 'PIN_NOT_SET', 400));
+    case PIN_ERRORS.ALREADY_SET:
+      return res.status(409).json(createErrorResponse(message, 'PIN_ALREADY_SET', 409));
+    case PIN_ERRORS.SESSION_REQUIRED:
+      return res.status(401).json(createErrorResponse(message, 'SESSION_REQUIRED', 401));
+    case DEVICE_TRUST_ERRORS.NOT_FOUND:
+      return res.status(404).json(createErrorResponse(message, 'DEVICE_NOT_FOUND', 404));
+    case DEVICE_TRUST_ERRORS.TRUSTED_DEVICE_REQUIRED:
+      return res.status(403).json(createErrorResponse(message, 'TRUSTED_DEVICE_REQUIRED', 403));
+    default:
+      return res.status(500).json(createErrorResponse(
+        fallbackMessage,
+        'INTERNAL_SERVER_ERROR',
+        500,
+        message
+      ));
+  }
+}
+
+class SecurityController {
+  /**
+   * Transaction PIN status
+   * GET /api/v1/security/pin
+   */
+  async getPinStatus(req, res) {
+    try {
+      const status = await TransactionPinService.getStatus(req.user.id);
+
+      return res.json(createSuccessResponse(
+        status,
+        'Transaction PIN status retrieved successfully'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to retrieve transaction PIN status');
+    }
+  }
+
+  /**
+   * Set the transaction PIN for the first time
+   * POST /api/v1/security/pin
+   */
+  async setPin(req, res) {
+    try {
+      const parseResult = setPinSchema.safeParse(req.body || {});
+      if (!parseResult.success) {
+        return validationError(res, parseResult.error);
+      }
+
+      const status = await TransactionPinService.setPin(req.user.id, parseResult.data.pin, req);
+
+      return res.status(201).json(createSuccessResponse(
+        status,
+        'Transaction PIN set successfully'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to set transaction PIN');
+    }
+  }
+
+  /**
+   * Change the transaction PIN
+   * PUT /api/v1/security/pin
+   */
+  async changePin(req, res) {
+    try {
+      const parseResult = changePinSchema.safeParse(req.body || {});
+      if (!parseResult.success) {
+        return validationError(res, parseResult.error);
+      }
+
+      const { currentPin, newPin } = parseResult.data;
+      const result = await TransactionPinService.changePin(req.user.id, currentPin, newPin, req);
+      if (!result.valid) {
+        return pinRejected(res, result);
+      }
+
+      return res.json(createSuccessResponse(
+        { changed: true },
+        'Transaction PIN changed successfully'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to change transaction PIN');
+    }
+  }
+
+  /**
+   * Verify the transaction PIN for the current session
+   * POST /api/v1/security/pin/verify
+   */
+  async verifyPin(req, res) {
+    try {
+      const parseResult = verifyPinSchema.safeParse(req.body || {});
+      if (!parseResult.success) {
+        return validationError(res, parseResult.error);
+      }
+
+      const userId = req.user.id;
+      const result = await TransactionPinService.verifyPin(userId, parseResult.data.pin, req);
+      if (!result.valid) {
+        return pinRejected(res, result);
+      }
+
+      const verifiedUntil = await TransactionPinService.markSessionVerified(
+        userId,
+        req.sessionToken,
+        req.user.session?.expires_at
+      );
+
+      return res.json(createSuccessResponse(
+        { verified: true, verifiedUntil },
+        'Transaction PIN verified'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to verify transaction PIN');
+    }
+  }
+
+  /**
+   * Devices the user has signed in from, with their trust state
+   * GET /api/v1/security/devices
+   */
+  async getDevices(req, res) {
+    try {
+      const devices = await DeviceTrustService.listDevices(req.user.id, req.sessionToken);
+
+      return res.json(createSuccessResponse(
+        { devices },
+        'Devices retrieved successfully'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to retrieve devices');
+    }
+  }
+
+  /**
+   * Mark a device trusted or untrusted
+   * PUT /api/v1/security/devices/:id/trust
+   */
+  async setDeviceTrust(req, res) {
+    try {
+      const parseResult = deviceTrustSchema.safeParse({ ...(req.body || {}), id: req.params.id });
+      if (!parseResult.success) {
+        return validationError(res, parseResult.error);
+      }
+
+      const { id, trusted } = parseResult.data;
+      const device = await DeviceTrustService.setTrust(req.user.id, id, trusted, req.sessionToken, req);
+
+      return res.json(createSuccessResponse(
+        device,
+        trusted ? 'Device marked as trusted' : 'Device marked as untrusted'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to update device trust');
+    }
+  }
+}
+
+export default new SecurityController();
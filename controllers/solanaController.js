@@ -1,17 +1,72 @@
-import solanaService from '../services/solanaService.js';
+import solanaService, { DEFAULT_TOKEN_SYMBOL } from '../services/solanaService.js';
 import BaseResponse from '../utils/baseResponse.js';
 import { logUserActivity } from '../services/activityService.js';
 import Transaction from '../models/Transaction.js';
+import TransactionDetail from '../models/TransactionDetail.js';
+import TransactionService, { TRANSACTION_TYPES, TRANSACTION_STATUS } from '../services/transactionService.js';
+import SpendingLimitService, { DAILY_LIMIT_EXCEEDED } from '../services/spendingLimitService.js';
+import KycService from '../services/kycService.js';
+import { KYC_LIMIT_EXCEEDED } from '../constants/kycConstants.js';
+
+/**
+ * Token symbol for the request; the legacy /usdt/* routes have no :symbol param
+ */
+function getTokenSymbol(req) {
+  return (req.params.symbol || DEFAULT_TOKEN_SYMBOL).toUpperCase();
+}
+
+function isUnsupportedTokenError(error) {
+  return error.message?.startsWith('Unsupported token');
+}
+
+function unsupportedToken(res, error) {
+  return BaseResponse.error(
+    res,
+    'Token is not supported on Solana',
+    404,
+    error.message,
+    'UNSUPPORTED_TOKEN'
+  );
+}
 
 class SolanaController {
   /**
-   * 🚀 Prepare USDT transfer operation
-   * POST /api/solana/usdt/prepare
+   * 📋 List SPL tokens available for transfer
+   * GET /api/solana/tokens
    */
-  async prepareUSDTTransfer(req, res) { 
+  async listTokens(req, res) {
+    try {
+      const tokens = await solanaService.getSupportedTokens();
+
+      return BaseResponse.success(
+        res,
+        { tokens },
+        'Supported tokens retrieved successfully'
+      );
+
+    } catch (error) {
+      console.error('❌ Error listing supported tokens:', error);
+
+      return BaseResponse.error(
+        res,
+        'Failed to list supported tokens',
+        500,
+        error.message,
+        'TOKEN_LIST_FAILED'
+      );
+    }
+  }
+
+  /**
+   * 🚀 Prepare token transfer operation
+   * POST /api/solana/tokens/:symbol/transfer/prepare
+   * POST /api/solana/usdt/prepare (USDT alias)
+   */
+  async prepareTokenTransfer(req, res) { 
     try {
       const { fromWallet, toWallet, amount } = req.body;
       const userId = req.user?.id;
+      const symbol = getTokenSymbol(req);
 
       // Check required inputs
       if (!fromWallet || !toWallet || !amount) {
@@ -24,7 +79,8 @@ class SolanaController {
         );
       }
 
-      console.log('🚀 Preparing USDT transfer:', {
+      console.log('🚀 Preparing token transfer:', {
+        symbol,
         fromWallet,
         toWallet,
         amount,
@@ -32,7 +88,8 @@ class SolanaController {
       });
 
       // Prepare transaction
-      const result = await solanaService.prepareUSDTTransfer(
+      const result = await solanaService.prepareTokenTransfer(
+        symbol,
         fromWallet,
         toWallet,
         parseFloat(amount),
@@ -43,9 +100,10 @@ class SolanaController {
       if (userId) {
         await logUserActivity(
           userId,
-          'USDT transfer prepared',
+          `${symbol} transfer prepared`,
           'solana_transfer_prepare',
           {
+            symbol,
             fromWallet,
             toWallet,
             amount: parseFloat(amount),
@@ -54,37 +112,63 @@ class SolanaController {
         );
       }
 
-      // 2.add transaction to database
+      // 2. Record the transfer; the confirmation worker resolves it by sender once it is sent
       const dbEntry = await Transaction.create({
-        user_id: userId,
-        from_address: fromWallet,
-        to_address: toWallet,
-        amount: parseFloat(amount),
-        status: 'PENDING_INIT', // xxxx1
-        raw_transaction: result.transaction, // serialized
-        network: 'solana',
-        type: 'usdt_transfer',
         reference: result.transactionId,
-        created_at: new Date().toISOString()
+        sender_id: userId,
+        type: TRANSACTION_TYPES.TRANSFER,
+        status: TRANSACTION_STATUS.PENDING,
+        amount: parseFloat(amount),
+        asset_symbol: symbol,
+        metadata: {
+          network: 'solana',
+          from_address: fromWallet,
+          to_address: toWallet
+        }
       });
 
       // 3. return transactionId and transaction
       return BaseResponse.success(
         res,
         {
+          ...result,
           transaction: result.transaction,
-          transactionId: dbEntry.id, // or reference if you want
-          ...result
+          transactionId: dbEntry.id,
+          reference: result.transactionId
         },
-        'USDT transfer prepared successfully. Please sign the transaction.'
+        `${symbol} transfer prepared successfully. Please sign the transaction.`
       );
 
     } catch (error) {
-      console.error('❌ Error preparing USDT transfer:', error);
+      console.error('❌ Error preparing token transfer:', error);
       
+      if (isUnsupportedTokenError(error)) {
+        return unsupportedToken(res, error);
+      }
+
+      if (SpendingLimitService.isDailyLimitError(error)) {
+        return BaseResponse.error(
+          res,
+          'Failed to prepare token transfer',
+          403,
+          error.message,
+          DAILY_LIMIT_EXCEEDED
+        );
+      }
+
+      if (KycService.isLimitError(error)) {
+        return BaseResponse.error(
+          res,
+          'Failed to prepare token transfer',
+          403,
+          error.message,
+          KYC_LIMIT_EXCEEDED
+        );
+      }
+
       return BaseResponse.error(
         res,
-        'Failed to prepare USDT transfer',
+        'Failed to prepare token transfer',
         400,
         error.message,
         'PREPARE_TRANSFER_FAILED'
@@ -93,10 +177,11 @@ class SolanaController {
   }
 
   /**
-   * ✅ Complete USDT transfer operation
-   * POST /api/solana/usdt/complete
+   * ✅ Complete token transfer operation
+   * POST /api/solana/tokens/:symbol/transfer/complete
+   * POST /api/solana/usdt/complete (USDT alias)
    */
-  async completeUSDTTransfer(req, res) {
+  async completeTokenTransfer(req, res) {
     try {
       const { serializedTransaction, userSignature, transactionId } = req.body;
       const userId = req.user?.id;
@@ -112,24 +197,36 @@ class SolanaController {
         );
       }
 
-      console.log('✅ Completing USDT transfer:', { transactionId, userId });
+      console.log('✅ Completing token transfer:', { symbol: getTokenSymbol(req), transactionId, userId });
 
-      // 1. update the transaction to SIGNED_BY_USER 
-      await Transaction.update(transactionId, {
-        status: 'SIGNED_BY_USER', 
-        signed_transaction: serializedTransaction,
-        updated_at: new Date().toISOString()
-      });
+      // 1. Only the sender may complete a prepared transfer, and only once
+      const transaction = await Transaction.findById(transactionId).catch(() => null);
+      if (!transaction || transaction.sender_id !== userId) {
+        return BaseResponse.error(
+          res,
+          'Transaction not found',
+          404,
+          'No prepared transfer with this transactionId',
+          'TRANSACTION_NOT_FOUND'
+        );
+      }
+
+      if (transaction.status !== TRANSACTION_STATUS.PENDING) {
+        return BaseResponse.error(
+          res,
+          'Transaction is no longer pending',
+          409,
+          `Transaction is already ${transaction.status}`,
+          'TRANSACTION_NOT_PENDING'
+        );
+      }
 
       // 2. verify the signature and instructions (need a function in solanaService)
       if (solanaService.verifyUserSignature) {
         const isValid = await solanaService.verifyUserSignature(serializedTransaction, userSignature);
         if (!isValid) {
-          // if error: update the transaction to FAILED_VALIDATION
-          await Transaction.update(transactionId, {
-            status: 'FAILED_VALIDATION', 
-            error_message: 'Invalid user signature or transaction instructions',
-            updated_at: new Date().toISOString()
+          await TransactionService.updateTransactionStatus(userId, transactionId, TRANSACTION_STATUS.FAILED, {
+            errorReason: 'Invalid user signature or transaction instructions'
           });
           return BaseResponse.error(
             res,
@@ -142,25 +239,16 @@ class SolanaController {
       }
 
       // 3. sign with fee payer wallet and send to blockchain
+      let result;
       try {
-        const result = await solanaService.completeUSDTTransfer(
+        result = await solanaService.completeTokenTransfer(
           serializedTransaction,
           userSignature,
           transactionId
         );
-        // if success: update the transaction to SUCCESS
-        await Transaction.update(transactionId, {
-          status: 'SUCCESS', 
-          blockchain_signature: result.signature,
-          updated_at: new Date().toISOString()
-        });
-        return BaseResponse.success(res, result, 'USDT transfer completed successfully!');
       } catch (err) {
-        // if failed: update the transaction to FAILED_ONCHAIN
-        await Transaction.update(transactionId, {
-          status: 'FAILED_ONCHAIN', 
-          error_message: err.message,
-          updated_at: new Date().toISOString()
+        await TransactionService.updateTransactionStatus(userId, transactionId, TRANSACTION_STATUS.FAILED, {
+          errorReason: err.message
         });
         return BaseResponse.error(
           res,
@@ -171,12 +259,26 @@ class SolanaController {
         );
       }
 
+      // 4. record the signature so the confirmation worker can finalize the status
+      await TransactionDetail.create({
+        transaction_id: transactionId,
+        network: 'solana',
+        tx_hash: result.signature,
+        confirmations: result.confirmations || 0
+      });
+      await TransactionService.updateTransactionStatus(userId, transactionId, TRANSACTION_STATUS.PROCESSING, {
+        oldStatus: TRANSACTION_STATUS.PENDING,
+        txHash: result.signature
+      });
+
+      return BaseResponse.success(res, result, `${getTokenSymbol(req)} transfer completed successfully!`);
+
     } catch (error) {
-      console.error('❌ Error completing USDT transfer:', error);
+      console.error('❌ Error completing token transfer:', error);
       
       return BaseResponse.error(
         res,
-        'Failed to complete USDT transfer',
+        'Failed to complete token transfer',
         400,
         error.message,
         'COMPLETE_TRANSFER_FAILED'
@@ -185,12 +287,14 @@ class SolanaController {
   }
 
   /**
-   * 💰 Check user's USDT balance
-   * GET /api/solana/usdt/balance/:walletAddress
+   * 💰 Check user's token balance
+   * GET /api/solana/tokens/:symbol/balance/:walletAddress
+   * GET /api/solana/usdt/balance/:walletAddress (USDT alias)
    */
-  async checkUSDTBalance(req, res) {
+  async checkTokenBalance(req, res) {
     try {
       const { walletAddress } = req.params;
+      const symbol = getTokenSymbol(req);
 
       if (!walletAddress) {
         return BaseResponse.error(
@@ -202,22 +306,26 @@ class SolanaController {
         );
       }
 
-      console.log('💰 Checking USDT balance for:', walletAddress);
+      console.log(`💰 Checking ${symbol} balance for:`, walletAddress);
 
-      const balance = await solanaService.checkUSDTBalance(walletAddress);
+      const balance = await solanaService.checkTokenBalance(symbol, walletAddress);
 
       return BaseResponse.success(
         res,
         balance,
-        'USDT balance retrieved successfully'
+        `${symbol} balance retrieved successfully`
       );
 
     } catch (error) {
-      console.error('❌ Error checking USDT balance:', error);
+      console.error('❌ Error checking token balance:', error);
       
+      if (isUnsupportedTokenError(error)) {
+        return unsupportedToken(res, error);
+      }
+
       return BaseResponse.error(
         res,
-        'Failed to check USDT balance',
+        'Failed to check token balance',
         400,
         error.message,
         'BALANCE_CHECK_FAILED'
@@ -256,13 +364,17 @@ class SolanaController {
 
   /**
    * 📊 Estimate transaction fees
-   * GET /api/solana/estimate-fee
+   * GET /api/solana/estimate-fee?token={symbol}&toWallet={address}
+   * GET /api/solana/tokens/:symbol/estimate-fee?toWallet={address}
    */
   async estimateTransactionFee(req, res) {
     try {
-      console.log('📊 Estimating transaction fee...');
+      const symbol = req.params.symbol || req.query.token;
+      const { toWallet } = req.query;
+
+      console.log('📊 Estimating transaction fee...', { symbol, toWallet });
 
-      const fee = await solanaService.estimateTransactionFee();
+      const fee = await solanaService.estimateTransactionFee({ symbol, toWallet });
 
       return BaseResponse.success(
         res,
@@ -273,6 +385,10 @@ class SolanaController {
     } catch (error) {
       console.error('❌ Error estimating transaction fee:', error);
       
+      if (isUnsupportedTokenError(error)) {
+        return unsupportedToken(res, error);
+      }
+
       return BaseResponse.error(
         res,
         'Failed to estimate transaction fee',
@@ -449,6 +565,26 @@ class SolanaController {
     } catch (error) {
       console.error('❌ Error in simple USDT send:', error);
       
+      if (SpendingLimitService.isDailyLimitError(error)) {
+        return BaseResponse.error(
+          res,
+          'Failed to send USDT',
+          403,
+          error.message,
+          DAILY_LIMIT_EXCEEDED
+        );
+      }
+
+      if (KycService.isLimitError(error)) {
+        return BaseResponse.error(
+          res,
+          'Failed to send USDT',
+          403,
+          error.message,
+          KYC_LIMIT_EXCEEDED
+        );
+      }
+
       return BaseResponse.error(
         res,
         'Failed to send USDT',
@@ -2,6 +2,11 @@ import TransactionService, { TRANSACTION_TYPES, TRANSACTION_STATUS } from '../se
 import { createSuccessResponse, createErrorResponse } from '../utils/baseResponse.js';
 import { z } from "zod";
 import logger from '../utils/logger.js';
+import SpendingLimitService, { DAILY_LIMIT_EXCEEDED } from '../services/spendingLimitService.js';
+import KycService from '../services/kycService.js';
+import { KYC_LIMIT_EXCEEDED } from '../constants/kycConstants.js';
+import LedgerService from '../services/ledgerService.js';
+import { INSUFFICIENT_FUNDS, TRANSACTION_NOT_PENDING, LEDGER_ERRORS } from '../constants/ledgerConstants.js';
 
 // Transaction validation schema with proper type coercion
 const transactionSchema = z.object({
@@ -46,23 +51,15 @@ const transactionSchema = z.object({
   metadata: z.record(z.any()).optional().default({}),
 });
 
-// Transaction status update schema
+// Transaction status update schema: users may only cancel their own pending
+// transactions. Completing, failing or crediting one moves money, so those
+// changes come from trusted code (the confirmation worker, internal services).
 const statusUpdateSchema = z.object({
-  status: z.string().refine((val) => {
-    try {
-      return Object.values(TRANSACTION_STATUS).includes(val);
-    } catch {
-      return ['pending', 'processing', 'completed', 'failed', 'cancelled'].includes(val);
-    }
-  }, {
-    message: "Invalid status. Must be one of: pending, processing, completed, failed, cancelled"
+  status: z.literal(TRANSACTION_STATUS.CANCELLED, {
+    errorMap: () => ({ message: 'Only cancelled is allowed; other status changes are made by the platform' })
   }),
-  txHash: z.string().optional(),
-  blockNumber: z.coerce.number().optional(),
-  gasUsed: z.coerce.number().optional(),
-  errorCode: z.string().optional(),
-  errorReason: z.string().optional(),
-}).passthrough(); // Allow additional fields
+  reason: z.string().max(500, 'Reason must be 500 characters or less').optional()
+});
 
 class TransactionController {
   /**
@@ -436,6 +433,38 @@ class TransactionController {
         endpoint: '/api/v1/transactions'
       });
 
+      if (SpendingLimitService.isDailyLimitError(error)) {
+        return res.status(403).json(createErrorResponse(
+          error.message.replace(/^Failed to create transaction: /, ''),
+          DAILY_LIMIT_EXCEEDED,
+          403
+        ));
+      }
+
+      if (KycService.isLimitError(error)) {
+        return res.status(403).json(createErrorResponse(
+          error.message.replace(/^Failed to create transaction: /, ''),
+          KYC_LIMIT_EXCEEDED,
+          403
+        ));
+      }
+
+      if (LedgerService.isInsufficientFundsError(error)) {
+        return res.status(400).json(createErrorResponse(
+          error.message.replace(/^Failed to create transaction: /, ''),
+          INSUFFICIENT_FUNDS,
+          400
+        ));
+      }
+
+      if (LedgerService.isNoWalletError(error)) {
+        return res.status(400).json(createErrorResponse(
+          error.message.replace(/^Failed to create transaction: /, ''),
+          'WALLET_NOT_FOUND',
+          400
+        ));
+      }
+
       return res.status(500).json(createErrorResponse(
         'Failed to create transaction',
         'INTERNAL_SERVER_ERROR',
@@ -446,7 +475,7 @@ class TransactionController {
   }
 
   /**
-   * Update transaction status (for internal use)
+   * Cancel one of the user's own pending transactions
    * PATCH /api/v1/transactions/{id}/status
    */
   async updateTransactionStatus(req, res) {
@@ -471,7 +500,7 @@ class TransactionController {
       }
 
       // Validate request body with Zod
-      const parseResult = statusUpdateSchema.safeParse(req.body);
+      const parseResult = statusUpdateSchema.safeParse(req.body || {});
       
       if (!parseResult.success) {
         const errors = parseResult.error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
@@ -482,27 +511,23 @@ class TransactionController {
         ));
       }
 
-      const { status, ...updateData } = parseResult.data;
-
-      // Update transaction
-      const transaction = await TransactionService.updateTransactionStatus(
+      const transaction = await TransactionService.cancelTransaction(
         userId,
         transactionId,
-        status,
-        updateData
+        parseResult.data.reason
       );
 
-      console.log(`🔄 User ${userId} updated transaction ${transactionId} status to ${status}`);
+      console.log(`🔄 User ${userId} cancelled transaction ${transactionId}`);
 
       return res.json(createSuccessResponse(
         transaction,
-        'Transaction status updated successfully'
+        'Transaction cancelled successfully'
       ));
 
     } catch (error) {
       console.error('Error in updateTransactionStatus controller:', error);
 
-      if (error.message === 'Transaction not found or access denied' || 
+      if (error.message.includes('Transaction not found or access denied') || 
           error.message.includes('JSON object requested, multiple (or no) rows returned')) {
         return res.status(404).json(createErrorResponse(
           'Transaction not found',
@@ -511,6 +536,14 @@ class TransactionController {
         ));
       }
 
+      if (LedgerService.isNotPendingError(error) || LedgerService.isAlreadySettledError(error)) {
+        return res.status(409).json(createErrorResponse(
+          LEDGER_ERRORS.NOT_PENDING,
+          TRANSACTION_NOT_PENDING,
+          409
+        ));
+      }
+
       return res.status(500).json(createErrorResponse(
         'Failed to update transaction status',
         'INTERNAL_SERVER_ERROR',
@@ -0,0 +1,129 @@
+import P2PTransferService from '../services/p2pTransferService.js';
+import SpendingLimitService, { DAILY_LIMIT_EXCEEDED } from '../services/spendingLimitService.js';
+import KycService from '../services/kycService.js';
+import LedgerService from '../services/ledgerService.js';
+import { isValidPhoneNumber } from '../services/contactHelpers.js';
+import { KYC_LIMIT_EXCEEDED } from '../constants/kycConstants.js';
+import { INSUFFICIENT_FUNDS } from '../constants/ledgerConstants.js';
+import { TRANSFER_ERRORS } from '../constants/transferConstants.js';
+import { createSuccessResponse, createErrorResponse } from '../utils/baseResponse.js';
+import { z } from 'zod';
+import logger from '../utils/logger.js';
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+
+// P2P transfer schema: exactly one way of naming the recipient
+const p2pTransferSchema = z.object({
+  contactId: z.string().regex(uuidRegex, 'Contact ID must be a valid UUID').optional(),
+  phoneNumber: z.string().refine(isValidPhoneNumber, 'Phone number must be in international format').optional(),
+  userId: z.string().regex(uuidRegex, 'User ID must be a valid UUID').optional(),
+  amount: z.coerce.number().positive('Amount must be a positive number'),
+  assetSymbol: z.string()
+    .min(1, 'Asset symbol is required')
+    .transform(val => val.toUpperCase())
+    .refine(val => /^[A-Z0-9]{1,10}$/.test(val), {
+      message: 'Asset symbol must be 1-10 letters or digits'
+    }),
+  note: z.string().max(500, 'Note must be 500 characters or less').optional()
+}).refine(data => [data.contactId, data.phoneNumber, data.userId].filter(Boolean).length === 1, {
+  message: 'Provide exactly one of contactId, phoneNumber or userId',
+  path: ['recipient']
+});
+
+// Service errors raised before any money moves, by HTTP status and error code
+const RECIPIENT_ERRORS = {
+  [TRANSFER_ERRORS.RECIPIENT_NOT_FOUND]: [404, 'RECIPIENT_NOT_FOUND'],
+  [TRANSFER_ERRORS.CONTACT_NOT_FOUND]: [404, 'CONTACT_NOT_FOUND'],
+  [TRANSFER_ERRORS.CONTACT_WITHOUT_ACCOUNT]: [400, 'RECIPIENT_NOT_REGISTERED'],
+  [TRANSFER_ERRORS.RECIPIENT_INACTIVE]: [400, 'RECIPIENT_INACTIVE'],
+  [TRANSFER_ERRORS.RECIPIENT_NO_WALLET]: [400, 'RECIPIENT_NO_WALLET'],
+  [TRANSFER_ERRORS.SELF_TRANSFER]: [400, 'INVALID_RECIPIENT']
+};
+
+/**
+ * Map service errors to HTTP responses
+ */
+function handleServiceError(res, error, fallbackMessage) {
+  const message = (error.message || '').replace(/^Failed to (create transaction|update transaction status): /, '');
+
+  if (RECIPIENT_ERRORS[message]) {
+    const [status, code] = RECIPIENT_ERRORS[message];
+    return res.status(status).json(createErrorResponse(message, code, status));
+  }
+
+  if (SpendingLimitService.isDailyLimitError(error)) {
+    return res.status(403).json(createErrorResponse(message, DAILY_LIMIT_EXCEEDED, 403));
+  }
+
+  if (KycService.isLimitError(error)) {
+    return res.status(403).json(createErrorResponse(message, KYC_LIMIT_EXCEEDED, 403));
+  }
+
+  if (LedgerService.isInsufficientFundsError(error)) {
+    return res.status(400).json(createErrorResponse(message, INSUFFICIENT_FUNDS, 400));
+  }
+
+  if (LedgerService.isNoWalletError(error)) {
+    return res.status(400).json(createErrorResponse(message, 'WALLET_NOT_FOUND', 400));
+  }
+
+  return res.status(500).json(createErrorResponse(
+    fallbackMessage,
+    'INTERNAL_SERVER_ERROR',
+    500,
+    error.message
+  ));
+}
+
+class TransferController {
+  /**
+   * Send money to another user by contact, phone number or user ID
+   * POST /api/v1/transfers/p2p
+   */
+  async sendP2P(req, res) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json(createErrorResponse(
+          'Authentication required',
+          'UNAUTHORIZED',
+          401
+        ));
+      }
+
+      const parseResult = p2pTransferSchema.safeParse(req.body || {});
+      if (!parseResult.success) {
+        const errors = parseResult.error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+        return res.status(400).json(createErrorResponse(
+          `Validation failed: ${errors}`,
+          'VALIDATION_ERROR',
+          400
+        ));
+      }
+
+      const { userId: recipientId, ...transferData } = parseResult.data;
+      const result = await P2PTransferService.send(userId, { ...transferData, recipientId });
+
+      logger.logUserAction(userId, 'p2p_transfer', {
+        transactionId: result.transaction.id,
+        recipientId: result.recipient.userId,
+        amount: `${transferData.amount} ${transferData.assetSymbol}`,
+        ip: req.ip
+      });
+
+      return res.status(201).json(createSuccessResponse(
+        result,
+        'Transfer sent successfully'
+      ));
+    } catch (error) {
+      logger.logError('Failed to send P2P transfer', error, {
+        userId: req.user?.id,
+        ip: req.ip,
+        endpoint: '/api/v1/transfers/p2p'
+      });
+      return handleServiceError(res, error, 'Failed to send transfer');
+    }
+  }
+}
+
+export default new TransferController();
@@ -3,6 +3,10 @@ import UserProfile from '../models/UserProfile.js';
 import UserSettings from '../models/UserSettings.js';
 import Wallet from '../models/Wallet.js';
 import NotificationSettings from '../models/NotificationSettings.js';
+import SpendingLimitService from '../services/spendingLimitService.js';
+import TransactionPinService from '../services/transactionPinService.js';
+import NotificationPreferenceService from '../services/notificationPreferenceService.js';
+import KycService from '../services/kycService.js';
 
 const userController = {
   async getUserProfile(req, res) {
@@ -50,13 +54,15 @@ const userController = {
       const settingsData = {
         language: settings?.language || 'en',
         theme: settings?.theme || 'light',
+        timezone: settings?.timezone || 'UTC',
         notifications: {
           pushEnabled: notifications?.push_enabled ?? false,
           transactionAlerts: notifications?.transaction_alerts ?? false,
           securityAlerts: notifications?.security_alerts ?? false,
           promotions: notifications?.promotions ?? false,
           emailNotifications: notifications?.email_notifications ?? false,
-          whatsappNotifications: notifications?.whatsapp_notifications ?? false
+          whatsappNotifications: notifications?.whatsapp_notifications ?? false,
+          ...NotificationPreferenceService.toResponse(notifications)
         },
         security: {
           biometricEnabled: settings?.biometric_enabled ?? false,
@@ -78,7 +84,43 @@ const userController = {
       if (!userId) {
         return res.status(401).json({ error: 'Unauthorized' });
       }
-      const { language, theme, notifications, security } = req.body;
+      const { language, theme, timezone, notifications, security } = req.body;
+
+      if (timezone !== undefined && !SpendingLimitService.isValidTimezone(timezone)) {
+        return res.status(400).json({ error: 'Invalid timezone' });
+      }
+
+      // Turning the transaction PIN on needs a PIN; turning it off needs a recent PIN entry
+      if (security?.transactionPin !== undefined) {
+        const pinStatus = await TransactionPinService.getStatus(userId);
+        if (security.transactionPin && !pinStatus.isSet) {
+          return res.status(400).json({ error: 'Set a transaction PIN first', code: 'PIN_NOT_SET' });
+        }
+        if (!security.transactionPin && pinStatus.enabled &&
+            !await TransactionPinService.isSessionVerified(userId, req.sessionToken)) {
+          return res.status(403).json({ error: 'Transaction PIN verification required', code: 'PIN_VERIFICATION_REQUIRED' });
+        }
+      }
+
+      // Validate channel preferences and quiet hours before writing anything
+      let notificationPreferences = {};
+      if (notifications?.channels !== undefined || notifications?.quietHours !== undefined) {
+        const current = await NotificationSettings.findByUserId(userId);
+        try {
+          notificationPreferences = {
+            ...(notifications.channels !== undefined && {
+              channel_preferences: NotificationPreferenceService.mergeChannelPreferences(
+                current?.channel_preferences,
+                notifications.channels
+              )
+            }),
+            ...(notifications.quietHours !== undefined &&
+              NotificationPreferenceService.parseQuietHours(current || {}, notifications.quietHours))
+          };
+        } catch (error) {
+          return res.status(400).json({ error: error.message, code: 'INVALID_NOTIFICATION_PREFERENCES' });
+        }
+      }
 
       // Update user settings
       let updatedSettings = null;
@@ -88,6 +130,7 @@ const userController = {
         updatedSettings = await settingsInstance.update({
           ...(language && { language }),
           ...(theme && { theme }),
+          ...(timezone && { timezone }),
           ...(security?.biometricEnabled !== undefined && { biometric_enabled: security.biometricEnabled }),
           ...(security?.twoFactorEnabled !== undefined && { two_factor_enabled: security.twoFactorEnabled }),
           ...(security?.transactionPin !== undefined && { transaction_pin: security.transactionPin })
@@ -103,7 +146,8 @@ const userController = {
           ...(notifications.securityAlerts !== undefined && { security_alerts: notifications.securityAlerts }),
           ...(notifications.promotions !== undefined && { promotions: notifications.promotions }),
           ...(notifications.emailNotifications !== undefined && { email_notifications: notifications.emailNotifications }),
-          ...(notifications.whatsappNotifications !== undefined && { whatsapp_notifications: notifications.whatsappNotifications })
+          ...(notifications.whatsappNotifications !== undefined && { whatsapp_notifications: notifications.whatsappNotifications }),
+          ...notificationPreferences
         });
       }
 
@@ -111,13 +155,15 @@ const userController = {
       const settingsData = {
         language: updatedSettings?.language || settings?.language || 'en',
         theme: updatedSettings?.theme || settings?.theme || 'light',
+        timezone: updatedSettings?.timezone || settings?.timezone || 'UTC',
         notifications: {
           pushEnabled: updatedNotifications?.push_enabled ?? notifications?.pushEnabled ?? false,
           transactionAlerts: updatedNotifications?.transaction_alerts ?? notifications?.transactionAlerts ?? false,
           securityAlerts: updatedNotifications?.security_alerts ?? notifications?.securityAlerts ?? false,
           promotions: updatedNotifications?.promotions ?? notifications?.promotions ?? false,
           emailNotifications: updatedNotifications?.email_notifications ?? notifications?.emailNotifications ?? false,
-          whatsappNotifications: updatedNotifications?.whatsapp_notifications ?? notifications?.whatsappNotifications ?? false
+          whatsappNotifications: updatedNotifications?.whatsapp_notifications ?? notifications?.whatsappNotifications ?? false,
+          ...NotificationPreferenceService.toResponse(updatedNotifications)
         },
         security: {
           biometricEnabled: updatedSettings?.biometric_enabled ?? security?.biometricEnabled ?? false,
@@ -131,6 +177,25 @@ const userController = {
       console.error('Update preferences error:', error);
       return res.status(500).json({ error: 'Failed to update preferences' });
     }
+  },
+
+  async getLimits(req, res) {
+    try {
+      const userId = req.user?.id;
+      if (!userId) {
+        return res.status(401).json({ error: 'Unauthorized' });
+      }
+
+      const [daily, kycLevel] = await Promise.all([
+        SpendingLimitService.getDailyLimitStatus(userId),
+        KycService.getLevel(userId)
+      ]);
+
+      return res.json({ limits: { daily, kyc: { level: kycLevel, ...KycService.getLimits(kycLevel) } } });
+    } catch (error) {
+      console.error('Get user limits error:', error);
+      return res.status(500).json({ error: 'Failed to get user limits' });
+    }
   }
 };
 
@@ -2,6 +2,8 @@ import Wallet from '../models/Wallet.js';
 import BaseResponse from '../utils/baseResponse.js';
 import { logUserActivity } from '../services/activityService.js';
 import { encryptWalletAddress, isValidWalletAddress } from '../utils/encryption.js';
+import WalletRecoveryService from '../services/walletRecoveryService.js';
+import { RECOVERY_CHANNELS, RECOVERY_ERRORS } from '../constants/walletRecoveryConstants.js';
 
 /**
  * Wallet Controller to handle wallets
@@ -425,17 +427,38 @@ class WalletController {
 
 
   /**
-    * Create recovery link
+   * Create recovery link and send it to the user's verified email or WhatsApp
    * POST /wallets/:walletId/recovery-link
+   * Body: { channel: 'email' | 'whatsapp' }
    */
   async generateRecoveryLink(req, res) {
     try {
       const { walletId } = req.params;
+      const { channel = RECOVERY_CHANNELS.EMAIL } = req.body || {};
       const userId = req.user.id;
 
-      // check if wallet belongs to user
-      const wallet = await Wallet.findById(walletId);
-      if (!wallet || wallet.user_id !== userId) {
+      const result = await WalletRecoveryService.issueRecoveryToken({
+        userId,
+        walletId,
+        channel,
+        request: req
+      });
+
+      // The link itself is only sent out-of-band, never returned here
+      return BaseResponse.success(
+        res,
+        {
+          sent: true,
+          channel: result.channel,
+          destination: result.destination,
+          expiresAt: result.expiresAt
+        },
+        'Recovery link sent successfully'
+      );
+    } catch (error) {
+      console.error('Generate recovery link error:', error);
+
+      if (error.message === 'Wallet not found') {
         return BaseResponse.error(
           res,
           'Wallet not found',
@@ -445,30 +468,26 @@ class WalletController {
         );
       }
 
-      // const recoveryLink = web3AuthService.generateRecoveryLink(userId, wallet.address);
+      if (error.message === RECOVERY_ERRORS.TOO_MANY_REQUESTS) {
+        return BaseResponse.error(
+          res,
+          'Too many recovery requests',
+          429,
+          error.message,
+          'RECOVERY_RATE_LIMITED'
+        );
+      }
 
-      // log activity
-      await logUserActivity(
-        userId,
-        'Recovery link generated',
-        'security_alert',
-        {
-          wallet_id: walletId,
-          wallet_address: wallet.address
-        }
-      );
+      if (error.message === RECOVERY_ERRORS.NO_DESTINATION || error.message === RECOVERY_ERRORS.CHANNEL_UNAVAILABLE) {
+        return BaseResponse.error(
+          res,
+          'Recovery channel unavailable',
+          400,
+          error.message,
+          'RECOVERY_CHANNEL_UNAVAILABLE'
+        );
+      }
 
-      return BaseResponse.success(
-        res,
-        {
-          recoveryLink,
-          expiresIn: '24h',
-          walletAddress: wallet.address
-        },
-        'Recovery link generated successfully'
-      );
-    } catch (error) {
-      console.error('Generate recovery link error:', error);
       return BaseResponse.error(
         res,
         'Failed to generate recovery link',
@@ -480,7 +499,7 @@ class WalletController {
   }
 
   /**
-   * Verify recovery link
+   * Verify recovery link (single use)
    * POST /wallets/recovery/verify
    */
   async verifyRecoveryLink(req, res) {
@@ -497,22 +516,37 @@ class WalletController {
         );
       }
 
-      // const recoveryData = web3AuthService.verifyRecoveryLink(token);
+      const { userId, wallet } = await WalletRecoveryService.verifyRecoveryToken(token, req);
 
-      if (!recoveryData) {
+      return BaseResponse.success(
+        res,
+        {
+          valid: true,
+          userId,
+          walletAddress: wallet.wallet_address,
+          wallet: {
+            id: wallet.id,
+            address: wallet.wallet_address,
+            type: wallet.wallet_type,
+            status: wallet.status
+          }
+        },
+        'Recovery link verified successfully'
+      );
+    } catch (error) {
+      console.error('Verify recovery link error:', error);
+
+      if (error.message === RECOVERY_ERRORS.INVALID_TOKEN) {
         return BaseResponse.error(
           res,
           'Invalid recovery link',
           400,
-          'Recovery link is invalid or expired',
+          error.message,
           'INVALID_RECOVERY_LINK'
         );
       }
 
-      // search for wallet
-      const wallet = await Wallet.findByAddress(recoveryData.walletAddress);
-
-      if (!wallet) {
+      if (error.message === 'Wallet not found') {
         return BaseResponse.error(
           res,
           'Wallet not found',
@@ -522,23 +556,6 @@ class WalletController {
         );
       }
 
-      return BaseResponse.success(
-        res,
-        {
-          valid: true,
-          userId: recoveryData.userId,
-          walletAddress: recoveryData.walletAddress,
-          wallet: {
-            id: wallet.id,
-            address: wallet.address,
-            network: wallet.network,
-            provider: wallet.provider
-          }
-        },
-        'Recovery link verified successfully'
-      );
-    } catch (error) {
-      console.error('Verify recovery link error:', error);
       return BaseResponse.error(
         res,
         'Failed to verify recovery link',
@@ -0,0 +1,313 @@
+import webhookService from '../services/webhookService.js';
+import { WEBHOOK_EVENTS, WEBHOOK_DELIVERY_STATUS } from '../constants/webhookConstants.js';
+import { createSuccessResponse, createErrorResponse } from '../utils/baseResponse.js';
+import { z } from 'zod';
+
+const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i;
+const eventTypes = Object.values(WEBHOOK_EVENTS);
+
+// Endpoint registration schema
+const createEndpointSchema = z.object({
+  url: z.string().url('URL must be valid'),
+  eventTypes: z.array(z.enum(eventTypes)).min(1, 'At least one event type is required'),
+  description: z.string().max(255, 'Description must be 255 characters or less').optional(),
+  userId: z.string().regex(uuidRegex, 'User ID must be a valid UUID').optional() // admins only
+});
+
+// Endpoint update schema
+const updateEndpointSchema = z.object({
+  url: z.string().url('URL must be valid').optional(),
+  eventTypes: z.array(z.enum(eventTypes)).min(1, 'At least one event type is required').optional(),
+  description: z.string().max(255, 'Description must be 255 characters or less').nullable().optional(),
+  isActive: z.boolean().optional()
+});
+
+// Delivery log filters
+const deliveriesQuerySchema = z.object({
+  status: z.enum(Object.values(WEBHOOK_DELIVERY_STATUS)).optional(),
+  limit: z.coerce.number().int().min(1).max(100).default(50),
+  offset: z.coerce.number().int().min(0).default(0)
+});
+
+const formatZodErrors = (error) => error.errors.map(e => `${e.path.join('.')}: ${e.message}`).join(', ');
+
+/**
+ * Resolve who is calling: admins manage every endpoint, merchants only their own
+ * @returns {Object|null} Owner scope for webhookService
+ */
+function getOwner(req) {
+  if (req.admin?.id) {
+    return { adminId: req.admin.id };
+  }
+  if (req.user?.id) {
+    return { userId: req.user.id };
+  }
+  return null;
+}
+
+function unauthorized(res) {
+  return res.status(401).json(createErrorResponse(
+    'Authentication required',
+    'UNAUTHORIZED',
+    401
+  ));
+}
+
+function invalidId(res, label) {
+  return res.status(400).json(createErrorResponse(
+    `Invalid ${label} ID format`,
+    'INVALID_UUID_FORMAT',
+    400
+  ));
+}
+
+/**
+ * Map service errors to HTTP responses
+ */
+function handleServiceError(res, error, fallbackMessage) {
+  const message = error.message || '';
+
+  if (message === 'Webhook endpoint not found' || message === 'Webhook delivery not found') {
+    return res.status(404).json(createErrorResponse(
+      message,
+      message === 'Webhook delivery not found' ? 'WEBHOOK_DELIVERY_NOT_FOUND' : 'WEBHOOK_ENDPOINT_NOT_FOUND',
+      404
+    ));
+  }
+
+  if (message.startsWith('Webhook URL') || message.startsWith('Invalid event types')) {
+    return res.status(400).json(createErrorResponse(
+      message,
+      'INVALID_WEBHOOK',
+      400
+    ));
+  }
+
+  return res.status(500).json(createErrorResponse(
+    fallbackMessage,
+    'INTERNAL_SERVER_ERROR',
+    500,
+    message
+  ));
+}
+
+class WebhookController {
+  /**
+   * List webhook endpoints
+   * GET /api/v1/webhooks
+   */
+  async listEndpoints(req, res) {
+    try {
+      const owner = getOwner(req);
+      if (!owner) {
+        return unauthorized(res);
+      }
+
+      const endpoints = await webhookService.listEndpoints(owner);
+
+      return res.json(createSuccessResponse(
+        { endpoints },
+        'Webhook endpoints retrieved successfully'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to retrieve webhook endpoints');
+    }
+  }
+
+  /**
+   * Register a webhook endpoint
+   * POST /api/v1/webhooks
+   */
+  async createEndpoint(req, res) {
+    try {
+      const owner = getOwner(req);
+      if (!owner) {
+        return unauthorized(res);
+      }
+
+      const parseResult = createEndpointSchema.safeParse(req.body || {});
+      if (!parseResult.success) {
+        return res.status(400).json(createErrorResponse(
+          `Validation failed: ${formatZodErrors(parseResult.error)}`,
+          'VALIDATION_ERROR',
+          400
+        ));
+      }
+
+      const { userId, ...endpointData } = parseResult.data;
+
+      // Admins may register an endpoint on behalf of a merchant
+      const endpointOwner = owner.adminId ? { adminId: owner.adminId, userId } : owner;
+      const endpoint = await webhookService.createEndpoint(endpointData, endpointOwner);
+
+      return res.status(201).json(createSuccessResponse(
+        endpoint,
+        'Webhook endpoint created. Store the secret now; it will not be shown again.'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to create webhook endpoint');
+    }
+  }
+
+  /**
+   * Get a webhook endpoint
+   * GET /api/v1/webhooks/:endpointId
+   */
+  async getEndpoint(req, res) {
+    try {
+      const owner = getOwner(req);
+      if (!owner) {
+        return unauthorized(res);
+      }
+
+      const { endpointId } = req.params;
+      if (!uuidRegex.test(endpointId)) {
+        return invalidId(res, 'webhook endpoint');
+      }
+
+      const endpoint = await webhookService.getEndpoint(endpointId, owner);
+
+      return res.json(createSuccessResponse(
+        endpoint,
+        'Webhook endpoint retrieved successfully'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to retrieve webhook endpoint');
+    }
+  }
+
+  /**
+   * Update a webhook endpoint
+   * PATCH /api/v1/webhooks/:endpointId
+   */
+  async updateEndpoint(req, res) {
+    try {
+      const owner = getOwner(req);
+      if (!owner) {
+        return unauthorized(res);
+      }
+
+      const { endpointId } = req.params;
+      if (!uuidRegex.test(endpointId)) {
+        return invalidId(res, 'webhook endpoint');
+      }
+
+      const parseResult = updateEndpointSchema.safeParse(req.body || {});
+      if (!parseResult.success) {
+        return res.status(400).json(createErrorResponse(
+          `Validation failed: ${formatZodErrors(parseResult.error)}`,
+          'VALIDATION_ERROR',
+          400
+        ));
+      }
+
+      const endpoint = await webhookService.updateEndpoint(endpointId, parseResult.data, owner);
+
+      return res.json(createSuccessResponse(
+        endpoint,
+        'Webhook endpoint updated successfully'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to update webhook endpoint');
+    }
+  }
+
+  /**
+   * Delete a webhook endpoint
+   * DELETE /api/v1/webhooks/:endpointId
+   */
+  async deleteEndpoint(req, res) {
+    try {
+      const owner = getOwner(req);
+      if (!owner) {
+        return unauthorized(res);
+      }
+
+      const { endpointId } = req.params;
+      if (!uuidRegex.test(endpointId)) {
+        return invalidId(res, 'webhook endpoint');
+      }
+
+      await webhookService.deleteEndpoint(endpointId, owner);
+
+      return res.json(createSuccessResponse(
+        { deleted: true },
+        'Webhook endpoint deleted successfully'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to delete webhook endpoint');
+    }
+  }
+
+  /**
+   * Delivery log for an endpoint
+   * GET /api/v1/webhooks/:endpointId/deliveries
+   */
+  async getDeliveries(req, res) {
+    try {
+      const owner = getOwner(req);
+      if (!owner) {
+        return unauthorized(res);
+      }
+
+      const { endpointId } = req.params;
+      if (!uuidRegex.test(endpointId)) {
+        return invalidId(res, 'webhook endpoint');
+      }
+
+      const parseResult = deliveriesQuerySchema.safeParse(req.query || {});
+      if (!parseResult.success) {
+        return res.status(400).json(createErrorResponse(
+          `Validation failed: ${formatZodErrors(parseResult.error)}`,
+          'VALIDATION_ERROR',
+          400
+        ));
+      }
+
+      const deliveries = await webhookService.getDeliveries(endpointId, parseResult.data, owner);
+
+      return res.json(createSuccessResponse(
+        { deliveries, limit: parseResult.data.limit, offset: parseResult.data.offset },
+        'Webhook deliveries retrieved successfully'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to retrieve webhook deliveries');
+    }
+  }
+
+  /**
+   * Manually redeliver a webhook
+   * POST /api/v1/webhooks/deliveries/:deliveryId/redeliver
+   */
+  async redeliver(req, res) {
+    try {
+      const owner = getOwner(req);
+      if (!owner) {
+        return unauthorized(res);
+      }
+
+      const { deliveryId } = req.params;
+      if (!uuidRegex.test(deliveryId)) {
+        return invalidId(res, 'webhook delivery');
+      }
+
+      const delivery = await webhookService.redeliver(deliveryId, owner);
+
+      return res.json(createSuccessResponse(
+        delivery,
+        'Webhook redelivery attempted'
+      ));
+
+    } catch (error) {
+      return handleServiceError(res, error, 'Failed to redeliver webhook');
+    }
+  }
+}
+
+export default new WebhookController();
@@ -0,0 +1,43 @@
+import whatsappService from '../services/whatsappService.js';
+import logger from '../utils/logger.js';
+
+class WhatsAppWebhookController {
+  /**
+   * Subscription handshake from the WhatsApp Cloud API
+   * GET /api/v1/whatsapp/webhook
+   */
+  async verifySubscription(req, res) {
+    const challenge = whatsappService.verifySubscription(
+      req.query['hub.mode'],
+      req.query['hub.verify_token'],
+      req.query['hub.challenge']
+    );
+
+    if (challenge === null) {
+      return res.sendStatus(403);
+    }
+    return res.status(200).send(challenge);
+  }
+
+  /**
+   * Delivery status callbacks (sent, delivered, read, failed)
+   * POST /api/v1/whatsapp/webhook
+   */
+  async receiveStatus(req, res) {
+    if (!whatsappService.verifyWebhookSignature(req.rawBody, req.get('X-Hub-Signature-256'))) {
+      logger.warn('⚠️ Rejected WhatsApp webhook with invalid signature');
+      return res.sendStatus(401);
+    }
+
+    try {
+      const updated = await whatsappService.processStatusWebhook(req.body);
+      return res.status(200).json({ received: true, updated });
+    } catch (error) {
+      // Non-2xx makes the provider retry the callback
+      logger.error('❌ Failed to process WhatsApp webhook:', error);
+      return res.sendStatus(500);
+    }
+  }
+}
+
+export default new WhatsAppWebhookController();
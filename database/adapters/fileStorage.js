@@ -0,0 +1,150 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+const storageError = (statusCode, error, message) => ({ statusCode: String(statusCode), error, message });
+
+const toBuffer = async (body) => {
+  if (Buffer.isBuffer(body)) return body;
+  if (body instanceof ArrayBuffer) return Buffer.from(body);
+  if (ArrayBuffer.isView(body)) return Buffer.from(body.buffer, body.byteOffset, body.byteLength);
+  if (typeof body?.arrayBuffer === 'function') return Buffer.from(await body.arrayBuffer());
+  return Buffer.from(String(body));
+};
+
+/**
+ * One bucket, with the supabase-js StorageFileApi methods the services use
+ */
+class Bucket {
+  constructor(storage, name) {
+    this.storage = storage;
+    this.name = name;
+  }
+
+  async upload(objectPath, body, { contentType = 'application/octet-stream', upsert = false } = {}) {
+    try {
+      const key = this.storage.key(this.name, objectPath);
+      if (!upsert && await this.storage.exists(key)) {
+        return { data: null, error: storageError(409, 'Duplicate', 'The resource already exists') };
+      }
+      await this.storage.write(key, await toBuffer(body), contentType);
+      return { data: { path: objectPath, fullPath: `${this.name}/${objectPath}` }, error: null };
+    } catch (error) {
+      return { data: null, error: storageError(500, 'Internal', error.message) };
+    }
+  }
+
+  async download(objectPath) {
+    try {
+      const object = await this.storage.read(this.storage.key(this.name, objectPath));
+      if (!object) {
+        return { data: null, error: storageError(404, 'not_found', 'Object not found') };
+      }
+      return { data: new Blob([object.buffer], { type: object.contentType }), error: null };
+    } catch (error) {
+      return { data: null, error: storageError(500, 'Internal', error.message) };
+    }
+  }
+
+  async remove(paths) {
+    try {
+      const removed = [];
+      for (const objectPath of paths) {
+        if (await this.storage.delete(this.storage.key(this.name, objectPath))) {
+          removed.push({ name: objectPath, bucket_id: this.name });
+        }
+      }
+      return { data: removed, error: null };
+    } catch (error) {
+      return { data: null, error: storageError(500, 'Internal', error.message) };
+    }
+  }
+
+  async createSignedUrl(objectPath, expiresIn) {
+    try {
+      const key = this.storage.key(this.name, objectPath);
+      if (!await this.storage.exists(key)) {
+        return { data: null, error: storageError(404, 'not_found', 'Object not found') };
+      }
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return { data: { signedUrl: `${this.storage.url(key)}?expires=${expires}` }, error: null };
+    } catch (error) {
+      return { data: null, error: storageError(500, 'Internal', error.message) };
+    }
+  }
+}
+
+/**
+ * Object storage for the Postgres and in-memory adapters
+ *
+ * Keeps objects in a directory (one folder per bucket) or, without a
+ * directory, in memory. Signed URLs are file:// or memory:// links: good
+ * enough to see which object a response points at during local development,
+ * not something to hand to clients.
+ */
+class FileStorage {
+  /**
+   * @param {Object} options
+   * @param {string|null} options.directory - Root folder; null keeps objects in memory
+   */
+  constructor({ directory = null } = {}) {
+    this.directory = directory ? path.resolve(directory) : null;
+    this.objects = new Map();
+  }
+
+  from(bucket) {
+    return new Bucket(this, bucket);
+  }
+
+  /**
+   * bucket/path with any attempt to climb out of the bucket rejected
+   */
+  key(bucket, objectPath) {
+    const normalized = path.posix.normalize(`${bucket}/${objectPath}`);
+    if (normalized.startsWith('..') || !normalized.startsWith(`${bucket}/`) || path.posix.isAbsolute(objectPath)) {
+      throw new Error(`Invalid object path: ${objectPath}`);
+    }
+    return normalized;
+  }
+
+  file(key) {
+    return path.join(this.directory, ...key.split('/'));
+  }
+
+  url(key) {
+    return this.directory ? pathToFileURL(this.file(key)).href : `memory://${key}`;
+  }
+
+  async exists(key) {
+    if (!this.directory) return this.objects.has(key);
+    return fs.access(this.file(key)).then(() => true, () => false);
+  }
+
+  async write(key, buffer, contentType) {
+    if (!this.directory) {
+      this.objects.set(key, { buffer, contentType });
+      return;
+    }
+    await fs.mkdir(path.dirname(this.file(key)), { recursive: true });
+    await fs.writeFile(this.file(key), buffer);
+  }
+
+  async read(key) {
+    if (!this.directory) return this.objects.get(key) || null;
+    if (!await this.exists(key)) return null;
+    return { buffer: await fs.readFile(this.file(key)), contentType: 'application/octet-stream' };
+  }
+
+  async delete(key) {
+    if (!this.directory) return this.objects.delete(key);
+    if (!await this.exists(key)) return false;
+    await fs.unlink(this.file(key));
+    return true;
+  }
+
+  clear() {
+    this.objects.clear();
+  }
+}
+
+export default FileStorage;
@@ -0,0 +1,356 @@
+import { randomUUID } from 'crypto';
+import { createQueryClient } from './queryBuilder.js';
+import { parseSelect, partitionConditions, queryError, singular } from './postgrestSyntax.js';
+import FileStorage from './fileStorage.js';
+
+const TIMESTAMP = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/;
+
+// Rows go through JSON like they do through PostgREST: Dates become ISO strings
+const toJson = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const isPresent = (value) => value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0);
+
+/**
+ * Bring a filter value to the type of the stored value, the way Postgres
+ * casts the text PostgREST sends to the column type
+ */
+function coerce(stored, value) {
+  if (value instanceof Date) return value.toISOString();
+  if (typeof stored === 'number' && typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (typeof stored === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  if (typeof stored === 'string' && (typeof value === 'number' || typeof value === 'boolean')) return String(value);
+  return value;
+}
+
+function compare(stored, value) {
+  const other = coerce(stored, value);
+  if (typeof stored === 'string' && typeof other === 'string' && TIMESTAMP.test(stored) && TIMESTAMP.test(other)) {
+    return Math.sign(Date.parse(stored) - Date.parse(other));
+  }
+  if (stored < other) return -1;
+  if (stored > other) return 1;
+  return 0;
+}
+
+const deepEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+function contains(container, value) {
+  if (Array.isArray(container)) {
+    return [].concat(value).every(item => container.some(element => deepEqual(element, item) || compare(element, item) === 0));
+  }
+  if (container && typeof container === 'object') {
+    return Object.entries(value).every(([key, item]) => (item && typeof item === 'object'
+      ? contains(container[key], item)
+      : deepEqual(container[key], item)));
+  }
+  return false;
+}
+
+const likePattern = (pattern, flags) => new RegExp(
+  `^${String(pattern).replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.')}$`,
+  flags
+);
+
+function testFilter(stored, { operator, value }) {
+  switch (operator) {
+    case 'eq': return compare(stored, value) === 0;
+    case 'neq': return compare(stored, value) !== 0;
+    case 'gt': return compare(stored, value) > 0;
+    case 'gte': return compare(stored, value) >= 0;
+    case 'lt': return compare(stored, value) < 0;
+    case 'lte': return compare(stored, value) <= 0;
+    case 'like': return likePattern(value, 's').test(String(stored));
+    case 'ilike': return likePattern(value, 'is').test(String(stored));
+    case 'in': return value.some(item => compare(stored, item) === 0);
+    case 'cs': return contains(stored, value);
+    case 'cd': return contains(value, stored);
+    case 'ov': return Array.isArray(stored) && value.some(item => stored.some(element => compare(element, item) === 0));
+    default: throw queryError('PGRST100', `Unsupported operator: ${operator}`);
+  }
+}
+
+/**
+ * SQL semantics: a comparison with NULL is never true, negated or not
+ */
+function matches(row, node) {
+  if (node.type !== 'filter') {
+    const result = node.type === 'and'
+      ? node.conditions.every(child => matches(row, child))
+      : node.conditions.some(child => matches(row, child));
+    return node.negate ? !result : result;
+  }
+
+  const stored = row[node.column] ?? null;
+  if (node.operator === 'is') {
+    const result = node.value === null ? stored === null : stored === node.value;
+    return node.negate ? !result : result;
+  }
+  if (stored === null || node.value === null) {
+    return false;
+  }
+
+  const result = testFilter(stored, node);
+  return node.negate ? !result : result;
+}
+
+function sortRows(rows, order) {
+  return [...rows].sort((a, b) => {
+    for (const { column, ascending, nullsFirst } of order) {
+      const left = a.row[column] ?? null;
+      const right = b.row[column] ?? null;
+      if (left === null && right === null) continue;
+      if (left === null) return nullsFirst ? -1 : 1;
+      if (right === null) return nullsFirst ? 1 : -1;
+      const result = compare(left, right);
+      if (result !== 0) return ascending ? result : -result;
+    }
+    return 0;
+  });
+}
+
+function project({ row, related }, select) {
+  const output = select.star ? toJson(row) : {};
+  select.columns.forEach(({ name, alias }) => {
+    output[alias] = toJson(row[name] ?? null);
+  });
+  select.embeds.forEach(embed => {
+    output[embed.alias] = related[embed.alias];
+  });
+  return output;
+}
+
+/**
+ * In-memory Adapter
+ *
+ * Keeps every table as an array of rows in process memory and runs the
+ * queries models build with supabaseAdmin.from(...) against them, for tests
+ * and for running the API without a database.
+ *
+ * There is no schema: columns are whatever was inserted, rows get an `id`
+ * and `created_at` when they are missing, and `updated_at` is refreshed on
+ * update like the tables' triggers do. Unique constraints other than `id`
+ * and SQL functions for rpc() have to be declared up front. Embedded
+ * resources are found through naming: wallets.user_id points at users.id, and
+ * users embeds the user_profiles whose user_id matches.
+ */
+class MemoryAdapter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.uniqueKeys - { table: [['email'], ['user_id', 'type']] }
+   * @param {Object} options.functions - { name: (args, adapter) => data } served by rpc()
+   */
+  constructor({ uniqueKeys = {}, functions = {} } = {}) {
+    this.name = 'memory';
+    this.tables = new Map();
+    this.uniqueKeys = uniqueKeys;
+    this.functions = new Map(Object.entries(functions));
+    this.storage = new FileStorage();
+    this.client = createQueryClient(this, this.storage);
+    this.adminClient = this.client;
+  }
+
+  table(name) {
+    if (!this.tables.has(name)) {
+      this.tables.set(name, []);
+    }
+    return this.tables.get(name);
+  }
+
+  /**
+   * Insert rows as they are, without defaults or constraint checks
+   */
+  seed(table, rows) {
+    this.table(table).push(...[].concat(rows).map(toJson));
+  }
+
+  /**
+   * Serve rpc(name, args) from a JavaScript function
+   */
+  registerFunction(name, handler) {
+    this.functions.set(name, handler);
+  }
+
+  reset() {
+    this.tables.clear();
+    this.storage.clear();
+  }
+
+  async execute(query) {
+    const select = query.select || parseSelect('*');
+
+    switch (query.action) {
+      case 'select': return this.select(query, select);
+      case 'insert': return this.returning(query, select, this.insert(query.table, query.values));
+      case 'upsert': return this.returning(query, select, this.upsert(query));
+      case 'update': return this.returning(query, select, this.update(query));
+      case 'delete': return this.returning(query, select, this.delete(query));
+      default: throw queryError('PGRST100', `Unsupported action: ${query.action}`);
+    }
+  }
+
+  async rpc(name, args) {
+    const handler = this.functions.get(name);
+    if (!handler) {
+      throw queryError('PGRST202', `Could not find the function public.${name} in the schema cache`);
+    }
+    return toJson(await handler(args, this));
+  }
+
+  select(query, select) {
+    const matched = sortRows(this.materialize(query.table, this.table(query.table), select, query.conditions), query.order);
+    const offset = query.offset || 0;
+    const page = query.limit === null ? matched.slice(offset) : matched.slice(offset, offset + query.limit);
+
+    return {
+      rows: query.head ? [] : page.map(item => project(item, select)),
+      count: query.count ? matched.length : null
+    };
+  }
+
+  returning(query, select, affected) {
+    return {
+      rows: this.materialize(query.table, affected, select, []).map(item => project(item, select)),
+      count: query.count ? affected.length : null
+    };
+  }
+
+  /**
+   * Rows passing the conditions, each with its embedded resources resolved
+   */
+  materialize(table, rows, select, conditions) {
+    const { base, embedded, existence } = partitionConditions(conditions, select.embeds);
+
+    return rows
+      .filter(row => base.every(node => matches(row, node)))
+      .map(row => ({
+        row,
+        related: Object.fromEntries(select.embeds.map(embed => [
+          embed.alias,
+          this.embed(table, row, embed, embedded.get(embed.alias) || [])
+        ]))
+      }))
+      .filter(({ related }) =>
+        select.embeds.every(embed => !embed.inner || isPresent(related[embed.alias])) &&
+        existence.every(({ alias, exists }) => isPresent(related[alias]) === exists)
+      );
+  }
+
+  embed(parentTable, parentRow, embed, conditions) {
+    const localKey = embed.hint || `${singular(embed.table)}_id`;
+    const toOne = this.table(parentTable).some(row => localKey in row) || localKey in parentRow;
+
+    const candidates = toOne
+      ? this.table(embed.table).filter(row => parentRow[localKey] != null && compare(row.id, parentRow[localKey]) === 0)
+      : this.table(embed.table).filter(row => row[`${singular(parentTable)}_id`] != null && compare(row[`${singular(parentTable)}_id`], parentRow.id) === 0);
+
+    const items = this.materialize(embed.table, candidates, embed.select, conditions).map(item => project(item, embed.select));
+    return toOne ? items[0] ?? null : items;
+  }
+
+  /**
+   * Throw Postgres' unique_violation if the row clashes with another one
+   */
+  assertUnique(table, row, rows) {
+    for (const columns of [['id'], ...(this.uniqueKeys[table] || [])]) {
+      const clash = rows.find(other => other !== row && columns.every(column =>
+        row[column] != null && other[column] != null && compare(other[column], row[column]) === 0
+      ));
+      if (clash) {
+        throw queryError(
+          '23505',
+          `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`,
+          `Key (${columns.join(', ')})=(${columns.map(column => row[column]).join(', ')}) already exists.`
+        );
+      }
+    }
+  }
+
+  newRow(values) {
+    const row = toJson(values);
+    if (!('id' in row)) row.id = randomUUID();
+    if (!('created_at' in row)) row.created_at = new Date().toISOString();
+    return row;
+  }
+
+  insert(table, values) {
+    const rows = this.table(table);
+    const inserted = [];
+
+    for (const value of values) {
+      const row = this.newRow(value);
+      this.assertUnique(table, row, [...rows, ...inserted]);
+      inserted.push(row);
+    }
+
+    rows.push(...inserted);
+    return inserted;
+  }
+
+  upsert({ table, values, onConflict, ignoreDuplicates }) {
+    const rows = this.table(table);
+    const target = onConflict || ['id'];
+    const affected = [];
+
+    for (const value of values.map(toJson)) {
+      const existing = target.every(column => value[column] != null)
+        ? rows.find(row => target.every(column => compare(row[column], value[column]) === 0))
+        : null;
+
+      if (!existing) {
+        affected.push(...this.insert(table, [value]));
+      } else if (!ignoreDuplicates) {
+        const merged = { ...existing, ...value };
+        this.assertUnique(table, merged, rows.filter(row => row !== existing));
+        Object.assign(existing, merged);
+        affected.push(existing);
+      }
+    }
+
+    return affected;
+  }
+
+  update({ table, values, conditions }) {
+    const rows = this.table(table);
+    const changes = toJson(values);
+    const matched = rows.filter(row => conditions.every(node => matches(row, node)));
+
+    const updated = matched.map(row => {
+      const next = { ...row, ...changes };
+      if ('updated_at' in row && !('updated_at' in changes)) {
+        next.updated_at = new Date().toISOString();
+      }
+      this.assertUnique(table, next, rows.filter(other => other !== row));
+      return next;
+    });
+
+    matched.forEach((row, index) => Object.assign(row, updated[index]));
+    return matched;
+  }
+
+  delete({ table, conditions }) {
+    const rows = this.table(table);
+    const removed = rows.filter(row => conditions.every(node => matches(row, node)));
+    this.tables.set(table, rows.filter(row => !removed.includes(row)));
+    return removed;
+  }
+
+  async testConnection() {
+    console.log('✅ In-memory database ready');
+    return true;
+  }
+
+  async getHealthStatus() {
+    return {
+      status: 'healthy',
+      adapter: this.name,
+      tables: this.tables.size,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  async close() {}
+}
+
+export default MemoryAdapter;
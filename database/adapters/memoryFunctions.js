@@ -0,0 +1,208 @@
+import { queryError } from './postgrestSyntax.js';
+
+/**
+ * SQL functions for the in-memory adapter
+ *
+ * JavaScript twins of the functions the migrations create, registered with
+ * rpc() so services that depend on them behave the same without Postgres.
+ * Each one checks everything before writing, since there is no transaction
+ * to roll back.
+ */
+
+// asset_balances amounts are DECIMAL(20,8); compare them in whole units of 1e-8
+const SCALE = 1e8;
+const toUnits = value => Math.round(Number(value) * SCALE);
+const fromUnits = units => units / SCALE;
+
+const raise = message => queryError('P0001', message);
+
+/**
+ * Migration 031: record a ledger posting and apply it to asset_balances
+ */
+function postLedgerEntries({ p_transaction_id, p_type, p_entries }, adapter) {
+  const postings = adapter.table('ledger_postings');
+  const forTransaction = postings.filter(posting => p_transaction_id != null && posting.transaction_id === p_transaction_id);
+
+  if (['settle', 'release'].includes(p_type)) {
+    if (!forTransaction.some(posting => posting.type === 'hold')) {
+      throw raise('No funds are held for this transaction');
+    }
+    if (forTransaction.some(posting => ['settle', 'release'].includes(posting.type))) {
+      throw raise('Held funds were already settled or released');
+    }
+  }
+
+  if (forTransaction.some(posting => posting.type === p_type)) {
+    throw queryError(
+      '23505',
+      'duplicate key value violates unique constraint "unique_ledger_posting_per_type"',
+      `Key (transaction_id, type)=(${p_transaction_id}, ${p_type}) already exists.`
+    );
+  }
+
+  const netByAsset = new Map();
+  for (const entry of p_entries) {
+    const signed = entry.direction === 'debit' ? toUnits(entry.amount) : -toUnits(entry.amount);
+    netByAsset.set(entry.asset_symbol, (netByAsset.get(entry.asset_symbol) || 0) + signed);
+  }
+  if ([...netByAsset.values()].some(net => net !== 0)) {
+    throw raise('Ledger posting is not balanced');
+  }
+
+  // Work out every balance change first so an overdraft leaves nothing behind
+  const balances = adapter.table('asset_balances');
+  const changes = new Map();
+  for (const entry of p_entries.filter(item => item.account !== 'external')) {
+    const key = `${entry.wallet_id}:${entry.asset_symbol}`;
+    if (!changes.has(key)) {
+      const current = balances.find(row => row.wallet_id === entry.wallet_id && row.asset_symbol === entry.asset_symbol);
+      changes.set(key, {
+        current,
+        wallet_id: entry.wallet_id,
+        asset_symbol: entry.asset_symbol,
+        available: toUnits(current?.available || 0),
+        pending: toUnits(current?.pending || 0)
+      });
+    }
+
+    const change = changes.get(key);
+    const signed = entry.direction === 'credit' ? toUnits(entry.amount) : -toUnits(entry.amount);
+    if (entry.account === 'wallet_available') change.available += signed;
+    else change.pending += signed;
+  }
+
+  for (const change of changes.values()) {
+    if (change.available < 0) {
+      throw queryError('23514', 'new row for relation "asset_balances" violates check constraint "check_available_positive"');
+    }
+    if (change.pending < 0) {
+      throw queryError('23514', 'new row for relation "asset_balances" violates check constraint "check_pending_positive"');
+    }
+  }
+
+  const [posting] = adapter.insert('ledger_postings', [{ transaction_id: p_transaction_id ?? null, type: p_type }]);
+  adapter.insert('ledger_entries', p_entries.map(entry => ({
+    posting_id: posting.id,
+    transaction_id: p_transaction_id ?? null,
+    wallet_id: entry.wallet_id ?? null,
+    account: entry.account,
+    asset_symbol: entry.asset_symbol,
+    direction: entry.direction,
+    amount: Number(entry.amount)
+  })));
+
+  const now = new Date().toISOString();
+  for (const { current, wallet_id, asset_symbol, available, pending } of changes.values()) {
+    const values = {
+      available: fromUnits(available),
+      pending: fromUnits(pending),
+      total: fromUnits(available + pending),
+      last_updated: now
+    };
+    if (current) Object.assign(current, values);
+    else adapter.insert('asset_balances', [{ wallet_id, asset_symbol, ...values }]);
+  }
+
+  return posting;
+}
+
+/**
+ * Migration 033: post a transaction's status change and save the new status
+ */
+function applyTransactionStatus({
+  p_transaction_id,
+  p_sender_id,
+  p_updates,
+  p_posting_type = null,
+  p_entries = null,
+  p_expected_status = null
+}, adapter) {
+  const transaction = adapter.table('transactions')
+    .find(row => row.id === p_transaction_id && row.sender_id === p_sender_id);
+  if (!transaction) {
+    throw raise('Transaction not found or access denied');
+  }
+  if (p_expected_status && transaction.status !== p_expected_status) {
+    throw raise(`Transaction is no longer ${p_expected_status}`);
+  }
+
+  // postLedgerEntries checks everything before writing, and nothing below can fail
+  if (p_posting_type) {
+    postLedgerEntries({ p_transaction_id, p_type: p_posting_type, p_entries }, adapter);
+  }
+
+  Object.assign(transaction, {
+    status: p_updates.status,
+    ...('completed_at' in p_updates ? { completed_at: p_updates.completed_at } : {}),
+    ...(p_updates.metadata ? { metadata: p_updates.metadata } : {}),
+    updated_at: new Date().toISOString()
+  });
+
+  return transaction;
+}
+
+/**
+ * Migration 036: count a failed transaction PIN attempt and lock the PIN at the limit
+ */
+function recordFailedTransactionPinAttempt({ p_user_id, p_max_attempts, p_lockout_seconds }, adapter) {
+  const auth = adapter.table('user_auth').find(row => row.user_id === p_user_id);
+  if (!auth) {
+    throw raise('Transaction PIN has not been set');
+  }
+
+  const lockedUntil = auth.transaction_pin_locked_until ? new Date(auth.transaction_pin_locked_until) : null;
+  if (lockedUntil && lockedUntil > new Date()) {
+    return { ...auth, locked_now: false };
+  }
+
+  const attempts = lockedUntil ? 1 : (auth.transaction_pin_attempts || 0) + 1;
+  const lockedNow = attempts >= p_max_attempts;
+
+  Object.assign(auth, {
+    transaction_pin_attempts: attempts,
+    transaction_pin_locked_until: lockedNow ? new Date(Date.now() + p_lockout_seconds * 1000).toISOString() : null,
+    updated_at: new Date().toISOString()
+  });
+
+  return { ...auth, locked_now: lockedNow };
+}
+
+/**
+ * Migration 038: check the sender's daily spending limit, then hold the funds
+ */
+function holdTransactionFunds({ p_transaction_id, p_entries, p_daily_limit, p_period_start, p_period_end }, adapter) {
+  const transactions = adapter.table('transactions');
+  const transaction = transactions.find(row => row.id === p_transaction_id);
+  if (!transaction) {
+    throw raise('Transaction not found');
+  }
+
+  if (p_daily_limit != null) {
+    const asset = transaction.asset_symbol.toUpperCase();
+    const start = new Date(p_period_start);
+    const end = new Date(p_period_end);
+    const spent = transactions
+      .filter(row => row.sender_id === transaction.sender_id
+        && (row.asset_symbol || '').toUpperCase() === asset
+        && ['transfer', 'payment', 'cash_out'].includes(row.type)
+        && ['pending', 'processing', 'completed'].includes(row.status)
+        && new Date(row.created_at) >= start
+        && new Date(row.created_at) < end)
+      .reduce((sum, row) => sum + toUnits(row.amount), 0);
+
+    const limit = toUnits(p_daily_limit);
+    if (spent > limit) {
+      const remaining = Math.max(limit - (spent - toUnits(transaction.amount)), 0);
+      throw raise(`Daily spending limit exceeded: requested ${Number(transaction.amount)}, remaining ${fromUnits(remaining)} of ${fromUnits(limit)}`);
+    }
+  }
+
+  return postLedgerEntries({ p_transaction_id, p_type: 'hold', p_entries }, adapter);
+}
+
+export default {
+  post_ledger_entries: postLedgerEntries,
+  apply_transaction_status: applyTransactionStatus,
+  record_failed_transaction_pin_attempt: recordFailedTransactionPinAttempt,
+  hold_transaction_funds: holdTransactionFunds
+};
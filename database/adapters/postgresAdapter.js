@@ -0,0 +1,416 @@
+import pg from 'pg';
+import { createQueryClient } from './queryBuilder.js';
+import { assertIdentifier, parseSelect, partitionConditions, queryError } from './postgrestSyntax.js';
+import FileStorage from './fileStorage.js';
+
+const quote = (name) => `"${assertIdentifier(name)}"`;
+
+const JSON_TYPES = ['json', 'jsonb'];
+
+const COMPARISONS = { eq: '=', neq: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', like: 'LIKE', ilike: 'ILIKE' };
+
+const SCHEMA_QUERIES = {
+  columns: `
+    SELECT table_name, column_name, data_type
+    FROM information_schema.columns
+    WHERE table_schema = 'public'`,
+  foreignKeys: `
+    SELECT con.conrelid::regclass::text AS table_name, att.attname AS column_name,
+           con.confrelid::regclass::text AS foreign_table, fatt.attname AS foreign_column
+    FROM pg_constraint con
+    JOIN pg_attribute att ON att.attrelid = con.conrelid AND att.attnum = con.conkey[1]
+    JOIN pg_attribute fatt ON fatt.attrelid = con.confrelid AND fatt.attnum = con.confkey[1]
+    WHERE con.contype = 'f' AND array_length(con.conkey, 1) = 1 AND con.connamespace = 'public'::regnamespace`,
+  primaryKeys: `
+    SELECT con.conrelid::regclass::text AS table_name, att.attname AS column_name
+    FROM pg_constraint con
+    JOIN pg_attribute att ON att.attrelid = con.conrelid AND att.attnum = ANY(con.conkey)
+    WHERE con.contype = 'p' AND con.connamespace = 'public'::regnamespace`,
+  function: `
+    SELECT p.proretset AS returns_set, t.typtype AS type_kind, t.typname AS type_name
+    FROM pg_proc p
+    JOIN pg_type t ON t.oid = p.prorettype
+    WHERE p.pronamespace = 'public'::regnamespace AND p.proname = $1
+    LIMIT 1`
+};
+
+/**
+ * Statement parameters and table aliases for one compiled query
+ */
+class Statement {
+  constructor() {
+    this.params = [];
+    this.aliases = 0;
+  }
+
+  param(value) {
+    this.params.push(value);
+    return `$${this.params.length}`;
+  }
+
+  alias() {
+    return `t${this.aliases++}`;
+  }
+}
+
+/**
+ * Postgres Adapter
+ *
+ * Runs the queries models build with supabaseAdmin.from(...) directly against
+ * Postgres (DATABASE_URL) through node-postgres, for self-hosted databases and
+ * local development without Supabase. Each query compiles to one statement
+ * whose rows are built with row_to_json, so values come back as PostgREST
+ * returns them (numeric as numbers, timestamps as ISO strings). Embedded
+ * resources follow the foreign keys in the catalog, and rpc() calls the SQL
+ * functions the migrations define.
+ *
+ * Storage goes to a local directory; Supabase storage has no Postgres
+ * equivalent.
+ */
+class PostgresAdapter {
+  /**
+   * @param {Object} options
+   * @param {string} options.connectionString - Postgres connection string
+   * @param {Object} options.pool - Existing pool (anything with query(text, params))
+   * @param {string} options.storageDirectory - Folder for storage buckets
+   * @param {number} options.max - Pool size
+   */
+  constructor({ connectionString, pool = null, storageDirectory = 'storage', max = 10 } = {}) {
+    if (!pool && !connectionString) {
+      throw new Error('❌ DATABASE_URL is not set. The postgres database adapter needs a connection string.');
+    }
+
+    this.name = 'postgres';
+    this.pool = pool || new pg.Pool({ connectionString, max });
+    this.schema = null;
+    this.functions = new Map();
+    this.storage = new FileStorage({ directory: storageDirectory });
+    this.client = createQueryClient(this, this.storage);
+    this.adminClient = this.client;
+  }
+
+  /**
+   * Columns, foreign keys and primary keys of the public schema, loaded once
+   */
+  async loadSchema() {
+    if (this.schema) return this.schema;
+
+    const [columns, foreignKeys, primaryKeys] = await Promise.all([
+      this.pool.query(SCHEMA_QUERIES.columns),
+      this.pool.query(SCHEMA_QUERIES.foreignKeys),
+      this.pool.query(SCHEMA_QUERIES.primaryKeys)
+    ]);
+
+    const tables = new Map();
+    for (const { table_name: table, column_name: column, data_type: type } of columns.rows) {
+      if (!tables.has(table)) tables.set(table, new Map());
+      tables.get(table).set(column, type);
+    }
+
+    this.schema = {
+      tables,
+      foreignKeys: foreignKeys.rows.map(row => ({
+        table: row.table_name,
+        column: row.column_name,
+        foreignTable: row.foreign_table,
+        foreignColumn: row.foreign_column
+      })),
+      primaryKeys: primaryKeys.rows.reduce((keys, row) => {
+        keys.set(row.table_name, [...(keys.get(row.table_name) || []), row.column_name]);
+        return keys;
+      }, new Map())
+    };
+    return this.schema;
+  }
+
+  /**
+   * Forget the cached schema, e.g. after running migrations
+   */
+  refreshSchema() {
+    this.schema = null;
+    this.functions.clear();
+  }
+
+  async columns(table) {
+    let { tables } = await this.loadSchema();
+    if (!tables.has(table)) {
+      this.refreshSchema();
+      ({ tables } = await this.loadSchema());
+    }
+    if (!tables.has(table)) {
+      throw queryError('42P01', `relation "public.${table}" does not exist`);
+    }
+    return tables.get(table);
+  }
+
+  /**
+   * How `embed` joins to `parentTable`: to one row when the parent holds the
+   * foreign key, to many when the embedded table does
+   */
+  relation(parentTable, embed) {
+    const matchesHint = (column) => !embed.hint || column === embed.hint;
+    const candidates = [
+      ...this.schema.foreignKeys
+        .filter(fk => fk.table === parentTable && fk.foreignTable === embed.table && matchesHint(fk.column))
+        .map(fk => ({ toOne: true, local: fk.column, remote: fk.foreignColumn })),
+      ...this.schema.foreignKeys
+        .filter(fk => fk.table === embed.table && fk.foreignTable === parentTable && matchesHint(fk.column))
+        .map(fk => ({ toOne: false, local: fk.foreignColumn, remote: fk.column }))
+    ];
+
+    if (candidates.length === 0) {
+      throw queryError('PGRST200', `Could not find a relationship between '${parentTable}' and '${embed.table}' in the schema cache`);
+    }
+    if (candidates.length > 1) {
+      throw queryError(
+        'PGRST201',
+        `Could not embed because more than one relationship was found for '${parentTable}' and '${embed.table}'`,
+        null,
+        `Name the foreign key column: ${embed.table}!<column>(...)`
+      );
+    }
+    return candidates[0];
+  }
+
+  toParam(value, type) {
+    if (value === null || value === undefined || value instanceof Date) return value ?? null;
+    if (JSON_TYPES.includes(type)) return JSON.stringify(value);
+    if (typeof value === 'object' && !Array.isArray(value)) return JSON.stringify(value);
+    return value;
+  }
+
+  compileCondition(node, alias, columns, statement) {
+    if (node.type !== 'filter') {
+      const joiner = node.type === 'and' ? ' AND ' : ' OR ';
+      const parts = node.conditions.map(child => this.compileCondition(child, alias, columns, statement));
+      const sql = parts.length > 0 ? `(${parts.join(joiner)})` : (node.type === 'and' ? 'TRUE' : 'FALSE');
+      return node.negate ? `NOT ${sql}` : sql;
+    }
+
+    const column = `${alias}.${quote(node.column)}`;
+    const type = columns?.get(node.column);
+    let sql;
+
+    switch (node.operator) {
+      case 'is':
+        sql = `${column} IS ${node.value === null ? 'NULL' : String(node.value).toUpperCase()}`;
+        break;
+      case 'in':
+        sql = node.value.length > 0 ? `${column} = ANY(${statement.param(node.value)})` : 'FALSE';
+        break;
+      case 'cs':
+        sql = `${column} @> ${statement.param(this.toParam(node.value, type))}`;
+        break;
+      case 'cd':
+        sql = `${column} <@ ${statement.param(this.toParam(node.value, type))}`;
+        break;
+      case 'ov':
+        sql = `${column} && ${statement.param(node.value)}`;
+        break;
+      default:
+        sql = `${column} ${COMPARISONS[node.operator]} ${statement.param(this.toParam(node.value, type))}`;
+    }
+
+    return node.negate ? `NOT (${sql})` : sql;
+  }
+
+  /**
+   * Select list and WHERE clause for `table AS alias`, with embedded
+   * resources as correlated subqueries
+   */
+  async compileSelect(table, alias, select, conditions, statement) {
+    const columns = await this.columns(table);
+    const { base, embedded, existence } = partitionConditions(conditions, select.embeds);
+
+    const list = select.star ? [`${alias}.*`] : [];
+    select.columns.forEach(({ name, alias: as }) => list.push(`${alias}.${quote(name)} AS ${quote(as)}`));
+
+    const where = base.map(node => this.compileCondition(node, alias, columns, statement));
+    const embeds = new Map();
+
+    for (const embed of select.embeds) {
+      const relation = this.relation(table, embed);
+      const child = statement.alias();
+      const inner = await this.compileSelect(embed.table, child, embed.select, embedded.get(embed.alias) || [], statement);
+      const join = `${child}.${quote(relation.remote)} = ${alias}.${quote(relation.local)}`;
+      const from = `FROM ${quote(embed.table)} ${child} WHERE ${[join, ...inner.where].join(' AND ')}`;
+
+      const sql = relation.toOne
+        ? `(SELECT row_to_json(_r) FROM (SELECT ${inner.list} ${from} LIMIT 1) _r)`
+        : `COALESCE((SELECT json_agg(_r) FROM (SELECT ${inner.list} ${from}) _r), '[]'::json)`;
+      const present = relation.toOne ? `${sql} IS NOT NULL` : `json_array_length(${sql}) > 0`;
+
+      list.push(`${sql} AS ${quote(embed.alias)}`);
+      embeds.set(embed.alias, present);
+      if (embed.inner) where.push(present);
+    }
+
+    existence.forEach(({ alias: name, exists }) => where.push(exists ? embeds.get(name) : `NOT (${embeds.get(name)})`));
+
+    return { list: list.length > 0 ? list.join(', ') : `'{}'::json`, where };
+  }
+
+  compileOrder(order, alias) {
+    if (order.length === 0) return '';
+    return ` ORDER BY ${order.map(({ column, ascending, nullsFirst }) =>
+      `${alias}.${quote(column)} ${ascending ? 'ASC' : 'DESC'} NULLS ${nullsFirst ? 'FIRST' : 'LAST'}`
+    ).join(', ')}`;
+  }
+
+  /**
+   * INSERT/UPDATE/DELETE ... RETURNING * for a mutation
+   */
+  async compileMutation(query, statement) {
+    const table = quote(query.table);
+    const columns = await this.columns(query.table);
+
+    const assertColumn = (column) => {
+      if (!columns.has(column)) {
+        throw queryError('PGRST204', `Could not find the '${column}' column of '${query.table}' in the schema cache`);
+      }
+      return quote(column);
+    };
+
+    if (query.action === 'update') {
+      const assignments = Object.entries(query.values)
+        .filter(([, value]) => value !== undefined)
+        .map(([column, value]) => `${assertColumn(column)} = ${statement.param(this.toParam(value, columns.get(column)))}`);
+      const where = query.conditions.map(node => this.compileCondition(node, 't0', columns, statement));
+      return `UPDATE ${table} AS t0 SET ${assignments.join(', ')}${where.length ? ` WHERE ${where.join(' AND ')}` : ''} RETURNING t0.*`;
+    }
+
+    if (query.action === 'delete') {
+      const where = query.conditions.map(node => this.compileCondition(node, 't0', columns, statement));
+      return `DELETE FROM ${table} AS t0${where.length ? ` WHERE ${where.join(' AND ')}` : ''} RETURNING t0.*`;
+    }
+
+    const names = [...new Set(query.values.flatMap(row => Object.keys(row).filter(column => row[column] !== undefined)))];
+    names.forEach(assertColumn);
+
+    const rows = query.values.map(row => `(${names.map(column => (row[column] === undefined
+      ? 'DEFAULT'
+      : statement.param(this.toParam(row[column], columns.get(column)))
+    )).join(', ')})`);
+
+    let sql = `INSERT INTO ${table} (${names.map(quote).join(', ')}) VALUES ${rows.join(', ')}`;
+
+    if (query.action === 'upsert') {
+      const target = query.onConflict || this.schema.primaryKeys.get(query.table) || ['id'];
+      sql += query.ignoreDuplicates
+        ? ` ON CONFLICT (${target.map(quote).join(', ')}) DO NOTHING`
+        : ` ON CONFLICT (${target.map(quote).join(', ')}) DO UPDATE SET ${names.map(column => `${quote(column)} = EXCLUDED.${quote(column)}`).join(', ')}`;
+    }
+
+    return `${sql} RETURNING *`;
+  }
+
+  async execute(query) {
+    await this.loadSchema();
+    const select = query.select || parseSelect('*');
+    const statement = new Statement();
+    const alias = statement.alias();
+
+    if (query.action !== 'select') {
+      const mutation = await this.compileMutation(query, statement);
+      const { list } = await this.compileSelect(query.table, alias, select, [], statement);
+      const { rows } = await this.pool.query(
+        `WITH _m AS (${mutation}) SELECT row_to_json(_r) AS row FROM (SELECT ${list} FROM _m ${alias}) _r`,
+        statement.params
+      );
+      return { rows: rows.map(row => row.row), count: query.count ? rows.length : null };
+    }
+
+    const { list, where } = await this.compileSelect(query.table, alias, select, query.conditions, statement);
+    const from = `FROM ${quote(query.table)} ${alias}${where.length ? ` WHERE ${where.join(' AND ')}` : ''}`;
+
+    let count = null;
+    if (query.count) {
+      const { rows } = await this.pool.query(`SELECT count(*)::int AS count FROM (SELECT ${list} ${from}) _c`, statement.params);
+      count = rows[0].count;
+    }
+
+    if (query.head) {
+      return { rows: [], count };
+    }
+
+    let sql = `SELECT ${list} ${from}${this.compileOrder(query.order, alias)}`;
+    if (query.limit !== null) sql += ` LIMIT ${Number(query.limit)}`;
+    if (query.offset !== null) sql += ` OFFSET ${Number(query.offset)}`;
+
+    const { rows } = await this.pool.query(`SELECT row_to_json(_r) AS row FROM (${sql}) _r`, statement.params);
+    return { rows: rows.map(row => row.row), count };
+  }
+
+  /**
+   * Call a SQL function with named arguments; set-returning functions give
+   * rows, others a single value (or row)
+   */
+  async rpc(name, args = {}) {
+    if (!this.functions.has(name)) {
+      const { rows } = await this.pool.query(SCHEMA_QUERIES.function, [name]);
+      if (rows.length === 0) {
+        throw queryError('PGRST202', `Could not find the function public.${name} in the schema cache`);
+      }
+      this.functions.set(name, rows[0]);
+    }
+
+    const { returns_set: returnsSet, type_kind: typeKind, type_name: typeName } = this.functions.get(name);
+    const statement = new Statement();
+    const call = `${quote(name)}(${Object.entries(args)
+      .map(([arg, value]) => `${quote(arg)} => ${statement.param(this.toParam(value))}`)
+      .join(', ')})`;
+
+    if (typeName === 'void') {
+      await this.pool.query(`SELECT ${call}`, statement.params);
+      return null;
+    }
+
+    if (typeKind === 'c' || typeName === 'record') {
+      const { rows } = await this.pool.query(`SELECT row_to_json(_r) AS row FROM ${call} _r`, statement.params);
+      const data = rows.map(row => row.row);
+      return returnsSet ? data : data[0] ?? null;
+    }
+
+    const { rows } = await this.pool.query(`SELECT to_json(_v.value) AS value FROM ${call} AS _v(value)`, statement.params);
+    const data = rows.map(row => row.value);
+    return returnsSet ? data : data[0] ?? null;
+  }
+
+  async testConnection() {
+    try {
+      await this.pool.query('SELECT 1');
+      console.log('✅ Postgres connection successful');
+      return true;
+    } catch (error) {
+      console.error('❌ Postgres connection failed:', error.message);
+      return false;
+    }
+  }
+
+  async getHealthStatus() {
+    try {
+      const { rows } = await this.pool.query('SELECT pg_backend_pid() AS pid');
+      return {
+        status: 'healthy',
+        adapter: this.name,
+        pid: rows[0].pid,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        adapter: this.name,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  async close() {
+    if (typeof this.pool.end === 'function') {
+      await this.pool.end();
+    }
+  }
+}
+
+export default PostgresAdapter;
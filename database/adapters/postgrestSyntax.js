@@ -0,0 +1,249 @@
+/**
+ * PostgREST query syntax shared by the Postgres and in-memory adapters
+ *
+ * Parses the strings the models hand to the query builder, select lists such
+ * as `*, users!inner(id, email)` and logic trees such as
+ * `sender_id.eq.1,and(status.eq.pending,amount.gt.10)`, into plain objects the
+ * adapters execute.
+ */
+
+export const OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'like', 'ilike', 'is', 'in', 'cs', 'cd', 'ov'];
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * PostgREST style error; `code` follows PostgREST (PGRST...) or Postgres (23505...)
+ */
+export const queryError = (code, message, details = null, hint = null) => ({ code, message, details, hint });
+
+export function assertIdentifier(name) {
+  if (!IDENTIFIER.test(name)) {
+    throw queryError('PGRST100', `Invalid identifier: ${name}`);
+  }
+  return name;
+}
+
+/**
+ * Split on commas that are not inside parentheses or double quotes
+ */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (const char of text) {
+    if (char === '"') {
+      quoted = !quoted;
+    } else if (!quoted && char === '(') {
+      depth++;
+    } else if (!quoted && char === ')') {
+      depth--;
+    }
+
+    if (char === ',' && depth === 0 && !quoted) {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.map(part => part.trim()).filter(Boolean);
+}
+
+const unquote = (value) => (value.length >= 2 && value.startsWith('"') && value.endsWith('"') ? value.slice(1, -1) : value);
+
+/**
+ * Parse a select list
+ * @param {string} columns - e.g. `*, sender:users!inner(id, email)`
+ * @returns {Object} { star, columns: [{ name, alias }], embeds: [{ table, alias, inner, hint, select }] }
+ */
+export function parseSelect(columns = '*') {
+  const result = { star: false, columns: [], embeds: [] };
+
+  for (const item of splitTopLevel(columns.replace(/\s+/g, ' '))) {
+    if (item === '*') {
+      result.star = true;
+      continue;
+    }
+
+    const embed = item.match(/^(?:([A-Za-z_]\w*)\s*:\s*)?([A-Za-z_]\w*)(?:!([A-Za-z_]\w*))?\s*\(([\s\S]*)\)$/);
+    if (embed) {
+      const [, alias, table, hint, inner] = embed;
+      result.embeds.push({
+        table: table,
+        alias: alias || table,
+        inner: hint === 'inner',
+        hint: hint && hint !== 'inner' && hint !== 'left' ? hint : null,
+        select: parseSelect(inner.trim() || '*')
+      });
+      continue;
+    }
+
+    const column = item.match(/^(?:([A-Za-z_]\w*)\s*:\s*)?([A-Za-z_]\w*)(?:::\w+)?$/);
+    if (!column) {
+      throw queryError('PGRST100', `Unsupported select item: ${item}`);
+    }
+    result.columns.push({ name: column[2], alias: column[1] || column[2] });
+  }
+
+  return result;
+}
+
+/**
+ * Value of a filter written in PostgREST syntax (`in.(a,b)`, `is.null`, ...)
+ */
+export function parseValue(operator, raw) {
+  if (operator === 'in') {
+    const list = raw.trim().replace(/^\(/, '').replace(/\)$/, '');
+    return splitTopLevel(list).map(unquote);
+  }
+  if (operator === 'is') {
+    const value = raw.trim().toLowerCase();
+    if (value === 'null') return null;
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+    throw queryError('PGRST100', `Invalid value for is: ${raw}`);
+  }
+  if (operator === 'cs' || operator === 'cd' || operator === 'ov') {
+    const value = raw.trim();
+    if (value.startsWith('{') && value.endsWith('}')) {
+      return splitTopLevel(value.slice(1, -1)).map(unquote);
+    }
+    try {
+      return JSON.parse(value);
+    } catch {
+      throw queryError('PGRST100', `Invalid value for ${operator}: ${raw}`);
+    }
+  }
+  const value = unquote(raw);
+  return operator === 'like' || operator === 'ilike' ? value.replace(/\*/g, '%') : value;
+}
+
+/**
+ * A single filter condition
+ */
+export function condition(column, operator, value, negate = false) {
+  if (!OPERATORS.includes(operator)) {
+    throw queryError('PGRST100', `Unsupported operator: ${operator}`);
+  }
+  if (operator === 'is' && ![null, true, false].includes(value)) {
+    throw queryError('PGRST100', `is only accepts null, true or false: ${value}`);
+  }
+  if (['in', 'ov'].includes(operator) && !Array.isArray(value)) {
+    throw queryError('PGRST100', `${operator} needs a list of values`);
+  }
+  return { type: 'filter', column, operator, value, negate };
+}
+
+/**
+ * Operator given as a string to filter()/not(), possibly prefixed with `not.`
+ */
+export function parseOperator(operator, value) {
+  const negate = operator.startsWith('not.');
+  const name = negate ? operator.slice(4) : operator;
+  const parsed = typeof value === 'string' ? parseValue(name, value) : value;
+  return { operator: name, value: parsed, negate };
+}
+
+function parseLogicItem(item) {
+  const group = item.match(/^(not\.)?(and|or)\(([\s\S]*)\)$/);
+  if (group) {
+    return parseLogicTree(group[3], group[2], Boolean(group[1]));
+  }
+
+  // column.op.value, where the column may be an embedded one (users.email)
+  const segments = item.split('.');
+  for (let i = 1; i < segments.length; i++) {
+    const negate = segments[i] === 'not';
+    const operator = negate ? segments[i + 1] : segments[i];
+    if (OPERATORS.includes(operator)) {
+      const column = segments.slice(0, i).join('.');
+      const raw = segments.slice(negate ? i + 2 : i + 1).join('.');
+      return condition(column, operator, parseValue(operator, raw), negate);
+    }
+  }
+
+  throw queryError('PGRST100', `Failed to parse filter: ${item}`);
+}
+
+/**
+ * Parse the argument of or()/and() into a logic node
+ * @param {string} text - e.g. `email.eq.a@b.c,phone.eq.+962790000000`
+ * @param {string} type - 'or' | 'and'
+ */
+export function parseLogicTree(text, type = 'or', negate = false) {
+  const conditions = splitTopLevel(text.replace(/\n/g, ' ')).map(parseLogicItem);
+  return { type, conditions, negate };
+}
+
+/**
+ * Columns a condition refers to
+ */
+export function conditionColumns(node) {
+  return node.type === 'filter' ? [node.column] : node.conditions.flatMap(conditionColumns);
+}
+
+/**
+ * Copy of a condition with an embed prefix (`users.`) removed from its columns
+ */
+export function stripPrefix(node, prefix) {
+  if (node.type === 'filter') {
+    return { ...node, column: node.column.slice(prefix.length + 1) };
+  }
+  return { ...node, conditions: node.conditions.map(child => stripPrefix(child, prefix)) };
+}
+
+/**
+ * Split query conditions between the base table and its embeds
+ * @returns {Object} { base: [...], embedded: Map<alias, [...]>, existence: [{ alias, exists }] }
+ */
+export function partitionConditions(conditions, embeds) {
+  const aliases = new Set(embeds.map(embed => embed.alias));
+  const base = [];
+  const embedded = new Map();
+  const existence = [];
+
+  for (const node of conditions) {
+    // not('user_profiles', 'is', null) keeps rows that have a related row
+    if (node.type === 'filter' && aliases.has(node.column)) {
+      if (node.operator !== 'is' || node.value !== null) {
+        throw queryError('PGRST100', `Only is.null can filter on the embedded resource ${node.column}`);
+      }
+      existence.push({ alias: node.column, exists: node.negate });
+      continue;
+    }
+
+    const prefixes = new Set(conditionColumns(node).map(column => (column.includes('.') ? column.split('.')[0] : null)));
+    if (prefixes.size === 1 && !prefixes.has(null)) {
+      const [alias] = prefixes;
+      if (!aliases.has(alias)) {
+        throw queryError('PGRST108', `'${alias}' is not an embedded resource in this request`);
+      }
+      if (!embedded.has(alias)) embedded.set(alias, []);
+      embedded.get(alias).push(stripPrefix(node, alias));
+    } else if (prefixes.size === 1) {
+      base.push(node);
+    } else {
+      throw queryError('PGRST100', 'A filter cannot mix columns of the table and of embedded resources');
+    }
+  }
+
+  return { base, embedded, existence };
+}
+
+/**
+ * users -> user, activities -> activity; used to guess foreign key columns
+ */
+export const singular = (table) => table.replace(/ies$/, 'y').replace(/s$/, '');
+
+/**
+ * The error supabase-js returns from single() when the row count is not one
+ */
+export const singleRowError = (count) => queryError(
+  'PGRST116',
+  'JSON object requested, multiple (or no) rows returned',
+  `The result contains ${count} rows`
+);
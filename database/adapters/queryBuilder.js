@@ -0,0 +1,300 @@
+import {
+  condition,
+  parseLogicTree,
+  parseOperator,
+  parseSelect,
+  queryError,
+  singleRowError
+} from './postgrestSyntax.js';
+
+/**
+ * Map whatever an executor threw to the { code, message, details, hint }
+ * shape supabase-js returns; Postgres errors keep their SQLSTATE (23505, ...)
+ */
+function toQueryError(error) {
+  if (error && typeof error === 'object' && 'code' in error && !(error instanceof Error)) {
+    return error;
+  }
+  return queryError(error?.code || '', error?.message || String(error), error?.detail || null, error?.hint || null);
+}
+
+const prefixColumns = (node, table) => (node.type === 'filter'
+  ? { ...node, column: `${table}.${node.column}` }
+  : { ...node, conditions: node.conditions.map(child => prefixColumns(child, table)) });
+
+/**
+ * Query builder with the supabase-js (PostgREST) interface
+ *
+ * Records the query as a plain description and hands it to an executor when
+ * awaited, so models written against supabaseAdmin.from(...) run unchanged on
+ * the Postgres and in-memory adapters. Like supabase-js it never rejects:
+ * failures come back as { data: null, error }.
+ *
+ * An executor implements:
+ *   execute(query) -> { rows, count }   for select/insert/update/upsert/delete
+ *   rpc(fn, args)  -> data
+ */
+export class QueryBuilder {
+  constructor(executor, table) {
+    this.executor = executor;
+    this.query = {
+      table,
+      action: 'select',
+      select: null,
+      values: null,
+      onConflict: null,
+      ignoreDuplicates: false,
+      conditions: [],
+      order: [],
+      limit: null,
+      offset: null,
+      single: null,
+      count: null,
+      head: false
+    };
+    this.shouldThrow = false;
+    this.parseError = null;
+  }
+
+  /**
+   * Record a step, keeping the first parse error for when the query runs
+   */
+  step(apply) {
+    if (!this.parseError) {
+      try {
+        apply();
+      } catch (error) {
+        this.parseError = toQueryError(error);
+      }
+    }
+    return this;
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    return this.step(() => {
+      this.query.select = parseSelect(columns);
+      if (this.query.action === 'select') {
+        this.query.count = count;
+        this.query.head = head;
+      }
+    });
+  }
+
+  insert(values, { count = null } = {}) {
+    return this.step(() => {
+      Object.assign(this.query, { action: 'insert', values: [].concat(values), count });
+    });
+  }
+
+  upsert(values, { onConflict = null, ignoreDuplicates = false, count = null } = {}) {
+    return this.step(() => {
+      Object.assign(this.query, {
+        action: 'upsert',
+        values: [].concat(values),
+        onConflict: onConflict ? onConflict.split(',').map(column => column.trim()) : null,
+        ignoreDuplicates,
+        count
+      });
+    });
+  }
+
+  update(values, { count = null } = {}) {
+    return this.step(() => {
+      Object.assign(this.query, { action: 'update', values, count });
+    });
+  }
+
+  delete({ count = null } = {}) {
+    return this.step(() => {
+      Object.assign(this.query, { action: 'delete', count });
+    });
+  }
+
+  where(column, operator, value, negate = false) {
+    return this.step(() => {
+      this.query.conditions.push(condition(column, operator, value, negate));
+    });
+  }
+
+  eq(column, value) { return this.where(column, 'eq', value); }
+  neq(column, value) { return this.where(column, 'neq', value); }
+  gt(column, value) { return this.where(column, 'gt', value); }
+  gte(column, value) { return this.where(column, 'gte', value); }
+  lt(column, value) { return this.where(column, 'lt', value); }
+  lte(column, value) { return this.where(column, 'lte', value); }
+  like(column, pattern) { return this.where(column, 'like', pattern); }
+  ilike(column, pattern) { return this.where(column, 'ilike', pattern); }
+  is(column, value) { return this.where(column, 'is', value); }
+  in(column, values) { return this.where(column, 'in', values); }
+  contains(column, value) { return this.where(column, 'cs', value); }
+  containedBy(column, value) { return this.where(column, 'cd', value); }
+  overlaps(column, value) { return this.where(column, 'ov', value); }
+
+  not(column, operator, value) {
+    return this.step(() => {
+      const parsed = parseOperator(operator, value);
+      this.query.conditions.push(condition(column, parsed.operator, parsed.value, !parsed.negate));
+    });
+  }
+
+  filter(column, operator, value) {
+    return this.step(() => {
+      const parsed = parseOperator(operator, value);
+      this.query.conditions.push(condition(column, parsed.operator, parsed.value, parsed.negate));
+    });
+  }
+
+  match(values) {
+    return this.step(() => {
+      Object.entries(values).forEach(([column, value]) => this.query.conditions.push(condition(column, 'eq', value)));
+    });
+  }
+
+  or(filters, { referencedTable, foreignTable } = {}) {
+    return this.step(() => {
+      const table = referencedTable || foreignTable;
+      const node = parseLogicTree(filters, 'or');
+      this.query.conditions.push(table ? prefixColumns(node, table) : node);
+    });
+  }
+
+  order(column, { ascending = true, nullsFirst, referencedTable, foreignTable } = {}) {
+    return this.step(() => {
+      if (referencedTable || foreignTable) {
+        throw queryError('PGRST100', 'Ordering embedded resources is not supported by this adapter');
+      }
+      this.query.order.push({ column, ascending, nullsFirst: nullsFirst ?? !ascending });
+    });
+  }
+
+  limit(count) {
+    this.query.limit = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.query.offset = from;
+    this.query.limit = to - from + 1;
+    return this;
+  }
+
+  single() {
+    this.query.single = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.query.single = 'maybe';
+    return this;
+  }
+
+  abortSignal() {
+    return this;
+  }
+
+  returns() {
+    return this;
+  }
+
+  throwOnError() {
+    this.shouldThrow = true;
+    return this;
+  }
+
+  async run() {
+    if (this.parseError) {
+      return { data: null, error: this.parseError, count: null, status: 400, statusText: 'Bad Request' };
+    }
+
+    const { action, single, head } = this.query;
+
+    try {
+      const { rows, count } = await this.executor.execute(this.query);
+      const returning = action === 'select' || this.query.select !== null;
+
+      if (!returning || head) {
+        const status = action === 'insert' || action === 'upsert' ? 201 : 200;
+        return { data: null, error: null, count: count ?? null, status: head ? 200 : status, statusText: 'OK' };
+      }
+
+      if (single) {
+        if (rows.length > 1 || (rows.length === 0 && single === 'single')) {
+          return { data: null, error: singleRowError(rows.length), count: null, status: 406, statusText: 'Not Acceptable' };
+        }
+        return { data: rows[0] ?? null, error: null, count: count ?? null, status: 200, statusText: 'OK' };
+      }
+
+      return { data: rows, error: null, count: count ?? null, status: 200, statusText: 'OK' };
+    } catch (error) {
+      return { data: null, error: toQueryError(error), count: null, status: 400, statusText: 'Bad Request' };
+    }
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.run()
+      .then(result => {
+        if (this.shouldThrow && result.error) {
+          throw Object.assign(new Error(result.error.message), result.error);
+        }
+        return result;
+      })
+      .then(onFulfilled, onRejected);
+  }
+}
+
+/**
+ * supabase.rpc(...) counterpart; single() and maybeSingle() work on
+ * functions that return rows
+ */
+class RpcBuilder {
+  constructor(executor, fn, args) {
+    this.executor = executor;
+    this.fn = fn;
+    this.args = args;
+    this.mode = null;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybe';
+    return this;
+  }
+
+  async run() {
+    try {
+      const data = await this.executor.rpc(this.fn, this.args);
+
+      if (this.mode && Array.isArray(data)) {
+        if (data.length > 1 || (data.length === 0 && this.mode === 'single')) {
+          return { data: null, error: singleRowError(data.length), status: 406, statusText: 'Not Acceptable' };
+        }
+        return { data: data[0] ?? null, error: null, status: 200, statusText: 'OK' };
+      }
+
+      return { data, error: null, status: 200, statusText: 'OK' };
+    } catch (error) {
+      return { data: null, error: toQueryError(error), status: 400, statusText: 'Bad Request' };
+    }
+  }
+
+  then(onFulfilled, onRejected) {
+    return this.run().then(onFulfilled, onRejected);
+  }
+}
+
+/**
+ * A client exposing from(), rpc() and storage the way the Supabase client does
+ * @param {Object} executor - See QueryBuilder
+ * @param {Object} storage - Storage with from(bucket).upload/remove/createSignedUrl/download
+ */
+export function createQueryClient(executor, storage) {
+  return {
+    from: (table) => new QueryBuilder(executor, table),
+    rpc: (fn, args = {}) => new RpcBuilder(executor, fn, args),
+    storage
+  };
+}
@@ -0,0 +1,98 @@
+import { createClient } from '@supabase/supabase-js';
+
+/**
+ * Supabase Adapter
+ *
+ * The hosted Supabase project the models were written against.
+ *
+ * Options (from environment variables):
+ * - url: SUPABASE_URL, your Supabase project URL
+ * - anonKey: SUPABASE_ANON_KEY, your Supabase anon key
+ * - serviceRoleKey: SUPABASE_SERVICE_ROLE_KEY, your Supabase service role key (for admin operations)
+ */
+class SupabaseAdapter {
+  constructor({ url, anonKey, serviceRoleKey } = {}) {
+    if (!url || !anonKey || !serviceRoleKey) {
+      throw new Error('❌ Supabase environment variables not configured. Please set SUPABASE_URL, SUPABASE_ANON_KEY, and SUPABASE_SERVICE_ROLE_KEY in your environment variables.');
+    }
+
+    this.name = 'supabase';
+
+    // Regular client for most operations
+    this.client = createClient(url, anonKey, {
+      auth: {
+        autoRefreshToken: true,
+        persistSession: false,
+        detectSessionInUrl: false
+      },
+      db: {
+        schema: 'public'
+      },
+      global: {
+        headers: {
+          'X-Client-Info': '7awel-crypto-wallet-backend'
+        }
+      }
+    });
+
+    // Admin client for administrative operations (user management, etc.)
+    this.adminClient = createClient(url, serviceRoleKey, {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false
+      },
+      db: {
+        schema: 'public'
+      }
+    });
+  }
+
+  /**
+   * Test database connection
+   */
+  async testConnection() {
+    try {
+      const { error } = await this.client
+        .from('users')
+        .select('count(*)')
+        .limit(1);
+      if (error && error.code !== 'PGRST116') { // PGRST116 = table doesn't exist
+        throw error;
+      }
+      console.log('✅ Supabase connection successful');
+      return true;
+    } catch (error) {
+      console.error('❌ Supabase connection failed:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Get database health status
+   */
+  async getHealthStatus() {
+    try {
+      const { data, error } = await this.client.rpc('pg_backend_pid');
+      if (error) {
+        throw error;
+      }
+      return {
+        status: 'healthy',
+        adapter: this.name,
+        pid: data,
+        timestamp: new Date().toISOString()
+      };
+    } catch (error) {
+      return {
+        status: 'unhealthy',
+        adapter: this.name,
+        error: error.message,
+        timestamp: new Date().toISOString()
+      };
+    }
+  }
+
+  async close() {}
+}
+
+export default SupabaseAdapter;
@@ -0,0 +1,73 @@
+import dotenv from 'dotenv';
+dotenv.config();
+
+/**
+ * Database
+ *
+ * Picks the storage adapter every model and service goes through:
+ * - supabase: the hosted Supabase project (SUPABASE_URL, SUPABASE_ANON_KEY, SUPABASE_SERVICE_ROLE_KEY)
+ * - postgres: any Postgres database through DATABASE_URL, storage in LOCAL_STORAGE_DIR (default ./storage)
+ * - memory:   tables kept in process memory, for tests and running offline
+ *
+ * DATABASE_ADAPTER selects one. Without it the API uses Supabase, and test
+ * runs (NODE_ENV=test) without Supabase credentials use memory.
+ *
+ * All adapters expose the Supabase client interface, so `supabase` and
+ * `supabaseAdmin` keep their names whichever adapter is behind them.
+ */
+
+export const DATABASE_ADAPTERS = ['supabase', 'postgres', 'memory'];
+
+function resolveAdapterName() {
+  const configured = process.env.DATABASE_ADAPTER?.trim().toLowerCase();
+  if (configured) {
+    if (!DATABASE_ADAPTERS.includes(configured)) {
+      throw new Error(`❌ Unknown DATABASE_ADAPTER "${configured}". Use one of: ${DATABASE_ADAPTERS.join(', ')}.`);
+    }
+    return configured;
+  }
+
+  if (process.env.NODE_ENV === 'test' && !process.env.SUPABASE_URL) {
+    return 'memory';
+  }
+  return 'supabase';
+}
+
+async function createAdapter(name) {
+  if (name === 'postgres') {
+    const { default: PostgresAdapter } = await import('./adapters/postgresAdapter.js');
+    return new PostgresAdapter({
+      connectionString: process.env.DATABASE_URL,
+      storageDirectory: process.env.LOCAL_STORAGE_DIR || 'storage'
+    });
+  }
+
+  if (name === 'memory') {
+    const { default: MemoryAdapter } = await import('./adapters/memoryAdapter.js');
+    const { default: functions } = await import('./adapters/memoryFunctions.js');
+    return new MemoryAdapter({ functions });
+  }
+
+  const { default: SupabaseAdapter } = await import('./adapters/supabaseAdapter.js');
+  return new SupabaseAdapter({
+    url: process.env.SUPABASE_URL,
+    anonKey: process.env.SUPABASE_ANON_KEY,
+    serviceRoleKey: process.env.SUPABASE_SERVICE_ROLE_KEY
+  });
+}
+
+const database = await createAdapter(resolveAdapterName());
+
+// Regular client for most operations
+const supabase = database.client;
+
+// Admin client for administrative operations (user management, etc.)
+const supabaseAdmin = database.adminClient;
+
+const testConnection = () => database.testConnection();
+
+const getHealthStatus = () => database.getHealthStatus();
+
+console.log(`✅ Database initialized (${database.name} adapter)`);
+
+export { database, supabase, supabaseAdmin, testConnection, getHealthStatus };
@@ -1 +1,94 @@
- 
\ No newline at end of file
+#!/usr/bin/env node
+
+/**
+ * Database migration CLI
+ *
+ *   npm run migrate status                  List migrations and their state
+ *   npm run migrate up [-- --to 030]        Apply pending migrations (up to one)
+ *   npm run migrate down [-- --steps 2]     Revert the last applied migration(s)
+ *   npm run migrate baseline -- --to 030    Record migrations applied by hand
+ *
+ * Add --dry-run to up, down or baseline to print what would happen.
+ * Connects with DATABASE_URL, the project's direct Postgres connection string
+ * (Supabase: Project Settings → Database → Connection string).
+ */
+
+import dotenv from 'dotenv';
+import pg from 'pg';
+import MigrationRunner from './migrationRunner.js';
+
+dotenv.config();
+
+const COMMANDS = ['status', 'up', 'down', 'baseline'];
+
+function parseArgs(argv) {
+  const [command = 'status', ...rest] = argv;
+  const options = { dryRun: false };
+
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (rest[i] === '--to') {
+      options.to = rest[++i];
+    } else if (rest[i] === '--steps') {
+      options.steps = parseInt(rest[++i], 10);
+    } else {
+      throw new Error(`Unknown option: ${rest[i]}`);
+    }
+  }
+
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command: ${command} (expected ${COMMANDS.join(', ')})`);
+  }
+
+  if (options.steps !== undefined && !(options.steps > 0)) {
+    throw new Error('--steps must be a positive number');
+  }
+
+  return { command, options };
+}
+
+function printStatus({ migrations, missing }) {
+  const icons = { applied: '✅', pending: '⏳', modified: '⚠️' };
+
+  for (const migration of migrations) {
+    const appliedAt = migration.appliedAt ? ` (${new Date(migration.appliedAt).toISOString()})` : '';
+    const reversible = migration.reversible ? '' : ' [no down]';
+    console.log(`${icons[migration.state]} ${migration.state.padEnd(8)} ${migration.id}${appliedAt}${reversible}`);
+  }
+
+  for (const id of missing) {
+    console.log(`❓ missing  ${id} (recorded as applied but the file is gone)`);
+  }
+
+  const pending = migrations.filter(migration => migration.state === 'pending').length;
+  console.log(`\n${migrations.length - pending} applied, ${pending} pending`);
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL is not set');
+  }
+
+  const client = new pg.Client({ connectionString: process.env.DATABASE_URL });
+  await client.connect();
+
+  try {
+    const runner = new MigrationRunner({ client });
+
+    if (command === 'status') {
+      printStatus(await runner.status());
+    } else {
+      await runner[command](options);
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,343 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+export const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+// NNN_name.sql applies a migration, NNN_name.down.sql reverts it
+const MIGRATION_FILE = /^(\d+)_(.+?)(\.down)?\.sql$/;
+
+// Key for pg_advisory_lock so two runners never migrate the same database at once
+const LOCK_KEY = 742021;
+
+/**
+ * Migrations written before this runner, in the order they have to run on an
+ * empty database. Several share a prefix, 009_create_payment_requests_table
+ * references transactions (010) and 20240321_create_contact_sync_status
+ * predates the numbering, so their file names do not give a working order.
+ * Do not add to this list: every new migration needs its own prefix.
+ */
+export const LEGACY_ORDER = [
+  '001_create_users_table',
+  '002_create_user_profiles_table',
+  '003_create_user_auth_table',
+  '004_create_user_settings_tables',
+  '005_create_notification_settings_table',
+  '005_create_user_sessions_table',
+  '006_create_activity_logs_table',
+  '006_create_wallets_table',
+  '008_create_asset_balances_table',
+  '009_create_supported_assets_table',
+  '010_create_transactions_table',
+  '009_create_payment_requests_table',
+  '011_create_transaction_details_table',
+  '011_create_promotions_tables',
+  '012_create_client_logs_table',
+  '012_create_phones_table',
+  '013_create_supported_assets_table',
+  '013_create_contacts_with_accounts_table',
+  '20240321_create_contact_sync_status',
+  '014_optimize_contact_batch_operations',
+  '015_add_device_token_to_user_sessions'
+];
+
+const checksum = (sql) => crypto.createHash('sha256').update(sql).digest('hex');
+
+/**
+ * Migration Runner
+ *
+ * Applies the SQL files in database/migrations in order and records each one
+ * in schema_migrations with a SHA-256 checksum of its contents. Every
+ * migration runs in its own transaction together with its bookkeeping row.
+ *
+ * Ordering is LEGACY_ORDER first, then by numeric prefix. Two files sharing a
+ * prefix outside LEGACY_ORDER are a conflict and nothing runs until one is
+ * renumbered. An applied migration whose file has changed since is reported
+ * as modified and blocks `up` and `down`.
+ */
+class MigrationRunner {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - Connected pg client (anything with query(text, params))
+   * @param {string} options.directory - Migrations directory
+   * @param {Function} options.log - Progress output
+   */
+  constructor({ client, directory = MIGRATIONS_DIR, log = console.log } = {}) {
+    this.client = client;
+    this.directory = directory;
+    this.log = log;
+  }
+
+  /**
+   * Read and order the migration files
+   * @returns {Array<Object>} { id, version, name, file, sql, checksum, downSql }
+   */
+  async loadMigrations() {
+    const files = (await fs.readdir(this.directory)).filter(file => file.endsWith('.sql')).sort();
+
+    const unmatched = files.filter(file => !MIGRATION_FILE.test(file));
+    if (unmatched.length > 0) {
+      throw new Error(`Migration files must be named NNN_name.sql: ${unmatched.join(', ')}`);
+    }
+
+    const downFiles = new Set(files.filter(file => file.endsWith('.down.sql')));
+    const migrations = [];
+
+    for (const file of files.filter(name => !downFiles.has(name))) {
+      const [, version, name] = file.match(MIGRATION_FILE);
+      const id = file.slice(0, -'.sql'.length);
+      const sql = await fs.readFile(path.join(this.directory, file), 'utf8');
+      const downFile = `${id}.down.sql`;
+
+      migrations.push({
+        id,
+        version,
+        name,
+        file,
+        sql,
+        checksum: checksum(sql),
+        downSql: downFiles.has(downFile) ? await fs.readFile(path.join(this.directory, downFile), 'utf8') : null
+      });
+      downFiles.delete(downFile);
+    }
+
+    if (downFiles.size > 0) {
+      throw new Error(`Down migrations without a matching up migration: ${[...downFiles].join(', ')}`);
+    }
+
+    return this.order(migrations);
+  }
+
+  /**
+   * Legacy migrations in LEGACY_ORDER, then the rest by numeric prefix
+   */
+  order(migrations) {
+    const legacy = migrations
+      .filter(migration => LEGACY_ORDER.includes(migration.id))
+      .sort((a, b) => LEGACY_ORDER.indexOf(a.id) - LEGACY_ORDER.indexOf(b.id));
+    const rest = migrations.filter(migration => !LEGACY_ORDER.includes(migration.id));
+
+    const takenVersions = new Map(legacy.map(migration => [Number(migration.version), migration.file]));
+    const conflicts = [];
+    for (const migration of rest) {
+      const version = Number(migration.version);
+      if (takenVersions.has(version)) {
+        conflicts.push(`${takenVersions.get(version)} and ${migration.file}`);
+      } else {
+        takenVersions.set(version, migration.file);
+      }
+    }
+
+    if (conflicts.length > 0) {
+      throw new Error(`Migrations share a prefix, renumber one of each pair: ${conflicts.join('; ')}`);
+    }
+
+    rest.sort((a, b) => Number(a.version) - Number(b.version));
+    return [...legacy, ...rest];
+  }
+
+  async ensureTable() {
+    await this.client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        id VARCHAR(255) PRIMARY KEY,
+        checksum CHAR(64) NOT NULL,
+        execution_ms INTEGER,
+        applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+      )
+    `);
+  }
+
+  /**
+   * @returns {Map<string, Object>} schema_migrations rows by id
+   */
+  async getApplied() {
+    const { rows } = await this.client.query('SELECT id, checksum, applied_at FROM schema_migrations ORDER BY applied_at, id');
+    return new Map(rows.map(row => [row.id, row]));
+  }
+
+  /**
+   * Every migration with its state: applied, pending or modified; plus
+   * recorded migrations whose file is gone
+   */
+  async status() {
+    await this.ensureTable();
+    const [migrations, applied] = await Promise.all([this.loadMigrations(), this.getApplied()]);
+
+    const rows = migrations.map(migration => {
+      const record = applied.get(migration.id);
+      let state = 'pending';
+      if (record) {
+        state = record.checksum === migration.checksum ? 'applied' : 'modified';
+      }
+      return { id: migration.id, state, appliedAt: record?.applied_at || null, reversible: Boolean(migration.downSql) };
+    });
+
+    const known = new Set(migrations.map(migration => migration.id));
+    const missing = [...applied.keys()].filter(id => !known.has(id));
+
+    return { migrations: rows, missing };
+  }
+
+  /**
+   * Apply pending migrations
+   * @param {Object} options - { dryRun, to: last migration id or prefix to apply }
+   * @returns {Array<string>} Applied (or, in a dry run, pending) migration ids
+   */
+  async up({ dryRun = false, to = null } = {}) {
+    return this.withLock(async () => {
+      const { migrations, applied } = await this.prepare();
+
+      let pending = migrations.filter(migration => !applied.has(migration.id));
+      if (to) {
+        const target = this.findTarget(migrations, to);
+        pending = pending.filter(migration => migrations.indexOf(migration) <= migrations.indexOf(target));
+      }
+
+      if (pending.length === 0) {
+        this.log('✅ Database is up to date');
+        return [];
+      }
+
+      for (const migration of pending) {
+        if (dryRun) {
+          this.log(`📝 Would apply ${migration.id}`);
+          continue;
+        }
+
+        const startedAt = Date.now();
+        await this.transaction(async () => {
+          await this.client.query(migration.sql);
+          await this.client.query(
+            'INSERT INTO schema_migrations (id, checksum, execution_ms) VALUES ($1, $2, $3)',
+            [migration.id, migration.checksum, Date.now() - startedAt]
+          );
+        }, migration.id);
+        this.log(`✅ Applied ${migration.id} (${Date.now() - startedAt}ms)`);
+      }
+
+      return pending.map(migration => migration.id);
+    });
+  }
+
+  /**
+   * Revert the most recently applied migrations
+   * @param {Object} options - { dryRun, steps }
+   * @returns {Array<string>} Reverted (or, in a dry run, revertible) migration ids
+   */
+  async down({ dryRun = false, steps = 1 } = {}) {
+    return this.withLock(async () => {
+      const { migrations, applied } = await this.prepare();
+
+      const targets = migrations.filter(migration => applied.has(migration.id)).reverse().slice(0, steps);
+      if (targets.length === 0) {
+        this.log('ℹ️ Nothing to revert');
+        return [];
+      }
+
+      const irreversible = targets.filter(migration => !migration.downSql);
+      if (irreversible.length > 0) {
+        throw new Error(`No down migration for ${irreversible.map(migration => migration.id).join(', ')}`);
+      }
+
+      for (const migration of targets) {
+        if (dryRun) {
+          this.log(`📝 Would revert ${migration.id}`);
+          continue;
+        }
+
+        await this.transaction(async () => {
+          await this.client.query(migration.downSql);
+          await this.client.query('DELETE FROM schema_migrations WHERE id = $1', [migration.id]);
+        }, migration.id);
+        this.log(`↩️ Reverted ${migration.id}`);
+      }
+
+      return targets.map(migration => migration.id);
+    });
+  }
+
+  /**
+   * Record migrations as applied without running them, for databases that were
+   * migrated by hand before this runner existed
+   * @param {Object} options - { dryRun, to: last migration id or prefix to record }
+   */
+  async baseline({ dryRun = false, to } = {}) {
+    if (!to) {
+      throw new Error('Baseline needs --to <migration> naming the last migration already in the database');
+    }
+
+    return this.withLock(async () => {
+      const { migrations, applied } = await this.prepare();
+      const target = this.findTarget(migrations, to);
+      const recorded = migrations
+        .slice(0, migrations.indexOf(target) + 1)
+        .filter(migration => !applied.has(migration.id));
+
+      for (const migration of recorded) {
+        if (dryRun) {
+          this.log(`📝 Would record ${migration.id} as applied`);
+          continue;
+        }
+
+        await this.client.query(
+          'INSERT INTO schema_migrations (id, checksum, execution_ms) VALUES ($1, $2, NULL)',
+          [migration.id, migration.checksum]
+        );
+        this.log(`📌 Recorded ${migration.id} as applied`);
+      }
+
+      return recorded.map(migration => migration.id);
+    });
+  }
+
+  /**
+   * Load files and applied state, refusing to continue past edited migrations
+   */
+  async prepare() {
+    await this.ensureTable();
+    const [migrations, applied] = await Promise.all([this.loadMigrations(), this.getApplied()]);
+
+    const modified = migrations.filter(migration =>
+      applied.has(migration.id) && applied.get(migration.id).checksum !== migration.checksum
+    );
+    if (modified.length > 0) {
+      throw new Error(`Applied migrations were edited afterwards, add a new migration instead: ${modified.map(migration => migration.id).join(', ')}`);
+    }
+
+    return { migrations, applied };
+  }
+
+  /**
+   * A migration by full id or by prefix ("030")
+   */
+  findTarget(migrations, to) {
+    const matches = migrations.filter(migration => migration.id === to || migration.version === to);
+    if (matches.length !== 1) {
+      throw new Error(matches.length === 0 ? `Unknown migration: ${to}` : `Ambiguous migration prefix: ${to}`);
+    }
+    return matches[0];
+  }
+
+  async transaction(work, id) {
+    await this.client.query('BEGIN');
+    try {
+      await work();
+      await this.client.query('COMMIT');
+    } catch (error) {
+      await this.client.query('ROLLBACK');
+      throw new Error(`Migration ${id} failed: ${error.message}`);
+    }
+  }
+
+  async withLock(work) {
+    await this.client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    try {
+      return await work();
+    } finally {
+      await this.client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+    }
+  }
+}
+
+export default MigrationRunner;
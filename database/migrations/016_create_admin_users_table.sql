@@ -0,0 +1,63 @@
+-- Migration: 016_create_admin_users_table.sql
+-- Description: Create admin_users table for database-backed admin accounts with roles
+-- Date: 2025-07-01
+
+-- Create enum for admin roles
+DO $$ BEGIN
+    CREATE TYPE admin_role_enum AS ENUM ('super_admin', 'admin', 'support', 'viewer');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Create admin_users table
+CREATE TABLE IF NOT EXISTS admin_users (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    username VARCHAR(50) UNIQUE NOT NULL,
+    email VARCHAR(255) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL, -- bcrypt hash, never the plain password
+    role admin_role_enum NOT NULL DEFAULT 'viewer',
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    password_changed_at TIMESTAMP WITH TIME ZONE,
+    deactivated_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT check_admin_username_format CHECK (username ~ '^[A-Za-z0-9_.-]{3,50}$'),
+    CONSTRAINT check_admin_email_format CHECK (email ~* '^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}$'),
+    CONSTRAINT check_admin_deactivated_logic CHECK (
+        (is_active = TRUE AND deactivated_at IS NULL) OR
+        (is_active = FALSE AND deactivated_at IS NOT NULL)
+    )
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_admin_users_role ON admin_users(role);
+CREATE INDEX IF NOT EXISTS idx_admin_users_active ON admin_users(is_active);
+
+-- Function to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_admin_users_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Create trigger to automatically update updated_at
+DROP TRIGGER IF EXISTS update_admin_users_updated_at ON admin_users;
+CREATE TRIGGER update_admin_users_updated_at
+    BEFORE UPDATE ON admin_users
+    FOR EACH ROW
+    EXECUTE FUNCTION update_admin_users_updated_at();
+
+-- Admin accounts are only accessed through the service role
+ALTER TABLE admin_users ENABLE ROW LEVEL SECURITY;
+
+-- Add comments for documentation
+COMMENT ON TABLE admin_users IS 'Admin panel accounts with role-based permissions';
+COMMENT ON COLUMN admin_users.password_hash IS 'bcrypt hash of the admin password';
+COMMENT ON COLUMN admin_users.role IS 'Admin role; permissions are derived from the role in the application';
+COMMENT ON COLUMN admin_users.deactivated_at IS 'When the account was disabled; NULL while active';
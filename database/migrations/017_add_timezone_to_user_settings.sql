@@ -0,0 +1,12 @@
+-- Migration: 017_add_timezone_to_user_settings.sql
+-- Description: Add timezone to user_settings so daily limits reset at the user's local midnight
+-- Date: 2025-07-02
+
+ALTER TABLE user_settings
+    ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) DEFAULT 'UTC' NOT NULL;
+
+-- Speeds up summing a user's outgoing transactions for the current day
+CREATE INDEX IF NOT EXISTS idx_transactions_sender_created_at
+    ON transactions(sender_id, created_at);
+
+COMMENT ON COLUMN user_settings.timezone IS 'IANA timezone name (e.g. Asia/Riyadh) used for daily limit windows';
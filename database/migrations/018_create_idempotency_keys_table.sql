@@ -0,0 +1,47 @@
+-- Migration: 018_create_idempotency_keys_table.sql
+-- Description: Store first responses for Idempotency-Key requests so client retries are replayed
+-- Date: 2025-07-03
+
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    scope VARCHAR(100) NOT NULL, -- route the key was used on, e.g. transactions:create
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL, -- sha256 of the request body
+    status VARCHAR(20) NOT NULL DEFAULT 'in_progress',
+    response_status INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+    -- Constraints
+    CONSTRAINT unique_idempotency_key UNIQUE (user_id, scope, idempotency_key),
+    CONSTRAINT check_idempotency_status CHECK (status IN ('in_progress', 'completed')),
+    CONSTRAINT check_idempotency_response CHECK (
+        (status = 'in_progress' AND response_status IS NULL) OR
+        (status = 'completed' AND response_status IS NOT NULL)
+    )
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+-- Function to remove expired keys
+CREATE OR REPLACE FUNCTION cleanup_expired_idempotency_keys()
+RETURNS INTEGER AS $$
+DECLARE
+    deleted_count INTEGER;
+BEGIN
+    DELETE FROM idempotency_keys WHERE expires_at < CURRENT_TIMESTAMP;
+    GET DIAGNOSTICS deleted_count = ROW_COUNT;
+    RETURN deleted_count;
+END;
+$$ language 'plpgsql';
+
+-- Only the service role reads or writes idempotency records
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+
+-- Add comments for documentation
+COMMENT ON TABLE idempotency_keys IS 'First response per user, route and Idempotency-Key header, replayed on retries';
+COMMENT ON COLUMN idempotency_keys.request_hash IS 'Reusing a key with a different body hash is rejected with 409';
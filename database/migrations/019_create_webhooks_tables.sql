@@ -0,0 +1,85 @@
+-- Migration: 019_create_webhooks_tables.sql
+-- Description: Create webhook_endpoints and webhook_deliveries tables for transaction lifecycle webhooks
+-- Date: 2025-07-04
+
+-- Create enum for delivery status
+DO $$ BEGIN
+    CREATE TYPE webhook_delivery_status_enum AS ENUM ('pending', 'succeeded', 'failed');
+EXCEPTION
+    WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Create webhook_endpoints table
+CREATE TABLE IF NOT EXISTS webhook_endpoints (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    url TEXT NOT NULL,
+    description VARCHAR(255),
+    event_types TEXT[] NOT NULL,
+    secret VARCHAR(100) NOT NULL, -- HMAC signing secret shared with the receiver
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- merchant owner; NULL for admin endpoints
+    created_by_admin_id UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT check_webhook_url_format CHECK (url ~* '^https?://'),
+    CONSTRAINT check_webhook_event_types CHECK (array_length(event_types, 1) > 0)
+);
+
+-- Create webhook_deliveries table
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL, -- shared by all deliveries of the same event
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status webhook_delivery_status_enum NOT NULL DEFAULT 'pending',
+    attempt_count INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE,
+    last_response_status INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT check_webhook_attempt_count CHECK (attempt_count >= 0)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_user ON webhook_endpoints(user_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_endpoints_active ON webhook_endpoints(is_active);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_endpoint ON webhook_deliveries(endpoint_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+-- Function to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_webhooks_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+-- Create triggers to automatically update updated_at
+DROP TRIGGER IF EXISTS update_webhook_endpoints_updated_at ON webhook_endpoints;
+CREATE TRIGGER update_webhook_endpoints_updated_at
+    BEFORE UPDATE ON webhook_endpoints
+    FOR EACH ROW
+    EXECUTE FUNCTION update_webhooks_updated_at();
+
+DROP TRIGGER IF EXISTS update_webhook_deliveries_updated_at ON webhook_deliveries;
+CREATE TRIGGER update_webhook_deliveries_updated_at
+    BEFORE UPDATE ON webhook_deliveries
+    FOR EACH ROW
+    EXECUTE FUNCTION update_webhooks_updated_at();
+
+-- Secrets are only readable through the service role
+ALTER TABLE webhook_endpoints ENABLE ROW LEVEL SECURITY;
+ALTER TABLE webhook_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- Add comments for documentation
+COMMENT ON TABLE webhook_endpoints IS 'Partner URLs subscribed to transaction lifecycle events';
+COMMENT ON COLUMN webhook_endpoints.user_id IS 'Merchant owner; endpoint only receives events for that user''s transactions. NULL receives all events';
+COMMENT ON TABLE webhook_deliveries IS 'Delivery log of webhook events with retry state';
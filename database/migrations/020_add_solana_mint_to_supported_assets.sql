@@ -0,0 +1,17 @@
+-- Migration: 020_add_solana_mint_to_supported_assets.sql
+-- Description: Store the SPL mint address per asset so Solana transfers work for any listed token
+-- Date: 2025-07-05
+
+-- Assets like USDT live on several networks, so the Solana mint gets its own column
+-- instead of reusing contract_address
+ALTER TABLE supported_assets
+    ADD COLUMN IF NOT EXISTS solana_mint_address VARCHAR(64);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_supported_assets_solana_mint
+    ON supported_assets(solana_mint_address) WHERE solana_mint_address IS NOT NULL;
+
+-- Mainnet mints; override per environment (e.g. devnet test mints)
+UPDATE supported_assets SET solana_mint_address = 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB' WHERE symbol = 'USDT';
+UPDATE supported_assets SET solana_mint_address = 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v' WHERE symbol = 'USDC';
+
+COMMENT ON COLUMN supported_assets.solana_mint_address IS 'SPL token mint on Solana; NULL when the asset cannot be transferred on Solana';
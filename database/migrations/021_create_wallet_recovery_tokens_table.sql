@@ -0,0 +1,31 @@
+-- Migration: 021_create_wallet_recovery_tokens_table.sql
+-- Description: Store single-use wallet recovery tokens (hashed) sent by email or WhatsApp
+-- Date: 2025-07-06
+
+CREATE TYPE recovery_channel_enum AS ENUM ('email', 'whatsapp');
+
+CREATE TABLE IF NOT EXISTS wallet_recovery_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    wallet_id UUID NOT NULL REFERENCES wallets(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE, -- SHA-256 of the full token; the token itself is never stored
+    channel recovery_channel_enum NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    requested_ip VARCHAR(64),
+    used_ip VARCHAR(64),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_recovery_tokens_wallet_id ON wallet_recovery_tokens(wallet_id);
+CREATE INDEX IF NOT EXISTS idx_wallet_recovery_tokens_user_created ON wallet_recovery_tokens(user_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_wallet_recovery_tokens_expires_at ON wallet_recovery_tokens(expires_at);
+
+-- Only the backend (service role) reads or writes recovery tokens
+ALTER TABLE wallet_recovery_tokens ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE wallet_recovery_tokens IS 'Single-use, time-limited wallet recovery tokens';
+COMMENT ON COLUMN wallet_recovery_tokens.token_hash IS 'SHA-256 hex digest of the signed recovery token';
+COMMENT ON COLUMN wallet_recovery_tokens.used_at IS 'Set when the token is redeemed; a token can only be redeemed once';
+COMMENT ON COLUMN wallet_recovery_tokens.revoked_at IS 'Set when a newer token is issued for the same wallet';
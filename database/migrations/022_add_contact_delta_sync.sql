@@ -0,0 +1,65 @@
+-- Migration: 022_add_contact_delta_sync.sql
+-- Description: Track sync tokens and contact match times so clients can send only added/removed contacts
+-- Date: 2025-07-07
+
+-- Sync token issued after every successful sync; the next delta must present it
+ALTER TABLE contact_sync_status
+    ADD COLUMN IF NOT EXISTS sync_token VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS sync_token_issued_at TIMESTAMP WITH TIME ZONE;
+
+-- When a contact was first linked to an app user
+ALTER TABLE contacts_with_accounts
+    ADD COLUMN IF NOT EXISTS matched_at TIMESTAMP WITH TIME ZONE;
+
+UPDATE contacts_with_accounts
+SET matched_at = created_at
+WHERE linked_user_id IS NOT NULL AND matched_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_contacts_owner_matched_at
+    ON contacts_with_accounts(owner_id, matched_at)
+    WHERE linked_user_id IS NOT NULL;
+
+-- Stamp matched_at whenever a contact gains (or changes) its linked user
+CREATE OR REPLACE FUNCTION set_contact_matched_at()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.linked_user_id IS NULL THEN
+        NEW.matched_at = NULL;
+    ELSIF TG_OP = 'INSERT' OR OLD.linked_user_id IS DISTINCT FROM NEW.linked_user_id THEN
+        NEW.matched_at = CURRENT_TIMESTAMP;
+    ELSE
+        NEW.matched_at = OLD.matched_at;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS set_contact_matched_at ON contacts_with_accounts;
+CREATE TRIGGER set_contact_matched_at
+    BEFORE INSERT OR UPDATE OF linked_user_id ON contacts_with_accounts
+    FOR EACH ROW
+    EXECUTE FUNCTION set_contact_matched_at();
+
+-- Link existing contacts when someone registers (or re-links) a phone number,
+-- so delta syncs report users who joined after the contact was uploaded
+CREATE OR REPLACE FUNCTION link_contacts_to_phone()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE contacts_with_accounts
+    SET linked_user_id = NEW.linked_user_id
+    WHERE phone_hash = NEW.phone_hash
+      AND owner_id <> NEW.linked_user_id
+      AND linked_user_id IS DISTINCT FROM NEW.linked_user_id;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS link_contacts_to_phone ON phones;
+CREATE TRIGGER link_contacts_to_phone
+    AFTER INSERT OR UPDATE OF linked_user_id ON phones
+    FOR EACH ROW
+    EXECUTE FUNCTION link_contacts_to_phone();
+
+COMMENT ON COLUMN contact_sync_status.sync_token IS 'Opaque token returned by the last successful contact sync';
+COMMENT ON COLUMN contact_sync_status.sync_token_issued_at IS 'When sync_token was issued; newly matched contacts are reported relative to it';
+COMMENT ON COLUMN contacts_with_accounts.matched_at IS 'When linked_user_id was last set';
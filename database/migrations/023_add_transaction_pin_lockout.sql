@@ -0,0 +1,25 @@
+-- Migration: 023_add_transaction_pin_lockout.sql
+-- Description: Transaction PIN flag, failed-attempt lockout and per-session PIN verification time
+-- Date: 2025-07-08
+
+-- Flag read by the settings API and the transaction PIN middleware
+ALTER TABLE user_settings
+    ADD COLUMN IF NOT EXISTS transaction_pin BOOLEAN DEFAULT FALSE;
+
+-- Lockout for the transaction PIN (pin_attempts/pin_locked_until cover the app PIN)
+ALTER TABLE user_auth
+    ADD COLUMN IF NOT EXISTS transaction_pin_attempts INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS transaction_pin_locked_until TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS transaction_pin_updated_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE user_auth ADD CONSTRAINT check_transaction_pin_attempts
+    CHECK (transaction_pin_attempts >= 0 AND transaction_pin_attempts <= 10);
+
+-- When the PIN was last entered on a session; sends require a recent verification
+ALTER TABLE user_sessions
+    ADD COLUMN IF NOT EXISTS pin_verified_at TIMESTAMP WITH TIME ZONE;
+
+COMMENT ON COLUMN user_settings.transaction_pin IS 'Require a transaction PIN before creating transactions or Solana sends';
+COMMENT ON COLUMN user_auth.transaction_pin_attempts IS 'Consecutive failed transaction PIN attempts';
+COMMENT ON COLUMN user_auth.transaction_pin_locked_until IS 'Transaction PIN is locked until this time after too many failures';
+COMMENT ON COLUMN user_sessions.pin_verified_at IS 'When the transaction PIN was last verified on this session';
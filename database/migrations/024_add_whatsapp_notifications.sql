@@ -0,0 +1,43 @@
+-- Migration: 024_add_whatsapp_notifications.sql
+-- Description: WhatsApp notification preference and outbound message log with delivery status
+-- Date: 2025-07-09
+
+-- Preference exposed as notifications.whatsappNotifications in the settings API
+ALTER TABLE notification_settings
+    ADD COLUMN IF NOT EXISTS whatsapp_notifications BOOLEAN DEFAULT false NOT NULL;
+
+CREATE TYPE whatsapp_message_status_enum AS ENUM ('sent', 'delivered', 'read', 'failed');
+
+CREATE TABLE IF NOT EXISTS whatsapp_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    recipient VARCHAR(20) NOT NULL, -- masked phone number, e.g. +9665*****123
+    template VARCHAR(50), -- NULL for free-text messages
+    locale VARCHAR(5),
+    provider VARCHAR(20) NOT NULL,
+    provider_message_id VARCHAR(255),
+    status whatsapp_message_status_enum NOT NULL,
+    error_message TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    read_at TIMESTAMP WITH TIME ZONE,
+    failed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_whatsapp_messages_provider_message_id
+    ON whatsapp_messages(provider, provider_message_id)
+    WHERE provider_message_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_user_created ON whatsapp_messages(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_whatsapp_messages_status ON whatsapp_messages(status);
+
+CREATE TRIGGER update_whatsapp_messages_updated_at
+    BEFORE UPDATE ON whatsapp_messages
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE whatsapp_messages ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE whatsapp_messages IS 'Outbound WhatsApp notifications and their delivery status';
+COMMENT ON COLUMN whatsapp_messages.provider_message_id IS 'Message ID returned by the provider; status callbacks are matched on it';
@@ -0,0 +1,15 @@
+-- Migration: 025_add_session_registry.sql
+-- Description: Track every login in user_sessions so devices can be listed and revoked without Stytch
+-- Date: 2025-07-10
+
+-- Stytch session behind the row (NULL for custom stytch_session_ sessions)
+ALTER TABLE user_sessions
+    ADD COLUMN IF NOT EXISTS stytch_session_id VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_stytch_session
+    ON user_sessions(stytch_session_id)
+    WHERE stytch_session_id IS NOT NULL;
+
+COMMENT ON COLUMN user_sessions.stytch_session_id IS 'Stytch session ID, revoked in Stytch on a best-effort basis when the device is removed';
+COMMENT ON COLUMN user_sessions.revoked_at IS 'When the session was signed out or removed from the devices list';
@@ -0,0 +1,31 @@
+-- Migration: 026_add_user_devices.sql
+-- Description: Devices each user has signed in from, with user-controlled trust
+-- Date: 2025-07-10
+
+CREATE TABLE IF NOT EXISTS user_devices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    device_id VARCHAR(255) NOT NULL, -- client-supplied identifier sent at login
+    device_name VARCHAR(100),
+    trusted BOOLEAN DEFAULT FALSE NOT NULL,
+    trust_updated_at TIMESTAMP WITH TIME ZONE, -- last time the user changed trusted
+    first_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    last_ip_address INET,
+    last_user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_user_device UNIQUE (user_id, device_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_devices_user_last_seen ON user_devices(user_id, last_seen_at DESC);
+
+CREATE TRIGGER update_user_devices_updated_at
+    BEFORE UPDATE ON user_devices
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE user_devices ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE user_devices IS 'Devices a user has signed in from; a new device triggers a security alert';
+COMMENT ON COLUMN user_devices.trusted IS 'Untrusted devices need re-verification for high-value transfers during their first 24 hours';
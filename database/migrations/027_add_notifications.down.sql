@@ -0,0 +1,3 @@
+-- Revert: 027_add_notifications.sql
+
+DROP TABLE IF EXISTS notifications;
@@ -0,0 +1,25 @@
+-- Migration: 027_add_notifications.sql
+-- Description: In-app notification inbox with read/unread state
+-- Date: 2025-07-11
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    category VARCHAR(20) NOT NULL CHECK (category IN ('transaction', 'security', 'promotion', 'system')),
+    type VARCHAR(50) NOT NULL, -- notification type, e.g. transaction_success or pin_locked
+    title VARCHAR(255) NOT NULL,
+    body TEXT NOT NULL,
+    data JSONB DEFAULT '{}'::jsonb NOT NULL,
+    locale VARCHAR(10),
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+-- Keyset pagination walks (created_at, id) newest first
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created ON notifications(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread ON notifications(user_id) WHERE read_at IS NULL;
+
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE notifications IS 'In-app inbox; every transaction, security and promotion notification is stored here as well as pushed';
+COMMENT ON COLUMN notifications.read_at IS 'NULL while unread';
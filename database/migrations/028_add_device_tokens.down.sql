@@ -0,0 +1,4 @@
+-- Revert: 028_add_device_tokens.sql
+-- user_sessions.device_token was left in place by the up migration, so no tokens are lost
+
+DROP TABLE IF EXISTS device_tokens;
@@ -0,0 +1,38 @@
+-- Migration: 028_add_device_tokens.sql
+-- Description: Dedicated FCM device token registry, replacing user_sessions.device_token
+-- Date: 2025-07-11
+
+CREATE TABLE IF NOT EXISTS device_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token TEXT NOT NULL,
+    platform VARCHAR(10) CHECK (platform IN ('ios', 'android', 'web')), -- NULL for tokens carried over from user_sessions
+    app_version VARCHAR(32),
+    device_id VARCHAR(255),
+    last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    -- A token identifies one app install; registering it again moves it to the new user
+    CONSTRAINT unique_device_token UNIQUE (token)
+);
+
+CREATE INDEX IF NOT EXISTS idx_device_tokens_user_last_seen ON device_tokens(user_id, last_seen_at DESC);
+
+CREATE TRIGGER update_device_tokens_updated_at
+    BEFORE UPDATE ON device_tokens
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE device_tokens ENABLE ROW LEVEL SECURITY;
+
+-- Carry over tokens stored on active sessions, most recently used first
+INSERT INTO device_tokens (user_id, token, device_id, last_seen_at)
+SELECT DISTINCT ON (device_token)
+    user_id, device_token, device_id, COALESCE(last_activity, created_at)
+FROM user_sessions
+WHERE device_token IS NOT NULL AND is_active = true
+ORDER BY device_token, last_activity DESC NULLS LAST
+ON CONFLICT (token) DO NOTHING;
+
+COMMENT ON TABLE device_tokens IS 'FCM registration tokens per app install; tokens FCM rejects are pruned automatically';
+COMMENT ON COLUMN user_sessions.device_token IS 'Deprecated: device tokens live in device_tokens';
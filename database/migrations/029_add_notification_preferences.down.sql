@@ -0,0 +1,19 @@
+-- Revert: 029_add_notification_preferences.sql
+
+DROP INDEX IF EXISTS idx_notifications_digest_due;
+
+ALTER TABLE notifications
+    DROP COLUMN IF EXISTS deferred_until,
+    DROP COLUMN IF EXISTS deferred_channels,
+    DROP COLUMN IF EXISTS digested_at;
+
+UPDATE notifications SET category = 'transaction' WHERE category = 'incoming_transfer';
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_category_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_category_check
+    CHECK (category IN ('transaction', 'security', 'promotion', 'system'));
+
+ALTER TABLE notification_settings
+    DROP COLUMN IF EXISTS channel_preferences,
+    DROP COLUMN IF EXISTS quiet_hours_enabled,
+    DROP COLUMN IF EXISTS quiet_hours_start,
+    DROP COLUMN IF EXISTS quiet_hours_end;
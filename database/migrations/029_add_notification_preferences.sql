@@ -0,0 +1,26 @@
+-- Migration: 029_add_notification_preferences.sql
+-- Description: Per-category channel preferences, quiet hours and deferred digest delivery
+-- Date: 2025-07-11
+
+ALTER TABLE notification_settings
+    ADD COLUMN IF NOT EXISTS channel_preferences JSONB DEFAULT '{}'::jsonb NOT NULL,
+    ADD COLUMN IF NOT EXISTS quiet_hours_enabled BOOLEAN DEFAULT false NOT NULL,
+    ADD COLUMN IF NOT EXISTS quiet_hours_start TIME,
+    ADD COLUMN IF NOT EXISTS quiet_hours_end TIME;
+
+COMMENT ON COLUMN notification_settings.channel_preferences IS 'Per category, per channel opt-outs, e.g. {"promotion": {"push": false}}; missing entries are enabled';
+COMMENT ON COLUMN notification_settings.quiet_hours_start IS 'Local time in user_settings.timezone; may be later than quiet_hours_end to span midnight';
+
+-- Incoming transfers get their own category
+ALTER TABLE notifications DROP CONSTRAINT IF EXISTS notifications_category_check;
+ALTER TABLE notifications ADD CONSTRAINT notifications_category_check
+    CHECK (category IN ('transaction', 'incoming_transfer', 'security', 'promotion', 'system'));
+
+-- Notifications held back by quiet hours, delivered later as one digest
+ALTER TABLE notifications
+    ADD COLUMN IF NOT EXISTS deferred_until TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS deferred_channels TEXT[],
+    ADD COLUMN IF NOT EXISTS digested_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_digest_due ON notifications(deferred_until)
+    WHERE deferred_until IS NOT NULL AND digested_at IS NULL;
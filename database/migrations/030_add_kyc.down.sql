@@ -0,0 +1,6 @@
+-- Revert: 030_add_kyc.sql
+-- Uploaded documents stay in the kyc-documents bucket; empty it before deleting the bucket
+
+DROP TABLE IF EXISTS kyc_level_history;
+DROP TABLE IF EXISTS kyc_documents;
+DROP TABLE IF EXISTS kyc_submissions;
@@ -0,0 +1,66 @@
+-- Migration: 030_add_kyc.sql
+-- Description: KYC submissions with document uploads, admin review and level history
+-- Date: 2025-07-12
+
+CREATE TABLE IF NOT EXISTS kyc_submissions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    requested_level VARCHAR(20) NOT NULL CHECK (requested_level IN ('basic', 'enhanced', 'full')),
+    status VARCHAR(20) DEFAULT 'pending' NOT NULL CHECK (status IN ('pending', 'approved', 'rejected')),
+    first_name VARCHAR(100) NOT NULL,
+    last_name VARCHAR(100) NOT NULL,
+    date_of_birth DATE NOT NULL,
+    nationality CHAR(2) NOT NULL, -- ISO 3166-1 alpha-2
+    id_type VARCHAR(20) NOT NULL CHECK (id_type IN ('national_id', 'passport', 'driving_license', 'residence_permit')),
+    id_number VARCHAR(64) NOT NULL,
+    address TEXT,
+    reviewed_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    rejection_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A user has at most one submission waiting for review
+CREATE UNIQUE INDEX IF NOT EXISTS idx_kyc_submissions_one_pending ON kyc_submissions(user_id)
+    WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_kyc_submissions_user_created ON kyc_submissions(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_kyc_submissions_status_created ON kyc_submissions(status, created_at);
+
+CREATE TRIGGER update_kyc_submissions_updated_at
+    BEFORE UPDATE ON kyc_submissions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS kyc_documents (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    submission_id UUID NOT NULL REFERENCES kyc_submissions(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    document_type VARCHAR(30) NOT NULL CHECK (document_type IN ('id_front', 'id_back', 'selfie', 'proof_of_address')),
+    storage_path TEXT NOT NULL, -- Path in the private kyc-documents storage bucket
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT unique_kyc_document_per_type UNIQUE (submission_id, document_type)
+);
+
+CREATE TABLE IF NOT EXISTS kyc_level_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    previous_level VARCHAR(20) NOT NULL,
+    new_level VARCHAR(20) NOT NULL,
+    submission_id UUID REFERENCES kyc_submissions(id) ON DELETE SET NULL,
+    changed_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_kyc_level_history_user_created ON kyc_level_history(user_id, created_at DESC);
+
+ALTER TABLE kyc_submissions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE kyc_documents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE kyc_level_history ENABLE ROW LEVEL SECURITY;
+
+-- Private bucket for identity documents; files are only served through signed URLs
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('kyc-documents', 'kyc-documents', false)
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,6 @@
+-- Revert: 031_add_ledger.sql
+-- asset_balances keep the values the ledger left them at
+
+DROP FUNCTION IF EXISTS post_ledger_entries(UUID, VARCHAR, JSONB);
+DROP TABLE IF EXISTS ledger_entries;
+DROP TABLE IF EXISTS ledger_postings;
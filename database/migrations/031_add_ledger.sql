@@ -0,0 +1,129 @@
+-- Migration: 031_add_ledger.sql
+-- Description: Double-entry ledger behind asset_balances; postings update balances atomically
+-- Date: 2025-07-13
+
+-- One balanced set of entries: a hold, its settlement or release, an incoming credit
+CREATE TABLE IF NOT EXISTS ledger_postings (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    transaction_id UUID REFERENCES transactions(id) ON DELETE RESTRICT, -- NULL for the opening posting
+    type VARCHAR(20) NOT NULL CHECK (type IN ('opening', 'hold', 'settle', 'release', 'credit')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Each step happens once per transaction; retries hit this instead of posting twice
+    CONSTRAINT unique_ledger_posting_per_type UNIQUE (transaction_id, type)
+);
+
+-- Wallet accounts are liabilities: credits raise the balance, debits lower it.
+-- 'external' stands for money entering or leaving the platform.
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    posting_id UUID NOT NULL REFERENCES ledger_postings(id) ON DELETE RESTRICT,
+    transaction_id UUID REFERENCES transactions(id) ON DELETE RESTRICT,
+    wallet_id UUID REFERENCES wallets(id) ON DELETE RESTRICT,
+    account VARCHAR(20) NOT NULL CHECK (account IN ('wallet_available', 'wallet_pending', 'external')),
+    asset_symbol VARCHAR(10) NOT NULL,
+    direction VARCHAR(6) NOT NULL CHECK (direction IN ('debit', 'credit')),
+    amount DECIMAL(20,8) NOT NULL CHECK (amount > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT check_ledger_entry_wallet CHECK ((account = 'external') = (wallet_id IS NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_transaction ON ledger_postings(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_posting ON ledger_entries(posting_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_wallet_asset ON ledger_entries(wallet_id, asset_symbol);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_transaction ON ledger_entries(transaction_id);
+
+ALTER TABLE ledger_postings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE ledger_entries ENABLE ROW LEVEL SECURITY;
+
+-- Record a posting and apply it to asset_balances in one transaction.
+-- p_entries: [{ "wallet_id": uuid|null, "account": ..., "asset_symbol": ..., "direction": ..., "amount": ... }]
+CREATE OR REPLACE FUNCTION post_ledger_entries(p_transaction_id UUID, p_type VARCHAR, p_entries JSONB)
+RETURNS JSONB AS $$
+DECLARE
+    v_posting ledger_postings;
+    v_entry JSONB;
+    v_amount DECIMAL(20,8);
+    v_sign INTEGER;
+BEGIN
+    -- Serialize postings for the same transaction so a settle and a release cannot both pass the checks below
+    PERFORM 1 FROM transactions WHERE id = p_transaction_id FOR UPDATE;
+
+    IF p_type IN ('settle', 'release') THEN
+        IF NOT EXISTS (SELECT 1 FROM ledger_postings WHERE transaction_id = p_transaction_id AND type = 'hold') THEN
+            RAISE EXCEPTION 'No funds are held for this transaction';
+        END IF;
+        IF EXISTS (SELECT 1 FROM ledger_postings WHERE transaction_id = p_transaction_id AND type IN ('settle', 'release')) THEN
+            RAISE EXCEPTION 'Held funds were already settled or released';
+        END IF;
+    END IF;
+
+    IF EXISTS (
+        SELECT 1 FROM jsonb_array_elements(p_entries) e
+        GROUP BY e->>'asset_symbol'
+        HAVING SUM(CASE WHEN e->>'direction' = 'debit' THEN (e->>'amount')::DECIMAL ELSE 0 END)
+            <> SUM(CASE WHEN e->>'direction' = 'credit' THEN (e->>'amount')::DECIMAL ELSE 0 END)
+    ) THEN
+        RAISE EXCEPTION 'Ledger posting is not balanced';
+    END IF;
+
+    INSERT INTO ledger_postings (transaction_id, type)
+    VALUES (p_transaction_id, p_type)
+    RETURNING * INTO v_posting;
+
+    FOR v_entry IN SELECT * FROM jsonb_array_elements(p_entries) LOOP
+        v_amount := (v_entry->>'amount')::DECIMAL;
+
+        INSERT INTO ledger_entries (posting_id, transaction_id, wallet_id, account, asset_symbol, direction, amount)
+        VALUES (
+            v_posting.id,
+            p_transaction_id,
+            (v_entry->>'wallet_id')::UUID,
+            v_entry->>'account',
+            v_entry->>'asset_symbol',
+            v_entry->>'direction',
+            v_amount
+        );
+
+        IF v_entry->>'account' <> 'external' THEN
+            v_sign := CASE WHEN v_entry->>'direction' = 'credit' THEN 1 ELSE -1 END;
+
+            INSERT INTO asset_balances (wallet_id, asset_symbol)
+            VALUES ((v_entry->>'wallet_id')::UUID, v_entry->>'asset_symbol')
+            ON CONFLICT (wallet_id, asset_symbol) DO NOTHING;
+
+            -- The CHECK constraints on asset_balances reject overdrafts and abort the whole posting
+            UPDATE asset_balances
+            SET available = available + CASE WHEN v_entry->>'account' = 'wallet_available' THEN v_sign * v_amount ELSE 0 END,
+                pending = pending + CASE WHEN v_entry->>'account' = 'wallet_pending' THEN v_sign * v_amount ELSE 0 END,
+                total = total + v_sign * v_amount
+            WHERE wallet_id = (v_entry->>'wallet_id')::UUID
+              AND asset_symbol = v_entry->>'asset_symbol';
+        END IF;
+    END LOOP;
+
+    RETURN to_jsonb(v_posting);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Open the ledger with the balances recorded so far, so reconciliation starts clean
+DO $$
+DECLARE
+    v_posting_id UUID;
+BEGIN
+    IF EXISTS (SELECT 1 FROM asset_balances WHERE total > 0) THEN
+        INSERT INTO ledger_postings (type) VALUES ('opening') RETURNING id INTO v_posting_id;
+
+        INSERT INTO ledger_entries (posting_id, wallet_id, account, asset_symbol, direction, amount)
+        SELECT v_posting_id, wallet_id, 'wallet_available', asset_symbol, 'credit', available
+        FROM asset_balances WHERE available > 0
+        UNION ALL
+        SELECT v_posting_id, wallet_id, 'wallet_pending', asset_symbol, 'credit', pending
+        FROM asset_balances WHERE pending > 0
+        UNION ALL
+        SELECT v_posting_id, NULL, 'external', asset_symbol, 'debit', SUM(total)
+        FROM asset_balances WHERE total > 0
+        GROUP BY asset_symbol;
+    END IF;
+END $$;
@@ -0,0 +1,4 @@
+-- Revert: 032_add_scheduled_transfers.sql
+
+DROP TABLE IF EXISTS scheduled_transfer_executions;
+DROP TABLE IF EXISTS scheduled_transfers;
@@ -0,0 +1,60 @@
+-- Migration: 032_add_scheduled_transfers.sql
+-- Description: One-off and recurring scheduled transfers with an execution log
+-- Date: 2025-07-14
+
+CREATE TABLE IF NOT EXISTS scheduled_transfers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    recipient_id UUID REFERENCES users(id) ON DELETE SET NULL, -- Internal recipient, paid as a P2P transfer
+    to_address VARCHAR(255), -- External recipient otherwise
+    network VARCHAR(50) NOT NULL,
+    amount DECIMAL(20,8) NOT NULL CHECK (amount > 0),
+    asset_symbol VARCHAR(10) NOT NULL,
+    note TEXT,
+    frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('once', 'daily', 'weekly', 'monthly')),
+    start_at TIMESTAMP WITH TIME ZONE NOT NULL, -- First run; later runs keep its time of day and day of month
+    end_date TIMESTAMP WITH TIME ZONE, -- No runs after this
+    max_executions INTEGER CHECK (max_executions IS NULL OR max_executions > 0),
+    execution_count INTEGER DEFAULT 0 NOT NULL, -- Transfers sent; runs given up on after retries do not count
+    occurrence INTEGER DEFAULT 0 NOT NULL, -- Position of scheduled_for in the series, counted from start_at
+    status VARCHAR(20) DEFAULT 'active' NOT NULL CHECK (status IN ('active', 'paused', 'completed', 'cancelled', 'failed')),
+    scheduled_for TIMESTAMP WITH TIME ZONE, -- The run currently due
+    next_attempt_at TIMESTAMP WITH TIME ZONE, -- When the scheduler picks it up: the run, a retry, or the end of a claim
+    attempts INTEGER DEFAULT 0 NOT NULL, -- Failed attempts at the current run
+    reminder_sent BOOLEAN DEFAULT false NOT NULL, -- Reminder sent for the current run
+    last_error TEXT,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT check_scheduled_transfer_recipient CHECK (recipient_id IS NOT NULL OR to_address IS NOT NULL),
+    CONSTRAINT check_scheduled_transfer_end CHECK (frequency = 'once' OR end_date IS NULL OR end_date >= start_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_transfers_user_created ON scheduled_transfers(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_scheduled_transfers_due ON scheduled_transfers(next_attempt_at)
+    WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_scheduled_transfers_reminder ON scheduled_transfers(scheduled_for)
+    WHERE status = 'active' AND reminder_sent = false;
+
+CREATE TRIGGER update_scheduled_transfers_updated_at
+    BEFORE UPDATE ON scheduled_transfers
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- One row per attempt, successful or not
+CREATE TABLE IF NOT EXISTS scheduled_transfer_executions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    scheduled_transfer_id UUID NOT NULL REFERENCES scheduled_transfers(id) ON DELETE CASCADE,
+    transaction_id UUID REFERENCES transactions(id) ON DELETE SET NULL,
+    scheduled_for TIMESTAMP WITH TIME ZONE NOT NULL,
+    attempt INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('completed', 'failed')),
+    error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_scheduled_transfer_executions_transfer ON scheduled_transfer_executions(scheduled_transfer_id, created_at DESC);
+
+ALTER TABLE scheduled_transfers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE scheduled_transfer_executions ENABLE ROW LEVEL SECURITY;
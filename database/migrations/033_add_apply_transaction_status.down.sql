@@ -0,0 +1,3 @@
+-- Revert: 033_add_apply_transaction_status.sql
+
+DROP FUNCTION IF EXISTS apply_transaction_status(UUID, UUID, JSONB, VARCHAR, JSONB, VARCHAR);
@@ -0,0 +1,48 @@
+-- Migration: 033_add_apply_transaction_status.sql
+-- Description: Save a transaction's new status together with the ledger posting it causes
+-- Date: 2025-07-15
+
+-- Settling, releasing or crediting a transaction and saving its new status
+-- happen in one database transaction, so a failed status write cannot leave
+-- the funds moved
+CREATE OR REPLACE FUNCTION apply_transaction_status(
+    p_transaction_id UUID,
+    p_sender_id UUID,
+    p_updates JSONB,
+    p_posting_type VARCHAR DEFAULT NULL,
+    p_entries JSONB DEFAULT NULL,
+    p_expected_status VARCHAR DEFAULT NULL -- Only change a transaction still in this status
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_transaction transactions%ROWTYPE;
+BEGIN
+    -- Lock the row so two status changes cannot post against it at once
+    SELECT * INTO v_transaction
+    FROM transactions
+    WHERE id = p_transaction_id AND sender_id = p_sender_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Transaction not found or access denied';
+    END IF;
+
+    IF p_expected_status IS NOT NULL AND v_transaction.status <> p_expected_status THEN
+        RAISE EXCEPTION 'Transaction is no longer %', p_expected_status;
+    END IF;
+
+    IF p_posting_type IS NOT NULL THEN
+        PERFORM post_ledger_entries(p_transaction_id, p_posting_type, p_entries);
+    END IF;
+
+    UPDATE transactions
+    SET status = p_updates->>'status',
+        completed_at = CASE WHEN p_updates ? 'completed_at' THEN (p_updates->>'completed_at')::TIMESTAMPTZ ELSE completed_at END,
+        metadata = COALESCE(p_updates->'metadata', metadata),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = p_transaction_id
+    RETURNING * INTO v_transaction;
+
+    RETURN to_jsonb(v_transaction);
+END;
+$$ LANGUAGE plpgsql;
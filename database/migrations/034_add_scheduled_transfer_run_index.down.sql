@@ -0,0 +1,3 @@
+-- Revert: 034_add_scheduled_transfer_run_index.sql
+
+DROP INDEX IF EXISTS idx_transactions_scheduled_transfer_run;
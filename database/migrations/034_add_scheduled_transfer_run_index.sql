@@ -0,0 +1,8 @@
+-- Migration: 034_add_scheduled_transfer_run_index.sql
+-- Description: At most one live transaction per scheduled transfer run
+-- Date: 2025-07-15
+
+-- A run retried after a crash must not pay twice; failed and cancelled attempts do not count
+CREATE UNIQUE INDEX IF NOT EXISTS idx_transactions_scheduled_transfer_run
+    ON transactions ((metadata->'scheduled_transfer'->>'id'), (metadata->'scheduled_transfer'->>'scheduled_for'))
+    WHERE metadata ? 'scheduled_transfer' AND status NOT IN ('failed', 'cancelled');
@@ -0,0 +1,5 @@
+-- Revert: 035_add_payment_request_processing_status.sql
+
+-- Postgres cannot drop an enum value, and views depend on the column, so the
+-- unused 'processing' label stays; requests caught mid-payment go back to pending
+UPDATE payment_requests SET status = 'pending' WHERE status = 'processing';
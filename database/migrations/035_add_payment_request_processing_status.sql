@@ -0,0 +1,5 @@
+-- Migration: 035_add_payment_request_processing_status.sql
+-- Description: Processing status so a payment request is claimed before its payment is created
+-- Date: 2025-07-16
+
+ALTER TYPE payment_request_status_enum ADD VALUE IF NOT EXISTS 'processing' AFTER 'pending';
@@ -0,0 +1,3 @@
+-- Revert: 036_add_record_failed_transaction_pin_attempt.sql
+
+DROP FUNCTION IF EXISTS record_failed_transaction_pin_attempt(UUID, INTEGER, INTEGER);
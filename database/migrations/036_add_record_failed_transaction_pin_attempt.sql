@@ -0,0 +1,49 @@
+-- Migration: 036_add_record_failed_transaction_pin_attempt.sql
+-- Description: Count a failed transaction PIN attempt and apply the lockout atomically
+-- Date: 2025-07-16
+
+-- Reading the counter and writing it back lets parallel wrong guesses all see
+-- the same count; counting under the row lock makes every guess count
+CREATE OR REPLACE FUNCTION record_failed_transaction_pin_attempt(
+    p_user_id UUID,
+    p_max_attempts INTEGER,
+    p_lockout_seconds INTEGER
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_auth user_auth%ROWTYPE;
+    v_attempts INTEGER;
+    v_locked_until TIMESTAMP WITH TIME ZONE;
+BEGIN
+    SELECT * INTO v_auth
+    FROM user_auth
+    WHERE user_id = p_user_id
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Transaction PIN has not been set';
+    END IF;
+
+    -- Another attempt already locked the PIN; leave the lock as it is
+    IF v_auth.transaction_pin_locked_until > CURRENT_TIMESTAMP THEN
+        RETURN to_jsonb(v_auth) || jsonb_build_object('locked_now', FALSE);
+    END IF;
+
+    -- A lock that has run out starts a fresh count
+    v_attempts := CASE
+        WHEN v_auth.transaction_pin_locked_until IS NOT NULL THEN 1
+        ELSE COALESCE(v_auth.transaction_pin_attempts, 0) + 1
+    END;
+    v_locked_until := CASE
+        WHEN v_attempts >= p_max_attempts THEN CURRENT_TIMESTAMP + make_interval(secs => p_lockout_seconds)
+    END;
+
+    UPDATE user_auth
+    SET transaction_pin_attempts = v_attempts,
+        transaction_pin_locked_until = v_locked_until
+    WHERE user_id = p_user_id
+    RETURNING * INTO v_auth;
+
+    RETURN to_jsonb(v_auth) || jsonb_build_object('locked_now', v_locked_until IS NOT NULL);
+END;
+$$ LANGUAGE plpgsql;
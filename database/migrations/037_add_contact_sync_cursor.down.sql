@@ -0,0 +1,8 @@
+-- Revert: 037_add_contact_sync_cursor.sql
+
+DROP INDEX IF EXISTS idx_contacts_owner_matched_at_id;
+CREATE INDEX IF NOT EXISTS idx_contacts_owner_matched_at
+    ON contacts_with_accounts(owner_id, matched_at)
+    WHERE linked_user_id IS NOT NULL;
+
+ALTER TABLE contact_sync_status DROP COLUMN IF EXISTS sync_cursor_id;
@@ -0,0 +1,15 @@
+-- Migration: 037_add_contact_sync_cursor.sql
+-- Description: Resume truncated newly matched contact lists after the last contact returned
+-- Date: 2025-07-16
+
+-- Contacts matched in one statement share matched_at, so a truncated list
+-- resumes after (matched_at, id) of the last contact returned, not after matched_at alone
+ALTER TABLE contact_sync_status
+    ADD COLUMN IF NOT EXISTS sync_cursor_id UUID;
+
+DROP INDEX IF EXISTS idx_contacts_owner_matched_at;
+CREATE INDEX IF NOT EXISTS idx_contacts_owner_matched_at_id
+    ON contacts_with_accounts(owner_id, matched_at, id)
+    WHERE linked_user_id IS NOT NULL;
+
+COMMENT ON COLUMN contact_sync_status.sync_cursor_id IS 'Last contact returned when the newly matched list was truncated; later matches at sync_token_issued_at with a greater id are still new';
@@ -0,0 +1,3 @@
+-- Revert: 038_add_hold_transaction_funds.sql
+
+DROP FUNCTION IF EXISTS hold_transaction_funds(UUID, JSONB, DECIMAL, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE);
@@ -0,0 +1,67 @@
+-- Migration: 038_add_hold_transaction_funds.sql
+-- Description: Check the sender's daily spending limit and hold the funds under one lock
+-- Date: 2025-07-17
+
+-- Checking the limit before the hold lets parallel creates all see the same
+-- spending and all pass. Holds for the same wallet and asset queue on the
+-- balance row instead, and each one counts the transactions before it.
+-- Without a balance row there is nothing to lock, but also nothing to hold:
+-- the posting fails as an overdraft.
+--
+-- Spending is counted as SpendingLimitService.getSpentBetween counts it,
+-- including this transaction and any created in parallel that are still
+-- waiting for their hold. Two racing creates may therefore both be refused,
+-- but never both pass.
+--
+-- p_daily_limit NULL means no limit; the hold is posted as it is.
+CREATE OR REPLACE FUNCTION hold_transaction_funds(
+    p_transaction_id UUID,
+    p_entries JSONB,
+    p_daily_limit DECIMAL,
+    p_period_start TIMESTAMP WITH TIME ZONE,
+    p_period_end TIMESTAMP WITH TIME ZONE
+)
+RETURNS JSONB AS $$
+DECLARE
+    v_transaction transactions%ROWTYPE;
+    v_wallet_id UUID;
+    v_spent DECIMAL(20,8);
+BEGIN
+    SELECT * INTO v_transaction FROM transactions WHERE id = p_transaction_id;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Transaction not found';
+    END IF;
+
+    IF p_daily_limit IS NOT NULL THEN
+        SELECT (e->>'wallet_id')::UUID INTO v_wallet_id
+        FROM jsonb_array_elements(p_entries) e
+        WHERE e->>'account' = 'wallet_available'
+        LIMIT 1;
+
+        PERFORM 1 FROM asset_balances
+        WHERE wallet_id = v_wallet_id
+          AND asset_symbol = v_transaction.asset_symbol
+        FOR UPDATE;
+
+        -- SPENDING_TYPES and COUNTED_STATUSES in services/spendingLimitService.js
+        SELECT COALESCE(SUM(amount), 0) INTO v_spent
+        FROM transactions
+        WHERE sender_id = v_transaction.sender_id
+          AND UPPER(asset_symbol) = UPPER(v_transaction.asset_symbol)
+          AND type IN ('transfer', 'payment', 'cash_out')
+          AND status IN ('pending', 'processing', 'completed')
+          AND created_at >= p_period_start
+          AND created_at < p_period_end;
+
+        IF v_spent > p_daily_limit THEN
+            RAISE EXCEPTION 'Daily spending limit exceeded: requested %, remaining % of %',
+                trim_scale(v_transaction.amount),
+                trim_scale(GREATEST(p_daily_limit - (v_spent - v_transaction.amount), 0)),
+                trim_scale(p_daily_limit);
+        END IF;
+    END IF;
+
+    RETURN post_ledger_entries(p_transaction_id, 'hold', p_entries);
+END;
+$$ LANGUAGE plpgsql;
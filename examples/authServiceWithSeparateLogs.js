@@ -1,5 +1,5 @@
 import logger from '../utils/logger.js';
-import { supabase } from '../database/supabase.js';
+import { supabase } from '../database/index.js';
 import bcrypt from 'bcryptjs';
 
 /**
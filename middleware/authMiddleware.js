@@ -1,7 +1,19 @@
 import authService from '../services/authService.js';
 import adminAuthService from '../services/adminAuthService.js';
 import UserMappingService from '../services/userMappingService.js';
+import sessionTokenService from '../services/sessionTokenService.js';
+import SessionRegistryService from '../services/sessionRegistryService.js';
 import BaseResponse from '../utils/baseResponse.js';
+import { SESSION_JWT_ERRORS } from '../constants/securityConstants.js';
+
+// Custom session verification failures that mean "not authenticated"
+const CUSTOM_SESSION_ERROR_CODES = {
+  [SESSION_JWT_ERRORS.INVALID]: 'INVALID_SESSION_JWT',
+  [SESSION_JWT_ERRORS.UNKNOWN_KEY]: 'INVALID_SESSION_JWT',
+  [SESSION_JWT_ERRORS.TOKEN_MISMATCH]: 'INVALID_SESSION_JWT',
+  [SESSION_JWT_ERRORS.EXPIRED]: 'SESSION_EXPIRED',
+  [SESSION_JWT_ERRORS.REVOKED]: 'SESSION_REVOKED'
+};
 
 /**
  * Middleware to authenticate Stytch session tokens (for users)
@@ -24,19 +36,23 @@ const authenticateToken = async (req, res, next) => {
     const sessionJWT = req.headers['x-session-jwt'] || req.headers['session-jwt'];
 
     // --- Custom session support ---
-    if (sessionToken.startsWith('stytch_session_')) {
+    if (sessionTokenService.isCustomSessionToken(sessionToken)) {
       if (!sessionJWT) {
         return BaseResponse.unauthorized(res, 'Session JWT required for custom session', 'MISSING_SESSION_JWT');
       }
-      let decoded;
+
+      let verified;
       try {
-        decoded = JSON.parse(Buffer.from(sessionJWT, 'base64').toString());
-      } catch (e) {
-        return BaseResponse.unauthorized(res, 'Invalid session JWT', 'INVALID_SESSION_JWT');
-      }
-      if (!decoded.expires_at || new Date(decoded.expires_at) < new Date()) {
-        return BaseResponse.unauthorized(res, 'Session expired', 'SESSION_EXPIRED');
+        verified = await sessionTokenService.verifySession(sessionToken, sessionJWT);
+      } catch (error) {
+        const errorCode = CUSTOM_SESSION_ERROR_CODES[error.message];
+        if (!errorCode) {
+          throw error;
+        }
+        return BaseResponse.unauthorized(res, error.message, errorCode);
       }
+
+      const decoded = sessionTokenService.toUserInfo(verified.claims);
       // Simulate user object as in Stytch
       req.user = {
         stytchId: decoded.user_id,
@@ -59,6 +75,11 @@ const authenticateToken = async (req, res, next) => {
         created_at: decoded.created_at,
         status: decoded.status
       });
+      // The session row must belong to the user the JWT was issued for
+      if (verified.session.user_id !== supabaseUser.id) {
+        return BaseResponse.unauthorized(res, 'Invalid or expired session', 'SESSION_INVALID');
+      }
+      SessionRegistryService.recordActivity(verified.session);
       req.user.id = supabaseUser.id;
       req.user.supabaseId = supabaseUser.id;
       req.user.phone = supabaseUser.phone_number || supabaseUser.phone;
@@ -80,6 +101,23 @@ const authenticateToken = async (req, res, next) => {
 
     // Get or create user in Supabase
     const supabaseUser = await UserMappingService.createOrGetUser(validationResult.user);
+
+    // Devices signed out through /auth/devices stay signed out even if Stytch still accepts the token
+    try {
+      await SessionRegistryService.ensureActiveSession(supabaseUser.id, sessionToken, {
+        stytchSessionId: validationResult.session?.session_id,
+        expiresAt: validationResult.session?.expires_at,
+        deviceId: req.get('X-Device-ID'),
+        deviceName: req.get('X-Device-Name'),
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+    } catch (error) {
+      if (error.message !== SESSION_JWT_ERRORS.REVOKED) {
+        throw error;
+      }
+      return BaseResponse.unauthorized(res, error.message, 'SESSION_REVOKED');
+    }
     
     // Add user info to request with both Stytch and Supabase IDs
     req.user = {
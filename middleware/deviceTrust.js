@@ -0,0 +1,58 @@
+import DeviceTrustService from '../services/deviceTrustService.js';
+import TransactionPinService from '../services/transactionPinService.js';
+import BaseResponse from '../utils/baseResponse.js';
+import logger from '../utils/logger.js';
+import { DEVICE_TRUST_ERRORS } from '../constants/securityConstants.js';
+
+// Transaction types that bring value in and never need re-verification
+const INBOUND_TYPES = ['cash_in'];
+
+/**
+ * Build a middleware requiring a fresh transaction PIN verification for
+ * high-value transfers made from an untrusted device during its first 24
+ * hours. Must run after authenticateToken.
+ * @param {Function} resolveAmount - (req) => amount of the transfer, or null when nothing leaves the wallet
+ */
+const requireTrustedDeviceForAmount = (resolveAmount) => async (req, res, next) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) {
+      return BaseResponse.unauthorized(res, 'Authentication required', 'UNAUTHORIZED');
+    }
+
+    if (!DeviceTrustService.isHighValue(await resolveAmount(req))) {
+      return next();
+    }
+
+    if (!await DeviceTrustService.isSessionRestricted(userId, req.sessionToken)) {
+      return next();
+    }
+
+    if (await TransactionPinService.isSessionVerified(userId, req.sessionToken)) {
+      return next();
+    }
+
+    const pinSet = (await TransactionPinService.getStatus(userId)).isSet;
+    return BaseResponse.error(
+      res,
+      DEVICE_TRUST_ERRORS.VERIFICATION_REQUIRED,
+      403,
+      pinSet
+        ? 'Verify your transaction PIN via POST /api/v1/security/pin/verify and retry'
+        : 'Mark this device trusted from one of your trusted devices, or retry after 24 hours',
+      'DEVICE_VERIFICATION_REQUIRED'
+    );
+  } catch (error) {
+    logger.logError('Device trust check failed', error, { userId: req.user?.id });
+    return BaseResponse.error(res, 'Failed to check device trust', 500, error.message, 'DEVICE_TRUST_CHECK_FAILED');
+  }
+};
+
+/**
+ * Device trust check for transfers whose amount is in the request body
+ */
+const requireTrustedDeviceForHighValue = requireTrustedDeviceForAmount(req =>
+  INBOUND_TYPES.includes(req.body?.type) ? null : req.body?.amount
+);
+
+export { requireTrustedDeviceForHighValue, requireTrustedDeviceForAmount };
@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import BaseResponse from '../utils/baseResponse.js';
+import createIdempotencyStore from '../services/idempotencyStore.js';
+import { IDEMPOTENCY_STATUS } from '../models/IdempotencyKey.js';
+import logger from '../utils/logger.js';
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+const MAX_KEY_LENGTH = 255;
+
+let defaultStore = null;
+
+const getDefaultStore = () => {
+  if (!defaultStore) {
+    defaultStore = createIdempotencyStore();
+  }
+  return defaultStore;
+};
+
+const getDefaultTtlMs = () => {
+  const hours = parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS || '24');
+  return (hours > 0 ? hours : 24) * 60 * 60 * 1000;
+};
+
+/**
+ * Serialize a value with sorted object keys so equal bodies hash equally
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+};
+
+/**
+ * Hash a request body for comparing retries against the original request
+ * @param {*} body - Parsed request body
+ * @returns {string} sha256 hex digest
+ */
+const hashRequestBody = (body) => {
+  return crypto.createHash('sha256').update(stableStringify(body ?? {})).digest('hex');
+};
+
+/**
+ * Middleware to make a create endpoint safe to retry with an Idempotency-Key header.
+ * Must run after authentication; keys are scoped per user and per route.
+ *
+ * - First request with a key runs normally and its response is stored
+ * - Retries with the same key and body replay the stored response
+ * - Reusing a key with a different body returns 409
+ * - Responses with status >= 500 are not stored so the client can retry
+ *
+ * @param {string} scope - Route identifier, e.g. 'transactions:create'
+ * @param {Object} options - { store, ttlMs }
+ */
+const idempotency = (scope, options = {}) => {
+  return async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!key || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7E]+$/.test(key)) {
+      return BaseResponse.error(
+        res,
+        'Invalid Idempotency-Key header',
+        400,
+        `Idempotency-Key must be 1-${MAX_KEY_LENGTH} visible ASCII characters`,
+        'INVALID_IDEMPOTENCY_KEY'
+      );
+    }
+
+    const userId = req.user?.id;
+    if (!userId) {
+      return BaseResponse.unauthorized(res, 'Authentication required', 'UNAUTHORIZED');
+    }
+
+    const store = options.store || getDefaultStore();
+    const ttlMs = options.ttlMs || getDefaultTtlMs();
+    const requestHash = hashRequestBody(req.body);
+
+    try {
+      const claimed = await store.claim(userId, scope, key, requestHash, ttlMs);
+
+      if (!claimed) {
+        const existing = await store.get(userId, scope, key);
+
+        if (existing && existing.requestHash !== requestHash) {
+          logger.logSecurity('Idempotency key reused with a different request body', 'medium', {
+            userId,
+            scope
+          });
+          return BaseResponse.error(
+            res,
+            'Idempotency-Key was already used with a different request body',
+            409,
+            null,
+            'IDEMPOTENCY_KEY_REUSED'
+          );
+        }
+
+        if (!existing || existing.status !== IDEMPOTENCY_STATUS.COMPLETED) {
+          return BaseResponse.error(
+            res,
+            'A request with this Idempotency-Key is still being processed',
+            409,
+            null,
+            'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+          );
+        }
+
+        res.set(REPLAYED_HEADER, 'true');
+        return res.status(existing.statusCode).json(existing.body);
+      }
+    } catch (error) {
+      logger.logError('Idempotency store error', error, { userId, scope });
+      return BaseResponse.error(
+        res,
+        'Unable to process Idempotency-Key',
+        503,
+        error.message,
+        'IDEMPOTENCY_STORE_UNAVAILABLE'
+      );
+    }
+
+    // Capture the response body so it can be stored once the response is sent
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    let settled = false;
+    const settle = async (finished) => {
+      if (settled) return;
+      settled = true;
+
+      try {
+        if (finished && res.statusCode < 500 && responseBody !== undefined) {
+          await store.complete(userId, scope, key, { statusCode: res.statusCode, body: responseBody }, ttlMs);
+        } else {
+          await store.release(userId, scope, key);
+        }
+      } catch (error) {
+        logger.logError('Failed to persist idempotency result', error, { userId, scope });
+      }
+    };
+
+    res.on('finish', () => settle(true));
+    res.on('close', () => settle(res.writableFinished));
+
+    next();
+  };
+};
+
+export default idempotency;
+export { idempotency, hashRequestBody, IDEMPOTENCY_HEADER, REPLAYED_HEADER };
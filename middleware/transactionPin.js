@@ -0,0 +1,39 @@
+import TransactionPinService from '../services/transactionPinService.js';
+import BaseResponse from '../utils/baseResponse.js';
+import logger from '../utils/logger.js';
+import { PIN_ERRORS } from '../constants/securityConstants.js';
+
+/**
+ * Require a recent transaction PIN verification on the current session.
+ * Users who have not enabled the transaction PIN pass straight through.
+ * Must run after authenticateToken.
+ */
+const requireTransactionPin = async (req, res, next) => {
+  try {
+    const userId = req.user?.id;
+    if (!userId) {
+      return BaseResponse.unauthorized(res, 'Authentication required', 'UNAUTHORIZED');
+    }
+
+    if (!await TransactionPinService.isPinRequired(userId)) {
+      return next();
+    }
+
+    if (await TransactionPinService.isSessionVerified(userId, req.sessionToken)) {
+      return next();
+    }
+
+    return BaseResponse.error(
+      res,
+      PIN_ERRORS.VERIFICATION_REQUIRED,
+      403,
+      'Verify your transaction PIN via POST /api/v1/security/pin/verify and retry',
+      'PIN_VERIFICATION_REQUIRED'
+    );
+  } catch (error) {
+    logger.logError('Transaction PIN check failed', error, { userId: req.user?.id });
+    return BaseResponse.error(res, 'Failed to check transaction PIN', 500, error.message, 'PIN_CHECK_FAILED');
+  }
+};
+
+export { requireTransactionPin };
@@ -270,7 +270,10 @@ export const verifyVerificationOTPSchema = z.object({
 });
 
 export const completeLoginSchema = z.object({
-  sessionId: sessionIdSchema
+  sessionId: sessionIdSchema,
+  // Shown in the devices list (GET /auth/devices)
+  deviceId: z.string().trim().min(1).max(255).optional(),
+  deviceName: z.string().trim().min(1).max(100).optional()
 });
 
 // Sequential Authentication Flow Schemas
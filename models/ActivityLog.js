@@ -1,4 +1,4 @@
-import { supabaseAdmin } from '../database/supabase.js';
+import { supabaseAdmin } from '../database/index.js';
 
 class ActivityLog {
     constructor(data = {}) {
@@ -0,0 +1,207 @@
+import { supabaseAdmin } from '../database/index.js';
+import { ADMIN_ROLES, ADMIN_ACCOUNT_LIMITS } from '../constants/adminConstants.js';
+
+// Columns that are safe to return from queries (everything except password_hash)
+const PUBLIC_COLUMNS = 'id, username, email, role, is_active, last_login_at, password_changed_at, deactivated_at, created_by, created_at, updated_at';
+
+class AdminUser {
+  static table = 'admin_users';
+
+  static async create(data) {
+    const requiredFields = ['username', 'email', 'password_hash', 'role'];
+    for (const field of requiredFields) {
+      if (!data[field]) {
+        throw new Error(`Missing required field: ${field}`);
+      }
+    }
+
+    if (!ADMIN_ACCOUNT_LIMITS.USERNAME_PATTERN.test(data.username)) {
+      throw new Error('Username must be 3-50 characters of letters, digits, dots, dashes or underscores');
+    }
+
+    if (!Object.values(ADMIN_ROLES).includes(data.role)) {
+      throw new Error(`Invalid admin role: ${data.role}`);
+    }
+
+    const { data: result, error } = await supabaseAdmin
+      .from(this.table)
+      .insert([{
+        username: data.username,
+        email: data.email.toLowerCase(),
+        password_hash: data.password_hash,
+        role: data.role,
+        created_by: data.created_by || null,
+        is_active: true,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select(PUBLIC_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === '23505') { // unique_violation
+        throw new Error('Admin with this username or email already exists');
+      }
+      throw new Error(`Failed to create admin user: ${error.message}`);
+    }
+    return result;
+  }
+
+  static async findById(id) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select(PUBLIC_COLUMNS)
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') { // No rows returned
+        return null;
+      }
+      throw new Error(`Failed to find admin user: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Find an admin by username including the password hash.
+   * Only used for credential checks; never return the result to clients.
+   * @param {string} username - Admin username
+   * @returns {Object|null} Admin row with password_hash
+   */
+  static async findByUsernameWithPassword(username) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('username', username)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      throw new Error(`Failed to find admin user: ${error.message}`);
+    }
+    return data;
+  }
+
+  static async findByIdWithPassword(id) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      throw new Error(`Failed to find admin user: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * List admin accounts
+   * @param {Object} options - Filters and pagination
+   * @returns {Array} Admin users without password hashes
+   */
+  static async list(options = {}) {
+    const { role, is_active, limit = 50, offset = 0 } = options;
+
+    let query = supabaseAdmin
+      .from(this.table)
+      .select(PUBLIC_COLUMNS)
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (role) {
+      query = query.eq('role', role);
+    }
+
+    if (typeof is_active === 'boolean') {
+      query = query.eq('is_active', is_active);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(`Failed to list admin users: ${error.message}`);
+    return data || [];
+  }
+
+  static async count(filters = {}) {
+    let query = supabaseAdmin
+      .from(this.table)
+      .select('id', { count: 'exact', head: true });
+
+    if (filters.role) {
+      query = query.eq('role', filters.role);
+    }
+
+    if (typeof filters.is_active === 'boolean') {
+      query = query.eq('is_active', filters.is_active);
+    }
+
+    const { count, error } = await query;
+
+    if (error) throw new Error(`Failed to count admin users: ${error.message}`);
+    return count || 0;
+  }
+
+  static async update(id, updateData) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .update({
+        ...updateData,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select(PUBLIC_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Admin not found');
+      }
+      throw new Error(`Failed to update admin user: ${error.message}`);
+    }
+    return data;
+  }
+
+  static async updateRole(id, role) {
+    if (!Object.values(ADMIN_ROLES).includes(role)) {
+      throw new Error(`Invalid admin role: ${role}`);
+    }
+    return this.update(id, { role });
+  }
+
+  static async updatePassword(id, passwordHash) {
+    return this.update(id, {
+      password_hash: passwordHash,
+      password_changed_at: new Date().toISOString()
+    });
+  }
+
+  static async setActive(id, isActive) {
+    return this.update(id, {
+      is_active: isActive,
+      deactivated_at: isActive ? null : new Date().toISOString()
+    });
+  }
+
+  static async recordLogin(id) {
+    return this.update(id, { last_login_at: new Date().toISOString() });
+  }
+
+  static async delete(id) {
+    const { error } = await supabaseAdmin
+      .from(this.table)
+      .delete()
+      .eq('id', id);
+
+    if (error) throw new Error(`Failed to delete admin user: ${error.message}`);
+    return true;
+  }
+}
+
+export default AdminUser;
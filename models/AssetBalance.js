@@ -1,4 +1,4 @@
-import { supabaseAdmin } from '../database/supabase.js';
+import { supabaseAdmin } from '../database/index.js';
 
 /**
  * AssetBalance Model for Supabase
@@ -89,6 +89,31 @@ class AssetBalance {
     }
   }
 
+  /**
+   * List asset balances across all wallets, one page at a time
+   * @param {number} offset - Rows to skip
+   * @param {number} limit - Page size
+   * @returns {Array} Asset balances ordered by ID
+   */
+  static async findAll(offset = 0, limit = 1000) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from(this.table)
+        .select('*')
+        .order('id', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+      if (error) {
+        throw new Error(`Database error: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('❌ Error listing asset balances:', error);
+      throw new Error(`Failed to list asset balances: ${error.message}`);
+    }
+  }
+
   /**
    * Find asset balance by wallet ID and asset symbol
    * @param {string} walletId - Wallet ID
@@ -1,4 +1,4 @@
-import { supabaseAdmin } from '../database/supabase.js';
+import { supabaseAdmin } from '../database/index.js';
 
 class ContactSyncStatus {
   static TABLE_NAME = 'contact_sync_status';
@@ -9,6 +9,9 @@ class ContactSyncStatus {
     this.device_contacts_count = data.device_contacts_count;
     this.synced_contacts_count = data.synced_contacts_count;
     this.status = data.status;
+    this.sync_token = data.sync_token;
+    this.sync_token_issued_at = data.sync_token_issued_at;
+    this.sync_cursor_id = data.sync_cursor_id;
     this.created_at = data.created_at;
     this.updated_at = data.updated_at;
   }
@@ -75,6 +78,63 @@ class ContactSyncStatus {
     return new ContactSyncStatus(syncStatus);
   }
 
+  /**
+   * Store a freshly issued sync token (creates the status row on first sync)
+   */
+  static async saveSyncToken(userId, syncToken, issuedAt, counts = {}) {
+    const { data: syncStatus, error } = await supabaseAdmin
+      .from(this.TABLE_NAME)
+      .upsert([{
+        user_id: userId,
+        sync_token: syncToken,
+        sync_token_issued_at: issuedAt,
+        sync_cursor_id: null,
+        last_sync: issuedAt,
+        status: 'completed',
+        ...counts
+      }], { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to save sync token: ${error.message}`);
+    }
+
+    return new ContactSyncStatus(syncStatus);
+  }
+
+  /**
+   * Replace the sync token only if the stored one still matches, so two
+   * devices syncing at once cannot both build on the same token
+   * @param {string|null} cursorId - Last contact returned when the matched list was truncated
+   * @returns {ContactSyncStatus|null} null when the token was already rotated
+   */
+  static async rotateSyncToken(userId, currentToken, nextToken, issuedAt, counts = {}, cursorId = null) {
+    const { data: syncStatus, error } = await supabaseAdmin
+      .from(this.TABLE_NAME)
+      .update({
+        sync_token: nextToken,
+        sync_token_issued_at: issuedAt,
+        sync_cursor_id: cursorId,
+        last_sync: issuedAt,
+        status: 'completed',
+        ...counts
+      })
+      .eq('user_id', userId)
+      .eq('sync_token', currentToken)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      throw new Error(`Failed to rotate sync token: ${error.message}`);
+    }
+
+    return new ContactSyncStatus(syncStatus);
+  }
+
   static async delete(userId) {
     const { error } = await supabaseAdmin
       .from(this.TABLE_NAME)
@@ -1,4 +1,4 @@
-import { supabaseAdmin } from '../database/supabase.js';
+import { supabaseAdmin } from '../database/index.js';
 import crypto from 'crypto';
 
 /**
@@ -209,6 +209,99 @@ class ContactsWithAccounts {
     }
   }
 
+  /**
+   * Remove contacts the user deleted from their device
+   * @param {string} userId - User ID
+   * @param {Array} phoneHashes - Hashes removed since the last sync
+   * @param {Object} options - { batchSize }
+   * @returns {number} Number of contacts removed
+   */
+  static async removeContacts(userId, phoneHashes, options = {}) {
+    try {
+      const batchSize = options.batchSize || 500;
+      let removed = 0;
+
+      for (let i = 0; i < phoneHashes.length; i += batchSize) {
+        const batch = phoneHashes.slice(i, i + batchSize);
+
+        const { data, error } = await supabaseAdmin
+          .from('contacts_with_accounts')
+          .delete()
+          .eq('owner_id', userId)
+          .in('phone_hash', batch)
+          .select('id');
+
+        if (error) throw error;
+
+        removed += data?.length || 0;
+      }
+
+      return removed;
+    } catch (error) {
+      console.error('Error removing contacts:', error);
+      throw new Error(`Failed to remove contacts: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get contacts linked to an app user after a given time
+   * @param {string} userId - User ID
+   * @param {string|null} since - ISO timestamp; null returns every matched contact
+   * @param {Object} options - { limit, afterId }; afterId also returns contacts
+   *   matched exactly at `since` whose id sorts after it
+   * @returns {Array} Matched contacts, oldest match first
+   */
+  static async getMatchedSince(userId, since, options = {}) {
+    try {
+      const { limit = 500, afterId = null } = options;
+
+      let query = supabaseAdmin
+        .from('contacts_with_accounts')
+        .select(`
+          id,
+          phone_hash,
+          linked_user_id,
+          matched_at,
+          users!linked_user_id (
+            id,
+            user_profiles (
+              first_name,
+              last_name,
+              avatar_url
+            )
+          )
+        `)
+        .eq('owner_id', userId)
+        .not('linked_user_id', 'is', null);
+
+      if (since && afterId) {
+        query = query.or(`matched_at.gt."${since}",and(matched_at.eq."${since}",id.gt.${afterId})`);
+      } else if (since) {
+        query = query.gt('matched_at', since);
+      }
+
+      const { data, error } = await query
+        .order('matched_at', { ascending: true })
+        .order('id', { ascending: true })
+        .limit(limit);
+
+      if (error) throw error;
+
+      return (data || []).map(contact => ({
+        contact_id: contact.id,
+        phone_hash: contact.phone_hash,
+        linked_user_id: contact.linked_user_id,
+        linked_user_first_name: contact.users?.user_profiles?.first_name,
+        linked_user_last_name: contact.users?.user_profiles?.last_name,
+        linked_user_avatar: contact.users?.user_profiles?.avatar_url,
+        matched_at: contact.matched_at
+      }));
+    } catch (error) {
+      console.error('Error getting matched contacts:', error);
+      throw new Error(`Failed to get matched contacts: ${error.message}`);
+    }
+  }
+
   /**
    * Toggle contact favorite status
    * @param {string} userId - User ID
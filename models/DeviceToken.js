@@ -0,0 +1,80 @@
+import { supabaseAdmin } from '../database/index.js';
+
+class DeviceToken {
+  static table = 'device_tokens';
+
+  /**
+   * Insert a token or refresh it (and its owner) when it is already known
+   */
+  static async upsert(data) {
+    const { data: result, error } = await supabaseAdmin
+      .from(this.table)
+      .upsert({
+        user_id: data.user_id,
+        token: data.token,
+        platform: data.platform,
+        app_version: data.app_version || null,
+        device_id: data.device_id || null,
+        last_seen_at: new Date().toISOString()
+      }, { onConflict: 'token' })
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to register device token: ${error.message}`);
+    return result;
+  }
+
+  /**
+   * Tokens of a user, most recently seen first
+   */
+  static async listByUser(userId) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('user_id', userId)
+      .order('last_seen_at', { ascending: false });
+
+    if (error) throw new Error(`Failed to list device tokens: ${error.message}`);
+    return data || [];
+  }
+
+  /**
+   * @returns {boolean} Whether the user had the token
+   */
+  static async deleteForUser(userId, token) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .delete()
+      .eq('user_id', userId)
+      .eq('token', token)
+      .select('id');
+
+    if (error) throw new Error(`Failed to delete device token: ${error.message}`);
+    return (data?.length || 0) > 0;
+  }
+
+  /**
+   * @returns {number} Number of tokens deleted
+   */
+  static async deleteTokens(tokens) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .delete()
+      .in('token', tokens)
+      .select('id');
+
+    if (error) throw new Error(`Failed to delete device tokens: ${error.message}`);
+    return data?.length || 0;
+  }
+
+  static async deleteByIds(ids) {
+    const { error } = await supabaseAdmin
+      .from(this.table)
+      .delete()
+      .in('id', ids);
+
+    if (error) throw new Error(`Failed to delete device tokens: ${error.message}`);
+  }
+}
+
+export default DeviceToken;
@@ -0,0 +1,99 @@
+import { supabaseAdmin } from '../database/index.js';
+
+// Idempotency record status
+const IDEMPOTENCY_STATUS = {
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed'
+};
+
+class IdempotencyKey {
+  static table = 'idempotency_keys';
+
+  static async find(userId, scope, key) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('user_id', userId)
+      .eq('scope', scope)
+      .eq('idempotency_key', key)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') { // No rows returned
+        return null;
+      }
+      throw new Error(`Failed to find idempotency key: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Claim a key for an in-flight request
+   * @returns {Object|null} Created row, or null when the key is already taken
+   */
+  static async create(data) {
+    const { data: result, error } = await supabaseAdmin
+      .from(this.table)
+      .insert([{
+        user_id: data.user_id,
+        scope: data.scope,
+        idempotency_key: data.idempotency_key,
+        request_hash: data.request_hash,
+        status: IDEMPOTENCY_STATUS.IN_PROGRESS,
+        expires_at: data.expires_at,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') { // unique_violation
+        return null;
+      }
+      throw new Error(`Failed to create idempotency key: ${error.message}`);
+    }
+    return result;
+  }
+
+  static async complete(userId, scope, key, response) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .update({
+        status: IDEMPOTENCY_STATUS.COMPLETED,
+        response_status: response.statusCode,
+        response_body: response.body,
+        completed_at: new Date().toISOString(),
+        expires_at: response.expiresAt
+      })
+      .eq('user_id', userId)
+      .eq('scope', scope)
+      .eq('idempotency_key', key)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to complete idempotency key: ${error.message}`);
+    return data;
+  }
+
+  static async delete(userId, scope, key) {
+    const { error } = await supabaseAdmin
+      .from(this.table)
+      .delete()
+      .eq('user_id', userId)
+      .eq('scope', scope)
+      .eq('idempotency_key', key);
+
+    if (error) throw new Error(`Failed to delete idempotency key: ${error.message}`);
+    return true;
+  }
+
+  static async deleteExpired() {
+    const { data, error } = await supabaseAdmin.rpc('cleanup_expired_idempotency_keys');
+
+    if (error) throw new Error(`Failed to clean up idempotency keys: ${error.message}`);
+    return data;
+  }
+}
+
+export default IdempotencyKey;
+export { IDEMPOTENCY_STATUS };
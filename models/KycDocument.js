@@ -0,0 +1,35 @@
+import { supabaseAdmin } from '../database/index.js';
+
+class KycDocument {
+  static table = 'kyc_documents';
+
+  static async createMany(documents) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .insert(documents.map(document => ({
+        submission_id: document.submission_id,
+        user_id: document.user_id,
+        document_type: document.document_type,
+        storage_path: document.storage_path,
+        mime_type: document.mime_type,
+        size_bytes: document.size_bytes
+      })))
+      .select();
+
+    if (error) throw new Error(`Failed to store KYC documents: ${error.message}`);
+    return data || [];
+  }
+
+  static async listBySubmission(submissionId) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('submission_id', submissionId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(`Failed to list KYC documents: ${error.message}`);
+    return data || [];
+  }
+}
+
+export default KycDocument;
@@ -0,0 +1,38 @@
+import { supabaseAdmin } from '../database/index.js';
+
+class KycLevelHistory {
+  static table = 'kyc_level_history';
+
+  static async create(data) {
+    const { data: result, error } = await supabaseAdmin
+      .from(this.table)
+      .insert([{
+        user_id: data.user_id,
+        previous_level: data.previous_level,
+        new_level: data.new_level,
+        submission_id: data.submission_id || null,
+        changed_by: data.changed_by || null
+      }])
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to record KYC level change: ${error.message}`);
+    return result;
+  }
+
+  /**
+   * Newest first
+   */
+  static async listByUser(userId) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw new Error(`Failed to list KYC level history: ${error.message}`);
+    return data || [];
+  }
+}
+
+export default KycLevelHistory;
@@ -0,0 +1,133 @@
+import { supabaseAdmin } from '../database/index.js';
+import { KYC_SUBMISSION_STATUS, KYC_ERRORS } from '../constants/kycConstants.js';
+
+class KycSubmission {
+  static table = 'kyc_submissions';
+
+  static async create(data) {
+    const requiredFields = ['user_id', 'requested_level', 'first_name', 'last_name', 'date_of_birth', 'nationality', 'id_type', 'id_number'];
+    for (const field of requiredFields) {
+      if (!data[field]) {
+        throw new Error(`Missing required field: ${field}`);
+      }
+    }
+
+    const { data: result, error } = await supabaseAdmin
+      .from(this.table)
+      .insert([{
+        user_id: data.user_id,
+        requested_level: data.requested_level,
+        status: KYC_SUBMISSION_STATUS.PENDING,
+        first_name: data.first_name,
+        last_name: data.last_name,
+        date_of_birth: data.date_of_birth,
+        nationality: data.nationality,
+        id_type: data.id_type,
+        id_number: data.id_number,
+        address: data.address || null
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') { // unique_violation on the one-pending index
+        throw new Error(KYC_ERRORS.ALREADY_PENDING);
+      }
+      throw new Error(`Failed to create KYC submission: ${error.message}`);
+    }
+    return result;
+  }
+
+  static async findById(id) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') { // No rows returned
+        return null;
+      }
+      throw new Error(`Failed to find KYC submission: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Newest first
+   */
+  static async listByUser(userId, limit = 20) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw new Error(`Failed to list KYC submissions: ${error.message}`);
+    return data || [];
+  }
+
+  /**
+   * Review queue, oldest first so submissions are handled in arrival order
+   */
+  static async list({ status = null, userId = null, limit = 50, offset = 0 } = {}) {
+    let query = supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .order('created_at', { ascending: true })
+      .range(offset, offset + limit - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    if (userId) {
+      query = query.eq('user_id', userId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(`Failed to list KYC submissions: ${error.message}`);
+    return data || [];
+  }
+
+  /**
+   * Record a review decision; only a pending submission can be reviewed
+   * @returns {Object|null} Updated submission, or null when it was not pending
+   */
+  static async review(id, { status, reviewed_by, rejection_reason = null }) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .update({
+        status,
+        reviewed_by,
+        rejection_reason,
+        reviewed_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('status', KYC_SUBMISSION_STATUS.PENDING)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') { // Missing or already reviewed
+        return null;
+      }
+      throw new Error(`Failed to review KYC submission: ${error.message}`);
+    }
+    return data;
+  }
+
+  static async delete(id) {
+    const { error } = await supabaseAdmin
+      .from(this.table)
+      .delete()
+      .eq('id', id);
+
+    if (error) throw new Error(`Failed to delete KYC submission: ${error.message}`);
+  }
+}
+
+export default KycSubmission;
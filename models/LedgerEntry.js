@@ -0,0 +1,48 @@
+import { supabaseAdmin } from '../database/index.js';
+
+// Rows per request; PostgREST caps responses at 1000
+const PAGE_SIZE = 1000;
+
+class LedgerEntry {
+  static table = 'ledger_entries';
+
+  /**
+   * Every entry matching the filters, fetched page by page
+   * @param {Object} filters
+   * @param {string} filters.walletId - Only this wallet's entries
+   * @param {Array} filters.postingIds - Only entries of these postings
+   */
+  static async list({ walletId = null, postingIds = null } = {}) {
+    const entries = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      let query = supabaseAdmin
+        .from(this.table)
+        .select('*')
+        .order('id', { ascending: true })
+        .range(offset, offset + PAGE_SIZE - 1);
+
+      if (walletId) query = query.eq('wallet_id', walletId);
+      if (postingIds) query = query.in('posting_id', postingIds);
+
+      const { data, error } = await query;
+      if (error) throw new Error(`Failed to list ledger entries: ${error.message}`);
+
+      entries.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return entries;
+    }
+  }
+
+  static async findByTransaction(transactionId) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('transaction_id', transactionId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(`Failed to find ledger entries: ${error.message}`);
+    return data || [];
+  }
+}
+
+export default LedgerEntry;
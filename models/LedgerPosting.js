@@ -0,0 +1,65 @@
+import { supabaseAdmin } from '../database/index.js';
+
+class LedgerPosting {
+  static table = 'ledger_postings';
+
+  /**
+   * Record a posting and apply it to asset_balances in one database transaction
+   * @param {string|null} transactionId - Transaction the posting belongs to
+   * @param {string} type - LEDGER_POSTING_TYPES value
+   * @param {Array} entries - [{ wallet_id, account, asset_symbol, direction, amount }]
+   * @returns {Object} The ledger_postings row
+   */
+  static async post(transactionId, type, entries) {
+    const { data, error } = await supabaseAdmin.rpc('post_ledger_entries', {
+      p_transaction_id: transactionId,
+      p_type: type,
+      p_entries: entries
+    });
+
+    if (error) {
+      const postingError = new Error(error.message);
+      postingError.code = error.code;
+      throw postingError;
+    }
+    return data;
+  }
+
+  /**
+   * Post a transaction's hold, refusing it when the sender's spending in the
+   * limit's period would go over their daily limit
+   * @param {string} transactionId - Transaction the hold belongs to
+   * @param {Array} entries - [{ wallet_id, account, asset_symbol, direction, amount }]
+   * @param {Object|null} limit - { dailyLimit, periodStart, resetsAt } from SpendingLimitService
+   * @returns {Object} The ledger_postings row
+   */
+  static async hold(transactionId, entries, limit = null) {
+    const { data, error } = await supabaseAdmin.rpc('hold_transaction_funds', {
+      p_transaction_id: transactionId,
+      p_entries: entries,
+      p_daily_limit: limit?.dailyLimit ?? null,
+      p_period_start: limit?.periodStart ?? null,
+      p_period_end: limit?.resetsAt ?? null
+    });
+
+    if (error) {
+      const postingError = new Error(error.message);
+      postingError.code = error.code;
+      throw postingError;
+    }
+    return data;
+  }
+
+  static async findByTransaction(transactionId) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('transaction_id', transactionId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw new Error(`Failed to find ledger postings: ${error.message}`);
+    return data || [];
+  }
+}
+
+export default LedgerPosting;
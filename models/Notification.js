@@ -0,0 +1,184 @@
+import { supabaseAdmin } from '../database/index.js';
+
+class Notification {
+  static table = 'notifications';
+
+  static async create(data) {
+    const requiredFields = ['user_id', 'category', 'type', 'title', 'body'];
+    for (const field of requiredFields) {
+      if (!data[field]) {
+        throw new Error(`Missing required field: ${field}`);
+      }
+    }
+
+    const { data: result, error } = await supabaseAdmin
+      .from(this.table)
+      .insert([{
+        user_id: data.user_id,
+        category: data.category,
+        type: data.type,
+        title: data.title,
+        body: data.body,
+        data: data.data || {},
+        locale: data.locale || null,
+        deferred_until: data.deferred_until || null,
+        deferred_channels: data.deferred_channels || null
+      }])
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to store notification: ${error.message}`);
+    return result;
+  }
+
+  /**
+   * Newest first; `before` is the (created_at, id) of the last row already seen
+   */
+  static async listByUser(userId, { limit = 20, before = null, unreadOnly = false } = {}) {
+    let query = supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(limit);
+
+    if (before) {
+      query = query.or(`created_at.lt."${before.createdAt}",and(created_at.eq."${before.createdAt}",id.lt.${before.id})`);
+    }
+
+    if (unreadOnly) {
+      query = query.is('read_at', null);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(`Failed to list notifications: ${error.message}`);
+    return data || [];
+  }
+
+  static async countUnread(userId) {
+    const { count, error } = await supabaseAdmin
+      .from(this.table)
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .is('read_at', null);
+
+    if (error) throw new Error(`Failed to count notifications: ${error.message}`);
+    return count || 0;
+  }
+
+  static async findByIdForUser(id, userId) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') { // No rows returned
+        return null;
+      }
+      throw new Error(`Failed to find notification: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Mark one notification read; an already-read notification keeps its read_at
+   */
+  static async markRead(id, userId) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .update({ read_at: new Date().toISOString() })
+      .eq('id', id)
+      .eq('user_id', userId)
+      .is('read_at', null)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') { // Missing or already read
+        return null;
+      }
+      throw new Error(`Failed to mark notification read: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * @returns {number} Number of notifications that were unread
+   */
+  static async markAllRead(userId) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .update({ read_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .is('read_at', null)
+      .select('id');
+
+    if (error) throw new Error(`Failed to mark notifications read: ${error.message}`);
+    return data?.length || 0;
+  }
+
+  /**
+   * Deferred notifications whose quiet hours have ended, oldest first
+   */
+  static async findDueForDigest(now = new Date(), limit = 500) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .lte('deferred_until', now.toISOString())
+      .is('digested_at', null)
+      .order('created_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw new Error(`Failed to find deferred notifications: ${error.message}`);
+    return data || [];
+  }
+
+  /**
+   * Take due notifications for one digest worker by moving their
+   * deferred_until to `claimUntil`, provided they are still due and undigested
+   * @returns {Array} The rows claimed, without those another worker got first
+   */
+  static async claimForDigest(ids, now, claimUntil) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .update({ deferred_until: claimUntil.toISOString() })
+      .in('id', ids)
+      .lte('deferred_until', now.toISOString())
+      .is('digested_at', null)
+      .select();
+
+    if (error) throw new Error(`Failed to claim deferred notifications: ${error.message}`);
+    return (data || []).sort((a, b) => a.created_at.localeCompare(b.created_at));
+  }
+
+  static async markDigested(ids) {
+    const { error } = await supabaseAdmin
+      .from(this.table)
+      .update({ digested_at: new Date().toISOString() })
+      .in('id', ids);
+
+    if (error) throw new Error(`Failed to mark notifications digested: ${error.message}`);
+  }
+
+  /**
+   * @returns {boolean} Whether a notification was deleted
+   */
+  static async delete(id, userId) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .delete()
+      .eq('id', id)
+      .eq('user_id', userId)
+      .select('id');
+
+    if (error) throw new Error(`Failed to delete notification: ${error.message}`);
+    return (data?.length || 0) > 0;
+  }
+}
+
+export default Notification;
@@ -0,0 +1,207 @@
+import { supabaseAdmin } from '../database/index.js';
+
+// Payment request status mapping - matching payment_request_status_enum
+const PAYMENT_REQUEST_STATUS = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  PAID: 'paid',
+  DECLINED: 'declined',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+};
+
+class PaymentRequest {
+  static table = 'payment_requests';
+
+  static async create(data) {
+    // Validate required fields
+    const requiredFields = ['requestor_id', 'recipient_id', 'amount', 'asset_symbol'];
+    for (const field of requiredFields) {
+      if (!data[field]) {
+        throw new Error(`Missing required field: ${field}`);
+      }
+    }
+
+    if (data.requestor_id === data.recipient_id) {
+      throw new Error('Requestor and recipient must be different users');
+    }
+
+    if (parseFloat(data.amount) <= 0) {
+      throw new Error('Amount must be greater than 0');
+    }
+
+    if (!/^[A-Z0-9]{1,10}$/.test(data.asset_symbol)) {
+      throw new Error('Asset symbol must be 1-10 uppercase letters or digits');
+    }
+
+    if (data.expires_at && new Date(data.expires_at) <= new Date()) {
+      throw new Error('Expiry date must be in the future');
+    }
+
+    const { data: result, error } = await supabaseAdmin
+      .from(this.table)
+      .insert([{
+        ...data,
+        status: PAYMENT_REQUEST_STATUS.PENDING,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to create payment request: ${error.message}`);
+    return result;
+  }
+
+  static async findById(id) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') { // No rows returned
+        return null;
+      }
+      throw new Error(`Failed to find payment request: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Find payment requests for a user
+   * @param {string} userId - User UUID
+   * @param {string} direction - 'incoming' (user is asked to pay) or 'outgoing' (user asked others)
+   * @param {Object} options - Filters and pagination
+   * @returns {Array} Payment requests
+   */
+  static async findByUser(userId, direction = 'incoming', options = {}) {
+    const column = direction === 'outgoing' ? 'requestor_id' : 'recipient_id';
+
+    let query = supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq(column, userId);
+
+    if (options.status) {
+      query = query.eq('status', options.status);
+    }
+    if (options.asset_symbol) {
+      query = query.eq('asset_symbol', options.asset_symbol);
+    }
+
+    query = query.order('created_at', { ascending: false });
+
+    const limit = options.limit || 20;
+    const offset = options.offset || 0;
+    query = query.range(offset, offset + limit - 1);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to find payment requests: ${error.message}`);
+    return data || [];
+  }
+
+  /**
+   * Move a request to a new status if it is still in the expected one
+   * @param {string} id - Payment request UUID
+   * @param {string} status - New status
+   * @param {Object} updateData - Extra columns to write
+   * @param {string} expectedStatus - Status the request must currently have
+   */
+  static async updateStatus(id, status, updateData = {}, expectedStatus = PAYMENT_REQUEST_STATUS.PENDING) {
+    if (!Object.values(PAYMENT_REQUEST_STATUS).includes(status)) {
+      throw new Error(`Invalid payment request status: ${status}`);
+    }
+
+    const updates = {
+      ...updateData,
+      status,
+      updated_at: new Date().toISOString()
+    };
+
+    if (status === PAYMENT_REQUEST_STATUS.PAID) {
+      if (!updates.transaction_id) {
+        throw new Error('Transaction ID is required to mark a request as paid');
+      }
+      updates.paid_at = updates.paid_at || new Date().toISOString();
+    }
+
+    // Conditional on the current status so concurrent changes cannot both win
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .update(updates)
+      .eq('id', id)
+      .eq('status', expectedStatus)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error(`Payment request is no longer ${expectedStatus}`);
+      }
+      throw new Error(`Failed to update payment request: ${error.message}`);
+    }
+    return data;
+  }
+
+  static async update(id, updateData) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .update({
+        ...updateData,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to update payment request: ${error.message}`);
+    return data;
+  }
+
+  static async delete(id) {
+    const { error } = await supabaseAdmin
+      .from(this.table)
+      .delete()
+      .eq('id', id);
+    if (error) throw new Error(`Failed to delete payment request: ${error.message}`);
+    return true;
+  }
+
+  /**
+   * Expire all pending requests past their expiry date
+   * @returns {number} Number of expired requests
+   */
+  static async expireOld() {
+    const { data, error } = await supabaseAdmin.rpc('expire_old_payment_requests');
+    if (error) throw new Error(`Failed to expire payment requests: ${error.message}`);
+    return data || 0;
+  }
+
+  static async getStats(userId, periodDays = 30) {
+    const { data, error } = await supabaseAdmin.rpc('get_payment_request_stats', {
+      p_user_id: userId,
+      p_period_days: periodDays
+    });
+    if (error) throw new Error(`Failed to get payment request stats: ${error.message}`);
+    return data;
+  }
+
+  static isExpired(request) {
+    return Boolean(request?.expires_at) && new Date(request.expires_at) <= new Date();
+  }
+
+  // Helper method to build the QR payload the app scans to open a request
+  static generateQrCode(request) {
+    const params = new URLSearchParams({
+      request: request.id,
+      amount: String(request.amount),
+      asset: request.asset_symbol
+    });
+    return `7awel://pay?${params.toString()}`;
+  }
+}
+
+export default PaymentRequest;
+export { PAYMENT_REQUEST_STATUS };
@@ -0,0 +1,147 @@
+import { supabaseAdmin } from '../database/index.js';
+import { SCHEDULED_TRANSFER_STATUS } from '../constants/transferConstants.js';
+
+class ScheduledTransfer {
+  static table = 'scheduled_transfers';
+
+  static async create(data) {
+    const { data: result, error } = await supabaseAdmin
+      .from(this.table)
+      .insert([{
+        user_id: data.user_id,
+        recipient_id: data.recipient_id || null,
+        to_address: data.to_address || null,
+        network: data.network,
+        amount: data.amount,
+        asset_symbol: data.asset_symbol,
+        note: data.note || null,
+        frequency: data.frequency,
+        start_at: data.start_at,
+        end_date: data.end_date || null,
+        max_executions: data.max_executions || null,
+        execution_count: 0,
+        occurrence: 0,
+        status: SCHEDULED_TRANSFER_STATUS.ACTIVE,
+        scheduled_for: data.start_at,
+        next_attempt_at: data.start_at,
+        attempts: 0,
+        reminder_sent: false
+      }])
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to create scheduled transfer: ${error.message}`);
+    return result;
+  }
+
+  static async findById(id) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') { // No rows returned
+        return null;
+      }
+      throw new Error(`Failed to find scheduled transfer: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Newest first
+   */
+  static async listByUser(userId, { status = null, limit = 20, offset = 0 } = {}) {
+    let query = supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) query = query.eq('status', status);
+
+    const { data, error } = await query;
+    if (error) throw new Error(`Failed to list scheduled transfers: ${error.message}`);
+    return data || [];
+  }
+
+  static async countActiveByUser(userId) {
+    const { count, error } = await supabaseAdmin
+      .from(this.table)
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId)
+      .in('status', [SCHEDULED_TRANSFER_STATUS.ACTIVE, SCHEDULED_TRANSFER_STATUS.PAUSED]);
+
+    if (error) throw new Error(`Failed to count scheduled transfers: ${error.message}`);
+    return count || 0;
+  }
+
+  static async update(id, updates) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to update scheduled transfer: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Active transfers whose next attempt is due, oldest first
+   */
+  static async findDue(now, limit) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('status', SCHEDULED_TRANSFER_STATUS.ACTIVE)
+      .lte('next_attempt_at', now.toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw new Error(`Failed to find due scheduled transfers: ${error.message}`);
+    return data || [];
+  }
+
+  /**
+   * Active transfers with a run between now and `until` that nobody was reminded of
+   */
+  static async findNeedingReminder(now, until, limit) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('status', SCHEDULED_TRANSFER_STATUS.ACTIVE)
+      .eq('reminder_sent', false)
+      .gt('scheduled_for', now.toISOString())
+      .lte('scheduled_for', until.toISOString())
+      .order('scheduled_for', { ascending: true })
+      .limit(limit);
+
+    if (error) throw new Error(`Failed to find scheduled transfers to remind: ${error.message}`);
+    return data || [];
+  }
+
+  /**
+   * Take a due transfer for one scheduler instance by moving its next attempt
+   * to `claimUntil`, provided nobody changed it since it was read
+   * @returns {Object|null} The claimed row, or null when another instance got it first
+   */
+  static async claim(transfer, claimUntil) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .update({ next_attempt_at: claimUntil.toISOString() })
+      .eq('id', transfer.id)
+      .eq('status', SCHEDULED_TRANSFER_STATUS.ACTIVE)
+      .eq('next_attempt_at', transfer.next_attempt_at)
+      .select();
+
+    if (error) throw new Error(`Failed to claim scheduled transfer: ${error.message}`);
+    return data?.[0] || null;
+  }
+}
+
+export default ScheduledTransfer;
@@ -0,0 +1,40 @@
+import { supabaseAdmin } from '../database/index.js';
+
+class ScheduledTransferExecution {
+  static table = 'scheduled_transfer_executions';
+
+  static async create(data) {
+    const { data: result, error } = await supabaseAdmin
+      .from(this.table)
+      .insert([{
+        scheduled_transfer_id: data.scheduled_transfer_id,
+        transaction_id: data.transaction_id || null,
+        scheduled_for: data.scheduled_for,
+        attempt: data.attempt,
+        status: data.status,
+        error: data.error || null
+      }])
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to record scheduled transfer execution: ${error.message}`);
+    return result;
+  }
+
+  /**
+   * Newest first
+   */
+  static async listByScheduledTransfer(scheduledTransferId, limit = 20) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('scheduled_transfer_id', scheduledTransferId)
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) throw new Error(`Failed to list scheduled transfer executions: ${error.message}`);
+    return data || [];
+  }
+}
+
+export default ScheduledTransferExecution;
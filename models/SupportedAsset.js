@@ -1,4 +1,4 @@
-import { supabase } from '../database/supabase.js';
+import { supabase } from '../database/index.js';
 
 class SupportedAsset {
   constructor(data = {}) {
@@ -9,6 +9,7 @@ class SupportedAsset {
     this.decimals = data.decimals !== undefined ? data.decimals : 18;
     this.network = data.network ? data.network.toLowerCase() : null;
     this.contract_address = data.contract_address || null;
+    this.solana_mint_address = data.solana_mint_address || null;
     this.is_native = data.is_native !== undefined ? data.is_native : false;
     this.is_active = data.is_active !== undefined ? data.is_active : true;
     this.icon_url = data.icon_url || null;
@@ -107,6 +108,7 @@ class SupportedAsset {
       decimals: this.decimals,
       network: this.network ? this.network.toLowerCase() : null,
       contract_address: this.contract_address,
+      solana_mint_address: this.solana_mint_address,
       is_native: this.is_native,
       is_active: this.is_active,
       icon_url: this.icon_url,
@@ -128,6 +130,7 @@ class SupportedAsset {
       decimals: this.decimals,
       network: this.network ? this.network.toLowerCase() : null,
       contract_address: this.contract_address,
+      solana_mint_address: this.solana_mint_address,
       is_native: this.is_native,
       is_active: this.is_active,
       icon_url: this.icon_url,
@@ -166,7 +169,8 @@ class SupportedAsset {
           max_amount: data.max_amount,
           is_active: data.is_active ?? true,
           network: data.network,
-          contract_address: data.contract_address
+          contract_address: data.contract_address,
+          solana_mint_address: data.solana_mint_address
         }])
         .select()
         .single();
@@ -222,6 +226,53 @@ class SupportedAsset {
     }
   }
 
+  /**
+   * Find an active asset that can be transferred as an SPL token on Solana
+   * @returns {Object|null} Asset row, or null if the symbol is unknown or has no Solana mint
+   */
+  static async findSolanaToken(symbol) {
+    try {
+      const { data: asset, error } = await supabase
+        .from('supported_assets')
+        .select('*')
+        .eq('symbol', symbol.toUpperCase())
+        .eq('is_active', true)
+        .not('solana_mint_address', 'is', null)
+        .single();
+
+      if (error) {
+        if (error.code === 'PGRST116') { // No rows returned
+          return null;
+        }
+        throw error;
+      }
+      return asset;
+    } catch (error) {
+      console.error('❌ Error finding Solana token:', error);
+      throw new Error(`Failed to find Solana token: ${error.message}`);
+    }
+  }
+
+  /**
+   * List active assets that have a Solana mint
+   */
+  static async findSolanaTokens() {
+    try {
+      const { data: assets, error } = await supabase
+        .from('supported_assets')
+        .select('*')
+        .eq('is_active', true)
+        .not('solana_mint_address', 'is', null)
+        .order('symbol', { ascending: true });
+
+      if (error) throw error;
+      return assets || [];
+    } catch (error) {
+      console.error('❌ Error finding Solana tokens:', error);
+      throw new Error(`Failed to find Solana tokens: ${error.message}`);
+    }
+  }
+
   static async update(symbol, updates) {
     try {
       const { data: asset, error } = await supabase
@@ -234,7 +285,8 @@ class SupportedAsset {
           max_amount: updates.max_amount,
           is_active: updates.is_active,
           network: updates.network,
-          contract_address: updates.contract_address
+          contract_address: updates.contract_address,
+          solana_mint_address: updates.solana_mint_address
         })
         .eq('symbol', symbol.toUpperCase())
         .select()
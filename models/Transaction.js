@@ -2,7 +2,7 @@ class Transaction {
   static table = 'transactions';
 
   static async create(data) {
-    const { supabaseAdmin } = await import('../database/supabase.js');
+    const { supabaseAdmin } = await import('../database/index.js');
     
     // Validate required fields
     const requiredFields = ['reference', 'type', 'amount', 'asset_symbol'];
@@ -44,7 +44,7 @@ class Transaction {
   }
 
   static async findById(id) {
-    const { supabaseAdmin } = await import('../database/supabase.js');
+    const { supabaseAdmin } = await import('../database/index.js');
     const { data, error } = await supabaseAdmin
       .from(this.table)
       .select('*')
@@ -55,7 +55,7 @@ class Transaction {
   }
 
   static async findByReference(reference) {
-    const { supabaseAdmin } = await import('../database/supabase.js');
+    const { supabaseAdmin } = await import('../database/index.js');
     const { data, error } = await supabaseAdmin
       .from(this.table)
       .select('*')
@@ -65,8 +65,27 @@ class Transaction {
     return data;
   }
 
+  /**
+   * The live transaction (not failed or cancelled) a scheduled transfer run
+   * created, found by the metadata.scheduled_transfer tag
+   * @returns {Object|null}
+   */
+  static async findScheduledRun(senderId, scheduledTransferId, scheduledFor) {
+    const { supabaseAdmin } = await import('../database/index.js');
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('sender_id', senderId)
+      .contains('metadata', { scheduled_transfer: { id: scheduledTransferId, scheduled_for: scheduledFor } })
+      .in('status', ['pending', 'processing', 'completed'])
+      .limit(1);
+
+    if (error) throw new Error(`Failed to find scheduled transfer run: ${error.message}`);
+    return data?.[0] || null;
+  }
+
   static async findByUserId(userId, options = {}) {
-    const { supabaseAdmin } = await import('../database/supabase.js');
+    const { supabaseAdmin } = await import('../database/index.js');
     let query = supabaseAdmin
       .from(this.table)
       .select('*')
@@ -100,7 +119,7 @@ class Transaction {
   }
 
   static async update(id, updateData) {
-    const { supabaseAdmin } = await import('../database/supabase.js');
+    const { supabaseAdmin } = await import('../database/index.js');
 
     // Validate amount is positive if provided
     if (updateData.amount && updateData.amount <= 0) {
@@ -139,8 +158,37 @@ class Transaction {
     return result;
   }
 
+  /**
+   * Save a sender's transaction status change and the ledger posting it
+   * causes in one database transaction (migration 033)
+   * @param {string} id - Transaction ID
+   * @param {string} senderId - Owner of the transaction
+   * @param {Object} updates - { status, completed_at, metadata }
+   * @param {Object|null} posting - { type, entries } to post, or null when the change moves no funds
+   * @param {string|null} expectedStatus - Only change the transaction while it is in this status
+   * @returns {Object} The updated transactions row
+   */
+  static async applyStatus(id, senderId, updates, posting = null, expectedStatus = null) {
+    const { supabaseAdmin } = await import('../database/index.js');
+    const { data, error } = await supabaseAdmin.rpc('apply_transaction_status', {
+      p_transaction_id: id,
+      p_sender_id: senderId,
+      p_updates: updates,
+      p_posting_type: posting?.type || null,
+      p_entries: posting?.entries || null,
+      p_expected_status: expectedStatus
+    });
+
+    if (error) {
+      const statusError = new Error(error.message);
+      statusError.code = error.code;
+      throw statusError;
+    }
+    return data;
+  }
+
   static async delete(id) {
-    const { supabaseAdmin } = await import('../database/supabase.js');
+    const { supabaseAdmin } = await import('../database/index.js');
     const { error } = await supabaseAdmin
       .from(this.table)
       .delete()
@@ -1,4 +1,4 @@
-import { supabaseAdmin } from '../database/supabase.js';
+import { supabaseAdmin } from '../database/index.js';
 
 /**
  * TransactionDetail Model for Supabase
@@ -150,6 +150,34 @@ class TransactionDetail {
     }
   }
 
+  /**
+   * Find sent transactions on a network whose parent transaction is still unresolved
+   * @param {string} network - Network name (e.g. 'solana')
+   * @param {number} limit - Maximum number of rows
+   * @returns {Array} Transaction details with their parent transaction
+   */
+  static async findPendingByNetwork(network, limit = 100) {
+    try {
+      const { data, error } = await supabaseAdmin
+        .from('transaction_details')
+        .select('*, transactions!inner(id, sender_id, status, type, created_at)')
+        .eq('network', network)
+        .not('tx_hash', 'is', null)
+        .in('transactions.status', ['pending', 'processing'])
+        .order('created_at', { ascending: true })
+        .limit(limit);
+
+      if (error) {
+        throw new Error(`Failed to find pending transaction details: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('❌ Error finding pending transaction details:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get transaction details with minimum confirmations
    * @param {number} minConfirmations - Minimum number of confirmations
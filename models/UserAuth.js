@@ -0,0 +1,87 @@
+import { supabaseAdmin } from '../database/index.js';
+
+/**
+ * UserAuth Model - per-user security credentials (user_auth table)
+ */
+class UserAuth {
+  static table = 'user_auth';
+
+  static async findByUserId(userId) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') { // No rows returned
+        return null;
+      }
+      throw new Error(`Failed to find user auth: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Create the row on first use, otherwise update it
+   */
+  static async upsert(userId, updates) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .upsert([{ user_id: userId, ...updates }], { onConflict: 'user_id' })
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to save user auth: ${error.message}`);
+    return data;
+  }
+
+  static async update(userId, updates) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .update(updates)
+      .eq('user_id', userId)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to update user auth: ${error.message}`);
+    return data;
+  }
+
+  /**
+   * Store a new transaction PIN hash and clear any lockout
+   */
+  static async setTransactionPin(userId, pinHash, pinSalt) {
+    return this.upsert(userId, {
+      transaction_pin_hash: pinHash,
+      transaction_pin_salt: pinSalt,
+      transaction_pin_attempts: 0,
+      transaction_pin_locked_until: null,
+      transaction_pin_updated_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Count a failed PIN attempt in the database, locking the PIN once the limit is reached
+   * @returns {Object} Updated row, with locked_now set when this attempt applied the lock
+   */
+  static async recordFailedTransactionPinAttempt(userId, maxAttempts, lockoutMs) {
+    const { data, error } = await supabaseAdmin.rpc('record_failed_transaction_pin_attempt', {
+      p_user_id: userId,
+      p_max_attempts: maxAttempts,
+      p_lockout_seconds: Math.ceil(lockoutMs / 1000)
+    });
+
+    if (error) throw new Error(`Failed to record PIN attempt: ${error.message}`);
+    return data;
+  }
+
+  static async resetTransactionPinAttempts(userId) {
+    return this.update(userId, {
+      transaction_pin_attempts: 0,
+      transaction_pin_locked_until: null
+    });
+  }
+}
+
+export default UserAuth;
@@ -0,0 +1,98 @@
+import { supabaseAdmin } from '../database/index.js';
+
+class UserDevice {
+  static table = 'user_devices';
+
+  static async findByDeviceId(userId, deviceId) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('user_id', userId)
+      .eq('device_id', deviceId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') { // No rows returned
+        return null;
+      }
+      throw new Error(`Failed to find device: ${error.message}`);
+    }
+    return data;
+  }
+
+  static async findByIdForUser(id, userId) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('id', id)
+      .eq('user_id', userId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') { // No rows returned
+        return null;
+      }
+      throw new Error(`Failed to find device: ${error.message}`);
+    }
+    return data;
+  }
+
+  static async listByUser(userId) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('user_id', userId)
+      .order('last_seen_at', { ascending: false });
+
+    if (error) throw new Error(`Failed to list devices: ${error.message}`);
+    return data || [];
+  }
+
+  static async countByUser(userId) {
+    const { count, error } = await supabaseAdmin
+      .from(this.table)
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', userId);
+
+    if (error) throw new Error(`Failed to count devices: ${error.message}`);
+    return count || 0;
+  }
+
+  static async create(data) {
+    const { data: result, error } = await supabaseAdmin
+      .from(this.table)
+      .insert([{
+        user_id: data.user_id,
+        device_id: data.device_id,
+        device_name: data.device_name || null,
+        trusted: data.trusted === true,
+        trust_updated_at: data.trusted === true ? new Date().toISOString() : null,
+        last_ip_address: data.last_ip_address || null,
+        last_user_agent: data.last_user_agent || null
+      }])
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') { // Registered concurrently
+        return null;
+      }
+      throw new Error(`Failed to record device: ${error.message}`);
+    }
+    return result;
+  }
+
+  static async update(id, updates) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to update device: ${error.message}`);
+    return data;
+  }
+}
+
+export default UserDevice;
@@ -1,4 +1,4 @@
-import { supabaseAdmin } from '../database/supabase.js';
+import { supabaseAdmin } from '../database/index.js';
 
 class UserSession {
     constructor(data = {}) {
@@ -14,8 +14,10 @@ class UserSession {
         this.location_city = data.location_city;
         this.is_active = data.is_active ?? true;
         this.pin_verified = data.pin_verified ?? false;
+        this.pin_verified_at = data.pin_verified_at;
         this.biometric_verified = data.biometric_verified ?? false;
         this.last_activity = data.last_activity;
+        this.revoked_at = data.revoked_at;
         this.expires_at = data.expires_at;
         this.created_at = data.created_at;
     }
@@ -105,6 +107,49 @@ class UserSession {
         }
     }
 
+    static async findByIdForUser(sessionId, userId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('user_sessions')
+                .select('*')
+                .eq('id', sessionId)
+                .eq('user_id', userId)
+                .single();
+
+            if (error) {
+                if (error.code === 'PGRST116') { // No rows returned
+                    return null;
+                }
+                throw error;
+            }
+            return data ? new UserSession(data) : null;
+        } catch (error) {
+            console.error('Error finding session by ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Deactivate every active session of a user
+     * @returns {Array<UserSession>} The sessions that were deactivated
+     */
+    static async deactivateAllForUser(userId) {
+        try {
+            const { data, error } = await supabaseAdmin
+                .from('user_sessions')
+                .update({ is_active: false, revoked_at: new Date().toISOString() })
+                .eq('user_id', userId)
+                .eq('is_active', true)
+                .select();
+
+            if (error) throw error;
+            return (data || []).map(session => new UserSession(session));
+        } catch (error) {
+            console.error('Error deactivating user sessions:', error);
+            throw error;
+        }
+    }
+
     async update(updates) {
         try {
             const { data, error } = await supabaseAdmin
@@ -129,7 +174,7 @@ class UserSession {
     }
 
     async deactivate() {
-        return this.update({ is_active: false });
+        return this.update({ is_active: false, revoked_at: new Date().toISOString() });
     }
 
     async updateLastActivity() {
@@ -137,7 +182,11 @@ class UserSession {
     }
 
     async verifyPin() {
-        return this.update({ pin_verified: true });
+        return this.update({ pin_verified: true, pin_verified_at: new Date().toISOString() });
+    }
+
+    async clearPinVerification() {
+        return this.update({ pin_verified: false, pin_verified_at: null });
     }
 
     async verifyBiometric() {
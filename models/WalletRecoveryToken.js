@@ -0,0 +1,115 @@
+import { supabaseAdmin } from '../database/index.js';
+
+class WalletRecoveryToken {
+  static table = 'wallet_recovery_tokens';
+
+  static async create(data) {
+    const requiredFields = ['id', 'user_id', 'wallet_id', 'token_hash', 'channel', 'expires_at'];
+    for (const field of requiredFields) {
+      if (!data[field]) {
+        throw new Error(`Missing required field: ${field}`);
+      }
+    }
+
+    const { data: result, error } = await supabaseAdmin
+      .from(this.table)
+      .insert([{
+        id: data.id,
+        user_id: data.user_id,
+        wallet_id: data.wallet_id,
+        token_hash: data.token_hash,
+        channel: data.channel,
+        expires_at: data.expires_at,
+        requested_ip: data.requested_ip || null,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to create recovery token: ${error.message}`);
+    return result;
+  }
+
+  static async findById(id) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') { // No rows returned
+        return null;
+      }
+      throw new Error(`Failed to find recovery token: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Redeem a token. The update only matches unused, unrevoked, unexpired rows,
+   * so two concurrent verifications cannot both succeed.
+   * @returns {Object|null} Redeemed row, or null if the token can no longer be used
+   */
+  static async markUsed(id, tokenHash, usedIp = null) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .update({
+        used_at: now,
+        used_ip: usedIp
+      })
+      .eq('id', id)
+      .eq('token_hash', tokenHash)
+      .is('used_at', null)
+      .is('revoked_at', null)
+      .gt('expires_at', now)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      throw new Error(`Failed to redeem recovery token: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Revoke outstanding tokens for a wallet (called before issuing a new one)
+   * @returns {number} Number of revoked tokens
+   */
+  static async revokeActiveForWallet(walletId) {
+    const now = new Date().toISOString();
+
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .update({ revoked_at: now })
+      .eq('wallet_id', walletId)
+      .is('used_at', null)
+      .is('revoked_at', null)
+      .gt('expires_at', now)
+      .select('id');
+
+    if (error) throw new Error(`Failed to revoke recovery tokens: ${error.message}`);
+    return data?.length || 0;
+  }
+
+  /**
+   * Number of tokens issued for a wallet since a point in time
+   */
+  static async countIssuedSince(walletId, since) {
+    const { count, error } = await supabaseAdmin
+      .from(this.table)
+      .select('id', { count: 'exact', head: true })
+      .eq('wallet_id', walletId)
+      .gte('created_at', since.toISOString());
+
+    if (error) throw new Error(`Failed to count recovery tokens: ${error.message}`);
+    return count || 0;
+  }
+}
+
+export default WalletRecoveryToken;
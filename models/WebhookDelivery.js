@@ -0,0 +1,134 @@
+import { supabaseAdmin } from '../database/index.js';
+import { WEBHOOK_DELIVERY_STATUS } from '../constants/webhookConstants.js';
+
+class WebhookDelivery {
+  static table = 'webhook_deliveries';
+
+  static async create(data) {
+    const requiredFields = ['endpoint_id', 'event_id', 'event_type', 'payload'];
+    for (const field of requiredFields) {
+      if (!data[field]) {
+        throw new Error(`Missing required field: ${field}`);
+      }
+    }
+
+    const { data: result, error } = await supabaseAdmin
+      .from(this.table)
+      .insert([{
+        endpoint_id: data.endpoint_id,
+        event_id: data.event_id,
+        event_type: data.event_type,
+        payload: data.payload,
+        status: WEBHOOK_DELIVERY_STATUS.PENDING,
+        attempt_count: 0,
+        next_attempt_at: new Date().toISOString(),
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to create webhook delivery: ${error.message}`);
+    return result;
+  }
+
+  static async findById(id) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') { // No rows returned
+        return null;
+      }
+      throw new Error(`Failed to find webhook delivery: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Delivery log for an endpoint, newest first
+   */
+  static async findByEndpoint(endpointId, options = {}) {
+    const { status, limit = 50, offset = 0 } = options;
+
+    let query = supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('endpoint_id', endpointId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (status) {
+      query = query.eq('status', status);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(`Failed to find webhook deliveries: ${error.message}`);
+    return data || [];
+  }
+
+  /**
+   * Pending deliveries whose next attempt is due
+   */
+  static async findDue(limit = 50) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('status', WEBHOOK_DELIVERY_STATUS.PENDING)
+      .lte('next_attempt_at', new Date().toISOString())
+      .order('next_attempt_at', { ascending: true })
+      .limit(limit);
+
+    if (error) throw new Error(`Failed to find due webhook deliveries: ${error.message}`);
+    return data || [];
+  }
+
+  /**
+   * Take the next attempt of a pending delivery so concurrent workers do not send it twice.
+   * Pushes next_attempt_at forward by lockMs as a lease while the request is in flight.
+   * @returns {Object|null} Claimed delivery, or null if another worker claimed it first
+   */
+  static async claimAttempt(id, currentAttemptCount, lockMs) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .update({
+        attempt_count: currentAttemptCount + 1,
+        next_attempt_at: new Date(Date.now() + lockMs).toISOString(),
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .eq('status', WEBHOOK_DELIVERY_STATUS.PENDING)
+      .eq('attempt_count', currentAttemptCount)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      throw new Error(`Failed to claim webhook delivery: ${error.message}`);
+    }
+    return data;
+  }
+
+  static async update(id, updateData) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .update({
+        ...updateData,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to update webhook delivery: ${error.message}`);
+    return data;
+  }
+}
+
+export default WebhookDelivery;
@@ -0,0 +1,164 @@
+import { supabaseAdmin } from '../database/index.js';
+import { WEBHOOK_EVENTS } from '../constants/webhookConstants.js';
+
+// Columns returned to API clients; the signing secret is only returned on create
+const PUBLIC_COLUMNS = 'id, url, description, event_types, is_active, user_id, created_by_admin_id, created_at, updated_at';
+
+class WebhookEndpoint {
+  static table = 'webhook_endpoints';
+
+  static async create(data) {
+    const requiredFields = ['url', 'event_types', 'secret'];
+    for (const field of requiredFields) {
+      if (!data[field]) {
+        throw new Error(`Missing required field: ${field}`);
+      }
+    }
+
+    this.validateEventTypes(data.event_types);
+
+    const { data: result, error } = await supabaseAdmin
+      .from(this.table)
+      .insert([{
+        url: data.url,
+        description: data.description || null,
+        event_types: data.event_types,
+        secret: data.secret,
+        user_id: data.user_id || null,
+        created_by_admin_id: data.created_by_admin_id || null,
+        is_active: true,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to create webhook endpoint: ${error.message}`);
+    return result;
+  }
+
+  static validateEventTypes(eventTypes) {
+    const validEvents = Object.values(WEBHOOK_EVENTS);
+
+    if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+      throw new Error('At least one event type is required');
+    }
+
+    const invalid = eventTypes.filter(eventType => !validEvents.includes(eventType));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid event types: ${invalid.join(', ')}`);
+    }
+  }
+
+  static async findById(id) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select(PUBLIC_COLUMNS)
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') { // No rows returned
+        return null;
+      }
+      throw new Error(`Failed to find webhook endpoint: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * Find an endpoint including its signing secret (for delivery only)
+   */
+  static async findByIdWithSecret(id) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('id', id)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        return null;
+      }
+      throw new Error(`Failed to find webhook endpoint: ${error.message}`);
+    }
+    return data;
+  }
+
+  /**
+   * List endpoints
+   * @param {Object} options - { userId } to restrict to a merchant; omit for all endpoints
+   * @returns {Array} Endpoints without secrets
+   */
+  static async list(options = {}) {
+    let query = supabaseAdmin
+      .from(this.table)
+      .select(PUBLIC_COLUMNS)
+      .order('created_at', { ascending: false });
+
+    if (options.userId) {
+      query = query.eq('user_id', options.userId);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw new Error(`Failed to list webhook endpoints: ${error.message}`);
+    return data || [];
+  }
+
+  /**
+   * Find active endpoints subscribed to an event that may see the given users' transactions
+   * @param {string} eventType - Webhook event type
+   * @param {Array<string>} userIds - Users involved in the transaction
+   * @returns {Array} Endpoints with secrets
+   */
+  static async findSubscribers(eventType, userIds = []) {
+    const ownerFilter = ['user_id.is.null', ...userIds.filter(Boolean).map(id => `user_id.eq.${id}`)].join(',');
+
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('is_active', true)
+      .contains('event_types', [eventType])
+      .or(ownerFilter);
+
+    if (error) throw new Error(`Failed to find webhook subscribers: ${error.message}`);
+    return data || [];
+  }
+
+  static async update(id, updateData) {
+    if (updateData.event_types) {
+      this.validateEventTypes(updateData.event_types);
+    }
+
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .update({
+        ...updateData,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', id)
+      .select(PUBLIC_COLUMNS)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') {
+        throw new Error('Webhook endpoint not found');
+      }
+      throw new Error(`Failed to update webhook endpoint: ${error.message}`);
+    }
+    return data;
+  }
+
+  static async delete(id) {
+    const { error } = await supabaseAdmin
+      .from(this.table)
+      .delete()
+      .eq('id', id);
+
+    if (error) throw new Error(`Failed to delete webhook endpoint: ${error.message}`);
+    return true;
+  }
+}
+
+export default WebhookEndpoint;
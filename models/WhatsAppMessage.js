@@ -0,0 +1,65 @@
+import { supabaseAdmin } from '../database/index.js';
+
+class WhatsAppMessage {
+  static table = 'whatsapp_messages';
+
+  static async create(data) {
+    const requiredFields = ['recipient', 'provider', 'status'];
+    for (const field of requiredFields) {
+      if (!data[field]) {
+        throw new Error(`Missing required field: ${field}`);
+      }
+    }
+
+    const { data: result, error } = await supabaseAdmin
+      .from(this.table)
+      .insert([{
+        user_id: data.user_id || null,
+        recipient: data.recipient,
+        template: data.template || null,
+        locale: data.locale || null,
+        provider: data.provider,
+        provider_message_id: data.provider_message_id || null,
+        status: data.status,
+        error_message: data.error_message || null,
+        sent_at: data.sent_at || null,
+        failed_at: data.failed_at || null
+      }])
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to record WhatsApp message: ${error.message}`);
+    return result;
+  }
+
+  static async findByProviderMessageId(provider, providerMessageId) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .select('*')
+      .eq('provider', provider)
+      .eq('provider_message_id', providerMessageId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') { // No rows returned
+        return null;
+      }
+      throw new Error(`Failed to find WhatsApp message: ${error.message}`);
+    }
+    return data;
+  }
+
+  static async updateStatus(id, updates) {
+    const { data, error } = await supabaseAdmin
+      .from(this.table)
+      .update(updates)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) throw new Error(`Failed to update WhatsApp message: ${error.message}`);
+    return data;
+  }
+}
+
+export default WhatsAppMessage;
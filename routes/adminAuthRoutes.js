@@ -71,14 +71,6 @@ router.post('/change-password',
   adminAuthController.changePassword
 );
 
-/**
- * Super Admin Routes (require admin permissions)
- */
-
-// POST /api/v1/admin/auth/create - Create new admin (development only)
-router.post('/create',
-  adminSensitiveRateLimit,
-  adminAuthController.createAdmin
-);
+// New admins are created by super admins through POST /api/v1/admin/admins
 
 export default router; 
\ No newline at end of file
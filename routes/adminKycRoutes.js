@@ -0,0 +1,45 @@
+import express from 'express';
+import kycController from '../controllers/kycController.js';
+import { authenticateAdmin, requireAdminPermission } from '../middleware/authMiddleware.js';
+import { ADMIN_PERMISSIONS } from '../constants/adminConstants.js';
+
+const router = express.Router();
+
+/**
+ * Admin KYC Routes
+ * Any admin can view submissions; approving and rejecting needs write access
+ */
+
+router.use(authenticateAdmin);
+
+// GET /api/v1/admin/kyc/submissions - Review queue, oldest first (?status=pending)
+router.get('/submissions',
+  requireAdminPermission(ADMIN_PERMISSIONS.READ),
+  kycController.listSubmissions
+);
+
+// GET /api/v1/admin/kyc/submissions/:submissionId - Submission with signed document URLs
+router.get('/submissions/:submissionId',
+  requireAdminPermission(ADMIN_PERMISSIONS.READ),
+  kycController.getSubmission
+);
+
+// POST /api/v1/admin/kyc/submissions/:submissionId/approve - Approve and raise the user's level
+router.post('/submissions/:submissionId/approve',
+  requireAdminPermission(ADMIN_PERMISSIONS.WRITE),
+  kycController.approve
+);
+
+// POST /api/v1/admin/kyc/submissions/:submissionId/reject - Reject with a reason
+router.post('/submissions/:submissionId/reject',
+  requireAdminPermission(ADMIN_PERMISSIONS.WRITE),
+  kycController.reject
+);
+
+// GET /api/v1/admin/kyc/users/:userId/history - KYC level changes
+router.get('/users/:userId/history',
+  requireAdminPermission(ADMIN_PERMISSIONS.READ),
+  kycController.getLevelHistory
+);
+
+export default router;
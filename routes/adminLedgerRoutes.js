@@ -0,0 +1,20 @@
+import express from 'express';
+import ledgerController from '../controllers/ledgerController.js';
+import { authenticateAdmin, requireAdminPermission } from '../middleware/authMiddleware.js';
+import { ADMIN_PERMISSIONS } from '../constants/adminConstants.js';
+
+const router = express.Router();
+
+/**
+ * Admin Ledger Routes
+ */
+
+router.use(authenticateAdmin);
+
+// GET /api/v1/admin/ledger/reconciliation - Check asset balances against the ledger (?walletId=)
+router.get('/reconciliation',
+  requireAdminPermission(ADMIN_PERMISSIONS.READ),
+  ledgerController.getReconciliation
+);
+
+export default router;
@@ -0,0 +1,56 @@
+import express from 'express';
+import adminManagementController from '../controllers/adminManagementController.js';
+import { authenticateAdmin, requireAdminPermission } from '../middleware/authMiddleware.js';
+import { ADMIN_PERMISSIONS } from '../constants/adminConstants.js';
+import rateLimiter from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+/**
+ * Admin Management Routes
+ * All routes require an admin token whose role grants manage_admins
+ */
+
+// Rate limiting for admin account changes
+const adminManagementRateLimit = rateLimiter.createLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // 30 changes per 15 minutes
+  keyGenerator: (req) => `admin_management:${req.admin?.id || req.ip}`,
+  message: {
+    status: 'ERROR',
+    message: 'Too many admin management operations. Please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  }
+});
+
+router.use(authenticateAdmin);
+router.use(requireAdminPermission(ADMIN_PERMISSIONS.MANAGE_ADMINS));
+
+// GET /api/v1/admin/admins - List admin accounts
+router.get('/', adminManagementController.listAdmins);
+
+// POST /api/v1/admin/admins - Create admin account
+router.post('/',
+  adminManagementRateLimit,
+  adminManagementController.createAdmin
+);
+
+// PATCH /api/v1/admin/admins/:adminId/role - Change admin role
+router.patch('/:adminId/role',
+  adminManagementRateLimit,
+  adminManagementController.updateRole
+);
+
+// POST /api/v1/admin/admins/:adminId/deactivate - Disable admin account
+router.post('/:adminId/deactivate',
+  adminManagementRateLimit,
+  adminManagementController.deactivateAdmin
+);
+
+// POST /api/v1/admin/admins/:adminId/activate - Re-enable admin account
+router.post('/:adminId/activate',
+  adminManagementRateLimit,
+  adminManagementController.activateAdmin
+);
+
+export default router;
@@ -0,0 +1,37 @@
+import express from 'express';
+import webhookController from '../controllers/webhookController.js';
+import { authenticateAdmin, requireAdminPermission } from '../middleware/authMiddleware.js';
+import { ADMIN_PERMISSIONS } from '../constants/adminConstants.js';
+
+const router = express.Router();
+
+/**
+ * Admin Webhook Routes
+ * Admins manage every endpoint; endpoints without a merchant receive all events
+ */
+
+router.use(authenticateAdmin);
+router.use(requireAdminPermission(ADMIN_PERMISSIONS.ADMIN));
+
+// GET /api/v1/admin/webhooks - List all webhook endpoints
+router.get('/', webhookController.listEndpoints);
+
+// POST /api/v1/admin/webhooks - Register webhook endpoint (optionally for a merchant via userId)
+router.post('/', webhookController.createEndpoint);
+
+// POST /api/v1/admin/webhooks/deliveries/:deliveryId/redeliver - Manually redeliver
+router.post('/deliveries/:deliveryId/redeliver', webhookController.redeliver);
+
+// GET /api/v1/admin/webhooks/:endpointId - Get webhook endpoint
+router.get('/:endpointId', webhookController.getEndpoint);
+
+// PATCH /api/v1/admin/webhooks/:endpointId - Update webhook endpoint
+router.patch('/:endpointId', webhookController.updateEndpoint);
+
+// DELETE /api/v1/admin/webhooks/:endpointId - Delete webhook endpoint
+router.delete('/:endpointId', webhookController.deleteEndpoint);
+
+// GET /api/v1/admin/webhooks/:endpointId/deliveries - Delivery log
+router.get('/:endpointId/deliveries', webhookController.getDeliveries);
+
+export default router;
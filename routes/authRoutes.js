@@ -61,6 +61,13 @@ router.get(
   authController.getCurrentUser
 );
 
+router.post(
+  '/logout',
+  authenticateToken,
+  securityActivityLogger('Logout'),
+  authController.logout
+);
+
 router.get(
   '/devices',
   authenticateToken,
@@ -4,6 +4,7 @@ import { authenticateToken } from '../middleware/authMiddleware.js';
 import { validateBody, validateQuery } from '../middleware/validation.js';
 import {
   syncSecure as syncContactsSchema,
+  syncDelta as syncDeltaSchema,
   getContacts as getContactsSchema,
   searchContacts as searchContactsSchema
 } from '../schemas/contactSchemas.js';
@@ -13,17 +14,25 @@ const router = express.Router();
 // Apply authentication to all routes
 router.use(authenticateToken);
 
+// Requests carrying a sync token are deltas; everything else is a full upload
+const validateSyncBody = (req, res, next) => {
+  const schema = req.body?.syncToken !== undefined ? syncDeltaSchema : syncContactsSchema;
+  return validateBody(schema)(req, res, next);
+};
+
 // ============================================================================
 // ORIGINAL CONTACT ENDPOINTS
 // ============================================================================
 
 /**
  * Sync user contacts with secure hashed phone numbers
+ * Full: { contactHashes, deviceContactsCount, hashingMethod, timestamp }
+ * Delta: { syncToken, addedHashes, removedHashes, deviceContactsCount, hashingMethod, timestamp }
  * @route POST /api/v1/contacts/sync
  * @access Private
  */
 router.post('/sync',
-  validateBody(syncContactsSchema),
+  validateSyncBody,
   contactController.syncContacts
 );
 
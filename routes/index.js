@@ -1,6 +1,8 @@
 import express from 'express';
 import authRoutes from './authRoutes.js';
 import adminAuthRoutes from './adminAuthRoutes.js';
+import adminRoutes from './adminRoutes.js';
+import adminWebhookRoutes from './adminWebhookRoutes.js';
 import activityRoutes from './activity.js';
 import promotionRoutes from './promotionRoutes.js';
 import logRoutes from './logRoutes.js';
@@ -8,8 +10,19 @@ import transactionRoutes from './transactionRoutes.js';
 import contactRoutes from './contactRoutes.js';
 import walletRoutes from './walletRoutes.js';
 import solanaRoutes from './solanaRoutes.js';
+import paymentRequestRoutes from './paymentRequestRoutes.js';
+import transferRoutes from './transferRoutes.js';
+import scheduledTransferRoutes from './scheduledTransferRoutes.js';
+import webhookRoutes from './webhookRoutes.js';
+import securityRoutes from './securityRoutes.js';
+import notificationRoutes from './notificationRoutes.js';
+import whatsappWebhookRoutes from './whatsappWebhookRoutes.js';
+import kycRoutes from './kycRoutes.js';
+import adminKycRoutes from './adminKycRoutes.js';
+import adminLedgerRoutes from './adminLedgerRoutes.js';
 import stytchClient from '../config/stytch.js';
 import userController from '../controllers/userController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
 
 const router = express.Router();
 
@@ -22,7 +35,6 @@ router.get('/', (req, res) => {
     endpoints: {
       health: '/api/v1/health',
       stytchTest: '/api/stytch-test',
-      debugOtp: '/api/debug-otp',
       auth: {
         checkAvailability: 'GET /api/v1/auth/check-availability',
         // Sequential Authentication Flow (phone first, then email)
@@ -38,17 +50,42 @@ router.get('/', (req, res) => {
         refresh: 'POST /api/v1/auth/refresh',
         logout: 'POST /api/v1/auth/logout',
         me: 'GET /api/v1/auth/me',
-        sessions: 'GET /api/v1/auth/sessions',
-        revokeSession: 'DELETE /api/v1/auth/sessions/:sessionId',
-        revokeAllSessions: 'DELETE /api/v1/auth/sessions'
+        sessions: 'GET /api/v1/auth/devices',
+        revokeSession: 'DELETE /api/v1/auth/devices/:deviceId',
+        revokeAllSessions: 'DELETE /api/v1/auth/devices'
       },
       adminAuth: {
         login: 'POST /api/v1/admin/auth/login',
         logout: 'POST /api/v1/admin/auth/logout',
         me: 'GET /api/v1/admin/auth/me',
         changePassword: 'POST /api/v1/admin/auth/change-password',
-        validate: 'GET /api/v1/admin/auth/validate',
-        create: 'POST /api/v1/admin/auth/create (dev only)'
+        validate: 'GET /api/v1/admin/auth/validate'
+      },
+      adminManagement: {
+        list: 'GET /api/v1/admin/admins',
+        create: 'POST /api/v1/admin/admins',
+        updateRole: 'PATCH /api/v1/admin/admins/:adminId/role',
+        deactivate: 'POST /api/v1/admin/admins/:adminId/deactivate',
+        activate: 'POST /api/v1/admin/admins/:adminId/activate'
+      },
+      adminWebhooks: {
+        list: 'GET /api/v1/admin/webhooks',
+        create: 'POST /api/v1/admin/webhooks',
+        get: 'GET /api/v1/admin/webhooks/:endpointId',
+        update: 'PATCH /api/v1/admin/webhooks/:endpointId',
+        delete: 'DELETE /api/v1/admin/webhooks/:endpointId',
+        deliveries: 'GET /api/v1/admin/webhooks/:endpointId/deliveries',
+        redeliver: 'POST /api/v1/admin/webhooks/deliveries/:deliveryId/redeliver'
+      },
+      adminKyc: {
+        list: 'GET /api/v1/admin/kyc/submissions?status={pending|approved|rejected}',
+        get: 'GET /api/v1/admin/kyc/submissions/:submissionId',
+        approve: 'POST /api/v1/admin/kyc/submissions/:submissionId/approve',
+        reject: 'POST /api/v1/admin/kyc/submissions/:submissionId/reject',
+        history: 'GET /api/v1/admin/kyc/users/:userId/history'
+      },
+      adminLedger: {
+        reconciliation: 'GET /api/v1/admin/ledger/reconciliation?walletId={walletId}'
       },
       promotions: {
         getPromotions: 'GET /api/v1/promotions?locale={locale}',
@@ -76,7 +113,66 @@ router.get('/', (req, res) => {
         getStats: 'GET /api/v1/transactions/stats?days={days}',
         getOptions: 'GET /api/v1/transactions/options',
         createTransaction: 'POST /api/v1/transactions (internal)',
-        updateStatus: 'PATCH /api/v1/transactions/{id}/status (internal)'
+        updateStatus: 'PATCH /api/v1/transactions/{id}/status (cancel a pending transaction)'
+      },
+      paymentRequests: {
+        getRequests: 'GET /api/v1/payment-requests?direction={incoming|outgoing}&status={status}&limit={limit}&offset={offset}',
+        createRequest: 'POST /api/v1/payment-requests',
+        getRequestById: 'GET /api/v1/payment-requests/:id',
+        declineRequest: 'POST /api/v1/payment-requests/:id/decline',
+        cancelRequest: 'POST /api/v1/payment-requests/:id/cancel',
+        payRequest: 'POST /api/v1/payment-requests/:id/pay'
+      },
+      transfers: {
+        sendP2P: 'POST /api/v1/transfers/p2p (contactId, phoneNumber or userId)'
+      },
+      scheduledTransfers: {
+        list: 'GET /api/v1/scheduled-transfers?status={status}&limit={limit}&offset={offset}',
+        create: 'POST /api/v1/scheduled-transfers (once, daily, weekly or monthly)',
+        get: 'GET /api/v1/scheduled-transfers/:id',
+        pause: 'POST /api/v1/scheduled-transfers/:id/pause',
+        resume: 'POST /api/v1/scheduled-transfers/:id/resume',
+        cancel: 'POST /api/v1/scheduled-transfers/:id/cancel'
+      },
+      webhooks: {
+        list: 'GET /api/v1/webhooks',
+        create: 'POST /api/v1/webhooks',
+        get: 'GET /api/v1/webhooks/:endpointId',
+        update: 'PATCH /api/v1/webhooks/:endpointId',
+        delete: 'DELETE /api/v1/webhooks/:endpointId',
+        deliveries: 'GET /api/v1/webhooks/:endpointId/deliveries?status={status}&limit={limit}&offset={offset}',
+        redeliver: 'POST /api/v1/webhooks/deliveries/:deliveryId/redeliver'
+      },
+      security: {
+        pinStatus: 'GET /api/v1/security/pin',
+        setPin: 'POST /api/v1/security/pin',
+        changePin: 'PUT /api/v1/security/pin',
+        verifyPin: 'POST /api/v1/security/pin/verify',
+        devices: 'GET /api/v1/security/devices',
+        setDeviceTrust: 'PUT /api/v1/security/devices/:id/trust'
+      },
+      notifications: {
+        list: 'GET /api/v1/notifications?cursor={cursor}&limit={limit}&unreadOnly={true|false}',
+        unreadCount: 'GET /api/v1/notifications/unread-count',
+        markRead: 'PUT /api/v1/notifications/:id/read',
+        markAllRead: 'PUT /api/v1/notifications/read-all',
+        delete: 'DELETE /api/v1/notifications/:id',
+        registerDeviceToken: 'POST /api/v1/notifications/device-tokens',
+        unregisterDeviceToken: 'DELETE /api/v1/notifications/device-tokens'
+      },
+      kyc: {
+        status: 'GET /api/v1/kyc',
+        submissions: 'GET /api/v1/kyc/submissions',
+        submit: 'POST /api/v1/kyc/submissions (multipart: identity fields plus id_front, id_back, selfie, proof_of_address files)'
+      },
+      whatsapp: {
+        verifyWebhook: 'GET /api/v1/whatsapp/webhook',
+        statusWebhook: 'POST /api/v1/whatsapp/webhook'
+      },
+      user: {
+        profile: 'GET /api/v1/user',
+        updatePreferences: 'PUT /api/v1/user/preferences',
+        limits: 'GET /api/v1/user/limits'
       },
       activity: {
         logs: 'GET /api/v1/activity/logs',
@@ -91,6 +187,7 @@ router.get('/', (req, res) => {
       },
       contacts: {
         syncContacts: 'POST /api/v1/contacts/sync',
+        syncContactsDelta: 'POST /api/v1/contacts/sync (syncToken + addedHashes/removedHashes)',
         getContacts: 'GET /api/v1/contacts?favorites=true/false&limit=50&offset=0',
         getFavorites: 'GET /api/v1/contacts/favorites',
         searchContacts: 'GET /api/v1/contacts/search?q=searchTerm&limit=20&offset=0',
@@ -114,6 +211,11 @@ router.get('/', (req, res) => {
         deactivateWallet: 'DELETE /api/v1/wallets/:walletId'
       },
       solana: {
+        listTokens: 'GET /api/v1/solana/tokens',
+        prepareTokenTransfer: 'POST /api/v1/solana/tokens/:symbol/transfer/prepare',
+        completeTokenTransfer: 'POST /api/v1/solana/tokens/:symbol/transfer/complete',
+        checkTokenBalance: 'GET /api/v1/solana/tokens/:symbol/balance/:walletAddress',
+        estimateTokenFee: 'GET /api/v1/solana/tokens/:symbol/estimate-fee?toWallet={address}',
         prepareUSDTTransfer: 'POST /api/v1/solana/usdt/prepare',
         completeUSDTTransfer: 'POST /api/v1/solana/usdt/complete',
         sendUSDTSimple: 'POST /api/v1/solana/usdt/send-simple (dev only)',
@@ -133,22 +235,39 @@ router.get('/', (req, res) => {
       'Admin authentication with JWT',
       'OTP verification via Stytch (SMS, WhatsApp, Email)',
       'Session management via Stytch',
+      'Server-side device sessions: list and sign out devices without Stytch',
+      'New-device login alerts and device trust; high-value transfers from new devices need re-verification',
       'Admin panel with username/password authentication',
       'Role-based access control',
+      'Database-backed admin accounts with roles (super admin, admin, support, viewer)',
       'Crypto wallet transaction tracking with cursor-based pagination',
       'Comprehensive transaction filtering and search',
       'Real-time transaction status tracking',
+      'Payment requests (request money, pay, decline, cancel)',
+      'Instant P2P transfers to contacts by contact, phone number or user ID',
+      'Scheduled one-off and recurring transfers with retries and reminders',
+      'Daily spending limits enforced in the user\'s timezone',
+      'Signed transaction webhooks with retries and delivery log',
+      'Transaction PIN with lockout, required per session before sending funds',
+      'WhatsApp transaction and security notifications with per-locale templates and delivery tracking',
+      'In-app notification inbox with read/unread state',
+      'Per-category notification channels and quiet hours with digest delivery',
+      'Multi-device push token registry with automatic pruning of tokens FCM rejects',
+      'KYC verification with document uploads, admin review and per-level transaction limits',
+      'Double-entry ledger behind wallet balances, with holds for pending transfers and reconciliation',
       'Promotion system with targeting and analytics',
       'Client-side event logging and analytics',
       'Server-side activity logging and monitoring',
       'Suspicious activity detection',
       'Contact synchronization with privacy-preserving phone hashing',
+      'Delta contact sync with server-issued sync tokens',
       'Contact favorites and interaction tracking',
       'Contact search and discovery',
       'Multi-network wallet support (Ethereum, Polygon)',
       'Secure wallet management and backup systems',
       'Wallet transaction tracking and recovery',
       'Solana USDT transfers with fee payer system',
+      'Multi-token SPL transfers driven by supported assets',
       'High-speed, low-cost crypto transactions',
       'Automated fee payment from main wallet',
       'Rate limiting',
@@ -216,69 +335,13 @@ router.get('/health', (req, res) => {
   });
 });
 
-// Debug OTP data endpoint
-router.get('/debug-otp', (req, res) => {
-  const authService = require('../services/authService');
-  
-  try {
-    const otpKeys = Array.from(authService.otpAttempts.keys());
-    const otpData = {};
-    
-    otpKeys.forEach(key => {
-      const data = authService.otpAttempts.get(key);
-      otpData[key] = {
-        methodId: data.methodId,
-        attempts: data.attempts,
-        expires: new Date(data.expires).toISOString(),
-        isExpired: Date.now() > data.expires,
-        createdAt: data.createdAt ? new Date(data.createdAt).toISOString() : 'Unknown'
-      };
-    });
-
-    const rateLimitKeys = Array.from(authService.rateLimitStore.keys());
-    const rateLimitData = {};
-    
-    rateLimitKeys.forEach(key => {
-      const data = authService.rateLimitStore.get(key);
-      rateLimitData[key] = {
-        count: data.count,
-        resetTime: new Date(data.resetTime).toISOString()
-      };
-    });
-
-    res.json({
-      status: 'SUCCESS',
-      message: 'OTP Debug Information',
-      data: {
-        otpAttempts: {
-          count: otpKeys.length,
-          keys: otpKeys,
-          data: otpData
-        },
-        rateLimiting: {
-          count: rateLimitKeys.length,
-          keys: rateLimitKeys,
-          data: rateLimitData
-        },
-        serverInfo: {
-          uptime: process.uptime(),
-          memory: process.memoryUsage(),
-          timestamp: new Date().toISOString()
-        }
-      }
-    });
-  } catch (error) {
-    res.status(400).json({
-      status: 'ERROR',
-      message: 'Error retrieving debug information',
-      error: error.message
-    });
-  }
-});
-
 // API versioning - v1 routes
 router.use('/v1/auth', authRoutes);
 router.use('/v1/admin/auth', adminAuthRoutes);
+router.use('/v1/admin/admins', adminRoutes);
+router.use('/v1/admin/webhooks', adminWebhookRoutes);
+router.use('/v1/admin/kyc', adminKycRoutes);
+router.use('/v1/admin/ledger', adminLedgerRoutes);
 router.use('/v1/activity', activityRoutes);
 router.use('/v1/promotions', promotionRoutes);
 router.use('/v1/logs', logRoutes);
@@ -286,12 +349,25 @@ router.use('/v1/transactions', transactionRoutes);
 router.use('/v1/contacts', contactRoutes);
 router.use('/v1/wallets', walletRoutes);
 router.use('/v1/solana', solanaRoutes);
+router.use('/v1/payment-requests', paymentRequestRoutes);
+router.use('/v1/transfers', transferRoutes);
+router.use('/v1/scheduled-transfers', scheduledTransferRoutes);
+router.use('/v1/webhooks', webhookRoutes);
+router.use('/v1/security', securityRoutes);
+router.use('/v1/notifications', notificationRoutes);
+router.use('/v1/whatsapp', whatsappWebhookRoutes);
+router.use('/v1/kyc', kycRoutes);
 router.get('/v1/user', userController.getUserProfile);
 router.put('/v1/user/preferences', userController.updatePreferences);
+router.get('/v1/user/limits', authenticateToken, userController.getLimits);
 
 // Legacy support (without versioning) - can be removed later
 router.use('/auth', authRoutes);
 router.use('/admin/auth', adminAuthRoutes);
+router.use('/admin/admins', adminRoutes);
+router.use('/admin/webhooks', adminWebhookRoutes);
+router.use('/admin/kyc', adminKycRoutes);
+router.use('/admin/ledger', adminLedgerRoutes);
 router.use('/activity', activityRoutes);
 router.use('/promotions', promotionRoutes);
 router.use('/logs', logRoutes);
@@ -299,6 +375,14 @@ router.use('/transactions', transactionRoutes);
 router.use('/contacts', contactRoutes);
 router.use('/wallets', walletRoutes);
 router.use('/solana', solanaRoutes);
+router.use('/payment-requests', paymentRequestRoutes);
+router.use('/transfers', transferRoutes);
+router.use('/scheduled-transfers', scheduledTransferRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/security', securityRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/whatsapp', whatsappWebhookRoutes);
+router.use('/kyc', kycRoutes);
 
 // Add more route modules here as your application grows
 // router.use('/v1/users', userRoutes);
@@ -0,0 +1,62 @@
+import express from 'express';
+import multer from 'multer';
+import kycController from '../controllers/kycController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+import rateLimiter from '../middleware/rateLimiter.js';
+import { KYC_DOCUMENT_TYPES, KYC_UPLOADS, KYC_ERRORS } from '../constants/kycConstants.js';
+import { createErrorResponse } from '../utils/baseResponse.js';
+
+const router = express.Router();
+
+/**
+ * KYC Routes
+ * Verification status and document submission; all routes require authentication
+ */
+
+const kycSubmissionRateLimit = rateLimiter.createLimiter({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 submissions per hour
+  keyGenerator: (req) => `kyc_submission:${req.user?.id || req.ip}`,
+  message: {
+    status: 'ERROR',
+    message: 'Too many KYC submissions. Please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  }
+});
+
+// One file per document type, kept in memory until it is stored in the bucket
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: KYC_UPLOADS.MAX_FILE_SIZE, files: Object.keys(KYC_DOCUMENT_TYPES).length }
+}).fields(Object.values(KYC_DOCUMENT_TYPES).map(name => ({ name, maxCount: 1 })));
+
+const uploadDocuments = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(400).json(createErrorResponse(
+        KYC_ERRORS.INVALID_DOCUMENT,
+        'INVALID_KYC_DOCUMENTS',
+        400,
+        error.field ? `${error.message}: ${error.field}` : error.message
+      ));
+    }
+    return next(error);
+  });
+};
+
+router.use(authenticateToken);
+
+// GET /api/v1/kyc - Current level, limits and latest submission
+router.get('/', kycController.getStatus);
+
+// GET /api/v1/kyc/submissions - Own submissions, newest first
+router.get('/submissions', kycController.listMySubmissions);
+
+// POST /api/v1/kyc/submissions - Submit identity data with id_front, id_back, selfie and proof_of_address files
+router.post('/submissions',
+  kycSubmissionRateLimit,
+  uploadDocuments,
+  kycController.submit
+);
+
+export default router;
@@ -0,0 +1,48 @@
+import express from 'express';
+import notificationController from '../controllers/notificationController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+import rateLimiter from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+/**
+ * Notification Routes
+ * In-app notification inbox and push device tokens; all routes require authentication
+ */
+
+const notificationRateLimit = rateLimiter.createLimiter({
+  windowMs: 60 * 1000, // 1 minute
+  max: 120, // 120 requests per minute (the app polls the unread count)
+  keyGenerator: (req) => `notifications:${req.user?.id || req.ip}`,
+  message: {
+    status: 'ERROR',
+    message: 'Too many notification requests. Please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  }
+});
+
+router.use(authenticateToken);
+router.use(notificationRateLimit);
+
+// GET /api/v1/notifications - Inbox with cursor pagination
+router.get('/', notificationController.getNotifications);
+
+// GET /api/v1/notifications/unread-count - Number of unread notifications
+router.get('/unread-count', notificationController.getUnreadCount);
+
+// POST /api/v1/notifications/device-tokens - Register this install's FCM token
+router.post('/device-tokens', notificationController.registerDeviceToken);
+
+// DELETE /api/v1/notifications/device-tokens - Unregister an FCM token (token in body)
+router.delete('/device-tokens', notificationController.unregisterDeviceToken);
+
+// PUT /api/v1/notifications/read-all - Mark every notification read
+router.put('/read-all', notificationController.markAllRead);
+
+// PUT /api/v1/notifications/:id/read - Mark one notification read
+router.put('/:id/read', notificationController.markRead);
+
+// DELETE /api/v1/notifications/:id - Remove a notification from the inbox
+router.delete('/:id', notificationController.deleteNotification);
+
+export default router;
@@ -0,0 +1,92 @@
+import express from 'express';
+import paymentRequestController from '../controllers/paymentRequestController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+import rateLimiter from '../middleware/rateLimiter.js';
+import { requireTransactionPin } from '../middleware/transactionPin.js';
+import { requireTrustedDeviceForAmount } from '../middleware/deviceTrust.js';
+import PaymentRequestService from '../services/paymentRequestService.js';
+
+const router = express.Router();
+
+/**
+ * Payment Request Routes
+ * All routes require authentication
+ */
+
+// Rate limiting for payment request reading (lenient)
+const paymentRequestReadRateLimit = rateLimiter.createLimiter({
+  windowMs: 60 * 1000, // 1 minute
+  max: process.env.NODE_ENV === 'test' ? 1000 : 100, // Higher limit for tests
+  keyGenerator: (req) => `payment_requests_read:${req.user?.id || req.ip}`,
+  message: {
+    status: 'ERROR',
+    message: 'Too many payment request read requests. Please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  }
+});
+
+// Rate limiting for payment request actions (more restrictive)
+const paymentRequestWriteRateLimit = rateLimiter.createLimiter({
+  windowMs: 60 * 1000, // 1 minute
+  max: process.env.NODE_ENV === 'test' ? 1000 : 20, // Higher limit for tests
+  keyGenerator: (req) => `payment_requests_write:${req.user?.id || req.ip}`,
+  message: {
+    status: 'ERROR',
+    message: 'Too many payment request actions. Please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  }
+});
+
+// Paying sends the amount on the request, not one given in the body; an unknown
+// request is left for the controller to report
+const payRequestDeviceTrust = requireTrustedDeviceForAmount(async (req) => {
+  const paymentRequest = await PaymentRequestService.getRequestById(req.user.id, req.params.id).catch(() => null);
+  return paymentRequest?.amount ?? null;
+});
+
+// GET /api/v1/payment-requests - List incoming/outgoing payment requests
+router.get('/',
+  authenticateToken,
+  paymentRequestReadRateLimit,
+  paymentRequestController.getRequests
+);
+
+// POST /api/v1/payment-requests - Request money from another user
+router.post('/',
+  authenticateToken,
+  paymentRequestWriteRateLimit,
+  paymentRequestController.createRequest
+);
+
+// GET /api/v1/payment-requests/:id - Get payment request by ID
+router.get('/:id',
+  authenticateToken,
+  paymentRequestReadRateLimit,
+  paymentRequestController.getRequestById
+);
+
+// POST /api/v1/payment-requests/:id/decline - Decline an incoming request (recipient)
+router.post('/:id/decline',
+  authenticateToken,
+  paymentRequestWriteRateLimit,
+  paymentRequestController.declineRequest
+);
+
+// POST /api/v1/payment-requests/:id/cancel - Cancel an outgoing request (requestor)
+router.post('/:id/cancel',
+  authenticateToken,
+  paymentRequestWriteRateLimit,
+  paymentRequestController.cancelRequest
+);
+
+// POST /api/v1/payment-requests/:id/pay - Pay an incoming request (recipient; requires a verified transaction PIN when
+// enabled and for high-value amounts from a new untrusted device)
+router.post('/:id/pay',
+  authenticateToken,
+  paymentRequestWriteRateLimit,
+  requireTransactionPin,
+  payRequestDeviceTrust,
+  paymentRequestController.payRequest
+);
+
+export default router;
@@ -0,0 +1,97 @@
+import express from 'express';
+import scheduledTransferController from '../controllers/scheduledTransferController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+import rateLimiter from '../middleware/rateLimiter.js';
+import idempotency from '../middleware/idempotency.js';
+import { requireTransactionPin } from '../middleware/transactionPin.js';
+import { requireTrustedDeviceForHighValue, requireTrustedDeviceForAmount } from '../middleware/deviceTrust.js';
+import ScheduledTransferService from '../services/scheduledTransferService.js';
+
+const router = express.Router();
+
+/**
+ * Scheduled Transfer Routes
+ * All routes require authentication
+ */
+
+// Rate limiting for scheduled transfer reading (lenient)
+const scheduledTransferReadRateLimit = rateLimiter.createLimiter({
+  windowMs: 60 * 1000, // 1 minute
+  max: process.env.NODE_ENV === 'test' ? 1000 : 100, // Higher limit for tests
+  keyGenerator: (req) => `scheduled_transfers_read:${req.user?.id || req.ip}`,
+  message: {
+    status: 'ERROR',
+    message: 'Too many scheduled transfer read requests. Please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  }
+});
+
+// Rate limiting for scheduled transfer changes (more restrictive)
+const scheduledTransferWriteRateLimit = rateLimiter.createLimiter({
+  windowMs: 60 * 1000, // 1 minute
+  max: process.env.NODE_ENV === 'test' ? 1000 : 20, // Higher limit for tests
+  keyGenerator: (req) => `scheduled_transfers_write:${req.user?.id || req.ip}`,
+  message: {
+    status: 'ERROR',
+    message: 'Too many scheduled transfer actions. Please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  }
+});
+
+// Resuming sends the scheduled amount, which is not in the body; an unknown
+// transfer is left for the controller to report
+const resumeDeviceTrust = requireTrustedDeviceForAmount(async (req) => {
+  const scheduledTransfer = await ScheduledTransferService.findOwned(req.user.id, req.params.id).catch(() => null);
+  return scheduledTransfer?.amount ?? null;
+});
+
+// GET /api/v1/scheduled-transfers - List scheduled transfers (?status=&limit=&offset=)
+router.get('/',
+  authenticateToken,
+  scheduledTransferReadRateLimit,
+  scheduledTransferController.getScheduledTransfers
+);
+
+// POST /api/v1/scheduled-transfers - Schedule a one-off or recurring transfer (supports Idempotency-Key header,
+// requires a verified transaction PIN when enabled and for high-value amounts from a new untrusted device)
+router.post('/',
+  authenticateToken,
+  scheduledTransferWriteRateLimit,
+  requireTransactionPin,
+  requireTrustedDeviceForHighValue,
+  idempotency('scheduled_transfers:create'),
+  scheduledTransferController.createScheduledTransfer
+);
+
+// GET /api/v1/scheduled-transfers/:id - Get a scheduled transfer with its latest runs
+router.get('/:id',
+  authenticateToken,
+  scheduledTransferReadRateLimit,
+  scheduledTransferController.getScheduledTransferById
+);
+
+// POST /api/v1/scheduled-transfers/:id/pause - Stop running until resumed
+router.post('/:id/pause',
+  authenticateToken,
+  scheduledTransferWriteRateLimit,
+  scheduledTransferController.pauseScheduledTransfer
+);
+
+// POST /api/v1/scheduled-transfers/:id/resume - Resume at the next run (requires a verified transaction PIN when enabled
+// and for high-value amounts from a new untrusted device)
+router.post('/:id/resume',
+  authenticateToken,
+  scheduledTransferWriteRateLimit,
+  requireTransactionPin,
+  resumeDeviceTrust,
+  scheduledTransferController.resumeScheduledTransfer
+);
+
+// POST /api/v1/scheduled-transfers/:id/cancel - Cancel for good
+router.post('/:id/cancel',
+  authenticateToken,
+  scheduledTransferWriteRateLimit,
+  scheduledTransferController.cancelScheduledTransfer
+);
+
+export default router;
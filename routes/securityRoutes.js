@@ -0,0 +1,45 @@
+import express from 'express';
+import securityController from '../controllers/securityController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+import rateLimiter from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+/**
+ * Security Routes
+ * Transaction PIN and device trust management; all routes require authentication
+ */
+
+// Rate limiting for PIN checks (the lockout is the real guard, this slows scripted guessing)
+const pinRateLimit = rateLimiter.createLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: process.env.NODE_ENV === 'test' ? 1000 : 20,
+  keyGenerator: (req) => `security_pin:${req.user?.id || req.ip}`,
+  message: {
+    status: 'ERROR',
+    message: 'Too many PIN requests. Please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  }
+});
+
+router.use(authenticateToken);
+
+// GET /api/v1/security/pin - Transaction PIN status
+router.get('/pin', securityController.getPinStatus);
+
+// POST /api/v1/security/pin - Set the transaction PIN
+router.post('/pin', pinRateLimit, securityController.setPin);
+
+// PUT /api/v1/security/pin - Change the transaction PIN
+router.put('/pin', pinRateLimit, securityController.changePin);
+
+// POST /api/v1/security/pin/verify - Verify the PIN for the current session
+router.post('/pin/verify', pinRateLimit, securityController.verifyPin);
+
+// GET /api/v1/security/devices - Known devices and their trust state
+router.get('/devices', securityController.getDevices);
+
+// PUT /api/v1/security/devices/:id/trust - Mark a device trusted or untrusted
+router.put('/devices/:id/trust', securityController.setDeviceTrust);
+
+export default router;
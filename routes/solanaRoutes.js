@@ -2,22 +2,92 @@ import express from 'express';
 import solanaController from '../controllers/solanaController.js';
 import { authenticateToken } from '../middleware/authMiddleware.js';
 import rateLimitMiddleware from '../middleware/rateLimiter.js';
+import idempotency from '../middleware/idempotency.js';
+import { requireTransactionPin } from '../middleware/transactionPin.js';
+import { requireTrustedDeviceForHighValue } from '../middleware/deviceTrust.js';
 
 const router = express.Router();
 
+// ===============================
+// 🪙 SPL TOKEN ROUTES
+// Tokens come from supported_assets rows with a solana_mint_address
+// ===============================
+
+/**
+ * 📋 List SPL tokens available for transfer
+ * GET /api/solana/tokens
+ */
+router.get('/tokens',
+  authenticateToken,
+  rateLimitMiddleware.createLimiter({ windowMs: 60 * 1000, max: 60 }), // 60 requests per minute
+  solanaController.listTokens
+);
+
+/**
+ * 🚀 Prepare token transfer operation
+ * POST /api/solana/tokens/:symbol/transfer/prepare
+ * Body: { fromWallet, toWallet, amount }
+ * Headers: Idempotency-Key (optional) - retries with the same key replay the first response
+ * Requires a verified transaction PIN on the session when the user has it enabled
+ */
+router.post('/tokens/:symbol/transfer/prepare',
+  authenticateToken,
+  rateLimitMiddleware.createLimiter({ windowMs: 60 * 1000, max: 10 }), // 10 requests per minute
+  requireTransactionPin,
+  requireTrustedDeviceForHighValue,
+  idempotency('solana:token_prepare'),
+  solanaController.prepareTokenTransfer
+);
+
+/**
+ * ✅ Complete token transfer operation
+ * POST /api/solana/tokens/:symbol/transfer/complete
+ * Body: { serializedTransaction, userSignature, transactionId }
+ */
+router.post('/tokens/:symbol/transfer/complete',
+  authenticateToken,
+  rateLimitMiddleware.createLimiter({ windowMs: 60 * 1000, max: 10 }), // 10 requests per minute
+  solanaController.completeTokenTransfer
+);
+
+/**
+ * 💰 Check user's token balance
+ * GET /api/solana/tokens/:symbol/balance/:walletAddress
+ */
+router.get('/tokens/:symbol/balance/:walletAddress',
+  authenticateToken,
+  rateLimitMiddleware.createLimiter({ windowMs: 60 * 1000, max: 30 }), // 30 requests per minute
+  solanaController.checkTokenBalance
+);
+
+/**
+ * 📊 Estimate fees for a token transfer
+ * GET /api/solana/tokens/:symbol/estimate-fee?toWallet={address}
+ */
+router.get('/tokens/:symbol/estimate-fee',
+  authenticateToken,
+  rateLimitMiddleware.createLimiter({ windowMs: 60 * 1000, max: 60 }), // 60 requests per minute
+  solanaController.estimateTransactionFee
+);
+
 // ===============================
 // 🚀 SOLANA USDT TRANSFER ROUTES
+// Aliases of the token routes with symbol USDT
 // ===============================
 
 /**
  * 🚀 Prepare USDT transfer operation
  * POST /api/solana/usdt/prepare
  * Body: { fromWallet, toWallet, amount }
+ * Headers: Idempotency-Key (optional) - retries with the same key replay the first response
  */
 router.post('/usdt/prepare',
   authenticateToken,
   rateLimitMiddleware.createLimiter({ windowMs: 60 * 1000, max: 10 }), // 10 requests per minute
-  solanaController.prepareUSDTTransfer
+  requireTransactionPin,
+  requireTrustedDeviceForHighValue,
+  idempotency('solana:usdt_prepare'),
+  solanaController.prepareTokenTransfer
 );
 
 /**
@@ -28,17 +98,21 @@ router.post('/usdt/prepare',
 router.post('/usdt/complete',
   authenticateToken,
   rateLimitMiddleware.createLimiter({ windowMs: 60 * 1000, max: 10 }), // 10 requests per minute
-  solanaController.completeUSDTTransfer
+  solanaController.completeTokenTransfer
 );
 
 /**
  * 🎯 Simple USDT send (for testing only)
  * POST /api/solana/usdt/send-simple
  * Body: { fromWallet, toWallet, amount, userPrivateKey }
+ * Headers: Idempotency-Key (optional)
  */
 router.post('/usdt/send-simple',
   authenticateToken,
   rateLimitMiddleware.createLimiter({ windowMs: 60 * 1000, max: 5 }), // 5 requests per minute
+  requireTransactionPin,
+  requireTrustedDeviceForHighValue,
+  idempotency('solana:usdt_send_simple'),
   solanaController.sendUSDTSimple
 );
 
@@ -53,7 +127,7 @@ router.post('/usdt/send-simple',
 router.get('/usdt/balance/:walletAddress',
   authenticateToken,
   rateLimitMiddleware.createLimiter({ windowMs: 60 * 1000, max: 30 }), // 30 requests per minute
-  solanaController.checkUSDTBalance
+  solanaController.checkTokenBalance
 );
 
 /**
@@ -68,7 +142,7 @@ router.get('/fee-payer/balance',
 
 /**
  * 📊 Estimate transaction fees
- * GET /api/solana/estimate-fee
+ * GET /api/solana/estimate-fee?token={symbol}&toWallet={address}
  */
 router.get('/estimate-fee',
   authenticateToken,
@@ -106,15 +180,55 @@ router.get('/transaction/:signature',
  */
 router.get('/docs', (req, res) => {
   const docs = {
-    title: '🚀 Solana USDT Transfer API',
-    description: 'API for sending USDT on Solana network with fee payment from main wallet',
+    title: '🚀 Solana Token Transfer API',
+    description: 'API for sending SPL tokens (USDT, USDC, ...) on Solana network with fee payment from main wallet',
     version: '1.0.0',
     baseUrl: '/api/solana',
     
     endpoints: {
+      tokens: {
+        'GET /tokens': {
+          description: 'List SPL tokens available for transfer',
+          response: 'Token symbols with mint address and decimals'
+        },
+
+        'POST /tokens/:symbol/transfer/prepare': {
+          description: 'Prepare a transfer of any supported SPL token',
+          params: { symbol: 'Token symbol (e.g. USDT, USDC)' },
+          body: {
+            fromWallet: 'string - Sender wallet address',
+            toWallet: 'string - Receiver wallet address',
+            amount: 'number - Amount in token units'
+          },
+          response: 'Transaction ready for signing'
+        },
+
+        'POST /tokens/:symbol/transfer/complete': {
+          description: 'Complete a token transfer',
+          body: {
+            serializedTransaction: 'string - Serialized transaction',
+            userSignature: 'object - User signature',
+            transactionId: 'string - Transaction ID'
+          },
+          response: 'Transfer result with signature'
+        },
+
+        'GET /tokens/:symbol/balance/:walletAddress': {
+          description: 'Check token balance',
+          params: { symbol: 'Token symbol', walletAddress: 'Wallet address' },
+          response: 'Token balance and account information'
+        },
+
+        'GET /tokens/:symbol/estimate-fee': {
+          description: 'Estimate fees for a token transfer',
+          query: { toWallet: 'Receiver wallet address (optional) - checks whether a token account must be created' },
+          response: 'Fee estimation in SOL'
+        }
+      },
+
       transfers: {
         'POST /usdt/prepare': {
-          description: 'Prepare USDT transfer operation',
+          description: 'Prepare USDT transfer operation (alias of /tokens/USDT/transfer/prepare)',
           body: {
             fromWallet: 'string - Sender wallet address',
             toWallet: 'string - Receiver wallet address',
@@ -124,7 +238,7 @@ router.get('/docs', (req, res) => {
         },
         
         'POST /usdt/complete': {
-          description: 'Complete USDT transfer operation',
+          description: 'Complete USDT transfer operation (alias of /tokens/USDT/transfer/complete)',
           body: {
             serializedTransaction: 'string - Serialized transaction',
             userSignature: 'object - User signature',
@@ -147,7 +261,7 @@ router.get('/docs', (req, res) => {
       
       balances: {
         'GET /usdt/balance/:walletAddress': {
-          description: 'Check USDT balance',
+          description: 'Check USDT balance (alias of /tokens/USDT/balance/:walletAddress)',
           params: { walletAddress: 'Wallet address' },
           response: 'USDT balance and account information'
         },
@@ -161,6 +275,7 @@ router.get('/docs', (req, res) => {
       utilities: {
         'GET /estimate-fee': {
           description: 'Estimate transaction fees',
+          query: { token: 'Token symbol (optional)', toWallet: 'Receiver wallet address (optional)' },
           response: 'Fee estimation in SOL'
         },
         
@@ -178,6 +293,7 @@ router.get('/docs', (req, res) => {
     },
     
     authentication: 'Bearer Token required for all requests',
+    transactionPin: 'Transfers (prepare, send-simple) require POST /api/v1/security/pin/verify within the last 5 minutes when the user has enabled a transaction PIN',
     
     rateLimits: {
       'Transfer operations': '10 requests/minute',
@@ -2,6 +2,9 @@ import express from 'express';
 import transactionController from '../controllers/transactionController.js';
 import { authenticateToken } from '../middleware/authMiddleware.js';
 import rateLimiter from '../middleware/rateLimiter.js';
+import idempotency from '../middleware/idempotency.js';
+import { requireTransactionPin } from '../middleware/transactionPin.js';
+import { requireTrustedDeviceForHighValue } from '../middleware/deviceTrust.js';
 
 const router = express.Router();
 
@@ -64,10 +67,14 @@ router.get('/',
   transactionController.getTransactions
 );
 
-// POST /api/v1/transactions - Create a new transaction
+// POST /api/v1/transactions - Create a new transaction (supports Idempotency-Key header, requires a verified transaction PIN when enabled
+// and for high-value amounts from a new untrusted device)
 router.post('/',
   authenticateToken,
   transactionWriteRateLimit,
+  requireTransactionPin,
+  requireTrustedDeviceForHighValue,
+  idempotency('transactions:create'),
   transactionController.createTransaction
 );
 
@@ -82,7 +89,7 @@ router.get('/:id',
   transactionController.getTransactionById
 );
 
-// PATCH /api/v1/transactions/{id}/status - Update transaction status
+// PATCH /api/v1/transactions/{id}/status - Cancel the user's own pending transaction ({ status: 'cancelled' })
 router.patch('/:id/status',
   authenticateToken,
   transactionWriteRateLimit,
@@ -0,0 +1,39 @@
+import express from 'express';
+import transferController from '../controllers/transferController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+import rateLimiter from '../middleware/rateLimiter.js';
+import idempotency from '../middleware/idempotency.js';
+import { requireTransactionPin } from '../middleware/transactionPin.js';
+import { requireTrustedDeviceForHighValue } from '../middleware/deviceTrust.js';
+
+const router = express.Router();
+
+/**
+ * Transfer Routes
+ * All routes require authentication
+ */
+
+// Rate limiting for sending transfers (same budget as transaction writes)
+const transferWriteRateLimit = rateLimiter.createLimiter({
+  windowMs: 60 * 1000, // 1 minute
+  max: process.env.NODE_ENV === 'test' ? 1000 : 30, // Higher limit for tests
+  keyGenerator: (req) => `transfers_write:${req.user?.id || req.ip}`,
+  message: {
+    status: 'ERROR',
+    message: 'Too many transfer requests. Please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  }
+});
+
+// POST /api/v1/transfers/p2p - Send money to a contact, phone number or user ID (supports Idempotency-Key header,
+// requires a verified transaction PIN when enabled and for high-value amounts from a new untrusted device)
+router.post('/p2p',
+  authenticateToken,
+  transferWriteRateLimit,
+  requireTransactionPin,
+  requireTrustedDeviceForHighValue,
+  idempotency('transfers:p2p'),
+  transferController.sendP2P
+);
+
+export default router;
@@ -3,9 +3,35 @@ import { body, param, query, validationResult } from 'express-validator';
 import walletController from '../controllers/walletController.js';
 import { authenticateToken } from '../middleware/authMiddleware.js';
 import BaseResponse from '../utils/baseResponse.js';
+import rateLimiter from '../middleware/rateLimiter.js';
+import { RECOVERY_CHANNELS } from '../constants/walletRecoveryConstants.js';
 
 const router = express.Router();
 
+// Rate limiting for recovery link requests (per user)
+const recoveryLinkRateLimit = rateLimiter.createLimiter({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: process.env.NODE_ENV === 'test' ? 1000 : 3,
+  keyGenerator: (req) => `wallet_recovery_link:${req.user?.id || req.ip}`,
+  message: {
+    status: 'ERROR',
+    message: 'Too many recovery link requests. Please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  }
+});
+
+// Rate limiting for recovery token verification (per IP, slows down guessing)
+const recoveryVerifyRateLimit = rateLimiter.createLimiter({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: process.env.NODE_ENV === 'test' ? 1000 : 10,
+  keyGenerator: (req) => `wallet_recovery_verify:${req.ip}`,
+  message: {
+    status: 'ERROR',
+    message: 'Too many recovery verification attempts. Please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  }
+});
+
 /**
  * Middleware to
  */
@@ -59,6 +85,7 @@ router.get('/primary',
  * POST /api/wallets/recovery/verify
  */
 router.post('/recovery/verify',
+  recoveryVerifyRateLimit,
   [
     body('token')
       .notEmpty()
@@ -180,15 +207,21 @@ router.post('/:walletId/backup-methods',
 );
 
 /**
- * 🔗 Create recovery link
+ * 🔗 Create recovery link (sent to the user's verified email or WhatsApp)
  * POST /api/wallets/:walletId/recovery-link
+ * Body: { channel: 'email' | 'whatsapp' } (optional, defaults to email)
  */
 router.post('/:walletId/recovery-link',
   authenticateToken,
+  recoveryLinkRateLimit,
   [
     param('walletId')
       .isUUID()
-      .withMessage('Invalid wallet ID format')
+      .withMessage('Invalid wallet ID format'),
+    body('channel')
+      .optional()
+      .isIn(Object.values(RECOVERY_CHANNELS))
+      .withMessage('Invalid recovery channel')
   ],
   handleValidationErrors,
   walletController.generateRecoveryLink
@@ -0,0 +1,48 @@
+import express from 'express';
+import webhookController from '../controllers/webhookController.js';
+import { authenticateToken } from '../middleware/authMiddleware.js';
+import rateLimiter from '../middleware/rateLimiter.js';
+
+const router = express.Router();
+
+/**
+ * Merchant Webhook Routes
+ * All routes require authentication; merchants only see their own endpoints
+ */
+
+// Rate limiting for webhook configuration changes and redeliveries
+const webhookWriteRateLimit = rateLimiter.createLimiter({
+  windowMs: 60 * 1000, // 1 minute
+  max: process.env.NODE_ENV === 'test' ? 1000 : 20, // Higher limit for tests
+  keyGenerator: (req) => `webhooks_write:${req.user?.id || req.ip}`,
+  message: {
+    status: 'ERROR',
+    message: 'Too many webhook operations. Please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  }
+});
+
+router.use(authenticateToken);
+
+// GET /api/v1/webhooks - List webhook endpoints
+router.get('/', webhookController.listEndpoints);
+
+// POST /api/v1/webhooks - Register webhook endpoint
+router.post('/', webhookWriteRateLimit, webhookController.createEndpoint);
+
+// POST /api/v1/webhooks/deliveries/:deliveryId/redeliver - Manually redeliver
+router.post('/deliveries/:deliveryId/redeliver', webhookWriteRateLimit, webhookController.redeliver);
+
+// GET /api/v1/webhooks/:endpointId - Get webhook endpoint
+router.get('/:endpointId', webhookController.getEndpoint);
+
+// PATCH /api/v1/webhooks/:endpointId - Update webhook endpoint
+router.patch('/:endpointId', webhookWriteRateLimit, webhookController.updateEndpoint);
+
+// DELETE /api/v1/webhooks/:endpointId - Delete webhook endpoint
+router.delete('/:endpointId', webhookWriteRateLimit, webhookController.deleteEndpoint);
+
+// GET /api/v1/webhooks/:endpointId/deliveries - Delivery log
+router.get('/:endpointId/deliveries', webhookController.getDeliveries);
+
+export default router;
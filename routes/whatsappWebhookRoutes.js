@@ -0,0 +1,18 @@
+import express from 'express';
+import whatsappWebhookController from '../controllers/whatsappWebhookController.js';
+
+const router = express.Router();
+
+/**
+ * WhatsApp Provider Callbacks
+ * Called by the WhatsApp Cloud API, not by app clients; requests are
+ * authenticated by the verify token (GET) and the X-Hub-Signature-256 header (POST)
+ */
+
+// GET /api/v1/whatsapp/webhook - Subscription handshake
+router.get('/webhook', whatsappWebhookController.verifySubscription);
+
+// POST /api/v1/whatsapp/webhook - Message delivery status updates
+router.post('/webhook', whatsappWebhookController.receiveStatus);
+
+export default router;
@@ -1,6 +1,7 @@
 import { z } from 'zod';
 import { 
   SYNC_LIMITS, 
+  SYNC_TOKEN, 
   QUERY_LIMITS, 
   BULK_LIMITS, 
   VALIDATION_PATTERNS, 
@@ -119,6 +120,44 @@ export const syncSecure = z.object({
   batchSize
 });
 
+/**
+ * SHA-256 phone hash as sent by the client
+ */
+const phoneHash = z.string()
+  .length(64, 'Phone hash must be exactly 64 characters (SHA-256)')
+  .regex(/^[a-f0-9]{64}$/, 'Invalid hash format - must be lowercase hex');
+
+/**
+ * Schema for delta contact syncing
+ * Sends only the hashes added or removed since the sync token returned by the previous sync
+ */
+export const syncDelta = z.object({
+  syncToken: z.string()
+    .min(1, 'Sync token is required')
+    .max(SYNC_TOKEN.MAX_LENGTH, 'Invalid sync token'),
+
+  addedHashes: z.array(phoneHash).default([]),
+
+  removedHashes: z.array(phoneHash).default([]),
+
+  deviceContactsCount: z.number()
+    .int()
+    .min(0, ERROR_MESSAGES.SYNC.DEVICE_COUNT_POSITIVE),
+
+  hashingMethod: z.enum(['SHA256'], {
+    errorMap: () => ({ message: 'Only SHA256 hashing method is supported' })
+  }),
+
+  timestamp: z.string().datetime({
+    message: 'Valid ISO datetime string required'
+  }),
+
+  batchSize
+}).refine(
+  data => data.addedHashes.length + data.removedHashes.length <= SYNC_LIMITS.MAX_DELTA_CHANGES_PER_SYNC,
+  { message: ERROR_MESSAGES.SYNC.TOO_MANY_DELTA_CHANGES, path: ['addedHashes'] }
+);
+
 /**
  * Schema for estimating sync performance
  */
@@ -216,6 +255,7 @@ export const bulkInsert = z.object({
 export const contactSyncSchemas = {
   sync: syncContacts,        // Legacy - insecure
   syncSecure: syncSecure,    // Recommended - secure
+  syncDelta: syncDelta,      // Changes since the last sync token
   estimate: estimateSync,
   statistics: syncStatistics
 };
@@ -6,6 +6,11 @@ import morgan from 'morgan';
 // Import routes
 import apiRoutes from './routes/index.js';
 import BaseResponse, { createSuccessResponse, createErrorResponse } from './utils/baseResponse.js';
+import SolanaConfirmationWorker from './services/solanaConfirmationWorker.js';
+import NotificationDigestWorker from './services/notificationDigestWorker.js';
+import ScheduledTransferWorker from './services/scheduledTransferWorker.js';
+import solanaService from './services/solanaService.js';
+import webhookService from './services/webhookService.js';
 
 // Import Enhanced logging system
 import logger from './utils/logger.js';
@@ -27,7 +32,11 @@ app.use(httpLogger); // HTTP request/response logging
 app.use(detailedLoggingMiddleware()); // Detailed request logging
 app.use(securityLoggingMiddleware); // Security monitoring
 
-app.use(express.json({ limit: '10mb' })); // Parse JSON bodies
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw bytes for provider callbacks that sign the body (WhatsApp status webhook)
+  verify: (req, res, buf) => { req.rawBody = buf; }
+})); // Parse JSON bodies
 app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
 
 // Root route
@@ -131,6 +140,25 @@ app.listen(PORT, () => {
   console.log('   ⚡ Performance tracking');
   console.log('   🔄 Daily log rotation');
   console.log('   📡 Loki integration disabled');
+
+  // Background follow-up of sent Solana transactions
+  if (process.env.SOLANA_CONFIRMATION_WORKER !== 'false') {
+    new SolanaConfirmationWorker({ connection: solanaService.connection }).start();
+  }
+
+  if (process.env.WEBHOOK_RETRY_WORKER !== 'false') {
+    webhookService.startRetryWorker();
+  }
+
+  // Digests of notifications deferred by quiet hours
+  if (process.env.NOTIFICATION_DIGEST_WORKER !== 'false') {
+    new NotificationDigestWorker().start();
+  }
+
+  // Reminders and runs of scheduled transfers
+  if (process.env.SCHEDULED_TRANSFER_WORKER !== 'false') {
+    new ScheduledTransferWorker().start();
+  }
 });
 
 export default app; 
\ No newline at end of file
@@ -1,4 +1,4 @@
-import { supabase } from '../database/supabase.js';
+import { supabase } from '../database/index.js';
 import { v4 as uuidv4 } from 'uuid';
 
 // Activity types enum matching database
@@ -1,29 +1,77 @@
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
 import { v4 as uuidv4 } from 'uuid';
+import AdminUser from '../models/AdminUser.js';
+import { ADMIN_ROLES, ROLE_PERMISSIONS, ADMIN_ACCOUNT_LIMITS } from '../constants/adminConstants.js';
 
 class AdminAuthService {
   constructor() {
-    // In production, these should be stored in a database
-    // For now, we'll use environment variables or hardcoded values
-    this.adminUsers = [
-      {
-        id: 'admin-001',
-        username: process.env.ADMIN_USERNAME || 'admin',
-        password: process.env.ADMIN_PASSWORD_HASH || '$2a$10$92IXUNpkjO0rOQ5byMi.Ye4oKoEa3Ro9llC/.og/at2.uheWG/igi', // 'password'
-        email: process.env.ADMIN_EMAIL || 'admin@7awel.com',
-        role: 'admin',
-        permissions: ['read', 'write', 'delete', 'admin'],
-        isActive: true,
-        lastLogin: null
-      }
-    ];
-    
+    // Admin accounts live in the admin_users table. ADMIN_USERNAME / ADMIN_PASSWORD_HASH
+    // are only used to seed the first super admin when the table is empty.
+    this.bootstrapChecked = false;
+
     this.activeSessions = new Map(); // Store active admin sessions
     this.JWT_SECRET = process.env.JWT_SECRET || 'your-admin-secret-key';
     this.JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
   }
 
+  /**
+   * Get the permissions granted to a role
+   * @param {string} role - Admin role
+   * @returns {Array<string>} Permissions
+   */
+  getPermissionsForRole(role) {
+    return ROLE_PERMISSIONS[role] || [];
+  }
+
+  /**
+   * Shape an admin_users row for API responses
+   * @param {Object} admin - admin_users row
+   * @returns {Object} Admin profile without password hash
+   */
+  toAdminProfile(admin) {
+    return {
+      id: admin.id,
+      username: admin.username,
+      email: admin.email,
+      role: admin.role,
+      permissions: this.getPermissionsForRole(admin.role),
+      isActive: admin.is_active,
+      lastLogin: admin.last_login_at,
+      createdAt: admin.created_at
+    };
+  }
+
+  /**
+   * Seed the first super admin from environment variables when no admins exist yet
+   */
+  async ensureBootstrapAdmin() {
+    if (this.bootstrapChecked) {
+      return;
+    }
+
+    const username = process.env.ADMIN_USERNAME;
+    const passwordHash = process.env.ADMIN_PASSWORD_HASH;
+
+    if (!username || !passwordHash) {
+      this.bootstrapChecked = true;
+      return;
+    }
+
+    const existingAdmins = await AdminUser.count();
+    if (existingAdmins === 0) {
+      await AdminUser.create({
+        username,
+        email: process.env.ADMIN_EMAIL || 'admin@7awel.com',
+        password_hash: passwordHash,
+        role: ADMIN_ROLES.SUPER_ADMIN
+      });
+      console.log(`✅ Seeded bootstrap super admin: ${username}`);
+    }
+
+    this.bootstrapChecked = true;
+  }
+
   /**
    * Authenticate admin with username and password
    * @param {string} username - Admin username
@@ -32,28 +80,28 @@ class AdminAuthService {
    */
   async login(username, password) {
     try {
+      await this.ensureBootstrapAdmin();
+
       // Find admin user
-      const admin = this.adminUsers.find(user => 
-        user.username === username && user.isActive
-      );
+      const admin = await AdminUser.findByUsernameWithPassword(username);
 
-      if (!admin) {
+      if (!admin || !admin.is_active) {
         throw new Error('Invalid credentials');
       }
 
       // Verify password
-      const isValidPassword = await bcrypt.compare(password, admin.password);
+      const isValidPassword = await bcrypt.compare(password, admin.password_hash);
       if (!isValidPassword) {
         throw new Error('Invalid credentials');
       }
 
-      // Generate JWT token
+      // Generate JWT token. Permissions are not embedded; they are derived
+      // from the current role on every request so role changes apply immediately.
       const tokenPayload = {
         id: admin.id,
         username: admin.username,
         email: admin.email,
         role: admin.role,
-        permissions: admin.permissions,
         type: 'admin' // Important: distinguish from user tokens
       };
 
@@ -76,7 +124,7 @@ class AdminAuthService {
       this.activeSessions.set(sessionId, session);
 
       // Update last login
-      admin.lastLogin = new Date();
+      await AdminUser.recordLogin(admin.id);
 
       console.log(`✅ Admin login successful: ${username}`);
 
@@ -87,7 +135,7 @@ class AdminAuthService {
           username: admin.username,
           email: admin.email,
           role: admin.role,
-          permissions: admin.permissions
+          permissions: this.getPermissionsForRole(admin.role)
         },
         token: token,
         sessionId: sessionId,
@@ -110,12 +158,10 @@ class AdminAuthService {
         throw new Error('Invalid token type');
       }
 
-      // Find admin user
-      const admin = this.adminUsers.find(user => 
-        user.id === decoded.id && user.isActive
-      );
+      // Find admin user; disabled accounts lose access immediately
+      const admin = await AdminUser.findById(decoded.id);
 
-      if (!admin) {
+      if (!admin || !admin.is_active) {
         throw new Error('Admin not found or inactive');
       }
 
@@ -126,7 +172,7 @@ class AdminAuthService {
           username: admin.username,
           email: admin.email,
           role: admin.role,
-          permissions: admin.permissions
+          permissions: this.getPermissionsForRole(admin.role)
         },
         decoded: decoded
       };
@@ -156,47 +202,48 @@ class AdminAuthService {
 
   async getProfile(adminId) {
     try {
-      const admin = this.adminUsers.find(user => user.id === adminId);
+      const admin = await AdminUser.findById(adminId);
       if (!admin) {
         throw new Error('Admin not found');
       }
 
-      return {
-        id: admin.id,
-        username: admin.username,
-        email: admin.email,
-        role: admin.role,
-        permissions: admin.permissions,
-        lastLogin: admin.lastLogin
-      };
+      return this.toAdminProfile(admin);
     } catch (error) {
       throw new Error(`Failed to get profile: ${error.message}`);
     }
   }
 
 
+  /**
+   * Check whether an admin's role grants a permission
+   * @param {Object} admin - Admin with a role
+   * @param {string} permission - Permission to check
+   * @returns {boolean}
+   */
   hasPermission(admin, permission) {
-    return admin.permissions && admin.permissions.includes(permission);
+    if (!admin || !admin.role) {
+      return false;
+    }
+    return this.getPermissionsForRole(admin.role).includes(permission);
   }
 
  
   async changePassword(adminId, currentPassword, newPassword) {
     try {
-      const admin = this.adminUsers.find(user => user.id === adminId);
+      const admin = await AdminUser.findByIdWithPassword(adminId);
       if (!admin) {
         throw new Error('Admin not found');
       }
 
       // Verify current password
-      const isValidPassword = await bcrypt.compare(currentPassword, admin.password);
+      const isValidPassword = await bcrypt.compare(currentPassword, admin.password_hash);
       if (!isValidPassword) {
         throw new Error('Current password is incorrect');
       }
 
       // Hash new password
-      const saltRounds = 10;
-      const hashedPassword = await bcrypt.hash(newPassword, saltRounds);
-      admin.password = hashedPassword;
+      const hashedPassword = await bcrypt.hash(newPassword, ADMIN_ACCOUNT_LIMITS.BCRYPT_SALT_ROUNDS);
+      await AdminUser.updatePassword(admin.id, hashedPassword);
 
       console.log(`✅ Password changed for admin: ${admin.username}`);
       return true;
@@ -226,55 +273,140 @@ class AdminAuthService {
   }
 
   /**
-   * Create admin user (for initial setup)
+   * Create admin user
    * @param {Object} adminData - Admin user data
+   * @param {string|null} createdBy - ID of the admin creating the account
    * @returns {Object} Created admin
    */
-  async createAdmin(adminData) {
+  async createAdmin(adminData, createdBy = null) {
     try {
-      const { username, password, email } = adminData;
+      const { username, password, email, role = ADMIN_ROLES.ADMIN } = adminData;
 
-      // Check if admin already exists
-      const existingAdmin = this.adminUsers.find(user => 
-        user.username === username || user.email === email
-      );
-
-      if (existingAdmin) {
-        throw new Error('Admin with this username or email already exists');
+      if (!Object.values(ADMIN_ROLES).includes(role)) {
+        throw new Error(`Invalid admin role: ${role}`);
       }
 
       // Hash password
-      const saltRounds = 10;
-      const hashedPassword = await bcrypt.hash(password, saltRounds);
-
-      // Create admin
-      const newAdmin = {
-        id: `admin-${Date.now()}`,
-        username: username,
-        password: hashedPassword,
-        email: email,
-        role: 'admin',
-        permissions: ['read', 'write', 'delete', 'admin'],
-        isActive: true,
-        lastLogin: null
-      };
+      const hashedPassword = await bcrypt.hash(password, ADMIN_ACCOUNT_LIMITS.BCRYPT_SALT_ROUNDS);
+
+      // Create admin; unique constraints reject duplicate usernames and emails
+      const newAdmin = await AdminUser.create({
+        username,
+        email,
+        password_hash: hashedPassword,
+        role,
+        created_by: createdBy
+      });
 
-      this.adminUsers.push(newAdmin);
+      console.log(`✅ Created new admin: ${username} (${role})`);
 
-      console.log(`✅ Created new admin: ${username}`);
-      
-      return {
-        id: newAdmin.id,
-        username: newAdmin.username,
-        email: newAdmin.email,
-        role: newAdmin.role,
-        permissions: newAdmin.permissions
-      };
+      return this.toAdminProfile(newAdmin);
 
     } catch (error) {
       throw new Error(`Failed to create admin: ${error.message}`);
     }
   }
+
+  /**
+   * List admin accounts
+   * @param {Object} options - Filters (role, is_active) and pagination
+   * @returns {Array} Admin profiles
+   */
+  async listAdmins(options = {}) {
+    const admins = await AdminUser.list(options);
+    return admins.map(admin => this.toAdminProfile(admin));
+  }
+
+  /**
+   * Change another admin's role
+   * @param {string} actorId - Admin performing the change
+   * @param {string} adminId - Admin being changed
+   * @param {string} role - New role
+   * @returns {Object} Updated admin profile
+   */
+  async updateAdminRole(actorId, adminId, role) {
+    if (!Object.values(ADMIN_ROLES).includes(role)) {
+      throw new Error(`Invalid admin role: ${role}`);
+    }
+
+    if (actorId === adminId) {
+      throw new Error('You cannot change your own role');
+    }
+
+    const admin = await AdminUser.findById(adminId);
+    if (!admin) {
+      throw new Error('Admin not found');
+    }
+
+    if (admin.role === ADMIN_ROLES.SUPER_ADMIN && role !== ADMIN_ROLES.SUPER_ADMIN) {
+      await this.assertNotLastSuperAdmin(admin);
+    }
+
+    const updated = await AdminUser.updateRole(adminId, role);
+    console.log(`🔑 Admin role changed: ${admin.username} ${admin.role} -> ${role}`);
+
+    return this.toAdminProfile(updated);
+  }
+
+  /**
+   * Enable or disable an admin account
+   * @param {string} actorId - Admin performing the change
+   * @param {string} adminId - Admin being changed
+   * @param {boolean} isActive - Whether the account should be active
+   * @returns {Object} Updated admin profile
+   */
+  async setAdminActive(actorId, adminId, isActive) {
+    if (actorId === adminId && !isActive) {
+      throw new Error('You cannot deactivate your own account');
+    }
+
+    const admin = await AdminUser.findById(adminId);
+    if (!admin) {
+      throw new Error('Admin not found');
+    }
+
+    if (admin.is_active === isActive) {
+      return this.toAdminProfile(admin);
+    }
+
+    if (!isActive && admin.role === ADMIN_ROLES.SUPER_ADMIN) {
+      await this.assertNotLastSuperAdmin(admin);
+    }
+
+    const updated = await AdminUser.setActive(adminId, isActive);
+
+    // Drop in-memory sessions of a disabled admin
+    if (!isActive) {
+      for (const [sessionId, session] of this.activeSessions.entries()) {
+        if (session.adminId === adminId) {
+          this.activeSessions.delete(sessionId);
+        }
+      }
+    }
+
+    console.log(`${isActive ? '✅' : '⛔'} Admin ${isActive ? 'activated' : 'deactivated'}: ${admin.username}`);
+
+    return this.toAdminProfile(updated);
+  }
+
+  /**
+   * Prevent locking everyone out by removing the last active super admin
+   * @param {Object} admin - Super admin about to lose the role or be disabled
+   */
+  async assertNotLastSuperAdmin(admin) {
+    if (!admin.is_active) {
+      return;
+    }
+
+    const activeSuperAdmins = await AdminUser.count({
+      role: ADMIN_ROLES.SUPER_ADMIN,
+      is_active: true
+    });
+
+    if (activeSuperAdmins <= 1) {
+      throw new Error('At least one active super admin is required');
+    }
+  }
 }
 
 // Auto cleanup expired sessions every hour
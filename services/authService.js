@@ -1,24 +1,62 @@
 import stytchClient from '../config/stytch.js';
 import { v4 as uuidv4 } from 'uuid';
 import logger from '../utils/logger.js';
+import { createSessionStore, SESSION_NAMESPACES } from './authSessionStore.js';
+import sessionTokenService from './sessionTokenService.js';
+import SessionRegistryService from './sessionRegistryService.js';
+import DeviceTrustService from './deviceTrustService.js';
 
 class AuthService {
-  constructor() {
+  /**
+   * @param {Object} sessionStore - Auth session store (memory or Redis), see authSessionStore.js
+   */
+  constructor(sessionStore = createSessionStore()) {
     this.OTP_EXPIRY = 5 * 60; // 5 minutes in seconds
     this.MAX_OTP_ATTEMPTS = 5;
     this.OTP_RATE_LIMIT = 3; // 3 attempts per 5 minutes
 
-    // In-memory rate limiting (simple implementation)
-    this.rateLimitStore = new Map();
-    this.otpAttempts = new Map();
+    // Sequential auth sessions, phone change sessions and rate limits live here
+    // so in-flight OTP flows survive restarts and are shared across instances
+    this.sessionStore = sessionStore;
 
-    // Clean up rate limits every 5 minutes
+    // Clean up expired entries every 5 minutes
     setInterval(() => {
-      this.cleanupRateLimits();
-      this.cleanupAuthSessions();
+      this.cleanupRateLimits().catch(error => {
+        logger.logError('Auth cleanup failed', error);
+      });
     }, 5 * 60 * 1000);
   }
 
+  /**
+   * Load an auth flow session from the session store
+   * @param {string} namespace - SESSION_NAMESPACES value
+   * @param {string} sessionId - Session ID
+   * @returns {Object|null} Session data
+   */
+  async getAuthSession(namespace, sessionId) {
+    return this.sessionStore.get(namespace, sessionId);
+  }
+
+  /**
+   * Persist an auth flow session; it expires from the store at session.expiresAt
+   * @param {string} namespace - SESSION_NAMESPACES value
+   * @param {string} sessionId - Session ID
+   * @param {Object} session - Session data (must include expiresAt in ms)
+   */
+  async saveAuthSession(namespace, sessionId, session) {
+    const ttlMs = Math.max(session.expiresAt - Date.now(), 1);
+    await this.sessionStore.set(namespace, sessionId, session, ttlMs);
+  }
+
+  /**
+   * Remove an auth flow session from the session store
+   * @param {string} namespace - SESSION_NAMESPACES value
+   * @param {string} sessionId - Session ID
+   */
+  async deleteAuthSession(namespace, sessionId) {
+    await this.sessionStore.delete(namespace, sessionId);
+  }
+
   /**
    * Refresh Stytch session
    * @param {string} session_token - Stytch session token
@@ -69,42 +107,6 @@ class AuthService {
     }
   }
 
-  /**
-   * Extract user info from session JWT (for recovery of custom tokens)
-   * @param {string} session_jwt - Base64 encoded JWT with user info
-   * @returns {Object|null} Decoded user info or null
-   */
-  extractUserInfoFromJWT(session_jwt) {
-    try {
-      if (!session_jwt) return null;
-
-      const decoded = JSON.parse(Buffer.from(session_jwt, 'base64').toString());
-
-      // Validate required fields
-      if (!decoded.user_id || (!decoded.phone && !decoded.email)) {
-        logger.warn('Invalid JWT: Missing required fields', {
-          hasUserId: !!decoded.user_id,
-          hasPhone: !!decoded.phone,
-          hasEmail: !!decoded.email
-        });
-        return null;
-      }
-
-      logger.debug('JWT extracted successfully', {
-        userId: decoded.user_id,
-        hasPhone: !!decoded.phone,
-        hasEmail: !!decoded.email
-      });
-
-      return decoded;
-    } catch (error) {
-      logger.logError('Failed to extract user info from JWT', error, {
-        hasJWT: !!session_jwt
-      });
-      return null;
-    }
-  }
-
   /**
    * Validate Stytch session or custom verification session
    * @param {string} session_token - Stytch session token or custom verification token
@@ -130,7 +132,13 @@ class AuthService {
           logger.logAuth('Attempting to recover session from JWT', 'info', {
             hasJWT: !!session_jwt
           });
-          const jwtInfo = this.extractUserInfoFromJWT(session_jwt);
+          // Only a signed JWT issued for this exact token is accepted
+          const jwtInfo = await sessionTokenService.verifySession(session_token, session_jwt)
+            .then(({ claims }) => sessionTokenService.toUserInfo(claims))
+            .catch(error => {
+              logger.logAuth('Session JWT rejected', 'warn', { reason: error.message });
+              return null;
+            });
 
           if (jwtInfo) {
             // Store the recovered info
@@ -329,6 +337,11 @@ class AuthService {
    */
   async logout(session_token) {
     try {
+      const revoked = await SessionRegistryService.revokeByToken(session_token);
+      if (sessionTokenService.isCustomSessionToken(session_token)) {
+        return revoked;
+      }
+
       await stytchClient.sessions.revoke({
         session_token: session_token
       });
@@ -339,27 +352,13 @@ class AuthService {
   }
 
   /**
-   * Clean up expired rate limits and OTP attempts
+   * Clean up expired rate limits, auth flow sessions and custom sessions
    */
-  cleanupRateLimits() {
+  async cleanupRateLimits() {
     const now = Date.now();
-    let cleaned = 0;
-
-    // Clean rate limits
-    for (const [key, data] of this.rateLimitStore.entries()) {
-      if (now >= data.resetTime) {
-        this.rateLimitStore.delete(key);
-        cleaned++;
-      }
-    }
 
-    // Clean OTP attempts
-    for (const [key, data] of this.otpAttempts.entries()) {
-      if (now > data.expires) {
-        this.otpAttempts.delete(key);
-        cleaned++;
-      }
-    }
+    // Rate limits and auth flow sessions (Redis expires these on its own)
+    let cleaned = await this.sessionStore.cleanup();
 
     // Clean expired custom sessions
     if (this.customSessions) {
@@ -384,9 +383,9 @@ class AuthService {
    * @param {string} key - Rate limit key (phone number, user ID, etc.)
    * @returns {boolean} True if rate limited
    */
-  isRateLimited(key) {
+  async isRateLimited(key) {
     const now = Date.now();
-    const rateLimit = this.rateLimitStore.get(key);
+    const rateLimit = await this.sessionStore.getCounter(SESSION_NAMESPACES.RATE_LIMIT, key);
 
     if (!rateLimit) {
       return false;
@@ -394,7 +393,7 @@ class AuthService {
 
     // Check if rate limit window has expired
     if (now >= rateLimit.resetTime) {
-      this.rateLimitStore.delete(key);
+      await this.sessionStore.delete(SESSION_NAMESPACES.RATE_LIMIT, key);
       return false;
     }
 
@@ -406,22 +405,11 @@ class AuthService {
    * Update rate limit for a key
    * @param {string} key - Rate limit key
    */
-  updateRateLimit(key) {
-    const now = Date.now();
+  async updateRateLimit(key) {
     const windowMs = 5 * 60 * 1000; // 5 minutes
-    const existing = this.rateLimitStore.get(key);
-
-    if (existing && now < existing.resetTime) {
-      // Within same window, increment count
-      existing.count++;
-      this.rateLimitStore.set(key, existing);
-    } else {
-      // New window, reset count
-      this.rateLimitStore.set(key, {
-        count: 1,
-        resetTime: now + windowMs
-      });
-    }
+
+    // Starts a new window on first hit, otherwise increments within the current one
+    return this.sessionStore.increment(SESSION_NAMESPACES.RATE_LIMIT, key, windowMs);
   }
 
   async checkAvailability(medium, value) {
@@ -610,31 +598,6 @@ class AuthService {
     }
   }
 
-  /**
-   * Clean up expired authentication sessions
-   */
-  cleanupAuthSessions() {
-    const now = Date.now();
-
-    // Clean up sequential authentication sessions
-    if (this.sequentialAuthSessions) {
-      for (const [sessionId, session] of this.sequentialAuthSessions.entries()) {
-        if (now > session.expiresAt) {
-          this.sequentialAuthSessions.delete(sessionId);
-        }
-      }
-    }
-
-    // Clean up phone change sessions
-    if (this.phoneChangeSessions) {
-      for (const [sessionId, session] of this.phoneChangeSessions.entries()) {
-        if (now > session.expiresAt) {
-          this.phoneChangeSessions.delete(sessionId);
-        }
-      }
-    }
-  }
-
   // NEW: Sequential Authentication Flow Methods
 
   /**
@@ -649,7 +612,7 @@ class AuthService {
       });
 
       // Check rate limiting
-      if (this.isRateLimited(phoneNumber)) {
+      if (await this.isRateLimited(phoneNumber)) {
         throw new Error('Too many login attempts. Please try again later.');
       }
 
@@ -666,8 +629,7 @@ class AuthService {
       const expiresAt = new Date(Date.now() + (this.OTP_EXPIRY * 1000));
 
       // Store sequential auth session
-      this.sequentialAuthSessions = this.sequentialAuthSessions || new Map();
-      this.sequentialAuthSessions.set(sessionId, {
+      await this.saveAuthSession(SESSION_NAMESPACES.SEQUENTIAL_AUTH, sessionId, {
         sessionId,
         phoneNumber,
         phoneAvailable: phoneAvailability.available,
@@ -686,7 +648,7 @@ class AuthService {
       });
 
       // Update rate limiting
-      this.updateRateLimit(phoneNumber);
+      await this.updateRateLimit(phoneNumber);
 
       logger.logAuth('Phone login session created', 'info', {
         sessionId: sessionId
@@ -723,18 +685,15 @@ class AuthService {
         sessionId: sessionId
       });
 
-      // Initialize if not exists
-      this.sequentialAuthSessions = this.sequentialAuthSessions || new Map();
-
       // Get session
-      const session = this.sequentialAuthSessions.get(sessionId);
+      const session = await this.getAuthSession(SESSION_NAMESPACES.SEQUENTIAL_AUTH, sessionId);
       if (!session) {
         throw new Error('Invalid or expired session');
       }
 
       // Check session expiry
       if (Date.now() > session.expiresAt) {
-        this.sequentialAuthSessions.delete(sessionId);
+        await this.deleteAuthSession(SESSION_NAMESPACES.SEQUENTIAL_AUTH, sessionId);
         throw new Error('Session expired');
       }
 
@@ -745,7 +704,7 @@ class AuthService {
 
       // Check attempts
       if (session.phoneAttempts >= this.MAX_OTP_ATTEMPTS) {
-        this.sequentialAuthSessions.delete(sessionId);
+        await this.deleteAuthSession(SESSION_NAMESPACES.SEQUENTIAL_AUTH, sessionId);
         throw new Error('Maximum phone OTP attempts exceeded');
       }
 
@@ -773,7 +732,7 @@ class AuthService {
         session.phoneVerified = true;
         session.step = 'email_input';
         session.phoneAttempts = 0; // Reset attempts after success
-        this.sequentialAuthSessions.set(sessionId, session);
+        await this.saveAuthSession(SESSION_NAMESPACES.SEQUENTIAL_AUTH, sessionId, session);
 
         return {
           sessionId,
@@ -785,7 +744,7 @@ class AuthService {
       } catch (error) {
         // Increment attempts
         session.phoneAttempts++;
-        this.sequentialAuthSessions.set(sessionId, session);
+        await this.saveAuthSession(SESSION_NAMESPACES.SEQUENTIAL_AUTH, sessionId, session);
 
         throw new Error(`Phone OTP verification failed: ${error.message}`);
       }
@@ -812,18 +771,15 @@ class AuthService {
         email: email
       });
 
-      // Initialize if not exists
-      this.sequentialAuthSessions = this.sequentialAuthSessions || new Map();
-
       // Get session
-      const session = this.sequentialAuthSessions.get(sessionId);
+      const session = await this.getAuthSession(SESSION_NAMESPACES.SEQUENTIAL_AUTH, sessionId);
       if (!session) {
         throw new Error('Invalid or expired session');
       }
 
       // Check session expiry
       if (Date.now() > session.expiresAt) {
-        this.sequentialAuthSessions.delete(sessionId);
+        await this.deleteAuthSession(SESSION_NAMESPACES.SEQUENTIAL_AUTH, sessionId);
         throw new Error('Session expired');
       }
 
@@ -850,7 +806,7 @@ class AuthService {
       session.emailAvailable = emailAvailability.available;
       session.step = 'email_verification';
       session.stytchEmailId = emailResult.method_id; // Use method_id for authenticate
-      this.sequentialAuthSessions.set(sessionId, session);
+      await this.saveAuthSession(SESSION_NAMESPACES.SEQUENTIAL_AUTH, sessionId, session);
 
       logger.logAuth('Email OTP sent for session', 'info', {
         sessionId: sessionId
@@ -886,18 +842,15 @@ class AuthService {
         sessionId: sessionId
       });
 
-      // Initialize if not exists
-      this.sequentialAuthSessions = this.sequentialAuthSessions || new Map();
-
       // Get session
-      const session = this.sequentialAuthSessions.get(sessionId);
+      const session = await this.getAuthSession(SESSION_NAMESPACES.SEQUENTIAL_AUTH, sessionId);
       if (!session) {
         throw new Error('Invalid or expired session');
       }
 
       // Check session expiry
       if (Date.now() > session.expiresAt) {
-        this.sequentialAuthSessions.delete(sessionId);
+        await this.deleteAuthSession(SESSION_NAMESPACES.SEQUENTIAL_AUTH, sessionId);
         throw new Error('Session expired');
       }
 
@@ -913,7 +866,7 @@ class AuthService {
 
       // Check attempts
       if (session.emailAttempts >= this.MAX_OTP_ATTEMPTS) {
-        this.sequentialAuthSessions.delete(sessionId);
+        await this.deleteAuthSession(SESSION_NAMESPACES.SEQUENTIAL_AUTH, sessionId);
         throw new Error('Maximum email OTP attempts exceeded');
       }
 
@@ -936,7 +889,7 @@ class AuthService {
         session.emailVerified = true;
         session.step = 'ready_to_complete';
         session.stytchUser = emailResult.user;
-        this.sequentialAuthSessions.set(sessionId, session);
+        await this.saveAuthSession(SESSION_NAMESPACES.SEQUENTIAL_AUTH, sessionId, session);
 
         logger.logAuth('Email verification completed, ready for login completion', 'info');
 
@@ -951,7 +904,7 @@ class AuthService {
       } catch (error) {
         // Increment attempts
         session.emailAttempts++;
-        this.sequentialAuthSessions.set(sessionId, session);
+        await this.saveAuthSession(SESSION_NAMESPACES.SEQUENTIAL_AUTH, sessionId, session);
 
         throw new Error(`Email OTP verification failed: ${error.message}`);
       }
@@ -968,26 +921,24 @@ class AuthService {
   /**
    * Step 5: Complete login after both phone and email are verified
    * @param {string} sessionId - Session ID
+   * @param {Object} clientInfo - { deviceId, deviceName, ipAddress, userAgent } recorded in user_sessions
    * @returns {Object} complete login result with session token
    */
-  async completeLogin(sessionId) {
+  async completeLogin(sessionId, clientInfo = {}) {
     try {
       logger.logAuth('Completing login for session', 'info', {
         sessionId: sessionId
       });
 
-      // Initialize if not exists
-      this.sequentialAuthSessions = this.sequentialAuthSessions || new Map();
-
       // Get session
-      const session = this.sequentialAuthSessions.get(sessionId);
+      const session = await this.getAuthSession(SESSION_NAMESPACES.SEQUENTIAL_AUTH, sessionId);
       if (!session) {
         throw new Error('Invalid or expired session');
       }
 
       // Check session expiry
       if (Date.now() > session.expiresAt) {
-        this.sequentialAuthSessions.delete(sessionId);
+        await this.deleteAuthSession(SESSION_NAMESPACES.SEQUENTIAL_AUTH, sessionId);
         throw new Error('Session expired');
       }
 
@@ -1012,9 +963,9 @@ class AuthService {
 
         // For the current Stytch version, we need to use a different approach
         // Since sessions.create is not available, we'll use the existing user session
-        // or create a new authentication session
+        // or issue a custom session once the Supabase user exists (below)
         
-        let stytchSession;
+        let stytchSession = null;
         
         // Check if we already have a session token from the verification process
         if (session.stytchUser.session_token) {
@@ -1028,34 +979,8 @@ class AuthService {
               expires_at: new Date(Date.now() + (60 * 60 * 1000)).toISOString() // 1 hour
             }
           };
-        } else {
-          logger.logAuth('Creating custom session token', 'info');
-          // Create a new session using the user's existing session or create a custom one
-          // For now, we'll create a custom session since Stytch sessions.create is not available
-          const sessionToken = `stytch_session_${session.stytchUser.user_id}_${Date.now()}`;
-          const sessionJwt = Buffer.from(JSON.stringify({
-          user_id: session.stytchUser.user_id,
-            phone: session.phoneNumber,
-            email: session.email,
-            created_at: session.stytchUser.created_at,
-            status: session.stytchUser.status,
-            session_id: sessionToken,
-            verified_at: new Date().toISOString(),
-            expires_at: new Date(Date.now() + (60 * 60 * 1000)).toISOString() // 1 hour
-          })).toString('base64');
-          
-          stytchSession = {
-            session_token: sessionToken,
-            session_jwt: sessionJwt,
-            session: {
-              session_id: sessionToken,
-              expires_at: new Date(Date.now() + (60 * 60 * 1000)).toISOString()
-            }
-          };
         }
 
-        logger.logAuth('Stytch session created successfully', 'info');
-
         const stytchUser = session.stytchUser;
 
         // Create or get user in Supabase
@@ -1069,8 +994,49 @@ class AuthService {
           status: stytchUser.status
         });
 
+        if (!stytchSession) {
+          // Stytch sessions.create is not available in this SDK version, so issue
+          // our own session: an opaque token plus a signed JWT, tracked in user_sessions
+          logger.logAuth('Creating custom session token', 'info');
+          const customSession = await sessionTokenService.issueSession({
+            userId: supabaseUser.id,
+            user: {
+              id: stytchUser.user_id,
+              phoneNumber: session.phoneNumber,
+              email: session.email,
+              created_at: stytchUser.created_at,
+              status: stytchUser.status
+            },
+            ...clientInfo
+          });
+
+          stytchSession = {
+            session_token: customSession.sessionToken,
+            session_jwt: customSession.sessionJwt,
+            session: {
+              session_id: customSession.sessionToken,
+              expires_at: customSession.expiresAt
+            }
+          };
+        } else {
+          await SessionRegistryService.registerSession({
+            userId: supabaseUser.id,
+            sessionToken: stytchSession.session_token,
+            stytchSessionId: session.stytchUser.session_id || null,
+            expiresAt: stytchSession.session.expires_at,
+            ...clientInfo
+          });
+        }
+
+        logger.logAuth('Stytch session created successfully', 'info');
+
+        // A failed device lookup or alert must not block the login itself
+        await DeviceTrustService.recordLogin({ userId: supabaseUser.id, ...clientInfo }).catch(error => {
+          logger.logError('Failed to record login device', error, { userId: supabaseUser.id });
+        });
+
         // Clean up session
-        this.sequentialAuthSessions.delete(sessionId);
+        await this.deleteAuthSession(SESSION_NAMESPACES.SEQUENTIAL_AUTH, sessionId);
 
         logger.logAuth('Sequential login completed successfully', 'info');
 
@@ -1138,7 +1104,7 @@ class AuthService {
 
       // Check rate limiting for phone changes
       const rateLimitKey = `phone_change_${userId}`;
-      if (this.isRateLimited(rateLimitKey)) {
+      if (await this.isRateLimited(rateLimitKey)) {
         throw new Error('Too many phone change attempts. Please try again later.');
       }
 
@@ -1158,10 +1124,8 @@ class AuthService {
       const sessionId = `phone_change_${uuidv4()}`;
       const expiresAt = new Date(Date.now() + (this.OTP_EXPIRY * 1000));
 
-      // Initialize phone change sessions if not exists
-      this.phoneChangeSessions = this.phoneChangeSessions || new Map();
-
-      this.phoneChangeSessions.set(sessionId, {
+      // Store phone change session
+      await this.saveAuthSession(SESSION_NAMESPACES.PHONE_CHANGE, sessionId, {
         sessionId,
         userId,
         currentPhoneNumber,
@@ -1180,7 +1144,7 @@ class AuthService {
       });
 
       // Update rate limiting
-      this.updateRateLimit(rateLimitKey);
+      await this.updateRateLimit(rateLimitKey);
 
       logger.logAuth('Phone change session created', 'info', {
         sessionId: sessionId
@@ -1219,11 +1183,8 @@ class AuthService {
         sessionId: sessionId
       });
 
-      // Initialize if not exists
-      this.phoneChangeSessions = this.phoneChangeSessions || new Map();
-
       // Get session
-      const session = this.phoneChangeSessions.get(sessionId);
+      const session = await this.getAuthSession(SESSION_NAMESPACES.PHONE_CHANGE, sessionId);
       if (!session) {
         throw new Error('Invalid or expired phone change session');
       }
@@ -1235,7 +1196,7 @@ class AuthService {
 
       // Check session expiry
       if (Date.now() > session.expiresAt) {
-        this.phoneChangeSessions.delete(sessionId);
+        await this.deleteAuthSession(SESSION_NAMESPACES.PHONE_CHANGE, sessionId);
         throw new Error('Phone change session expired');
       }
 
@@ -1246,7 +1207,7 @@ class AuthService {
 
       // Check attempts
       if (session.currentPhoneAttempts >= this.MAX_OTP_ATTEMPTS) {
-        this.phoneChangeSessions.delete(sessionId);
+        await this.deleteAuthSession(SESSION_NAMESPACES.PHONE_CHANGE, sessionId);
         throw new Error('Maximum current phone OTP attempts exceeded');
       }
 
@@ -1282,7 +1243,7 @@ class AuthService {
         session.currentPhoneAttempts = 0; // Reset attempts after success
         session.stytchNewPhoneId = newPhoneOTPResult.method_id; // Use method_id for authenticate
         session.newPhoneMethodType = newPhoneOTPResult.method_type;
-        this.phoneChangeSessions.set(sessionId, session);
+        await this.saveAuthSession(SESSION_NAMESPACES.PHONE_CHANGE, sessionId, session);
 
         return {
           sessionId,
@@ -1295,7 +1256,7 @@ class AuthService {
       } catch (error) {
         // Increment attempts
         session.currentPhoneAttempts++;
-        this.phoneChangeSessions.set(sessionId, session);
+        await this.saveAuthSession(SESSION_NAMESPACES.PHONE_CHANGE, sessionId, session);
 
         throw new Error(`Current phone OTP verification failed: ${error.message}`);
       }
@@ -1324,11 +1285,8 @@ class AuthService {
         sessionId: sessionId
       });
 
-      // Initialize if not exists
-      this.phoneChangeSessions = this.phoneChangeSessions || new Map();
-
       // Get session
-      const session = this.phoneChangeSessions.get(sessionId);
+      const session = await this.getAuthSession(SESSION_NAMESPACES.PHONE_CHANGE, sessionId);
       if (!session) {
         throw new Error('Invalid or expired phone change session');
       }
@@ -1340,7 +1298,7 @@ class AuthService {
 
       // Check session expiry
       if (Date.now() > session.expiresAt) {
-        this.phoneChangeSessions.delete(sessionId);
+        await this.deleteAuthSession(SESSION_NAMESPACES.PHONE_CHANGE, sessionId);
         throw new Error('Phone change session expired');
       }
 
@@ -1356,7 +1314,7 @@ class AuthService {
 
       // Check attempts
       if (session.newPhoneAttempts >= this.MAX_OTP_ATTEMPTS) {
-        this.phoneChangeSessions.delete(sessionId);
+        await this.deleteAuthSession(SESSION_NAMESPACES.PHONE_CHANGE, sessionId);
         throw new Error('Maximum new phone OTP attempts exceeded');
       }
 
@@ -1415,7 +1373,7 @@ class AuthService {
         );
 
         // Clean up session
-        this.phoneChangeSessions.delete(sessionId);
+        await this.deleteAuthSession(SESSION_NAMESPACES.PHONE_CHANGE, sessionId);
 
         logger.logAuth('Phone change completed successfully', 'info');
 
@@ -1430,7 +1388,7 @@ class AuthService {
       } catch (error) {
         // Increment attempts
         session.newPhoneAttempts++;
-        this.phoneChangeSessions.set(sessionId, session);
+        await this.saveAuthSession(SESSION_NAMESPACES.PHONE_CHANGE, sessionId, session);
 
         throw new Error(`New phone OTP verification failed: ${error.message}`);
       }
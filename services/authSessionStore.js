@@ -0,0 +1,257 @@
+import RedisBackedStore from './redisBackedStore.js';
+
+/**
+ * Auth Session Store
+ *
+ * Pluggable storage for short-lived authentication state (sequential login
+ * sessions, phone change sessions, OTP rate limits). Every implementation
+ * exposes the same async interface:
+ *
+ *   get(namespace, key)                    -> value | null
+ *   set(namespace, key, value, ttlMs)      -> void
+ *   delete(namespace, key)                 -> void
+ *   increment(namespace, key, windowMs)    -> { count, resetTime }
+ *   getCounter(namespace, key)             -> { count, resetTime } | null
+ *   entries(namespace)                     -> Array<[key, value]>
+ *   cleanup()                              -> number of removed entries
+ *
+ * Values must be JSON-serializable so sessions survive a round trip
+ * through Redis unchanged.
+ */
+
+const SESSION_NAMESPACES = {
+  SEQUENTIAL_AUTH: 'sequential_auth',
+  PHONE_CHANGE: 'phone_change',
+  RATE_LIMIT: 'rate_limit',
+  OTP_ATTEMPTS: 'otp_attempts'
+};
+
+/**
+ * In-process store. Suitable for development, tests and single-instance deployments.
+ */
+class MemorySessionStore {
+  constructor() {
+    this.type = 'memory';
+    this.namespaces = new Map();
+  }
+
+  getNamespace(namespace) {
+    if (!this.namespaces.has(namespace)) {
+      this.namespaces.set(namespace, new Map());
+    }
+    return this.namespaces.get(namespace);
+  }
+
+  async get(namespace, key) {
+    const entry = this.getNamespace(namespace).get(key);
+    if (!entry) {
+      return null;
+    }
+
+    if (entry.expiresAt && Date.now() >= entry.expiresAt) {
+      this.getNamespace(namespace).delete(key);
+      return null;
+    }
+
+    // Return a copy so callers must explicitly set() to persist changes
+    return JSON.parse(JSON.stringify(entry.value));
+  }
+
+  async set(namespace, key, value, ttlMs = null) {
+    this.getNamespace(namespace).set(key, {
+      value: JSON.parse(JSON.stringify(value)),
+      expiresAt: ttlMs ? Date.now() + ttlMs : null
+    });
+  }
+
+  async delete(namespace, key) {
+    this.getNamespace(namespace).delete(key);
+  }
+
+  async increment(namespace, key, windowMs) {
+    const now = Date.now();
+    const existing = await this.get(namespace, key);
+
+    const counter = existing && now < existing.resetTime
+      ? { count: existing.count + 1, resetTime: existing.resetTime }
+      : { count: 1, resetTime: now + windowMs };
+
+    await this.set(namespace, key, counter, counter.resetTime - now);
+    return counter;
+  }
+
+  async getCounter(namespace, key) {
+    return this.get(namespace, key);
+  }
+
+  async entries(namespace) {
+    const result = [];
+    for (const key of this.getNamespace(namespace).keys()) {
+      const value = await this.get(namespace, key);
+      if (value !== null) {
+        result.push([key, value]);
+      }
+    }
+    return result;
+  }
+
+  async cleanup() {
+    const now = Date.now();
+    let cleaned = 0;
+
+    for (const entries of this.namespaces.values()) {
+      for (const [key, entry] of entries.entries()) {
+        if (entry.expiresAt && now >= entry.expiresAt) {
+          entries.delete(key);
+          cleaned++;
+        }
+      }
+    }
+
+    return cleaned;
+  }
+}
+
+/**
+ * Redis-backed store shared by every API instance.
+ * Expiry is delegated to Redis key TTLs, so cleanup() is a no-op.
+ * Falls back to an in-memory store while Redis is unreachable so login keeps working.
+ */
+class RedisSessionStore extends RedisBackedStore {
+  constructor(redisUrl, options = {}) {
+    super(redisUrl, {
+      prefix: options.prefix || 'auth:',
+      name: 'auth sessions',
+      category: 'auth',
+      fallback: new MemorySessionStore()
+    });
+  }
+
+  buildKey(namespace, key) {
+    return `${this.prefix}${namespace}:${key}`;
+  }
+
+  async get(namespace, key) {
+    if (this.useFallback()) {
+      return this.fallback.get(namespace, key);
+    }
+
+    const raw = await this.redisClient.get(this.buildKey(namespace, key));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async set(namespace, key, value, ttlMs = null) {
+    if (this.useFallback()) {
+      return this.fallback.set(namespace, key, value, ttlMs);
+    }
+
+    const options = ttlMs ? { PX: Math.max(Math.ceil(ttlMs), 1) } : undefined;
+    await this.redisClient.set(this.buildKey(namespace, key), JSON.stringify(value), options);
+  }
+
+  async delete(namespace, key) {
+    if (this.useFallback()) {
+      return this.fallback.delete(namespace, key);
+    }
+
+    await this.redisClient.del(this.buildKey(namespace, key));
+  }
+
+  async increment(namespace, key, windowMs) {
+    if (this.useFallback()) {
+      return this.fallback.increment(namespace, key, windowMs);
+    }
+
+    const redisKey = this.buildKey(namespace, key);
+    const [count, ttl] = await this.redisClient
+      .multi()
+      .incr(redisKey)
+      .pTTL(redisKey)
+      .exec();
+
+    // First hit in the window (or a key that lost its TTL) starts a new window
+    let remainingMs = ttl;
+    if (ttl < 0) {
+      await this.redisClient.pExpire(redisKey, windowMs);
+      remainingMs = windowMs;
+    }
+
+    return {
+      count: Number(count),
+      resetTime: Date.now() + remainingMs
+    };
+  }
+
+  async getCounter(namespace, key) {
+    if (this.useFallback()) {
+      return this.fallback.getCounter(namespace, key);
+    }
+
+    const redisKey = this.buildKey(namespace, key);
+    const [count, ttl] = await this.redisClient
+      .multi()
+      .get(redisKey)
+      .pTTL(redisKey)
+      .exec();
+
+    if (count === null) {
+      return null;
+    }
+
+    return {
+      count: Number(count),
+      resetTime: ttl > 0 ? Date.now() + ttl : Date.now()
+    };
+  }
+
+  async entries(namespace) {
+    if (this.useFallback()) {
+      return this.fallback.entries(namespace);
+    }
+
+    const result = [];
+    const pattern = this.buildKey(namespace, '*');
+    const namespacePrefix = this.buildKey(namespace, '');
+
+    for await (const redisKey of this.redisClient.scanIterator({ MATCH: pattern })) {
+      const keys = Array.isArray(redisKey) ? redisKey : [redisKey];
+      for (const fullKey of keys) {
+        const raw = await this.redisClient.get(fullKey);
+        if (raw === null) continue;
+
+        // Counters written by increment() are plain integers
+        const parsed = JSON.parse(raw);
+        const value = typeof parsed === 'number' ? { count: parsed } : parsed;
+        result.push([fullKey.slice(namespacePrefix.length), value]);
+      }
+    }
+
+    return result;
+  }
+
+  async cleanup() {
+    return this.fallback.cleanup();
+  }
+}
+
+/**
+ * Create the auth session store selected by configuration.
+ * AUTH_SESSION_STORE=memory|redis; defaults to redis when REDIS_URL is set.
+ * @returns {MemorySessionStore|RedisSessionStore}
+ */
+function createSessionStore() {
+  const storeType = (process.env.AUTH_SESSION_STORE || (process.env.REDIS_URL ? 'redis' : 'memory')).toLowerCase();
+
+  if (storeType === 'redis') {
+    if (!process.env.REDIS_URL) {
+      console.warn('⚠️ AUTH_SESSION_STORE=redis but REDIS_URL is not set, using memory store');
+      return new MemorySessionStore();
+    }
+    return new RedisSessionStore(process.env.REDIS_URL);
+  }
+
+  return new MemorySessionStore();
+}
+
+export default createSessionStore;
+export { MemorySessionStore, RedisSessionStore, createSessionStore, SESSION_NAMESPACES };
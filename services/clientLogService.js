@@ -1,4 +1,4 @@
-import { supabase } from '../database/supabase.js';
+import { supabase } from '../database/index.js';
 import ActivityLogger from './activityLogger.js';
 
 // Client event types that can't be automatically tracked on server
@@ -0,0 +1,124 @@
+import crypto from 'crypto';
+import ContactsWithAccounts from '../models/ContactsWithAccounts.js';
+import ContactSyncStatus from '../models/ContactSyncStatus.js';
+import { SYNC_LIMITS, SYNC_TOKEN, SYNC_MODES, ERROR_MESSAGES } from '../constants/contactConstants.js';
+
+/**
+ * Contact Sync Service
+ *
+ * Every successful sync returns an opaque sync token, stored in contact_sync_status.
+ * A full sync uploads every hash; afterwards the client sends only the hashes
+ * added or removed since the token it holds and receives the contacts that became
+ * app users after that token was issued. A token is accepted once: if it does not
+ * match the stored one the client must fall back to a full sync.
+ */
+class ContactSyncService {
+  static generateSyncToken() {
+    return crypto.randomBytes(SYNC_TOKEN.RANDOM_BYTES).toString('base64url');
+  }
+
+  static tokensMatch(expected, provided) {
+    if (!expected || !provided) {
+      return false;
+    }
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(provided));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  /**
+   * Upload the complete contact list and start a new token chain
+   * @param {string} userId - User ID
+   * @param {Array} phoneHashes - Every hash on the device
+   * @param {number} deviceContactsCount - Total contacts on device
+   * @param {Object} options - { batchSize }
+   * @returns {Object} ContactsWithAccounts.syncContacts result plus sync_token
+   */
+  static async fullSync(userId, phoneHashes, deviceContactsCount, options = {}) {
+    // Taken before the upload so matches made while it runs are reported by the next delta
+    const issuedAt = new Date().toISOString();
+
+    const result = await ContactsWithAccounts.syncContacts(userId, phoneHashes, deviceContactsCount, options);
+
+    const syncToken = this.generateSyncToken();
+    await ContactSyncStatus.saveSyncToken(userId, syncToken, issuedAt, {
+      device_contacts_count: deviceContactsCount,
+      synced_contacts_count: result.total_processed
+    });
+
+    return {
+      ...result,
+      sync_mode: SYNC_MODES.FULL,
+      sync_token: syncToken
+    };
+  }
+
+  /**
+   * Apply the changes made on the device since the given sync token
+   * @param {string} userId - User ID
+   * @param {Object} delta - { syncToken, addedHashes, removedHashes, deviceContactsCount }
+   * @param {Object} options - { batchSize }
+   * @returns {Object} Counts, newly matched contacts and the next sync_token
+   */
+  static async deltaSync(userId, delta, options = {}) {
+    const startTime = Date.now();
+    const { syncToken, addedHashes = [], removedHashes = [], deviceContactsCount } = delta;
+
+    const syncStatus = await ContactSyncStatus.findByUserId(userId);
+    if (!syncStatus || !this.tokensMatch(syncStatus.sync_token, syncToken)) {
+      throw new Error(ERROR_MESSAGES.SYNC.SYNC_TOKEN_INVALID);
+    }
+
+    let issuedAt = new Date().toISOString();
+
+    // Removals first: a hash in both lists was edited on the device and stays
+    const contactsRemoved = removedHashes.length > 0
+      ? await ContactsWithAccounts.removeContacts(userId, removedHashes, options)
+      : 0;
+
+    const addResult = addedHashes.length > 0
+      ? await ContactsWithAccounts.syncContacts(userId, addedHashes, deviceContactsCount, options)
+      : null;
+    const contactsAdded = addResult?.total_processed || 0;
+
+    const newlyMatched = await ContactsWithAccounts.getMatchedSince(
+      userId,
+      syncStatus.sync_token_issued_at,
+      { limit: SYNC_LIMITS.MAX_NEWLY_MATCHED_PER_SYNC, afterId: syncStatus.sync_cursor_id || null }
+    );
+
+    // When the list is truncated, the next delta picks up after the last match returned;
+    // matches share timestamps, so the contact ID breaks ties
+    const hasMoreMatches = newlyMatched.length >= SYNC_LIMITS.MAX_NEWLY_MATCHED_PER_SYNC;
+    let cursorId = null;
+    if (hasMoreMatches) {
+      const lastMatch = newlyMatched[newlyMatched.length - 1];
+      issuedAt = lastMatch.matched_at;
+      cursorId = lastMatch.contact_id;
+    }
+
+    const nextToken = this.generateSyncToken();
+    const rotated = await ContactSyncStatus.rotateSyncToken(userId, syncToken, nextToken, issuedAt, {
+      device_contacts_count: deviceContactsCount,
+      synced_contacts_count: Math.max(0, (syncStatus.synced_contacts_count || 0) + contactsAdded - contactsRemoved)
+    }, cursorId);
+
+    // Another device rotated the token while this delta was being applied
+    if (!rotated) {
+      throw new Error(ERROR_MESSAGES.SYNC.SYNC_TOKEN_INVALID);
+    }
+
+    return {
+      sync_mode: SYNC_MODES.DELTA,
+      sync_token: nextToken,
+      contacts_added: contactsAdded,
+      contacts_removed: contactsRemoved,
+      newly_matched: newlyMatched,
+      has_more_matches: hasMoreMatches,
+      processing_time_ms: Date.now() - startTime,
+      sync_completed: true
+    };
+  }
+}
+
+export default ContactSyncService;
@@ -0,0 +1,113 @@
+import DeviceToken from '../models/DeviceToken.js';
+import firebaseService from './firebaseService.js';
+import logger from '../utils/logger.js';
+import { DEVICE_TOKENS, DEVICE_TOKEN_ERRORS } from '../constants/notificationConstants.js';
+
+/**
+ * Device Token Service
+ *
+ * Registry of FCM tokens per app install. The app registers its token on
+ * every launch (refreshing last_seen_at and app version) and unregisters it on
+ * sign-out. Tokens that FCM reports as unregistered or invalid are deleted as
+ * soon as a send comes back with that error.
+ */
+class DeviceTokenService {
+  /**
+   * Register or refresh a token for a user
+   * @param {string} userId - User ID
+   * @param {Object} params - { token, platform, appVersion, deviceId }
+   * @returns {Object} Registered token
+   */
+  static async register(userId, { token, platform, appVersion = null, deviceId = null }) {
+    // Without Firebase credentials (local development) tokens cannot be checked
+    if (firebaseService.isInitialized() && !await firebaseService.validateToken(token)) {
+      throw new Error(DEVICE_TOKEN_ERRORS.INVALID);
+    }
+
+    const registered = await DeviceToken.upsert({
+      user_id: userId,
+      token,
+      platform,
+      app_version: appVersion,
+      device_id: deviceId
+    });
+
+    await this.enforceLimit(userId);
+
+    logger.info(`✅ Device token registered for user ${userId} (${platform})`);
+    return this.toResponse(registered);
+  }
+
+  /**
+   * Drop the oldest tokens beyond DEVICE_TOKENS.MAX_PER_USER
+   */
+  static async enforceLimit(userId) {
+    const tokens = await DeviceToken.listByUser(userId);
+    const excess = tokens.slice(DEVICE_TOKENS.MAX_PER_USER);
+
+    if (excess.length > 0) {
+      await DeviceToken.deleteByIds(excess.map(row => row.id));
+      logger.info(`🧹 Dropped ${excess.length} old device tokens for user ${userId}`);
+    }
+  }
+
+  static async unregister(userId, token) {
+    const deleted = await DeviceToken.deleteForUser(userId, token);
+    if (!deleted) {
+      throw new Error(DEVICE_TOKEN_ERRORS.NOT_FOUND);
+    }
+  }
+
+  /**
+   * @returns {Array<string>} The user's FCM tokens, most recently seen first
+   */
+  static async listTokens(userId) {
+    const rows = await DeviceToken.listByUser(userId);
+    return rows.map(row => row.token);
+  }
+
+  static isInvalidTokenError(error) {
+    return DEVICE_TOKENS.INVALID_TOKEN_ERROR_CODES.includes(error?.code || error?.errorInfo?.code);
+  }
+
+  /**
+   * Delete tokens FCM rejected in a multicast response
+   * @param {Array<string>} tokens - Tokens in the order they were sent
+   * @param {Object} response - FCM BatchResponse
+   * @returns {Array<string>} Pruned tokens
+   */
+  static async pruneFromResponse(tokens, response) {
+    const invalid = (response?.responses || [])
+      .map((result, index) => (!result.success && this.isInvalidTokenError(result.error) ? tokens[index] : null))
+      .filter(Boolean);
+
+    return this.prune(invalid);
+  }
+
+  /**
+   * Delete tokens that FCM reported as invalid
+   * @returns {Array<string>} Pruned tokens
+   */
+  static async prune(tokens) {
+    if (tokens.length === 0) {
+      return [];
+    }
+
+    const deleted = await DeviceToken.deleteTokens(tokens);
+    logger.info(`🧹 Pruned ${deleted} invalid device tokens`);
+    return tokens;
+  }
+
+  static toResponse(row) {
+    return {
+      id: row.id,
+      platform: row.platform,
+      appVersion: row.app_version,
+      deviceId: row.device_id,
+      lastSeenAt: row.last_seen_at,
+      createdAt: row.created_at
+    };
+  }
+}
+
+export default DeviceTokenService;
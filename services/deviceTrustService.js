@@ -0,0 +1,176 @@
+import UserDevice from '../models/UserDevice.js';
+import UserSession from '../models/UserSession.js';
+import ActivityLogger, { ACTIVITY_TYPES, RISK_LEVELS } from './activityLogger.js';
+import notificationService from './notificationService.js';
+import logger from '../utils/logger.js';
+import { DEVICE_TRUST, DEVICE_TRUST_ERRORS } from '../constants/securityConstants.js';
+import { NOTIFICATION_TYPES } from '../constants/notificationConstants.js';
+
+/**
+ * Device Trust Service
+ *
+ * Every login that carries a device ID is recorded in user_devices. The first
+ * device of an account is trusted automatically; any later new device triggers
+ * a security alert and starts out untrusted. An untrusted device needs a fresh
+ * transaction PIN verification for high-value transfers until
+ * DEVICE_TRUST.NEW_DEVICE_WINDOW_MS has passed since it was first seen (or
+ * since the user marked it untrusted).
+ *
+ * Sessions without a device ID are treated as a new untrusted device for the
+ * first 24 hours of the session.
+ */
+class DeviceTrustService {
+  /**
+   * Record a login and alert the user when it comes from a new device
+   * @param {Object} params - { userId, deviceId, deviceName, ipAddress, userAgent }
+   * @returns {Object} { device, isNew }
+   */
+  static async recordLogin({ userId, deviceId, deviceName = null, ipAddress = null, userAgent = null }) {
+    if (!deviceId) {
+      return { device: null, isNew: false };
+    }
+
+    const existing = await UserDevice.findByDeviceId(userId, deviceId);
+    if (existing) {
+      const device = await UserDevice.update(existing.id, {
+        last_seen_at: new Date().toISOString(),
+        last_ip_address: ipAddress,
+        last_user_agent: userAgent,
+        ...(deviceName && { device_name: deviceName })
+      });
+      return { device, isNew: false };
+    }
+
+    const knownDevices = await UserDevice.countByUser(userId);
+    const device = await UserDevice.create({
+      user_id: userId,
+      device_id: deviceId,
+      device_name: deviceName,
+      trusted: knownDevices === 0,
+      last_ip_address: ipAddress,
+      last_user_agent: userAgent
+    });
+
+    // Another login from the same device recorded it first
+    if (!device) {
+      return { device: await UserDevice.findByDeviceId(userId, deviceId), isNew: false };
+    }
+
+    if (knownDevices > 0) {
+      await ActivityLogger.logSecurity({
+        userId,
+        action: 'Login from new device',
+        activityType: ACTIVITY_TYPES.DEVICE_ADDED,
+        details: { deviceId: device.id, deviceName, ipAddress },
+        riskLevel: RISK_LEVELS.MEDIUM
+      });
+
+      notificationService.sendSecurityAlert(userId, {
+        type: NOTIFICATION_TYPES.NEW_DEVICE_LOGIN,
+        variables: { deviceName },
+        data: { alert: 'new_device_login', deviceId: device.id }
+      }).catch(error => {
+        logger.error(`❌ Failed to send new device alert to user ${userId}:`, error);
+      });
+    }
+
+    return { device, isNew: true };
+  }
+
+  /**
+   * Whether a device is still inside its new-device window without being trusted
+   */
+  static isRestricted(device, now = new Date()) {
+    if (device.trusted) {
+      return false;
+    }
+
+    const windowStart = new Date(device.trust_updated_at || device.first_seen_at);
+    return now.getTime() - windowStart.getTime() < DEVICE_TRUST.NEW_DEVICE_WINDOW_MS;
+  }
+
+  /**
+   * Whether the device behind a session is restricted; sessions without a device
+   * ID are judged by the age of the session itself
+   */
+  static async isSessionRestricted(userId, sessionToken, now = new Date()) {
+    const session = sessionToken ? await UserSession.findByToken(sessionToken) : null;
+    if (!session || session.user_id !== userId) {
+      return true;
+    }
+
+    if (!session.device_id) {
+      return this.isRestricted({ trusted: false, first_seen_at: session.created_at }, now);
+    }
+
+    const device = await UserDevice.findByDeviceId(userId, session.device_id);
+    return device ? this.isRestricted(device, now) : true;
+  }
+
+  static isHighValue(amount) {
+    const value = parseFloat(amount);
+    return Number.isFinite(value) && value >= DEVICE_TRUST.HIGH_VALUE_AMOUNT;
+  }
+
+  /**
+   * Devices of a user, most recently seen first
+   */
+  static async listDevices(userId, currentSessionToken = null, now = new Date()) {
+    const [devices, session] = await Promise.all([
+      UserDevice.listByUser(userId),
+      currentSessionToken ? UserSession.findByToken(currentSessionToken) : null
+    ]);
+
+    return devices.map(device => this.toResponse(device, session?.device_id, now));
+  }
+
+  /**
+   * Mark a device trusted or untrusted. Only allowed from a device that is
+   * itself unrestricted, so a new device cannot vouch for itself.
+   */
+  static async setTrust(userId, id, trusted, sessionToken, request = null, now = new Date()) {
+    if (await this.isSessionRestricted(userId, sessionToken, now)) {
+      throw new Error(DEVICE_TRUST_ERRORS.TRUSTED_DEVICE_REQUIRED);
+    }
+
+    const device = await UserDevice.findByIdForUser(id, userId);
+    if (!device) {
+      throw new Error(DEVICE_TRUST_ERRORS.NOT_FOUND);
+    }
+
+    const updated = await UserDevice.update(device.id, {
+      trusted,
+      trust_updated_at: now.toISOString()
+    });
+
+    await ActivityLogger.logSecurity({
+      userId,
+      action: trusted ? 'Device marked trusted' : 'Device marked untrusted',
+      activityType: ACTIVITY_TYPES.SETTINGS_CHANGED,
+      request,
+      details: { deviceId: device.id },
+      riskLevel: RISK_LEVELS.MEDIUM
+    });
+
+    return this.toResponse(updated, null, now);
+  }
+
+  static toResponse(device, currentDeviceId = null, now = new Date()) {
+    const restricted = this.isRestricted(device, now);
+    const windowStart = new Date(device.trust_updated_at || device.first_seen_at).getTime();
+
+    return {
+      id: device.id,
+      deviceId: device.device_id,
+      deviceName: device.device_name,
+      trusted: device.trusted,
+      restricted,
+      restrictedUntil: restricted ? new Date(windowStart + DEVICE_TRUST.NEW_DEVICE_WINDOW_MS).toISOString() : null,
+      firstSeenAt: device.first_seen_at,
+      lastSeenAt: device.last_seen_at,
+      current: Boolean(currentDeviceId) && device.device_id === currentDeviceId
+    };
+  }
+}
+
+export default DeviceTrustService;
@@ -1,6 +1,12 @@
 import nodemailer from 'nodemailer';
 import { ENV } from '../config/env.js';
 import logger from '../utils/logger.js';
+import NotificationTemplateService from './notificationTemplateService.js';
+import {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_LOCALES
+} from '../constants/notificationConstants.js';
 
 class EmailService {
   constructor() {
@@ -44,113 +50,19 @@ class EmailService {
    * Send transaction success notification
    * @param {string} recipientEmail - Recipient email address
    * @param {Object} transactionData - Transaction details
+   * @param {string} locale - Recipient language (defaults to English)
    */
-  async sendTransactionSuccessEmail(recipientEmail, transactionData) {
+  async sendTransactionSuccessEmail(recipientEmail, transactionData, locale = NOTIFICATION_LOCALES.DEFAULT) {
     try {
-      const {
-        transactionId,
-        type,
-        amount,
-        assetSymbol,
-        recipientAddress,
-        reference,
-        createdAt
-      } = transactionData;
-
-      const subject = '✅ Transaction Successful - 7awel Wallet';
-      const html = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Transaction Successful</title>
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background-color: #4CAF50; color: white; padding: 20px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background-color: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-            .transaction-details { background-color: white; padding: 20px; margin: 20px 0; border-radius: 8px; border-left: 4px solid #4CAF50; }
-            .detail-row { margin: 10px 0; }
-            .label { font-weight: bold; color: #555; }
-            .value { color: #333; }
-            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
-            .success-icon { font-size: 48px; margin-bottom: 10px; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <div class="success-icon">✅</div>
-              <h1>Transaction Successful!</h1>
-            </div>
-            <div class="content">
-              <p>Your transaction has been completed successfully. Here are the details:</p>
-              
-              <div class="transaction-details">
-                <div class="detail-row">
-                  <span class="label">Transaction ID:</span>
-                  <span class="value">${transactionId}</span>
-                </div>
-                <div class="detail-row">
-                  <span class="label">Type:</span>
-                  <span class="value">${type.toUpperCase()}</span>
-                </div>
-                <div class="detail-row">
-                  <span class="label">Amount:</span>
-                  <span class="value">${amount} ${assetSymbol}</span>
-                </div>
-                ${recipientAddress ? `
-                <div class="detail-row">
-                  <span class="label">Recipient:</span>
-                  <span class="value">${recipientAddress}</span>
-                </div>
-                ` : ''}
-                ${reference ? `
-                <div class="detail-row">
-                  <span class="label">Reference:</span>
-                  <span class="value">${reference}</span>
-                </div>
-                ` : ''}
-                <div class="detail-row">
-                  <span class="label">Date:</span>
-                  <span class="value">${new Date(createdAt).toLocaleString()}</span>
-                </div>
-              </div>
-              
-              <p>Your funds have been processed and are now available in your wallet.</p>
-              
-              <p>If you have any questions, please don't hesitate to contact our support team.</p>
-            </div>
-            <div class="footer">
-              <p>© 2024 7awel Wallet. All rights reserved.</p>
-              <p>This is an automated email. Please do not reply to this message.</p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `;
-
-      const text = `
-        Transaction Successful!
-        
-        Your transaction has been completed successfully.
-        
-        Transaction Details:
-        - Transaction ID: ${transactionId}
-        - Type: ${type.toUpperCase()}
-        - Amount: ${amount} ${assetSymbol}
-        ${recipientAddress ? `- Recipient: ${recipientAddress}` : ''}
-        ${reference ? `- Reference: ${reference}` : ''}
-        - Date: ${new Date(createdAt).toLocaleString()}
-        
-        Your funds have been processed and are now available in your wallet.
-        
-        If you have any questions, please contact our support team.
-      `;
+      const { subject, text, html } = NotificationTemplateService.render(
+        NOTIFICATION_TYPES.TRANSACTION_SUCCESS,
+        NOTIFICATION_CHANNELS.EMAIL,
+        locale,
+        transactionData
+      );
 
       await this.sendEmail(recipientEmail, subject, text, html);
-      logger.info(`✅ Transaction success email sent to ${recipientEmail} for transaction ${transactionId}`);
+      logger.info(`✅ Transaction success email sent to ${recipientEmail} for transaction ${transactionData.transactionId}`);
     } catch (error) {
       logger.error('❌ Failed to send transaction success email:', error);
       throw error;
@@ -161,140 +73,42 @@ class EmailService {
    * Send transaction failure notification
    * @param {string} recipientEmail - Recipient email address
    * @param {Object} transactionData - Transaction details
+   * @param {string} locale - Recipient language (defaults to English)
    */
-  async sendTransactionFailureEmail(recipientEmail, transactionData) {
+  async sendTransactionFailureEmail(recipientEmail, transactionData, locale = NOTIFICATION_LOCALES.DEFAULT) {
     try {
-      const {
-        transactionId,
-        type,
-        amount,
-        assetSymbol,
-        recipientAddress,
-        reference,
-        createdAt,
-        failureReason
-      } = transactionData;
-
-      const subject = '❌ Transaction Failed - 7awel Wallet';
-      const html = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="UTF-8">
-          <meta name="viewport" content="width=device-width, initial-scale=1.0">
-          <title>Transaction Failed</title>
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background-color: #f44336; color: white; padding: 20px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background-color: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-            .transaction-details { background-color: white; padding: 20px; margin: 20px 0; border-radius: 8px; border-left: 4px solid #f44336; }
-            .detail-row { margin: 10px 0; }
-            .label { font-weight: bold; color: #555; }
-            .value { color: #333; }
-            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
-            .error-icon { font-size: 48px; margin-bottom: 10px; }
-            .action-section { background-color: #fff3cd; padding: 15px; margin: 20px 0; border-radius: 8px; border: 1px solid #ffeaa7; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <div class="error-icon">❌</div>
-              <h1>Transaction Failed</h1>
-            </div>
-            <div class="content">
-              <p>Unfortunately, your transaction could not be completed. Here are the details:</p>
-              
-              <div class="transaction-details">
-                <div class="detail-row">
-                  <span class="label">Transaction ID:</span>
-                  <span class="value">${transactionId}</span>
-                </div>
-                <div class="detail-row">
-                  <span class="label">Type:</span>
-                  <span class="value">${type.toUpperCase()}</span>
-                </div>
-                <div class="detail-row">
-                  <span class="label">Amount:</span>
-                  <span class="value">${amount} ${assetSymbol}</span>
-                </div>
-                ${recipientAddress ? `
-                <div class="detail-row">
-                  <span class="label">Recipient:</span>
-                  <span class="value">${recipientAddress}</span>
-                </div>
-                ` : ''}
-                ${reference ? `
-                <div class="detail-row">
-                  <span class="label">Reference:</span>
-                  <span class="value">${reference}</span>
-                </div>
-                ` : ''}
-                <div class="detail-row">
-                  <span class="label">Date:</span>
-                  <span class="value">${new Date(createdAt).toLocaleString()}</span>
-                </div>
-                ${failureReason ? `
-                <div class="detail-row">
-                  <span class="label">Reason:</span>
-                  <span class="value">${failureReason}</span>
-                </div>
-                ` : ''}
-              </div>
-              
-              <div class="action-section">
-                <h3>What's Next?</h3>
-                <ul>
-                  <li>Your funds remain safely in your wallet</li>
-                  <li>You can try the transaction again</li>
-                  <li>Check your account balance and network connectivity</li>
-                  <li>Contact support if the issue persists</li>
-                </ul>
-              </div>
-              
-              <p>If you need assistance, please contact our support team with the transaction ID above.</p>
-            </div>
-            <div class="footer">
-              <p>© 2024 7awel Wallet. All rights reserved.</p>
-              <p>This is an automated email. Please do not reply to this message.</p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `;
-
-      const text = `
-        Transaction Failed
-        
-        Unfortunately, your transaction could not be completed.
-        
-        Transaction Details:
-        - Transaction ID: ${transactionId}
-        - Type: ${type.toUpperCase()}
-        - Amount: ${amount} ${assetSymbol}
-        ${recipientAddress ? `- Recipient: ${recipientAddress}` : ''}
-        ${reference ? `- Reference: ${reference}` : ''}
-        - Date: ${new Date(createdAt).toLocaleString()}
-        ${failureReason ? `- Reason: ${failureReason}` : ''}
-        
-        What's Next?
-        - Your funds remain safely in your wallet
-        - You can try the transaction again
-        - Check your account balance and network connectivity
-        - Contact support if the issue persists
-        
-        If you need assistance, please contact our support team with the transaction ID above.
-      `;
+      const { subject, text, html } = NotificationTemplateService.render(
+        NOTIFICATION_TYPES.TRANSACTION_FAILURE,
+        NOTIFICATION_CHANNELS.EMAIL,
+        locale,
+        transactionData
+      );
 
       await this.sendEmail(recipientEmail, subject, text, html);
-      logger.info(`✅ Transaction failure email sent to ${recipientEmail} for transaction ${transactionId}`);
+      logger.info(`✅ Transaction failure email sent to ${recipientEmail} for transaction ${transactionData.transactionId}`);
     } catch (error) {
       logger.error('❌ Failed to send transaction failure email:', error);
       throw error;
     }
   }
 
+  /**
+   * Send a security alert email
+   * @param {string} recipientEmail - Recipient email address
+   * @param {Object} alert - Localized { title, message }
+   * @param {string} locale - Recipient language (defaults to English)
+   */
+  async sendSecurityAlertEmail(recipientEmail, alert, locale = NOTIFICATION_LOCALES.DEFAULT) {
+    const { subject, text, html } = NotificationTemplateService.render(
+      NOTIFICATION_TYPES.SECURITY_ALERT,
+      NOTIFICATION_CHANNELS.EMAIL,
+      locale,
+      alert
+    );
+
+    return this.sendEmail(recipientEmail, subject, text, html);
+  }
+
   /**
    * Send email using configured transporter
    * @param {string} to - Recipient email
@@ -1,6 +1,12 @@
 import admin from 'firebase-admin';
 import { ENV } from '../config/env.js';
 import logger from '../utils/logger.js';
+import NotificationTemplateService from './notificationTemplateService.js';
+import {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_LOCALES
+} from '../constants/notificationConstants.js';
 
 class FirebaseService {
   constructor() {
@@ -48,62 +54,85 @@ class FirebaseService {
   }
 
   /**
-   * Send transaction success push notification
+   * Build a localized transaction push message for one device
    * @param {string} deviceToken - Device FCM token
    * @param {Object} transactionData - Transaction details
+   * @param {string} type - NOTIFICATION_TYPES.TRANSACTION_SUCCESS or TRANSACTION_FAILURE
+   * @param {string} locale - Recipient language
    */
-  async sendTransactionSuccessNotification(deviceToken, transactionData) {
-    try {
-      if (!this.messaging) {
-        logger.warn('⚠️ Firebase messaging not initialized. Skipping push notification.');
-        return null;
-      }
+  buildTransactionMessage(deviceToken, transactionData, type, locale) {
+    const {
+      transactionId,
+      type: transactionType,
+      amount,
+      assetSymbol,
+      recipientAddress,
+      failureReason
+    } = transactionData;
 
-      const {
-        transactionId,
-        type,
-        amount,
-        assetSymbol,
-        recipientAddress
-      } = transactionData;
+    const { title, body, locale: renderedLocale } = NotificationTemplateService.render(
+      type,
+      NOTIFICATION_CHANNELS.PUSH,
+      locale,
+      transactionData
+    );
+    const succeeded = type === NOTIFICATION_TYPES.TRANSACTION_SUCCESS;
 
-      const message = {
-        token: deviceToken,
+    return {
+      token: deviceToken,
+      notification: { title, body },
+      data: {
+        type,
+        transactionId: transactionId.toString(),
+        transactionType,
+        amount: amount.toString(),
+        assetSymbol: assetSymbol || '',
+        ...(succeeded
+          ? { recipientAddress: recipientAddress || '' }
+          : { failureReason: failureReason || 'Unknown error' }),
+        locale: renderedLocale,
+        timestamp: new Date().toISOString()
+      },
+      android: {
         notification: {
-          title: '✅ Transaction Successful',
-          body: `Your ${type} of ${amount} ${assetSymbol} was completed successfully`
-        },
-        data: {
-          type: 'transaction_success',
-          transactionId: transactionId.toString(),
-          transactionType: type,
-          amount: amount.toString(),
-          assetSymbol: assetSymbol || '',
-          recipientAddress: recipientAddress || '',
-          timestamp: new Date().toISOString()
+          icon: 'ic_notification',
+          color: succeeded ? '#4CAF50' : '#f44336',
+          sound: 'default',
+          clickAction: 'FLUTTER_NOTIFICATION_CLICK'
         },
-        android: {
-          notification: {
-            icon: 'ic_notification',
-            color: '#4CAF50',
+        priority: 'high'
+      },
+      apns: {
+        payload: {
+          aps: {
             sound: 'default',
-            clickAction: 'FLUTTER_NOTIFICATION_CLICK'
-          },
-          priority: 'high'
-        },
-        apns: {
-          payload: {
-            aps: {
-              sound: 'default',
-              badge: 1,
-              alert: {
-                title: '✅ Transaction Successful',
-                body: `Your ${type} of ${amount} ${assetSymbol} was completed successfully`
-              }
-            }
+            badge: 1,
+            alert: { title, body }
           }
         }
-      };
+      }
+    };
+  }
+
+  /**
+   * Send transaction success push notification
+   * @param {string} deviceToken - Device FCM token
+   * @param {Object} transactionData - Transaction details
+   * @param {string} locale - Recipient language (defaults to English)
+   */
+  async sendTransactionSuccessNotification(deviceToken, transactionData, locale = NOTIFICATION_LOCALES.DEFAULT) {
+    try {
+      if (!this.messaging) {
+        logger.warn('⚠️ Firebase messaging not initialized. Skipping push notification.');
+        return null;
+      }
+
+      const message = this.buildTransactionMessage(
+        deviceToken,
+        transactionData,
+        NOTIFICATION_TYPES.TRANSACTION_SUCCESS,
+        locale
+      );
 
       const response = await this.messaging.send(message);
       logger.info(`✅ Transaction success push notification sent: ${response}`);
@@ -118,59 +147,21 @@ class FirebaseService {
    * Send transaction failure push notification
    * @param {string} deviceToken - Device FCM token
    * @param {Object} transactionData - Transaction details
+   * @param {string} locale - Recipient language (defaults to English)
    */
-  async sendTransactionFailureNotification(deviceToken, transactionData) {
+  async sendTransactionFailureNotification(deviceToken, transactionData, locale = NOTIFICATION_LOCALES.DEFAULT) {
     try {
       if (!this.messaging) {
         logger.warn('⚠️ Firebase messaging not initialized. Skipping push notification.');
         return null;
       }
 
-      const {
-        transactionId,
-        type,
-        amount,
-        assetSymbol,
-        failureReason
-      } = transactionData;
-
-      const message = {
-        token: deviceToken,
-        notification: {
-          title: '❌ Transaction Failed',
-          body: `Your ${type} of ${amount} ${assetSymbol} could not be completed`
-        },
-        data: {
-          type: 'transaction_failure',
-          transactionId: transactionId.toString(),
-          transactionType: type,
-          amount: amount.toString(),
-          assetSymbol: assetSymbol || '',
-          failureReason: failureReason || 'Unknown error',
-          timestamp: new Date().toISOString()
-        },
-        android: {
-          notification: {
-            icon: 'ic_notification',
-            color: '#f44336',
-            sound: 'default',
-            clickAction: 'FLUTTER_NOTIFICATION_CLICK'
-          },
-          priority: 'high'
-        },
-        apns: {
-          payload: {
-            aps: {
-              sound: 'default',
-              badge: 1,
-              alert: {
-                title: '❌ Transaction Failed',
-                body: `Your ${type} of ${amount} ${assetSymbol} could not be completed`
-              }
-            }
-          }
-        }
-      };
+      const message = this.buildTransactionMessage(
+        deviceToken,
+        transactionData,
+        NOTIFICATION_TYPES.TRANSACTION_FAILURE,
+        locale
+      );
 
       const response = await this.messaging.send(message);
       logger.info(`✅ Transaction failure push notification sent: ${response}`);
@@ -208,13 +199,13 @@ class FirebaseService {
         apns: notificationData.apns || {}
       };
 
-      const response = await this.messaging.sendMulticast(message);
+      const response = await this.messaging.sendEachForMulticast(message);
       logger.info(`✅ Multicast notification sent to ${deviceTokens.length} devices. Success: ${response.successCount}, Failure: ${response.failureCount}`);
       
       if (response.failureCount > 0) {
         response.responses.forEach((resp, idx) => {
           if (!resp.success) {
-            logger.error(`❌ Failed to send to token ${deviceTokens[idx]}: ${resp.error?.message}`);
+            logger.error(`❌ Failed to send to token ${deviceTokens[idx]}: ${resp.error?.code} ${resp.error?.message}`);
           }
         });
       }
@@ -318,11 +309,10 @@ class FirebaseService {
         notification: {
           title: 'Test',
           body: 'Test message'
-        },
-        dryRun: true
+        }
       };
 
-      await this.messaging.send(message);
+      await this.messaging.send(message, true);
       return true;
     } catch (error) {
       logger.error('❌ Token validation failed:', error);
@@ -0,0 +1,247 @@
+import IdempotencyKey, { IDEMPOTENCY_STATUS } from '../models/IdempotencyKey.js';
+import RedisBackedStore from './redisBackedStore.js';
+
+/**
+ * Idempotency Store
+ *
+ * Keeps the first response for each (user, scope, Idempotency-Key) so retried
+ * requests can be replayed instead of executed twice. Every implementation
+ * exposes the same async interface:
+ *
+ *   get(userId, scope, key)                                 -> record | null
+ *   claim(userId, scope, key, requestHash, ttlMs)           -> true if claimed, false if taken
+ *   complete(userId, scope, key, { statusCode, body }, ttlMs) -> void
+ *   release(userId, scope, key)                             -> void
+ *
+ * Records have the shape { requestHash, status, statusCode, body }.
+ */
+
+/**
+ * In-process store. Suitable for development, tests and single-instance deployments.
+ */
+class MemoryIdempotencyStore {
+  constructor() {
+    this.type = 'memory';
+    this.records = new Map();
+  }
+
+  buildKey(userId, scope, key) {
+    return `${userId}:${scope}:${key}`;
+  }
+
+  async get(userId, scope, key) {
+    const id = this.buildKey(userId, scope, key);
+    const entry = this.records.get(id);
+    if (!entry) {
+      return null;
+    }
+
+    if (Date.now() >= entry.expiresAt) {
+      this.records.delete(id);
+      return null;
+    }
+
+    return JSON.parse(JSON.stringify(entry.record));
+  }
+
+  async claim(userId, scope, key, requestHash, ttlMs) {
+    if (await this.get(userId, scope, key)) {
+      return false;
+    }
+
+    this.records.set(this.buildKey(userId, scope, key), {
+      record: { requestHash, status: IDEMPOTENCY_STATUS.IN_PROGRESS, statusCode: null, body: null },
+      expiresAt: Date.now() + ttlMs
+    });
+    return true;
+  }
+
+  async complete(userId, scope, key, response, ttlMs) {
+    const id = this.buildKey(userId, scope, key);
+    const entry = this.records.get(id);
+    if (!entry) {
+      return;
+    }
+
+    this.records.set(id, {
+      record: {
+        requestHash: entry.record.requestHash,
+        status: IDEMPOTENCY_STATUS.COMPLETED,
+        statusCode: response.statusCode,
+        body: JSON.parse(JSON.stringify(response.body ?? null))
+      },
+      expiresAt: Date.now() + ttlMs
+    });
+  }
+
+  async release(userId, scope, key) {
+    this.records.delete(this.buildKey(userId, scope, key));
+  }
+}
+
+/**
+ * Redis-backed store shared by every API instance.
+ * Keys expire through Redis TTLs. While Redis is unreachable, keys go to the
+ * idempotency_keys table instead, which every instance shares too; a
+ * per-instance fallback would let a retry on another instance run again.
+ */
+class RedisIdempotencyStore extends RedisBackedStore {
+  constructor(redisUrl, options = {}) {
+    super(redisUrl, {
+      prefix: options.prefix || 'idempotency:',
+      name: 'idempotency keys',
+      category: 'transaction',
+      fallback: options.fallback || new SupabaseIdempotencyStore()
+    });
+  }
+
+  buildKey(userId, scope, key) {
+    return `${this.prefix}${userId}:${scope}:${key}`;
+  }
+
+  async get(userId, scope, key) {
+    if (this.useFallback()) {
+      return this.fallback.get(userId, scope, key);
+    }
+
+    const raw = await this.redisClient.get(this.buildKey(userId, scope, key));
+    return raw ? JSON.parse(raw) : null;
+  }
+
+  async claim(userId, scope, key, requestHash, ttlMs) {
+    if (this.useFallback()) {
+      return this.fallback.claim(userId, scope, key, requestHash, ttlMs);
+    }
+
+    const record = { requestHash, status: IDEMPOTENCY_STATUS.IN_PROGRESS, statusCode: null, body: null };
+    const result = await this.redisClient.set(
+      this.buildKey(userId, scope, key),
+      JSON.stringify(record),
+      { NX: true, PX: ttlMs }
+    );
+    return result === 'OK';
+  }
+
+  async complete(userId, scope, key, response, ttlMs) {
+    if (this.useFallback()) {
+      return this.fallback.complete(userId, scope, key, response, ttlMs);
+    }
+
+    const existing = await this.get(userId, scope, key);
+    if (!existing) {
+      return;
+    }
+
+    await this.redisClient.set(
+      this.buildKey(userId, scope, key),
+      JSON.stringify({
+        requestHash: existing.requestHash,
+        status: IDEMPOTENCY_STATUS.COMPLETED,
+        statusCode: response.statusCode,
+        body: response.body ?? null
+      }),
+      { PX: ttlMs }
+    );
+  }
+
+  async release(userId, scope, key) {
+    if (this.useFallback()) {
+      return this.fallback.release(userId, scope, key);
+    }
+
+    await this.redisClient.del(this.buildKey(userId, scope, key));
+  }
+}
+
+/**
+ * Supabase-backed store using the idempotency_keys table.
+ * Expired rows are ignored on read and replaced on claim.
+ */
+class SupabaseIdempotencyStore {
+  constructor() {
+    this.type = 'supabase';
+  }
+
+  toRecord(row) {
+    return {
+      requestHash: row.request_hash,
+      status: row.status,
+      statusCode: row.response_status,
+      body: row.response_body
+    };
+  }
+
+  async get(userId, scope, key) {
+    const row = await IdempotencyKey.find(userId, scope, key);
+    if (!row || new Date(row.expires_at) <= new Date()) {
+      return null;
+    }
+    return this.toRecord(row);
+  }
+
+  async claim(userId, scope, key, requestHash, ttlMs) {
+    const data = {
+      user_id: userId,
+      scope,
+      idempotency_key: key,
+      request_hash: requestHash,
+      expires_at: new Date(Date.now() + ttlMs).toISOString()
+    };
+
+    if (await IdempotencyKey.create(data)) {
+      return true;
+    }
+
+    // The key exists; it can only be reclaimed once it has expired
+    const existing = await IdempotencyKey.find(userId, scope, key);
+    if (existing && new Date(existing.expires_at) <= new Date()) {
+      await IdempotencyKey.delete(userId, scope, key);
+      return Boolean(await IdempotencyKey.create(data));
+    }
+
+    return false;
+  }
+
+  async complete(userId, scope, key, response, ttlMs) {
+    await IdempotencyKey.complete(userId, scope, key, {
+      statusCode: response.statusCode,
+      body: response.body ?? null,
+      expiresAt: new Date(Date.now() + ttlMs).toISOString()
+    });
+  }
+
+  async release(userId, scope, key) {
+    await IdempotencyKey.delete(userId, scope, key);
+  }
+}
+
+/**
+ * Create the idempotency store selected by configuration.
+ * IDEMPOTENCY_STORE=supabase|redis|memory; defaults to redis when REDIS_URL is set, otherwise supabase.
+ * @returns {MemoryIdempotencyStore|RedisIdempotencyStore|SupabaseIdempotencyStore}
+ */
+function createIdempotencyStore() {
+  const storeType = (process.env.IDEMPOTENCY_STORE || (process.env.REDIS_URL ? 'redis' : 'supabase')).toLowerCase();
+
+  if (storeType === 'redis') {
+    if (!process.env.REDIS_URL) {
+      console.warn('⚠️ IDEMPOTENCY_STORE=redis but REDIS_URL is not set, using supabase store');
+      return new SupabaseIdempotencyStore();
+    }
+    return new RedisIdempotencyStore(process.env.REDIS_URL);
+  }
+
+  if (storeType === 'memory') {
+    return new MemoryIdempotencyStore();
+  }
+
+  return new SupabaseIdempotencyStore();
+}
+
+export default createIdempotencyStore;
+export {
+  MemoryIdempotencyStore,
+  RedisIdempotencyStore,
+  SupabaseIdempotencyStore,
+  createIdempotencyStore
+};
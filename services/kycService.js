@@ -0,0 +1,400 @@
+import { supabaseAdmin } from '../database/index.js';
+import User from '../models/User.js';
+import KycSubmission from '../models/KycSubmission.js';
+import KycDocument from '../models/KycDocument.js';
+import KycLevelHistory from '../models/KycLevelHistory.js';
+import SpendingLimitService from './spendingLimitService.js';
+import notificationService from './notificationService.js';
+import logger from '../utils/logger.js';
+import {
+  KYC_LEVELS,
+  KYC_LEVEL_ORDER,
+  KYC_LIMITS,
+  KYC_LIMIT_TIMEZONE,
+  KYC_SUBMISSION_STATUS,
+  KYC_REQUIRED_DOCUMENTS,
+  KYC_UPLOADS,
+  KYC_ERRORS
+} from '../constants/kycConstants.js';
+import { NOTIFICATION_TYPES } from '../constants/notificationConstants.js';
+
+const FILE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'application/pdf': '.pdf'
+};
+
+const rank = (level) => KYC_LEVEL_ORDER.indexOf(level);
+
+/**
+ * KYC Service
+ *
+ * Users submit identity data and documents for the next level; an admin
+ * approves or rejects the submission. Approval raises users.kyc_level and
+ * records the change in kyc_level_history. Each level caps single outgoing
+ * transactions and the daily outgoing total per asset (KYC_LIMITS) over the
+ * UTC day, enforced when a transaction is created alongside the user's own
+ * daily limit.
+ *
+ * Documents live in the private KYC_UPLOADS.BUCKET storage bucket and are only
+ * shown to admins through short-lived signed URLs.
+ */
+class KycService {
+  /**
+   * @returns {string} The user's KYC level ('none' when unverified)
+   */
+  static async getLevel(userId) {
+    const user = await User.findByPk(userId);
+    return user?.kyc_level || KYC_LEVELS.NONE;
+  }
+
+  static getLimits(level) {
+    return KYC_LIMITS[level] || KYC_LIMITS[KYC_LEVELS.NONE];
+  }
+
+  /**
+   * Outgoing amounts in the current KYC day (the UTC day, whatever the user's timezone)
+   * @param {string} userId - User UUID
+   * @param {string|null} assetSymbol - Asset to report; without it, the asset with the most spent
+   * @param {Date} now - Reference instant
+   * @returns {Object} { used, usedByAsset, resetsAt }
+   */
+  static async getDailyUsage(userId, assetSymbol = null, now = new Date()) {
+    const { start, end } = SpendingLimitService.getDayWindow(KYC_LIMIT_TIMEZONE, now);
+    const usedByAsset = await SpendingLimitService.getSpentBetween(userId, start, end);
+    const used = assetSymbol
+      ? usedByAsset[assetSymbol.toUpperCase()] || 0
+      : Math.max(0, ...Object.values(usedByAsset));
+
+    return { used, usedByAsset, resetsAt: end.toISOString() };
+  }
+
+  /**
+   * Current level, its limits with today's usage, and the latest submission
+   */
+  static async getStatus(userId) {
+    const [level, submissions, daily] = await Promise.all([
+      this.getLevel(userId),
+      KycSubmission.listByUser(userId, 1),
+      this.getDailyUsage(userId)
+    ]);
+
+    const limits = this.getLimits(level);
+    const latest = submissions[0] || null;
+
+    return {
+      level,
+      limits: {
+        perTransaction: limits.perTransaction,
+        daily: limits.daily,
+        usedToday: daily.used,
+        usedTodayByAsset: daily.usedByAsset,
+        remainingToday: limits.daily === null ? null : Math.max(limits.daily - daily.used, 0),
+        resetsAt: daily.resetsAt
+      },
+      nextLevel: KYC_LEVEL_ORDER[rank(level) + 1] || null,
+      latestSubmission: latest ? this.toResponse(latest) : null
+    };
+  }
+
+  /**
+   * Submit identity data and documents for review
+   * @param {string} userId - User ID
+   * @param {Object} submission - { level, firstName, lastName, dateOfBirth, nationality, idType, idNumber, address }
+   * @param {Object} files - Uploaded files keyed by KYC_DOCUMENT_TYPES value
+   *   ({ buffer, mimetype, size })
+   * @returns {Object} Created submission with its documents
+   */
+  static async submit(userId, submission, files = {}) {
+    const currentLevel = await this.getLevel(userId);
+    if (rank(submission.level) <= rank(currentLevel)) {
+      throw new Error(KYC_ERRORS.LEVEL_NOT_HIGHER);
+    }
+
+    const missing = KYC_REQUIRED_DOCUMENTS[submission.level].filter(type => !files[type]);
+    if (missing.length > 0) {
+      throw new Error(`${KYC_ERRORS.MISSING_DOCUMENTS}: ${missing.join(', ')}`);
+    }
+
+    for (const file of Object.values(files)) {
+      if (!KYC_UPLOADS.ALLOWED_MIME_TYPES.includes(file.mimetype) || file.size > KYC_UPLOADS.MAX_FILE_SIZE) {
+        throw new Error(KYC_ERRORS.INVALID_DOCUMENT);
+      }
+    }
+
+    const created = await KycSubmission.create({
+      user_id: userId,
+      requested_level: submission.level,
+      first_name: submission.firstName,
+      last_name: submission.lastName,
+      date_of_birth: submission.dateOfBirth,
+      nationality: submission.nationality.toUpperCase(),
+      id_type: submission.idType,
+      id_number: submission.idNumber,
+      address: submission.address
+    });
+
+    // Without its documents the submission cannot be reviewed, so undo it on failure
+    const uploaded = [];
+    try {
+      for (const [type, file] of Object.entries(files)) {
+        const path = `${userId}/${created.id}/${type}${FILE_EXTENSIONS[file.mimetype]}`;
+        await this.uploadDocument(path, file);
+        uploaded.push({
+          submission_id: created.id,
+          user_id: userId,
+          document_type: type,
+          storage_path: path,
+          mime_type: file.mimetype,
+          size_bytes: file.size
+        });
+      }
+
+      const documents = await KycDocument.createMany(uploaded);
+
+      logger.info(`✅ KYC submission ${created.id} for ${submission.level} received from user ${userId}`);
+      return this.toResponse(created, documents);
+    } catch (error) {
+      await this.removeDocuments(uploaded.map(document => document.storage_path));
+      await KycSubmission.delete(created.id);
+      throw error;
+    }
+  }
+
+  static async listUserSubmissions(userId) {
+    const submissions = await KycSubmission.listByUser(userId);
+    return submissions.map(submission => this.toResponse(submission));
+  }
+
+  /**
+   * Admin review queue
+   * @param {Object} filters - { status, userId, limit, offset }
+   */
+  static async listSubmissions(filters = {}) {
+    const submissions = await KycSubmission.list(filters);
+    return submissions.map(submission => this.toResponse(submission, null, { includeIdentity: true }));
+  }
+
+  /**
+   * One submission for review, with signed document URLs and the user's level history
+   */
+  static async getSubmission(submissionId) {
+    const submission = await KycSubmission.findById(submissionId);
+    if (!submission) {
+      throw new Error(KYC_ERRORS.SUBMISSION_NOT_FOUND);
+    }
+
+    const [documents, history] = await Promise.all([
+      KycDocument.listBySubmission(submissionId),
+      KycLevelHistory.listByUser(submission.user_id)
+    ]);
+
+    const withUrls = await Promise.all(documents.map(async document => ({
+      ...document,
+      url: await this.createSignedUrl(document.storage_path)
+    })));
+
+    return {
+      ...this.toResponse(submission, withUrls, { includeIdentity: true }),
+      levelHistory: history.map(entry => this.toHistoryResponse(entry))
+    };
+  }
+
+  static async approve(submissionId, adminId) {
+    const submission = await this.review(submissionId, {
+      status: KYC_SUBMISSION_STATUS.APPROVED,
+      reviewed_by: adminId
+    });
+
+    await this.setLevel(submission.user_id, submission.requested_level, {
+      submissionId,
+      changedBy: adminId
+    });
+
+    await this.notifyUser(submission, NOTIFICATION_TYPES.KYC_APPROVED);
+    return this.toResponse(submission, null, { includeIdentity: true });
+  }
+
+  static async reject(submissionId, adminId, reason) {
+    const submission = await this.review(submissionId, {
+      status: KYC_SUBMISSION_STATUS.REJECTED,
+      reviewed_by: adminId,
+      rejection_reason: reason
+    });
+
+    await this.notifyUser(submission, NOTIFICATION_TYPES.KYC_REJECTED);
+    return this.toResponse(submission, null, { includeIdentity: true });
+  }
+
+  /**
+   * Record a decision on a pending submission
+   */
+  static async review(submissionId, decision) {
+    const reviewed = await KycSubmission.review(submissionId, decision);
+    if (reviewed) {
+      logger.logSecurity(`KYC submission ${decision.status}`, 'medium', {
+        submissionId,
+        userId: reviewed.user_id,
+        adminId: decision.reviewed_by
+      });
+      return reviewed;
+    }
+
+    const existing = await KycSubmission.findById(submissionId);
+    throw new Error(existing ? KYC_ERRORS.NOT_PENDING : KYC_ERRORS.SUBMISSION_NOT_FOUND);
+  }
+
+  /**
+   * Raise a user's level and record the change; never lowers it
+   * @returns {string} The user's level afterwards
+   */
+  static async setLevel(userId, level, { submissionId = null, changedBy = null } = {}) {
+    const user = await User.findByPk(userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const previousLevel = user.kyc_level || KYC_LEVELS.NONE;
+    if (rank(level) <= rank(previousLevel)) {
+      return previousLevel;
+    }
+
+    await new User(user).update({ kyc_level: level });
+    await KycLevelHistory.create({
+      user_id: userId,
+      previous_level: previousLevel,
+      new_level: level,
+      submission_id: submissionId,
+      changed_by: changedBy
+    });
+
+    logger.info(`✅ KYC level of user ${userId} raised from ${previousLevel} to ${level}`);
+    return level;
+  }
+
+  static async getLevelHistory(userId) {
+    const history = await KycLevelHistory.listByUser(userId);
+    return history.map(entry => this.toHistoryResponse(entry));
+  }
+
+  /**
+   * Throw when an outgoing amount is over the user's KYC level limits
+   * @param {string} userId - User UUID
+   * @param {number} amount - Amount about to be sent
+   * @param {string} assetSymbol - Asset the amount is in; the daily limit is counted per asset
+   */
+  static async assertWithinLimits(userId, amount, assetSymbol) {
+    const level = await this.getLevel(userId);
+    const limits = this.getLimits(level);
+    const requested = parseFloat(amount);
+
+    if (limits.perTransaction !== null && requested > limits.perTransaction) {
+      logger.logTransaction('KYC per-transaction limit exceeded', 'warn', { userId, level, requested });
+      throw new Error(`${KYC_ERRORS.LIMIT_EXCEEDED}: ${level} level allows at most ${limits.perTransaction} per transaction`);
+    }
+
+    if (limits.daily !== null) {
+      const { used } = await this.getDailyUsage(userId, assetSymbol);
+      if (used + requested > limits.daily) {
+        logger.logTransaction('KYC daily limit exceeded', 'warn', { userId, level, requested, assetSymbol, used });
+        throw new Error(`${KYC_ERRORS.LIMIT_EXCEEDED}: ${level} level allows ${limits.daily} per day, remaining ${Math.max(limits.daily - used, 0)}`);
+      }
+    }
+  }
+
+  /**
+   * Whether an error (possibly wrapped by another service) came from the KYC limit check
+   */
+  static isLimitError(error) {
+    return Boolean(error?.message && error.message.includes(KYC_ERRORS.LIMIT_EXCEEDED));
+  }
+
+  static async notifyUser(submission, type) {
+    try {
+      await notificationService.sendKycStatusNotification(submission.user_id, {
+        type,
+        level: submission.requested_level,
+        reason: submission.rejection_reason,
+        submissionId: submission.id
+      });
+    } catch (error) {
+      logger.error(`❌ Failed to send KYC status notification for submission ${submission.id}:`, error);
+    }
+  }
+
+  static async uploadDocument(path, file) {
+    const { error } = await supabaseAdmin.storage
+      .from(KYC_UPLOADS.BUCKET)
+      .upload(path, file.buffer, { contentType: file.mimetype, upsert: false });
+
+    if (error) throw new Error(`Failed to upload KYC document: ${error.message}`);
+  }
+
+  static async removeDocuments(paths) {
+    if (paths.length === 0) {
+      return;
+    }
+
+    const { error } = await supabaseAdmin.storage.from(KYC_UPLOADS.BUCKET).remove(paths);
+    if (error) {
+      logger.error(`❌ Failed to remove orphaned KYC documents: ${error.message}`);
+    }
+  }
+
+  static async createSignedUrl(path) {
+    const { data, error } = await supabaseAdmin.storage
+      .from(KYC_UPLOADS.BUCKET)
+      .createSignedUrl(path, KYC_UPLOADS.SIGNED_URL_TTL_SECONDS);
+
+    if (error) throw new Error(`Failed to sign KYC document URL: ${error.message}`);
+    return data.signedUrl;
+  }
+
+  /**
+   * API shape of a submission; identity data is only included for admins
+   */
+  static toResponse(row, documents = null, { includeIdentity = false } = {}) {
+    return {
+      id: row.id,
+      userId: row.user_id,
+      level: row.requested_level,
+      status: row.status,
+      rejectionReason: row.rejection_reason,
+      reviewedAt: row.reviewed_at,
+      createdAt: row.created_at,
+      ...(includeIdentity && {
+        identity: {
+          firstName: row.first_name,
+          lastName: row.last_name,
+          dateOfBirth: row.date_of_birth,
+          nationality: row.nationality,
+          idType: row.id_type,
+          idNumber: row.id_number,
+          address: row.address
+        },
+        reviewedBy: row.reviewed_by
+      }),
+      ...(documents && {
+        documents: documents.map(document => ({
+          id: document.id,
+          type: document.document_type,
+          mimeType: document.mime_type,
+          sizeBytes: document.size_bytes,
+          ...(document.url && { url: document.url })
+        }))
+      })
+    };
+  }
+
+  static toHistoryResponse(row) {
+    return {
+      previousLevel: row.previous_level,
+      newLevel: row.new_level,
+      submissionId: row.submission_id,
+      changedBy: row.changed_by,
+      createdAt: row.created_at
+    };
+  }
+}
+
+export default KycService;
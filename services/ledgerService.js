@@ -0,0 +1,384 @@
+import LedgerPosting from '../models/LedgerPosting.js';
+import LedgerEntry from '../models/LedgerEntry.js';
+import AssetBalance from '../models/AssetBalance.js';
+import Wallet from '../models/Wallet.js';
+import Transaction from '../models/Transaction.js';
+import { SPENDING_TYPES } from './spendingLimitService.js';
+import logger from '../utils/logger.js';
+import {
+  LEDGER_POSTING_TYPES,
+  LEDGER_ACCOUNTS,
+  LEDGER_DIRECTIONS,
+  LEDGER_INCOMING_TYPES,
+  LEDGER_PRECISION,
+  LEDGER_ERRORS
+} from '../constants/ledgerConstants.js';
+import { P2P_ROLES } from '../constants/transferConstants.js';
+
+const { WALLET_AVAILABLE, WALLET_PENDING, EXTERNAL } = LEDGER_ACCOUNTS;
+const { DEBIT, CREDIT } = LEDGER_DIRECTIONS;
+
+// Posting IDs per ledger_entries request when reconciling one wallet
+const POSTING_BATCH_SIZE = 100;
+
+const SCALE = 10 ** LEDGER_PRECISION;
+const toUnits = value => Math.round(Number(value || 0) * SCALE);
+const fromUnits = units => units / SCALE;
+
+const entry = (walletId, account, assetSymbol, direction, amount) => ({
+  wallet_id: walletId,
+  account,
+  asset_symbol: assetSymbol,
+  direction,
+  amount
+});
+
+/**
+ * Ledger Service
+ *
+ * Every balance change is a posting of debit and credit entries that sum to
+ * zero per asset. Wallet accounts mirror asset_balances.available and
+ * .pending; the external account stands for money entering or leaving the
+ * platform. post_ledger_entries (migration 031) writes a posting and updates
+ * asset_balances in the same database transaction.
+ *
+ * Outgoing transactions (SPENDING_TYPES) hold the amount in the sender's
+ * pending balance when they are created. Completing one settles the hold to
+ * the recipient's wallet, or out of the platform when there is no internal
+ * recipient; failing or cancelling it releases the hold back to available.
+ * Completed incoming transactions credit the sender's wallet. These postings
+ * are saved together with the status change that causes them
+ * (apply_transaction_status, migration 033).
+ */
+class LedgerService {
+  /**
+   * Move an outgoing transaction's amount from available to pending. With a
+   * daily limit, the limit is checked again under the same lock as the hold
+   * (hold_transaction_funds, migration 038), so parallel creates cannot all
+   * pass it.
+   * @param {Object} transaction - transactions row
+   * @param {Object|null} limit - Daily limit status from SpendingLimitService
+   * @returns {Object} The hold posting
+   */
+  static async holdFunds(transaction, limit = null) {
+    const wallet = await Wallet.getPrimaryWallet(transaction.sender_id);
+    if (!wallet) {
+      throw new Error(LEDGER_ERRORS.NO_WALLET);
+    }
+
+    const { asset_symbol: asset, amount } = transaction;
+    return this.post(transaction, LEDGER_POSTING_TYPES.HOLD, [
+      entry(wallet.id, WALLET_AVAILABLE, asset, DEBIT, amount),
+      entry(wallet.id, WALLET_PENDING, asset, CREDIT, amount)
+    ], limit);
+  }
+
+  /**
+   * Entries paying out a held amount to the recipient's wallet, or to
+   * external when the transaction has no internal recipient
+   */
+  static async settleEntries(transaction, hold) {
+    const { asset_symbol: asset, amount } = transaction;
+
+    let destination = entry(null, EXTERNAL, asset, CREDIT, amount);
+    if (transaction.recipient_id) {
+      const wallet = await Wallet.getPrimaryWallet(transaction.recipient_id);
+      if (!wallet) {
+        throw new Error(LEDGER_ERRORS.NO_WALLET);
+      }
+      destination = entry(wallet.id, WALLET_AVAILABLE, asset, CREDIT, amount);
+    }
+
+    return [
+      entry(hold.wallet_id, WALLET_PENDING, asset, DEBIT, amount),
+      destination
+    ];
+  }
+
+  /**
+   * Entries returning a held amount to the sender's available balance
+   */
+  static releaseEntries(transaction, hold) {
+    const { asset_symbol: asset, amount } = transaction;
+    return [
+      entry(hold.wallet_id, WALLET_PENDING, asset, DEBIT, amount),
+      entry(hold.wallet_id, WALLET_AVAILABLE, asset, CREDIT, amount)
+    ];
+  }
+
+  /**
+   * Entries crediting a completed incoming transaction to the sender's wallet
+   */
+  static async creditEntries(transaction) {
+    const wallet = await Wallet.getPrimaryWallet(transaction.sender_id);
+    if (!wallet) {
+      throw new Error(LEDGER_ERRORS.NO_WALLET);
+    }
+
+    const { asset_symbol: asset, amount } = transaction;
+    return [
+      entry(null, EXTERNAL, asset, DEBIT, amount),
+      entry(wallet.id, WALLET_AVAILABLE, asset, CREDIT, amount)
+    ];
+  }
+
+  /**
+   * Save a transaction's move to `status` together with whatever it means
+   * for balances, in one database transaction. Repeating a status change
+   * posts nothing.
+   * @param {Object} transaction - transactions row before the change
+   * @param {string} status - New status
+   * @param {Object} updates - { status, completed_at, metadata } to save
+   * @param {string|null} expectedStatus - Refuse the change unless the row is still in this status
+   * @returns {Object} The updated transactions row
+   */
+  static async applyStatusChange(transaction, status, updates, expectedStatus = null) {
+    const posting = await this.postingForStatusChange(transaction, status);
+
+    let updated;
+    try {
+      updated = await Transaction.applyStatus(transaction.id, transaction.sender_id, updates, posting, expectedStatus);
+    } catch (error) {
+      throw this.postingError(error);
+    }
+
+    if (posting) {
+      logger.logTransaction('Ledger posting recorded', 'info', {
+        transactionId: transaction.id,
+        type: posting.type,
+        amount: transaction.amount,
+        assetSymbol: transaction.asset_symbol
+      });
+    }
+
+    return updated;
+  }
+
+  /**
+   * The posting a transaction's move to `status` needs
+   * @returns {Object|null} { type, entries }, or null when no funds move
+   */
+  static async postingForStatusChange(transaction, status) {
+    // A P2P recipient's record mirrors the sender's transfer, which moves the funds
+    const type = transaction.metadata?.p2p?.role === P2P_ROLES.RECEIVER
+      ? null
+      : this.postingTypeFor(transaction.type, status);
+    if (!type) {
+      return null;
+    }
+
+    const postings = await LedgerPosting.findByTransaction(transaction.id);
+    if (postings.some(posting => posting.type === type)) {
+      return null;
+    }
+
+    if (type === LEDGER_POSTING_TYPES.CREDIT) {
+      return { type, entries: await this.creditEntries(transaction) };
+    }
+
+    if (!postings.some(posting => posting.type === LEDGER_POSTING_TYPES.HOLD)) {
+      // Created before the ledger existed, so its funds were never held
+      logger.warn(`⚠️ Transaction ${transaction.id} has no ledger hold; skipping ${type}`);
+      return null;
+    }
+    if (postings.some(posting => [LEDGER_POSTING_TYPES.SETTLE, LEDGER_POSTING_TYPES.RELEASE].includes(posting.type))) {
+      throw new Error(LEDGER_ERRORS.ALREADY_SETTLED);
+    }
+
+    const entries = await LedgerEntry.findByTransaction(transaction.id);
+    const hold = entries.find(item => item.account === WALLET_PENDING && item.direction === CREDIT);
+
+    return {
+      type,
+      entries: type === LEDGER_POSTING_TYPES.SETTLE
+        ? await this.settleEntries(transaction, hold)
+        : this.releaseEntries(transaction, hold)
+    };
+  }
+
+  static postingTypeFor(transactionType, status) {
+    if (SPENDING_TYPES.includes(transactionType)) {
+      if (status === 'completed') return LEDGER_POSTING_TYPES.SETTLE;
+      if (status === 'failed' || status === 'cancelled') return LEDGER_POSTING_TYPES.RELEASE;
+    }
+    if (LEDGER_INCOMING_TYPES.includes(transactionType) && status === 'completed') {
+      return LEDGER_POSTING_TYPES.CREDIT;
+    }
+    return null;
+  }
+
+  static async post(transaction, type, entries, limit = null) {
+    try {
+      const posting = type === LEDGER_POSTING_TYPES.HOLD
+        ? await LedgerPosting.hold(transaction.id, entries, limit)
+        : await LedgerPosting.post(transaction.id, type, entries);
+
+      logger.logTransaction('Ledger posting recorded', 'info', {
+        transactionId: transaction.id,
+        postingId: posting.id,
+        type,
+        amount: transaction.amount,
+        assetSymbol: transaction.asset_symbol
+      });
+
+      return posting;
+    } catch (error) {
+      throw this.postingError(error);
+    }
+  }
+
+  static postingError(error) {
+    // asset_balances' CHECK constraints reject a posting that would overdraw a wallet
+    if (error.code === '23514' || error.message.includes('check_available_positive')) {
+      return new Error(LEDGER_ERRORS.INSUFFICIENT_FUNDS);
+    }
+    return error;
+  }
+
+  /**
+   * Compare asset_balances with the sums of their ledger entries and check
+   * that every posting balances
+   * @param {Object} options
+   * @param {string} options.walletId - Only reconcile this wallet
+   * @returns {Object} Reconciliation report
+   */
+  static async reconcile({ walletId = null } = {}) {
+    const [balances, walletEntries] = await Promise.all([
+      walletId ? AssetBalance.findByWalletId(walletId) : this.listAllBalances(),
+      LedgerEntry.list({ walletId })
+    ]);
+
+    const expected = new Map();
+    for (const item of walletEntries.filter(row => row.wallet_id)) {
+      const key = `${item.wallet_id}:${item.asset_symbol}`;
+      const sums = expected.get(key) || { walletId: item.wallet_id, assetSymbol: item.asset_symbol, available: 0, pending: 0 };
+      const signed = item.direction === CREDIT ? toUnits(item.amount) : -toUnits(item.amount);
+      if (item.account === WALLET_AVAILABLE) sums.available += signed;
+      else sums.pending += signed;
+      expected.set(key, sums);
+    }
+
+    const mismatches = [];
+    const seen = new Set();
+    for (const balance of balances || []) {
+      const key = `${balance.wallet_id}:${balance.asset_symbol}`;
+      seen.add(key);
+      const sums = expected.get(key) || { available: 0, pending: 0 };
+      const mismatch = this.compareBalance(balance, sums);
+      if (mismatch) mismatches.push(mismatch);
+    }
+    for (const [key, sums] of expected) {
+      if (!seen.has(key) && (sums.available !== 0 || sums.pending !== 0)) {
+        mismatches.push(this.compareBalance({ wallet_id: sums.walletId, asset_symbol: sums.assetSymbol }, sums));
+      }
+    }
+
+    const postingEntries = walletId ? await this.entriesOfPostings(walletEntries) : walletEntries;
+    const unbalancedPostings = this.findUnbalancedPostings(postingEntries);
+
+    const report = {
+      checkedAt: new Date().toISOString(),
+      walletId,
+      balancesChecked: seen.size,
+      postingsChecked: new Set(postingEntries.map(item => item.posting_id)).size,
+      mismatches,
+      unbalancedPostings,
+      balanced: mismatches.length === 0 && unbalancedPostings.length === 0
+    };
+
+    if (!report.balanced) {
+      logger.warn('⚠️ Ledger reconciliation found differences', {
+        walletId,
+        mismatches: mismatches.length,
+        unbalancedPostings: unbalancedPostings.length
+      });
+    }
+
+    return report;
+  }
+
+  static compareBalance(balance, sums) {
+    const actual = {
+      available: toUnits(balance.available),
+      pending: toUnits(balance.pending),
+      total: toUnits(balance.total)
+    };
+    const expected = { ...sums, total: sums.available + sums.pending };
+
+    const differs = ['available', 'pending', 'total'].some(field => actual[field] !== expected[field]);
+    if (!differs) {
+      return null;
+    }
+
+    const amounts = values => ({
+      available: fromUnits(values.available),
+      pending: fromUnits(values.pending),
+      total: fromUnits(values.total)
+    });
+    return {
+      walletId: balance.wallet_id,
+      assetSymbol: balance.asset_symbol,
+      expected: amounts(expected),
+      actual: amounts(actual)
+    };
+  }
+
+  static findUnbalancedPostings(entries) {
+    const nets = new Map();
+    for (const item of entries) {
+      const key = `${item.posting_id}:${item.asset_symbol}`;
+      const signed = item.direction === DEBIT ? toUnits(item.amount) : -toUnits(item.amount);
+      nets.set(key, (nets.get(key) || 0) + signed);
+    }
+
+    const unbalanced = new Set();
+    for (const [key, net] of nets) {
+      if (net !== 0) unbalanced.add(key.split(':')[0]);
+    }
+    return [...unbalanced];
+  }
+
+  /**
+   * All entries of the postings that touched a wallet, including the other side
+   */
+  static async entriesOfPostings(walletEntries) {
+    const postingIds = [...new Set(walletEntries.map(item => item.posting_id))];
+    const entries = [];
+    for (let i = 0; i < postingIds.length; i += POSTING_BATCH_SIZE) {
+      entries.push(...await LedgerEntry.list({ postingIds: postingIds.slice(i, i + POSTING_BATCH_SIZE) }));
+    }
+    return entries;
+  }
+
+  static async listAllBalances() {
+    const balances = [];
+    for (let offset = 0; ; offset += 1000) {
+      const page = await AssetBalance.findAll(offset, 1000);
+      balances.push(...page);
+      if (page.length < 1000) return balances;
+    }
+  }
+
+  /**
+   * Whether an error (possibly wrapped by another service) means the wallet could not cover the amount
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  static isInsufficientFundsError(error) {
+    return Boolean(error?.message && error.message.includes(LEDGER_ERRORS.INSUFFICIENT_FUNDS));
+  }
+
+  static isAlreadySettledError(error) {
+    return Boolean(error?.message && error.message.includes(LEDGER_ERRORS.ALREADY_SETTLED));
+  }
+
+  static isNotPendingError(error) {
+    return Boolean(error?.message && error.message.includes(LEDGER_ERRORS.NOT_PENDING));
+  }
+
+  static isNoWalletError(error) {
+    return Boolean(error?.message && error.message.includes(LEDGER_ERRORS.NO_WALLET));
+  }
+}
+
+export default LedgerService;
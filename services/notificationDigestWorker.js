@@ -0,0 +1,108 @@
+import Notification from '../models/Notification.js';
+import notificationService from './notificationService.js';
+import logger from '../utils/logger.js';
+import { NOTIFICATION_DIGEST } from '../constants/notificationConstants.js';
+
+/**
+ * Notification Digest Worker
+ *
+ * Picks up notifications deferred by quiet hours once their deferred_until has
+ * passed and sends each user one digest for all of them. A user whose items
+ * span two polls (more than batchSize due at once) gets two digests.
+ *
+ * Each user's items are claimed before sending, so other API instances skip
+ * them. When no channel delivers the digest the items stay undigested and are
+ * picked up again once the claim runs out.
+ */
+class NotificationDigestWorker {
+  /**
+   * @param {Object} options
+   * @param {number} options.intervalMs - Polling interval
+   * @param {number} options.batchSize - Maximum deferred notifications per poll
+   */
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs || NOTIFICATION_DIGEST.INTERVAL_MS;
+    this.batchSize = options.batchSize || NOTIFICATION_DIGEST.BATCH_SIZE;
+
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Start polling in the background
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.pollOnce().catch(error => {
+        logger.logError('Notification digest poll failed', error);
+      });
+    }, this.intervalMs);
+
+    // Do not keep the process alive just for the worker
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    console.log(`✅ Notification digest worker started (every ${this.intervalMs}ms)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Send the digests that are due
+   * @returns {Object} Counts of users sent a digest and users that failed
+   */
+  async pollOnce(now = new Date()) {
+    // Skip if the previous poll is still running
+    if (this.polling) {
+      return { sent: 0, failed: 0, skipped: true };
+    }
+
+    this.polling = true;
+    const summary = { sent: 0, failed: 0 };
+
+    try {
+      const due = await Notification.findDueForDigest(now, this.batchSize);
+
+      const byUser = new Map();
+      for (const item of due) {
+        byUser.set(item.user_id, [...(byUser.get(item.user_id) || []), item]);
+      }
+
+      const claimUntil = new Date(now.getTime() + NOTIFICATION_DIGEST.CLAIM_MS);
+
+      for (const [userId, candidates] of byUser) {
+        try {
+          const items = await Notification.claimForDigest(candidates.map(item => item.id), now, claimUntil);
+          if (items.length === 0) {
+            // Another instance is sending this digest
+            continue;
+          }
+
+          await notificationService.sendDigest(userId, items);
+          await Notification.markDigested(items.map(item => item.id));
+          summary.sent++;
+        } catch (error) {
+          // Left undigested, so a poll after the claim runs out retries
+          summary.failed++;
+          logger.logError('Failed to send notification digest', error, { userId });
+        }
+      }
+
+      return summary;
+    } finally {
+      this.polling = false;
+    }
+  }
+}
+
+export default NotificationDigestWorker;
@@ -0,0 +1,147 @@
+import Notification from '../models/Notification.js';
+import {
+  NOTIFICATION_INBOX,
+  NOTIFICATION_ERRORS
+} from '../constants/notificationConstants.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Notification Inbox Service
+ *
+ * Every notification sent through notificationService is also stored in the
+ * notifications table, so users can read it in the app even when the push
+ * never reached their device. Pages are walked newest first with an opaque
+ * cursor encoding the (created_at, id) of the last notification returned.
+ */
+class NotificationInboxService {
+  static encodeCursor(notification) {
+    return Buffer.from(JSON.stringify({
+      createdAt: notification.created_at,
+      id: notification.id
+    })).toString('base64url');
+  }
+
+  static decodeCursor(cursor) {
+    try {
+      const { createdAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (typeof createdAt !== 'string' || Number.isNaN(new Date(createdAt).getTime()) || !UUID_PATTERN.test(id)) {
+        throw new Error(NOTIFICATION_ERRORS.INVALID_CURSOR);
+      }
+      return { createdAt, id };
+    } catch {
+      throw new Error(NOTIFICATION_ERRORS.INVALID_CURSOR);
+    }
+  }
+
+  /**
+   * Store a notification in the user's inbox
+   * @param {string} userId - User ID
+   * @param {Object} notification - { category, type, title, body, data, locale };
+   *   deferredUntil and deferredChannels hold delivery for the quiet hours digest
+   */
+  static async record(userId, {
+    category,
+    type,
+    title,
+    body,
+    data = {},
+    locale = null,
+    deferredUntil = null,
+    deferredChannels = null
+  }) {
+    const notification = await Notification.create({
+      user_id: userId,
+      category,
+      type,
+      title,
+      body,
+      data,
+      locale,
+      deferred_until: deferredUntil ? deferredUntil.toISOString() : null,
+      deferred_channels: deferredChannels
+    });
+
+    return this.toResponse(notification);
+  }
+
+  /**
+   * One page of the inbox, newest first
+   * @param {Object} options - { cursor, limit, unreadOnly }
+   * @returns {Object} { notifications, pagination, unreadCount }
+   */
+  static async list(userId, { cursor = null, limit = NOTIFICATION_INBOX.DEFAULT_PAGE_SIZE, unreadOnly = false } = {}) {
+    const before = cursor ? this.decodeCursor(cursor) : null;
+    const pageSize = Math.min(Math.max(limit, 1), NOTIFICATION_INBOX.MAX_PAGE_SIZE);
+
+    // One extra row tells whether another page exists
+    const [rows, unreadCount] = await Promise.all([
+      Notification.listByUser(userId, { limit: pageSize + 1, before, unreadOnly }),
+      Notification.countUnread(userId)
+    ]);
+
+    const page = rows.slice(0, pageSize);
+    const hasMore = rows.length > pageSize;
+
+    return {
+      notifications: page.map(notification => this.toResponse(notification)),
+      pagination: {
+        limit: pageSize,
+        cursor,
+        nextCursor: hasMore ? this.encodeCursor(page[page.length - 1]) : null,
+        hasMore
+      },
+      unreadCount
+    };
+  }
+
+  static async getUnreadCount(userId) {
+    return Notification.countUnread(userId);
+  }
+
+  /**
+   * Mark a notification read; marking it again is a no-op
+   */
+  static async markRead(userId, id) {
+    const updated = await Notification.markRead(id, userId);
+    if (updated) {
+      return this.toResponse(updated);
+    }
+
+    const existing = await Notification.findByIdForUser(id, userId);
+    if (!existing) {
+      throw new Error(NOTIFICATION_ERRORS.NOT_FOUND);
+    }
+    return this.toResponse(existing);
+  }
+
+  /**
+   * @returns {number} How many notifications were marked read
+   */
+  static async markAllRead(userId) {
+    return Notification.markAllRead(userId);
+  }
+
+  static async remove(userId, id) {
+    const deleted = await Notification.delete(id, userId);
+    if (!deleted) {
+      throw new Error(NOTIFICATION_ERRORS.NOT_FOUND);
+    }
+  }
+
+  static toResponse(notification) {
+    return {
+      id: notification.id,
+      category: notification.category,
+      type: notification.type,
+      title: notification.title,
+      body: notification.body,
+      data: notification.data || {},
+      read: Boolean(notification.read_at),
+      readAt: notification.read_at,
+      createdAt: notification.created_at
+    };
+  }
+}
+
+export default NotificationInboxService;
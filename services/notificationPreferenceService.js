@@ -0,0 +1,200 @@
+import SpendingLimitService from './spendingLimitService.js';
+import {
+  PREFERENCE_CHANNELS,
+  PREFERENCE_CATEGORY_KEYS,
+  CATEGORY_SETTINGS,
+  CHANNEL_SETTINGS,
+  QUIET_HOURS,
+  NOTIFICATION_PREFERENCE_ERRORS
+} from '../constants/notificationConstants.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(part => parseInt(part, 10));
+  return hours * 60 + minutes;
+};
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Notification Preference Service
+ *
+ * Decides which channels a notification goes out on and whether it has to
+ * wait for the end of the user's quiet hours.
+ *
+ * A channel is used for a category when all of these hold:
+ *   - the category is on (transaction_alerts, security_alerts, promotions)
+ *   - the channel is on (push_enabled, email_notifications, whatsapp_notifications)
+ *   - channel_preferences[category][channel] is not false
+ *
+ * Quiet hours are wall-clock times in the user's timezone (user_settings) and
+ * may span midnight. Everything except QUIET_HOURS.BYPASS_CATEGORIES is
+ * deferred until they end.
+ */
+class NotificationPreferenceService {
+  /**
+   * Channels enabled for a category
+   * @param {Object} settings - notification_settings row
+   * @param {string} category - NOTIFICATION_CATEGORIES value
+   * @returns {Array<string>} Subset of PREFERENCE_CHANNELS
+   */
+  static resolveChannels(settings, category) {
+    if (!settings) {
+      return [];
+    }
+
+    const categorySetting = CATEGORY_SETTINGS[category];
+    if (categorySetting && !settings[categorySetting]) {
+      return [];
+    }
+
+    const preferences = settings.channel_preferences?.[category] || {};
+    return PREFERENCE_CHANNELS.filter(channel =>
+      Boolean(settings[CHANNEL_SETTINGS[channel]]) && preferences[channel] !== false
+    );
+  }
+
+  /**
+   * Current local time in minutes after midnight
+   */
+  static getLocalMinutes(timezone, now = new Date()) {
+    const zone = SpendingLimitService.isValidTimezone(timezone) ? timezone : QUIET_HOURS.DEFAULT_TIMEZONE;
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).formatToParts(now);
+
+    const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+    return value('hour') * 60 + value('minute');
+  }
+
+  static isQuietHours(settings, timezone, now = new Date()) {
+    if (!settings?.quiet_hours_enabled || !settings.quiet_hours_start || !settings.quiet_hours_end) {
+      return false;
+    }
+
+    const start = toMinutes(settings.quiet_hours_start);
+    const end = toMinutes(settings.quiet_hours_end);
+    const current = this.getLocalMinutes(timezone, now);
+
+    return start < end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  /**
+   * When the current quiet hours end. Counted in wall-clock minutes, so a DST
+   * change inside the window shifts delivery by up to an hour.
+   */
+  static getQuietHoursEnd(settings, timezone, now = new Date()) {
+    const current = this.getLocalMinutes(timezone, now);
+    const remaining = (toMinutes(settings.quiet_hours_end) - current + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    const startOfMinute = now.getTime() - (now.getTime() % 60000);
+
+    return new Date(startOfMinute + remaining * 60000);
+  }
+
+  /**
+   * When a notification should be delivered
+   * @returns {Date|null} End of quiet hours, or null to deliver now
+   */
+  static getDeferral(settings, category, timezone, now = new Date()) {
+    if (QUIET_HOURS.BYPASS_CATEGORIES.includes(category) || !this.isQuietHours(settings, timezone, now)) {
+      return null;
+    }
+
+    return this.getQuietHoursEnd(settings, timezone, now);
+  }
+
+  /**
+   * Merge API channel preferences ({ promotion: { push: false } }, camelCase
+   * category keys) into the stored ones
+   * @returns {Object} channel_preferences column value
+   */
+  static mergeChannelPreferences(current = {}, input) {
+    if (!isPlainObject(input)) {
+      throw new Error(NOTIFICATION_PREFERENCE_ERRORS.INVALID_CHANNELS);
+    }
+
+    const merged = { ...(current || {}) };
+    for (const [key, channels] of Object.entries(input)) {
+      const category = PREFERENCE_CATEGORY_KEYS[key];
+      if (!category || !isPlainObject(channels)) {
+        throw new Error(NOTIFICATION_PREFERENCE_ERRORS.INVALID_CHANNELS);
+      }
+
+      for (const [channel, enabled] of Object.entries(channels)) {
+        if (!PREFERENCE_CHANNELS.includes(channel) || typeof enabled !== 'boolean') {
+          throw new Error(NOTIFICATION_PREFERENCE_ERRORS.INVALID_CHANNELS);
+        }
+      }
+
+      merged[category] = { ...(merged[category] || {}), ...channels };
+    }
+
+    return merged;
+  }
+
+  /**
+   * Validate API quiet hours ({ enabled, start, end }) into column values
+   */
+  static parseQuietHours(current = {}, input) {
+    if (!isPlainObject(input)) {
+      throw new Error(NOTIFICATION_PREFERENCE_ERRORS.INVALID_QUIET_HOURS);
+    }
+
+    const enabled = input.enabled ?? current.quiet_hours_enabled ?? false;
+    const start = input.start ?? current.quiet_hours_start?.slice(0, 5) ?? null;
+    const end = input.end ?? current.quiet_hours_end?.slice(0, 5) ?? null;
+
+    if (typeof enabled !== 'boolean') {
+      throw new Error(NOTIFICATION_PREFERENCE_ERRORS.INVALID_QUIET_HOURS);
+    }
+
+    for (const time of [start, end]) {
+      if (time !== null && !QUIET_HOURS.TIME_PATTERN.test(time)) {
+        throw new Error(NOTIFICATION_PREFERENCE_ERRORS.INVALID_QUIET_HOURS);
+      }
+    }
+
+    if (enabled && (!start || !end || start === end)) {
+      throw new Error(NOTIFICATION_PREFERENCE_ERRORS.INVALID_QUIET_HOURS);
+    }
+
+    return {
+      quiet_hours_enabled: enabled,
+      quiet_hours_start: start,
+      quiet_hours_end: end
+    };
+  }
+
+  /**
+   * API shape of the channel preferences and quiet hours, with every
+   * category and channel filled in
+   */
+  static toResponse(settings) {
+    const channels = Object.fromEntries(
+      Object.entries(PREFERENCE_CATEGORY_KEYS).map(([key, category]) => [
+        key,
+        Object.fromEntries(PREFERENCE_CHANNELS.map(channel => [
+          channel,
+          settings?.channel_preferences?.[category]?.[channel] !== false
+        ]))
+      ])
+    );
+
+    return {
+      channels,
+      quietHours: {
+        enabled: settings?.quiet_hours_enabled ?? false,
+        start: settings?.quiet_hours_start?.slice(0, 5) ?? null,
+        end: settings?.quiet_hours_end?.slice(0, 5) ?? null
+      }
+    };
+  }
+}
+
+export default NotificationPreferenceService;
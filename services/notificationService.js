@@ -1,7 +1,22 @@
 import emailService from './emailService.js';
 import firebaseService from './firebaseService.js';
+import whatsappService from './whatsappService.js';
 import NotificationSettings from '../models/NotificationSettings.js';
-import { supabase } from '../database/supabase.js';
+import UserSettings from '../models/UserSettings.js';
+import NotificationTemplateService from './notificationTemplateService.js';
+import NotificationInboxService from './notificationInboxService.js';
+import DeviceTokenService from './deviceTokenService.js';
+import NotificationPreferenceService from './notificationPreferenceService.js';
+import { WHATSAPP_TEMPLATES } from '../constants/whatsappConstants.js';
+import {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_LOCALES,
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_DIGEST,
+  QUIET_HOURS
+} from '../constants/notificationConstants.js';
+import { supabase } from '../database/index.js';
 import logger from '../utils/logger.js';
 
 class NotificationService {
@@ -31,10 +46,11 @@ class NotificationService {
 
       logger.info(`🔔 Sending ${status} notification for transaction ${transactionData.transactionId} to user ${userId}`);
 
-      // Get user data and notification preferences
-      const [userData, notificationSettings] = await Promise.all([
+      // Get user data, notification preferences, language and timezone
+      const [userData, notificationSettings, { locale, timezone }] = await Promise.all([
         this.getUserData(userId),
-        this.getNotificationSettings(userId)
+        this.getNotificationSettings(userId),
+        this.getUserPreferences(userId)
       ]);
 
       if (!userData) {
@@ -42,21 +58,53 @@ class NotificationService {
         return;
       }
 
-      // Check if user has transaction alerts enabled
-      if (!notificationSettings?.transaction_alerts) {
-        logger.info(`ℹ️ Transaction alerts disabled for user ${userId}`);
+      const { channels, deferUntil } = this.planDelivery(
+        userData,
+        notificationSettings,
+        NOTIFICATION_CATEGORIES.TRANSACTION,
+        timezone
+      );
+
+      const inboxType = status === 'success'
+        ? NOTIFICATION_TYPES.TRANSACTION_SUCCESS
+        : NOTIFICATION_TYPES.TRANSACTION_FAILURE;
+      const inboxMessage = NotificationTemplateService.render(inboxType, NOTIFICATION_CHANNELS.PUSH, locale, transactionData);
+      const inboxEntry = await this.storeInInbox(userId, {
+        category: NOTIFICATION_CATEGORIES.TRANSACTION,
+        type: inboxType,
+        title: inboxMessage.title,
+        body: inboxMessage.body,
+        locale: inboxMessage.locale,
+        data: {
+          transactionId: transactionData.transactionId,
+          transactionType: transactionData.type,
+          amount: transactionData.amount,
+          assetSymbol: transactionData.assetSymbol,
+          status
+        },
+        ...(deferUntil && channels.length > 0 && { deferredUntil: deferUntil, deferredChannels: channels })
+      });
+
+      if (channels.length === 0) {
+        logger.info(`ℹ️ No channels enabled for transaction notifications of user ${userId}`);
+        return;
+      }
+
+      if (deferUntil && inboxEntry) {
+        logger.info(`🌙 Quiet hours: transaction notification for user ${userId} deferred until ${deferUntil.toISOString()}`);
         return;
       }
 
       const notifications = [];
 
       // Send email notification if enabled
-      if (notificationSettings.email_notifications && userData.email) {
+      if (channels.includes(NOTIFICATION_CHANNELS.EMAIL)) {
         logger.info(`📧 Sending email notification to ${userData.email}`);
         const emailPromise = this.sendEmailNotification(
           userData.email,
           transactionData,
-          status
+          status,
+          locale
         ).catch(error => {
           logger.error(`❌ Email notification failed for user ${userId}:`, error);
         });
@@ -64,18 +112,34 @@ class NotificationService {
       }
 
       // Send push notification if enabled and user has device tokens
-      if (notificationSettings.push_enabled) {
+      if (channels.includes(NOTIFICATION_CHANNELS.PUSH)) {
         logger.info(`📱 Sending push notification to user ${userId}`);
         const pushPromise = this.sendPushNotification(
           userId,
           transactionData,
-          status
+          status,
+          locale
         ).catch(error => {
           logger.error(`❌ Push notification failed for user ${userId}:`, error);
         });
         notifications.push(pushPromise);
       }
 
+      // Send WhatsApp message if enabled and the phone number is verified
+      if (channels.includes(NOTIFICATION_CHANNELS.WHATSAPP)) {
+        logger.info(`💬 Sending WhatsApp notification to user ${userId}`);
+        const whatsappPromise = this.sendWhatsAppNotification(
+          userId,
+          userData.phone,
+          transactionData,
+          status,
+          locale
+        ).catch(error => {
+          logger.error(`❌ WhatsApp notification failed for user ${userId}:`, error);
+        });
+        notifications.push(whatsappPromise);
+      }
+
       // Execute all notifications in parallel
       await Promise.all(notifications);
 
@@ -91,13 +155,14 @@ class NotificationService {
    * @param {string} email - User email
    * @param {Object} transactionData - Transaction details
    * @param {string} status - 'success' or 'failure'
+   * @param {string} locale - Recipient language
    */
-  async sendEmailNotification(email, transactionData, status) {
+  async sendEmailNotification(email, transactionData, status, locale = NOTIFICATION_LOCALES.DEFAULT) {
     try {
       if (status === 'success') {
-        await emailService.sendTransactionSuccessEmail(email, transactionData);
+        await emailService.sendTransactionSuccessEmail(email, transactionData, locale);
       } else {
-        await emailService.sendTransactionFailureEmail(email, transactionData);
+        await emailService.sendTransactionFailureEmail(email, transactionData, locale);
       }
     } catch (error) {
       logger.error('❌ Failed to send email notification:', error);
@@ -110,8 +175,9 @@ class NotificationService {
    * @param {string} userId - User ID
    * @param {Object} transactionData - Transaction details
    * @param {string} status - 'success' or 'failure'
+   * @param {string} locale - Recipient language
    */
-  async sendPushNotification(userId, transactionData, status) {
+  async sendPushNotification(userId, transactionData, status, locale = NOTIFICATION_LOCALES.DEFAULT) {
     try {
       // Get user device tokens
       const deviceTokens = await this.getUserDeviceTokens(userId);
@@ -125,12 +191,15 @@ class NotificationService {
       const notificationPromises = deviceTokens.map(async (token) => {
         try {
           if (status === 'success') {
-            await firebaseService.sendTransactionSuccessNotification(token, transactionData);
+            await firebaseService.sendTransactionSuccessNotification(token, transactionData, locale);
           } else {
-            await firebaseService.sendTransactionFailureNotification(token, transactionData);
+            await firebaseService.sendTransactionFailureNotification(token, transactionData, locale);
           }
         } catch (error) {
           logger.error(`❌ Failed to send push notification to token ${token}:`, error);
+          if (DeviceTokenService.isInvalidTokenError(error)) {
+            await this.pruneDeviceTokens([token]);
+          }
         }
       });
 
@@ -141,6 +210,206 @@ class NotificationService {
     }
   }
 
+  /**
+   * Send WhatsApp notification in the user's language
+   * @param {string} userId - User ID
+   * @param {string} phone - Verified phone number
+   * @param {Object} transactionData - Transaction details
+   * @param {string} status - 'success' or 'failure'
+   * @param {string} locale - Recipient language (looked up when omitted)
+   */
+  async sendWhatsAppNotification(userId, phone, transactionData, status, locale = null) {
+    return whatsappService.sendTemplate({
+      userId,
+      to: phone,
+      template: status === 'success' ? WHATSAPP_TEMPLATES.TRANSACTION_SUCCESS : WHATSAPP_TEMPLATES.TRANSACTION_FAILURE,
+      locale: locale || await this.getUserLocale(userId),
+      variables: transactionData
+    });
+  }
+
+  /**
+   * Send a security alert on every channel the user enabled, in their language
+   * @param {string} userId - User ID
+   * @param {Object} alert - { type, variables, data } where type is a
+   *   NOTIFICATION_TYPES alert (e.g. PIN_LOCKED), or a pre-written
+   *   { title, message, data }
+   */
+  async sendSecurityAlert(userId, alert) {
+    try {
+      const { data } = alert;
+
+      const [userData, notificationSettings, { locale, timezone }] = await Promise.all([
+        this.getUserData(userId),
+        this.getNotificationSettings(userId),
+        this.getUserPreferences(userId)
+      ]);
+
+      if (!userData) {
+        logger.error(`❌ User ${userId} not found`);
+        return;
+      }
+
+      // Security alerts bypass quiet hours, so deferUntil is always null here
+      const { channels } = this.planDelivery(userData, notificationSettings, NOTIFICATION_CATEGORIES.SECURITY, timezone);
+
+      const { title, message } = alert.type
+        ? NotificationTemplateService.render(alert.type, NOTIFICATION_CHANNELS.ALERT, locale, alert.variables)
+        : alert;
+
+      // Security alerts always reach the inbox, even when delivery is turned off
+      const inboxEntry = await this.storeInInbox(userId, {
+        category: NOTIFICATION_CATEGORIES.SECURITY,
+        type: alert.type || NOTIFICATION_TYPES.SECURITY_ALERT,
+        title,
+        body: message,
+        locale,
+        data: data || {}
+      });
+
+      if (channels.length === 0) {
+        logger.info(`ℹ️ No channels enabled for security alerts of user ${userId}`);
+        return;
+      }
+
+      const notifications = [];
+
+      if (channels.includes(NOTIFICATION_CHANNELS.EMAIL)) {
+        notifications.push(
+          emailService.sendSecurityAlertEmail(userData.email, { title, message }, locale)
+            .catch(error => {
+              logger.error(`❌ Security alert email failed for user ${userId}:`, error);
+            })
+        );
+      }
+
+      if (channels.includes(NOTIFICATION_CHANNELS.PUSH)) {
+        const deviceTokens = await this.getUserDeviceTokens(userId);
+        if (deviceTokens.length > 0) {
+          const push = NotificationTemplateService.render(
+            NOTIFICATION_TYPES.SECURITY_ALERT,
+            NOTIFICATION_CHANNELS.PUSH,
+            locale,
+            { title, message }
+          );
+          notifications.push(
+            this.sendMulticastAndPrune(deviceTokens, {
+              notification: { title: push.title, body: push.body },
+              data: {
+                type: 'security_alert',
+                ...(alert.type && { alert: alert.type }),
+                ...(inboxEntry && { notificationId: inboxEntry.id }),
+                ...(data || {})
+              },
+              android: { priority: 'high' }
+            }).catch(error => {
+              logger.error(`❌ Security alert push failed for user ${userId}:`, error);
+            })
+          );
+        }
+      }
+
+      if (channels.includes(NOTIFICATION_CHANNELS.WHATSAPP)) {
+        notifications.push(
+          whatsappService.sendTemplate({
+            userId,
+            to: userData.phone,
+            template: WHATSAPP_TEMPLATES.SECURITY_ALERT,
+            locale,
+            variables: { message }
+          })
+            .catch(error => {
+              logger.error(`❌ Security alert WhatsApp failed for user ${userId}:`, error);
+            })
+        );
+      }
+
+      await Promise.all(notifications);
+      logger.info(`✅ Security alert sent to user ${userId}`);
+    } catch (error) {
+      logger.error('❌ Failed to send security alert:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a notification in the user's inbox; a failure is logged and never
+   * blocks delivery on the other channels
+   * @param {string} userId - User ID
+   * @param {Object} notification - { category, type, title, body, data, locale,
+   *   deferredUntil, deferredChannels }
+   * @returns {Object|null} Stored notification
+   */
+  async storeInInbox(userId, notification) {
+    try {
+      return await NotificationInboxService.record(userId, notification);
+    } catch (error) {
+      logger.error(`❌ Failed to store ${notification.type} notification for user ${userId}:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Channels a notification of this category goes out on right now, and when
+   * to deliver it if the user is in quiet hours
+   * @param {Object} userData - User row (email, phone, phone_verified)
+   * @param {Object} notificationSettings - notification_settings row
+   * @param {string} category - NOTIFICATION_CATEGORIES value
+   * @param {string} timezone - User's IANA timezone
+   * @returns {Object} { channels, deferUntil }
+   */
+  planDelivery(userData, notificationSettings, category, timezone) {
+    const channels = NotificationPreferenceService.resolveChannels(notificationSettings, category)
+      .filter(channel => this.canReach(userData, channel));
+
+    return {
+      channels,
+      deferUntil: NotificationPreferenceService.getDeferral(notificationSettings, category, timezone)
+    };
+  }
+
+  /**
+   * Whether the user has the contact details a channel needs
+   */
+  canReach(userData, channel) {
+    switch (channel) {
+      case NOTIFICATION_CHANNELS.EMAIL:
+        return Boolean(userData?.email);
+      case NOTIFICATION_CHANNELS.WHATSAPP:
+        return Boolean(userData?.phone && userData.phone_verified);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Get the user's preferred language
+   * @param {string} userId - User ID
+   * @returns {string} Language code (defaults to 'en')
+   */
+  async getUserLocale(userId) {
+    const { locale } = await this.getUserPreferences(userId);
+    return locale;
+  }
+
+  /**
+   * Get the user's language and timezone
+   * @param {string} userId - User ID
+   * @returns {Object} { locale, timezone }
+   */
+  async getUserPreferences(userId) {
+    try {
+      const settings = await UserSettings.findByUserId(userId);
+      return {
+        locale: settings?.language || NOTIFICATION_LOCALES.DEFAULT,
+        timezone: settings?.timezone || QUIET_HOURS.DEFAULT_TIMEZONE
+      };
+    } catch (error) {
+      logger.error(`❌ Failed to get language for user ${userId}:`, error);
+      return { locale: NOTIFICATION_LOCALES.DEFAULT, timezone: QUIET_HOURS.DEFAULT_TIMEZONE };
+    }
+  }
+
   /**
    * Get user data
    * @param {string} userId - User ID
@@ -150,7 +419,7 @@ class NotificationService {
     try {
       const { data, error } = await supabase
         .from('users')
-        .select('id, email, full_name')
+        .select('id, email, phone, phone_verified')
         .eq('id', userId)
         .single();
 
@@ -189,66 +458,65 @@ class NotificationService {
   }
 
   /**
-   * Get user device tokens (you'll need to implement this based on your user sessions or device storage)
+   * Get user device tokens
    * @param {string} userId - User ID
    * @returns {Array} Array of device tokens
    */
   async getUserDeviceTokens(userId) {
     try {
-      // This assumes you have a way to store device tokens
-      // You might want to add a 'device_tokens' column to user_sessions table
-      // or create a separate device_tokens table
-      
-      const { data, error } = await supabase
-        .from('user_sessions')
-        .select('device_token')
-        .eq('user_id', userId)
-        .not('device_token', 'is', null);
+      return await DeviceTokenService.listTokens(userId);
+    } catch (error) {
+      logger.error(`❌ Failed to get device tokens for user ${userId}:`, error);
+      return [];
+    }
+  }
 
-      if (error) {
-        logger.error(`❌ Failed to get device tokens for user ${userId}:`, error);
-        return [];
+  /**
+   * Send one push to several devices and drop the tokens FCM rejected
+   * @param {Array} deviceTokens - FCM tokens
+   * @param {Object} notificationData - { notification, data, android, apns }
+   */
+  async sendMulticastAndPrune(deviceTokens, notificationData) {
+    const response = await firebaseService.sendMulticastNotification(deviceTokens, notificationData);
+
+    if (response?.failureCount > 0) {
+      try {
+        await DeviceTokenService.pruneFromResponse(deviceTokens, response);
+      } catch (error) {
+        logger.error('❌ Failed to prune invalid device tokens:', error);
       }
+    }
+
+    return response;
+  }
 
-      return data?.map(session => session.device_token).filter(token => token) || [];
+  /**
+   * @param {Array} deviceTokens - Tokens FCM reported as invalid
+   */
+  async pruneDeviceTokens(deviceTokens) {
+    try {
+      await DeviceTokenService.prune(deviceTokens);
     } catch (error) {
-      logger.error('❌ Failed to get user device tokens:', error);
-      return [];
+      logger.error('❌ Failed to prune invalid device tokens:', error);
     }
   }
 
   /**
    * Store user device token
+   * @deprecated Use DeviceTokenService.register, which also records the platform
    * @param {string} userId - User ID
    * @param {string} deviceToken - FCM device token
-   * @param {string} sessionId - Session ID (optional)
+   * @param {Object} details - { platform, appVersion, deviceId } (optional)
+   * @returns {boolean} Whether the token was stored
    */
-  async storeDeviceToken(userId, deviceToken, sessionId = null) {
+  async storeDeviceToken(userId, deviceToken, details = {}) {
     try {
       if (!userId || !deviceToken) {
         throw new Error('User ID and device token are required');
       }
 
-      // Validate the token with Firebase
-      const isValidToken = await firebaseService.validateToken(deviceToken);
-      if (!isValidToken) {
-        logger.warn(`⚠️ Invalid device token provided for user ${userId}`);
-        return false;
-      }
-
-      // Update user session with device token
-      const { error } = await supabase
-        .from('user_sessions')
-        .update({ device_token: deviceToken })
-        .eq('user_id', userId)
-        .eq('id', sessionId || 'current_session');
-
-      if (error) {
-        logger.error(`❌ Failed to store device token for user ${userId}:`, error);
-        return false;
-      }
-
-      logger.info(`✅ Device token stored for user ${userId}`);
+      const { platform = null, appVersion = null, deviceId = null } = typeof details === 'object' && details ? details : {};
+      await DeviceTokenService.register(userId, { token: deviceToken, platform, appVersion, deviceId });
       return true;
     } catch (error) {
       logger.error('❌ Failed to store device token:', error);
@@ -259,16 +527,26 @@ class NotificationService {
   /**
    * Send custom notification
    * @param {string} userId - User ID
-   * @param {Object} notificationData - Custom notification data
+   * @param {Object} notificationData - { title, body, data, email, push, category, type };
+   *   category is a NOTIFICATION_CATEGORIES value (defaults to system)
    */
   async sendCustomNotification(userId, notificationData) {
     try {
-      const { title, body, data, email, push } = notificationData;
-
-      // Get user data and notification preferences
-      const [userData, notificationSettings] = await Promise.all([
+      const {
+        title,
+        body,
+        data,
+        email,
+        push,
+        category = NOTIFICATION_CATEGORIES.SYSTEM,
+        type = 'custom'
+      } = notificationData;
+
+      // Get user data, notification preferences and timezone
+      const [userData, notificationSettings, { timezone }] = await Promise.all([
         this.getUserData(userId),
-        this.getNotificationSettings(userId)
+        this.getNotificationSettings(userId),
+        this.getUserPreferences(userId)
       ]);
 
       if (!userData) {
@@ -276,10 +554,34 @@ class NotificationService {
         return;
       }
 
+      if (category === NOTIFICATION_CATEGORIES.PROMOTION && !notificationSettings?.promotions) {
+        logger.info(`ℹ️ Promotions disabled for user ${userId}`);
+        return;
+      }
+
+      const { channels: enabled, deferUntil } = this.planDelivery(userData, notificationSettings, category, timezone);
+      const channels = enabled.filter(channel =>
+        (channel === NOTIFICATION_CHANNELS.EMAIL && email) || (channel === NOTIFICATION_CHANNELS.PUSH && push)
+      );
+
+      const inboxEntry = await this.storeInInbox(userId, {
+        category,
+        type,
+        title,
+        body,
+        data,
+        ...(deferUntil && channels.length > 0 && { deferredUntil: deferUntil, deferredChannels: channels })
+      });
+
+      if (deferUntil && inboxEntry) {
+        logger.info(`🌙 Quiet hours: ${type} notification for user ${userId} deferred until ${deferUntil.toISOString()}`);
+        return;
+      }
+
       const notifications = [];
 
       // Send email if requested and enabled
-      if (email && notificationSettings?.email_notifications && userData.email) {
+      if (channels.includes(NOTIFICATION_CHANNELS.EMAIL)) {
         const emailPromise = emailService.sendEmail(
           userData.email,
           title,
@@ -292,14 +594,14 @@ class NotificationService {
       }
 
       // Send push notification if requested and enabled
-      if (push && notificationSettings?.push_enabled) {
+      if (channels.includes(NOTIFICATION_CHANNELS.PUSH)) {
         const deviceTokens = await this.getUserDeviceTokens(userId);
         if (deviceTokens.length > 0) {
-          const pushPromise = firebaseService.sendMulticastNotification(
+          const pushPromise = this.sendMulticastAndPrune(
             deviceTokens,
             {
               notification: { title, body },
-              data: data || {},
+              data: { ...(inboxEntry && { notificationId: inboxEntry.id }), ...(data || {}) },
               android: push.android || { priority: 'high' },
               apns: push.apns || {}
             }
@@ -318,6 +620,203 @@ class NotificationService {
     }
   }
 
+  /**
+   * Announce a promotion to a user who has promotions enabled
+   * @param {string} userId - User ID
+   * @param {Object} promotion - Promotion row
+   */
+  async sendPromotionNotification(userId, promotion) {
+    return this.sendCustomNotification(userId, {
+      title: promotion.title,
+      body: promotion.description,
+      data: { type: 'promotion', promotionId: String(promotion.id) },
+      push: {},
+      category: NOTIFICATION_CATEGORIES.PROMOTION,
+      type: 'promotion'
+    });
+  }
+
+  /**
+   * Deliver notifications held back during quiet hours as one digest per
+   * channel they were deferred on
+   * @param {string} userId - User ID
+   * @param {Array} items - Deferred notifications rows, oldest first
+   * @throws When no attempted channel delivered the digest
+   */
+  async sendDigest(userId, items) {
+    try {
+      const [userData, { locale }] = await Promise.all([
+        this.getUserData(userId),
+        this.getUserPreferences(userId)
+      ]);
+
+      if (!userData || items.length === 0) {
+        return;
+      }
+
+      const channels = [...new Set(items.flatMap(item => item.deferred_channels || []))]
+        .filter(channel => this.canReach(userData, channel));
+      const listed = items.slice(-NOTIFICATION_DIGEST.MAX_LISTED_ITEMS);
+      const variables = {
+        count: items.length,
+        items: listed.map(item => `${item.title}: ${item.body}`),
+        more: items.length - listed.length
+      };
+
+      const notifications = [];
+
+      if (channels.includes(NOTIFICATION_CHANNELS.EMAIL)) {
+        const { subject, text, html } = NotificationTemplateService.render(
+          NOTIFICATION_TYPES.DIGEST,
+          NOTIFICATION_CHANNELS.EMAIL,
+          locale,
+          variables
+        );
+        notifications.push(
+          emailService.sendEmail(userData.email, subject, text, html).then(() => true, error => {
+            logger.error(`❌ Digest email failed for user ${userId}:`, error);
+            return false;
+          })
+        );
+      }
+
+      if (channels.includes(NOTIFICATION_CHANNELS.PUSH)) {
+        const deviceTokens = await this.getUserDeviceTokens(userId);
+        if (deviceTokens.length > 0) {
+          const push = NotificationTemplateService.render(
+            NOTIFICATION_TYPES.DIGEST,
+            NOTIFICATION_CHANNELS.PUSH,
+            locale,
+            variables
+          );
+          notifications.push(
+            this.sendMulticastAndPrune(deviceTokens, {
+              notification: { title: push.title, body: push.body },
+              data: { type: NOTIFICATION_TYPES.DIGEST, count: String(items.length) }
+            }).then(response => response?.successCount !== 0, error => {
+              logger.error(`❌ Digest push failed for user ${userId}:`, error);
+              return false;
+            })
+          );
+        }
+      }
+
+      if (channels.includes(NOTIFICATION_CHANNELS.WHATSAPP)) {
+        notifications.push(
+          whatsappService.sendTemplate({
+            userId,
+            to: userData.phone,
+            template: WHATSAPP_TEMPLATES.DIGEST,
+            locale,
+            variables: { count: items.length }
+          }).then(() => true, error => {
+            logger.error(`❌ Digest WhatsApp failed for user ${userId}:`, error);
+            return false;
+          })
+        );
+      }
+
+      // Channels that cannot reach the user are not attempted; the digest only
+      // fails when every attempted channel did
+      const delivered = await Promise.all(notifications);
+      if (delivered.length > 0 && !delivered.includes(true)) {
+        throw new Error('Digest could not be delivered on any channel');
+      }
+
+      logger.info(`✅ Digest of ${items.length} notifications sent to user ${userId}`);
+    } catch (error) {
+      logger.error('❌ Failed to send notification digest:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Tell a user the outcome of their KYC review
+   * @param {string} userId - User ID
+   * @param {Object} review - { type: KYC_APPROVED or KYC_REJECTED, level, reason, submissionId }
+   */
+  async sendKycStatusNotification(userId, { type, level, reason = null, submissionId }) {
+    const locale = await this.getUserLocale(userId);
+    const { title, body } = NotificationTemplateService.render(type, NOTIFICATION_CHANNELS.PUSH, locale, { level, reason });
+
+    return this.sendCustomNotification(userId, {
+      title,
+      body,
+      data: { type, level, submissionId: String(submissionId) },
+      email: {},
+      push: {},
+      category: NOTIFICATION_CATEGORIES.SYSTEM,
+      type
+    });
+  }
+
+  /**
+   * Tell a user that another user sent them money
+   * @param {string} userId - Recipient user ID
+   * @param {Object} transfer - { transactionId, amount, assetSymbol, senderName, reference }
+   */
+  async sendIncomingTransferNotification(userId, { transactionId, amount, assetSymbol, senderName = null, reference }) {
+    const type = NOTIFICATION_TYPES.INCOMING_TRANSFER;
+    const locale = await this.getUserLocale(userId);
+    const { title, body } = NotificationTemplateService.render(type, NOTIFICATION_CHANNELS.PUSH, locale, {
+      amount,
+      assetSymbol,
+      senderName
+    });
+
+    return this.sendCustomNotification(userId, {
+      title,
+      body,
+      data: { type, transactionId: String(transactionId), amount: String(amount), assetSymbol, reference },
+      email: {},
+      push: {},
+      category: NOTIFICATION_CATEGORIES.INCOMING_TRANSFER,
+      type
+    });
+  }
+
+  /**
+   * Tell a user about a run of one of their scheduled transfers: a reminder
+   * before it, or its outcome after it
+   * @param {string} userId - Owner of the scheduled transfer
+   * @param {Object} run - { type, scheduledTransferId, transactionId, amount, assetSymbol, recipient, scheduledFor, reason }
+   */
+  async sendScheduledTransferNotification(userId, {
+    type,
+    scheduledTransferId,
+    transactionId = null,
+    amount,
+    assetSymbol,
+    recipient = null,
+    scheduledFor,
+    reason = null
+  }) {
+    const { locale, timezone } = await this.getUserPreferences(userId);
+    const { title, body } = NotificationTemplateService.render(type, NOTIFICATION_CHANNELS.PUSH, locale, {
+      amount,
+      assetSymbol,
+      recipient,
+      reason,
+      date: scheduledFor,
+      timeZone: timezone
+    });
+
+    const data = { type, scheduledTransferId: String(scheduledTransferId), scheduledFor, amount: String(amount), assetSymbol };
+    if (transactionId) {
+      data.transactionId = String(transactionId);
+    }
+
+    return this.sendCustomNotification(userId, {
+      title,
+      body,
+      data,
+      email: {},
+      push: {},
+      category: NOTIFICATION_CATEGORIES.TRANSACTION,
+      type
+    });
+  }
+
   /**
    * Send notification to multiple users
    * @param {Array} userIds - Array of user IDs
@@ -0,0 +1,286 @@
+import {
+  NOTIFICATION_LOCALES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_TEMPLATES,
+  LOCALE_FORMATS,
+  FIAT_CURRENCIES,
+  MAX_ASSET_DECIMALS,
+  TRANSACTION_TYPE_LABELS,
+  KYC_LEVEL_LABELS,
+  EMAIL_LABELS
+} from '../constants/notificationConstants.js';
+
+const PLACEHOLDER = /\{\{(\w+)(?:\|([^}]*))?\}\}/g;
+const MISSING_VALUE = '-';
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;'
+};
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => HTML_ESCAPES[char]);
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Whole-number variables formatted with the locale's grouping
+const COUNT_VARIABLES = ['attempts', 'count', 'more'];
+
+/**
+ * Notification Template Service
+ *
+ * Renders every user-facing notification from NOTIFICATION_TEMPLATES, keyed by
+ * notification type, locale and channel. A locale such as "ar-SA" falls back
+ * to "ar" and then to English, per channel, so a locale only has to define
+ * the channels it translates.
+ *
+ * Variables are formatted for the resolved locale before interpolation:
+ * `amount` (with `assetSymbol`) as a number or fiat currency, `createdAt` as
+ * `date`, and the transaction `type` and KYC `level` as their localized labels.
+ */
+class NotificationTemplateService {
+  /**
+   * Locales to try, most specific first: "ar-SA" -> ["ar-sa", "ar", "en"]
+   */
+  static getLocaleChain(locale) {
+    const normalized = String(locale || '').trim().toLowerCase().replace('_', '-');
+    const language = normalized.split('-')[0];
+
+    return [...new Set([normalized, language, NOTIFICATION_LOCALES.DEFAULT].filter(Boolean))];
+  }
+
+  /**
+   * First supported locale in the fallback chain
+   */
+  static resolveLocale(locale) {
+    return this.getLocaleChain(locale).find(candidate => NOTIFICATION_LOCALES.SUPPORTED.includes(candidate))
+      || NOTIFICATION_LOCALES.DEFAULT;
+  }
+
+  static getDirection(locale) {
+    return NOTIFICATION_LOCALES.RTL.includes(this.resolveLocale(locale)) ? 'rtl' : 'ltr';
+  }
+
+  static has(type, channel) {
+    const locales = NOTIFICATION_TEMPLATES[type];
+    return Boolean(locales) && Object.values(locales).some(channels => Boolean(channels[channel]));
+  }
+
+  /**
+   * Find the template for a channel, walking the locale fallback chain
+   * @returns {Object} { template, locale }
+   */
+  static findTemplate(type, channel, locale) {
+    const locales = NOTIFICATION_TEMPLATES[type];
+    if (!locales) {
+      throw new Error(`Unknown notification template: ${type}`);
+    }
+
+    for (const candidate of this.getLocaleChain(locale)) {
+      const template = locales[candidate]?.[channel];
+      if (template) {
+        return { template, locale: candidate };
+      }
+    }
+
+    throw new Error(`Notification template ${type} has no ${channel} version`);
+  }
+
+  static formatNumber(value, locale, options = {}) {
+    const language = this.resolveLocale(locale);
+    return new Intl.NumberFormat(language, { ...LOCALE_FORMATS[language], ...options }).format(value);
+  }
+
+  /**
+   * Format an amount in the given asset: fiat as currency, tokens as a number
+   * followed by the symbol
+   */
+  static formatAmount(amount, assetSymbol, locale) {
+    const value = Number(amount);
+    if (!Number.isFinite(value)) {
+      return [amount, assetSymbol].filter(Boolean).join(' ');
+    }
+
+    const symbol = assetSymbol ? String(assetSymbol).toUpperCase() : null;
+    if (symbol && FIAT_CURRENCIES.includes(symbol)) {
+      return this.formatNumber(value, locale, { style: 'currency', currency: symbol });
+    }
+
+    const formatted = this.formatNumber(value, locale, { maximumFractionDigits: MAX_ASSET_DECIMALS });
+    return symbol ? `${formatted} ${symbol}` : formatted;
+  }
+
+  static formatDate(value, locale, timeZone = 'UTC') {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      return value;
+    }
+
+    const language = this.resolveLocale(locale);
+    return new Intl.DateTimeFormat(language, {
+      ...LOCALE_FORMATS[language],
+      dateStyle: 'medium',
+      timeStyle: 'short',
+      timeZone
+    }).format(date);
+  }
+
+  /**
+   * Localize the well-known variables; everything else is passed through
+   */
+  static formatVariables(variables = {}, locale) {
+    const language = this.resolveLocale(locale);
+    const values = { ...variables };
+
+    if (!isBlank(variables.amount)) {
+      values.amount = this.formatAmount(variables.amount, variables.assetSymbol, language);
+    }
+
+    if (!isBlank(variables.type)) {
+      values.type = TRANSACTION_TYPE_LABELS[language]?.[variables.type] || variables.type;
+    }
+
+    if (!isBlank(variables.level)) {
+      values.level = KYC_LEVEL_LABELS[language]?.[variables.level] || variables.level;
+    }
+
+    const date = variables.date || variables.createdAt;
+    if (!isBlank(date)) {
+      values.date = this.formatDate(date, language, variables.timeZone);
+    }
+
+    for (const key of COUNT_VARIABLES) {
+      if (typeof variables[key] === 'number') {
+        values[key] = this.formatNumber(variables[key], language);
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Fill {{name}} and {{name|fallback}} placeholders
+   */
+  static interpolate(text, values = {}, { html = false } = {}) {
+    return text.replace(PLACEHOLDER, (_, key, fallback) => {
+      const value = isBlank(values[key]) ? (fallback ?? MISSING_VALUE) : String(values[key]);
+      return html ? escapeHtml(value) : value;
+    });
+  }
+
+  /**
+   * Render a notification for one channel in the recipient's language
+   * @param {string} type - NOTIFICATION_TYPES value
+   * @param {string} channel - NOTIFICATION_CHANNELS value
+   * @param {string} locale - Recipient language, e.g. "ar" or "ar-SA"
+   * @param {Object} variables - Template variables
+   * @returns {Object} email: { subject, text, html }, push: { title, body },
+   *   whatsapp: { body }, alert: { title, message }; each with `locale`
+   */
+  static render(type, channel, locale, variables = {}) {
+    const { template, locale: templateLocale } = this.findTemplate(type, channel, locale);
+    const values = this.formatVariables(variables, templateLocale);
+
+    if (channel === NOTIFICATION_CHANNELS.EMAIL) {
+      return { ...this.renderEmail(template, templateLocale, values, variables), locale: templateLocale };
+    }
+
+    const rendered = Object.fromEntries(
+      Object.entries(template).map(([key, text]) => [key, this.interpolate(text, values)])
+    );
+    return { ...rendered, locale: templateLocale };
+  }
+
+  static renderEmail(template, locale, values, variables = {}) {
+    const language = this.resolveLocale(locale);
+    const labels = EMAIL_LABELS[language] || EMAIL_LABELS[NOTIFICATION_LOCALES.DEFAULT];
+    const dir = this.getDirection(locale);
+    const start = dir === 'rtl' ? 'right' : 'left';
+
+    const fill = (text) => this.interpolate(text, values);
+    const fillHtml = (text) => this.interpolate(text, values, { html: true });
+
+    const details = (template.details || [])
+      .filter(key => !isBlank(values[key]))
+      .map(key => ({ label: labels[key], value: String(values[key]) }));
+    const paragraphs = template.paragraphs || [];
+    const nextSteps = template.nextSteps || [];
+    const listItems = template.list && Array.isArray(values[template.list]) ? values[template.list].map(String) : [];
+    const listOverflow = template.listOverflow && Number(variables.more) > 0
+      ? template.listOverflow
+      : null;
+
+    const subject = fill(template.subject);
+
+    const html = `<!DOCTYPE html>
+<html lang="${language}" dir="${dir}">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(subject)}</title>
+  <style>
+    body { font-family: Arial, Tahoma, sans-serif; line-height: 1.6; color: #333; direction: ${dir}; text-align: ${start}; }
+    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+    .header { background-color: ${template.accent}; color: white; padding: 20px; text-align: center; border-radius: 10px 10px 0 0; }
+    .content { background-color: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+    .transaction-details { background-color: white; padding: 20px; margin: 20px 0; border-radius: 8px; border-${start}: 4px solid ${template.accent}; }
+    .detail-row { margin: 10px 0; }
+    .label { font-weight: bold; color: #555; }
+    .value { color: #333; unicode-bidi: plaintext; }
+    .action-section { background-color: #fff3cd; padding: 15px; margin: 20px 0; border-radius: 8px; border: 1px solid #ffeaa7; }
+    .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+    .icon { font-size: 48px; margin-bottom: 10px; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <div class="icon">${template.icon}</div>
+      <h1>${fillHtml(template.heading)}</h1>
+    </div>
+    <div class="content">
+      <p>${fillHtml(template.intro)}</p>
+${listItems.length > 0 ? `      <ul>
+${listItems.map(item => `        <li>${escapeHtml(item)}</li>`).join('\n')}
+      </ul>
+${listOverflow ? `      <p>${fillHtml(listOverflow)}</p>
+` : ''}` : ''}${details.length > 0 ? `      <div class="transaction-details">
+${details.map(({ label, value }) => `        <div class="detail-row">
+          <span class="label">${label}:</span>
+          <span class="value">${escapeHtml(value)}</span>
+        </div>`).join('\n')}
+      </div>
+` : ''}${nextSteps.length > 0 ? `      <div class="action-section">
+        <h3>${fillHtml(template.nextStepsHeading)}</h3>
+        <ul>
+${nextSteps.map(step => `          <li>${fillHtml(step)}</li>`).join('\n')}
+        </ul>
+      </div>
+` : ''}${paragraphs.map(paragraph => `      <p>${fillHtml(paragraph)}</p>`).join('\n')}
+    </div>
+    <div class="footer">
+      <p>${labels.rights}</p>
+      <p>${labels.automated}</p>
+    </div>
+  </div>
+</body>
+</html>`;
+
+    const text = [
+      fill(template.heading),
+      '',
+      fill(template.intro),
+      ...listItems.map(item => `- ${item}`),
+      ...(listItems.length > 0 && listOverflow ? [fill(listOverflow)] : []),
+      ...(details.length > 0 ? ['', `${labels.details}:`, ...details.map(({ label, value }) => `- ${label}: ${value}`)] : []),
+      ...(nextSteps.length > 0 ? ['', fill(template.nextStepsHeading), ...nextSteps.map(step => `- ${fill(step)}`)] : []),
+      ...paragraphs.flatMap(paragraph => ['', fill(paragraph)])
+    ].join('\n');
+
+    return { subject, text, html, dir };
+  }
+}
+
+export default NotificationTemplateService;
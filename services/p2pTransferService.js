@@ -0,0 +1,211 @@
+import { randomUUID } from 'crypto';
+import TransactionService, { TRANSACTION_TYPES, TRANSACTION_STATUS } from './transactionService.js';
+import notificationService from './notificationService.js';
+import { normalizePhoneNumber } from './contactHelpers.js';
+import User from '../models/User.js';
+import UserProfile from '../models/UserProfile.js';
+import Wallet from '../models/Wallet.js';
+import Transaction from '../models/Transaction.js';
+import ContactsWithAccounts from '../models/ContactsWithAccounts.js';
+import logger from '../utils/logger.js';
+import { P2P_NETWORK, P2P_ROLES, TRANSFER_ERRORS } from '../constants/transferConstants.js';
+
+/**
+ * P2P Transfer Service
+ *
+ * Sends money between two users of the platform. The recipient is given as
+ * one of the sender's synced contacts, a phone number or a user ID and must
+ * have an active wallet.
+ *
+ * A transfer is recorded twice: the sender's `transfer`, which goes through
+ * the usual limit checks and ledger hold and is completed straight away
+ * (settling the funds into the recipient's wallet), and a completed `cash_in`
+ * in the recipient's history. The two records point at each other through
+ * metadata.p2p; only the sender's record posts to the ledger.
+ */
+class P2PTransferService {
+  /**
+   * Find the user and wallet a transfer goes to
+   * @param {string} senderId - Sender UUID
+   * @param {Object} target - One of { contactId, phoneNumber, userId }
+   * @returns {Object} { user, wallet, contact }
+   */
+  static async resolveRecipient(senderId, { contactId = null, phoneNumber = null, userId = null }) {
+    let recipientId = userId;
+    let contact = null;
+
+    if (contactId) {
+      contact = await ContactsWithAccounts.findById(contactId);
+      if (!contact || contact.owner_id !== senderId) {
+        throw new Error(TRANSFER_ERRORS.CONTACT_NOT_FOUND);
+      }
+      if (!contact.linked_user_id) {
+        throw new Error(TRANSFER_ERRORS.CONTACT_WITHOUT_ACCOUNT);
+      }
+      recipientId = contact.linked_user_id;
+    }
+
+    const user = phoneNumber
+      ? await User.findOne({ where: { phone: normalizePhoneNumber(phoneNumber) } })
+      : await User.findByPk(recipientId);
+
+    if (!user) {
+      throw new Error(TRANSFER_ERRORS.RECIPIENT_NOT_FOUND);
+    }
+    if (user.id === senderId) {
+      throw new Error(TRANSFER_ERRORS.SELF_TRANSFER);
+    }
+    if (user.status && user.status !== 'active') {
+      throw new Error(TRANSFER_ERRORS.RECIPIENT_INACTIVE);
+    }
+
+    const wallet = await Wallet.getPrimaryWallet(user.id);
+    if (!wallet) {
+      throw new Error(TRANSFER_ERRORS.RECIPIENT_NO_WALLET);
+    }
+
+    return { user, wallet, contact };
+  }
+
+  /**
+   * Send money to another user
+   * @param {string} senderId - Sender UUID
+   * @param {Object} transferData - { contactId | phoneNumber | recipientId, amount, assetSymbol, note, metadata }
+   * @returns {Object} { transaction, receiverTransactionId, recipient }
+   */
+  static async send(senderId, transferData) {
+    const { contactId, phoneNumber, recipientId, amount, assetSymbol, note = null, metadata = {} } = transferData;
+
+    const { user: recipient, wallet, contact } = await this.resolveRecipient(senderId, {
+      contactId,
+      phoneNumber,
+      userId: recipientId
+    });
+
+    const senderWallet = await Wallet.getPrimaryWallet(senderId);
+    const receiverTransactionId = randomUUID();
+
+    const pending = await TransactionService.createTransaction({
+      userId: senderId,
+      type: TRANSACTION_TYPES.TRANSFER,
+      amount,
+      assetSymbol,
+      network: P2P_NETWORK,
+      fromAddress: senderWallet?.wallet_address || null,
+      toAddress: wallet.wallet_address || null,
+      recipientId: recipient.id,
+      description: note,
+      metadata: {
+        ...metadata,
+        p2p: {
+          role: P2P_ROLES.SENDER,
+          linked_transaction_id: receiverTransactionId,
+          counterparty_id: recipient.id,
+          contact_id: contact?.id || null
+        }
+      }
+    });
+
+    let transaction;
+    try {
+      transaction = await TransactionService.updateTransactionStatus(senderId, pending.id, TRANSACTION_STATUS.COMPLETED);
+    } catch (error) {
+      // Give the held funds back before reporting the failure
+      await TransactionService.updateTransactionStatus(senderId, pending.id, TRANSACTION_STATUS.FAILED, {
+        errorReason: error.message
+      }).catch(releaseError => {
+        logger.logError('Failed to release P2P transfer after completion error', releaseError, {
+          transactionId: pending.id
+        });
+      });
+      throw error;
+    }
+
+    await this.recordReceipt(receiverTransactionId, transaction, senderWallet);
+
+    if (contact) {
+      ContactsWithAccounts.update(contact.id, {
+        is_favorite: contact.is_favorite,
+        linked_user_id: contact.linked_user_id,
+        last_interaction: new Date().toISOString()
+      })
+        .catch(error => logger.warn(`⚠️ Failed to update contact ${contact.id} interaction: ${error.message}`));
+    }
+
+    this.notifyRecipient(senderId, recipient.id, receiverTransactionId, transaction)
+      .catch(error => {
+        logger.error(`❌ Failed to send incoming transfer notification for ${transaction.id}:`, error);
+      });
+
+    logger.logTransaction('P2P transfer completed', 'info', {
+      userId: senderId,
+      recipientId: recipient.id,
+      transactionId: transaction.id,
+      receiverTransactionId,
+      amount: transaction.amount,
+      assetSymbol: transaction.asset_symbol
+    });
+
+    return {
+      transaction,
+      receiverTransactionId,
+      recipient: {
+        userId: recipient.id,
+        walletAddress: wallet.wallet_address || null
+      }
+    };
+  }
+
+  /**
+   * Add the transfer to the recipient's history. The funds have already
+   * settled, so a failure here is logged rather than undoing the transfer.
+   */
+  static async recordReceipt(id, transaction, senderWallet) {
+    try {
+      return await Transaction.create({
+        id,
+        reference: `${TransactionService.getTransactionPrefix('receive')}${transaction.reference.slice(3)}`,
+        sender_id: transaction.recipient_id,
+        type: TRANSACTION_TYPES.CASH_IN,
+        status: TRANSACTION_STATUS.COMPLETED,
+        amount: transaction.amount,
+        asset_symbol: transaction.asset_symbol,
+        note: transaction.note,
+        completed_at: transaction.completed_at,
+        metadata: {
+          network: P2P_NETWORK,
+          from_address: senderWallet?.wallet_address || null,
+          to_address: transaction.metadata?.to_address || null,
+          created_by: 'api',
+          source: 'p2p_transfer',
+          p2p: {
+            role: P2P_ROLES.RECEIVER,
+            linked_transaction_id: transaction.id,
+            counterparty_id: transaction.sender_id
+          }
+        }
+      });
+    } catch (error) {
+      logger.logError('Failed to record P2P transfer for recipient', error, {
+        transactionId: transaction.id,
+        receiverTransactionId: id
+      });
+      return null;
+    }
+  }
+
+  static async notifyRecipient(senderId, recipientId, receiverTransactionId, transaction) {
+    const profile = await UserProfile.findByUserId(senderId);
+    const senderName = [profile?.first_name, profile?.last_name].filter(Boolean).join(' ') || null;
+
+    await notificationService.sendIncomingTransferNotification(recipientId, {
+      transactionId: receiverTransactionId,
+      amount: transaction.amount,
+      assetSymbol: transaction.asset_symbol,
+      senderName,
+      reference: transaction.reference
+    });
+  }
+}
+
+export default P2PTransferService;
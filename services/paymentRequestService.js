@@ -0,0 +1,282 @@
+import PaymentRequest, { PAYMENT_REQUEST_STATUS } from '../models/PaymentRequest.js';
+import Wallet from '../models/Wallet.js';
+import TransactionService, { TRANSACTION_TYPES } from './transactionService.js';
+import logger from '../utils/logger.js';
+
+const REQUEST_DIRECTIONS = ['incoming', 'outgoing'];
+
+class PaymentRequestService {
+  /**
+   * Create a payment request asking another user for money
+   * @param {string} requestorId - User UUID asking to be paid
+   * @param {Object} requestData - { recipientId, amount, assetSymbol, note, expiresAt }
+   * @returns {Object} Created payment request
+   */
+  static async createRequest(requestorId, requestData) {
+    try {
+      if (!requestorId) {
+        throw new Error('User ID is required');
+      }
+
+      const {
+        recipientId,
+        amount,
+        assetSymbol,
+        note = null,
+        expiresAt = null
+      } = requestData;
+
+      if (recipientId === requestorId) {
+        throw new Error('Cannot request payment from yourself');
+      }
+
+      const request = await PaymentRequest.create({
+        requestor_id: requestorId,
+        recipient_id: recipientId,
+        amount: parseFloat(amount),
+        asset_symbol: assetSymbol.toUpperCase(),
+        note,
+        expires_at: expiresAt
+      });
+
+      // QR code payload needs the generated ID, so it is written after insert
+      const withQrCode = await PaymentRequest.update(request.id, {
+        qr_code: PaymentRequest.generateQrCode(request)
+      });
+
+      logger.logTransaction('Payment request created', 'info', {
+        userId: requestorId,
+        paymentRequestId: request.id,
+        recipientId,
+        amount: request.amount,
+        assetSymbol: request.asset_symbol
+      });
+
+      await TransactionService.logTransactionActivity(requestorId, 'payment_request_created', {
+        paymentRequestId: request.id,
+        recipientId,
+        amount: request.amount,
+        assetSymbol: request.asset_symbol
+      });
+
+      return withQrCode;
+    } catch (error) {
+      logger.logError('PaymentRequestService error in createRequest', error, {
+        userId: requestorId,
+        recipientId: requestData?.recipientId
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * List payment requests for a user
+   * @param {string} userId - User UUID
+   * @param {string} direction - 'incoming' or 'outgoing'
+   * @param {Object} options - { status, assetSymbol, limit, offset }
+   * @returns {Object} Requests with pagination info
+   */
+  static async getRequests(userId, direction = 'incoming', options = {}) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    if (!REQUEST_DIRECTIONS.includes(direction)) {
+      throw new Error(`Invalid direction: ${direction}`);
+    }
+
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), 100);
+    const offset = Math.max(parseInt(options.offset, 10) || 0, 0);
+
+    const requests = await PaymentRequest.findByUser(userId, direction, {
+      status: options.status,
+      asset_symbol: options.assetSymbol?.toUpperCase(),
+      limit,
+      offset
+    });
+
+    return {
+      requests: requests.map(request => ({
+        ...request,
+        is_expired: request.status === PAYMENT_REQUEST_STATUS.PENDING && PaymentRequest.isExpired(request)
+      })),
+      direction,
+      pagination: {
+        limit,
+        offset,
+        hasMore: requests.length === limit
+      }
+    };
+  }
+
+  /**
+   * Get a single request visible to the user (requestor or recipient)
+   * @param {string} userId - User UUID
+   * @param {string} requestId - Payment request UUID
+   * @returns {Object} Payment request
+   */
+  static async getRequestById(userId, requestId) {
+    const request = await PaymentRequest.findById(requestId);
+
+    if (!request || (request.requestor_id !== userId && request.recipient_id !== userId)) {
+      throw new Error('Payment request not found');
+    }
+
+    return request;
+  }
+
+  /**
+   * Decline an incoming payment request
+   * @param {string} userId - Recipient UUID
+   * @param {string} requestId - Payment request UUID
+   */
+  static async declineRequest(userId, requestId) {
+    const request = await this.getActionableRequest(userId, requestId, 'recipient');
+
+    const updated = await PaymentRequest.updateStatus(request.id, PAYMENT_REQUEST_STATUS.DECLINED);
+
+    await TransactionService.logTransactionActivity(userId, 'payment_request_declined', {
+      paymentRequestId: request.id,
+      requestorId: request.requestor_id
+    });
+
+    return updated;
+  }
+
+  /**
+   * Cancel an outgoing payment request
+   * @param {string} userId - Requestor UUID
+   * @param {string} requestId - Payment request UUID
+   */
+  static async cancelRequest(userId, requestId) {
+    const request = await this.getActionableRequest(userId, requestId, 'requestor');
+
+    const updated = await PaymentRequest.updateStatus(request.id, PAYMENT_REQUEST_STATUS.CANCELLED);
+
+    await TransactionService.logTransactionActivity(userId, 'payment_request_cancelled', {
+      paymentRequestId: request.id,
+      recipientId: request.recipient_id
+    });
+
+    return updated;
+  }
+
+  /**
+   * Pay an incoming payment request by creating a payment transaction.
+   * The request is claimed (pending -> processing) before the hold is placed,
+   * so concurrent pays cannot both charge the payer.
+   * @param {string} userId - Recipient UUID (the payer)
+   * @param {string} requestId - Payment request UUID
+   * @param {Object} paymentData - { network, fromAddress, description }
+   * @returns {Object} { paymentRequest, transaction }
+   */
+  static async payRequest(userId, requestId, paymentData = {}) {
+    const request = await this.getActionableRequest(userId, requestId, 'recipient');
+
+    const { network = 'solana', fromAddress = null, description = null } = paymentData;
+
+    await PaymentRequest.updateStatus(request.id, PAYMENT_REQUEST_STATUS.PROCESSING);
+
+    let transaction;
+    try {
+      // Resolve the requestor's wallet so the transaction carries a destination
+      const requestorWallet = await Wallet.getPrimaryWallet(request.requestor_id);
+
+      transaction = await TransactionService.createTransaction({
+        userId,
+        type: TRANSACTION_TYPES.PAYMENT,
+        amount: request.amount,
+        assetSymbol: request.asset_symbol,
+        network,
+        fromAddress,
+        toAddress: requestorWallet?.wallet_address || null,
+        recipientId: request.requestor_id,
+        description: description || request.note,
+        metadata: {
+          payment_request_id: request.id
+        }
+      });
+    } catch (error) {
+      await this.releaseClaim(request.id);
+      throw error;
+    }
+
+    let paymentRequest;
+    try {
+      paymentRequest = await PaymentRequest.updateStatus(request.id, PAYMENT_REQUEST_STATUS.PAID, {
+        transaction_id: transaction.id
+      }, PAYMENT_REQUEST_STATUS.PROCESSING);
+    } catch (error) {
+      // The payment exists but the request could not be marked paid: cancel it to release the hold
+      try {
+        await TransactionService.cancelTransaction(userId, transaction.id, 'Payment request could not be marked as paid');
+      } catch (cancelError) {
+        logger.logError('Failed to cancel payment for unpaid request', cancelError, {
+          userId,
+          paymentRequestId: request.id,
+          transactionId: transaction.id
+        });
+      }
+      await this.releaseClaim(request.id);
+      throw error;
+    }
+
+    logger.logTransaction('Payment request paid', 'info', {
+      userId,
+      paymentRequestId: request.id,
+      transactionId: transaction.id,
+      amount: request.amount,
+      assetSymbol: request.asset_symbol
+    });
+
+    await TransactionService.logTransactionActivity(userId, 'payment_request_paid', {
+      paymentRequestId: request.id,
+      transactionId: transaction.id,
+      requestorId: request.requestor_id
+    });
+
+    return { paymentRequest, transaction };
+  }
+
+  /**
+   * Return a claimed request to pending after its payment could not be completed
+   * @param {string} requestId - Payment request UUID
+   */
+  static async releaseClaim(requestId) {
+    try {
+      await PaymentRequest.updateStatus(requestId, PAYMENT_REQUEST_STATUS.PENDING, {}, PAYMENT_REQUEST_STATUS.PROCESSING);
+    } catch (error) {
+      logger.logError('Failed to release payment request claim', error, { paymentRequestId: requestId });
+    }
+  }
+
+  /**
+   * Load a request and ensure the user may act on it in the given role
+   * Pending requests past their expiry are marked expired on access
+   * @param {string} userId - Acting user UUID
+   * @param {string} requestId - Payment request UUID
+   * @param {string} role - 'requestor' or 'recipient'
+   */
+  static async getActionableRequest(userId, requestId, role) {
+    const request = await this.getRequestById(userId, requestId);
+
+    const ownerId = role === 'requestor' ? request.requestor_id : request.recipient_id;
+    if (ownerId !== userId) {
+      throw new Error(`Only the ${role} can perform this action`);
+    }
+
+    if (request.status !== PAYMENT_REQUEST_STATUS.PENDING) {
+      throw new Error(`Payment request is already ${request.status}`);
+    }
+
+    if (PaymentRequest.isExpired(request)) {
+      await PaymentRequest.updateStatus(request.id, PAYMENT_REQUEST_STATUS.EXPIRED);
+      throw new Error('Payment request is already expired');
+    }
+
+    return request;
+  }
+}
+
+export default PaymentRequestService;
+export { REQUEST_DIRECTIONS };
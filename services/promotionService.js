@@ -1,4 +1,4 @@
-import { supabase, supabaseAdmin } from '../database/supabase.js';
+import { supabase, supabaseAdmin } from '../database/index.js';
 import redis from 'redis';
 import Promotion from '../models/Promotion.js';
 
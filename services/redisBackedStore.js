@@ -0,0 +1,76 @@
+import redis from 'redis';
+import logger from '../utils/logger.js';
+
+/**
+ * Redis Backed Store
+ *
+ * Base class for stores shared by every API instance through Redis. It owns
+ * the client and tracks whether Redis is reachable; subclasses check
+ * useFallback() before each call and hand it to `this.fallback` while Redis
+ * is down.
+ */
+class RedisBackedStore {
+  /**
+   * @param {string} redisUrl - Redis connection URL
+   * @param {Object} options
+   * @param {string} options.prefix - Prepended to every Redis key
+   * @param {string} options.name - What the store keeps, for log messages (e.g. 'auth sessions')
+   * @param {string} options.category - Logger category
+   * @param {Object} options.fallback - Store with the same interface, used while Redis is unreachable
+   */
+  constructor(redisUrl, { prefix, name, category, fallback }) {
+    this.type = 'redis';
+    this.prefix = prefix;
+    this.name = name;
+    this.category = category;
+    this.redisClient = null;
+    this.fallback = fallback;
+    this.ready = false;
+    this.fallbackWarned = false;
+    this.initRedis(redisUrl);
+  }
+
+  async initRedis(redisUrl) {
+    try {
+      this.redisClient = redis.createClient({
+        url: redisUrl
+      });
+
+      this.redisClient.on('error', (err) => {
+        console.error(`Redis Client Error for ${this.name}:`, err);
+      });
+
+      this.redisClient.on('ready', () => {
+        this.ready = true;
+        this.fallbackWarned = false;
+      });
+
+      this.redisClient.on('end', () => {
+        this.ready = false;
+      });
+
+      await this.redisClient.connect();
+      console.log(`✅ Redis connected for ${this.name}`);
+    } catch (error) {
+      this.ready = false;
+      console.warn(`⚠️ Redis not available for ${this.name}, using ${this.fallback.type} store:`, error.message);
+    }
+  }
+
+  /**
+   * Whether calls should go to the fallback store; warns once per outage
+   * @returns {boolean}
+   */
+  useFallback() {
+    if (!this.ready && !this.fallbackWarned) {
+      this.fallbackWarned = true;
+      logger.warn(`Redis unavailable for ${this.name}, using ${this.fallback.type} fallback`, {
+        category: this.category,
+        store: this.type
+      });
+    }
+    return !this.ready;
+  }
+}
+
+export default RedisBackedStore;
@@ -0,0 +1,424 @@
+import TransactionService, { TRANSACTION_TYPES } from './transactionService.js';
+import P2PTransferService from './p2pTransferService.js';
+import notificationService from './notificationService.js';
+import ScheduledTransfer from '../models/ScheduledTransfer.js';
+import ScheduledTransferExecution from '../models/ScheduledTransferExecution.js';
+import UserProfile from '../models/UserProfile.js';
+import Transaction from '../models/Transaction.js';
+import logger from '../utils/logger.js';
+import { NOTIFICATION_TYPES } from '../constants/notificationConstants.js';
+import {
+  P2P_NETWORK,
+  SCHEDULE_FREQUENCIES,
+  SCHEDULED_TRANSFER_STATUS,
+  SCHEDULED_EXECUTION_STATUS,
+  SCHEDULED_TRANSFER_ERRORS,
+  TRANSFER_SCHEDULER
+} from '../constants/transferConstants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Transfers that can still run, or be resumed to run
+const OPEN_STATUSES = [SCHEDULED_TRANSFER_STATUS.ACTIVE, SCHEDULED_TRANSFER_STATUS.PAUSED];
+
+/**
+ * Scheduled Transfer Service
+ *
+ * A scheduled transfer sends the same amount once at a future time, or daily,
+ * weekly or monthly from its start until an end date or a number of transfers
+ * sent. Runs are computed from start_at in UTC: recurring runs keep its time of
+ * day, and monthly runs its day of month (the month's last day when shorter).
+ *
+ * Internal recipients are paid as P2P transfers, external addresses as a
+ * pending `transfer`, both through TransactionService and so through the
+ * usual limit checks and ledger hold. A failed run is retried after each of
+ * TRANSFER_SCHEDULER.RETRY_DELAYS_MS and then given up; the series moves on
+ * to its next run either way. Runs missed while paused or while the
+ * scheduler was down are skipped rather than sent late in a burst. Each
+ * run's transaction carries metadata.scheduled_transfer { id, scheduled_for },
+ * which keeps a retried run from creating a second live transaction.
+ */
+class ScheduledTransferService {
+  /**
+   * Schedule a transfer
+   * @param {string} userId - Sender UUID
+   * @param {Object} data - { contactId | phoneNumber | recipientId | toAddress, network, amount, assetSymbol,
+   *   note, frequency, startAt, endDate, maxExecutions }
+   * @returns {Object} The scheduled_transfers row
+   */
+  static async create(userId, data, now = new Date()) {
+    const { frequency, amount, assetSymbol, note = null, maxExecutions = null } = data;
+    const startAt = new Date(data.startAt);
+    const endDate = data.endDate ? new Date(data.endDate) : null;
+
+    if (startAt <= now) {
+      throw new Error(SCHEDULED_TRANSFER_ERRORS.START_IN_PAST);
+    }
+    if (endDate && frequency !== SCHEDULE_FREQUENCIES.ONCE && endDate < startAt) {
+      throw new Error(SCHEDULED_TRANSFER_ERRORS.END_BEFORE_START);
+    }
+    if (await ScheduledTransfer.countActiveByUser(userId) >= TRANSFER_SCHEDULER.MAX_ACTIVE_PER_USER) {
+      throw new Error(SCHEDULED_TRANSFER_ERRORS.TOO_MANY);
+    }
+
+    // Internal recipients are checked now so a bad one is reported to the user, not to the scheduler
+    let recipientId = null;
+    if (data.contactId || data.phoneNumber || data.recipientId) {
+      const { user } = await P2PTransferService.resolveRecipient(userId, {
+        contactId: data.contactId,
+        phoneNumber: data.phoneNumber,
+        userId: data.recipientId
+      });
+      recipientId = user.id;
+    }
+
+    const recurring = frequency !== SCHEDULE_FREQUENCIES.ONCE;
+    const schedule = await ScheduledTransfer.create({
+      user_id: userId,
+      recipient_id: recipientId,
+      to_address: recipientId ? null : data.toAddress,
+      network: recipientId ? P2P_NETWORK : data.network.toLowerCase(),
+      amount,
+      asset_symbol: assetSymbol.toUpperCase(),
+      note,
+      frequency,
+      start_at: startAt.toISOString(),
+      end_date: recurring && endDate ? endDate.toISOString() : null,
+      max_executions: recurring ? maxExecutions : null
+    });
+
+    logger.logTransaction('Scheduled transfer created', 'info', {
+      userId,
+      scheduledTransferId: schedule.id,
+      frequency,
+      startAt: schedule.start_at,
+      amount,
+      assetSymbol: schedule.asset_symbol
+    });
+
+    return schedule;
+  }
+
+  static async list(userId, options = {}) {
+    return ScheduledTransfer.listByUser(userId, options);
+  }
+
+  /**
+   * A user's scheduled transfer with its latest execution attempts
+   */
+  static async get(userId, id) {
+    const schedule = await this.findOwned(userId, id);
+    const executions = await ScheduledTransferExecution.listByScheduledTransfer(id);
+    return { ...schedule, executions };
+  }
+
+  static async pause(userId, id) {
+    const schedule = await this.findOwned(userId, id);
+    if (schedule.status !== SCHEDULED_TRANSFER_STATUS.ACTIVE) {
+      throw new Error(SCHEDULED_TRANSFER_ERRORS.NOT_ACTIVE);
+    }
+
+    return ScheduledTransfer.update(id, {
+      status: SCHEDULED_TRANSFER_STATUS.PAUSED,
+      next_attempt_at: null
+    });
+  }
+
+  /**
+   * Resume a paused transfer at its next run from now. A one-off transfer
+   * whose time passed while paused runs straight away; a series with no runs
+   * left before its end date is completed.
+   */
+  static async resume(userId, id, now = new Date()) {
+    const schedule = await this.findOwned(userId, id);
+    if (schedule.status !== SCHEDULED_TRANSFER_STATUS.PAUSED) {
+      throw new Error(SCHEDULED_TRANSFER_ERRORS.NOT_PAUSED);
+    }
+
+    if (schedule.frequency === SCHEDULE_FREQUENCIES.ONCE) {
+      const runAt = new Date(Math.max(new Date(schedule.scheduled_for).getTime(), now.getTime()));
+      return ScheduledTransfer.update(id, {
+        status: SCHEDULED_TRANSFER_STATUS.ACTIVE,
+        next_attempt_at: runAt.toISOString(),
+        attempts: 0
+      });
+    }
+
+    const next = this.nextOccurrence(schedule, schedule.occurrence, now);
+    if (this.isPastEnd(schedule, next.at)) {
+      return ScheduledTransfer.update(id, { status: SCHEDULED_TRANSFER_STATUS.COMPLETED, next_attempt_at: null });
+    }
+
+    return ScheduledTransfer.update(id, {
+      status: SCHEDULED_TRANSFER_STATUS.ACTIVE,
+      ...this.runFields(schedule, next)
+    });
+  }
+
+  static async cancel(userId, id) {
+    const schedule = await this.findOwned(userId, id);
+    if (!OPEN_STATUSES.includes(schedule.status)) {
+      throw new Error(SCHEDULED_TRANSFER_ERRORS.ALREADY_ENDED);
+    }
+
+    const cancelled = await ScheduledTransfer.update(id, {
+      status: SCHEDULED_TRANSFER_STATUS.CANCELLED,
+      next_attempt_at: null
+    });
+
+    logger.logTransaction('Scheduled transfer cancelled', 'info', { userId, scheduledTransferId: id });
+    return cancelled;
+  }
+
+  static async findOwned(userId, id) {
+    const schedule = await ScheduledTransfer.findById(id);
+    if (!schedule || schedule.user_id !== userId) {
+      throw new Error(SCHEDULED_TRANSFER_ERRORS.NOT_FOUND);
+    }
+    return schedule;
+  }
+
+  /**
+   * Run the transfer currently due. Called by the scheduler with a claimed row.
+   * @param {Object} schedule - scheduled_transfers row
+   * @returns {Object} { status, transactionId, error } of this attempt
+   */
+  static async execute(schedule, now = new Date()) {
+    const attempt = schedule.attempts + 1;
+
+    let transaction;
+    try {
+      // The transaction is tagged with the run, so a run that was paid before a
+      // crash or a failed save is picked up again instead of being paid twice
+      transaction = await Transaction.findScheduledRun(schedule.user_id, schedule.id, schedule.scheduled_for)
+        || await this.sendTransfer(schedule);
+    } catch (error) {
+      await this.recordExecution(schedule, attempt, SCHEDULED_EXECUTION_STATUS.FAILED, null, error.message);
+      await this.handleFailure(schedule, attempt, error, now);
+      return { status: SCHEDULED_EXECUTION_STATUS.FAILED, transactionId: null, error: error.message };
+    }
+
+    await this.recordExecution(schedule, attempt, SCHEDULED_EXECUTION_STATUS.COMPLETED, transaction.id);
+    await this.advance(schedule, now, {
+      execution_count: schedule.execution_count + 1,
+      last_error: null
+    });
+
+    logger.logTransaction('Scheduled transfer executed', 'info', {
+      userId: schedule.user_id,
+      scheduledTransferId: schedule.id,
+      transactionId: transaction.id,
+      scheduledFor: schedule.scheduled_for,
+      attempt
+    });
+
+    this.notify(schedule, NOTIFICATION_TYPES.SCHEDULED_TRANSFER_EXECUTED, { transactionId: transaction.id });
+
+    return { status: SCHEDULED_EXECUTION_STATUS.COMPLETED, transactionId: transaction.id, error: null };
+  }
+
+  static async sendTransfer(schedule) {
+    const metadata = {
+      scheduled_transfer: {
+        id: schedule.id,
+        scheduled_for: schedule.scheduled_for
+      }
+    };
+
+    if (schedule.recipient_id) {
+      const { transaction } = await P2PTransferService.send(schedule.user_id, {
+        recipientId: schedule.recipient_id,
+        amount: schedule.amount,
+        assetSymbol: schedule.asset_symbol,
+        note: schedule.note,
+        metadata
+      });
+      return transaction;
+    }
+
+    return TransactionService.createTransaction({
+      userId: schedule.user_id,
+      type: TRANSACTION_TYPES.TRANSFER,
+      amount: schedule.amount,
+      assetSymbol: schedule.asset_symbol,
+      network: schedule.network,
+      toAddress: schedule.to_address,
+      description: schedule.note,
+      metadata
+    });
+  }
+
+  /**
+   * Schedule a retry, or give the run up once the retries are used
+   */
+  static async handleFailure(schedule, attempt, error, now) {
+    const delay = TRANSFER_SCHEDULER.RETRY_DELAYS_MS[attempt - 1];
+
+    if (delay !== undefined) {
+      logger.warn(`⚠️ Scheduled transfer ${schedule.id} failed (attempt ${attempt}), retrying in ${delay}ms: ${error.message}`);
+      return ScheduledTransfer.update(schedule.id, {
+        attempts: attempt,
+        last_error: error.message,
+        last_run_at: now.toISOString(),
+        next_attempt_at: new Date(now.getTime() + delay).toISOString()
+      });
+    }
+
+    logger.logError('Scheduled transfer run given up after retries', error, {
+      scheduledTransferId: schedule.id,
+      scheduledFor: schedule.scheduled_for,
+      attempts: attempt
+    });
+
+    this.notify(schedule, NOTIFICATION_TYPES.SCHEDULED_TRANSFER_FAILED, { reason: error.message });
+
+    if (schedule.frequency === SCHEDULE_FREQUENCIES.ONCE) {
+      return ScheduledTransfer.update(schedule.id, {
+        status: SCHEDULED_TRANSFER_STATUS.FAILED,
+        attempts: attempt,
+        last_error: error.message,
+        last_run_at: now.toISOString(),
+        next_attempt_at: null
+      });
+    }
+
+    return this.advance(schedule, now, { last_error: error.message });
+  }
+
+  /**
+   * Move the series on to its next run after now, or complete it
+   */
+  static async advance(schedule, now, updates = {}) {
+    const executionCount = updates.execution_count ?? schedule.execution_count;
+    const next = schedule.frequency === SCHEDULE_FREQUENCIES.ONCE
+      ? null
+      : this.nextOccurrence(schedule, schedule.occurrence + 1, now);
+
+    const finished = !next
+      || (schedule.max_executions && executionCount >= schedule.max_executions)
+      || this.isPastEnd(schedule, next.at);
+
+    return ScheduledTransfer.update(schedule.id, {
+      ...updates,
+      last_run_at: now.toISOString(),
+      ...(finished
+        ? { status: SCHEDULED_TRANSFER_STATUS.COMPLETED, attempts: 0, next_attempt_at: null }
+        : this.runFields(schedule, next))
+    });
+  }
+
+  static runFields(schedule, { occurrence, at }) {
+    const moved = occurrence !== schedule.occurrence;
+    return {
+      occurrence,
+      scheduled_for: at.toISOString(),
+      next_attempt_at: at.toISOString(),
+      attempts: 0,
+      reminder_sent: moved ? false : schedule.reminder_sent
+    };
+  }
+
+  /**
+   * First run at or after `notBefore`, counting from the `from`th
+   * @returns {Object} { occurrence, at }
+   */
+  static nextOccurrence(schedule, from, notBefore) {
+    let occurrence = from;
+    let at = this.occurrenceAt(schedule.start_at, schedule.frequency, occurrence);
+    while (at < notBefore) {
+      occurrence++;
+      at = this.occurrenceAt(schedule.start_at, schedule.frequency, occurrence);
+    }
+    return { occurrence, at };
+  }
+
+  /**
+   * Time of the nth run (0 being start_at) of a series
+   * @returns {Date}
+   */
+  static occurrenceAt(startAt, frequency, n) {
+    const start = new Date(startAt);
+
+    switch (frequency) {
+      case SCHEDULE_FREQUENCIES.DAILY:
+        return new Date(start.getTime() + n * DAY_MS);
+      case SCHEDULE_FREQUENCIES.WEEKLY:
+        return new Date(start.getTime() + n * 7 * DAY_MS);
+      case SCHEDULE_FREQUENCIES.MONTHLY: {
+        const month = start.getUTCMonth() + n;
+        const lastDay = new Date(Date.UTC(start.getUTCFullYear(), month + 1, 0)).getUTCDate();
+        const at = new Date(start);
+        at.setUTCFullYear(start.getUTCFullYear(), month, Math.min(start.getUTCDate(), lastDay));
+        return at;
+      }
+      default:
+        return start;
+    }
+  }
+
+  static isPastEnd(schedule, at) {
+    return Boolean(schedule.end_date) && at > new Date(schedule.end_date);
+  }
+
+  static async recordExecution(schedule, attempt, status, transactionId, error = null) {
+    try {
+      return await ScheduledTransferExecution.create({
+        scheduled_transfer_id: schedule.id,
+        transaction_id: transactionId,
+        scheduled_for: schedule.scheduled_for,
+        attempt,
+        status,
+        error
+      });
+    } catch (recordError) {
+      // The transfer itself already happened or failed; only its log entry is missing
+      logger.logError('Failed to record scheduled transfer execution', recordError, {
+        scheduledTransferId: schedule.id,
+        transactionId
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Remind the user of the upcoming run
+   */
+  static async sendReminder(schedule) {
+    await this.sendNotification(schedule, NOTIFICATION_TYPES.SCHEDULED_TRANSFER_REMINDER);
+    return ScheduledTransfer.update(schedule.id, { reminder_sent: true });
+  }
+
+  /**
+   * Send a notification about a run without waiting for it
+   */
+  static notify(schedule, type, details = {}) {
+    this.sendNotification(schedule, type, details).catch(error => {
+      logger.error(`❌ Failed to send ${type} notification for scheduled transfer ${schedule.id}:`, error);
+    });
+  }
+
+  static async sendNotification(schedule, type, { transactionId = null, reason = null } = {}) {
+    return notificationService.sendScheduledTransferNotification(schedule.user_id, {
+      type,
+      scheduledTransferId: schedule.id,
+      transactionId,
+      amount: schedule.amount,
+      assetSymbol: schedule.asset_symbol,
+      recipient: await this.recipientName(schedule),
+      scheduledFor: schedule.scheduled_for,
+      reason
+    });
+  }
+
+  static async recipientName(schedule) {
+    if (!schedule.recipient_id) {
+      const address = schedule.to_address || '';
+      return address.length > 12 ? `${address.slice(0, 6)}…${address.slice(-4)}` : address || null;
+    }
+
+    const profile = await UserProfile.findByUserId(schedule.recipient_id).catch(() => null);
+    return [profile?.first_name, profile?.last_name].filter(Boolean).join(' ') || null;
+  }
+}
+
+export default ScheduledTransferService;
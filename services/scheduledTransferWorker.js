@@ -0,0 +1,107 @@
+import ScheduledTransfer from '../models/ScheduledTransfer.js';
+import ScheduledTransferService from './scheduledTransferService.js';
+import logger from '../utils/logger.js';
+import { SCHEDULED_EXECUTION_STATUS, TRANSFER_SCHEDULER } from '../constants/transferConstants.js';
+
+/**
+ * Scheduled Transfer Worker
+ *
+ * Reminds users of runs coming up within TRANSFER_SCHEDULER.REMINDER_LEAD_MS
+ * and executes the runs and retries that are due. Each due transfer is
+ * claimed first, so several instances of the API can run the worker without
+ * sending the same run twice.
+ */
+class ScheduledTransferWorker {
+  /**
+   * @param {Object} options
+   * @param {number} options.intervalMs - Polling interval
+   * @param {number} options.batchSize - Maximum reminders and runs per poll
+   */
+  constructor(options = {}) {
+    this.intervalMs = options.intervalMs || TRANSFER_SCHEDULER.INTERVAL_MS;
+    this.batchSize = options.batchSize || TRANSFER_SCHEDULER.BATCH_SIZE;
+
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Start polling in the background
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.pollOnce().catch(error => {
+        logger.logError('Scheduled transfer poll failed', error);
+      });
+    }, this.intervalMs);
+
+    // Do not keep the process alive just for the worker
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    console.log(`✅ Scheduled transfer worker started (every ${this.intervalMs}ms)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Send due reminders and execute due runs
+   * @returns {Object} Counts of reminders sent, runs executed and runs failed
+   */
+  async pollOnce(now = new Date()) {
+    // Skip if the previous poll is still running
+    if (this.polling) {
+      return { reminded: 0, executed: 0, failed: 0, skipped: true };
+    }
+
+    this.polling = true;
+    const summary = { reminded: 0, executed: 0, failed: 0 };
+
+    try {
+      const until = new Date(now.getTime() + TRANSFER_SCHEDULER.REMINDER_LEAD_MS);
+      for (const schedule of await ScheduledTransfer.findNeedingReminder(now, until, this.batchSize)) {
+        try {
+          await ScheduledTransferService.sendReminder(schedule);
+          summary.reminded++;
+        } catch (error) {
+          // Left unmarked, so the next poll retries
+          logger.logError('Failed to send scheduled transfer reminder', error, { scheduledTransferId: schedule.id });
+        }
+      }
+
+      const claimUntil = new Date(now.getTime() + TRANSFER_SCHEDULER.CLAIM_MS);
+      for (const due of await ScheduledTransfer.findDue(now, this.batchSize)) {
+        try {
+          const schedule = await ScheduledTransfer.claim(due, claimUntil);
+          if (!schedule) {
+            continue;
+          }
+
+          const result = await ScheduledTransferService.execute(schedule, now);
+          if (result.status === SCHEDULED_EXECUTION_STATUS.COMPLETED) summary.executed++;
+          else summary.failed++;
+        } catch (error) {
+          // The claim runs out after CLAIM_MS and a later poll tries again
+          summary.failed++;
+          logger.logError('Failed to execute scheduled transfer', error, { scheduledTransferId: due.id });
+        }
+      }
+
+      return summary;
+    } finally {
+      this.polling = false;
+    }
+  }
+}
+
+export default ScheduledTransferWorker;
@@ -0,0 +1,179 @@
+import stytchClient from '../config/stytch.js';
+import UserSession from '../models/UserSession.js';
+import logger from '../utils/logger.js';
+import {
+  SESSION_REGISTRY,
+  SESSION_REGISTRY_ERRORS,
+  SESSION_JWT_ERRORS
+} from '../constants/securityConstants.js';
+
+/**
+ * Session Registry Service
+ *
+ * user_sessions is the source of truth for a user's signed-in devices. Every
+ * login writes a row, authenticateToken rejects tokens whose row has been
+ * deactivated, and the /auth/devices endpoints list and revoke rows directly,
+ * so devices can be managed even when Stytch is unavailable. Revoking a row
+ * that belongs to a Stytch session also revokes it in Stytch when possible.
+ */
+class SessionRegistryService {
+  static truncate(value, maxLength) {
+    if (typeof value !== 'string' || !value.trim()) {
+      return null;
+    }
+    return value.trim().slice(0, maxLength);
+  }
+
+  /**
+   * Record a new login
+   * @param {Object} params - { userId, sessionToken, stytchSessionId, expiresAt, deviceId, deviceName, ipAddress, userAgent }
+   * @returns {UserSession} Created session
+   */
+  static async registerSession({
+    userId,
+    sessionToken,
+    stytchSessionId = null,
+    expiresAt,
+    deviceId = null,
+    deviceName = null,
+    ipAddress = null,
+    userAgent = null
+  }) {
+    return UserSession.create({
+      user_id: userId,
+      session_token: sessionToken,
+      stytch_session_id: stytchSessionId,
+      device_id: this.truncate(deviceId, SESSION_REGISTRY.DEVICE_ID_MAX_LENGTH),
+      device_name: this.truncate(deviceName, SESSION_REGISTRY.DEVICE_NAME_MAX_LENGTH),
+      ip_address: ipAddress,
+      user_agent: userAgent,
+      expires_at: expiresAt || new Date(Date.now() + SESSION_REGISTRY.STYTCH_SESSION_TTL_MS).toISOString()
+    });
+  }
+
+  /**
+   * Resolve the registry row for an authenticated Stytch session.
+   * Sessions that never went through completeLogin are registered on first use.
+   * @returns {UserSession} Active session
+   * @throws {Error} SESSION_JWT_ERRORS.REVOKED when the session was signed out
+   */
+  static async ensureActiveSession(userId, sessionToken, sessionInfo = {}) {
+    let session = await UserSession.findByToken(sessionToken);
+
+    if (!session) {
+      try {
+        session = await this.registerSession({ userId, sessionToken, ...sessionInfo });
+      } catch (error) {
+        // Another request for the same token registered it first
+        if (error.code !== '23505') {
+          throw error;
+        }
+        session = await UserSession.findByToken(sessionToken);
+      }
+    }
+
+    if (!session || session.user_id !== userId || !session.isValid()) {
+      throw new Error(SESSION_JWT_ERRORS.REVOKED);
+    }
+
+    this.recordActivity(session);
+    return session;
+  }
+
+  /**
+   * Refresh last_activity without holding up the request
+   */
+  static recordActivity(session, now = Date.now()) {
+    const lastActivity = session.last_activity ? new Date(session.last_activity).getTime() : 0;
+    if (now - lastActivity < SESSION_REGISTRY.ACTIVITY_UPDATE_INTERVAL_MS) {
+      return;
+    }
+
+    session.updateLastActivity().catch(error => {
+      logger.warn(`⚠️ Failed to update session activity for ${session.id}:`, error.message);
+    });
+  }
+
+  /**
+   * Active sessions of a user, most recently used first
+   */
+  static async listDevices(userId, currentSessionToken = null) {
+    const sessions = await UserSession.findActiveSessionsByUserId(userId);
+
+    return sessions
+      .sort((a, b) => new Date(b.last_activity || b.created_at) - new Date(a.last_activity || a.created_at))
+      .map(session => ({
+        session_id: session.id,
+        device_id: session.device_id || null,
+        device_name: session.device_name || null,
+        ip_address: session.ip_address || null,
+        user_agent: session.user_agent || null,
+        started_at: session.created_at,
+        last_accessed_at: session.last_activity,
+        expires_at: session.expires_at,
+        current: Boolean(currentSessionToken) && session.session_token === currentSessionToken
+      }));
+  }
+
+  /**
+   * Sign out one device
+   * @throws {Error} SESSION_REGISTRY_ERRORS.NOT_FOUND when the session is not the user's
+   */
+  static async revokeDevice(userId, sessionId) {
+    const session = await UserSession.findByIdForUser(sessionId, userId);
+    if (!session) {
+      throw new Error(SESSION_REGISTRY_ERRORS.NOT_FOUND);
+    }
+
+    if (session.is_active) {
+      await session.deactivate();
+      await this.revokeInStytch(session.stytch_session_id);
+    }
+    return session;
+  }
+
+  /**
+   * Sign out every device of the user
+   * @returns {number} Number of sessions revoked
+   */
+  static async revokeAllDevices(userId) {
+    const sessions = await UserSession.deactivateAllForUser(userId);
+
+    for (const session of sessions) {
+      await this.revokeInStytch(session.stytch_session_id);
+    }
+    return sessions.length;
+  }
+
+  /**
+   * Sign out the session behind a bearer token (logout)
+   * @returns {boolean} true if an active session was revoked
+   */
+  static async revokeByToken(sessionToken) {
+    const session = await UserSession.findByToken(sessionToken);
+    if (!session || !session.is_active) {
+      return false;
+    }
+
+    await session.deactivate();
+    return true;
+  }
+
+  /**
+   * The registry row is already inactive, so a Stytch outage only delays
+   * cleanup on Stytch's side; the token is rejected either way
+   */
+  static async revokeInStytch(stytchSessionId) {
+    if (!stytchSessionId) {
+      return;
+    }
+
+    try {
+      await stytchClient.sessions.revoke({ session_id: stytchSessionId });
+    } catch (error) {
+      logger.warn(`⚠️ Could not revoke Stytch session ${stytchSessionId}:`, error.message);
+    }
+  }
+}
+
+export default SessionRegistryService;
@@ -0,0 +1,221 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { v4 as uuidv4 } from 'uuid';
+import UserSession from '../models/UserSession.js';
+import SessionRegistryService from './sessionRegistryService.js';
+import logger from '../utils/logger.js';
+import { SESSION_JWT, SESSION_JWT_ERRORS } from '../constants/securityConstants.js';
+
+/**
+ * Session Token Service
+ *
+ * Issues and verifies the custom stytch_session_ tokens handed out when login
+ * completes without a Stytch session. The client sends the opaque session token
+ * as the bearer token and the signed JWT in x-session-jwt. A request is only
+ * authenticated when:
+ *
+ *   - the JWT signature checks out against the key named by its kid header
+ *   - iss, aud and exp match
+ *   - the JWT's sid claim is the bearer token
+ *   - the user_sessions row for that token is still active (see sessionRegistryService.js)
+ *
+ * Keys come from SESSION_JWT_KEYS ("kid1:secret1,kid2:secret2"). New tokens are
+ * signed with SESSION_JWT_ACTIVE_KID (default: the first key); keep retired keys
+ * listed until the tokens signed with them have expired.
+ */
+
+/**
+ * Parse SESSION_JWT_KEYS into a Map of kid -> secret
+ */
+function parseSessionKeys(value) {
+  const keys = new Map();
+
+  for (const entry of String(value).split(',').map(part => part.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    if (separator <= 0 || separator === entry.length - 1) {
+      throw new Error(SESSION_JWT_ERRORS.INVALID_KEY_CONFIG);
+    }
+
+    const secret = entry.slice(separator + 1);
+    if (secret.length < SESSION_JWT.MIN_KEY_LENGTH) {
+      throw new Error(SESSION_JWT_ERRORS.KEY_TOO_SHORT);
+    }
+    keys.set(entry.slice(0, separator), secret);
+  }
+
+  if (keys.size === 0) {
+    throw new Error(SESSION_JWT_ERRORS.INVALID_KEY_CONFIG);
+  }
+  return keys;
+}
+
+class SessionTokenService {
+  constructor({
+    keys = process.env.SESSION_JWT_KEYS,
+    activeKid = process.env.SESSION_JWT_ACTIVE_KID,
+    issuer = process.env.SESSION_JWT_ISSUER || SESSION_JWT.DEFAULT_ISSUER,
+    audience = process.env.SESSION_JWT_AUDIENCE || SESSION_JWT.DEFAULT_AUDIENCE
+  } = {}) {
+    this.keysConfig = keys;
+    this.activeKidConfig = activeKid;
+    this.issuer = issuer;
+    this.audience = audience;
+    this.keyring = null;
+  }
+
+  /**
+   * Load the signing keys on first use so a missing configuration only
+   * affects custom sessions, not server startup
+   */
+  getKeyring() {
+    if (this.keyring) {
+      return this.keyring;
+    }
+
+    let keys;
+    if (this.keysConfig) {
+      keys = parseSessionKeys(this.keysConfig);
+    } else if (process.env.NODE_ENV !== 'production') {
+      logger.warn('⚠️ SESSION_JWT_KEYS is not set; custom sessions are signed with a temporary key and will not survive a restart');
+      keys = new Map([['ephemeral', crypto.randomBytes(32).toString('hex')]]);
+    } else {
+      throw new Error(SESSION_JWT_ERRORS.KEYS_NOT_CONFIGURED);
+    }
+
+    const activeKid = this.activeKidConfig || keys.keys().next().value;
+    if (!keys.has(activeKid)) {
+      throw new Error(`SESSION_JWT_ACTIVE_KID "${activeKid}" is not listed in SESSION_JWT_KEYS`);
+    }
+
+    this.keyring = { keys, activeKid };
+    return this.keyring;
+  }
+
+  isCustomSessionToken(token) {
+    return typeof token === 'string' && token.startsWith(SESSION_JWT.TOKEN_PREFIX);
+  }
+
+  generateSessionToken() {
+    return `${SESSION_JWT.TOKEN_PREFIX}${crypto.randomBytes(SESSION_JWT.TOKEN_RANDOM_BYTES).toString('hex')}`;
+  }
+
+  /**
+   * Sign the JWT that accompanies a custom session token
+   * @param {Object} params - { sessionToken, user: { id, phoneNumber, email, created_at, status }, expiresAt }
+   * @returns {string} Signed JWT
+   */
+  sign({ sessionToken, user, expiresAt }) {
+    const { keys, activeKid } = this.getKeyring();
+
+    return jwt.sign({
+      sid: sessionToken,
+      phone: user.phoneNumber || null,
+      email: user.email || null,
+      created_at: user.created_at || null,
+      status: user.status || null,
+      exp: Math.floor(new Date(expiresAt).getTime() / 1000)
+    }, keys.get(activeKid), {
+      algorithm: SESSION_JWT.ALGORITHM,
+      keyid: activeKid,
+      issuer: this.issuer,
+      audience: this.audience,
+      subject: user.id,
+      jwtid: uuidv4()
+    });
+  }
+
+  /**
+   * Check the signature, claims and token binding of a session JWT
+   * @returns {Object} Verified claims
+   */
+  verifyToken(sessionToken, sessionJwt) {
+    const decoded = typeof sessionJwt === 'string' ? jwt.decode(sessionJwt, { complete: true }) : null;
+    if (!decoded?.header) {
+      throw new Error(SESSION_JWT_ERRORS.INVALID);
+    }
+
+    const secret = this.getKeyring().keys.get(decoded.header.kid);
+    if (!secret) {
+      throw new Error(SESSION_JWT_ERRORS.UNKNOWN_KEY);
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(sessionJwt, secret, {
+        algorithms: [SESSION_JWT.ALGORITHM],
+        issuer: this.issuer,
+        audience: this.audience,
+        clockTolerance: SESSION_JWT.CLOCK_TOLERANCE_SECONDS
+      });
+    } catch (error) {
+      throw new Error(error.name === 'TokenExpiredError' ? SESSION_JWT_ERRORS.EXPIRED : SESSION_JWT_ERRORS.INVALID);
+    }
+
+    if (!claims.sub || !claims.exp) {
+      throw new Error(SESSION_JWT_ERRORS.INVALID);
+    }
+    if (claims.sid !== sessionToken) {
+      throw new Error(SESSION_JWT_ERRORS.TOKEN_MISMATCH);
+    }
+
+    return claims;
+  }
+
+  /**
+   * Create a custom session: register it in user_sessions and sign its JWT
+   * @param {Object} params - { userId, user, deviceId, deviceName, ipAddress, userAgent, ttlMs }
+   * @returns {Object} { sessionToken, sessionJwt, expiresAt }
+   */
+  async issueSession({ userId, user, deviceId, deviceName, ipAddress, userAgent, ttlMs = SESSION_JWT.TTL_MS }) {
+    const sessionToken = this.generateSessionToken();
+    const expiresAt = new Date(Date.now() + ttlMs).toISOString();
+    const sessionJwt = this.sign({ sessionToken, user, expiresAt });
+
+    await SessionRegistryService.registerSession({
+      userId,
+      sessionToken,
+      expiresAt,
+      deviceId,
+      deviceName,
+      ipAddress,
+      userAgent
+    });
+
+    return { sessionToken, sessionJwt, expiresAt };
+  }
+
+  /**
+   * Verify a custom session token and its JWT, including revocation
+   * @returns {Object} { claims, session } where session is the user_sessions row
+   */
+  async verifySession(sessionToken, sessionJwt) {
+    const claims = this.verifyToken(sessionToken, sessionJwt);
+
+    const session = await UserSession.findByToken(sessionToken);
+    if (!session || !session.isValid()) {
+      throw new Error(SESSION_JWT_ERRORS.REVOKED);
+    }
+
+    return { claims, session };
+  }
+
+  /**
+   * Map verified claims to the user info shape used for Stytch sessions
+   */
+  toUserInfo(claims) {
+    return {
+      user_id: claims.sub,
+      phone: claims.phone,
+      email: claims.email,
+      created_at: claims.created_at,
+      status: claims.status || 'active',
+      session_id: claims.sid,
+      verified_at: new Date(claims.iat * 1000).toISOString(),
+      expires_at: new Date(claims.exp * 1000).toISOString()
+    };
+  }
+}
+
+// Export singleton instance
+export default new SessionTokenService();
+export { SessionTokenService, parseSessionKeys };
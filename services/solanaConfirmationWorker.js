@@ -0,0 +1,213 @@
+import { Connection } from '@solana/web3.js';
+import TransactionDetail from '../models/TransactionDetail.js';
+import TransactionService, { TRANSACTION_STATUS } from './transactionService.js';
+import logger from '../utils/logger.js';
+
+// getSignatureStatuses accepts at most 256 signatures per call
+const MAX_SIGNATURES_PER_REQUEST = 256;
+
+// Finalized signatures report confirmations as null; store the max lockout depth instead
+const FINALIZED_CONFIRMATIONS = 32;
+
+const COMMITMENT_RANK = {
+  processed: 0,
+  confirmed: 1,
+  finalized: 2
+};
+
+/**
+ * Solana Confirmation Worker
+ *
+ * Polls signatures of sent Solana transactions that are still pending or processing,
+ * records their confirmations in transaction_details and resolves the transaction
+ * to completed or failed through TransactionService.updateTransactionStatus, which
+ * also sends the user's transaction notification.
+ */
+class SolanaConfirmationWorker {
+  /**
+   * @param {Object} options
+   * @param {Connection} options.connection - Solana connection (inject a mock or local validator connection)
+   * @param {number} options.intervalMs - Polling interval
+   * @param {number} options.batchSize - Maximum pending transactions per poll
+   * @param {string} options.commitment - 'confirmed' or 'finalized' required to complete a transaction
+   * @param {number} options.notFoundTimeoutMs - Fail signatures the cluster still does not know after this long
+   */
+  constructor(options = {}) {
+    this.connection = options.connection || new Connection(
+      process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
+      'confirmed'
+    );
+    this.intervalMs = options.intervalMs || parseInt(process.env.SOLANA_CONFIRMATION_INTERVAL_MS || '15000', 10);
+    this.batchSize = options.batchSize || 100;
+    this.commitment = options.commitment || process.env.SOLANA_CONFIRMATION_COMMITMENT || 'finalized';
+    this.notFoundTimeoutMs = options.notFoundTimeoutMs || 10 * 60 * 1000;
+
+    this.timer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Start polling in the background
+   */
+  start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.pollOnce().catch(error => {
+        logger.logError('Solana confirmation poll failed', error);
+      });
+    }, this.intervalMs);
+
+    // Do not keep the process alive just for the worker
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    console.log(`✅ Solana confirmation worker started (every ${this.intervalMs}ms, commitment: ${this.commitment})`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Check every pending Solana signature once
+   * @returns {Object} Counts of completed, failed and still pending transactions
+   */
+  async pollOnce() {
+    // Skip if the previous poll is still running
+    if (this.polling) {
+      return { completed: 0, failed: 0, pending: 0, skipped: true };
+    }
+
+    this.polling = true;
+    const summary = { completed: 0, failed: 0, pending: 0 };
+
+    try {
+      const details = await TransactionDetail.findPendingByNetwork('solana', this.batchSize);
+
+      for (let i = 0; i < details.length; i += MAX_SIGNATURES_PER_REQUEST) {
+        const batch = details.slice(i, i + MAX_SIGNATURES_PER_REQUEST);
+        const { value: statuses } = await this.connection.getSignatureStatuses(
+          batch.map(detail => detail.tx_hash),
+          { searchTransactionHistory: true }
+        );
+
+        for (let j = 0; j < batch.length; j++) {
+          try {
+            const outcome = await this.processSignature(batch[j], statuses[j]);
+            summary[outcome]++;
+          } catch (error) {
+            summary.pending++;
+            logger.logError('Failed to process Solana signature status', error, {
+              transactionId: batch[j].transaction_id,
+              signature: batch[j].tx_hash
+            });
+          }
+        }
+      }
+
+      if (summary.completed || summary.failed) {
+        logger.logTransaction('Solana confirmation poll finished', 'info', summary);
+      }
+
+      return summary;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Apply one signature status to its transaction
+   * @param {Object} detail - transaction_details row with parent transaction
+   * @param {Object|null} status - Result from getSignatureStatuses
+   * @returns {string} 'completed', 'failed' or 'pending'
+   */
+  async processSignature(detail, status) {
+    const transaction = detail.transactions;
+
+    if (!status) {
+      const age = Date.now() - new Date(detail.created_at).getTime();
+      if (age < this.notFoundTimeoutMs) {
+        return 'pending';
+      }
+
+      await this.resolve(detail, TRANSACTION_STATUS.FAILED, {
+        confirmations: 0,
+        error_message: 'Transaction not found on chain; blockhash expired'
+      });
+      return 'failed';
+    }
+
+    const confirmations = status.confirmationStatus === 'finalized'
+      ? FINALIZED_CONFIRMATIONS
+      : (status.confirmations ?? 0);
+
+    if (status.err) {
+      await this.resolve(detail, TRANSACTION_STATUS.FAILED, {
+        confirmations,
+        block_number: status.slot || undefined,
+        error_message: `Transaction failed: ${JSON.stringify(status.err)}`
+      });
+      return 'failed';
+    }
+
+    const reached = (COMMITMENT_RANK[status.confirmationStatus] ?? -1) >= COMMITMENT_RANK[this.commitment];
+
+    if (!reached) {
+      if (confirmations !== detail.confirmations) {
+        await TransactionDetail.update(detail.transaction_id, {
+          confirmations,
+          block_number: status.slot || undefined
+        });
+      }
+
+      // Surface that the transaction is on chain while it gathers confirmations
+      if (transaction.status === TRANSACTION_STATUS.PENDING) {
+        await TransactionService.updateTransactionStatus(transaction.sender_id, transaction.id, TRANSACTION_STATUS.PROCESSING, {
+          oldStatus: transaction.status,
+          txHash: detail.tx_hash,
+          confirmations
+        });
+      }
+      return 'pending';
+    }
+
+    await this.resolve(detail, TRANSACTION_STATUS.COMPLETED, {
+      confirmations,
+      block_number: status.slot || undefined
+    });
+    return 'completed';
+  }
+
+  /**
+   * Record final confirmation data and move the transaction to its final status
+   */
+  async resolve(detail, finalStatus, detailUpdate) {
+    const transaction = detail.transactions;
+
+    await TransactionDetail.update(detail.transaction_id, detailUpdate);
+
+    await TransactionService.updateTransactionStatus(transaction.sender_id, transaction.id, finalStatus, {
+      oldStatus: transaction.status,
+      txHash: detail.tx_hash,
+      blockNumber: detailUpdate.block_number,
+      confirmations: detailUpdate.confirmations,
+      ...(finalStatus === TRANSACTION_STATUS.FAILED && { errorReason: detailUpdate.error_message })
+    });
+
+    logger.logTransaction(`Solana transaction ${finalStatus}`, finalStatus === TRANSACTION_STATUS.FAILED ? 'warn' : 'info', {
+      transactionId: transaction.id,
+      signature: detail.tx_hash,
+      confirmations: detailUpdate.confirmations
+    });
+  }
+}
+
+export default SolanaConfirmationWorker;
+export { SolanaConfirmationWorker, FINALIZED_CONFIRMATIONS };
@@ -9,12 +9,24 @@ import {
 } from '@solana/web3.js';
 
 import {
-  getOrCreateAssociatedTokenAccount,
   getAssociatedTokenAddress,
-  createTransferInstruction,
+  createAssociatedTokenAccountIdempotentInstruction,
+  createTransferCheckedInstruction,
   TOKEN_PROGRAM_ID,
-  getAccount
+  ACCOUNT_SIZE
 } from '@solana/spl-token';
+import SpendingLimitService from './spendingLimitService.js';
+import KycService from './kycService.js';
+import SupportedAsset from '../models/SupportedAsset.js';
+
+// Token used by the legacy /usdt/* routes
+export const DEFAULT_TOKEN_SYMBOL = 'USDT';
+
+// How long resolved supported_assets rows are reused before re-reading them
+const TOKEN_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Rent for a new token account when the RPC lookup fails (~0.002 SOL)
+const DEFAULT_TOKEN_ACCOUNT_RENT = 2039280;
 
 class SolanaService {
   constructor() {
@@ -27,8 +39,8 @@ class SolanaService {
     // 💰 main wallet
     this.initializeFeePayerWallet();
 
-    // 🪙 address USDT in Solana (Tether USD)
-    this.usdtMintAddress = new PublicKey('Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB');
+    // 🪙 SPL tokens come from supported_assets (solana_mint_address + decimals)
+    this.tokenCache = new Map();
 
     // 📊 Settings and fee
     this.maxUSDTPerTransaction = parseFloat(process.env.MAX_USDT_PER_TX || '10000');
@@ -66,24 +78,89 @@ class SolanaService {
   }
 
   /**
-   * 💸 Send USDT with fee payment from your main wallet
+   * 🪙 Resolve an SPL token from supported_assets
+   * @param {string} symbol - Asset symbol (e.g. USDT, USDC)
+   * @returns {Object} { symbol, name, decimals, mint, minAmount, maxAmount }
+   */
+  async getToken(symbol = DEFAULT_TOKEN_SYMBOL) {
+    const key = String(symbol).toUpperCase();
+    const cached = this.tokenCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.token;
+    }
+
+    const asset = await SupportedAsset.findSolanaToken(key);
+    if (!asset) {
+      throw new Error(`Unsupported token: ${key}`);
+    }
+
+    const token = {
+      symbol: asset.symbol,
+      name: asset.name,
+      decimals: asset.decimals,
+      mint: new PublicKey(asset.solana_mint_address),
+      minAmount: asset.min_amount !== null && asset.min_amount !== undefined ? parseFloat(asset.min_amount) : null,
+      maxAmount: asset.max_amount !== null && asset.max_amount !== undefined ? parseFloat(asset.max_amount) : null
+    };
+
+    this.tokenCache.set(key, { token, expiresAt: Date.now() + TOKEN_CACHE_TTL_MS });
+    return token;
+  }
+
+  /**
+   * 📋 List SPL tokens available for transfer
+   * @returns {Array} Tokens with mint address and decimals
+   */
+  async getSupportedTokens() {
+    const assets = await SupportedAsset.findSolanaTokens();
+
+    return assets.map(asset => ({
+      symbol: asset.symbol,
+      name: asset.name,
+      decimals: asset.decimals,
+      mint: asset.solana_mint_address,
+      minAmount: asset.min_amount,
+      maxAmount: asset.max_amount
+    }));
+  }
+
+  /**
+   * Convert a UI amount to base units using the token decimals
+   * @returns {bigint}
+   */
+  toBaseUnits(amount, decimals) {
+    const [whole, fraction = ''] = Number(amount).toFixed(decimals).split('.');
+    return BigInt(whole + fraction.padEnd(decimals, '0'));
+  }
+
+  /**
+   * 💸 Prepare an SPL token transfer with fee payment from your main wallet
+   * @param {string} symbol - Token symbol from supported_assets
    * @param {string} fromUserWallet - Sender wallet address
    * @param {string} toUserWallet - Receiver wallet address
-   * @param {number} amount - Amount in USDT
+   * @param {number} amount - Amount in token units
    * @param {string} userId - User ID for logging
    * @returns {Object} Operation result
    */
-  async prepareUSDTTransfer(fromUserWallet, toUserWallet, amount, userId) {
+  async prepareTokenTransfer(symbol, fromUserWallet, toUserWallet, amount, userId) {
     try {
-      console.log('🚀 Starting USDT transfer preparation...', {
+      console.log('🚀 Starting token transfer preparation...', {
+        symbol,
         from: fromUserWallet,
         to: toUserWallet,
         amount,
         userId
       });
 
-      // 1️⃣ Validate input parameters
-      await this.validateTransferInputs(fromUserWallet, toUserWallet, amount);
+      // 1️⃣ Resolve token and validate input parameters
+      const token = await this.getToken(symbol);
+      await this.validateTransferInputs(fromUserWallet, toUserWallet, amount, token);
+
+      // Enforce the user's daily spending limit and KYC level limits
+      if (userId) {
+        await SpendingLimitService.assertWithinDailyLimit(userId, amount, symbol);
+        await KycService.assertWithinLimits(userId, amount, symbol);
+      }
 
       // 2️⃣ Check fee payer wallet balance
       const feeBalance = await this.checkFeePayerBalance();
@@ -91,48 +168,44 @@ class SolanaService {
         throw new Error(`Insufficient SOL for fees. Current: ${feeBalance.balance} SOL, Required: ${this.minSOLBalance} SOL`);
       }
 
-      // 3️⃣ Check user's USDT balance
-      const userBalance = await this.checkUSDTBalance(fromUserWallet);
-      if (userBalance.shouldCreateAccount) {
-        // create token account in instruction  edit for reciver
-        // for sender if not exist account trow and check balance 
-        const createTokenAccountInstruction = createAssociatedTokenAccountInstruction(
-          this.feePayerWallet.publicKey,
-          userBalance.tokenAccount,
-          this.usdtMintAddress,
-          userBalance.userWallet
-        );
-        transaction.add(createTokenAccountInstruction);
-      }
-      if (userBalance.balance < amount) {
-        throw new Error(`Insufficient USDT balance. Available: ${userBalance.balance}, Required: ${amount}`);
+      // 3️⃣ Check sender's token balance (sender must already hold the token)
+      const userBalance = await this.checkTokenBalance(token.symbol, fromUserWallet);
+      if (userBalance.shouldCreateAccount || userBalance.balance < amount) {
+        throw new Error(`Insufficient ${token.symbol} balance. Available: ${userBalance.balance}, Required: ${amount}`);
       }
 
-      // 4️⃣ Convert addresses to PublicKey
+      // 4️⃣ Convert addresses to PublicKey and derive token accounts
       const fromPubkey = new PublicKey(fromUserWallet);
       const toPubkey = new PublicKey(toUserWallet);
+      const fromTokenAccount = new PublicKey(userBalance.tokenAccount);
+      const toTokenAccount = await getAssociatedTokenAddress(token.mint, toPubkey, false);
 
-
-      // 6️⃣ Create transaction
+      // 5️⃣ Create transaction
       const transaction = new Transaction();
-      // if reciver should create account
-      
-      transaction.add(
-        createAssociatedTokenAccountInstruction(
-          this.feePayerWallet.publicKey,
-          toPubkey,
-          this.usdtMintAddress,
-          userBalance.userWallet
-        )
-      );
-      // 7️⃣ Add transfer instruction
+
+      // 6️⃣ Fee payer opens the receiver's token account if it does not exist yet
+      const receiverAccountInfo = await this.connection.getAccountInfo(toTokenAccount);
+      if (!receiverAccountInfo) {
+        transaction.add(
+          createAssociatedTokenAccountIdempotentInstruction(
+            this.feePayerWallet.publicKey,
+            toTokenAccount,
+            toPubkey,
+            token.mint
+          )
+        );
+      }
+
+      // 7️⃣ Add transfer instruction (checked against the mint decimals)
       transaction.add(
-        createTransferInstruction(
-          fromTokenAccount.address,    // From token account
-          toTokenAccount.address,      // To token account
-          fromPubkey,                  // Owner of sender account
-          amount * Math.pow(10, 6),    // Amount (USDT has 6 decimal places)
-          [],                          // Multi-signers
+        createTransferCheckedInstruction(
+          fromTokenAccount,                            // From token account
+          token.mint,                                  // Token mint
+          toTokenAccount,                              // To token account
+          fromPubkey,                                  // Owner of sender account
+          this.toBaseUnits(amount, token.decimals),    // Amount in base units
+          token.decimals,
+          [],                                          // Multi-signers
           TOKEN_PROGRAM_ID
         )
       );
@@ -159,10 +232,15 @@ class SolanaService {
         success: true,
         transaction: serializedTransaction.toString('base64'),
         transactionId: this.generateTransactionId(),
-        fromTokenAccount: fromTokenAccount.address.toString(),
-        toTokenAccount: toTokenAccount.address.toString(),
+        token: {
+          symbol: token.symbol,
+          mint: token.mint.toString(),
+          decimals: token.decimals
+        },
+        fromTokenAccount: fromTokenAccount.toString(),
+        toTokenAccount: toTokenAccount.toString(),
         amount,
-        estimatedFee: await this.estimateTransactionFee(),
+        estimatedFee: await this.estimateTransactionFee({ createsTokenAccount: !receiverAccountInfo }),
         blockhash,
         lastValidBlockHeight,
         expiresAt: Date.now() + (60 * 1000), // Expires in 1 minute
@@ -170,11 +248,18 @@ class SolanaService {
       };
 
     } catch (error) {
-      console.error('❌ Error preparing USDT transfer:', error);
+      console.error('❌ Error preparing token transfer:', error);
       throw error;
     }
   }
 
+  /**
+   * 💸 Send USDT with fee payment from your main wallet (alias of prepareTokenTransfer)
+   */
+  async prepareUSDTTransfer(fromUserWallet, toUserWallet, amount, userId) {
+    return this.prepareTokenTransfer(DEFAULT_TOKEN_SYMBOL, fromUserWallet, toUserWallet, amount, userId);
+  }
+
   /**
    * 📝 Complete transaction after user signature
    * @param {string} serializedTransaction - Serialized transaction
@@ -182,9 +267,9 @@ class SolanaService {
    * @param {string} transactionId - Transaction ID
    * @returns {Object} Transfer result
    */
-  async completeUSDTTransfer(serializedTransaction, userSignature, transactionId) {
+  async completeTokenTransfer(serializedTransaction, userSignature, transactionId) {
     try {
-      console.log('🔄 Completing USDT transfer...', { transactionId });
+      console.log('🔄 Completing token transfer...', { transactionId });
 
       // 1️⃣ Restore transaction from Base64
       const transactionBuffer = Buffer.from(serializedTransaction, 'base64');
@@ -223,7 +308,7 @@ class SolanaService {
         throw new Error(`Transaction failed: ${JSON.stringify(confirmation.value.err)}`);
       }
 
-      console.log('🎉 USDT transfer completed successfully!');
+      console.log('🎉 Token transfer completed successfully!');
 
       return {
         success: true,
@@ -237,10 +322,17 @@ class SolanaService {
 
     } catch (error) {
       console.error('❌ Error completing transaction:', error);
-      throw new Error(`Failed to complete USDT transfer: ${error.message}`);
+      throw new Error(`Failed to complete token transfer: ${error.message}`);
     }
   }
 
+  /**
+   * 📝 Complete USDT transfer (alias of completeTokenTransfer)
+   */
+  async completeUSDTTransfer(serializedTransaction, userSignature, transactionId) {
+    return this.completeTokenTransfer(serializedTransaction, userSignature, transactionId);
+  }
+
   /**
    * 💰 Check SOL balance in fee payer wallet
    * @returns {Object} Balance information
@@ -265,72 +357,98 @@ class SolanaService {
   }
 
   /**
-   * 🪙 Check user's USDT balance
+   * 🪙 Check user's balance of an SPL token
+   * @param {string} symbol - Token symbol from supported_assets
    * @param {string} userWallet - User wallet address
-   * @returns {Object} USDT balance information
+   * @returns {Object} Token balance information
    */
-  async checkUSDTBalance(userWallet) {
+  async checkTokenBalance(symbol, userWallet) {
+    const token = await this.getToken(symbol);
 
     let tokenAccount;
     try {
-      // Get token account address
       const userPubkey = new PublicKey(userWallet);
-      
+
       // Get token account address
       tokenAccount = await getAssociatedTokenAddress(
-        this.usdtMintAddress,
+        token.mint,
         userPubkey,
         false
       );
     } catch (error) {
-      console.error('❌ Error checking USDT balance:', error);
+      console.error(`❌ Error checking ${token.symbol} balance:`, error);
       throw error;
     }
-    
-    try {
 
+    try {
       // Check balance
-      const balance = await this.connection.getTokenAccountBalance(tokenAccount.address);
-      
+      const balance = await this.connection.getTokenAccountBalance(tokenAccount);
+
       return {
+        symbol: token.symbol,
         balance: parseFloat(balance.value.uiAmount || 0),
         balanceRaw: balance.value.amount,
         decimals: balance.value.decimals,
-        tokenAccount: tokenAccount.address.toString(),
-        mint: this.usdtMintAddress.toString()
+        tokenAccount: tokenAccount.toString(),
+        mint: token.mint.toString()
       };
     } catch (error) {
-      console.error('❌ Error checking USDT balance:', error);
+      console.error(`❌ Error checking ${token.symbol} balance:`, error);
       return {
+        symbol: token.symbol,
         balance: 0,
+        decimals: token.decimals,
         error: error.message,
-        tokenAccount: tokenAccount.address.toString(),
+        tokenAccount: tokenAccount.toString(),
+        mint: token.mint.toString(),
         shouldCreateAccount: true
       };
     }
   }
 
+  /**
+   * 🪙 Check user's USDT balance (alias of checkTokenBalance)
+   */
+  async checkUSDTBalance(userWallet) {
+    return this.checkTokenBalance(DEFAULT_TOKEN_SYMBOL, userWallet);
+  }
+
   /**
    * 📊 Estimate transaction fees
+   * @param {Object} options
+   * @param {string} options.symbol - Token symbol; with toWallet, checks whether a token account must be created
+   * @param {string} options.toWallet - Receiver wallet address
+   * @param {boolean} options.createsTokenAccount - Skip the lookup when already known
    * @returns {Object} Fee estimation
    */
-  async estimateTransactionFee() {
+  async estimateTransactionFee(options = {}) {
     try {
       // Base transaction fee
       const baseFee = 5000; // 0.000005 SOL
 
-      // Additional fee for creating token account (if needed)
-      const tokenAccountFee = 2039280; // ~0.002 SOL
+      let createsTokenAccount = options.createsTokenAccount;
+      if (createsTokenAccount === undefined && options.symbol && options.toWallet) {
+        const token = await this.getToken(options.symbol);
+        const toTokenAccount = await getAssociatedTokenAddress(token.mint, new PublicKey(options.toWallet), false);
+        createsTokenAccount = !(await this.connection.getAccountInfo(toTokenAccount));
+      }
+
+      // Additional fee for creating token account (assumed needed when unknown)
+      const tokenAccountFee = createsTokenAccount === false ? 0 : await this.getTokenAccountRent();
 
       return {
         baseFee,
         tokenAccountFee,
         totalLamports: baseFee + tokenAccountFee,
         totalSOL: (baseFee + tokenAccountFee) / LAMPORTS_PER_SOL,
-        currency: 'SOL'
+        currency: 'SOL',
+        ...(options.symbol && { token: String(options.symbol).toUpperCase() })
       };
     } catch (error) {
       console.error('❌ Error estimating fee:', error);
+      if (error.message.startsWith('Unsupported token')) {
+        throw error;
+      }
       return {
         totalSOL: 0.005, // Default estimation
         error: error.message
@@ -338,10 +456,22 @@ class SolanaService {
     }
   }
 
+  /**
+   * Rent-exempt balance for a new token account, in lamports
+   */
+  async getTokenAccountRent() {
+    try {
+      return await this.connection.getMinimumBalanceForRentExemption(ACCOUNT_SIZE);
+    } catch (error) {
+      return DEFAULT_TOKEN_ACCOUNT_RENT;
+    }
+  }
+
   /**
    * ✅ Validate transfer inputs
+   * @param {Object} token - Resolved token (see getToken) for per-asset limits
    */
-  async validateTransferInputs(fromWallet, toWallet, amount) {
+  async validateTransferInputs(fromWallet, toWallet, amount, token = { symbol: DEFAULT_TOKEN_SYMBOL }) {
     // Check addresses
     try {
       new PublicKey(fromWallet);
@@ -355,8 +485,17 @@ class SolanaService {
       throw new Error('Amount must be greater than 0');
     }
 
-    if (amount > this.maxUSDTPerTransaction) {
-      throw new Error(`Amount exceeds maximum limit of ${this.maxUSDTPerTransaction} USDT`);
+    if (token.minAmount && amount < token.minAmount) {
+      throw new Error(`Amount is below minimum of ${token.minAmount} ${token.symbol}`);
+    }
+
+    // USDT keeps the operator-configured cap on top of the asset limit
+    const maxAmount = token.symbol === DEFAULT_TOKEN_SYMBOL
+      ? Math.min(this.maxUSDTPerTransaction, token.maxAmount || Infinity)
+      : token.maxAmount;
+
+    if (maxAmount && amount > maxAmount) {
+      throw new Error(`Amount exceeds maximum limit of ${maxAmount} ${token.symbol}`);
     }
 
     // Check that addresses are different
@@ -389,6 +528,7 @@ class SolanaService {
     try {
       const feeBalance = await this.checkFeePayerBalance();
       const estimatedFee = await this.estimateTransactionFee();
+      const tokens = await this.getSupportedTokens().catch(() => []);
 
       return {
         feePayerWallet: {
@@ -397,7 +537,9 @@ class SolanaService {
           sufficient: feeBalance.sufficient
         },
         network: process.env.SOLANA_NETWORK || 'mainnet',
-        usdtMint: this.usdtMintAddress.toString(),
+        // Kept for clients that predate the token list
+        usdtMint: tokens.find(token => token.symbol === DEFAULT_TOKEN_SYMBOL)?.mint ?? null,
+        tokens: tokens.map(token => ({ symbol: token.symbol, mint: token.mint, decimals: token.decimals })),
         limits: {
           maxUSDTPerTransaction: this.maxUSDTPerTransaction,
           minSOLBalance: this.minSOLBalance
@@ -0,0 +1,204 @@
+import { supabaseAdmin } from '../database/index.js';
+import UserSettings from '../models/UserSettings.js';
+import logger from '../utils/logger.js';
+
+const DAILY_LIMIT_EXCEEDED = 'DAILY_LIMIT_EXCEEDED';
+const DAILY_LIMIT_ERROR_PREFIX = 'Daily spending limit exceeded';
+
+// Transaction types that move value out of the user's wallet
+const SPENDING_TYPES = ['transfer', 'payment', 'cash_out'];
+
+// Statuses that count against the limit; failed and cancelled transactions do not
+const COUNTED_STATUSES = ['pending', 'processing', 'completed'];
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+class SpendingLimitService {
+  /**
+   * Check that a timezone name is understood by Intl
+   * @param {string} timezone - IANA timezone name
+   * @returns {boolean}
+   */
+  static isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') {
+      return false;
+    }
+
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Offset in milliseconds between a timezone's wall clock and UTC at a given instant
+   */
+  static getTimezoneOffset(timezone, date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }).formatToParts(date);
+
+    const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+    const wallClockAsUtc = Date.UTC(
+      value('year'),
+      value('month') - 1,
+      value('day'),
+      value('hour'),
+      value('minute'),
+      value('second')
+    );
+
+    return wallClockAsUtc - (date.getTime() - date.getMilliseconds());
+  }
+
+  /**
+   * Convert local midnight of a calendar day in a timezone to a UTC instant
+   */
+  static localMidnightToUtc(timezone, year, monthIndex, day) {
+    const midnightAsUtc = Date.UTC(year, monthIndex, day);
+
+    // Two passes so days that start or end on a DST change resolve correctly
+    let offset = this.getTimezoneOffset(timezone, new Date(midnightAsUtc));
+    offset = this.getTimezoneOffset(timezone, new Date(midnightAsUtc - offset));
+
+    return new Date(midnightAsUtc - offset);
+  }
+
+  /**
+   * Get the UTC boundaries of the user's current day
+   * @param {string} timezone - IANA timezone name
+   * @param {Date} now - Reference instant
+   * @returns {Object} { start, end } as Date objects
+   */
+  static getDayWindow(timezone = DEFAULT_TIMEZONE, now = new Date()) {
+    const zone = this.isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+    const localNow = new Date(now.getTime() + this.getTimezoneOffset(zone, now));
+
+    const year = localNow.getUTCFullYear();
+    const monthIndex = localNow.getUTCMonth();
+    const day = localNow.getUTCDate();
+
+    return {
+      start: this.localMidnightToUtc(zone, year, monthIndex, day),
+      end: this.localMidnightToUtc(zone, year, monthIndex, day + 1)
+    };
+  }
+
+  /**
+   * Sum the user's outgoing pending and completed amounts within a window, per asset
+   * @param {string} userId - User UUID
+   * @param {Date} start - Window start (inclusive)
+   * @param {Date} end - Window end (exclusive)
+   * @returns {Object} Total spent keyed by asset symbol
+   */
+  static async getSpentBetween(userId, start, end) {
+    const { data, error } = await supabaseAdmin
+      .from('transactions')
+      .select('amount, asset_symbol')
+      .eq('sender_id', userId)
+      .in('type', SPENDING_TYPES)
+      .in('status', COUNTED_STATUSES)
+      .gte('created_at', start.toISOString())
+      .lt('created_at', end.toISOString());
+
+    if (error) {
+      throw new Error(`Failed to calculate daily spending: ${error.message}`);
+    }
+
+    return (data || []).reduce((totals, row) => {
+      const asset = (row.asset_symbol || '').toUpperCase();
+      totals[asset] = (totals[asset] || 0) + parseFloat(row.amount || 0);
+      return totals;
+    }, {});
+  }
+
+  /**
+   * Get the user's daily limit and how much of it is used today.
+   * The limit applies to each asset on its own; without an asset, used and
+   * remaining describe the asset closest to the limit.
+   * @param {string} userId - User UUID
+   * @param {string|null} assetSymbol - Asset to report usage for
+   * @param {Date} now - Reference instant
+   * @returns {Object} Limit summary
+   */
+  static async getDailyLimitStatus(userId, assetSymbol = null, now = new Date()) {
+    if (!userId) {
+      throw new Error('User ID is required');
+    }
+
+    const settings = await UserSettings.findByUserId(userId);
+    const timezone = this.isValidTimezone(settings?.timezone) ? settings.timezone : DEFAULT_TIMEZONE;
+    const dailyLimit = settings?.daily_limit !== null && settings?.daily_limit !== undefined
+      ? parseFloat(settings.daily_limit)
+      : null;
+
+    const { start, end } = this.getDayWindow(timezone, now);
+    const usedByAsset = await this.getSpentBetween(userId, start, end);
+    const used = assetSymbol
+      ? usedByAsset[assetSymbol.toUpperCase()] || 0
+      : Math.max(0, ...Object.values(usedByAsset));
+
+    return {
+      dailyLimit,
+      assetSymbol: assetSymbol ? assetSymbol.toUpperCase() : null,
+      used,
+      remaining: dailyLimit === null ? null : Math.max(dailyLimit - used, 0),
+      usedByAsset,
+      unlimited: dailyLimit === null,
+      timezone,
+      periodStart: start.toISOString(),
+      resetsAt: end.toISOString()
+    };
+  }
+
+  /**
+   * Throw when an outgoing amount would push the user over their daily limit
+   * @param {string} userId - User UUID
+   * @param {number} amount - Amount about to be sent
+   * @param {string} assetSymbol - Asset the amount is in
+   * @returns {Object} Limit summary before the new amount
+   */
+  static async assertWithinDailyLimit(userId, amount, assetSymbol) {
+    const status = await this.getDailyLimitStatus(userId, assetSymbol);
+
+    if (status.unlimited) {
+      return status;
+    }
+
+    const requested = parseFloat(amount);
+    if (status.used + requested > status.dailyLimit) {
+      logger.logTransaction('Daily spending limit exceeded', 'warn', {
+        userId,
+        requested,
+        assetSymbol: status.assetSymbol,
+        dailyLimit: status.dailyLimit,
+        used: status.used
+      });
+
+      throw new Error(`${DAILY_LIMIT_ERROR_PREFIX}: requested ${requested}, remaining ${status.remaining} of ${status.dailyLimit}`);
+    }
+
+    return status;
+  }
+
+  /**
+   * Whether an error (possibly wrapped by another service) came from the daily limit check
+   * @param {Error} error
+   * @returns {boolean}
+   */
+  static isDailyLimitError(error) {
+    return Boolean(error?.message && error.message.includes(DAILY_LIMIT_ERROR_PREFIX));
+  }
+}
+
+export default SpendingLimitService;
+export { DAILY_LIMIT_EXCEEDED, SPENDING_TYPES };
@@ -0,0 +1,253 @@
+import bcrypt from 'bcryptjs';
+import UserAuth from '../models/UserAuth.js';
+import UserSettings from '../models/UserSettings.js';
+import UserSession from '../models/UserSession.js';
+import ActivityLogger from './activityLogger.js';
+import notificationService from './notificationService.js';
+import logger from '../utils/logger.js';
+import { TRANSACTION_PIN, PIN_ERRORS } from '../constants/securityConstants.js';
+import { NOTIFICATION_TYPES } from '../constants/notificationConstants.js';
+
+/**
+ * Transaction PIN Service
+ *
+ * The PIN is stored as a bcrypt hash in user_auth. Failed attempts are counted
+ * per user and lock the PIN for TRANSACTION_PIN.LOCKOUT_MS once the limit is hit.
+ * A successful verification is recorded on the caller's user_sessions row and
+ * stays valid for TRANSACTION_PIN.VERIFICATION_TTL_MS.
+ */
+class TransactionPinService {
+  /**
+   * Reject repeated digits (1111) and straight runs (1234, 9876)
+   */
+  static isWeakPin(pin) {
+    if (/^(\d)\1+$/.test(pin)) {
+      return true;
+    }
+
+    const digits = pin.split('').map(Number);
+    const step = digits[1] - digits[0];
+    if (Math.abs(step) !== 1) {
+      return false;
+    }
+    return digits.every((digit, i) => i === 0 || digit - digits[i - 1] === step);
+  }
+
+  static validatePinFormat(pin) {
+    if (typeof pin !== 'string' || !TRANSACTION_PIN.PATTERN.test(pin)) {
+      throw new Error(PIN_ERRORS.INVALID_FORMAT);
+    }
+    if (this.isWeakPin(pin)) {
+      throw new Error(PIN_ERRORS.WEAK_PIN);
+    }
+  }
+
+  static async hashPin(pin) {
+    const salt = await bcrypt.genSalt(TRANSACTION_PIN.BCRYPT_ROUNDS);
+    const hash = await bcrypt.hash(pin, salt);
+    return { hash, salt };
+  }
+
+  static isLocked(auth, now = new Date()) {
+    return Boolean(auth?.transaction_pin_locked_until && new Date(auth.transaction_pin_locked_until) > now);
+  }
+
+  /**
+   * Whether the user has turned on the transaction PIN requirement
+   */
+  static async isPinRequired(userId) {
+    const settings = await UserSettings.findByUserId(userId);
+    return settings?.transaction_pin === true;
+  }
+
+  /**
+   * @returns {Object} { isSet, enabled, locked, lockedUntil, remainingAttempts }
+   */
+  static async getStatus(userId) {
+    const [auth, enabled] = await Promise.all([
+      UserAuth.findByUserId(userId),
+      this.isPinRequired(userId)
+    ]);
+    const locked = this.isLocked(auth);
+
+    return {
+      isSet: Boolean(auth?.transaction_pin_hash),
+      enabled,
+      locked,
+      lockedUntil: locked ? auth.transaction_pin_locked_until : null,
+      remainingAttempts: locked ? 0 : TRANSACTION_PIN.MAX_FAILED_ATTEMPTS - (auth?.transaction_pin_attempts || 0)
+    };
+  }
+
+  /**
+   * Set the first transaction PIN and turn the requirement on
+   */
+  static async setPin(userId, pin, request = null) {
+    this.validatePinFormat(pin);
+
+    const auth = await UserAuth.findByUserId(userId);
+    if (auth?.transaction_pin_hash) {
+      throw new Error(PIN_ERRORS.ALREADY_SET);
+    }
+
+    const { hash, salt } = await this.hashPin(pin);
+    await UserAuth.setTransactionPin(userId, hash, salt);
+    await this.setRequirement(userId, true);
+
+    await ActivityLogger.logPIN({
+      userId,
+      action: 'Transaction PIN created',
+      type: 'created',
+      request
+    });
+
+    return this.getStatus(userId);
+  }
+
+  /**
+   * Replace the PIN after checking the current one (counts towards the lockout)
+   * @returns {Object} Verification result; { valid: true } when the PIN was changed
+   */
+  static async changePin(userId, currentPin, newPin, request = null) {
+    this.validatePinFormat(newPin);
+    if (currentPin === newPin) {
+      throw new Error(PIN_ERRORS.SAME_AS_CURRENT);
+    }
+
+    const verification = await this.verifyPin(userId, currentPin, request);
+    if (!verification.valid) {
+      return verification;
+    }
+
+    const { hash, salt } = await this.hashPin(newPin);
+    await UserAuth.setTransactionPin(userId, hash, salt);
+
+    await ActivityLogger.logPIN({
+      userId,
+      action: 'Transaction PIN changed',
+      type: 'changed',
+      request
+    });
+
+    return { valid: true };
+  }
+
+  /**
+   * Check a PIN, counting failures and locking the PIN when the limit is reached
+   * @returns {Object} { valid, remainingAttempts, locked, lockedUntil }
+   */
+  static async verifyPin(userId, pin, request = null) {
+    const auth = await UserAuth.findByUserId(userId);
+    if (!auth?.transaction_pin_hash) {
+      throw new Error(PIN_ERRORS.NOT_SET);
+    }
+
+    if (this.isLocked(auth)) {
+      return {
+        valid: false,
+        remainingAttempts: 0,
+        locked: true,
+        lockedUntil: auth.transaction_pin_locked_until
+      };
+    }
+
+    const valid = typeof pin === 'string' && await bcrypt.compare(pin, auth.transaction_pin_hash);
+
+    if (valid) {
+      if (auth.transaction_pin_attempts > 0 || auth.transaction_pin_locked_until) {
+        await UserAuth.resetTransactionPinAttempts(userId);
+      }
+      return { valid: true, remainingAttempts: TRANSACTION_PIN.MAX_FAILED_ATTEMPTS, locked: false, lockedUntil: null };
+    }
+
+    // Counted atomically, so parallel wrong guesses cannot all read the same count
+    const record = await UserAuth.recordFailedTransactionPinAttempt(
+      userId,
+      TRANSACTION_PIN.MAX_FAILED_ATTEMPTS,
+      TRANSACTION_PIN.LOCKOUT_MS
+    );
+    const attempts = record.transaction_pin_attempts;
+    const lockedUntil = record.transaction_pin_locked_until || null;
+    const locked = Boolean(lockedUntil);
+
+    await ActivityLogger.logPIN({
+      userId,
+      action: locked ? 'Transaction PIN locked after failed attempts' : 'Transaction PIN verification failed',
+      type: 'failed',
+      success: false,
+      request,
+      attempts
+    });
+
+    if (record.locked_now) {
+      notificationService.sendSecurityAlert(userId, {
+        type: NOTIFICATION_TYPES.PIN_LOCKED,
+        variables: { attempts },
+        data: { lockedUntil }
+      }).catch(error => {
+        logger.error(`❌ Failed to send PIN lock alert to user ${userId}:`, error);
+      });
+    }
+
+    return {
+      valid: false,
+      remainingAttempts: Math.max(0, TRANSACTION_PIN.MAX_FAILED_ATTEMPTS - attempts),
+      locked,
+      lockedUntil
+    };
+  }
+
+  static async setRequirement(userId, enabled) {
+    const settings = await UserSettings.findByUserId(userId) || await UserSettings.createDefault(userId);
+    await new UserSettings(settings).update({ transaction_pin: enabled });
+  }
+
+  /**
+   * Record a successful verification on the current session
+   * @param {string} userId - User ID
+   * @param {string} sessionToken - Bearer token of the current request
+   * @param {string|null} sessionExpiresAt - Expiry of the auth session, if known
+   */
+  static async markSessionVerified(userId, sessionToken, sessionExpiresAt = null) {
+    if (!sessionToken) {
+      throw new Error(PIN_ERRORS.SESSION_REQUIRED);
+    }
+
+    let session = await UserSession.findByToken(sessionToken);
+    if (session && session.user_id !== userId) {
+      throw new Error(PIN_ERRORS.SESSION_REQUIRED);
+    }
+
+    if (!session) {
+      session = await UserSession.create({
+        user_id: userId,
+        session_token: sessionToken,
+        expires_at: sessionExpiresAt || new Date(Date.now() + TRANSACTION_PIN.DEFAULT_SESSION_TTL_MS).toISOString()
+      });
+    }
+
+    await session.verifyPin();
+    return new Date(new Date(session.pin_verified_at).getTime() + TRANSACTION_PIN.VERIFICATION_TTL_MS).toISOString();
+  }
+
+  /**
+   * Whether the current session verified the PIN recently enough to send funds
+   */
+  static async isSessionVerified(userId, sessionToken, now = new Date()) {
+    if (!sessionToken) {
+      return false;
+    }
+
+    const session = await UserSession.findByToken(sessionToken);
+    if (!session || session.user_id !== userId || !session.isValid()) {
+      return false;
+    }
+    if (!session.pin_verified || !session.pin_verified_at) {
+      return false;
+    }
+
+    return now.getTime() - new Date(session.pin_verified_at).getTime() <= TRANSACTION_PIN.VERIFICATION_TTL_MS;
+  }
+}
+
+export default TransactionPinService;
@@ -1,6 +1,11 @@
-import { supabase } from '../database/supabase.js';
+import { supabase } from '../database/index.js';
 import logger from '../utils/logger.js';
 import notificationService from './notificationService.js';
+import SpendingLimitService, { SPENDING_TYPES } from './spendingLimitService.js';
+import KycService from './kycService.js';
+import LedgerService from './ledgerService.js';
+import webhookService from './webhookService.js';
+import { WEBHOOK_EVENTS } from '../constants/webhookConstants.js';
 
 // Transaction types mapping - matching database enum
 const TRANSACTION_TYPES = {
@@ -253,8 +258,8 @@ class TransactionService {
       const isConfirmed = transaction.status === TRANSACTION_STATUS.CONFIRMED;
       const isPending = transaction.status === TRANSACTION_STATUS.PENDING;
 
-      // Determine direction
-      const direction = transaction.sender_id === userId ? 'sent' : 'received';
+      // Determine direction; cash-ins (including P2P receipts) are the user's own incoming records
+      const direction = transaction.sender_id === userId && transaction.type !== TRANSACTION_TYPES.CASH_IN ? 'sent' : 'received';
 
       // Enrich transaction with computed fields and metadata
       const enrichedTransaction = {
@@ -340,6 +345,7 @@ class TransactionService {
         network,
         fromAddress = null,
         toAddress = null,
+        recipientId = null,
         description = null,
         metadata = {}
       } = transactionData;
@@ -376,6 +382,14 @@ class TransactionService {
         throw new Error(`Invalid transaction type: ${type}`);
       }
 
+      // Enforce the user's daily spending limit and KYC level limits on outgoing transactions.
+      // The daily limit is checked again when the funds are held, under the hold's lock.
+      let dailyLimit = null;
+      if (SPENDING_TYPES.includes(type)) {
+        dailyLimit = await SpendingLimitService.assertWithinDailyLimit(userId, amount, assetSymbol);
+        await KycService.assertWithinLimits(userId, amount, assetSymbol);
+      }
+
       // Log transaction processing start
       logger.logTransaction('Processing transaction creation', 'info', {
         userId,
@@ -396,6 +410,7 @@ class TransactionService {
       const transaction = {
         reference,
         sender_id: userId, // Use sender_id for user transactions
+        recipient_id: recipientId, // Set for internal user-to-user transactions
         type,
         amount: parseFloat(amount),
         asset_symbol: assetSymbol.toUpperCase(),
@@ -439,6 +454,16 @@ class TransactionService {
         throw new Error(`Failed to create transaction: ${error.message}`);
       }
 
+      // Hold the amount in the sender's pending balance until the transaction settles
+      if (SPENDING_TYPES.includes(type)) {
+        try {
+          await LedgerService.holdFunds(data, dailyLimit);
+        } catch (holdError) {
+          await this.markCreationFailed(data, holdError);
+          throw holdError;
+        }
+      }
+
       // Log successful database insertion
       logger.logTransaction('Transaction successfully inserted into database', 'info', {
         userId,
@@ -458,6 +483,12 @@ class TransactionService {
         network
       });
 
+      // Notify webhook subscribers without blocking the response
+      webhookService.emitTransactionEvent(WEBHOOK_EVENTS.TRANSACTION_CREATED, data)
+        .catch(error => {
+          logger.error(`❌ Failed to emit webhook for transaction ${data.id}:`, error);
+        });
+
       // Log final success
       logger.logTransaction('Transaction creation completed successfully', 'info', {
         userId,
@@ -481,6 +512,37 @@ class TransactionService {
     }
   }
 
+  /**
+   * Mark a just-created transaction failed when its funds could not be held,
+   * so it does not sit pending without a hold behind it
+   * @param {Object} transaction - The inserted transaction
+   * @param {Error} reason - Why the hold failed
+   */
+  static async markCreationFailed(transaction, reason) {
+    const { error } = await supabase
+      .from('transactions')
+      .update({
+        status: TRANSACTION_STATUS.FAILED,
+        updated_at: new Date().toISOString(),
+        metadata: {
+          ...transaction.metadata,
+          status_updates: {
+            [TRANSACTION_STATUS.FAILED]: {
+              timestamp: new Date().toISOString(),
+              errorReason: reason.message
+            }
+          }
+        }
+      })
+      .eq('id', transaction.id);
+
+    if (error) {
+      logger.logError('Failed to mark transaction failed after ledger hold error', error, {
+        transactionId: transaction.id
+      });
+    }
+  }
+
   /**
    * Get transaction prefix based on type
    * @param {string} type - Transaction type
@@ -509,7 +571,14 @@ class TransactionService {
     return prefixMap[type] || 'TXN';
   }
 
-  static async updateTransactionStatus(userId, transactionId, status, updateData = {}) {
+  /**
+   * Change a transaction's status, settling, releasing or crediting its funds.
+   * Trusted callers only (the confirmation worker and internal services):
+   * completing a transaction moves money. Users go through cancelTransaction.
+   * @param {Object} options
+   * @param {string} options.expectedStatus - Only change a transaction still in this status
+   */
+  static async updateTransactionStatus(userId, transactionId, status, updateData = {}, { expectedStatus = null } = {}) {
     try {
       if (!userId) {
         throw new Error('User ID is required');
@@ -520,20 +589,23 @@ class TransactionService {
         throw new Error(`Invalid transaction status: ${status}`);
       }
 
-      // Get current metadata to preserve existing data
+      // Get the current row to preserve metadata and post its ledger entries
       const { data: currentTx } = await supabase
         .from('transactions')
-        .select('metadata')
+        .select('*')
         .eq('id', transactionId)
         .eq('sender_id', userId)
         .single();
 
-      const currentMetadata = currentTx?.metadata || {};
-      
+      if (!currentTx) {
+        throw new Error('Transaction not found or access denied');
+      }
+
+      const currentMetadata = currentTx.metadata || {};
+
       // Prepare updates - only use columns that exist in the database
       const updates = {
-        status,
-        updated_at: new Date().toISOString()
+        status
       };
 
       // Add status-specific fields using existing columns only
@@ -555,22 +627,8 @@ class TransactionService {
         }
       };
 
-      const { data, error } = await supabase
-        .from('transactions')
-        .update(updates)
-        .eq('id', transactionId)
-        .eq('sender_id', userId) // Ensure user owns the transaction
-        .select()
-        .single();
-
-      if (error) {
-        console.error('Database error in updateTransactionStatus:', error);
-        throw new Error(`Failed to update transaction: ${error.message}`);
-      }
-
-      if (!data) {
-        throw new Error('Transaction not found or access denied');
-      }
+      // Settle, release or credit the funds and save the new status in one database transaction
+      const data = await LedgerService.applyStatusChange(currentTx, status, updates, expectedStatus);
 
       // Log status change to activity system
       await this.logTransactionActivity(userId, 'transaction_status_updated', {
@@ -610,6 +668,12 @@ class TransactionService {
         }
       }
 
+      // Notify webhook subscribers of completed, failed and cancelled transactions
+      webhookService.emitTransactionStatusEvent(data)
+        .catch(error => {
+          logger.error(`❌ Failed to emit webhook for transaction ${transactionId}:`, error);
+        });
+
       return data;
 
     } catch (error) {
@@ -619,6 +683,24 @@ class TransactionService {
   }
 
 
+  /**
+   * Cancel one of the user's own pending transactions, releasing its held funds
+   * @param {string} userId - Owner of the transaction
+   * @param {string} transactionId - Transaction ID
+   * @param {string|null} reason - Why the user cancelled it
+   * @returns {Object} The updated transaction
+   */
+  static async cancelTransaction(userId, transactionId, reason = null) {
+    return this.updateTransactionStatus(
+      userId,
+      transactionId,
+      TRANSACTION_STATUS.CANCELLED,
+      { cancelledBy: 'user', ...(reason ? { reason } : {}) },
+      { expectedStatus: TRANSACTION_STATUS.PENDING }
+    );
+  }
+
+
   static getTransactionOptions() {
     return {
       types: Object.values(TRANSACTION_TYPES),
@@ -0,0 +1,276 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import Wallet from '../models/Wallet.js';
+import User from '../models/User.js';
+import WalletRecoveryToken from '../models/WalletRecoveryToken.js';
+import ActivityLogger, { ACTIVITY_TYPES, RISK_LEVELS } from './activityLogger.js';
+import emailService from './emailService.js';
+import whatsappService from './whatsappService.js';
+import { RECOVERY_CHANNELS, RECOVERY_TOKEN, RECOVERY_ERRORS } from '../constants/walletRecoveryConstants.js';
+
+/**
+ * Wallet Recovery Service
+ *
+ * Recovery tokens look like `<token id>.<random>.<signature>`. The signature is an
+ * HMAC over the first two parts so forged tokens are rejected before any database
+ * lookup; only a SHA-256 hash of the full token is stored.
+ */
+class WalletRecoveryService {
+  static getSigningSecret() {
+    const secret = process.env.WALLET_RECOVERY_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('WALLET_RECOVERY_SECRET is not configured');
+    }
+    return secret;
+  }
+
+  static sign(payload) {
+    return crypto
+      .createHmac('sha256', this.getSigningSecret())
+      .update(payload)
+      .digest('base64url');
+  }
+
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Create a new signed token
+   * @returns {Object} { id, token }
+   */
+  static generateToken() {
+    const id = uuidv4();
+    const random = crypto.randomBytes(RECOVERY_TOKEN.RANDOM_BYTES).toString('base64url');
+    const payload = `${id}.${random}`;
+
+    return { id, token: `${payload}.${this.sign(payload)}` };
+  }
+
+  /**
+   * Check the token format and signature
+   * @returns {string|null} Token id, or null if the token was not issued by us
+   */
+  static parseToken(token) {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+      return null;
+    }
+
+    const [id, random, signature] = parts;
+    const expected = Buffer.from(this.sign(`${id}.${random}`));
+    const actual = Buffer.from(signature);
+
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      return null;
+    }
+
+    return id;
+  }
+
+  static buildRecoveryLink(token) {
+    const baseUrl = process.env.WALLET_RECOVERY_LINK_BASE_URL || RECOVERY_TOKEN.DEFAULT_LINK_BASE_URL;
+    return `${baseUrl}?token=${encodeURIComponent(token)}`;
+  }
+
+  static maskDestination(channel, destination) {
+    if (channel === RECOVERY_CHANNELS.EMAIL) {
+      const [name, domain] = destination.split('@');
+      return `${name.charAt(0)}***@${domain}`;
+    }
+    return `***${destination.slice(-4)}`;
+  }
+
+  /**
+   * Pick the verified email or phone for a channel
+   */
+  static getDestination(user, channel) {
+    if (channel === RECOVERY_CHANNELS.EMAIL) {
+      return user.email && user.email_verified ? user.email : null;
+    }
+    if (channel === RECOVERY_CHANNELS.WHATSAPP) {
+      return user.phone && user.phone_verified ? user.phone : null;
+    }
+    return null;
+  }
+
+  static async deliver(channel, destination, link) {
+    const minutes = Math.round(RECOVERY_TOKEN.TTL_MS / 60000);
+
+    if (channel === RECOVERY_CHANNELS.WHATSAPP) {
+      return whatsappService.sendMessage(
+        destination,
+        `7awel wallet recovery: open this link to recover your wallet. It expires in ${minutes} minutes and can be used once.\n${link}\nIf you did not request this, ignore this message and contact support.`
+      );
+    }
+
+    const subject = '🔐 Wallet Recovery - 7awel Wallet';
+    const text = `
+        Wallet Recovery
+
+        Open the link below to recover your wallet. It expires in ${minutes} minutes and can only be used once.
+
+        ${link}
+
+        If you did not request this, ignore this email and contact support.
+      `;
+    const html = `
+        <p>Open the link below to recover your wallet. It expires in ${minutes} minutes and can only be used once.</p>
+        <p><a href="${link}">Recover my wallet</a></p>
+        <p>If you did not request this, ignore this email and contact support.</p>
+      `;
+
+    return emailService.sendEmail(destination, subject, text, html);
+  }
+
+  /**
+   * Issue a recovery token for a wallet and send the link to the user
+   * @param {Object} params
+   * @param {string} params.userId - Wallet owner
+   * @param {string} params.walletId - Wallet to recover
+   * @param {string} params.channel - 'email' or 'whatsapp'
+   * @param {Object} params.request - Express request (for IP/device logging)
+   * @returns {Object} { channel, destination (masked), expiresAt }
+   */
+  static async issueRecoveryToken({ userId, walletId, channel = RECOVERY_CHANNELS.EMAIL, request = null }) {
+    const wallet = await Wallet.findById(walletId);
+    if (!wallet || wallet.user_id !== userId) {
+      throw new Error('Wallet not found');
+    }
+
+    const issuedToday = await WalletRecoveryToken.countIssuedSince(
+      walletId,
+      new Date(Date.now() - 24 * 60 * 60 * 1000)
+    );
+    if (issuedToday >= RECOVERY_TOKEN.MAX_REQUESTS_PER_DAY) {
+      await ActivityLogger.logSecurity({
+        userId,
+        action: 'Wallet recovery request blocked',
+        success: false,
+        request,
+        details: { wallet_id: walletId, channel, reason: 'daily_limit', issued_today: issuedToday },
+        riskLevel: RISK_LEVELS.HIGH
+      });
+      throw new Error(RECOVERY_ERRORS.TOO_MANY_REQUESTS);
+    }
+
+    if (channel === RECOVERY_CHANNELS.WHATSAPP && !whatsappService.isConfigured()) {
+      throw new Error(RECOVERY_ERRORS.CHANNEL_UNAVAILABLE);
+    }
+
+    const user = await User.findByPk(userId);
+    const destination = user ? this.getDestination(user, channel) : null;
+    if (!destination) {
+      throw new Error(RECOVERY_ERRORS.NO_DESTINATION);
+    }
+
+    // Only the newest link works
+    const revoked = await WalletRecoveryToken.revokeActiveForWallet(walletId);
+
+    const { id, token } = this.generateToken();
+    const expiresAt = new Date(Date.now() + RECOVERY_TOKEN.TTL_MS).toISOString();
+
+    await WalletRecoveryToken.create({
+      id,
+      user_id: userId,
+      wallet_id: walletId,
+      token_hash: this.hashToken(token),
+      channel,
+      expires_at: expiresAt,
+      requested_ip: request ? ActivityLogger.getClientIP(request) : null
+    });
+
+    try {
+      await this.deliver(channel, destination, this.buildRecoveryLink(token));
+    } catch (error) {
+      await WalletRecoveryToken.revokeActiveForWallet(walletId);
+      await ActivityLogger.logSecurity({
+        userId,
+        action: 'Wallet recovery link delivery failed',
+        success: false,
+        request,
+        details: { wallet_id: walletId, channel, token_id: id, error: error.message },
+        riskLevel: RISK_LEVELS.MEDIUM
+      });
+      throw error;
+    }
+
+    await ActivityLogger.logSecurity({
+      userId,
+      action: 'Wallet recovery link issued',
+      request,
+      details: { wallet_id: walletId, channel, token_id: id, expires_at: expiresAt, revoked_previous: revoked },
+      riskLevel: RISK_LEVELS.MEDIUM
+    });
+
+    return {
+      channel,
+      destination: this.maskDestination(channel, destination),
+      expiresAt
+    };
+  }
+
+  /**
+   * Redeem a recovery token
+   * @param {string} token - Token from the recovery link
+   * @param {Object} request - Express request (for IP/device logging)
+   * @returns {Object} { userId, wallet }
+   */
+  static async verifyRecoveryToken(token, request = null) {
+    const tokenId = this.parseToken(token);
+
+    if (!tokenId) {
+      await ActivityLogger.logSecurity({
+        userId: null,
+        action: 'Wallet recovery verification failed',
+        activityType: ACTIVITY_TYPES.SUSPICIOUS_ACTIVITY,
+        success: false,
+        request,
+        details: { reason: 'invalid_signature' },
+        riskLevel: RISK_LEVELS.HIGH
+      });
+      throw new Error(RECOVERY_ERRORS.INVALID_TOKEN);
+    }
+
+    const redeemed = await WalletRecoveryToken.markUsed(
+      tokenId,
+      this.hashToken(token),
+      request ? ActivityLogger.getClientIP(request) : null
+    );
+
+    if (!redeemed) {
+      const existing = await WalletRecoveryToken.findById(tokenId);
+      const reason = !existing ? 'unknown_token'
+        : existing.used_at ? 'already_used'
+          : existing.revoked_at ? 'revoked'
+            : 'expired';
+
+      await ActivityLogger.logSecurity({
+        userId: existing?.user_id || null,
+        action: 'Wallet recovery verification failed',
+        success: false,
+        request,
+        details: { token_id: tokenId, wallet_id: existing?.wallet_id, reason },
+        riskLevel: RISK_LEVELS.HIGH
+      });
+      throw new Error(RECOVERY_ERRORS.INVALID_TOKEN);
+    }
+
+    const wallet = await Wallet.findById(redeemed.wallet_id);
+    if (!wallet) {
+      throw new Error('Wallet not found');
+    }
+
+    await ActivityLogger.logSecurity({
+      userId: redeemed.user_id,
+      action: 'Wallet recovery link verified',
+      request,
+      details: { token_id: tokenId, wallet_id: redeemed.wallet_id, channel: redeemed.channel },
+      riskLevel: RISK_LEVELS.HIGH
+    });
+
+    return { userId: redeemed.user_id, wallet };
+  }
+}
+
+export default WalletRecoveryService;
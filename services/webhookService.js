@@ -0,0 +1,531 @@
+import crypto from 'crypto';
+import dns from 'dns';
+import https from 'https';
+import net from 'net';
+import { v4 as uuidv4 } from 'uuid';
+import WebhookEndpoint from '../models/WebhookEndpoint.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { WEBHOOK_EVENTS, WEBHOOK_DELIVERY_STATUS, WEBHOOK_DELIVERY } from '../constants/webhookConstants.js';
+import logger from '../utils/logger.js';
+
+// Transaction status -> webhook event
+const STATUS_EVENTS = {
+  completed: WEBHOOK_EVENTS.TRANSACTION_COMPLETED,
+  failed: WEBHOOK_EVENTS.TRANSACTION_FAILED,
+  cancelled: WEBHOOK_EVENTS.TRANSACTION_CANCELLED
+};
+
+// Loopback, private, link-local and other reserved ranges webhooks must never reach
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 127],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const isBlockedAddress = ({ address, family }) =>
+  BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+
+const INTERNAL_HOSTNAME = /(^localhost$|\.localhost$|\.local$|\.internal$|\.lan$|\.home\.arpa$|^[^.]+$)/i;
+
+/**
+ * Webhook Service
+ *
+ * Delivers transaction lifecycle events to registered partner endpoints.
+ * Each request body is signed with the endpoint secret:
+ *
+ *   X-7awel-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ *
+ * Failed deliveries are retried with exponential backoff until MAX_ATTEMPTS.
+ */
+class WebhookService {
+  /**
+   * @param {Object} options
+   * @param {Function} options.httpClient - fetch-compatible function (injectable for tests); defaults to sendRequest
+   * @param {Function} options.lookup - dns.promises.lookup-compatible resolver (injectable for tests)
+   */
+  constructor(options = {}) {
+    this.httpClient = options.httpClient || ((url, init) => this.sendRequest(url, init));
+    this.lookup = options.lookup || ((...args) => dns.promises.lookup(...args));
+    this.retryTimer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Generate a signing secret for a new endpoint
+   * @returns {string}
+   */
+  generateSecret() {
+    return `${WEBHOOK_DELIVERY.SECRET_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Sign a raw request body
+   * @param {string} secret - Endpoint secret
+   * @param {string} body - Raw JSON body
+   * @param {number} timestamp - Unix seconds
+   * @returns {string} Signature header value
+   */
+  signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.${body}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  /**
+   * Verify a signature header (what receivers are expected to do)
+   * @param {string} secret - Endpoint secret
+   * @param {string} body - Raw JSON body
+   * @param {string} header - Signature header value
+   * @param {number} toleranceSeconds - Maximum accepted age
+   * @returns {boolean}
+   */
+  verifySignature(secret, body, header, toleranceSeconds = 300) {
+    const parts = Object.fromEntries(
+      String(header || '').split(',').map(part => part.split('=').map(value => value.trim()))
+    );
+    const timestamp = parseInt(parts.t, 10);
+
+    if (!timestamp || !parts.v1) {
+      return false;
+    }
+
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > toleranceSeconds) {
+      return false;
+    }
+
+    const expected = this.signPayload(secret, body, timestamp).split('v1=')[1];
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const actualBuffer = Buffer.from(parts.v1, 'hex');
+
+    return expectedBuffer.length === actualBuffer.length && crypto.timingSafeEqual(expectedBuffer, actualBuffer);
+  }
+
+  /**
+   * Delay before the next attempt after `attemptCount` failed attempts
+   * @param {number} attemptCount - Attempts made so far
+   * @returns {number} Milliseconds
+   */
+  getRetryDelay(attemptCount) {
+    const delay = WEBHOOK_DELIVERY.BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(attemptCount - 1, 0));
+    return Math.min(delay, WEBHOOK_DELIVERY.MAX_RETRY_DELAY_MS);
+  }
+
+  /**
+   * Check that an endpoint URL is acceptable: https, and a host that only
+   * resolves to public addresses so deliveries cannot reach the internal network
+   * @param {string} url
+   */
+  async validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new Error('Webhook URL is invalid');
+    }
+
+    if (parsed.protocol !== 'https:') {
+      throw new Error('Webhook URL must use https');
+    }
+
+    if (parsed.username || parsed.password) {
+      throw new Error('Webhook URL must not contain credentials');
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (!net.isIP(host) && INTERNAL_HOSTNAME.test(host)) {
+      throw new Error('Webhook URL must point to a public host');
+    }
+
+    let addresses;
+    try {
+      addresses = await this.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+      throw new Error('Webhook URL host could not be resolved');
+    }
+
+    if (addresses.length === 0 || addresses.some(isBlockedAddress)) {
+      throw new Error('Webhook URL must point to a public host');
+    }
+  }
+
+  /**
+   * dns.lookup-compatible resolver for outgoing deliveries that refuses
+   * internal addresses. The connection is made to the address checked here,
+   * so a host that resolves differently on a second query (DNS rebinding)
+   * cannot slip an internal address past validateUrl.
+   */
+  safeLookup(hostname, options, callback) {
+    this.lookup(hostname, { all: true, verbatim: true })
+      .then(addresses => {
+        if (addresses.length === 0 || addresses.some(isBlockedAddress)) {
+          throw new Error('Webhook URL must point to a public host');
+        }
+
+        if (options.all) {
+          callback(null, addresses);
+        } else {
+          callback(null, addresses[0].address, addresses[0].family);
+        }
+      })
+      .catch(error => callback(error));
+  }
+
+  /**
+   * Send a request over https through safeLookup. Redirects are not followed.
+   * @param {string} url
+   * @param {Object} init - { method, headers, body, signal }
+   * @returns {Promise<Object>} { ok, status }, the parts of a fetch Response deliveries use
+   */
+  sendRequest(url, { method, headers, body, signal }) {
+    return new Promise((resolve, reject) => {
+      const request = https.request(url, {
+        method,
+        headers,
+        signal,
+        lookup: (hostname, options, callback) => this.safeLookup(hostname, options, callback)
+      }, (response) => {
+        // Only the status is recorded; drain the body so the socket is freed
+        response.resume();
+        resolve({
+          ok: response.statusCode >= 200 && response.statusCode < 300,
+          status: response.statusCode
+        });
+      });
+
+      request.on('error', reject);
+      request.end(body);
+    });
+  }
+
+  /**
+   * Register an endpoint
+   * @param {Object} endpointData - { url, eventTypes, description }
+   * @param {Object} owner - { userId } for merchants or { adminId } for admins
+   * @returns {Object} Endpoint including its secret (only returned here)
+   */
+  async createEndpoint(endpointData, owner = {}) {
+    await this.validateUrl(endpointData.url);
+
+    const endpoint = await WebhookEndpoint.create({
+      url: endpointData.url,
+      description: endpointData.description,
+      event_types: endpointData.eventTypes,
+      secret: this.generateSecret(),
+      user_id: owner.userId || null,
+      created_by_admin_id: owner.adminId || null
+    });
+
+    logger.logUserAction(owner.userId || owner.adminId, 'webhook_endpoint_created', {
+      endpointId: endpoint.id,
+      eventTypes: endpoint.event_types
+    });
+
+    return endpoint;
+  }
+
+  /**
+   * Get an endpoint visible to the caller
+   * @param {string} endpointId
+   * @param {Object} owner - { userId } limits access to the merchant's own endpoints
+   */
+  async getEndpoint(endpointId, owner = {}) {
+    const endpoint = await WebhookEndpoint.findById(endpointId);
+
+    if (!endpoint || (owner.userId && endpoint.user_id !== owner.userId)) {
+      throw new Error('Webhook endpoint not found');
+    }
+
+    return endpoint;
+  }
+
+  async listEndpoints(owner = {}) {
+    return WebhookEndpoint.list({ userId: owner.userId });
+  }
+
+  async updateEndpoint(endpointId, updates, owner = {}) {
+    await this.getEndpoint(endpointId, owner);
+
+    if (updates.url) {
+      await this.validateUrl(updates.url);
+    }
+
+    return WebhookEndpoint.update(endpointId, {
+      ...(updates.url && { url: updates.url }),
+      ...(updates.description !== undefined && { description: updates.description }),
+      ...(updates.eventTypes && { event_types: updates.eventTypes }),
+      ...(updates.isActive !== undefined && { is_active: updates.isActive })
+    });
+  }
+
+  async deleteEndpoint(endpointId, owner = {}) {
+    await this.getEndpoint(endpointId, owner);
+    return WebhookEndpoint.delete(endpointId);
+  }
+
+  async getDeliveries(endpointId, options = {}, owner = {}) {
+    await this.getEndpoint(endpointId, owner);
+    return WebhookDelivery.findByEndpoint(endpointId, options);
+  }
+
+  /**
+   * Build the event payload for a transaction row
+   */
+  buildTransactionPayload(eventId, eventType, transaction) {
+    return {
+      id: eventId,
+      type: eventType,
+      createdAt: new Date().toISOString(),
+      data: {
+        transaction: {
+          id: transaction.id,
+          reference: transaction.reference,
+          type: transaction.type,
+          status: transaction.status,
+          amount: transaction.amount,
+          fee: transaction.fee,
+          assetSymbol: transaction.asset_symbol,
+          senderId: transaction.sender_id,
+          recipientId: transaction.recipient_id,
+          network: transaction.metadata?.network,
+          createdAt: transaction.created_at,
+          updatedAt: transaction.updated_at,
+          completedAt: transaction.completed_at
+        }
+      }
+    };
+  }
+
+  /**
+   * Queue an event for every subscribed endpoint and attempt the first delivery
+   * @param {string} eventType - Webhook event type
+   * @param {Object} transaction - transactions row
+   * @returns {Array} Created deliveries
+   */
+  async emitTransactionEvent(eventType, transaction) {
+    const endpoints = await WebhookEndpoint.findSubscribers(eventType, [
+      transaction.sender_id,
+      transaction.recipient_id
+    ]);
+
+    if (endpoints.length === 0) {
+      return [];
+    }
+
+    const eventId = uuidv4();
+    const payload = this.buildTransactionPayload(eventId, eventType, transaction);
+
+    const deliveries = await Promise.all(endpoints.map(endpoint =>
+      WebhookDelivery.create({
+        endpoint_id: endpoint.id,
+        event_id: eventId,
+        event_type: eventType,
+        payload
+      })
+    ));
+
+    // First attempt happens right away; failures are picked up by the retry worker
+    await Promise.all(deliveries.map(delivery =>
+      this.attemptDelivery(delivery).catch(error => {
+        logger.logError('Webhook delivery attempt failed', error, { deliveryId: delivery.id });
+      })
+    ));
+
+    return deliveries;
+  }
+
+  /**
+   * Emit the event matching a transaction status change, if any
+   * @param {Object} transaction - Updated transactions row
+   */
+  async emitTransactionStatusEvent(transaction) {
+    const eventType = STATUS_EVENTS[transaction.status];
+    if (!eventType) {
+      return [];
+    }
+    return this.emitTransactionEvent(eventType, transaction);
+  }
+
+  /**
+   * Send one attempt of a delivery and record the outcome
+   * @param {Object} delivery - webhook_deliveries row
+   * @returns {Object|null} Updated delivery, or null if another worker claimed it
+   */
+  async attemptDelivery(delivery) {
+    const claimed = await WebhookDelivery.claimAttempt(
+      delivery.id,
+      delivery.attempt_count,
+      WEBHOOK_DELIVERY.REQUEST_TIMEOUT_MS * 2
+    );
+
+    if (!claimed) {
+      return null;
+    }
+
+    const endpoint = await WebhookEndpoint.findByIdWithSecret(claimed.endpoint_id);
+    if (!endpoint || !endpoint.is_active) {
+      return WebhookDelivery.update(claimed.id, {
+        status: WEBHOOK_DELIVERY_STATUS.FAILED,
+        next_attempt_at: null,
+        last_error: 'Endpoint is inactive or was removed'
+      });
+    }
+
+    const body = JSON.stringify(claimed.payload);
+    let responseStatus = null;
+    let errorMessage = null;
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), WEBHOOK_DELIVERY.REQUEST_TIMEOUT_MS);
+
+    try {
+      // DNS can change after registration, so check the host again on every attempt.
+      // sendRequest repeats the check on the address it actually connects to.
+      await this.validateUrl(endpoint.url);
+
+      const response = await this.httpClient(endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': '7awel-Webhooks/1.0',
+          [WEBHOOK_DELIVERY.SIGNATURE_HEADER]: this.signPayload(endpoint.secret, body),
+          [WEBHOOK_DELIVERY.EVENT_HEADER]: claimed.event_type,
+          [WEBHOOK_DELIVERY.DELIVERY_HEADER]: claimed.id
+        },
+        body,
+        redirect: 'manual',
+        signal: controller.signal
+      });
+
+      responseStatus = response.status;
+      if (!response.ok) {
+        errorMessage = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (error) {
+      errorMessage = error.name === 'AbortError' ? 'Request timed out' : error.message;
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    if (!errorMessage) {
+      return WebhookDelivery.update(claimed.id, {
+        status: WEBHOOK_DELIVERY_STATUS.SUCCEEDED,
+        last_response_status: responseStatus,
+        last_error: null,
+        next_attempt_at: null,
+        delivered_at: new Date().toISOString()
+      });
+    }
+
+    const exhausted = claimed.attempt_count >= WEBHOOK_DELIVERY.MAX_ATTEMPTS;
+
+    logger.warn('Webhook delivery failed', {
+      category: 'webhook',
+      deliveryId: claimed.id,
+      endpointId: endpoint.id,
+      attempt: claimed.attempt_count,
+      exhausted,
+      error: errorMessage
+    });
+
+    return WebhookDelivery.update(claimed.id, {
+      status: exhausted ? WEBHOOK_DELIVERY_STATUS.FAILED : WEBHOOK_DELIVERY_STATUS.PENDING,
+      last_response_status: responseStatus,
+      last_error: errorMessage,
+      next_attempt_at: exhausted ? null : new Date(Date.now() + this.getRetryDelay(claimed.attempt_count)).toISOString()
+    });
+  }
+
+  /**
+   * Retry every pending delivery whose backoff has elapsed
+   * @returns {number} Number of deliveries attempted
+   */
+  async processDueDeliveries() {
+    if (this.processing) {
+      return 0;
+    }
+
+    this.processing = true;
+    try {
+      const due = await WebhookDelivery.findDue();
+      for (const delivery of due) {
+        await this.attemptDelivery(delivery).catch(error => {
+          logger.logError('Webhook retry failed', error, { deliveryId: delivery.id });
+        });
+      }
+      return due.length;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Manually redeliver a delivery regardless of its current status.
+   * Starts a fresh attempt cycle on the same delivery record.
+   * @param {string} deliveryId
+   * @param {Object} owner - { userId } limits access to the merchant's own endpoints
+   * @returns {Object} Updated delivery
+   */
+  async redeliver(deliveryId, owner = {}) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery) {
+      throw new Error('Webhook delivery not found');
+    }
+
+    await this.getEndpoint(delivery.endpoint_id, owner);
+
+    const reset = await WebhookDelivery.update(deliveryId, {
+      status: WEBHOOK_DELIVERY_STATUS.PENDING,
+      attempt_count: 0,
+      next_attempt_at: new Date().toISOString(),
+      last_error: null
+    });
+
+    return (await this.attemptDelivery(reset)) || reset;
+  }
+
+  startRetryWorker(intervalMs = WEBHOOK_DELIVERY.RETRY_POLL_INTERVAL_MS) {
+    if (this.retryTimer) {
+      return;
+    }
+
+    this.retryTimer = setInterval(() => {
+      this.processDueDeliveries().catch(error => {
+        logger.logError('Webhook retry worker failed', error);
+      });
+    }, intervalMs);
+
+    if (this.retryTimer.unref) {
+      this.retryTimer.unref();
+    }
+
+    console.log(`✅ Webhook retry worker started (every ${intervalMs}ms)`);
+  }
+
+  stopRetryWorker() {
+    if (this.retryTimer) {
+      clearInterval(this.retryTimer);
+      this.retryTimer = null;
+    }
+  }
+}
+
+export default new WebhookService();
+export { WebhookService };
@@ -1 +1,337 @@
- 
\ No newline at end of file
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import WhatsAppMessage from '../models/WhatsAppMessage.js';
+import logger from '../utils/logger.js';
+import {
+  WHATSAPP_PROVIDERS,
+  WHATSAPP_MESSAGE_STATUS,
+  WHATSAPP_STATUS_RANK
+} from '../constants/whatsappConstants.js';
+import { NOTIFICATION_CHANNELS } from '../constants/notificationConstants.js';
+import NotificationTemplateService from './notificationTemplateService.js';
+
+const GRAPH_API_URL = 'https://graph.facebook.com/v19.0';
+
+/**
+ * WhatsApp Service
+ *
+ * Delivery goes through a provider. Every provider exposes:
+ *
+ *   name                          -> provider id stored with each message
+ *   isConfigured()                -> boolean
+ *   send(to, text)                -> { messageId }
+ *   parseStatusWebhook(body)      -> Array<{ messageId, status, timestamp, error }>
+ *   verifySignature(raw, header)  -> boolean
+ *
+ * Template messages are logged in whatsapp_messages and their status is
+ * advanced by the provider's delivery callbacks.
+ */
+
+/**
+ * WhatsApp Cloud API. Requires WHATSAPP_ACCESS_TOKEN and WHATSAPP_PHONE_NUMBER_ID;
+ * WHATSAPP_APP_SECRET is needed to accept status callbacks.
+ */
+class CloudApiWhatsAppProvider {
+  constructor({
+    accessToken = process.env.WHATSAPP_ACCESS_TOKEN,
+    phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID,
+    appSecret = process.env.WHATSAPP_APP_SECRET
+  } = {}) {
+    this.name = WHATSAPP_PROVIDERS.CLOUD;
+    this.accessToken = accessToken;
+    this.phoneNumberId = phoneNumberId;
+    this.appSecret = appSecret;
+  }
+
+  isConfigured() {
+    return Boolean(this.accessToken && this.phoneNumberId);
+  }
+
+  async send(to, text) {
+    if (!this.isConfigured()) {
+      throw new Error('WhatsApp service is not configured');
+    }
+
+    const response = await fetch(`${GRAPH_API_URL}/${this.phoneNumberId}/messages`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.accessToken}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        messaging_product: 'whatsapp',
+        to: to.replace(/^\+/, ''),
+        type: 'text',
+        text: { body: text, preview_url: false }
+      })
+    });
+
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const message = result.error?.message || `HTTP ${response.status}`;
+      throw new Error(`Failed to send WhatsApp message: ${message}`);
+    }
+
+    return { messageId: result.messages?.[0]?.id };
+  }
+
+  parseStatusWebhook(body) {
+    const statuses = [];
+    for (const entry of body?.entry || []) {
+      for (const change of entry.changes || []) {
+        for (const status of change.value?.statuses || []) {
+          statuses.push({
+            messageId: status.id,
+            status: status.status,
+            timestamp: status.timestamp ? new Date(Number(status.timestamp) * 1000).toISOString() : new Date().toISOString(),
+            error: status.errors?.[0]?.message || status.errors?.[0]?.title || null
+          });
+        }
+      }
+    }
+    return statuses;
+  }
+
+  /**
+   * Check the X-Hub-Signature-256 header (HMAC-SHA256 of the raw body with the app secret)
+   */
+  verifySignature(rawBody, signatureHeader) {
+    if (!this.appSecret || !rawBody || !signatureHeader) {
+      return false;
+    }
+
+    const expected = `sha256=${crypto.createHmac('sha256', this.appSecret).update(rawBody).digest('hex')}`;
+    const a = Buffer.from(expected);
+    const b = Buffer.from(String(signatureHeader));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+}
+
+/**
+ * In-process provider that records messages instead of sending them.
+ * Used in tests and local development (WHATSAPP_PROVIDER=fake).
+ */
+class FakeWhatsAppProvider {
+  constructor() {
+    this.name = WHATSAPP_PROVIDERS.FAKE;
+    this.sent = [];
+    this.nextError = null;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async send(to, text) {
+    if (this.nextError) {
+      const error = this.nextError;
+      this.nextError = null;
+      throw new Error(error);
+    }
+
+    const messageId = `fake_${uuidv4()}`;
+    this.sent.push({ to, text, messageId });
+    return { messageId };
+  }
+
+  /**
+   * Make the next send() fail with the given message
+   */
+  failNextSend(message = 'Fake WhatsApp delivery failure') {
+    this.nextError = message;
+  }
+
+  parseStatusWebhook(body) {
+    return body?.statuses || [];
+  }
+
+  verifySignature() {
+    return true;
+  }
+
+  reset() {
+    this.sent = [];
+    this.nextError = null;
+  }
+}
+
+/**
+ * Create the provider selected by configuration.
+ * WHATSAPP_PROVIDER=cloud|fake; defaults to fake under NODE_ENV=test, cloud otherwise.
+ */
+function createWhatsAppProvider() {
+  const providerType = (process.env.WHATSAPP_PROVIDER ||
+    (process.env.NODE_ENV === 'test' ? WHATSAPP_PROVIDERS.FAKE : WHATSAPP_PROVIDERS.CLOUD)).toLowerCase();
+
+  if (providerType === WHATSAPP_PROVIDERS.FAKE) {
+    return new FakeWhatsAppProvider();
+  }
+  return new CloudApiWhatsAppProvider();
+}
+
+function maskPhone(phone) {
+  const value = String(phone || '');
+  return value.length > 7 ? `${value.slice(0, 5)}*****${value.slice(-3)}` : '*****';
+}
+
+class WhatsAppService {
+  constructor(provider = createWhatsAppProvider()) {
+    this.provider = provider;
+  }
+
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  isConfigured() {
+    return this.provider.isConfigured();
+  }
+
+  /**
+   * Send a plain text message (not logged in whatsapp_messages)
+   * @param {string} to - Recipient phone number in E.164 format
+   * @param {string} text - Message body
+   * @returns {Object} { messageId }
+   */
+  async sendMessage(to, text) {
+    try {
+      const result = await this.provider.send(to, text);
+      logger.info(`✅ WhatsApp message sent: ${result.messageId}`);
+      return result;
+    } catch (error) {
+      logger.error('❌ Failed to send WhatsApp message:', error.message);
+      throw error;
+    }
+  }
+
+  resolveLocale(locale) {
+    return NotificationTemplateService.resolveLocale(locale);
+  }
+
+  /**
+   * Fill a template for the given locale (falls back to English)
+   */
+  renderTemplate(template, locale, variables = {}) {
+    if (!NotificationTemplateService.has(template, NOTIFICATION_CHANNELS.WHATSAPP)) {
+      throw new Error(`Unknown WhatsApp template: ${template}`);
+    }
+
+    return NotificationTemplateService.render(template, NOTIFICATION_CHANNELS.WHATSAPP, locale, variables).body;
+  }
+
+  /**
+   * Send a templated message and record it for delivery tracking
+   * @param {Object} params - { userId, to, template, locale, variables }
+   * @returns {Object} whatsapp_messages row
+   */
+  async sendTemplate({ userId = null, to, template, locale, variables = {} }) {
+    const resolvedLocale = this.resolveLocale(locale);
+    const text = this.renderTemplate(template, resolvedLocale, variables);
+    const record = {
+      user_id: userId,
+      recipient: maskPhone(to),
+      template,
+      locale: resolvedLocale,
+      provider: this.provider.name
+    };
+
+    let result;
+    try {
+      result = await this.provider.send(to, text);
+    } catch (error) {
+      await this.recordMessage({
+        ...record,
+        status: WHATSAPP_MESSAGE_STATUS.FAILED,
+        error_message: error.message,
+        failed_at: new Date().toISOString()
+      });
+      logger.error(`❌ WhatsApp ${template} message failed for user ${userId}:`, error.message);
+      throw error;
+    }
+
+    logger.info(`✅ WhatsApp ${template} message sent: ${result.messageId}`);
+    return this.recordMessage({
+      ...record,
+      provider_message_id: result.messageId,
+      status: WHATSAPP_MESSAGE_STATUS.SENT,
+      sent_at: new Date().toISOString()
+    });
+  }
+
+  /**
+   * The message log must never turn a delivered message into an error
+   */
+  async recordMessage(data) {
+    try {
+      return await WhatsAppMessage.create(data);
+    } catch (error) {
+      logger.error('❌ Failed to record WhatsApp message:', error.message);
+      return data;
+    }
+  }
+
+  /**
+   * Apply one delivery status callback
+   * @returns {Object|null} Updated row, or null when unknown or out of order
+   */
+  async handleStatusUpdate({ messageId, status, timestamp, error = null }) {
+    if (!messageId || !WHATSAPP_STATUS_RANK[status]) {
+      return null;
+    }
+
+    const message = await WhatsAppMessage.findByProviderMessageId(this.provider.name, messageId);
+    if (!message) {
+      return null;
+    }
+
+    if (WHATSAPP_STATUS_RANK[status] <= (WHATSAPP_STATUS_RANK[message.status] || 0)) {
+      return null;
+    }
+
+    const at = timestamp || new Date().toISOString();
+    return WhatsAppMessage.updateStatus(message.id, {
+      status,
+      [`${status}_at`]: at,
+      ...(status === WHATSAPP_MESSAGE_STATUS.FAILED && { error_message: error || 'Delivery failed' })
+    });
+  }
+
+  /**
+   * Apply every status in a provider callback
+   * @returns {number} Number of messages whose status changed
+   */
+  async processStatusWebhook(body) {
+    let updated = 0;
+    for (const status of this.provider.parseStatusWebhook(body)) {
+      try {
+        if (await this.handleStatusUpdate(status)) {
+          updated++;
+        }
+      } catch (error) {
+        logger.error(`❌ Failed to apply WhatsApp status for ${status.messageId}:`, error.message);
+      }
+    }
+    return updated;
+  }
+
+  verifyWebhookSignature(rawBody, signatureHeader) {
+    return this.provider.verifySignature(rawBody, signatureHeader);
+  }
+
+  /**
+   * Webhook subscription handshake (GET with hub.mode, hub.verify_token, hub.challenge)
+   * @returns {string|null} Challenge to echo back, or null to reject
+   */
+  verifySubscription(mode, token, challenge) {
+    const expected = process.env.WHATSAPP_WEBHOOK_VERIFY_TOKEN;
+    if (mode === 'subscribe' && expected && token === expected) {
+      return challenge;
+    }
+    return null;
+  }
+}
+
+// Export singleton instance
+export default new WhatsAppService();
+export { WhatsAppService, CloudApiWhatsAppProvider, FakeWhatsAppProvider, createWhatsAppProvider };
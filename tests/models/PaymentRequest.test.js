@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { quickSetups } from '../setup/presets.js';
+import PaymentRequest, { PAYMENT_REQUEST_STATUS } from '../../models/PaymentRequest.js';
+import Transaction from '../../models/Transaction.js';
+import { supabaseAdmin } from '../../database/supabase.js';
+
+describe('✅ PaymentRequest Model', () => {
+  let setup;
+  let testRequestor;
+  let testRecipient;
+  let createdRequestIds = [];
+
+  beforeAll(async () => {
+    setup = await quickSetups.transactions('integration');
+    const testUsers = setup.getData('users');
+
+    testRequestor = testUsers[0];
+    testRecipient = testUsers[1];
+
+    // Ensure USDT asset exists for paid requests
+    const { error: assetError } = await supabaseAdmin
+      .from('supported_assets')
+      .upsert({
+        symbol: 'USDT',
+        name: 'Tether',
+        asset_type: 'crypto',
+        decimals: 6,
+        is_active: true,
+        network: 'Multiple'
+      }, {
+        onConflict: 'symbol'
+      });
+
+    if (assetError) {
+      console.error('Error creating test asset:', assetError);
+      throw assetError;
+    }
+  });
+
+  afterEach(async () => {
+    for (const id of createdRequestIds) {
+      try {
+        await PaymentRequest.delete(id);
+      } catch (error) {
+        console.log(`⚠️ Could not clean payment request ${id}:`, error.message);
+      }
+    }
+    createdRequestIds = [];
+  });
+
+  afterAll(async () => {
+    if (setup) {
+      await setup.cleanup();
+    }
+  });
+
+  const createRequest = async (overrides = {}) => {
+    const request = await PaymentRequest.create({
+      requestor_id: testRequestor.id,
+      recipient_id: testRecipient.id,
+      amount: 25,
+      asset_symbol: 'USDT',
+      note: 'Dinner split',
+      ...overrides
+    });
+    createdRequestIds.push(request.id);
+    return request;
+  };
+
+  describe('Create - Validation', () => {
+    it('should validate required fields', async () => {
+      await expect(PaymentRequest.create({
+        requestor_id: testRequestor.id,
+        amount: 10
+      })).rejects.toThrow('Missing required field');
+    });
+
+    it('should reject requesting from yourself', async () => {
+      await expect(PaymentRequest.create({
+        requestor_id: testRequestor.id,
+        recipient_id: testRequestor.id,
+        amount: 10,
+        asset_symbol: 'USDT'
+      })).rejects.toThrow('Requestor and recipient must be different users');
+    });
+
+    it('should validate amount is positive', async () => {
+      await expect(PaymentRequest.create({
+        requestor_id: testRequestor.id,
+        recipient_id: testRecipient.id,
+        amount: -5,
+        asset_symbol: 'USDT'
+      })).rejects.toThrow('Amount must be greater than 0');
+    });
+
+    it('should reject an expiry date in the past', async () => {
+      await expect(createRequest({
+        expires_at: new Date(Date.now() - 60 * 1000).toISOString()
+      })).rejects.toThrow('Expiry date must be in the future');
+    });
+  });
+
+  describe('Create and Find', () => {
+    it('should create a pending payment request', async () => {
+      const request = await createRequest();
+
+      expect(request.id).toBeDefined();
+      expect(request.status).toBe(PAYMENT_REQUEST_STATUS.PENDING);
+      expect(request.requestor_id).toBe(testRequestor.id);
+      expect(request.recipient_id).toBe(testRecipient.id);
+      expect(parseFloat(request.amount)).toBe(25);
+    });
+
+    it('should list requests by direction', async () => {
+      const request = await createRequest();
+
+      const incoming = await PaymentRequest.findByUser(testRecipient.id, 'incoming');
+      const outgoing = await PaymentRequest.findByUser(testRequestor.id, 'outgoing');
+
+      expect(incoming.some(r => r.id === request.id)).toBe(true);
+      expect(outgoing.some(r => r.id === request.id)).toBe(true);
+    });
+
+    it('should return null for a missing request', async () => {
+      const result = await PaymentRequest.findById('00000000-0000-4000-8000-000000000000');
+      expect(result).toBeNull();
+    });
+  });
+
+  describe('Status Transitions', () => {
+    it('should decline a pending request', async () => {
+      const request = await createRequest();
+
+      const declined = await PaymentRequest.updateStatus(request.id, PAYMENT_REQUEST_STATUS.DECLINED);
+      expect(declined.status).toBe(PAYMENT_REQUEST_STATUS.DECLINED);
+    });
+
+    it('should not change a request that is no longer pending', async () => {
+      const request = await createRequest();
+      await PaymentRequest.updateStatus(request.id, PAYMENT_REQUEST_STATUS.CANCELLED);
+
+      await expect(
+        PaymentRequest.updateStatus(request.id, PAYMENT_REQUEST_STATUS.DECLINED)
+      ).rejects.toThrow('Payment request is no longer pending');
+    });
+
+    it('should require a transaction ID when marking as paid', async () => {
+      const request = await createRequest();
+
+      await expect(
+        PaymentRequest.updateStatus(request.id, PAYMENT_REQUEST_STATUS.PAID)
+      ).rejects.toThrow('Transaction ID is required');
+    });
+
+    it('should link the transaction when marking as paid', async () => {
+      const request = await createRequest();
+      const transaction = await Transaction.create({
+        reference: Transaction.generateReference('payment'),
+        sender_id: testRecipient.id,
+        recipient_id: testRequestor.id,
+        type: 'payment',
+        amount: 25,
+        asset_symbol: 'USDT'
+      });
+
+      const paid = await PaymentRequest.updateStatus(request.id, PAYMENT_REQUEST_STATUS.PAID, {
+        transaction_id: transaction.id
+      });
+
+      expect(paid.status).toBe(PAYMENT_REQUEST_STATUS.PAID);
+      expect(paid.transaction_id).toBe(transaction.id);
+      expect(paid.paid_at).toBeDefined();
+
+      await PaymentRequest.delete(request.id);
+      createdRequestIds = createdRequestIds.filter(id => id !== request.id);
+      await Transaction.delete(transaction.id);
+    });
+  });
+
+  describe('Helpers', () => {
+    it('should build a QR payload with request details', () => {
+      const qrCode = PaymentRequest.generateQrCode({
+        id: 'abc',
+        amount: 12.5,
+        asset_symbol: 'USDT'
+      });
+
+      expect(qrCode).toBe('7awel://pay?request=abc&amount=12.5&asset=USDT');
+    });
+
+    it('should detect expired requests', () => {
+      expect(PaymentRequest.isExpired({ expires_at: new Date(Date.now() - 1000).toISOString() })).toBe(true);
+      expect(PaymentRequest.isExpired({ expires_at: new Date(Date.now() + 60000).toISOString() })).toBe(false);
+      expect(PaymentRequest.isExpired({ expires_at: null })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import MemoryAdapter from '../../../database/adapters/memoryAdapter.js';
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const OTHER_USER_ID = '22222222-2222-4222-8222-222222222222';
+
+describe('🧠 In-memory Database Adapter', () => {
+  let adapter;
+  let db;
+
+  beforeEach(() => {
+    adapter = new MemoryAdapter({ uniqueKeys: { users: [['email']] } });
+    db = adapter.client;
+
+    adapter.seed('users', [
+      { id: USER_ID, email: 'sara@example.com', status: 'active' },
+      { id: OTHER_USER_ID, email: 'omar@example.com', status: 'suspended' }
+    ]);
+    adapter.seed('transactions', [
+      { id: 't1', sender_id: USER_ID, recipient_id: OTHER_USER_ID, amount: 25, status: 'completed', created_at: '2025-07-01T10:00:00.000Z' },
+      { id: 't2', sender_id: OTHER_USER_ID, recipient_id: USER_ID, amount: 5, status: 'pending', created_at: '2025-07-02T10:00:00.000Z' },
+      { id: 't3', sender_id: OTHER_USER_ID, recipient_id: null, amount: 100, status: 'failed', created_at: '2025-07-03T10:00:00.000Z' }
+    ]);
+  });
+
+  it('should filter, order and page like PostgREST', async () => {
+    const { data, error, count } = await db
+      .from('transactions')
+      .select('id, amount', { count: 'exact' })
+      .or(`sender_id.eq.${USER_ID},recipient_id.eq.${USER_ID}`)
+      .gte('created_at', new Date('2025-07-01T00:00:00Z'))
+      .order('created_at', { ascending: false })
+      .range(0, 0);
+
+    expect(error).toBeNull();
+    expect(count).toBe(2);
+    expect(data).toEqual([{ id: 't2', amount: 5 }]);
+
+    const { data: nested } = await db
+      .from('transactions')
+      .select('id')
+      .or('status.eq.failed,and(amount.lt.10,status.in.(pending,processing))')
+      .order('id');
+    expect(nested.map(row => row.id)).toEqual(['t2', 't3']);
+
+    const { data: notNull } = await db.from('transactions').select('id').not('recipient_id', 'is', null);
+    expect(notNull).toHaveLength(2);
+  });
+
+  it('should return PGRST116 from single() unless exactly one row matches', async () => {
+    const missing = await db.from('users').select('*').eq('id', 'nobody').single();
+    expect(missing.error.code).toBe('PGRST116');
+    expect(missing.data).toBeNull();
+
+    const many = await db.from('users').select('*').maybeSingle();
+    expect(many.error.code).toBe('PGRST116');
+
+    const none = await db.from('users').select('*').eq('id', 'nobody').maybeSingle();
+    expect(none).toMatchObject({ data: null, error: null });
+  });
+
+  it('should embed related rows and drop parents without them for !inner', async () => {
+    await db.from('wallets').insert([
+      { user_id: USER_ID, status: 'active' },
+      { user_id: OTHER_USER_ID, status: 'active' }
+    ]);
+    adapter.seed('user_profiles', { user_id: USER_ID, first_name: 'Sara' });
+
+    const { data: wallets } = await db
+      .from('wallets')
+      .select('status, users!inner(email)')
+      .eq('users.status', 'active');
+    expect(wallets).toEqual([{ status: 'active', users: { email: 'sara@example.com' } }]);
+
+    const { data: users } = await db
+      .from('users')
+      .select('id, user_profiles (first_name)')
+      .not('user_profiles', 'is', null);
+    expect(users).toEqual([{ id: USER_ID, user_profiles: [{ first_name: 'Sara' }] }]);
+  });
+
+  it('should insert with defaults, upsert on conflict and report unique violations', async () => {
+    const { data: created } = await db.from('users').insert({ email: 'lina@example.com' }).select().single();
+    expect(created.id).toEqual(expect.any(String));
+    expect(created.created_at).toEqual(expect.any(String));
+
+    const duplicate = await db.from('users').insert({ email: 'sara@example.com' });
+    expect(duplicate.error.code).toBe('23505');
+
+    await db.from('user_settings').upsert({ user_id: USER_ID, theme: 'dark' }, { onConflict: 'user_id' });
+    const { data: settings } = await db
+      .from('user_settings')
+      .upsert({ user_id: USER_ID, language: 'ar' }, { onConflict: 'user_id' })
+      .select('theme, language');
+    expect(settings).toEqual([{ theme: 'dark', language: 'ar' }]);
+    expect(adapter.table('user_settings')).toHaveLength(1);
+  });
+
+  it('should update and delete only matching rows', async () => {
+    const { data: updated } = await db
+      .from('transactions')
+      .update({ status: 'cancelled' })
+      .eq('status', 'pending')
+      .select('id, status');
+    expect(updated).toEqual([{ id: 't2', status: 'cancelled' }]);
+
+    const { count } = await db.from('transactions').delete({ count: 'exact' }).in('id', ['t1', 't3']);
+    expect(count).toBe(2);
+    expect(adapter.table('transactions').map(row => row.id)).toEqual(['t2']);
+  });
+
+  it('should serve rpc() from registered functions only', async () => {
+    const missing = await db.rpc('get_user_transaction_stats', { p_user_id: USER_ID });
+    expect(missing.error.code).toBe('PGRST202');
+
+    adapter.registerFunction('get_user_transaction_stats', ({ p_user_id: userId }, store) => ({
+      sent: store.table('transactions').filter(row => row.sender_id === userId).length
+    }));
+    const { data } = await db.rpc('get_user_transaction_stats', { p_user_id: USER_ID });
+    expect(data).toEqual({ sent: 1 });
+  });
+
+  it('should keep storage objects in memory', async () => {
+    const bucket = db.storage.from('kyc-documents');
+
+    expect((await bucket.upload(`${USER_ID}/selfie.jpg`, Buffer.from('x'), { contentType: 'image/jpeg' })).error).toBeNull();
+    expect((await bucket.upload(`${USER_ID}/selfie.jpg`, Buffer.from('y'))).error.statusCode).toBe('409');
+
+    const { data } = await bucket.createSignedUrl(`${USER_ID}/selfie.jpg`, 300);
+    expect(data.signedUrl).toMatch(`memory://kyc-documents/${USER_ID}/selfie.jpg?expires=`);
+
+    expect((await bucket.remove([`${USER_ID}/selfie.jpg`])).data).toHaveLength(1);
+    expect((await bucket.createSignedUrl(`${USER_ID}/selfie.jpg`, 300)).error.statusCode).toBe('404');
+  });
+});
@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import MigrationRunner, { LEGACY_ORDER } from '../../../database/migrationRunner.js';
+
+/**
+ * Stand-in for a pg client: keeps schema_migrations in memory and records
+ * every migration statement it is asked to run
+ */
+const createClient = ({ failOn = null } = {}) => {
+  const applied = new Map();
+  let pending = null;
+
+  return {
+    applied,
+    executed: [],
+    async query(text, params = []) {
+      if (text.startsWith('SELECT pg_advisory') || text.includes('CREATE TABLE IF NOT EXISTS schema_migrations')) {
+        return { rows: [] };
+      }
+      if (text === 'BEGIN') {
+        pending = { set: new Map(), deleted: [] };
+        return { rows: [] };
+      }
+      if (text === 'COMMIT') {
+        pending.set.forEach((row, id) => applied.set(id, row));
+        pending.deleted.forEach(id => applied.delete(id));
+        pending = null;
+        return { rows: [] };
+      }
+      if (text === 'ROLLBACK') {
+        pending = null;
+        return { rows: [] };
+      }
+      if (text.startsWith('SELECT id, checksum')) {
+        return { rows: [...applied.values()] };
+      }
+      if (text.startsWith('INSERT INTO schema_migrations')) {
+        const row = { id: params[0], checksum: params[1], applied_at: new Date() };
+        (pending ? pending.set : applied).set(params[0], row);
+        return { rows: [] };
+      }
+      if (text.startsWith('DELETE FROM schema_migrations')) {
+        pending.deleted.push(params[0]);
+        return { rows: [] };
+      }
+      if (failOn && text.includes(failOn)) {
+        throw new Error('syntax error');
+      }
+      this.executed.push(text.trim());
+      return { rows: [] };
+    }
+  };
+};
+
+describe('🗄️ Migration Runner', () => {
+  let directory;
+
+  const write = (file, sql) => fs.writeFile(path.join(directory, file), sql);
+  const runner = (client) => new MigrationRunner({ client, directory, log: () => {} });
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'migrations-'));
+    await write('031_create_b.sql', 'CREATE TABLE b ();');
+    await write('031_create_b.down.sql', 'DROP TABLE b;');
+    await write('030_create_a.sql', 'CREATE TABLE a ();');
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  it('should apply pending migrations in prefix order and skip them afterwards', async () => {
+    const client = createClient();
+
+    expect(await runner(client).up()).toEqual(['030_create_a', '031_create_b']);
+    expect(client.executed).toEqual(['CREATE TABLE a ();', 'CREATE TABLE b ();']);
+
+    expect(await runner(client).up()).toEqual([]);
+    const { migrations } = await runner(client).status();
+    expect(migrations.map(migration => migration.state)).toEqual(['applied', 'applied']);
+  });
+
+  it('should only report in a dry run', async () => {
+    const client = createClient();
+
+    expect(await runner(client).up({ dryRun: true })).toEqual(['030_create_a', '031_create_b']);
+    expect(client.executed).toEqual([]);
+    expect(client.applied.size).toBe(0);
+  });
+
+  it('should refuse duplicate prefixes outside the legacy list', async () => {
+    await write('031_create_c.sql', 'CREATE TABLE c ();');
+
+    await expect(runner(createClient()).loadMigrations())
+      .rejects.toThrow('031_create_b.sql and 031_create_c.sql');
+  });
+
+  it('should detect applied migrations that were edited', async () => {
+    const client = createClient();
+    await runner(client).up();
+
+    await write('030_create_a.sql', 'CREATE TABLE a (id INT);');
+
+    const { migrations } = await runner(client).status();
+    expect(migrations[0].state).toBe('modified');
+    await expect(runner(client).up()).rejects.toThrow('add a new migration instead: 030_create_a');
+  });
+
+  it('should revert with down files and roll back failed migrations', async () => {
+    const client = createClient();
+    await runner(client).up();
+
+    expect(await runner(client).down()).toEqual(['031_create_b']);
+    expect(client.executed.at(-1)).toBe('DROP TABLE b;');
+    expect([...client.applied.keys()]).toEqual(['030_create_a']);
+
+    await expect(runner(client).down()).rejects.toThrow('No down migration for 030_create_a');
+
+    await write('032_broken.sql', 'CREATE TABLBE broken;');
+    const failing = createClient({ failOn: 'TABLBE' });
+    await expect(runner(failing).up()).rejects.toThrow('Migration 032_broken failed: syntax error');
+    expect(failing.applied.has('032_broken')).toBe(false);
+    expect(failing.applied.has('031_create_b')).toBe(true);
+  });
+
+  it('should record hand-applied migrations with baseline', async () => {
+    const client = createClient();
+
+    expect(await runner(client).baseline({ to: '030' })).toEqual(['030_create_a']);
+    expect(client.executed).toEqual([]);
+    expect(await runner(client).up()).toEqual(['031_create_b']);
+  });
+
+  it('should order the repository migrations without conflicts', async () => {
+    const migrations = await new MigrationRunner({ client: createClient() }).loadMigrations();
+    const ids = migrations.map(migration => migration.id);
+
+    expect(ids.slice(0, LEGACY_ORDER.length)).toEqual(LEGACY_ORDER);
+    expect(ids.indexOf('010_create_transactions_table')).toBeLessThan(ids.indexOf('009_create_payment_requests_table'));
+    expect(ids.indexOf('20240321_create_contact_sync_status')).toBeLessThan(ids.indexOf('022_add_contact_delta_sync'));
+  });
+});
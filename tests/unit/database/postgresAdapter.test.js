@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import PostgresAdapter from '../../../database/adapters/postgresAdapter.js';
+
+const COLUMNS = {
+  users: { id: 'uuid', email: 'text', status: 'text' },
+  wallets: { id: 'uuid', user_id: 'uuid', status: 'text', metadata: 'jsonb', created_at: 'timestamp with time zone' },
+  user_profiles: { id: 'uuid', user_id: 'uuid', first_name: 'text' }
+};
+
+const FOREIGN_KEYS = [
+  { table_name: 'wallets', column_name: 'user_id', foreign_table: 'users', foreign_column: 'id' },
+  { table_name: 'user_profiles', column_name: 'user_id', foreign_table: 'users', foreign_column: 'id' }
+];
+
+const FUNCTIONS = {
+  get_user_transaction_stats: { returns_set: false, type_kind: 'b', type_name: 'json' },
+  get_contact_by_id: { returns_set: true, type_kind: 'p', type_name: 'record' }
+};
+
+/**
+ * Stand-in for a pg pool: answers the catalog queries and records the rest
+ */
+const createPool = () => ({
+  statements: [],
+  async query(text, params = []) {
+    if (text.includes('information_schema.columns')) {
+      return {
+        rows: Object.entries(COLUMNS).flatMap(([table, columns]) =>
+          Object.entries(columns).map(([column, type]) => ({ table_name: table, column_name: column, data_type: type }))
+        )
+      };
+    }
+    if (text.includes("contype = 'f'")) return { rows: FOREIGN_KEYS };
+    if (text.includes("contype = 'p'")) return { rows: Object.keys(COLUMNS).map(table => ({ table_name: table, column_name: 'id' })) };
+    if (text.includes('FROM pg_proc')) return { rows: FUNCTIONS[params[0]] ? [FUNCTIONS[params[0]]] : [] };
+
+    this.statements.push({ text, params });
+    if (text.startsWith('SELECT count(*)')) return { rows: [{ count: 4 }] };
+    if (text.includes('to_json(_v.value)')) return { rows: [{ value: { sent: 2 } }] };
+    return { rows: [{ row: { id: 'w1' } }] };
+  }
+});
+
+describe('🐘 Postgres Database Adapter', () => {
+  let pool;
+  let db;
+
+  beforeEach(() => {
+    pool = createPool();
+    db = new PostgresAdapter({ pool, storageDirectory: null }).client;
+  });
+
+  it('should compile filters, ordering and paging into one parameterized statement', async () => {
+    const { data, error } = await db
+      .from('wallets')
+      .select('id, status')
+      .eq('user_id', 'u1')
+      .or('status.eq.active,and(status.eq.frozen,created_at.gt.2025-07-01)')
+      .order('created_at', { ascending: false })
+      .range(20, 29);
+
+    expect(error).toBeNull();
+    expect(data).toEqual([{ id: 'w1' }]);
+
+    const [{ text, params }] = pool.statements;
+    expect(text).toBe(
+      'SELECT row_to_json(_r) AS row FROM (SELECT t0."id" AS "id", t0."status" AS "status" FROM "wallets" t0 ' +
+      'WHERE t0."user_id" = $1 AND (t0."status" = $2 OR (t0."status" = $3 AND t0."created_at" > $4)) ' +
+      'ORDER BY t0."created_at" DESC NULLS FIRST LIMIT 10 OFFSET 20) _r'
+    );
+    expect(params).toEqual(['u1', 'active', 'frozen', '2025-07-01']);
+  });
+
+  it('should embed through foreign keys and filter parents for !inner', async () => {
+    await db.from('wallets').select('id, users!inner(email)').eq('users.status', 'active');
+
+    const [{ text, params }] = pool.statements;
+    const embed = '(SELECT row_to_json(_r) FROM (SELECT t1."email" AS "email" FROM "users" t1 WHERE t1."id" = t0."user_id" AND t1."status" = $1 LIMIT 1) _r)';
+    expect(text).toContain(`${embed} AS "users"`);
+    expect(text).toContain(`WHERE ${embed} IS NOT NULL`);
+    expect(params).toEqual(['active']);
+
+    const { count } = await db
+      .from('users')
+      .select('id, user_profiles(first_name)', { count: 'exact', head: true })
+      .not('user_profiles', 'is', null);
+    expect(count).toBe(4);
+    expect(pool.statements[1].text).toContain('json_array_length(COALESCE((SELECT json_agg(_r)');
+  });
+
+  it('should upsert with ON CONFLICT and store objects as JSON', async () => {
+    await db
+      .from('wallets')
+      .upsert({ user_id: 'u1', metadata: { label: 'main' } }, { onConflict: 'user_id' })
+      .select();
+
+    const [{ text, params }] = pool.statements;
+    expect(text).toContain('INSERT INTO "wallets" ("user_id", "metadata") VALUES ($1, $2) ON CONFLICT ("user_id") DO UPDATE SET');
+    expect(params).toEqual(['u1', '{"label":"main"}']);
+  });
+
+  it('should reject unknown columns and identifiers before running anything', async () => {
+    const unknownColumn = await db.from('wallets').insert({ balance: 1 });
+    expect(unknownColumn.error.code).toBe('PGRST204');
+
+    const injected = await db.from('wallets').select('id').eq('status"; DROP TABLE users; --', 'x');
+    expect(injected.error.code).toBe('PGRST100');
+    expect(pool.statements).toHaveLength(0);
+  });
+
+  it('should call SQL functions with named arguments', async () => {
+    const { data } = await db.rpc('get_user_transaction_stats', { p_user_id: 'u1' });
+    expect(data).toEqual({ sent: 2 });
+    expect(pool.statements[0]).toEqual({
+      text: 'SELECT to_json(_v.value) AS value FROM "get_user_transaction_stats"("p_user_id" => $1) AS _v(value)',
+      params: ['u1']
+    });
+
+    const { data: rows } = await db.rpc('get_contact_by_id', { p_contact_id: 'c1' });
+    expect(rows).toEqual([{ id: 'w1' }]);
+
+    const missing = await db.rpc('nope');
+    expect(missing.error.code).toBe('PGRST202');
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import idempotency, { REPLAYED_HEADER } from '../../../middleware/idempotency.js';
+import { MemoryIdempotencyStore, RedisIdempotencyStore } from '../../../services/idempotencyStore.js';
+
+// Redis is never reachable here, so Redis stores run on their fallback
+vi.mock('redis', () => ({
+  default: {
+    createClient: () => ({
+      on: () => {},
+      connect: () => Promise.reject(new Error('connect ECONNREFUSED'))
+    })
+  }
+}));
+
+const USER_ID = '44444444-4444-4444-8444-444444444444';
+
+describe('🔁 Idempotency Middleware', () => {
+  let app;
+  let store;
+  let executions;
+
+  beforeEach(() => {
+    store = new MemoryIdempotencyStore();
+    executions = 0;
+
+    app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: req.get('X-Test-User') || USER_ID };
+      next();
+    });
+
+    app.post('/transfers', idempotency('test:transfers', { store, ttlMs: 60000 }), (req, res) => {
+      executions++;
+      if (req.body.fail) {
+        return res.status(500).json({ status: 'error', execution: executions });
+      }
+      return res.status(201).json({ status: 'success', execution: executions, amount: req.body.amount });
+    });
+  });
+
+  it('should run normally without an Idempotency-Key header', async () => {
+    await request(app).post('/transfers').send({ amount: 10 });
+    await request(app).post('/transfers').send({ amount: 10 });
+
+    expect(executions).toBe(2);
+  });
+
+  it('should replay the first response for a retried key', async () => {
+    const first = await request(app).post('/transfers').set('Idempotency-Key', 'key-1').send({ amount: 10 });
+    const retry = await request(app).post('/transfers').set('Idempotency-Key', 'key-1').send({ amount: 10 });
+
+    expect(executions).toBe(1);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers[REPLAYED_HEADER.toLowerCase()]).toBe('true');
+  });
+
+  it('should treat bodies with reordered keys as the same request', async () => {
+    await request(app).post('/transfers').set('Idempotency-Key', 'key-2').send({ amount: 10, note: 'rent' });
+    const retry = await request(app).post('/transfers').set('Idempotency-Key', 'key-2').send({ note: 'rent', amount: 10 });
+
+    expect(retry.status).toBe(201);
+    expect(executions).toBe(1);
+  });
+
+  it('should return 409 when a key is reused with a different body', async () => {
+    await request(app).post('/transfers').set('Idempotency-Key', 'key-3').send({ amount: 10 });
+    const reused = await request(app).post('/transfers').set('Idempotency-Key', 'key-3').send({ amount: 20 });
+
+    expect(reused.status).toBe(409);
+    expect(reused.body.errorCode).toBe('IDEMPOTENCY_KEY_REUSED');
+    expect(executions).toBe(1);
+  });
+
+  it('should scope keys per user', async () => {
+    await request(app).post('/transfers').set('Idempotency-Key', 'key-4').send({ amount: 10 });
+    await request(app)
+      .post('/transfers')
+      .set('Idempotency-Key', 'key-4')
+      .set('X-Test-User', '55555555-5555-4555-8555-555555555555')
+      .send({ amount: 10 });
+
+    expect(executions).toBe(2);
+  });
+
+  it('should allow a retry after a server error', async () => {
+    await request(app).post('/transfers').set('Idempotency-Key', 'key-5').send({ fail: true });
+    const retry = await request(app).post('/transfers').set('Idempotency-Key', 'key-5').send({ fail: true });
+
+    expect(retry.status).toBe(500);
+    expect(executions).toBe(2);
+  });
+
+  it('should reject malformed keys', async () => {
+    const response = await request(app).post('/transfers').set('Idempotency-Key', 'x'.repeat(256)).send({ amount: 10 });
+
+    expect(response.status).toBe(400);
+    expect(executions).toBe(0);
+  });
+
+  it('should expire keys after the configured window', async () => {
+    const shortApp = express();
+    shortApp.use(express.json());
+    shortApp.use((req, res, next) => {
+      req.user = { id: USER_ID };
+      next();
+    });
+    shortApp.post('/transfers', idempotency('test:short', { store, ttlMs: 20 }), (req, res) => {
+      executions++;
+      res.status(201).json({ execution: executions });
+    });
+
+    await request(shortApp).post('/transfers').set('Idempotency-Key', 'key-6').send({ amount: 10 });
+    await new Promise(resolve => setTimeout(resolve, 30));
+    await request(shortApp).post('/transfers').set('Idempotency-Key', 'key-6').send({ amount: 10 });
+
+    expect(executions).toBe(2);
+  });
+
+  describe('while Redis is unavailable', () => {
+    it('should fall back to the shared idempotency_keys table', () => {
+      expect(new RedisIdempotencyStore('redis://localhost:6379').fallback.type).toBe('supabase');
+    });
+
+    it('should replay a retry that lands on another instance', async () => {
+      // Stands in for the idempotency_keys table both instances share
+      const shared = new MemoryIdempotencyStore();
+      const instance = () => {
+        const instanceApp = express();
+        instanceApp.use(express.json());
+        instanceApp.use((req, res, next) => {
+          req.user = { id: USER_ID };
+          next();
+        });
+        instanceApp.post('/transfers', idempotency('test:instances', {
+          store: new RedisIdempotencyStore('redis://localhost:6379', { fallback: shared }),
+          ttlMs: 60000
+        }), (req, res) => {
+          executions++;
+          res.status(201).json({ execution: executions });
+        });
+        return instanceApp;
+      };
+
+      const first = await request(instance()).post('/transfers').set('Idempotency-Key', 'key-7').send({ amount: 10 });
+      const retry = await request(instance()).post('/transfers').set('Idempotency-Key', 'key-7').send({ amount: 10 });
+
+      expect(executions).toBe(1);
+      expect(retry.headers[REPLAYED_HEADER.toLowerCase()]).toBe('true');
+      expect(retry.body).toEqual(first.body);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import bcrypt from 'bcryptjs';
+
+vi.mock('../../../models/AdminUser.js', () => ({
+  default: {
+    findById: vi.fn(),
+    findByUsernameWithPassword: vi.fn(),
+    findByIdWithPassword: vi.fn(),
+    count: vi.fn(),
+    create: vi.fn(),
+    list: vi.fn(),
+    updateRole: vi.fn(),
+    updatePassword: vi.fn(),
+    setActive: vi.fn(),
+    recordLogin: vi.fn()
+  }
+}));
+
+import AdminUser from '../../../models/AdminUser.js';
+import adminAuthService from '../../../services/adminAuthService.js';
+import { ADMIN_ROLES, ADMIN_PERMISSIONS } from '../../../constants/adminConstants.js';
+
+const SUPER_ADMIN_ID = '11111111-1111-4111-8111-111111111111';
+const SUPPORT_ID = '22222222-2222-4222-8222-222222222222';
+
+const buildAdmin = (overrides = {}) => ({
+  id: SUPPORT_ID,
+  username: 'support.agent',
+  email: 'support@7awel.com',
+  role: ADMIN_ROLES.SUPPORT,
+  is_active: true,
+  last_login_at: null,
+  created_at: new Date().toISOString(),
+  ...overrides
+});
+
+describe('🛡️ Admin Auth Service', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    adminAuthService.bootstrapChecked = true;
+  });
+
+  describe('hasPermission', () => {
+    it('should grant permissions from the role mapping', () => {
+      expect(adminAuthService.hasPermission({ role: ADMIN_ROLES.SUPER_ADMIN }, ADMIN_PERMISSIONS.MANAGE_ADMINS)).toBe(true);
+      expect(adminAuthService.hasPermission({ role: ADMIN_ROLES.SUPPORT }, ADMIN_PERMISSIONS.WRITE)).toBe(true);
+      expect(adminAuthService.hasPermission({ role: ADMIN_ROLES.SUPPORT }, ADMIN_PERMISSIONS.DELETE)).toBe(false);
+      expect(adminAuthService.hasPermission({ role: ADMIN_ROLES.VIEWER }, ADMIN_PERMISSIONS.WRITE)).toBe(false);
+    });
+
+    it('should ignore permissions not backed by the role', () => {
+      const admin = { role: ADMIN_ROLES.VIEWER, permissions: [ADMIN_PERMISSIONS.ADMIN] };
+      expect(adminAuthService.hasPermission(admin, ADMIN_PERMISSIONS.ADMIN)).toBe(false);
+    });
+
+    it('should deny unknown roles', () => {
+      expect(adminAuthService.hasPermission({ role: 'owner' }, ADMIN_PERMISSIONS.READ)).toBe(false);
+      expect(adminAuthService.hasPermission(null, ADMIN_PERMISSIONS.READ)).toBe(false);
+    });
+  });
+
+  describe('login', () => {
+    it('should reject disabled admins', async () => {
+      const passwordHash = await bcrypt.hash('correct-horse', 4);
+      AdminUser.findByUsernameWithPassword.mockResolvedValue(buildAdmin({
+        password_hash: passwordHash,
+        is_active: false
+      }));
+
+      await expect(adminAuthService.login('support.agent', 'correct-horse')).rejects.toThrow('Invalid credentials');
+    });
+
+    it('should issue a token with role-derived permissions', async () => {
+      const passwordHash = await bcrypt.hash('correct-horse', 4);
+      AdminUser.findByUsernameWithPassword.mockResolvedValue(buildAdmin({ password_hash: passwordHash }));
+      AdminUser.findById.mockResolvedValue(buildAdmin());
+
+      const result = await adminAuthService.login('support.agent', 'correct-horse');
+
+      expect(result.admin.permissions).toEqual([ADMIN_PERMISSIONS.READ, ADMIN_PERMISSIONS.WRITE]);
+      expect(AdminUser.recordLogin).toHaveBeenCalledWith(SUPPORT_ID);
+
+      const validation = await adminAuthService.validateToken(result.token);
+      expect(validation.valid).toBe(true);
+      expect(validation.admin.role).toBe(ADMIN_ROLES.SUPPORT);
+    });
+
+    it('should invalidate tokens once the admin is disabled', async () => {
+      const passwordHash = await bcrypt.hash('correct-horse', 4);
+      AdminUser.findByUsernameWithPassword.mockResolvedValue(buildAdmin({ password_hash: passwordHash }));
+      const { token } = await adminAuthService.login('support.agent', 'correct-horse');
+
+      AdminUser.findById.mockResolvedValue(buildAdmin({ is_active: false }));
+
+      const validation = await adminAuthService.validateToken(token);
+      expect(validation.valid).toBe(false);
+    });
+  });
+
+  describe('admin management', () => {
+    it('should not allow changing your own role', async () => {
+      await expect(
+        adminAuthService.updateAdminRole(SUPER_ADMIN_ID, SUPER_ADMIN_ID, ADMIN_ROLES.VIEWER)
+      ).rejects.toThrow('You cannot change your own role');
+    });
+
+    it('should keep at least one active super admin', async () => {
+      AdminUser.findById.mockResolvedValue(buildAdmin({ id: SUPER_ADMIN_ID, role: ADMIN_ROLES.SUPER_ADMIN }));
+      AdminUser.count.mockResolvedValue(1);
+
+      await expect(
+        adminAuthService.setAdminActive(SUPPORT_ID, SUPER_ADMIN_ID, false)
+      ).rejects.toThrow('At least one active super admin is required');
+      expect(AdminUser.setActive).not.toHaveBeenCalled();
+    });
+
+    it('should deactivate an admin', async () => {
+      AdminUser.findById.mockResolvedValue(buildAdmin());
+      AdminUser.setActive.mockResolvedValue(buildAdmin({ is_active: false }));
+
+      const result = await adminAuthService.setAdminActive(SUPER_ADMIN_ID, SUPPORT_ID, false);
+
+      expect(AdminUser.setActive).toHaveBeenCalledWith(SUPPORT_ID, false);
+      expect(result.isActive).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  MemorySessionStore,
+  createSessionStore,
+  SESSION_NAMESPACES
+} from '../../../services/authSessionStore.js';
+
+describe('🔑 Auth Session Store', () => {
+
+  describe('MemorySessionStore', () => {
+    let store;
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+      store = new MemorySessionStore();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should store and return sessions per namespace', async () => {
+      await store.set(SESSION_NAMESPACES.SEQUENTIAL_AUTH, 'seq_auth_1', { step: 'phone_verification' }, 60000);
+
+      expect(await store.get(SESSION_NAMESPACES.SEQUENTIAL_AUTH, 'seq_auth_1')).toEqual({ step: 'phone_verification' });
+      expect(await store.get(SESSION_NAMESPACES.PHONE_CHANGE, 'seq_auth_1')).toBeNull();
+    });
+
+    it('should return copies so changes require an explicit set', async () => {
+      await store.set(SESSION_NAMESPACES.SEQUENTIAL_AUTH, 'seq_auth_1', { phoneAttempts: 0 }, 60000);
+
+      const session = await store.get(SESSION_NAMESPACES.SEQUENTIAL_AUTH, 'seq_auth_1');
+      session.phoneAttempts++;
+
+      expect((await store.get(SESSION_NAMESPACES.SEQUENTIAL_AUTH, 'seq_auth_1')).phoneAttempts).toBe(0);
+    });
+
+    it('should expire sessions after their TTL', async () => {
+      await store.set(SESSION_NAMESPACES.PHONE_CHANGE, 'phone_change_1', { step: 'verify_current_phone' }, 1000);
+
+      vi.advanceTimersByTime(1001);
+
+      expect(await store.get(SESSION_NAMESPACES.PHONE_CHANGE, 'phone_change_1')).toBeNull();
+    });
+
+    it('should delete sessions', async () => {
+      await store.set(SESSION_NAMESPACES.SEQUENTIAL_AUTH, 'seq_auth_1', { step: 'email_input' }, 60000);
+      await store.delete(SESSION_NAMESPACES.SEQUENTIAL_AUTH, 'seq_auth_1');
+
+      expect(await store.get(SESSION_NAMESPACES.SEQUENTIAL_AUTH, 'seq_auth_1')).toBeNull();
+    });
+
+    it('should count rate limit hits within a window and reset afterwards', async () => {
+      await store.increment(SESSION_NAMESPACES.RATE_LIMIT, '+1234567890', 5000);
+      const second = await store.increment(SESSION_NAMESPACES.RATE_LIMIT, '+1234567890', 5000);
+
+      expect(second.count).toBe(2);
+      expect((await store.getCounter(SESSION_NAMESPACES.RATE_LIMIT, '+1234567890')).count).toBe(2);
+
+      vi.advanceTimersByTime(5001);
+
+      const afterWindow = await store.increment(SESSION_NAMESPACES.RATE_LIMIT, '+1234567890', 5000);
+      expect(afterWindow.count).toBe(1);
+    });
+
+    it('should remove expired entries on cleanup', async () => {
+      await store.set(SESSION_NAMESPACES.SEQUENTIAL_AUTH, 'short', { step: 'x' }, 1000);
+      await store.set(SESSION_NAMESPACES.SEQUENTIAL_AUTH, 'long', { step: 'y' }, 60000);
+
+      vi.advanceTimersByTime(1001);
+
+      expect(await store.cleanup()).toBe(1);
+      expect(await store.entries(SESSION_NAMESPACES.SEQUENTIAL_AUTH)).toEqual([['long', { step: 'y' }]]);
+    });
+  });
+
+  describe('createSessionStore', () => {
+    const originalEnv = { ...process.env };
+
+    afterEach(() => {
+      process.env = { ...originalEnv };
+    });
+
+    it('should use the memory store when Redis is not configured', () => {
+      delete process.env.REDIS_URL;
+      delete process.env.AUTH_SESSION_STORE;
+
+      expect(createSessionStore().type).toBe('memory');
+    });
+
+    it('should fall back to memory when redis is requested without REDIS_URL', () => {
+      delete process.env.REDIS_URL;
+      process.env.AUTH_SESSION_STORE = 'redis';
+
+      expect(createSessionStore().type).toBe('memory');
+    });
+  });
+});
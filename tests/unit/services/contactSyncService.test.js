@@ -0,0 +1,138 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { database } from '../../../database/index.js';
+import ContactSyncService from '../../../services/contactSyncService.js';
+import ContactsWithAccounts from '../../../models/ContactsWithAccounts.js';
+import ContactSyncStatus from '../../../models/ContactSyncStatus.js';
+import { ERROR_MESSAGES, SYNC_LIMITS } from '../../../constants/contactConstants.js';
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const HASH_A = 'a'.repeat(64);
+const HASH_B = 'b'.repeat(64);
+const LAST_ISSUED_AT = '2025-07-01T10:00:00.000Z';
+
+const storedStatus = {
+  user_id: USER_ID,
+  sync_token: 'current-token',
+  sync_token_issued_at: LAST_ISSUED_AT,
+  synced_contacts_count: 10
+};
+
+describe('📇 Contact Sync Service', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should issue a sync token after a full sync', async () => {
+    vi.spyOn(ContactsWithAccounts, 'syncContacts').mockResolvedValue({ total_processed: 2, matched_contacts: 1, sync_completed: true });
+    const saveSpy = vi.spyOn(ContactSyncStatus, 'saveSyncToken').mockResolvedValue({});
+
+    const result = await ContactSyncService.fullSync(USER_ID, [HASH_A, HASH_B], 2);
+
+    expect(result.sync_mode).toBe('full');
+    expect(result.sync_token).toEqual(expect.any(String));
+    expect(saveSpy).toHaveBeenCalledWith(
+      USER_ID,
+      result.sync_token,
+      expect.any(String),
+      { device_contacts_count: 2, synced_contacts_count: 2 }
+    );
+  });
+
+  it('should apply removals and additions and return contacts matched since the last token', async () => {
+    vi.spyOn(ContactSyncStatus, 'findByUserId').mockResolvedValue(storedStatus);
+    const removeSpy = vi.spyOn(ContactsWithAccounts, 'removeContacts').mockResolvedValue(1);
+    const addSpy = vi.spyOn(ContactsWithAccounts, 'syncContacts').mockResolvedValue({ total_processed: 1 });
+    const matchedSpy = vi.spyOn(ContactsWithAccounts, 'getMatchedSince').mockResolvedValue([
+      { contact_id: 'c1', phone_hash: HASH_A, linked_user_id: 'u2', matched_at: '2025-07-02T00:00:00.000Z' }
+    ]);
+    const rotateSpy = vi.spyOn(ContactSyncStatus, 'rotateSyncToken').mockResolvedValue({});
+
+    const result = await ContactSyncService.deltaSync(USER_ID, {
+      syncToken: 'current-token',
+      addedHashes: [HASH_A],
+      removedHashes: [HASH_B],
+      deviceContactsCount: 10
+    });
+
+    expect(removeSpy).toHaveBeenCalledWith(USER_ID, [HASH_B], {});
+    expect(addSpy).toHaveBeenCalledWith(USER_ID, [HASH_A], 10, {});
+    expect(matchedSpy).toHaveBeenCalledWith(USER_ID, LAST_ISSUED_AT, { limit: SYNC_LIMITS.MAX_NEWLY_MATCHED_PER_SYNC, afterId: null });
+    expect(rotateSpy).toHaveBeenCalledWith(
+      USER_ID,
+      'current-token',
+      result.sync_token,
+      expect.any(String),
+      { device_contacts_count: 10, synced_contacts_count: 10 },
+      null
+    );
+    expect(result).toMatchObject({
+      sync_mode: 'delta',
+      contacts_added: 1,
+      contacts_removed: 1,
+      has_more_matches: false
+    });
+    expect(result.newly_matched).toHaveLength(1);
+    expect(result.sync_token).not.toBe('current-token');
+  });
+
+  it('should skip model writes when the delta carries no changes', async () => {
+    vi.spyOn(ContactSyncStatus, 'findByUserId').mockResolvedValue(storedStatus);
+    const removeSpy = vi.spyOn(ContactsWithAccounts, 'removeContacts');
+    const addSpy = vi.spyOn(ContactsWithAccounts, 'syncContacts');
+    vi.spyOn(ContactsWithAccounts, 'getMatchedSince').mockResolvedValue([]);
+    vi.spyOn(ContactSyncStatus, 'rotateSyncToken').mockResolvedValue({});
+
+    const result = await ContactSyncService.deltaSync(USER_ID, { syncToken: 'current-token', deviceContactsCount: 10 });
+
+    expect(removeSpy).not.toHaveBeenCalled();
+    expect(addSpy).not.toHaveBeenCalled();
+    expect(result.newly_matched).toEqual([]);
+  });
+
+  it('should reject a stale sync token without touching contacts', async () => {
+    vi.spyOn(ContactSyncStatus, 'findByUserId').mockResolvedValue(storedStatus);
+    const removeSpy = vi.spyOn(ContactsWithAccounts, 'removeContacts');
+
+    await expect(ContactSyncService.deltaSync(USER_ID, {
+      syncToken: 'older-token',
+      removedHashes: [HASH_B],
+      deviceContactsCount: 9
+    })).rejects.toThrow(ERROR_MESSAGES.SYNC.SYNC_TOKEN_INVALID);
+
+    expect(removeSpy).not.toHaveBeenCalled();
+  });
+
+  it('should reject the delta when another device rotated the token first', async () => {
+    vi.spyOn(ContactSyncStatus, 'findByUserId').mockResolvedValue(storedStatus);
+    vi.spyOn(ContactsWithAccounts, 'getMatchedSince').mockResolvedValue([]);
+    vi.spyOn(ContactSyncStatus, 'rotateSyncToken').mockResolvedValue(null);
+
+    await expect(ContactSyncService.deltaSync(USER_ID, { syncToken: 'current-token', deviceContactsCount: 10 }))
+      .rejects.toThrow(ERROR_MESSAGES.SYNC.SYNC_TOKEN_INVALID);
+  });
+
+  it('should not skip contacts matched at the same time as the last one returned', async () => {
+    database.reset();
+    const matchedAt = '2025-07-02T00:00:00.000Z';
+    const total = SYNC_LIMITS.MAX_NEWLY_MATCHED_PER_SYNC + 3;
+    database.seed('contacts_with_accounts', Array.from({ length: total }, (_, i) => ({
+      id: `cccccccc-cccc-4ccc-8ccc-${String(i).padStart(12, '0')}`,
+      owner_id: USER_ID,
+      phone_hash: String(i).padStart(64, '0'),
+      linked_user_id: '22222222-2222-4222-8222-222222222222',
+      matched_at: matchedAt
+    })));
+    database.seed('contact_sync_status', { ...storedStatus, sync_cursor_id: null });
+
+    const first = await ContactSyncService.deltaSync(USER_ID, { syncToken: 'current-token', deviceContactsCount: total });
+    expect(first.has_more_matches).toBe(true);
+    expect(first.newly_matched).toHaveLength(SYNC_LIMITS.MAX_NEWLY_MATCHED_PER_SYNC);
+
+    const second = await ContactSyncService.deltaSync(USER_ID, { syncToken: first.sync_token, deviceContactsCount: total });
+    expect(second.has_more_matches).toBe(false);
+    expect(second.newly_matched).toHaveLength(3);
+
+    const returned = new Set([...first.newly_matched, ...second.newly_matched].map(contact => contact.contact_id));
+    expect(returned.size).toBe(total);
+  });
+});
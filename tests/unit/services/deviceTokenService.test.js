@@ -0,0 +1,143 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import DeviceTokenService from '../../../services/deviceTokenService.js';
+import notificationService from '../../../services/notificationService.js';
+import firebaseService from '../../../services/firebaseService.js';
+import notificationController from '../../../controllers/notificationController.js';
+import DeviceToken from '../../../models/DeviceToken.js';
+import { DEVICE_TOKENS, DEVICE_TOKEN_ERRORS } from '../../../constants/notificationConstants.js';
+
+const USER_ID = '44444444-4444-4444-8444-444444444444';
+
+const fcmError = (code) => Object.assign(new Error(code), { code });
+
+const buildRow = (index, overrides = {}) => ({
+  id: `row-${index}`,
+  user_id: USER_ID,
+  token: `token-${index}`,
+  platform: 'android',
+  app_version: '1.2.0',
+  device_id: `device-${index}`,
+  last_seen_at: new Date(Date.now() - index * 1000).toISOString(),
+  created_at: new Date().toISOString(),
+  ...overrides
+});
+
+describe('📲 Device Token Service', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should reject tokens FCM does not accept', async () => {
+    vi.spyOn(firebaseService, 'isInitialized').mockReturnValue(true);
+    vi.spyOn(firebaseService, 'validateToken').mockResolvedValue(false);
+    const upsertSpy = vi.spyOn(DeviceToken, 'upsert');
+
+    await expect(DeviceTokenService.register(USER_ID, { token: 'bad', platform: 'ios' }))
+      .rejects.toThrow(DEVICE_TOKEN_ERRORS.INVALID);
+    expect(upsertSpy).not.toHaveBeenCalled();
+  });
+
+  it('should register with platform and app version and keep only the newest tokens', async () => {
+    vi.spyOn(firebaseService, 'isInitialized').mockReturnValue(false);
+    const upsertSpy = vi.spyOn(DeviceToken, 'upsert').mockImplementation(async (data) => buildRow(0, data));
+    const rows = Array.from({ length: DEVICE_TOKENS.MAX_PER_USER + 2 }, (_, index) => buildRow(index));
+    vi.spyOn(DeviceToken, 'listByUser').mockResolvedValue(rows);
+    const deleteSpy = vi.spyOn(DeviceToken, 'deleteByIds').mockResolvedValue();
+
+    const registered = await DeviceTokenService.register(USER_ID, {
+      token: 'token-0',
+      platform: 'ios',
+      appVersion: '2.0.1',
+      deviceId: 'device-0'
+    });
+
+    expect(upsertSpy).toHaveBeenCalledWith({
+      user_id: USER_ID,
+      token: 'token-0',
+      platform: 'ios',
+      app_version: '2.0.1',
+      device_id: 'device-0'
+    });
+    expect(registered).toMatchObject({ platform: 'ios', appVersion: '2.0.1', deviceId: 'device-0' });
+    expect(registered.token).toBeUndefined();
+    expect(deleteSpy).toHaveBeenCalledWith(['row-10', 'row-11']);
+  });
+
+  it('should prune only tokens FCM reports as unregistered or invalid', async () => {
+    const deleteSpy = vi.spyOn(DeviceToken, 'deleteTokens').mockResolvedValue(2);
+
+    const pruned = await DeviceTokenService.pruneFromResponse(['a', 'b', 'c', 'd'], {
+      failureCount: 3,
+      responses: [
+        { success: true },
+        { success: false, error: fcmError('messaging/registration-token-not-registered') },
+        { success: false, error: fcmError('messaging/internal-error') },
+        { success: false, error: fcmError('messaging/invalid-registration-token') }
+      ]
+    });
+
+    expect(pruned).toEqual(['b', 'd']);
+    expect(deleteSpy).toHaveBeenCalledWith(['b', 'd']);
+  });
+
+  it('should prune rejected tokens after a multicast send', async () => {
+    vi.spyOn(firebaseService, 'sendMulticastNotification').mockResolvedValue({
+      failureCount: 1,
+      responses: [{ success: true }, { success: false, error: fcmError('messaging/registration-token-not-registered') }]
+    });
+    const deleteSpy = vi.spyOn(DeviceToken, 'deleteTokens').mockResolvedValue(1);
+
+    await notificationService.sendMulticastAndPrune(['live', 'stale'], { notification: { title: 'Hi', body: 'There' } });
+
+    expect(deleteSpy).toHaveBeenCalledWith(['stale']);
+  });
+
+  it('should prune a token rejected by a single transaction push', async () => {
+    vi.spyOn(DeviceToken, 'listByUser').mockResolvedValue([buildRow(1), buildRow(2)]);
+    vi.spyOn(firebaseService, 'sendTransactionSuccessNotification').mockImplementation(async (token) => {
+      if (token === 'token-2') {
+        throw fcmError('messaging/registration-token-not-registered');
+      }
+      return 'ok';
+    });
+    const deleteSpy = vi.spyOn(DeviceToken, 'deleteTokens').mockResolvedValue(1);
+
+    await notificationService.sendPushNotification(USER_ID, {
+      transactionId: 'tx-1',
+      type: 'transfer',
+      amount: 5,
+      assetSymbol: 'USDT'
+    }, 'success');
+
+    expect(deleteSpy).toHaveBeenCalledWith(['token-2']);
+  });
+
+  describe('device token endpoints', () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: USER_ID };
+      next();
+    });
+    app.post('/device-tokens', notificationController.registerDeviceToken);
+    app.delete('/device-tokens', notificationController.unregisterDeviceToken);
+
+    it('should require a known platform', async () => {
+      const response = await request(app).post('/device-tokens').send({ token: 'abc', platform: 'symbian' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.errorCode).toBe('VALIDATION_ERROR');
+    });
+
+    it('should return 404 when unregistering a token the user does not own', async () => {
+      vi.spyOn(DeviceToken, 'deleteForUser').mockResolvedValue(false);
+
+      const response = await request(app).delete('/device-tokens').send({ token: 'someone-elses' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.errorCode).toBe('DEVICE_TOKEN_NOT_FOUND');
+    });
+  });
+});
@@ -0,0 +1,169 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import DeviceTrustService from '../../../services/deviceTrustService.js';
+import TransactionPinService from '../../../services/transactionPinService.js';
+import notificationService from '../../../services/notificationService.js';
+import ActivityLogger from '../../../services/activityLogger.js';
+import UserDevice from '../../../models/UserDevice.js';
+import UserSession from '../../../models/UserSession.js';
+import { requireTrustedDeviceForHighValue, requireTrustedDeviceForAmount } from '../../../middleware/deviceTrust.js';
+import { DEVICE_TRUST, DEVICE_TRUST_ERRORS } from '../../../constants/securityConstants.js';
+import { NOTIFICATION_TYPES } from '../../../constants/notificationConstants.js';
+
+const USER_ID = 'aaaaaaaa-aaaa-4aaa-8aaa-aaaaaaaaaaaa';
+const DEVICE_ROW_ID = 'bbbbbbbb-bbbb-4bbb-8bbb-bbbbbbbbbbbb';
+const HOUR = 60 * 60 * 1000;
+
+const buildDevice = (overrides = {}) => ({
+  id: DEVICE_ROW_ID,
+  user_id: USER_ID,
+  device_id: 'device-new',
+  device_name: 'Pixel 8',
+  trusted: false,
+  trust_updated_at: null,
+  first_seen_at: new Date().toISOString(),
+  last_seen_at: new Date().toISOString(),
+  ...overrides
+});
+
+const buildSession = (overrides = {}) => new UserSession({
+  id: 'session-1',
+  user_id: USER_ID,
+  session_token: 'token-a',
+  device_id: 'device-new',
+  is_active: true,
+  created_at: new Date().toISOString(),
+  expires_at: new Date(Date.now() + HOUR).toISOString(),
+  ...overrides
+});
+
+describe('🛡️ Device Trust Service', () => {
+  let alertSpy;
+
+  beforeEach(() => {
+    alertSpy = vi.spyOn(notificationService, 'sendSecurityAlert').mockResolvedValue();
+    vi.spyOn(ActivityLogger, 'logSecurity').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should trust the first device of an account without alerting', async () => {
+    vi.spyOn(UserDevice, 'findByDeviceId').mockResolvedValue(null);
+    vi.spyOn(UserDevice, 'countByUser').mockResolvedValue(0);
+    const createSpy = vi.spyOn(UserDevice, 'create').mockImplementation(async (data) => buildDevice(data));
+
+    const result = await DeviceTrustService.recordLogin({ userId: USER_ID, deviceId: 'device-1', deviceName: 'iPhone' });
+
+    expect(result.isNew).toBe(true);
+    expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({ device_id: 'device-1', trusted: true }));
+    expect(alertSpy).not.toHaveBeenCalled();
+  });
+
+  it('should alert on a new device and leave it untrusted', async () => {
+    vi.spyOn(UserDevice, 'findByDeviceId').mockResolvedValue(null);
+    vi.spyOn(UserDevice, 'countByUser').mockResolvedValue(2);
+    vi.spyOn(UserDevice, 'create').mockImplementation(async (data) => buildDevice(data));
+
+    const result = await DeviceTrustService.recordLogin({ userId: USER_ID, deviceId: 'device-new', deviceName: 'Pixel 8' });
+
+    expect(result.device.trusted).toBe(false);
+    expect(alertSpy).toHaveBeenCalledWith(USER_ID, expect.objectContaining({
+      type: NOTIFICATION_TYPES.NEW_DEVICE_LOGIN,
+      variables: { deviceName: 'Pixel 8' },
+      data: { alert: 'new_device_login', deviceId: DEVICE_ROW_ID }
+    }));
+  });
+
+  it('should only refresh known devices', async () => {
+    vi.spyOn(UserDevice, 'findByDeviceId').mockResolvedValue(buildDevice({ trusted: true }));
+    const updateSpy = vi.spyOn(UserDevice, 'update').mockImplementation(async (id, updates) => buildDevice(updates));
+    const createSpy = vi.spyOn(UserDevice, 'create');
+
+    const result = await DeviceTrustService.recordLogin({ userId: USER_ID, deviceId: 'device-new', ipAddress: '10.0.0.3' });
+
+    expect(result.isNew).toBe(false);
+    expect(updateSpy).toHaveBeenCalledWith(DEVICE_ROW_ID, expect.objectContaining({ last_ip_address: '10.0.0.3' }));
+    expect(createSpy).not.toHaveBeenCalled();
+    expect(alertSpy).not.toHaveBeenCalled();
+  });
+
+  it('should restrict untrusted devices for the first 24 hours only', () => {
+    const now = new Date();
+    const hoursAgo = (hours) => new Date(now.getTime() - hours * HOUR).toISOString();
+
+    expect(DeviceTrustService.isRestricted(buildDevice({ first_seen_at: hoursAgo(1) }), now)).toBe(true);
+    expect(DeviceTrustService.isRestricted(buildDevice({ first_seen_at: hoursAgo(25) }), now)).toBe(false);
+    expect(DeviceTrustService.isRestricted(buildDevice({ first_seen_at: hoursAgo(1), trusted: true }), now)).toBe(false);
+    // Marking an old device untrusted starts a new window
+    expect(DeviceTrustService.isRestricted(buildDevice({ first_seen_at: hoursAgo(100), trust_updated_at: hoursAgo(2) }), now)).toBe(true);
+  });
+
+  it('should judge sessions without a device ID by their age', async () => {
+    const findSpy = vi.spyOn(UserSession, 'findByToken');
+
+    findSpy.mockResolvedValue(buildSession({ device_id: null }));
+    expect(await DeviceTrustService.isSessionRestricted(USER_ID, 'token-a')).toBe(true);
+
+    findSpy.mockResolvedValue(buildSession({ device_id: null, created_at: new Date(Date.now() - 30 * HOUR).toISOString() }));
+    expect(await DeviceTrustService.isSessionRestricted(USER_ID, 'token-a')).toBe(false);
+  });
+
+  it('should not let a restricted device change trust', async () => {
+    vi.spyOn(UserSession, 'findByToken').mockResolvedValue(buildSession());
+    vi.spyOn(UserDevice, 'findByDeviceId').mockResolvedValue(buildDevice());
+    const updateSpy = vi.spyOn(UserDevice, 'update');
+
+    await expect(DeviceTrustService.setTrust(USER_ID, DEVICE_ROW_ID, true, 'token-a'))
+      .rejects.toThrow(DEVICE_TRUST_ERRORS.TRUSTED_DEVICE_REQUIRED);
+    expect(updateSpy).not.toHaveBeenCalled();
+  });
+
+  describe('requireTrustedDeviceForHighValue', () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: USER_ID };
+      req.sessionToken = 'token-a';
+      next();
+    });
+    app.post('/send', requireTrustedDeviceForHighValue, (req, res) => res.status(201).json({ sent: true }));
+    // Like paying a payment request: the amount is looked up, not sent in the body
+    const amounts = { small: DEVICE_TRUST.HIGH_VALUE_AMOUNT - 1, large: DEVICE_TRUST.HIGH_VALUE_AMOUNT };
+    app.post('/pay/:id', requireTrustedDeviceForAmount(async (req) => amounts[req.params.id] ?? null),
+      (req, res) => res.status(201).json({ sent: true }));
+
+    beforeEach(() => {
+      vi.spyOn(DeviceTrustService, 'isSessionRestricted').mockResolvedValue(true);
+      vi.spyOn(TransactionPinService, 'getStatus').mockResolvedValue({ isSet: true });
+    });
+
+    it('should let small amounts through', async () => {
+      const response = await request(app).post('/send').send({ amount: DEVICE_TRUST.HIGH_VALUE_AMOUNT - 1 });
+
+      expect(response.status).toBe(201);
+    });
+
+    it('should require a fresh PIN verification for high-value sends from a new device', async () => {
+      const verifiedSpy = vi.spyOn(TransactionPinService, 'isSessionVerified').mockResolvedValue(false);
+
+      const blocked = await request(app).post('/send').send({ amount: DEVICE_TRUST.HIGH_VALUE_AMOUNT });
+      expect(blocked.status).toBe(403);
+      expect(blocked.body.errorCode).toBe('DEVICE_VERIFICATION_REQUIRED');
+
+      verifiedSpy.mockResolvedValue(true);
+      const allowed = await request(app).post('/send').send({ amount: DEVICE_TRUST.HIGH_VALUE_AMOUNT });
+      expect(allowed.status).toBe(201);
+    });
+
+    it('should check amounts that are looked up rather than sent', async () => {
+      vi.spyOn(TransactionPinService, 'isSessionVerified').mockResolvedValue(false);
+
+      expect((await request(app).post('/pay/large').send({ amount: 1 })).status).toBe(403);
+      expect((await request(app).post('/pay/small').send({ amount: DEVICE_TRUST.HIGH_VALUE_AMOUNT })).status).toBe(201);
+      expect((await request(app).post('/pay/unknown')).status).toBe(201);
+    });
+  });
+});
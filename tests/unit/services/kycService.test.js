@@ -0,0 +1,193 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import KycService from '../../../services/kycService.js';
+import SpendingLimitService from '../../../services/spendingLimitService.js';
+import notificationService from '../../../services/notificationService.js';
+import kycController from '../../../controllers/kycController.js';
+import User from '../../../models/User.js';
+import KycSubmission from '../../../models/KycSubmission.js';
+import KycDocument from '../../../models/KycDocument.js';
+import KycLevelHistory from '../../../models/KycLevelHistory.js';
+import UserSettings from '../../../models/UserSettings.js';
+import { KYC_ERRORS, KYC_SUBMISSION_STATUS } from '../../../constants/kycConstants.js';
+import { NOTIFICATION_TYPES } from '../../../constants/notificationConstants.js';
+
+const USER_ID = '55555555-5555-4555-8555-555555555555';
+const ADMIN_ID = '66666666-6666-4666-8666-666666666666';
+const SUBMISSION_ID = '77777777-7777-4777-8777-777777777777';
+
+const IDENTITY = {
+  firstName: 'Sara',
+  lastName: 'Haddad',
+  dateOfBirth: '1990-04-01',
+  nationality: 'jo',
+  idType: 'national_id',
+  idNumber: '9901234567'
+};
+
+const file = (mimetype = 'image/jpeg', size = 1024) => ({ buffer: Buffer.from('x'), mimetype, size });
+
+const pendingSubmission = (overrides = {}) => ({
+  id: SUBMISSION_ID,
+  user_id: USER_ID,
+  requested_level: 'enhanced',
+  status: KYC_SUBMISSION_STATUS.PENDING,
+  rejection_reason: null,
+  ...overrides
+});
+
+describe('🪪 KYC Service', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('submit', () => {
+    beforeEach(() => {
+      vi.spyOn(User, 'findByPk').mockResolvedValue({ id: USER_ID, kyc_level: 'basic' });
+    });
+
+    it('should only accept a higher level with its required documents', async () => {
+      await expect(KycService.submit(USER_ID, { ...IDENTITY, level: 'basic' }, { id_front: file() }))
+        .rejects.toThrow(KYC_ERRORS.LEVEL_NOT_HIGHER);
+
+      await expect(KycService.submit(USER_ID, { ...IDENTITY, level: 'enhanced' }, { id_front: file() }))
+        .rejects.toThrow(`${KYC_ERRORS.MISSING_DOCUMENTS}: selfie`);
+
+      await expect(KycService.submit(USER_ID, { ...IDENTITY, level: 'enhanced' }, {
+        id_front: file(),
+        selfie: file('image/gif')
+      })).rejects.toThrow(KYC_ERRORS.INVALID_DOCUMENT);
+    });
+
+    it('should store documents under the submission and undo it when an upload fails', async () => {
+      vi.spyOn(KycSubmission, 'create').mockResolvedValue(pendingSubmission());
+      const uploadSpy = vi.spyOn(KycService, 'uploadDocument').mockResolvedValue();
+      const createDocumentsSpy = vi.spyOn(KycDocument, 'createMany').mockImplementation(async (rows) => rows);
+
+      const result = await KycService.submit(USER_ID, { ...IDENTITY, level: 'enhanced' }, {
+        id_front: file(),
+        selfie: file('image/png')
+      });
+
+      expect(uploadSpy).toHaveBeenCalledWith(`${USER_ID}/${SUBMISSION_ID}/id_front.jpg`, expect.any(Object));
+      expect(uploadSpy).toHaveBeenCalledWith(`${USER_ID}/${SUBMISSION_ID}/selfie.png`, expect.any(Object));
+      expect(createDocumentsSpy.mock.calls[0][0]).toHaveLength(2);
+      expect(result).toMatchObject({ id: SUBMISSION_ID, status: 'pending', level: 'enhanced' });
+      expect(result.identity).toBeUndefined();
+
+      uploadSpy.mockReset();
+      uploadSpy.mockResolvedValueOnce().mockRejectedValueOnce(new Error('Failed to upload KYC document: timeout'));
+      const removeSpy = vi.spyOn(KycService, 'removeDocuments').mockResolvedValue();
+      const deleteSpy = vi.spyOn(KycSubmission, 'delete').mockResolvedValue();
+
+      await expect(KycService.submit(USER_ID, { ...IDENTITY, level: 'enhanced' }, {
+        id_front: file(),
+        selfie: file()
+      })).rejects.toThrow('timeout');
+
+      expect(removeSpy).toHaveBeenCalledWith([`${USER_ID}/${SUBMISSION_ID}/id_front.jpg`]);
+      expect(deleteSpy).toHaveBeenCalledWith(SUBMISSION_ID);
+    });
+  });
+
+  describe('review', () => {
+    it('should raise the level, record history and notify the user on approval', async () => {
+      vi.spyOn(KycSubmission, 'review').mockResolvedValue(pendingSubmission({ status: KYC_SUBMISSION_STATUS.APPROVED }));
+      vi.spyOn(User, 'findByPk').mockResolvedValue({ id: USER_ID, kyc_level: 'basic' });
+      const updateSpy = vi.spyOn(User.prototype, 'update').mockResolvedValue({});
+      const historySpy = vi.spyOn(KycLevelHistory, 'create').mockResolvedValue({});
+      const notifySpy = vi.spyOn(notificationService, 'sendKycStatusNotification').mockResolvedValue();
+
+      await KycService.approve(SUBMISSION_ID, ADMIN_ID);
+
+      expect(updateSpy).toHaveBeenCalledWith({ kyc_level: 'enhanced' });
+      expect(historySpy).toHaveBeenCalledWith({
+        user_id: USER_ID,
+        previous_level: 'basic',
+        new_level: 'enhanced',
+        submission_id: SUBMISSION_ID,
+        changed_by: ADMIN_ID
+      });
+      expect(notifySpy).toHaveBeenCalledWith(USER_ID, expect.objectContaining({
+        type: NOTIFICATION_TYPES.KYC_APPROVED,
+        level: 'enhanced'
+      }));
+    });
+
+    it('should refuse to review a submission twice', async () => {
+      vi.spyOn(KycSubmission, 'review').mockResolvedValue(null);
+      vi.spyOn(KycSubmission, 'findById').mockResolvedValue(pendingSubmission({ status: KYC_SUBMISSION_STATUS.REJECTED }));
+
+      await expect(KycService.approve(SUBMISSION_ID, ADMIN_ID)).rejects.toThrow(KYC_ERRORS.NOT_PENDING);
+    });
+  });
+
+  describe('limits', () => {
+    it('should cap single transactions and the daily total by level', async () => {
+      vi.spyOn(User, 'findByPk').mockResolvedValue({ id: USER_ID, kyc_level: 'basic' });
+      const spentSpy = vi.spyOn(SpendingLimitService, 'getSpentBetween').mockResolvedValue({ USDT: 2000, SOL: 5 });
+
+      const tooLarge = KycService.assertWithinLimits(USER_ID, 1500, 'USDT');
+      await expect(tooLarge).rejects.toThrow(KYC_ERRORS.LIMIT_EXCEEDED);
+
+      const error = await KycService.assertWithinLimits(USER_ID, 600, 'USDT').catch(e => e);
+      expect(KycService.isLimitError(error)).toBe(true);
+      expect(error.message).toContain('remaining 500');
+      expect(spentSpy).toHaveBeenCalled();
+
+      await expect(KycService.assertWithinLimits(USER_ID, 400, 'USDT')).resolves.toBeUndefined();
+    });
+
+    it('should not limit fully verified users', async () => {
+      vi.spyOn(User, 'findByPk').mockResolvedValue({ id: USER_ID, kyc_level: 'full' });
+      const spentSpy = vi.spyOn(SpendingLimitService, 'getSpentBetween');
+
+      await expect(KycService.assertWithinLimits(USER_ID, 1000000, 'USDT')).resolves.toBeUndefined();
+      expect(spentSpy).not.toHaveBeenCalled();
+    });
+
+    it('should count the daily limit over the UTC day whatever the user timezone', async () => {
+      vi.spyOn(UserSettings, 'findByUserId').mockResolvedValue({ user_id: USER_ID, timezone: 'Pacific/Kiritimati' });
+      const spentSpy = vi.spyOn(SpendingLimitService, 'getSpentBetween').mockResolvedValue({ USDT: 2000 });
+
+      const usage = await KycService.getDailyUsage(USER_ID, 'usdt', new Date('2025-07-02T23:30:00Z'));
+
+      expect(spentSpy).toHaveBeenCalledWith(
+        USER_ID,
+        new Date('2025-07-02T00:00:00.000Z'),
+        new Date('2025-07-03T00:00:00.000Z')
+      );
+      expect(usage).toEqual({ used: 2000, usedByAsset: { USDT: 2000 }, resetsAt: '2025-07-03T00:00:00.000Z' });
+    });
+  });
+
+  describe('admin endpoints', () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.admin = { id: ADMIN_ID };
+      next();
+    });
+    app.post('/kyc/submissions/:submissionId/reject', kycController.reject);
+
+    it('should require a rejection reason', async () => {
+      const response = await request(app).post(`/kyc/submissions/${SUBMISSION_ID}/reject`).send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.errorCode).toBe('VALIDATION_ERROR');
+    });
+
+    it('should return 409 for a submission that was already reviewed', async () => {
+      vi.spyOn(KycSubmission, 'review').mockResolvedValue(null);
+      vi.spyOn(KycSubmission, 'findById').mockResolvedValue(pendingSubmission({ status: KYC_SUBMISSION_STATUS.APPROVED }));
+
+      const response = await request(app)
+        .post(`/kyc/submissions/${SUBMISSION_ID}/reject`)
+        .send({ reason: 'Document is blurry' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.errorCode).toBe('KYC_SUBMISSION_ALREADY_REVIEWED');
+    });
+  });
+});
@@ -0,0 +1,233 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { database } from '../../../database/index.js';
+import LedgerService from '../../../services/ledgerService.js';
+import TransactionService from '../../../services/transactionService.js';
+import SpendingLimitService from '../../../services/spendingLimitService.js';
+import KycService from '../../../services/kycService.js';
+import webhookService from '../../../services/webhookService.js';
+import transactionController from '../../../controllers/transactionController.js';
+import LedgerPosting from '../../../models/LedgerPosting.js';
+import Wallet from '../../../models/Wallet.js';
+import UserSettings from '../../../models/UserSettings.js';
+import { LEDGER_ERRORS } from '../../../constants/ledgerConstants.js';
+
+const SENDER_ID = '11111111-1111-4111-8111-111111111111';
+const RECIPIENT_ID = '22222222-2222-4222-8222-222222222222';
+const SENDER_WALLET = '33333333-3333-4333-8333-333333333333';
+const RECIPIENT_WALLET = '44444444-4444-4444-8444-444444444444';
+
+const WALLETS = { [SENDER_ID]: SENDER_WALLET, [RECIPIENT_ID]: RECIPIENT_WALLET };
+
+let transactionCount = 0;
+
+const createTransaction = (overrides = {}) => {
+  const transaction = {
+    id: `aaaaaaaa-aaaa-4aaa-8aaa-${String(++transactionCount).padStart(12, '0')}`,
+    sender_id: SENDER_ID,
+    recipient_id: null,
+    type: 'transfer',
+    status: 'pending',
+    amount: 30,
+    asset_symbol: 'USD',
+    metadata: {},
+    ...overrides
+  };
+  database.seed('transactions', transaction);
+  return transaction;
+};
+
+// Save a status change with its posting, as TransactionService does
+const changeStatus = (transaction, status) => LedgerService.applyStatusChange(transaction, status, { status });
+
+const balanceOf = (walletId, assetSymbol = 'USD') => {
+  const row = database.table('asset_balances').find(item => item.wallet_id === walletId && item.asset_symbol === assetSymbol);
+  return row ? { available: row.available, pending: row.pending, total: row.total } : null;
+};
+
+describe('📒 Ledger Service', () => {
+  beforeEach(async () => {
+    database.reset();
+    vi.spyOn(Wallet, 'getPrimaryWallet').mockImplementation(async (userId) =>
+      WALLETS[userId] ? { id: WALLETS[userId], user_id: userId } : null
+    );
+
+    // Opening balance: 100 USD available to the sender
+    await LedgerPosting.post(null, 'opening', [
+      { wallet_id: SENDER_WALLET, account: 'wallet_available', asset_symbol: 'USD', direction: 'credit', amount: 100 },
+      { wallet_id: null, account: 'external', asset_symbol: 'USD', direction: 'debit', amount: 100 }
+    ]);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should hold an outgoing amount and settle it to the recipient', async () => {
+    const transaction = createTransaction({ recipient_id: RECIPIENT_ID });
+
+    await LedgerService.holdFunds(transaction);
+    expect(balanceOf(SENDER_WALLET)).toEqual({ available: 70, pending: 30, total: 100 });
+
+    await changeStatus(transaction, 'completed');
+    expect(balanceOf(SENDER_WALLET)).toEqual({ available: 70, pending: 0, total: 70 });
+    expect(balanceOf(RECIPIENT_WALLET)).toEqual({ available: 30, pending: 0, total: 30 });
+
+    const report = await LedgerService.reconcile();
+    expect(report).toMatchObject({ balanced: true, balancesChecked: 2, postingsChecked: 3, mismatches: [], unbalancedPostings: [] });
+  });
+
+  it('should release a held amount once and refuse to settle it afterwards', async () => {
+    const transaction = createTransaction();
+    await LedgerService.holdFunds(transaction);
+
+    await changeStatus(transaction, 'cancelled');
+    expect(balanceOf(SENDER_WALLET)).toEqual({ available: 100, pending: 0, total: 100 });
+
+    await expect(changeStatus(transaction, 'cancelled')).resolves.toMatchObject({ status: 'cancelled' });
+    await expect(changeStatus(transaction, 'completed')).rejects.toThrow(LEDGER_ERRORS.ALREADY_SETTLED);
+    expect(await LedgerPosting.findByTransaction(transaction.id)).toHaveLength(2);
+  });
+
+  it('should reject an overdraft without writing any entries', async () => {
+    const transaction = createTransaction({ amount: 150 });
+
+    await expect(LedgerService.holdFunds(transaction)).rejects.toThrow(LEDGER_ERRORS.INSUFFICIENT_FUNDS);
+    expect(balanceOf(SENDER_WALLET)).toEqual({ available: 100, pending: 0, total: 100 });
+    expect(database.table('ledger_postings')).toHaveLength(1);
+    expect(database.table('ledger_entries')).toHaveLength(2);
+  });
+
+  it('should refuse a hold that would take the sender over their daily limit', async () => {
+    const { start, end } = SpendingLimitService.getDayWindow('UTC');
+    const limit = { dailyLimit: 50, periodStart: start.toISOString(), resetsAt: end.toISOString() };
+
+    const createdAt = new Date().toISOString();
+
+    await LedgerService.holdFunds(createTransaction({ created_at: createdAt }), limit);
+    await expect(LedgerService.holdFunds(createTransaction({ created_at: createdAt }), limit))
+      .rejects.toThrow('Daily spending limit exceeded: requested 30, remaining 20 of 50');
+
+    expect(balanceOf(SENDER_WALLET)).toEqual({ available: 70, pending: 30, total: 100 });
+    expect(database.table('ledger_postings')).toHaveLength(2);
+  });
+
+  it('should credit completed cash-ins and skip transactions created before the ledger', async () => {
+    const cashIn = createTransaction({ type: 'cash_in', amount: 25 });
+    await changeStatus(cashIn, 'completed');
+    expect(balanceOf(SENDER_WALLET)).toEqual({ available: 125, pending: 0, total: 125 });
+
+    const legacy = createTransaction();
+    await expect(changeStatus(legacy, 'completed')).resolves.toMatchObject({ status: 'completed' });
+    expect(balanceOf(SENDER_WALLET).available).toBe(125);
+    expect(await LedgerPosting.findByTransaction(legacy.id)).toHaveLength(0);
+  });
+
+  it('should post nothing when the status change cannot be saved', async () => {
+    const transaction = createTransaction({ recipient_id: RECIPIENT_ID });
+    await LedgerService.holdFunds(transaction);
+
+    await expect(LedgerService.applyStatusChange(transaction, 'completed', { status: 'completed' }, 'processing'))
+      .rejects.toThrow('Transaction is no longer processing');
+    await expect(LedgerService.applyStatusChange({ ...transaction, sender_id: RECIPIENT_ID }, 'completed', { status: 'completed' }))
+      .rejects.toThrow('Transaction not found or access denied');
+
+    expect(balanceOf(SENDER_WALLET)).toEqual({ available: 70, pending: 30, total: 100 });
+    expect(balanceOf(RECIPIENT_WALLET)).toBeNull();
+    expect(await LedgerPosting.findByTransaction(transaction.id)).toHaveLength(1);
+    expect(database.table('transactions').find(row => row.id === transaction.id).status).toBe('pending');
+  });
+
+  it('should report balances changed outside the ledger', async () => {
+    const row = database.table('asset_balances').find(item => item.wallet_id === SENDER_WALLET);
+    Object.assign(row, { available: 90, total: 90 });
+
+    const report = await LedgerService.reconcile({ walletId: SENDER_WALLET });
+
+    expect(report.balanced).toBe(false);
+    expect(report.mismatches).toEqual([{
+      walletId: SENDER_WALLET,
+      assetSymbol: 'USD',
+      expected: { available: 100, pending: 0, total: 100 },
+      actual: { available: 90, pending: 0, total: 90 }
+    }]);
+    expect(report.unbalancedPostings).toEqual([]);
+  });
+
+  describe('transaction lifecycle', () => {
+    beforeEach(() => {
+      vi.spyOn(SpendingLimitService, 'assertWithinDailyLimit').mockResolvedValue({ unlimited: true });
+      vi.spyOn(KycService, 'assertWithinLimits').mockResolvedValue();
+      vi.spyOn(TransactionService, 'logTransactionActivity').mockResolvedValue();
+      vi.spyOn(webhookService, 'emitTransactionEvent').mockResolvedValue();
+      vi.spyOn(webhookService, 'emitTransactionStatusEvent').mockResolvedValue();
+    });
+
+    const transfer = (amount) => ({
+      userId: SENDER_ID,
+      type: 'transfer',
+      amount,
+      assetSymbol: 'usd',
+      network: 'solana'
+    });
+
+    it('should hold funds on creation and release them when the transfer fails', async () => {
+      const transaction = await TransactionService.createTransaction(transfer(40));
+      expect(balanceOf(SENDER_WALLET)).toEqual({ available: 60, pending: 40, total: 100 });
+
+      await TransactionService.updateTransactionStatus(SENDER_ID, transaction.id, 'failed', { errorReason: 'Rejected' });
+      expect(balanceOf(SENDER_WALLET)).toEqual({ available: 100, pending: 0, total: 100 });
+    });
+
+    it('should mark the transaction failed when the sender cannot cover it', async () => {
+      await expect(TransactionService.createTransaction(transfer(500)))
+        .rejects.toThrow(LEDGER_ERRORS.INSUFFICIENT_FUNDS);
+
+      const [stored] = database.table('transactions');
+      expect(stored.status).toBe('failed');
+      expect(stored.metadata.status_updates.failed.errorReason).toBe(LEDGER_ERRORS.INSUFFICIENT_FUNDS);
+      expect(balanceOf(SENDER_WALLET)).toEqual({ available: 100, pending: 0, total: 100 });
+    });
+
+    it('should not let parallel transfers together go over the daily limit', async () => {
+      SpendingLimitService.assertWithinDailyLimit.mockRestore();
+      vi.spyOn(UserSettings, 'findByUserId').mockResolvedValue({ user_id: SENDER_ID, daily_limit: '50.00', timezone: 'UTC' });
+
+      const results = await Promise.allSettled([30, 30, 30].map(amount => TransactionService.createTransaction(transfer(amount))));
+
+      const rejected = results.filter(result => result.status === 'rejected');
+      expect(results.length - rejected.length).toBeLessThanOrEqual(1);
+      rejected.forEach(result => expect(SpendingLimitService.isDailyLimitError(result.reason)).toBe(true));
+      expect(balanceOf(SENDER_WALLET).pending).toBeLessThanOrEqual(50);
+    });
+
+    describe('PATCH /transactions/:id/status', () => {
+      const app = express();
+      app.use(express.json());
+      app.use((req, res, next) => {
+        req.user = { id: SENDER_ID };
+        next();
+      });
+      app.patch('/transactions/:id/status', transactionController.updateTransactionStatus);
+
+      it('should only let users cancel their own pending transactions', async () => {
+        const cashIn = await TransactionService.createTransaction({ ...transfer(5000), type: 'cash_in' });
+        const completed = await request(app).patch(`/transactions/${cashIn.id}/status`).send({ status: 'completed' });
+        expect(completed.status).toBe(400);
+        expect(completed.body.errorCode).toBe('VALIDATION_ERROR');
+        expect(balanceOf(SENDER_WALLET)).toEqual({ available: 100, pending: 0, total: 100 });
+
+        const transaction = await TransactionService.createTransaction(transfer(40));
+        const cancelled = await request(app).patch(`/transactions/${transaction.id}/status`).send({ status: 'cancelled' });
+        expect(cancelled.status).toBe(200);
+        expect(cancelled.body.data.status).toBe('cancelled');
+        expect(balanceOf(SENDER_WALLET)).toEqual({ available: 100, pending: 0, total: 100 });
+
+        const again = await request(app).patch(`/transactions/${transaction.id}/status`).send({ status: 'cancelled' });
+        expect(again.status).toBe(409);
+        expect(again.body.errorCode).toBe('TRANSACTION_NOT_PENDING');
+      });
+    });
+  });
+});
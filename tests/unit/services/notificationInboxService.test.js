@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import NotificationInboxService from '../../../services/notificationInboxService.js';
+import notificationService from '../../../services/notificationService.js';
+import notificationController from '../../../controllers/notificationController.js';
+import Notification from '../../../models/Notification.js';
+import UserSettings from '../../../models/UserSettings.js';
+import {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_ERRORS
+} from '../../../constants/notificationConstants.js';
+
+const USER_ID = '33333333-3333-4333-8333-333333333333';
+
+const buildRow = (index, overrides = {}) => ({
+  id: `00000000-0000-4000-8000-${String(index).padStart(12, '0')}`,
+  user_id: USER_ID,
+  category: NOTIFICATION_CATEGORIES.TRANSACTION,
+  type: NOTIFICATION_TYPES.TRANSACTION_SUCCESS,
+  title: `Notification ${index}`,
+  body: 'Body',
+  data: {},
+  read_at: null,
+  created_at: new Date(Date.UTC(2025, 6, 11, 12, 0, 0) - index * 1000).toISOString(),
+  ...overrides
+});
+
+describe('📥 Notification Inbox Service', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should page newest first with an opaque keyset cursor', async () => {
+    const rows = [1, 2, 3].map(index => buildRow(index));
+    const listSpy = vi.spyOn(Notification, 'listByUser').mockResolvedValue(rows);
+    vi.spyOn(Notification, 'countUnread').mockResolvedValue(7);
+
+    const first = await NotificationInboxService.list(USER_ID, { limit: 2 });
+
+    expect(listSpy).toHaveBeenCalledWith(USER_ID, { limit: 3, before: null, unreadOnly: false });
+    expect(first.notifications.map(n => n.title)).toEqual(['Notification 1', 'Notification 2']);
+    expect(first.unreadCount).toBe(7);
+    expect(first.pagination.hasMore).toBe(true);
+
+    listSpy.mockResolvedValue([rows[2]]);
+    const second = await NotificationInboxService.list(USER_ID, { limit: 2, cursor: first.pagination.nextCursor });
+
+    expect(listSpy).toHaveBeenLastCalledWith(USER_ID, {
+      limit: 3,
+      before: { createdAt: rows[1].created_at, id: rows[1].id },
+      unreadOnly: false
+    });
+    expect(second.pagination).toMatchObject({ hasMore: false, nextCursor: null });
+  });
+
+  it('should reject tampered cursors', () => {
+    const forged = Buffer.from(JSON.stringify({ createdAt: 'yesterday', id: '1 OR 1=1' })).toString('base64url');
+
+    expect(() => NotificationInboxService.decodeCursor(forged)).toThrow(NOTIFICATION_ERRORS.INVALID_CURSOR);
+    expect(() => NotificationInboxService.decodeCursor('not-base64-json')).toThrow(NOTIFICATION_ERRORS.INVALID_CURSOR);
+  });
+
+  it('should treat marking an already-read notification as a no-op', async () => {
+    const readAt = new Date().toISOString();
+    vi.spyOn(Notification, 'markRead').mockResolvedValue(null);
+    const findSpy = vi.spyOn(Notification, 'findByIdForUser').mockResolvedValue(buildRow(1, { read_at: readAt }));
+
+    const result = await NotificationInboxService.markRead(USER_ID, buildRow(1).id);
+    expect(result).toMatchObject({ read: true, readAt });
+
+    findSpy.mockResolvedValue(null);
+    await expect(NotificationInboxService.markRead(USER_ID, buildRow(1).id)).rejects.toThrow(NOTIFICATION_ERRORS.NOT_FOUND);
+  });
+
+  it('should store security alerts even when alert delivery is disabled', async () => {
+    vi.spyOn(notificationService, 'getUserData').mockResolvedValue({ id: USER_ID, email: 'user@example.com' });
+    vi.spyOn(notificationService, 'getNotificationSettings').mockResolvedValue({ security_alerts: false });
+    vi.spyOn(UserSettings, 'findByUserId').mockResolvedValue({ language: 'en' });
+    const createSpy = vi.spyOn(Notification, 'create').mockImplementation(async (data) => buildRow(1, data));
+
+    await notificationService.sendSecurityAlert(USER_ID, {
+      type: NOTIFICATION_TYPES.PIN_LOCKED,
+      variables: { attempts: 5 },
+      data: { lockedUntil: 'later' }
+    });
+
+    expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: USER_ID,
+      category: NOTIFICATION_CATEGORIES.SECURITY,
+      type: NOTIFICATION_TYPES.PIN_LOCKED,
+      title: 'Transaction PIN locked',
+      body: 'Your transaction PIN was locked after 5 incorrect attempts.',
+      data: { lockedUntil: 'later' }
+    }));
+  });
+
+  it('should skip promotions for users who opted out', async () => {
+    vi.spyOn(notificationService, 'getUserData').mockResolvedValue({ id: USER_ID });
+    vi.spyOn(notificationService, 'getNotificationSettings').mockResolvedValue({ promotions: false, push_enabled: true });
+    const createSpy = vi.spyOn(Notification, 'create');
+
+    await notificationService.sendPromotionNotification(USER_ID, { id: 'promo-1', title: 'Sale', description: 'Zero fees' });
+
+    expect(createSpy).not.toHaveBeenCalled();
+  });
+
+  describe('notification endpoints', () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: USER_ID };
+      next();
+    });
+    app.get('/notifications', notificationController.getNotifications);
+    app.delete('/notifications/:id', notificationController.deleteNotification);
+
+    beforeEach(() => {
+      vi.spyOn(Notification, 'countUnread').mockResolvedValue(0);
+    });
+
+    it('should validate the page size and cursor', async () => {
+      vi.spyOn(Notification, 'listByUser').mockResolvedValue([]);
+
+      const tooLarge = await request(app).get('/notifications?limit=500');
+      expect(tooLarge.status).toBe(400);
+
+      const badCursor = await request(app).get('/notifications?cursor=garbage');
+      expect(badCursor.status).toBe(400);
+      expect(badCursor.body.errorCode).toBe('INVALID_CURSOR');
+
+      const ok = await request(app).get('/notifications?unreadOnly=true');
+      expect(ok.status).toBe(200);
+      expect(Notification.listByUser).toHaveBeenLastCalledWith(USER_ID, expect.objectContaining({ unreadOnly: true }));
+    });
+
+    it('should return 404 when deleting a notification the user does not have', async () => {
+      vi.spyOn(Notification, 'delete').mockResolvedValue(false);
+
+      const response = await request(app).delete(`/notifications/${buildRow(9).id}`);
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
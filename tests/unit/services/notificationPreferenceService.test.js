@@ -0,0 +1,181 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import NotificationPreferenceService from '../../../services/notificationPreferenceService.js';
+import NotificationDigestWorker from '../../../services/notificationDigestWorker.js';
+import notificationService from '../../../services/notificationService.js';
+import emailService from '../../../services/emailService.js';
+import Notification from '../../../models/Notification.js';
+import UserSettings from '../../../models/UserSettings.js';
+import {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CATEGORIES,
+  NOTIFICATION_PREFERENCE_ERRORS
+} from '../../../constants/notificationConstants.js';
+
+const USER_ID = '44444444-4444-4444-8444-444444444444';
+
+const SETTINGS = {
+  transaction_alerts: true,
+  security_alerts: true,
+  promotions: true,
+  push_enabled: true,
+  email_notifications: true,
+  whatsapp_notifications: false,
+  channel_preferences: {
+    incoming_transfer: { email: false },
+    promotion: { push: false }
+  },
+  quiet_hours_enabled: true,
+  quiet_hours_start: '22:00:00',
+  quiet_hours_end: '07:00:00'
+};
+
+// 23:30 in Riyadh (UTC+3)
+const RIYADH_NIGHT = new Date('2025-07-11T20:30:00Z');
+
+describe('🌙 Notification Preference Service', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should combine category, channel and per-category switches', () => {
+    expect(NotificationPreferenceService.resolveChannels(SETTINGS, NOTIFICATION_CATEGORIES.INCOMING_TRANSFER)).toEqual(['push']);
+    expect(NotificationPreferenceService.resolveChannels(SETTINGS, NOTIFICATION_CATEGORIES.PROMOTION)).toEqual(['email']);
+    expect(NotificationPreferenceService.resolveChannels(
+      { ...SETTINGS, transaction_alerts: false },
+      NOTIFICATION_CATEGORIES.TRANSACTION
+    )).toEqual([]);
+  });
+
+  it('should apply quiet hours across midnight in the user timezone', () => {
+    expect(NotificationPreferenceService.isQuietHours(SETTINGS, 'Asia/Riyadh', RIYADH_NIGHT)).toBe(true);
+    expect(NotificationPreferenceService.isQuietHours(SETTINGS, 'UTC', RIYADH_NIGHT)).toBe(false);
+
+    const deferUntil = NotificationPreferenceService.getDeferral(
+      SETTINGS,
+      NOTIFICATION_CATEGORIES.TRANSACTION,
+      'Asia/Riyadh',
+      RIYADH_NIGHT
+    );
+    expect(deferUntil.toISOString()).toBe('2025-07-12T04:00:00.000Z');
+  });
+
+  it('should never defer security alerts', () => {
+    expect(NotificationPreferenceService.getDeferral(
+      SETTINGS,
+      NOTIFICATION_CATEGORIES.SECURITY,
+      'Asia/Riyadh',
+      RIYADH_NIGHT
+    )).toBeNull();
+  });
+
+  it('should validate preference updates', () => {
+    expect(NotificationPreferenceService.mergeChannelPreferences(SETTINGS.channel_preferences, {
+      incomingTransfer: { whatsapp: false }
+    })).toEqual({
+      incoming_transfer: { email: false, whatsapp: false },
+      promotion: { push: false }
+    });
+
+    expect(() => NotificationPreferenceService.mergeChannelPreferences({}, { transfers: { push: false } }))
+      .toThrow(NOTIFICATION_PREFERENCE_ERRORS.INVALID_CHANNELS);
+    expect(() => NotificationPreferenceService.parseQuietHours({}, { enabled: true, start: '22:00', end: '25:00' }))
+      .toThrow(NOTIFICATION_PREFERENCE_ERRORS.INVALID_QUIET_HOURS);
+  });
+
+  describe('delivery', () => {
+    const mockUser = () => {
+      vi.spyOn(notificationService, 'getUserData').mockResolvedValue({ id: USER_ID, email: 'user@example.com' });
+      vi.spyOn(notificationService, 'getNotificationSettings').mockResolvedValue(SETTINGS);
+      vi.spyOn(UserSettings, 'findByUserId').mockResolvedValue({ language: 'en', timezone: 'Asia/Riyadh' });
+    };
+
+    it('should hold transaction notifications in the inbox during quiet hours', async () => {
+      vi.useFakeTimers({ now: RIYADH_NIGHT, toFake: ['Date'] });
+      try {
+        mockUser();
+        const createSpy = vi.spyOn(Notification, 'create').mockImplementation(async (data) => ({ id: 'n-1', ...data }));
+        const emailSpy = vi.spyOn(emailService, 'sendTransactionSuccessEmail');
+
+        await notificationService.sendTransactionNotification(USER_ID, {
+          transactionId: 'tx-1',
+          type: 'send',
+          amount: 5,
+          assetSymbol: 'USDC'
+        }, 'success');
+
+        expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({
+          deferred_until: '2025-07-12T04:00:00.000Z',
+          deferred_channels: ['push', 'email']
+        }));
+        expect(emailSpy).not.toHaveBeenCalled();
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should send one digest per user and mark the items digested', async () => {
+      mockUser();
+      const items = [1, 2].map(index => ({
+        id: `n-${index}`,
+        user_id: USER_ID,
+        type: NOTIFICATION_TYPES.TRANSACTION_SUCCESS,
+        title: `Transfer ${index}`,
+        body: 'Completed',
+        deferred_channels: ['email']
+      }));
+      vi.spyOn(Notification, 'findDueForDigest').mockResolvedValue(items);
+      const claimSpy = vi.spyOn(Notification, 'claimForDigest').mockResolvedValue(items);
+      const markSpy = vi.spyOn(Notification, 'markDigested').mockResolvedValue();
+      const emailSpy = vi.spyOn(emailService, 'sendEmail').mockResolvedValue({});
+
+      const summary = await new NotificationDigestWorker().pollOnce();
+
+      expect(summary).toEqual({ sent: 1, failed: 0 });
+      expect(claimSpy).toHaveBeenCalledWith(['n-1', 'n-2'], expect.any(Date), expect.any(Date));
+      expect(emailSpy).toHaveBeenCalledTimes(1);
+      const [, subject, text] = emailSpy.mock.calls[0];
+      expect(subject).toContain('2');
+      expect(text).toContain('- Transfer 1: Completed');
+      expect(markSpy).toHaveBeenCalledWith(['n-1', 'n-2']);
+    });
+
+    it('should leave the items undigested when no channel delivers the digest', async () => {
+      mockUser();
+      const items = [{
+        id: 'n-1',
+        user_id: USER_ID,
+        type: NOTIFICATION_TYPES.TRANSACTION_SUCCESS,
+        title: 'Transfer 1',
+        body: 'Completed',
+        deferred_channels: ['email']
+      }];
+      vi.spyOn(Notification, 'findDueForDigest').mockResolvedValue(items);
+      vi.spyOn(Notification, 'claimForDigest').mockResolvedValue(items);
+      const markSpy = vi.spyOn(Notification, 'markDigested').mockResolvedValue();
+      vi.spyOn(emailService, 'sendEmail').mockRejectedValue(new Error('SMTP unavailable'));
+
+      const summary = await new NotificationDigestWorker().pollOnce();
+
+      expect(summary).toEqual({ sent: 0, failed: 1 });
+      expect(markSpy).not.toHaveBeenCalled();
+    });
+
+    it('should skip a digest another worker has already claimed', async () => {
+      mockUser();
+      vi.spyOn(Notification, 'findDueForDigest').mockResolvedValue([{
+        id: 'n-1',
+        user_id: USER_ID,
+        deferred_channels: ['email']
+      }]);
+      vi.spyOn(Notification, 'claimForDigest').mockResolvedValue([]);
+      const markSpy = vi.spyOn(Notification, 'markDigested').mockResolvedValue();
+      const emailSpy = vi.spyOn(emailService, 'sendEmail').mockResolvedValue({});
+
+      const summary = await new NotificationDigestWorker().pollOnce();
+
+      expect(summary).toEqual({ sent: 0, failed: 0 });
+      expect(emailSpy).not.toHaveBeenCalled();
+      expect(markSpy).not.toHaveBeenCalled();
+    });
+  });
+});
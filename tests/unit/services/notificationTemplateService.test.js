@@ -0,0 +1,130 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import NotificationTemplateService from '../../../services/notificationTemplateService.js';
+import notificationService from '../../../services/notificationService.js';
+import emailService from '../../../services/emailService.js';
+import firebaseService from '../../../services/firebaseService.js';
+import UserSettings from '../../../models/UserSettings.js';
+import NotificationInboxService from '../../../services/notificationInboxService.js';
+import { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } from '../../../constants/notificationConstants.js';
+
+const USER_ID = '22222222-2222-4222-8222-222222222222';
+
+const transactionData = {
+  transactionId: 'tx-1',
+  type: 'transfer',
+  amount: 1234.5,
+  assetSymbol: 'USDT',
+  reference: 'REF-1',
+  createdAt: '2025-07-10T10:00:00.000Z'
+};
+
+describe('🌐 Notification Template Service', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should fall back from region to language to English', () => {
+    expect(NotificationTemplateService.getLocaleChain('ar_SA')).toEqual(['ar-sa', 'ar', 'en']);
+    expect(NotificationTemplateService.resolveLocale('ar-SA')).toBe('ar');
+    expect(NotificationTemplateService.resolveLocale('fr')).toBe('en');
+    expect(NotificationTemplateService.resolveLocale(null)).toBe('en');
+
+    const push = NotificationTemplateService.render(
+      NOTIFICATION_TYPES.TRANSACTION_SUCCESS,
+      NOTIFICATION_CHANNELS.PUSH,
+      'fr-FR',
+      transactionData
+    );
+    expect(push.locale).toBe('en');
+    expect(push.body).toBe('Your transfer of 1,234.5 USDT was completed successfully');
+  });
+
+  it('should format token and fiat amounts for the locale', () => {
+    expect(NotificationTemplateService.formatAmount(0.1234567, 'SOL', 'en')).toBe('0.123457 SOL');
+    expect(NotificationTemplateService.formatAmount(1234.5, 'USD', 'en')).toBe('$1,234.50');
+    expect(NotificationTemplateService.formatAmount('12.5', 'SAR', 'ar')).toContain('12.50');
+    expect(NotificationTemplateService.formatAmount('not-a-number', 'USDT', 'en')).toBe('not-a-number USDT');
+  });
+
+  it('should render right-to-left Arabic email with localized labels', () => {
+    const email = NotificationTemplateService.render(
+      NOTIFICATION_TYPES.TRANSACTION_FAILURE,
+      NOTIFICATION_CHANNELS.EMAIL,
+      'ar',
+      { ...transactionData, failureReason: 'رصيد غير كافٍ' }
+    );
+
+    expect(email.dir).toBe('rtl');
+    expect(email.subject).toContain('فشلت العملية');
+    expect(email.html).toContain('<html lang="ar" dir="rtl">');
+    expect(email.html).toContain('border-right: 4px solid');
+    expect(email.html).toContain('تحويل');
+    expect(email.html).toContain('1,234.5 USDT');
+    expect(email.text).toContain('- السبب: رصيد غير كافٍ');
+    // Missing optional details are left out rather than shown empty
+    expect(email.text).not.toContain('المستلم');
+  });
+
+  it('should escape variables in HTML but not in plain text', () => {
+    const email = NotificationTemplateService.render(
+      NOTIFICATION_TYPES.SECURITY_ALERT,
+      NOTIFICATION_CHANNELS.EMAIL,
+      'en',
+      { title: 'Heads up', message: '<script>alert(1)</script>' }
+    );
+
+    expect(email.html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(email.html).not.toContain('<script>');
+    expect(email.text).toContain('<script>alert(1)</script>');
+    expect(email.html).toContain('dir="ltr"');
+  });
+
+  it('should use placeholder defaults and reject unknown templates', () => {
+    const alert = NotificationTemplateService.render(
+      NOTIFICATION_TYPES.NEW_DEVICE_LOGIN,
+      NOTIFICATION_CHANNELS.ALERT,
+      'ar',
+      {}
+    );
+
+    expect(alert.title).toBe('تسجيل دخول من جهاز جديد');
+    expect(alert.message).toContain('من جهاز جديد');
+    expect(() => NotificationTemplateService.render('missing', NOTIFICATION_CHANNELS.PUSH, 'en'))
+      .toThrow('Unknown notification template');
+    expect(() => NotificationTemplateService.render(NOTIFICATION_TYPES.PIN_LOCKED, NOTIFICATION_CHANNELS.PUSH, 'en'))
+      .toThrow('has no push version');
+  });
+
+  it('should send transaction and security notifications in the recipient language', async () => {
+    vi.spyOn(notificationService, 'getUserData').mockResolvedValue({ id: USER_ID, email: 'user@example.com' });
+    vi.spyOn(notificationService, 'getNotificationSettings').mockResolvedValue({
+      transaction_alerts: true,
+      security_alerts: true,
+      email_notifications: true,
+      push_enabled: true
+    });
+    vi.spyOn(notificationService, 'getUserDeviceTokens').mockResolvedValue(['token-1']);
+    vi.spyOn(UserSettings, 'findByUserId').mockResolvedValue({ language: 'ar' });
+    vi.spyOn(NotificationInboxService, 'record').mockResolvedValue({ id: 'inbox-1' });
+    const emailSpy = vi.spyOn(emailService, 'sendEmail').mockResolvedValue({});
+    const pushSpy = vi.spyOn(firebaseService, 'sendTransactionSuccessNotification').mockResolvedValue('ok');
+    const multicastSpy = vi.spyOn(firebaseService, 'sendMulticastNotification').mockResolvedValue({});
+
+    await notificationService.sendTransactionNotification(USER_ID, transactionData, 'success');
+
+    expect(emailSpy).toHaveBeenCalledWith('user@example.com', expect.stringContaining('تمت العملية بنجاح'), expect.any(String), expect.stringContaining('dir="rtl"'));
+    expect(pushSpy).toHaveBeenCalledWith('token-1', transactionData, 'ar');
+
+    await notificationService.sendSecurityAlert(USER_ID, {
+      type: NOTIFICATION_TYPES.PIN_LOCKED,
+      variables: { attempts: 5 },
+      data: { lockedUntil: 'later' }
+    });
+
+    expect(emailSpy).toHaveBeenLastCalledWith('user@example.com', '🔐 تم قفل رمز العمليات - محفظة 7awel', expect.stringContaining('بعد 5 محاولات'), expect.any(String));
+    expect(multicastSpy).toHaveBeenCalledWith(['token-1'], expect.objectContaining({
+      notification: { title: '🔐 تم قفل رمز العمليات', body: 'تم قفل رمز العمليات بعد 5 محاولات خاطئة.' },
+      data: expect.objectContaining({ type: 'security_alert', alert: NOTIFICATION_TYPES.PIN_LOCKED, lockedUntil: 'later' })
+    }));
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { database } from '../../../database/index.js';
+import P2PTransferService from '../../../services/p2pTransferService.js';
+import TransactionService from '../../../services/transactionService.js';
+import SpendingLimitService from '../../../services/spendingLimitService.js';
+import KycService from '../../../services/kycService.js';
+import webhookService from '../../../services/webhookService.js';
+import notificationService from '../../../services/notificationService.js';
+import transferController from '../../../controllers/transferController.js';
+import LedgerPosting from '../../../models/LedgerPosting.js';
+import Wallet from '../../../models/Wallet.js';
+import { TRANSFER_ERRORS } from '../../../constants/transferConstants.js';
+import { LEDGER_ERRORS } from '../../../constants/ledgerConstants.js';
+
+const SENDER_ID = '11111111-1111-4111-8111-111111111111';
+const RECIPIENT_ID = '22222222-2222-4222-8222-222222222222';
+const STRANGER_ID = '55555555-5555-4555-8555-555555555555';
+const SENDER_WALLET = '33333333-3333-4333-8333-333333333333';
+const RECIPIENT_WALLET = '44444444-4444-4444-8444-444444444444';
+const CONTACT_ID = '66666666-6666-4666-8666-666666666666';
+
+const WALLETS = { [SENDER_ID]: SENDER_WALLET, [RECIPIENT_ID]: RECIPIENT_WALLET };
+
+const availableIn = (walletId) =>
+  database.table('asset_balances').find(row => row.wallet_id === walletId && row.asset_symbol === 'USD')?.available ?? 0;
+
+describe('🤝 P2P Transfer Service', () => {
+  let notifySpy;
+
+  beforeEach(async () => {
+    database.reset();
+    database.seed('users', [
+      { id: SENDER_ID, phone: '+962790000001', status: 'active' },
+      { id: RECIPIENT_ID, phone: '+962790000002', status: 'active' },
+      { id: STRANGER_ID, phone: '+962790000003', status: 'suspended' }
+    ]);
+    database.seed('contacts_with_accounts', [
+      { id: CONTACT_ID, owner_id: SENDER_ID, phone_hash: 'hash', linked_user_id: RECIPIENT_ID, is_favorite: false }
+    ]);
+
+    vi.spyOn(Wallet, 'getPrimaryWallet').mockImplementation(async (userId) =>
+      WALLETS[userId] ? { id: WALLETS[userId], user_id: userId, wallet_address: `addr-${userId.slice(0, 4)}` } : null
+    );
+    vi.spyOn(SpendingLimitService, 'assertWithinDailyLimit').mockResolvedValue({ unlimited: true });
+    vi.spyOn(KycService, 'assertWithinLimits').mockResolvedValue();
+    vi.spyOn(TransactionService, 'logTransactionActivity').mockResolvedValue();
+    vi.spyOn(webhookService, 'emitTransactionEvent').mockResolvedValue();
+    vi.spyOn(webhookService, 'emitTransactionStatusEvent').mockResolvedValue();
+    vi.spyOn(notificationService, 'sendTransactionNotification').mockResolvedValue();
+    notifySpy = vi.spyOn(notificationService, 'sendIncomingTransferNotification').mockResolvedValue();
+
+    await LedgerPosting.post(null, 'opening', [
+      { wallet_id: SENDER_WALLET, account: 'wallet_available', asset_symbol: 'USD', direction: 'credit', amount: 100 },
+      { wallet_id: null, account: 'external', asset_symbol: 'USD', direction: 'debit', amount: 100 }
+    ]);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should move the funds and create linked sender and receiver records', async () => {
+    const result = await P2PTransferService.send(SENDER_ID, { contactId: CONTACT_ID, amount: 40, assetSymbol: 'USD', note: 'Dinner' });
+
+    expect(result.transaction).toMatchObject({ status: 'completed', type: 'transfer', sender_id: SENDER_ID, recipient_id: RECIPIENT_ID });
+    expect(availableIn(SENDER_WALLET)).toBe(60);
+    expect(availableIn(RECIPIENT_WALLET)).toBe(40);
+
+    const receipt = database.table('transactions').find(row => row.id === result.receiverTransactionId);
+    expect(receipt).toMatchObject({ sender_id: RECIPIENT_ID, type: 'cash_in', status: 'completed', amount: 40, note: 'Dinner' });
+    expect(receipt.metadata.p2p).toEqual({ role: 'receiver', linked_transaction_id: result.transaction.id, counterparty_id: SENDER_ID });
+    expect(result.transaction.metadata.p2p.linked_transaction_id).toBe(result.receiverTransactionId);
+
+    expect(notificationService.sendTransactionNotification).toHaveBeenCalledWith(SENDER_ID, expect.any(Object), 'success');
+    await vi.waitFor(() => expect(notifySpy).toHaveBeenCalledWith(RECIPIENT_ID, expect.objectContaining({
+      transactionId: result.receiverTransactionId,
+      amount: 40,
+      assetSymbol: 'USD'
+    })));
+
+    // The receipt mirrors the transfer, so updating it never credits the recipient twice
+    await TransactionService.updateTransactionStatus(RECIPIENT_ID, receipt.id, 'completed');
+    expect(availableIn(RECIPIENT_WALLET)).toBe(40);
+  });
+
+  it('should resolve recipients by phone number and user ID', async () => {
+    const byPhone = await P2PTransferService.resolveRecipient(SENDER_ID, { phoneNumber: '+962 79 000 0002' });
+    expect(byPhone.user.id).toBe(RECIPIENT_ID);
+    expect(byPhone.wallet.id).toBe(RECIPIENT_WALLET);
+
+    await expect(P2PTransferService.resolveRecipient(SENDER_ID, { userId: SENDER_ID }))
+      .rejects.toThrow(TRANSFER_ERRORS.SELF_TRANSFER);
+    await expect(P2PTransferService.resolveRecipient(SENDER_ID, { userId: STRANGER_ID }))
+      .rejects.toThrow(TRANSFER_ERRORS.RECIPIENT_INACTIVE);
+    await expect(P2PTransferService.resolveRecipient(RECIPIENT_ID, { contactId: CONTACT_ID }))
+      .rejects.toThrow(TRANSFER_ERRORS.CONTACT_NOT_FOUND);
+  });
+
+  it('should fail the transfer without moving money when the sender cannot cover it', async () => {
+    await expect(P2PTransferService.send(SENDER_ID, { recipientId: RECIPIENT_ID, amount: 500, assetSymbol: 'USD' }))
+      .rejects.toThrow(LEDGER_ERRORS.INSUFFICIENT_FUNDS);
+
+    expect(availableIn(SENDER_WALLET)).toBe(100);
+    expect(availableIn(RECIPIENT_WALLET)).toBe(0);
+    expect(database.table('transactions').map(row => row.status)).toEqual(['failed']);
+    expect(notifySpy).not.toHaveBeenCalled();
+  });
+
+  describe('POST /transfers/p2p', () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: SENDER_ID };
+      next();
+    });
+    app.post('/transfers/p2p', transferController.sendP2P);
+
+    it('should require exactly one recipient and map recipient errors', async () => {
+      const both = await request(app)
+        .post('/transfers/p2p')
+        .send({ contactId: CONTACT_ID, userId: RECIPIENT_ID, amount: 5, assetSymbol: 'usd' });
+      expect(both.status).toBe(400);
+      expect(both.body.errorCode).toBe('VALIDATION_ERROR');
+
+      const unknown = await request(app)
+        .post('/transfers/p2p')
+        .send({ phoneNumber: '+15550001111', amount: 5, assetSymbol: 'usd' });
+      expect(unknown.status).toBe(404);
+      expect(unknown.body.errorCode).toBe('RECIPIENT_NOT_FOUND');
+
+      const sent = await request(app)
+        .post('/transfers/p2p')
+        .send({ userId: RECIPIENT_ID, amount: 5, assetSymbol: 'usd' });
+      expect(sent.status).toBe(201);
+      expect(sent.body.data.recipient.userId).toBe(RECIPIENT_ID);
+
+      const broke = await request(app)
+        .post('/transfers/p2p')
+        .send({ userId: RECIPIENT_ID, amount: 1000, assetSymbol: 'usd' });
+      expect(broke.status).toBe(400);
+      expect(broke.body.errorCode).toBe('INSUFFICIENT_FUNDS');
+    });
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { database } from '../../../database/index.js';
+import PaymentRequestService from '../../../services/paymentRequestService.js';
+import TransactionService from '../../../services/transactionService.js';
+import SpendingLimitService from '../../../services/spendingLimitService.js';
+import KycService from '../../../services/kycService.js';
+import webhookService from '../../../services/webhookService.js';
+import PaymentRequest from '../../../models/PaymentRequest.js';
+import LedgerPosting from '../../../models/LedgerPosting.js';
+import Wallet from '../../../models/Wallet.js';
+
+const PAYER_ID = '11111111-1111-4111-8111-111111111111';
+const REQUESTOR_ID = '22222222-2222-4222-8222-222222222222';
+const PAYER_WALLET = '33333333-3333-4333-8333-333333333333';
+const REQUESTOR_WALLET = '44444444-4444-4444-8444-444444444444';
+const REQUEST_ID = '55555555-5555-4555-8555-555555555555';
+
+const WALLETS = { [PAYER_ID]: PAYER_WALLET, [REQUESTOR_ID]: REQUESTOR_WALLET };
+
+const balanceOf = (walletId) => {
+  const row = database.table('asset_balances').find(item => item.wallet_id === walletId && item.asset_symbol === 'USD');
+  return row ? { available: row.available, pending: row.pending, total: row.total } : null;
+};
+
+const storedRequest = () => database.table('payment_requests').find(row => row.id === REQUEST_ID);
+
+describe('🧾 Payment Request Service', () => {
+  beforeEach(async () => {
+    database.reset();
+    vi.spyOn(Wallet, 'getPrimaryWallet').mockImplementation(async (userId) =>
+      WALLETS[userId] ? { id: WALLETS[userId], user_id: userId, wallet_address: `addr-${userId}` } : null
+    );
+    vi.spyOn(SpendingLimitService, 'assertWithinDailyLimit').mockResolvedValue({ unlimited: true });
+    vi.spyOn(KycService, 'assertWithinLimits').mockResolvedValue();
+    vi.spyOn(TransactionService, 'logTransactionActivity').mockResolvedValue();
+    vi.spyOn(webhookService, 'emitTransactionEvent').mockResolvedValue();
+    vi.spyOn(webhookService, 'emitTransactionStatusEvent').mockResolvedValue();
+
+    // Opening balance: 100 USD available to the payer
+    await LedgerPosting.post(null, 'opening', [
+      { wallet_id: PAYER_WALLET, account: 'wallet_available', asset_symbol: 'USD', direction: 'credit', amount: 100 },
+      { wallet_id: null, account: 'external', asset_symbol: 'USD', direction: 'debit', amount: 100 }
+    ]);
+
+    database.seed('payment_requests', {
+      id: REQUEST_ID,
+      requestor_id: REQUESTOR_ID,
+      recipient_id: PAYER_ID,
+      amount: 30,
+      asset_symbol: 'USD',
+      status: 'pending',
+      expires_at: null
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should charge the payer once when a request is paid twice at the same time', async () => {
+    const results = await Promise.allSettled([
+      PaymentRequestService.payRequest(PAYER_ID, REQUEST_ID),
+      PaymentRequestService.payRequest(PAYER_ID, REQUEST_ID)
+    ]);
+
+    const paid = results.filter(result => result.status === 'fulfilled');
+    const rejected = results.filter(result => result.status === 'rejected');
+    expect(paid).toHaveLength(1);
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].reason.message).toMatch(/^Payment request is (already|no longer)/);
+
+    expect(database.table('transactions')).toHaveLength(1);
+    expect(storedRequest()).toMatchObject({ status: 'paid', transaction_id: paid[0].value.transaction.id });
+    expect(balanceOf(PAYER_WALLET)).toEqual({ available: 70, pending: 30, total: 100 });
+  });
+
+  it('should cancel the payment and reopen the request when it cannot be marked paid', async () => {
+    const updateStatus = PaymentRequest.updateStatus.bind(PaymentRequest);
+    vi.spyOn(PaymentRequest, 'updateStatus').mockImplementation(async (id, status, ...rest) => {
+      if (status === 'paid') {
+        throw new Error('Failed to update payment request: connection reset');
+      }
+      return updateStatus(id, status, ...rest);
+    });
+
+    await expect(PaymentRequestService.payRequest(PAYER_ID, REQUEST_ID))
+      .rejects.toThrow('Failed to update payment request: connection reset');
+
+    const [transaction] = database.table('transactions');
+    expect(transaction.status).toBe('cancelled');
+    expect(balanceOf(PAYER_WALLET)).toEqual({ available: 100, pending: 0, total: 100 });
+    expect(storedRequest().status).toBe('pending');
+  });
+
+  it('should reopen the request when the payment cannot be created', async () => {
+    storedRequest().amount = 500;
+
+    await expect(PaymentRequestService.payRequest(PAYER_ID, REQUEST_ID)).rejects.toThrow();
+
+    expect(storedRequest().status).toBe('pending');
+    expect(balanceOf(PAYER_WALLET)).toEqual({ available: 100, pending: 0, total: 100 });
+  });
+});
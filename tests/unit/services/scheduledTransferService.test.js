@@ -0,0 +1,259 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { database } from '../../../database/index.js';
+import ScheduledTransferService from '../../../services/scheduledTransferService.js';
+import ScheduledTransferWorker from '../../../services/scheduledTransferWorker.js';
+import TransactionService from '../../../services/transactionService.js';
+import SpendingLimitService from '../../../services/spendingLimitService.js';
+import KycService from '../../../services/kycService.js';
+import webhookService from '../../../services/webhookService.js';
+import notificationService from '../../../services/notificationService.js';
+import scheduledTransferController from '../../../controllers/scheduledTransferController.js';
+import LedgerPosting from '../../../models/LedgerPosting.js';
+import ScheduledTransfer from '../../../models/ScheduledTransfer.js';
+import Wallet from '../../../models/Wallet.js';
+import { NOTIFICATION_TYPES } from '../../../constants/notificationConstants.js';
+import { SCHEDULED_TRANSFER_ERRORS } from '../../../constants/transferConstants.js';
+
+const SENDER_ID = '11111111-1111-4111-8111-111111111111';
+const RECIPIENT_ID = '22222222-2222-4222-8222-222222222222';
+const SENDER_WALLET = '33333333-3333-4333-8333-333333333333';
+const RECIPIENT_WALLET = '44444444-4444-4444-8444-444444444444';
+
+const WALLETS = { [SENDER_ID]: SENDER_WALLET, [RECIPIENT_ID]: RECIPIENT_WALLET };
+
+const NOW = new Date('2025-07-14T08:00:00.000Z');
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+const at = (ms) => new Date(NOW.getTime() + ms);
+
+const availableIn = (walletId) =>
+  database.table('asset_balances').find(row => row.wallet_id === walletId && row.asset_symbol === 'USD')?.available ?? 0;
+
+describe('🗓️ Scheduled Transfer Service', () => {
+  let notifySpy;
+  let worker;
+
+  beforeEach(async () => {
+    database.reset();
+    database.seed('users', [
+      { id: SENDER_ID, phone: '+962790000001', status: 'active' },
+      { id: RECIPIENT_ID, phone: '+962790000002', status: 'active' }
+    ]);
+
+    vi.spyOn(Wallet, 'getPrimaryWallet').mockImplementation(async (userId) =>
+      WALLETS[userId] ? { id: WALLETS[userId], user_id: userId, wallet_address: `addr-${userId.slice(0, 4)}` } : null
+    );
+    vi.spyOn(SpendingLimitService, 'assertWithinDailyLimit').mockResolvedValue({ unlimited: true });
+    vi.spyOn(KycService, 'assertWithinLimits').mockResolvedValue();
+    vi.spyOn(TransactionService, 'logTransactionActivity').mockResolvedValue();
+    vi.spyOn(webhookService, 'emitTransactionEvent').mockResolvedValue();
+    vi.spyOn(webhookService, 'emitTransactionStatusEvent').mockResolvedValue();
+    vi.spyOn(notificationService, 'sendTransactionNotification').mockResolvedValue();
+    vi.spyOn(notificationService, 'sendIncomingTransferNotification').mockResolvedValue();
+    notifySpy = vi.spyOn(notificationService, 'sendScheduledTransferNotification').mockResolvedValue();
+
+    await LedgerPosting.post(null, 'opening', [
+      { wallet_id: SENDER_WALLET, account: 'wallet_available', asset_symbol: 'USD', direction: 'credit', amount: 100 },
+      { wallet_id: null, account: 'external', asset_symbol: 'USD', direction: 'debit', amount: 100 }
+    ]);
+
+    worker = new ScheduledTransferWorker();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  const notified = (type) => notifySpy.mock.calls.filter(([, run]) => run.type === type);
+
+  it('should keep the day of month for monthly runs, using the last day of shorter months', () => {
+    const start = '2025-01-31T09:30:00.000Z';
+    const runs = [0, 1, 2, 3, 13].map(n => ScheduledTransferService.occurrenceAt(start, 'monthly', n).toISOString());
+
+    expect(runs).toEqual([
+      '2025-01-31T09:30:00.000Z',
+      '2025-02-28T09:30:00.000Z',
+      '2025-03-31T09:30:00.000Z',
+      '2025-04-30T09:30:00.000Z',
+      '2026-02-28T09:30:00.000Z'
+    ]);
+    expect(ScheduledTransferService.occurrenceAt(start, 'weekly', 2).toISOString()).toBe('2025-02-14T09:30:00.000Z');
+  });
+
+  it('should remind before a run, pay the recipient and move on to the next run', async () => {
+    const schedule = await ScheduledTransferService.create(SENDER_ID, {
+      recipientId: RECIPIENT_ID,
+      amount: 10,
+      assetSymbol: 'usd',
+      note: 'Rent',
+      frequency: 'weekly',
+      startAt: at(2 * 60 * MINUTE).toISOString()
+    }, NOW);
+    expect(schedule).toMatchObject({ recipient_id: RECIPIENT_ID, network: 'internal', status: 'active', occurrence: 0 });
+
+    expect(await worker.pollOnce(NOW)).toEqual({ reminded: 1, executed: 0, failed: 0 });
+    expect(notified(NOTIFICATION_TYPES.SCHEDULED_TRANSFER_REMINDER)).toHaveLength(1);
+    expect(await worker.pollOnce(at(MINUTE))).toEqual({ reminded: 0, executed: 0, failed: 0 });
+
+    expect(await worker.pollOnce(at(2 * 60 * MINUTE))).toEqual({ reminded: 0, executed: 1, failed: 0 });
+    expect(availableIn(SENDER_WALLET)).toBe(90);
+    expect(availableIn(RECIPIENT_WALLET)).toBe(10);
+
+    const stored = await ScheduledTransfer.findById(schedule.id);
+    expect(stored).toMatchObject({
+      status: 'active',
+      execution_count: 1,
+      occurrence: 1,
+      attempts: 0,
+      reminder_sent: false,
+      scheduled_for: at(2 * 60 * MINUTE + 7 * DAY).toISOString()
+    });
+
+    const { executions } = await ScheduledTransferService.get(SENDER_ID, schedule.id);
+    expect(executions).toHaveLength(1);
+    const transaction = database.table('transactions').find(row => row.id === executions[0].transaction_id);
+    expect(transaction.metadata.scheduled_transfer).toEqual({ id: schedule.id, scheduled_for: schedule.start_at });
+
+    await vi.waitFor(() => expect(notified(NOTIFICATION_TYPES.SCHEDULED_TRANSFER_EXECUTED)).toHaveLength(1));
+  });
+
+  it('should retry a failed run with backoff and give up on a one-off transfer after the last retry', async () => {
+    const schedule = await ScheduledTransferService.create(SENDER_ID, {
+      toAddress: 'ExternalAddress1111111111111111111111111111',
+      network: 'Solana',
+      amount: 500,
+      assetSymbol: 'USD',
+      frequency: 'once',
+      startAt: at(MINUTE).toISOString()
+    }, NOW);
+
+    expect((await worker.pollOnce(at(MINUTE))).failed).toBe(1);
+    let stored = await ScheduledTransfer.findById(schedule.id);
+    expect(stored).toMatchObject({ status: 'active', attempts: 1, next_attempt_at: at(6 * MINUTE).toISOString() });
+    expect(stored.last_error).toContain('Insufficient available balance');
+
+    // Not due again until the retry delay has passed
+    expect((await worker.pollOnce(at(5 * MINUTE))).failed).toBe(0);
+
+    await worker.pollOnce(at(6 * MINUTE));
+    await worker.pollOnce(at(36 * MINUTE));
+    expect(notified(NOTIFICATION_TYPES.SCHEDULED_TRANSFER_FAILED)).toHaveLength(0);
+    await worker.pollOnce(at(156 * MINUTE));
+
+    stored = await ScheduledTransfer.findById(schedule.id);
+    expect(stored).toMatchObject({ status: 'failed', attempts: 4, next_attempt_at: null });
+    expect(database.table('scheduled_transfer_executions').map(row => row.attempt)).toEqual([1, 2, 3, 4]);
+    expect(availableIn(SENDER_WALLET)).toBe(100);
+    await vi.waitFor(() => expect(notified(NOTIFICATION_TYPES.SCHEDULED_TRANSFER_FAILED)).toHaveLength(1));
+  });
+
+  it('should not pay a run twice when saving its outcome failed', async () => {
+    const schedule = await ScheduledTransferService.create(SENDER_ID, {
+      recipientId: RECIPIENT_ID,
+      amount: 10,
+      assetSymbol: 'USD',
+      frequency: 'weekly',
+      startAt: at(MINUTE).toISOString()
+    }, NOW);
+
+    vi.spyOn(ScheduledTransferService, 'advance').mockRejectedValueOnce(new Error('connection reset'));
+    expect(await worker.pollOnce(at(MINUTE))).toMatchObject({ executed: 0, failed: 1 });
+    expect(availableIn(RECIPIENT_WALLET)).toBe(10);
+
+    // Picked up again once the claim runs out
+    expect(await worker.pollOnce(at(MINUTE + 10 * MINUTE))).toMatchObject({ executed: 1, failed: 0 });
+    expect(availableIn(SENDER_WALLET)).toBe(90);
+    expect(availableIn(RECIPIENT_WALLET)).toBe(10);
+    expect(database.table('transactions').filter(row => row.sender_id === SENDER_ID)).toHaveLength(1);
+    expect(await ScheduledTransfer.findById(schedule.id)).toMatchObject({ execution_count: 1, occurrence: 1 });
+  });
+
+  it('should end a series after its number of transfers or at its end date', async () => {
+    const counted = await ScheduledTransferService.create(SENDER_ID, {
+      recipientId: RECIPIENT_ID,
+      amount: 5,
+      assetSymbol: 'USD',
+      frequency: 'daily',
+      startAt: at(MINUTE).toISOString(),
+      maxExecutions: 2
+    }, NOW);
+    const dated = await ScheduledTransferService.create(SENDER_ID, {
+      recipientId: RECIPIENT_ID,
+      amount: 1,
+      assetSymbol: 'USD',
+      frequency: 'daily',
+      startAt: at(MINUTE).toISOString(),
+      endDate: at(DAY + 2 * MINUTE).toISOString()
+    }, NOW);
+
+    await worker.pollOnce(at(MINUTE));
+    await worker.pollOnce(at(DAY + MINUTE));
+
+    expect(await ScheduledTransfer.findById(counted.id)).toMatchObject({ status: 'completed', execution_count: 2 });
+    expect(await ScheduledTransfer.findById(dated.id)).toMatchObject({ status: 'completed', execution_count: 2 });
+    expect(availableIn(RECIPIENT_WALLET)).toBe(12);
+    expect(await worker.pollOnce(at(2 * DAY + MINUTE))).toEqual({ reminded: 0, executed: 0, failed: 0 });
+  });
+
+  it('should skip runs missed while paused and refuse changes to ended transfers', async () => {
+    const schedule = await ScheduledTransferService.create(SENDER_ID, {
+      recipientId: RECIPIENT_ID,
+      amount: 5,
+      assetSymbol: 'USD',
+      frequency: 'daily',
+      startAt: at(MINUTE).toISOString()
+    }, NOW);
+
+    await ScheduledTransferService.pause(SENDER_ID, schedule.id);
+    await expect(ScheduledTransferService.pause(SENDER_ID, schedule.id)).rejects.toThrow(SCHEDULED_TRANSFER_ERRORS.NOT_ACTIVE);
+    expect(await worker.pollOnce(at(MINUTE))).toMatchObject({ executed: 0 });
+
+    const resumed = await ScheduledTransferService.resume(SENDER_ID, schedule.id, at(3 * DAY));
+    expect(resumed).toMatchObject({ status: 'active', occurrence: 3, scheduled_for: at(3 * DAY + MINUTE).toISOString() });
+
+    await ScheduledTransferService.cancel(SENDER_ID, schedule.id);
+    await expect(ScheduledTransferService.cancel(SENDER_ID, schedule.id)).rejects.toThrow(SCHEDULED_TRANSFER_ERRORS.ALREADY_ENDED);
+    await expect(ScheduledTransferService.resume(SENDER_ID, schedule.id)).rejects.toThrow(SCHEDULED_TRANSFER_ERRORS.NOT_PAUSED);
+    await expect(ScheduledTransferService.get(RECIPIENT_ID, schedule.id)).rejects.toThrow(SCHEDULED_TRANSFER_ERRORS.NOT_FOUND);
+    expect(await worker.pollOnce(at(4 * DAY))).toMatchObject({ executed: 0 });
+  });
+
+  describe('scheduled transfer endpoints', () => {
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: SENDER_ID };
+      next();
+    });
+    app.post('/scheduled-transfers', scheduledTransferController.createScheduledTransfer);
+    app.post('/scheduled-transfers/:id/pause', scheduledTransferController.pauseScheduledTransfer);
+
+    it('should validate the schedule and map state errors', async () => {
+      const noNetwork = await request(app)
+        .post('/scheduled-transfers')
+        .send({ toAddress: 'addr', amount: 5, assetSymbol: 'usd', startAt: '2099-01-01T00:00:00Z' });
+      expect(noNetwork.status).toBe(400);
+      expect(noNetwork.body.errorCode).toBe('VALIDATION_ERROR');
+
+      const past = await request(app)
+        .post('/scheduled-transfers')
+        .send({ userId: RECIPIENT_ID, amount: 5, assetSymbol: 'usd', startAt: '2020-01-01T00:00:00Z' });
+      expect(past.status).toBe(400);
+      expect(past.body.message).toBe(SCHEDULED_TRANSFER_ERRORS.START_IN_PAST);
+
+      const created = await request(app)
+        .post('/scheduled-transfers')
+        .send({ userId: RECIPIENT_ID, amount: 5, assetSymbol: 'usd', frequency: 'monthly', startAt: '2099-01-31T09:00:00+03:00', maxExecutions: 12 });
+      expect(created.status).toBe(201);
+      expect(created.body.data).toMatchObject({ frequency: 'monthly', max_executions: 12, start_at: '2099-01-31T06:00:00.000Z' });
+
+      const paused = await request(app).post(`/scheduled-transfers/${created.body.data.id}/pause`);
+      expect(paused.status).toBe(200);
+      const again = await request(app).post(`/scheduled-transfers/${created.body.data.id}/pause`);
+      expect(again.status).toBe(409);
+      expect(again.body.errorCode).toBe('SCHEDULED_TRANSFER_NOT_ACTIVE');
+    });
+  });
+});
@@ -0,0 +1,133 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import stytchClient from '../../../config/stytch.js';
+import SessionRegistryService from '../../../services/sessionRegistryService.js';
+import UserSession from '../../../models/UserSession.js';
+import {
+  SESSION_REGISTRY,
+  SESSION_REGISTRY_ERRORS,
+  SESSION_JWT_ERRORS
+} from '../../../constants/securityConstants.js';
+
+const USER_ID = '77777777-7777-4777-8777-777777777777';
+const SESSION_ID = '88888888-8888-4888-8888-888888888888';
+
+const inOneHour = () => new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+const buildSession = (overrides = {}) => new UserSession({
+  id: SESSION_ID,
+  user_id: USER_ID,
+  session_token: 'token-a',
+  is_active: true,
+  expires_at: inOneHour(),
+  last_activity: new Date().toISOString(),
+  created_at: new Date().toISOString(),
+  ...overrides
+});
+
+describe('📱 Session Registry Service', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should register unknown sessions on first use and trim device details', async () => {
+    vi.spyOn(UserSession, 'findByToken').mockResolvedValue(null);
+    const createSpy = vi.spyOn(UserSession, 'create').mockImplementation(async (data) => buildSession(data));
+    const expiresAt = inOneHour();
+
+    const session = await SessionRegistryService.ensureActiveSession(USER_ID, 'token-a', {
+      stytchSessionId: 'session-test-1',
+      expiresAt,
+      deviceId: '  device-1 ',
+      deviceName: 'x'.repeat(150),
+      ipAddress: '10.0.0.2',
+      userAgent: 'Wallet/1.0'
+    });
+
+    expect(session.session_token).toBe('token-a');
+    expect(createSpy).toHaveBeenCalledWith({
+      user_id: USER_ID,
+      session_token: 'token-a',
+      stytch_session_id: 'session-test-1',
+      device_id: 'device-1',
+      device_name: 'x'.repeat(SESSION_REGISTRY.DEVICE_NAME_MAX_LENGTH),
+      ip_address: '10.0.0.2',
+      user_agent: 'Wallet/1.0',
+      expires_at: expiresAt
+    });
+  });
+
+  it('should reject sessions that were signed out or belong to someone else', async () => {
+    const findSpy = vi.spyOn(UserSession, 'findByToken');
+
+    findSpy.mockResolvedValue(buildSession({ is_active: false }));
+    await expect(SessionRegistryService.ensureActiveSession(USER_ID, 'token-a'))
+      .rejects.toThrow(SESSION_JWT_ERRORS.REVOKED);
+
+    findSpy.mockResolvedValue(buildSession({ user_id: '99999999-9999-4999-8999-999999999999' }));
+    await expect(SessionRegistryService.ensureActiveSession(USER_ID, 'token-a'))
+      .rejects.toThrow(SESSION_JWT_ERRORS.REVOKED);
+  });
+
+  it('should write last_activity at most once per interval', () => {
+    const now = Date.now();
+    const recent = buildSession({ last_activity: new Date(now - 1000).toISOString() });
+    const stale = buildSession({ last_activity: new Date(now - SESSION_REGISTRY.ACTIVITY_UPDATE_INTERVAL_MS - 1).toISOString() });
+    const recentSpy = vi.spyOn(recent, 'updateLastActivity').mockResolvedValue(recent);
+    const staleSpy = vi.spyOn(stale, 'updateLastActivity').mockResolvedValue(stale);
+
+    SessionRegistryService.recordActivity(recent, now);
+    SessionRegistryService.recordActivity(stale, now);
+
+    expect(recentSpy).not.toHaveBeenCalled();
+    expect(staleSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('should list devices most recently used first and flag the current one', async () => {
+    vi.spyOn(UserSession, 'findActiveSessionsByUserId').mockResolvedValue([
+      buildSession({ id: 'older', session_token: 'token-a', device_name: 'Tablet', last_activity: '2025-07-01T10:00:00.000Z' }),
+      buildSession({ id: 'newer', session_token: 'token-b', device_name: 'Phone', last_activity: '2025-07-09T10:00:00.000Z' })
+    ]);
+
+    const devices = await SessionRegistryService.listDevices(USER_ID, 'token-a');
+
+    expect(devices.map(device => [device.session_id, device.device_name, device.current])).toEqual([
+      ['newer', 'Phone', false],
+      ['older', 'Tablet', true]
+    ]);
+    expect(devices[0]).not.toHaveProperty('session_token');
+  });
+
+  it('should revoke a device even when Stytch is unavailable', async () => {
+    const session = buildSession({ stytch_session_id: 'session-test-1' });
+    vi.spyOn(UserSession, 'findByIdForUser').mockResolvedValue(session);
+    const deactivateSpy = vi.spyOn(session, 'deactivate').mockResolvedValue(session);
+    stytchClient.sessions.revoke.mockRejectedValueOnce(new Error('Stytch unavailable'));
+
+    await SessionRegistryService.revokeDevice(USER_ID, SESSION_ID);
+
+    expect(deactivateSpy).toHaveBeenCalledTimes(1);
+    expect(stytchClient.sessions.revoke).toHaveBeenCalledWith({ session_id: 'session-test-1' });
+  });
+
+  it('should not revoke devices of other users', async () => {
+    vi.spyOn(UserSession, 'findByIdForUser').mockResolvedValue(null);
+
+    await expect(SessionRegistryService.revokeDevice(USER_ID, SESSION_ID))
+      .rejects.toThrow(SESSION_REGISTRY_ERRORS.NOT_FOUND);
+  });
+
+  it('should revoke every active device of the user', async () => {
+    const deactivateSpy = vi.spyOn(UserSession, 'deactivateAllForUser').mockResolvedValue([
+      buildSession({ stytch_session_id: null }),
+      buildSession({ id: 'other', stytch_session_id: 'session-test-2' })
+    ]);
+    stytchClient.sessions.revoke.mockClear();
+
+    const count = await SessionRegistryService.revokeAllDevices(USER_ID);
+
+    expect(count).toBe(2);
+    expect(deactivateSpy).toHaveBeenCalledWith(USER_ID);
+    expect(stytchClient.sessions.revoke).toHaveBeenCalledTimes(1);
+    expect(stytchClient.sessions.revoke).toHaveBeenCalledWith({ session_id: 'session-test-2' });
+  });
+});
@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import express from 'express';
+import request from 'supertest';
+import { database } from '../../../database/index.js';
+import SolanaConfirmationWorker, { FINALIZED_CONFIRMATIONS } from '../../../services/solanaConfirmationWorker.js';
+import TransactionDetail from '../../../models/TransactionDetail.js';
+import TransactionService from '../../../services/transactionService.js';
+import webhookService from '../../../services/webhookService.js';
+import solanaService from '../../../services/solanaService.js';
+import solanaController from '../../../controllers/solanaController.js';
+
+const SENDER_ID = '66666666-6666-4666-8666-666666666666';
+
+const buildDetail = (overrides = {}) => ({
+  transaction_id: '77777777-7777-4777-8777-777777777777',
+  network: 'solana',
+  tx_hash: '5sigAAAA',
+  confirmations: 0,
+  created_at: new Date().toISOString(),
+  transactions: {
+    id: '77777777-7777-4777-8777-777777777777',
+    sender_id: SENDER_ID,
+    status: 'pending',
+    type: 'transfer'
+  },
+  ...overrides
+});
+
+const mockConnection = (statuses) => ({
+  getSignatureStatuses: vi.fn().mockResolvedValue({ context: { slot: 1 }, value: statuses })
+});
+
+describe('⛓️ Solana Confirmation Worker', () => {
+  let updateDetailSpy;
+  let updateStatusSpy;
+
+  beforeEach(() => {
+    updateDetailSpy = vi.spyOn(TransactionDetail, 'update').mockResolvedValue({});
+    updateStatusSpy = vi.spyOn(TransactionService, 'updateTransactionStatus').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should complete finalized transactions', async () => {
+    vi.spyOn(TransactionDetail, 'findPendingByNetwork').mockResolvedValue([buildDetail()]);
+    const connection = mockConnection([{ slot: 1234, confirmations: null, err: null, confirmationStatus: 'finalized' }]);
+
+    const worker = new SolanaConfirmationWorker({ connection });
+    const summary = await worker.pollOnce();
+
+    expect(connection.getSignatureStatuses).toHaveBeenCalledWith(['5sigAAAA'], { searchTransactionHistory: true });
+    expect(summary.completed).toBe(1);
+    expect(updateDetailSpy).toHaveBeenCalledWith(buildDetail().transaction_id, {
+      confirmations: FINALIZED_CONFIRMATIONS,
+      block_number: 1234
+    });
+    expect(updateStatusSpy).toHaveBeenCalledWith(
+      SENDER_ID,
+      buildDetail().transactions.id,
+      'completed',
+      expect.objectContaining({ txHash: '5sigAAAA', oldStatus: 'pending' })
+    );
+  });
+
+  it('should fail transactions with an on-chain error', async () => {
+    vi.spyOn(TransactionDetail, 'findPendingByNetwork').mockResolvedValue([buildDetail()]);
+    const connection = mockConnection([{ slot: 99, confirmations: 3, err: { InstructionError: [0, 'Custom'] }, confirmationStatus: 'confirmed' }]);
+
+    const summary = await new SolanaConfirmationWorker({ connection }).pollOnce();
+
+    expect(summary.failed).toBe(1);
+    expect(updateStatusSpy).toHaveBeenCalledWith(
+      SENDER_ID,
+      expect.any(String),
+      'failed',
+      expect.objectContaining({ errorReason: expect.stringContaining('InstructionError') })
+    );
+  });
+
+  it('should record confirmations and mark processing until the commitment is reached', async () => {
+    vi.spyOn(TransactionDetail, 'findPendingByNetwork').mockResolvedValue([buildDetail()]);
+    const connection = mockConnection([{ slot: 50, confirmations: 5, err: null, confirmationStatus: 'confirmed' }]);
+
+    const summary = await new SolanaConfirmationWorker({ connection, commitment: 'finalized' }).pollOnce();
+
+    expect(summary.pending).toBe(1);
+    expect(updateDetailSpy).toHaveBeenCalledWith(buildDetail().transaction_id, { confirmations: 5, block_number: 50 });
+    expect(updateStatusSpy).toHaveBeenCalledWith(SENDER_ID, expect.any(String), 'processing', expect.any(Object));
+  });
+
+  it('should wait for unknown signatures and fail them after the timeout', async () => {
+    const fresh = buildDetail();
+    const stale = buildDetail({
+      transaction_id: '88888888-8888-4888-8888-888888888888',
+      tx_hash: '5sigBBBB',
+      created_at: new Date(Date.now() - 20 * 60 * 1000).toISOString(),
+      transactions: { ...buildDetail().transactions, id: '88888888-8888-4888-8888-888888888888' }
+    });
+    vi.spyOn(TransactionDetail, 'findPendingByNetwork').mockResolvedValue([fresh, stale]);
+    const connection = mockConnection([null, null]);
+
+    const summary = await new SolanaConfirmationWorker({ connection }).pollOnce();
+
+    expect(summary).toMatchObject({ pending: 1, failed: 1 });
+    expect(updateStatusSpy).toHaveBeenCalledTimes(1);
+    expect(updateStatusSpy.mock.calls[0][1]).toBe(stale.transactions.id);
+  });
+});
+
+describe('⛓️ Solana transfer lifecycle', () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: SENDER_ID };
+    next();
+  });
+  app.post('/tokens/:symbol/transfer/prepare', solanaController.prepareTokenTransfer);
+  app.post('/tokens/:symbol/transfer/complete', solanaController.completeTokenTransfer);
+
+  beforeEach(() => {
+    database.reset();
+    vi.spyOn(webhookService, 'emitTransactionStatusEvent').mockResolvedValue();
+    vi.spyOn(TransactionService, 'logTransactionActivity').mockResolvedValue();
+    solanaService.prepareTokenTransfer = vi.fn().mockResolvedValue({
+      success: true,
+      transaction: 'c2VyaWFsaXplZA==',
+      transactionId: 'sol_prepared_1'
+    });
+    solanaService.completeTokenTransfer = vi.fn().mockResolvedValue({
+      success: true,
+      signature: '5sigLIFE',
+      confirmations: 1
+    });
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    delete solanaService.prepareTokenTransfer;
+    delete solanaService.completeTokenTransfer;
+  });
+
+  it('should resolve a prepared and sent transfer once it is finalized', async () => {
+    const prepared = await request(app)
+      .post('/tokens/usdt/transfer/prepare')
+      .send({ fromWallet: 'SenderWallet111', toWallet: 'ReceiverWallet111', amount: 12.5 });
+    expect(prepared.status).toBe(200);
+
+    const { transactionId } = prepared.body.data;
+    const [stored] = database.table('transactions');
+    expect(stored).toMatchObject({
+      id: transactionId,
+      reference: 'sol_prepared_1',
+      sender_id: SENDER_ID,
+      type: 'transfer',
+      status: 'pending',
+      asset_symbol: 'USDT'
+    });
+
+    const completed = await request(app)
+      .post('/tokens/usdt/transfer/complete')
+      .send({ serializedTransaction: 'c2lnbmVk', transactionId });
+    expect(completed.status).toBe(200);
+    expect(database.table('transactions')[0].status).toBe('processing');
+
+    const connection = mockConnection([{ slot: 4321, confirmations: null, err: null, confirmationStatus: 'finalized' }]);
+    const summary = await new SolanaConfirmationWorker({ connection }).pollOnce();
+
+    expect(connection.getSignatureStatuses).toHaveBeenCalledWith(['5sigLIFE'], { searchTransactionHistory: true });
+    expect(summary).toMatchObject({ completed: 1, failed: 0, pending: 0 });
+    expect(database.table('transactions')[0].status).toBe('completed');
+    expect(database.table('transaction_details')[0]).toMatchObject({ confirmations: FINALIZED_CONFIRMATIONS, block_number: 4321 });
+
+    const again = await request(app)
+      .post('/tokens/usdt/transfer/complete')
+      .send({ serializedTransaction: 'c2lnbmVk', transactionId });
+    expect(again.status).toBe(409);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import SupportedAsset from '../../../models/SupportedAsset.js';
+
+// tests/setup mocks solanaService globally
+const { default: solanaService } = await vi.importActual('../../../services/solanaService.js');
+
+const SENDER = '7xKXtg2CW87d97TXJSDpbD5jBkheTqA83TZRuJosgAsU';
+const RECEIVER = '4fYNw3dojWmQ4dXtSGE9epjRGy9pFSx62YypT7avPYvA';
+
+const ASSETS = {
+  USDT: { symbol: 'USDT', name: 'Tether USD', decimals: 6, solana_mint_address: 'Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB', min_amount: '0.000001', max_amount: '1000000' },
+  BONK: { symbol: 'BONK', name: 'Bonk', decimals: 5, solana_mint_address: 'DezXAZ8z7PnrnRJjz3wXBoRgixCa6xjnB7YaB1pPB263', min_amount: '1', max_amount: '50000' }
+};
+
+describe('🪙 Solana Service - SPL tokens', () => {
+  let findTokenSpy;
+
+  beforeEach(() => {
+    solanaService.tokenCache.clear();
+    findTokenSpy = vi.spyOn(SupportedAsset, 'findSolanaToken').mockImplementation(async (symbol) => ASSETS[symbol] || null);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should resolve mint and decimals from supported_assets and cache them', async () => {
+    const token = await solanaService.getToken('bonk');
+    await solanaService.getToken('BONK');
+
+    expect(token.symbol).toBe('BONK');
+    expect(token.decimals).toBe(5);
+    expect(token.mint.toString()).toBe(ASSETS.BONK.solana_mint_address);
+    expect(findTokenSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reject tokens without a Solana mint', async () => {
+    await expect(solanaService.getToken('DOGE')).rejects.toThrow('Unsupported token: DOGE');
+  });
+
+  it('should convert amounts to base units using the token decimals', () => {
+    expect(solanaService.toBaseUnits(10.5, 6)).toBe(10500000n);
+    expect(solanaService.toBaseUnits(0.1, 6)).toBe(100000n);
+    expect(solanaService.toBaseUnits(3, 0)).toBe(3n);
+  });
+
+  it('should apply the asset limits per token', async () => {
+    const bonk = await solanaService.getToken('BONK');
+
+    await expect(solanaService.validateTransferInputs(SENDER, RECEIVER, 0.5, bonk)).rejects.toThrow('below minimum');
+    await expect(solanaService.validateTransferInputs(SENDER, RECEIVER, 60000, bonk)).rejects.toThrow('maximum limit of 50000 BONK');
+    await expect(solanaService.validateTransferInputs(SENDER, RECEIVER, 40000, bonk)).resolves.toBeUndefined();
+  });
+
+  it('should keep the configured USDT cap below the asset maximum', async () => {
+    const usdt = await solanaService.getToken('USDT');
+
+    await expect(
+      solanaService.validateTransferInputs(SENDER, RECEIVER, solanaService.maxUSDTPerTransaction + 1, usdt)
+    ).rejects.toThrow(`maximum limit of ${solanaService.maxUSDTPerTransaction} USDT`);
+  });
+
+  it('should not charge token account rent when the receiver already has an account', async () => {
+    const fee = await solanaService.estimateTransactionFee({ symbol: 'USDT', createsTokenAccount: false });
+
+    expect(fee.tokenAccountFee).toBe(0);
+    expect(fee.totalLamports).toBe(fee.baseFee);
+    expect(fee.token).toBe('USDT');
+  });
+
+  it('should keep reporting the USDT mint next to the token list', async () => {
+    vi.spyOn(SupportedAsset, 'findSolanaTokens').mockResolvedValue(Object.values(ASSETS));
+    vi.spyOn(solanaService, 'checkFeePayerBalance').mockResolvedValue({ balance: 1, sufficient: true });
+    vi.spyOn(solanaService, 'estimateTransactionFee').mockResolvedValue({ totalLamports: 5000 });
+
+    const stats = await solanaService.getServiceStats();
+
+    expect(stats.usdtMint).toBe(ASSETS.USDT.solana_mint_address);
+    expect(stats.tokens.map(token => token.symbol)).toEqual(['USDT', 'BONK']);
+  });
+});
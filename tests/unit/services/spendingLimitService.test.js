@@ -0,0 +1,106 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import SpendingLimitService from '../../../services/spendingLimitService.js';
+import UserSettings from '../../../models/UserSettings.js';
+
+const USER_ID = '33333333-3333-4333-8333-333333333333';
+
+describe('💳 Spending Limit Service', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  describe('getDayWindow', () => {
+    it('should use UTC midnight for UTC users', () => {
+      const { start, end } = SpendingLimitService.getDayWindow('UTC', new Date('2025-07-02T15:30:00Z'));
+
+      expect(start.toISOString()).toBe('2025-07-02T00:00:00.000Z');
+      expect(end.toISOString()).toBe('2025-07-03T00:00:00.000Z');
+    });
+
+    it('should use local midnight for users ahead of UTC', () => {
+      // 23:30 UTC is already the next day in Riyadh (UTC+3)
+      const { start, end } = SpendingLimitService.getDayWindow('Asia/Riyadh', new Date('2025-07-02T23:30:00Z'));
+
+      expect(start.toISOString()).toBe('2025-07-02T21:00:00.000Z');
+      expect(end.toISOString()).toBe('2025-07-03T21:00:00.000Z');
+    });
+
+    it('should handle days shortened by a DST change', () => {
+      const { start, end } = SpendingLimitService.getDayWindow('Europe/Berlin', new Date('2025-03-30T12:00:00Z'));
+
+      expect(start.toISOString()).toBe('2025-03-29T23:00:00.000Z');
+      expect(end.toISOString()).toBe('2025-03-30T22:00:00.000Z');
+    });
+
+    it('should fall back to UTC for unknown timezones', () => {
+      const { start } = SpendingLimitService.getDayWindow('Mars/Olympus', new Date('2025-07-02T15:30:00Z'));
+
+      expect(start.toISOString()).toBe('2025-07-02T00:00:00.000Z');
+    });
+  });
+
+  describe('assertWithinDailyLimit', () => {
+    it('should allow any amount when no limit is set', async () => {
+      vi.spyOn(UserSettings, 'findByUserId').mockResolvedValue({ user_id: USER_ID, daily_limit: null });
+      vi.spyOn(SpendingLimitService, 'getSpentBetween').mockResolvedValue({ USDT: 5000 });
+
+      const status = await SpendingLimitService.assertWithinDailyLimit(USER_ID, 10000, 'USDT');
+      expect(status.unlimited).toBe(true);
+    });
+
+    it('should allow amounts up to the remaining limit', async () => {
+      vi.spyOn(UserSettings, 'findByUserId').mockResolvedValue({ user_id: USER_ID, daily_limit: '500.00' });
+      vi.spyOn(SpendingLimitService, 'getSpentBetween').mockResolvedValue({ USDT: 400 });
+
+      const status = await SpendingLimitService.assertWithinDailyLimit(USER_ID, 100, 'USDT');
+      expect(status.remaining).toBe(100);
+    });
+
+    it('should reject amounts over the remaining limit', async () => {
+      vi.spyOn(UserSettings, 'findByUserId').mockResolvedValue({ user_id: USER_ID, daily_limit: '500.00' });
+      vi.spyOn(SpendingLimitService, 'getSpentBetween').mockResolvedValue({ USDT: 400 });
+
+      const error = await SpendingLimitService.assertWithinDailyLimit(USER_ID, 100.01, 'USDT').catch(e => e);
+
+      expect(error).toBeInstanceOf(Error);
+      expect(SpendingLimitService.isDailyLimitError(error)).toBe(true);
+    });
+
+    it('should count spending in each asset separately', async () => {
+      vi.spyOn(UserSettings, 'findByUserId').mockResolvedValue({ user_id: USER_ID, daily_limit: '500.00' });
+      vi.spyOn(SpendingLimitService, 'getSpentBetween').mockResolvedValue({ USDT: 450, SOL: 1 });
+
+      const status = await SpendingLimitService.assertWithinDailyLimit(USER_ID, 400, 'sol');
+      expect(status).toMatchObject({ assetSymbol: 'SOL', used: 1, remaining: 499 });
+
+      await expect(SpendingLimitService.assertWithinDailyLimit(USER_ID, 50, 'USDT')).resolves.toMatchObject({ used: 450 });
+
+      const error = await SpendingLimitService.assertWithinDailyLimit(USER_ID, 51, 'USDT').catch(e => e);
+      expect(SpendingLimitService.isDailyLimitError(error)).toBe(true);
+    });
+
+    it('should report used and remaining amounts in the user timezone', async () => {
+      vi.spyOn(UserSettings, 'findByUserId').mockResolvedValue({
+        user_id: USER_ID,
+        daily_limit: '250',
+        timezone: 'Asia/Riyadh'
+      });
+      const spentSpy = vi.spyOn(SpendingLimitService, 'getSpentBetween').mockResolvedValue({ USDT: 300, SOL: 2 });
+
+      const status = await SpendingLimitService.getDailyLimitStatus(USER_ID, null, new Date('2025-07-02T23:30:00Z'));
+
+      expect(spentSpy).toHaveBeenCalledWith(
+        USER_ID,
+        new Date('2025-07-02T21:00:00.000Z'),
+        new Date('2025-07-03T21:00:00.000Z')
+      );
+      expect(status).toMatchObject({
+        dailyLimit: 250,
+        used: 300,
+        remaining: 0,
+        usedByAsset: { USDT: 300, SOL: 2 },
+        timezone: 'Asia/Riyadh'
+      });
+    });
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import bcrypt from 'bcryptjs';
+import { database } from '../../../database/index.js';
+import TransactionPinService from '../../../services/transactionPinService.js';
+import UserAuth from '../../../models/UserAuth.js';
+import UserSession from '../../../models/UserSession.js';
+import ActivityLogger from '../../../services/activityLogger.js';
+import notificationService from '../../../services/notificationService.js';
+import { TRANSACTION_PIN, PIN_ERRORS } from '../../../constants/securityConstants.js';
+import { NOTIFICATION_TYPES } from '../../../constants/notificationConstants.js';
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const PIN = '2580';
+const PIN_HASH = bcrypt.hashSync(PIN, 4); // low cost keeps the suite fast; compare() reads the cost from the hash
+
+const authRow = (overrides = {}) => ({
+  user_id: USER_ID,
+  transaction_pin_hash: PIN_HASH,
+  transaction_pin_salt: 'salt',
+  transaction_pin_attempts: 0,
+  transaction_pin_locked_until: null,
+  ...overrides
+});
+
+describe('🔢 Transaction PIN Service', () => {
+  let logPinSpy;
+
+  beforeEach(() => {
+    logPinSpy = vi.spyOn(ActivityLogger, 'logPIN').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should reject malformed and easily guessed PINs', () => {
+    expect(() => TransactionPinService.validatePinFormat('12a4')).toThrow(PIN_ERRORS.INVALID_FORMAT);
+    expect(() => TransactionPinService.validatePinFormat('123')).toThrow(PIN_ERRORS.INVALID_FORMAT);
+    expect(() => TransactionPinService.validatePinFormat('1111')).toThrow(PIN_ERRORS.WEAK_PIN);
+    expect(() => TransactionPinService.validatePinFormat('123456')).toThrow(PIN_ERRORS.WEAK_PIN);
+    expect(() => TransactionPinService.validatePinFormat('9876')).toThrow(PIN_ERRORS.WEAK_PIN);
+    expect(() => TransactionPinService.validatePinFormat(PIN)).not.toThrow();
+  });
+
+  it('should store a hash, never the PIN, and refuse to overwrite an existing PIN', async () => {
+    vi.spyOn(UserAuth, 'findByUserId').mockResolvedValueOnce(null);
+    vi.spyOn(TransactionPinService, 'hashPin').mockResolvedValue({ hash: 'hashed', salt: 'salt' });
+    const setSpy = vi.spyOn(UserAuth, 'setTransactionPin').mockResolvedValue({});
+    const requirementSpy = vi.spyOn(TransactionPinService, 'setRequirement').mockResolvedValue();
+    vi.spyOn(TransactionPinService, 'getStatus').mockResolvedValue({ isSet: true, enabled: true });
+
+    await TransactionPinService.setPin(USER_ID, PIN);
+
+    expect(setSpy).toHaveBeenCalledWith(USER_ID, 'hashed', 'salt');
+    expect(requirementSpy).toHaveBeenCalledWith(USER_ID, true);
+    expect(logPinSpy).toHaveBeenCalledWith(expect.objectContaining({ type: 'created' }));
+
+    UserAuth.findByUserId.mockResolvedValueOnce(authRow());
+    await expect(TransactionPinService.setPin(USER_ID, PIN)).rejects.toThrow(PIN_ERRORS.ALREADY_SET);
+  });
+
+  it('should count failed attempts and lock the PIN at the limit', async () => {
+    database.reset();
+    database.seed('user_auth', authRow({ transaction_pin_attempts: TRANSACTION_PIN.MAX_FAILED_ATTEMPTS - 2 }));
+    const alertSpy = vi.spyOn(notificationService, 'sendSecurityAlert').mockResolvedValue();
+
+    const first = await TransactionPinService.verifyPin(USER_ID, '0000');
+    expect(first).toMatchObject({ valid: false, remainingAttempts: 1, locked: false, lockedUntil: null });
+    expect(alertSpy).not.toHaveBeenCalled();
+
+    const second = await TransactionPinService.verifyPin(USER_ID, '0000');
+    expect(second).toMatchObject({ valid: false, remainingAttempts: 0, locked: true });
+    expect(second.lockedUntil).toEqual(expect.any(String));
+    expect(alertSpy).toHaveBeenCalledWith(USER_ID, expect.objectContaining({ type: NOTIFICATION_TYPES.PIN_LOCKED }));
+    expect(logPinSpy).toHaveBeenLastCalledWith(expect.objectContaining({
+      type: 'failed',
+      success: false,
+      attempts: TRANSACTION_PIN.MAX_FAILED_ATTEMPTS
+    }));
+  });
+
+  it('should lock after the limit even when wrong PINs arrive in parallel', async () => {
+    database.reset();
+    database.seed('user_auth', authRow());
+    const alertSpy = vi.spyOn(notificationService, 'sendSecurityAlert').mockResolvedValue();
+
+    const results = await Promise.all(
+      Array.from({ length: TRANSACTION_PIN.MAX_FAILED_ATTEMPTS + 2 }, () => TransactionPinService.verifyPin(USER_ID, '0000'))
+    );
+
+    const [stored] = database.table('user_auth');
+    expect(stored.transaction_pin_attempts).toBe(TRANSACTION_PIN.MAX_FAILED_ATTEMPTS);
+    expect(TransactionPinService.isLocked(stored)).toBe(true);
+    expect(results.filter(result => result.locked)).toHaveLength(3);
+    expect(alertSpy).toHaveBeenCalledTimes(1);
+
+    await expect(TransactionPinService.verifyPin(USER_ID, PIN)).resolves.toMatchObject({ valid: false, locked: true });
+  });
+
+  it('should start a fresh count once a lock has run out', async () => {
+    database.reset();
+    database.seed('user_auth', authRow({
+      transaction_pin_attempts: TRANSACTION_PIN.MAX_FAILED_ATTEMPTS,
+      transaction_pin_locked_until: new Date(Date.now() - 1000).toISOString()
+    }));
+
+    const result = await TransactionPinService.verifyPin(USER_ID, '0000');
+
+    expect(result).toMatchObject({ valid: false, remainingAttempts: TRANSACTION_PIN.MAX_FAILED_ATTEMPTS - 1, locked: false });
+  });
+
+  it('should refuse even the correct PIN while locked', async () => {
+    const lockedUntil = new Date(Date.now() + 60 * 1000).toISOString();
+    vi.spyOn(UserAuth, 'findByUserId').mockResolvedValue(authRow({ transaction_pin_locked_until: lockedUntil }));
+    const compareSpy = vi.spyOn(bcrypt, 'compare');
+
+    const result = await TransactionPinService.verifyPin(USER_ID, PIN);
+
+    expect(result).toEqual({ valid: false, remainingAttempts: 0, locked: true, lockedUntil });
+    expect(compareSpy).not.toHaveBeenCalled();
+  });
+
+  it('should reset the counter after a correct PIN', async () => {
+    vi.spyOn(UserAuth, 'findByUserId').mockResolvedValue(authRow({ transaction_pin_attempts: 2 }));
+    const resetSpy = vi.spyOn(UserAuth, 'resetTransactionPinAttempts').mockResolvedValue({});
+
+    const result = await TransactionPinService.verifyPin(USER_ID, PIN);
+
+    expect(result.valid).toBe(true);
+    expect(resetSpy).toHaveBeenCalledWith(USER_ID);
+  });
+
+  it('should only treat recent verifications on the same user session as valid', async () => {
+    const now = new Date();
+    const session = (overrides) => new UserSession({
+      user_id: USER_ID,
+      session_token: 'token',
+      is_active: true,
+      expires_at: new Date(now.getTime() + 60 * 60 * 1000).toISOString(),
+      pin_verified: true,
+      pin_verified_at: new Date(now.getTime() - 60 * 1000).toISOString(),
+      ...overrides
+    });
+    const findSpy = vi.spyOn(UserSession, 'findByToken');
+
+    findSpy.mockResolvedValueOnce(session());
+    expect(await TransactionPinService.isSessionVerified(USER_ID, 'token', now)).toBe(true);
+
+    findSpy.mockResolvedValueOnce(session({
+      pin_verified_at: new Date(now.getTime() - TRANSACTION_PIN.VERIFICATION_TTL_MS - 1).toISOString()
+    }));
+    expect(await TransactionPinService.isSessionVerified(USER_ID, 'token', now)).toBe(false);
+
+    findSpy.mockResolvedValueOnce(session({ user_id: '22222222-2222-4222-8222-222222222222' }));
+    expect(await TransactionPinService.isSessionVerified(USER_ID, 'token', now)).toBe(false);
+
+    expect(await TransactionPinService.isSessionVerified(USER_ID, undefined, now)).toBe(false);
+  });
+});
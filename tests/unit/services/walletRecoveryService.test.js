@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import WalletRecoveryService from '../../../services/walletRecoveryService.js';
+import WalletRecoveryToken from '../../../models/WalletRecoveryToken.js';
+import Wallet from '../../../models/Wallet.js';
+import User from '../../../models/User.js';
+import ActivityLogger from '../../../services/activityLogger.js';
+import emailService from '../../../services/emailService.js';
+import { RECOVERY_ERRORS, RECOVERY_TOKEN } from '../../../constants/walletRecoveryConstants.js';
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const WALLET_ID = '22222222-2222-4222-8222-222222222222';
+
+const wallet = { id: WALLET_ID, user_id: USER_ID, wallet_address: 'So1anaAddress', wallet_type: 'custodial', status: 'active' };
+
+describe('🔐 Wallet Recovery Service', () => {
+  let logSecuritySpy;
+
+  beforeEach(() => {
+    process.env.WALLET_RECOVERY_SECRET = 'test-recovery-secret';
+    logSecuritySpy = vi.spyOn(ActivityLogger, 'logSecurity').mockResolvedValue(null);
+    vi.spyOn(Wallet, 'findById').mockResolvedValue(wallet);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    delete process.env.WALLET_RECOVERY_SECRET;
+  });
+
+  it('should only accept tokens signed with the recovery secret', () => {
+    const { id, token } = WalletRecoveryService.generateToken();
+
+    expect(WalletRecoveryService.parseToken(token)).toBe(id);
+    expect(WalletRecoveryService.parseToken(`${token}x`)).toBeNull();
+    expect(WalletRecoveryService.parseToken(`${id}.forged.signature`)).toBeNull();
+    expect(WalletRecoveryService.parseToken('not-a-token')).toBeNull();
+  });
+
+  it('should store only the token hash and send the link by email', async () => {
+    vi.spyOn(WalletRecoveryToken, 'countIssuedSince').mockResolvedValue(0);
+    vi.spyOn(WalletRecoveryToken, 'revokeActiveForWallet').mockResolvedValue(1);
+    const createSpy = vi.spyOn(WalletRecoveryToken, 'create').mockImplementation(async (data) => data);
+    vi.spyOn(User, 'findByPk').mockResolvedValue({ id: USER_ID, email: 'sara@example.com', email_verified: true });
+    const sendSpy = vi.spyOn(emailService, 'sendEmail').mockResolvedValue({ messageId: 'm1' });
+
+    const result = await WalletRecoveryService.issueRecoveryToken({ userId: USER_ID, walletId: WALLET_ID });
+
+    const sentToken = decodeURIComponent(sendSpy.mock.calls[0][2].match(/token=(\S+)/)[1]);
+    const stored = createSpy.mock.calls[0][0];
+    expect(stored.token_hash).toBe(WalletRecoveryService.hashToken(sentToken));
+    expect(JSON.stringify(stored)).not.toContain(sentToken);
+    expect(result.destination).toBe('s***@example.com');
+    expect(logSecuritySpy).toHaveBeenCalledWith(expect.objectContaining({ action: 'Wallet recovery link issued' }));
+  });
+
+  it('should refuse new links after the daily limit', async () => {
+    vi.spyOn(WalletRecoveryToken, 'countIssuedSince').mockResolvedValue(RECOVERY_TOKEN.MAX_REQUESTS_PER_DAY);
+
+    await expect(
+      WalletRecoveryService.issueRecoveryToken({ userId: USER_ID, walletId: WALLET_ID })
+    ).rejects.toThrow(RECOVERY_ERRORS.TOO_MANY_REQUESTS);
+  });
+
+  it('should redeem a token only once', async () => {
+    const { id, token } = WalletRecoveryService.generateToken();
+    const row = { id, user_id: USER_ID, wallet_id: WALLET_ID, channel: 'email', used_at: new Date().toISOString() };
+    vi.spyOn(WalletRecoveryToken, 'markUsed')
+      .mockResolvedValueOnce(row)
+      .mockResolvedValueOnce(null);
+    vi.spyOn(WalletRecoveryToken, 'findById').mockResolvedValue(row);
+
+    const first = await WalletRecoveryService.verifyRecoveryToken(token);
+    expect(first.userId).toBe(USER_ID);
+    expect(first.wallet.id).toBe(WALLET_ID);
+
+    await expect(WalletRecoveryService.verifyRecoveryToken(token)).rejects.toThrow(RECOVERY_ERRORS.INVALID_TOKEN);
+    expect(logSecuritySpy).toHaveBeenLastCalledWith(expect.objectContaining({
+      success: false,
+      details: expect.objectContaining({ reason: 'already_used' })
+    }));
+  });
+
+  it('should reject forged tokens without touching the database', async () => {
+    const markUsedSpy = vi.spyOn(WalletRecoveryToken, 'markUsed');
+
+    await expect(
+      WalletRecoveryService.verifyRecoveryToken('00000000-0000-4000-8000-000000000000.abc.def')
+    ).rejects.toThrow(RECOVERY_ERRORS.INVALID_TOKEN);
+    expect(markUsedSpy).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { WebhookService } from '../../../services/webhookService.js';
+import WebhookEndpoint from '../../../models/WebhookEndpoint.js';
+import WebhookDelivery from '../../../models/WebhookDelivery.js';
+import { WEBHOOK_DELIVERY, WEBHOOK_DELIVERY_STATUS } from '../../../constants/webhookConstants.js';
+
+const ENDPOINT_ID = '88888888-8888-4888-8888-888888888888';
+const DELIVERY_ID = '99999999-9999-4999-8999-999999999999';
+
+const buildDelivery = (overrides = {}) => ({
+  id: DELIVERY_ID,
+  endpoint_id: ENDPOINT_ID,
+  event_id: 'evt_1',
+  event_type: 'transaction.completed',
+  payload: { id: 'evt_1', type: 'transaction.completed', data: {} },
+  status: WEBHOOK_DELIVERY_STATUS.PENDING,
+  attempt_count: 0,
+  ...overrides
+});
+
+describe('🪝 Webhook Service', () => {
+  let service;
+  let httpClient;
+  let lookup;
+  let updateSpy;
+
+  beforeEach(() => {
+    httpClient = vi.fn();
+    lookup = vi.fn().mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+    service = new WebhookService({ httpClient, lookup });
+
+    vi.spyOn(WebhookEndpoint, 'findByIdWithSecret').mockResolvedValue({
+      id: ENDPOINT_ID,
+      url: 'https://merchant.example.com/hooks',
+      secret: 'whsec_test',
+      is_active: true
+    });
+    vi.spyOn(WebhookDelivery, 'claimAttempt').mockImplementation(async (id, attemptCount) =>
+      buildDelivery({ attempt_count: attemptCount + 1 })
+    );
+    updateSpy = vi.spyOn(WebhookDelivery, 'update').mockImplementation(async (id, data) => ({ id, ...data }));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should produce signatures that verify with the same secret only', () => {
+    const body = JSON.stringify({ hello: 'world' });
+    const header = service.signPayload('whsec_test', body);
+
+    expect(header).toMatch(/^t=\d+,v1=[0-9a-f]{64}$/);
+    expect(service.verifySignature('whsec_test', body, header)).toBe(true);
+    expect(service.verifySignature('whsec_other', body, header)).toBe(false);
+    expect(service.verifySignature('whsec_test', `${body} `, header)).toBe(false);
+  });
+
+  it('should reject stale signatures', () => {
+    const body = '{}';
+    const staleTimestamp = Math.floor(Date.now() / 1000) - 3600;
+    const header = service.signPayload('whsec_test', body, staleTimestamp);
+
+    expect(service.verifySignature('whsec_test', body, header)).toBe(false);
+  });
+
+  it('should back off exponentially up to the maximum delay', () => {
+    expect(service.getRetryDelay(1)).toBe(WEBHOOK_DELIVERY.BASE_RETRY_DELAY_MS);
+    expect(service.getRetryDelay(2)).toBe(WEBHOOK_DELIVERY.BASE_RETRY_DELAY_MS * 2);
+    expect(service.getRetryDelay(3)).toBe(WEBHOOK_DELIVERY.BASE_RETRY_DELAY_MS * 4);
+    expect(service.getRetryDelay(50)).toBe(WEBHOOK_DELIVERY.MAX_RETRY_DELAY_MS);
+  });
+
+  it('should send a signed request and mark the delivery succeeded', async () => {
+    httpClient.mockResolvedValue({ ok: true, status: 200 });
+
+    const result = await service.attemptDelivery(buildDelivery());
+
+    const [url, request] = httpClient.mock.calls[0];
+    expect(url).toBe('https://merchant.example.com/hooks');
+    expect(service.verifySignature('whsec_test', request.body, request.headers[WEBHOOK_DELIVERY.SIGNATURE_HEADER])).toBe(true);
+    expect(request.headers[WEBHOOK_DELIVERY.DELIVERY_HEADER]).toBe(DELIVERY_ID);
+    expect(result.status).toBe(WEBHOOK_DELIVERY_STATUS.SUCCEEDED);
+    expect(result.last_response_status).toBe(200);
+  });
+
+  it('should schedule a retry when the endpoint fails', async () => {
+    httpClient.mockResolvedValue({ ok: false, status: 500 });
+
+    const before = Date.now();
+    const result = await service.attemptDelivery(buildDelivery());
+
+    expect(result.status).toBe(WEBHOOK_DELIVERY_STATUS.PENDING);
+    expect(result.last_error).toBe('Endpoint responded with HTTP 500');
+    expect(new Date(result.next_attempt_at).getTime()).toBeGreaterThanOrEqual(before + WEBHOOK_DELIVERY.BASE_RETRY_DELAY_MS);
+  });
+
+  it('should give up after the maximum number of attempts', async () => {
+    httpClient.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+    const result = await service.attemptDelivery(buildDelivery({ attempt_count: WEBHOOK_DELIVERY.MAX_ATTEMPTS - 1 }));
+
+    expect(result.status).toBe(WEBHOOK_DELIVERY_STATUS.FAILED);
+    expect(result.next_attempt_at).toBeNull();
+    expect(result.last_error).toBe('connect ECONNREFUSED');
+  });
+
+  it('should skip deliveries claimed by another worker', async () => {
+    WebhookDelivery.claimAttempt.mockResolvedValue(null);
+
+    const result = await service.attemptDelivery(buildDelivery());
+
+    expect(result).toBeNull();
+    expect(httpClient).not.toHaveBeenCalled();
+    expect(updateSpy).not.toHaveBeenCalled();
+  });
+
+  it('should only accept https URLs on public hosts', async () => {
+    await expect(service.validateUrl('https://merchant.example.com/hooks')).resolves.toBeUndefined();
+    await expect(service.validateUrl('http://merchant.example.com/hooks')).rejects.toThrow('Webhook URL must use https');
+    await expect(service.validateUrl('https://localhost/hooks')).rejects.toThrow('Webhook URL must point to a public host');
+    await expect(service.validateUrl('https://metadata.internal/hooks')).rejects.toThrow('Webhook URL must point to a public host');
+
+    for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.1', '169.254.169.254']) {
+      lookup.mockResolvedValueOnce([{ address, family: 4 }]);
+      await expect(service.validateUrl('https://merchant.example.com/hooks')).rejects.toThrow('Webhook URL must point to a public host');
+    }
+
+    for (const address of ['::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+      lookup.mockResolvedValueOnce([{ address, family: 6 }]);
+      await expect(service.validateUrl('https://merchant.example.com/hooks')).rejects.toThrow('Webhook URL must point to a public host');
+    }
+  });
+
+  it('should reject a host if any of its addresses is private', async () => {
+    lookup.mockResolvedValue([
+      { address: '93.184.216.34', family: 4 },
+      { address: '10.0.0.1', family: 4 }
+    ]);
+    const createSpy = vi.spyOn(WebhookEndpoint, 'create');
+
+    await expect(service.createEndpoint({ url: 'https://merchant.example.com/hooks', eventTypes: [] }, { userId: 'u1' }))
+      .rejects.toThrow('Webhook URL must point to a public host');
+    expect(createSpy).not.toHaveBeenCalled();
+  });
+
+  it('should not deliver once the endpoint host resolves to a private address', async () => {
+    lookup.mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+
+    const result = await service.attemptDelivery(buildDelivery());
+
+    expect(httpClient).not.toHaveBeenCalled();
+    expect(result.status).toBe(WEBHOOK_DELIVERY_STATUS.PENDING);
+    expect(result.last_error).toBe('Webhook URL must point to a public host');
+  });
+
+  it('should not connect when the host rebinds to a private address after validation', async () => {
+    lookup
+      .mockResolvedValueOnce([{ address: '93.184.216.34', family: 4 }])
+      .mockResolvedValue([{ address: '169.254.169.254', family: 4 }]);
+    const connecting = new WebhookService({ lookup });
+
+    const result = await connecting.attemptDelivery(buildDelivery());
+
+    expect(lookup).toHaveBeenCalledTimes(2);
+    expect(result.status).toBe(WEBHOOK_DELIVERY_STATUS.PENDING);
+    expect(result.last_error).toBe('Webhook URL must point to a public host');
+  });
+
+  it('should hand the connection the addresses it checked', async () => {
+    const resolve = (options) => new Promise((done, fail) =>
+      service.safeLookup('merchant.example.com', options, (error, ...result) => (error ? fail(error) : done(result))));
+
+    await expect(resolve({ all: true })).resolves.toEqual([[{ address: '93.184.216.34', family: 4 }]]);
+    await expect(resolve({})).resolves.toEqual(['93.184.216.34', 4]);
+
+    lookup.mockResolvedValue([{ address: '93.184.216.34', family: 4 }, { address: '::ffff:127.0.0.1', family: 6 }]);
+    await expect(resolve({ all: true })).rejects.toThrow('Webhook URL must point to a public host');
+  });
+});
@@ -0,0 +1,172 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import crypto from 'crypto';
+import whatsappService, {
+  WhatsAppService,
+  FakeWhatsAppProvider,
+  CloudApiWhatsAppProvider
+} from '../../../services/whatsappService.js';
+import notificationService from '../../../services/notificationService.js';
+import WhatsAppMessage from '../../../models/WhatsAppMessage.js';
+import UserSettings from '../../../models/UserSettings.js';
+import NotificationInboxService from '../../../services/notificationInboxService.js';
+import { WHATSAPP_TEMPLATES } from '../../../constants/whatsappConstants.js';
+
+const USER_ID = '11111111-1111-4111-8111-111111111111';
+const PHONE = '+966501234567';
+
+const transactionData = {
+  transactionId: 'tx-1',
+  type: 'transfer',
+  amount: 25,
+  assetSymbol: 'USDT',
+  reference: 'REF-1'
+};
+
+describe('💬 WhatsApp Service', () => {
+  let provider;
+  let service;
+
+  beforeEach(() => {
+    provider = new FakeWhatsAppProvider();
+    service = new WhatsAppService(provider);
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should render templates per locale and fall back to English', () => {
+    const ar = service.renderTemplate(WHATSAPP_TEMPLATES.TRANSACTION_SUCCESS, 'ar-SA', transactionData);
+    const fallback = service.renderTemplate(WHATSAPP_TEMPLATES.TRANSACTION_SUCCESS, 'fr', transactionData);
+
+    expect(ar).toContain('تمت عملية تحويل بقيمة 25 USDT');
+    expect(fallback).toContain('your transfer of 25 USDT was completed');
+    expect(service.renderTemplate(WHATSAPP_TEMPLATES.SECURITY_ALERT, 'en', {})).toContain('alert: -');
+    expect(() => service.renderTemplate('missing_template', 'en')).toThrow('Unknown WhatsApp template');
+  });
+
+  it('should send through the provider and record the message with a masked recipient', async () => {
+    const createSpy = vi.spyOn(WhatsAppMessage, 'create').mockImplementation(async (data) => ({ id: 'msg-1', ...data }));
+
+    const message = await service.sendTemplate({
+      userId: USER_ID,
+      to: PHONE,
+      template: WHATSAPP_TEMPLATES.TRANSACTION_SUCCESS,
+      locale: 'ar',
+      variables: transactionData
+    });
+
+    expect(provider.sent).toHaveLength(1);
+    expect(provider.sent[0].to).toBe(PHONE);
+    expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: USER_ID,
+      recipient: '+9665*****567',
+      template: WHATSAPP_TEMPLATES.TRANSACTION_SUCCESS,
+      locale: 'ar',
+      provider: 'fake',
+      provider_message_id: provider.sent[0].messageId,
+      status: 'sent'
+    }));
+    expect(message.id).toBe('msg-1');
+  });
+
+  it('should record failed sends and rethrow', async () => {
+    const createSpy = vi.spyOn(WhatsAppMessage, 'create').mockImplementation(async (data) => data);
+    provider.failNextSend('Recipient not on WhatsApp');
+
+    await expect(service.sendTemplate({
+      userId: USER_ID,
+      to: PHONE,
+      template: WHATSAPP_TEMPLATES.SECURITY_ALERT,
+      variables: { message: 'New login' }
+    })).rejects.toThrow('Recipient not on WhatsApp');
+
+    expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'failed',
+      error_message: 'Recipient not on WhatsApp'
+    }));
+  });
+
+  it('should only move delivery status forward', async () => {
+    vi.spyOn(WhatsAppMessage, 'findByProviderMessageId').mockResolvedValue({ id: 'msg-1', status: 'delivered' });
+    const updateSpy = vi.spyOn(WhatsAppMessage, 'updateStatus').mockImplementation(async (id, updates) => ({ id, ...updates }));
+
+    const updated = await service.processStatusWebhook({
+      statuses: [
+        { messageId: 'fake_1', status: 'sent', timestamp: '2025-07-09T10:00:00.000Z' },
+        { messageId: 'fake_1', status: 'read', timestamp: '2025-07-09T10:05:00.000Z' }
+      ]
+    });
+
+    expect(updated).toBe(1);
+    expect(updateSpy).toHaveBeenCalledTimes(1);
+    expect(updateSpy).toHaveBeenCalledWith('msg-1', { status: 'read', read_at: '2025-07-09T10:05:00.000Z' });
+  });
+
+  it('should parse Cloud API status callbacks and check their signature', () => {
+    const cloud = new CloudApiWhatsAppProvider({ accessToken: 't', phoneNumberId: 'p', appSecret: 'app-secret' });
+    const body = {
+      entry: [{
+        changes: [{
+          value: {
+            statuses: [{ id: 'wamid.1', status: 'failed', timestamp: '1752055200', errors: [{ title: 'Undeliverable' }] }]
+          }
+        }]
+      }]
+    };
+    const raw = Buffer.from(JSON.stringify(body));
+    const signature = `sha256=${crypto.createHmac('sha256', 'app-secret').update(raw).digest('hex')}`;
+
+    expect(cloud.parseStatusWebhook(body)).toEqual([{
+      messageId: 'wamid.1',
+      status: 'failed',
+      timestamp: new Date(1752055200 * 1000).toISOString(),
+      error: 'Undeliverable'
+    }]);
+    expect(cloud.verifySignature(raw, signature)).toBe(true);
+    expect(cloud.verifySignature(raw, 'sha256=forged')).toBe(false);
+  });
+
+  describe('notificationService integration', () => {
+    const userData = { id: USER_ID, email: null, phone: PHONE, phone_verified: true };
+
+    it('should send transaction notifications over WhatsApp when enabled', async () => {
+      vi.spyOn(notificationService, 'getUserData').mockResolvedValue(userData);
+      vi.spyOn(notificationService, 'getNotificationSettings').mockResolvedValue({
+        transaction_alerts: true,
+        whatsapp_notifications: true
+      });
+      vi.spyOn(UserSettings, 'findByUserId').mockResolvedValue({ language: 'ar' });
+      vi.spyOn(NotificationInboxService, 'record').mockResolvedValue({ id: 'inbox-1' });
+      const sendSpy = vi.spyOn(whatsappService, 'sendTemplate').mockResolvedValue({});
+
+      await notificationService.sendTransactionNotification(USER_ID, transactionData, 'failure');
+
+      expect(sendSpy).toHaveBeenCalledWith({
+        userId: USER_ID,
+        to: PHONE,
+        template: WHATSAPP_TEMPLATES.TRANSACTION_FAILURE,
+        locale: 'ar',
+        variables: transactionData
+      });
+    });
+
+    it('should skip WhatsApp when the preference is off or the phone is unverified', async () => {
+      const settingsSpy = vi.spyOn(notificationService, 'getNotificationSettings');
+      const userSpy = vi.spyOn(notificationService, 'getUserData');
+      const sendSpy = vi.spyOn(whatsappService, 'sendTemplate').mockResolvedValue({});
+      vi.spyOn(UserSettings, 'findByUserId').mockResolvedValue(null);
+      vi.spyOn(NotificationInboxService, 'record').mockResolvedValue(null);
+
+      userSpy.mockResolvedValue(userData);
+      settingsSpy.mockResolvedValue({ security_alerts: true, whatsapp_notifications: false });
+      await notificationService.sendSecurityAlert(USER_ID, { title: 'Alert', message: 'New login' });
+
+      userSpy.mockResolvedValue({ ...userData, phone_verified: false });
+      settingsSpy.mockResolvedValue({ security_alerts: true, whatsapp_notifications: true });
+      await notificationService.sendSecurityAlert(USER_ID, { title: 'Alert', message: 'New login' });
+
+      expect(sendSpy).not.toHaveBeenCalled();
+    });
+  });
+});